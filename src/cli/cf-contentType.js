@@ -1,30 +1,40 @@
-const contentful = require("contentful-management");
+const {
+  createClient,
+  withRetry,
+  getProfile,
+  getProfileDefaults,
+} = require("../core");
+const { parseArgs } = require("../utils/cli-args");
 const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
 
+// Source and target default to the contentType* profiles in config/profiles.json
+const SOURCE = getProfileDefaults("contentTypeSource");
+const TARGET = getProfileDefaults("contentTypeTarget");
+const DELETE_TARGET = getProfileDefaults("contentTypeDelete");
+
 // Configuration
 const CONFIG = {
-  ACCESS_TOKEN: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  SOURCE_SPACE: process.env.SPACE_ID_FR_FR,
-  SOURCE_ENV: process.env.ENV_FR_FR,
-  TARGET_SPACE: process.env.SPACE_ID_EN_GB,
-  TARGET_ENV: process.env.ENV_EN_GB,
-  SPACE_ID_FR_FR: process.env.SPACE_ID_FR_FR,
-  ENV_FR_FR: process.env.ENV_FR_FR,
-  SPACE_ID_DE_DE: process.env.SPACE_ID_DE_DE,
-  ENV_DE_DE: process.env.ENV_DE_DE,
-  MOBILE_APP_SPACE: process.env.MOBILE_APP_SPACE_ID,
-  MOBILE_APP_ENV: process.env.MOBILE_APP_ENV,
-  RETRY_ATTEMPTS: 5,
-  RETRY_DELAY: 1000,
+  ACCESS_TOKEN: TARGET.token,
+  SOURCE_SPACE: SOURCE.spaceId,
+  SOURCE_ENV: SOURCE.environmentId,
+  TARGET_SPACE: TARGET.spaceId,
+  TARGET_ENV: TARGET.environmentId,
+  DELETE_SPACE: DELETE_TARGET.spaceId,
+  DELETE_ENV: DELETE_TARGET.environmentId,
   RATE_LIMIT_DELAY: 300,
 };
 
-// Initialize contentful client
-const client = contentful.createClient({
-  accessToken: CONFIG.ACCESS_TOKEN,
-});
+// Contentful client, created on first use so the module can be required
+// (e.g. by the cf dispatcher) before a token is configured
+let client;
+function getClient() {
+  if (!client) {
+    client = createClient({ accessToken: CONFIG.ACCESS_TOKEN });
+  }
+  return client;
+}
 
 // Logger setup
 const logger = {
@@ -57,48 +67,9 @@ const logger = {
 const helpers = {
   sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
 
-  isRateLimitError: (err) => {
-    return (
-      err &&
-      (err.name === "RateLimitExceeded" ||
-        (err.response && err.response.status === 429))
-    );
-  },
-
-  withRetry: async (
-    operation,
-    operationName,
-    maxRetries = CONFIG.RETRY_ATTEMPTS
-  ) => {
-    let retries = 0;
-
-    while (true) {
-      try {
-        return await operation();
-      } catch (err) {
-        if (helpers.isRateLimitError(err) && retries < maxRetries) {
-          retries++;
-          const delay = CONFIG.RETRY_DELAY + Math.floor(Math.random() * 1000);
-          logger.warn(
-            `Rate limit hit on ${operationName}, retry ${retries}/${maxRetries} in ${delay}ms...`
-          );
-          await helpers.sleep(delay);
-        } else {
-          if (retries >= maxRetries) {
-            logger.error(
-              `Operation ${operationName} failed after ${maxRetries} retries`,
-              err
-            );
-          }
-          throw err;
-        }
-      }
-    }
-  },
-
   getEnvironments: async (spaceId, envId) => {
     try {
-      const space = await client.getSpace(spaceId);
+      const space = await getClient().getSpace(spaceId);
       const environment = await space.getEnvironment(envId);
       return { space, environment };
     } catch (err) {
@@ -111,51 +82,6 @@ const helpers = {
   },
 };
 
-/**
- * Enhanced retry function with exponential backoff for rate limiting
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<any>} - Result of the function
- */
-async function retryWithBackoff(fn, maxRetries = 5, timeoutMs = 30000) {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      // Add timeout to the function call
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error("Request timeout")), timeoutMs);
-      });
-
-      return await Promise.race([fn(), timeoutPromise]);
-    } catch (error) {
-      if (error.name === "RateLimitExceeded") {
-        const wait = (error.retryAfter || 2 ** attempt) * 1000;
-        logger.warn(
-          `Rate limit hit. Retrying in ${wait}ms... (Attempt ${
-            attempt + 1
-          }/${maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, wait));
-        attempt++;
-      } else if (error.message === "Request timeout") {
-        logger.warn(
-          `Request timed out after ${timeoutMs}ms. Retrying... (Attempt ${
-            attempt + 1
-          }/${maxRetries})`
-        );
-        attempt++;
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      } else {
-        throw error; // Rethrow non-retriable errors
-      }
-    }
-  }
-  throw new Error(
-    `Operation failed after ${maxRetries} attempts due to rate limits or timeouts.`
-  );
-}
-
 /**
  * Remove all links to a specific entry from other entries that reference it.
  * Automatically handles archived entries by unarchiving them before updating.
@@ -177,7 +103,7 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
     logger.info(`🔗 Starting unlinking process for entry ${entryId}...`);
 
     // Find all entries that reference this entry
-    const referencingEntries = await retryWithBackoff(() =>
+    const referencingEntries = await withRetry(() =>
       environment.getEntries({
         links_to_entry: entryId,
         limit: 1000, // Get all referencing entries
@@ -322,7 +248,7 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
               logger.info(
                 `💾 Updating entry ${referencingEntryId} to remove links...`
               );
-              await retryWithBackoff(() => referencingEntry.update());
+              await withRetry(() => referencingEntry.update());
               result.unlinkedFrom.push({
                 entryId: referencingEntryId,
                 contentType: referencingEntry.sys.contentType.sys.id,
@@ -398,7 +324,7 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
  */
 async function isEntryLinked(environment, entryId) {
   try {
-    const referencingEntries = await retryWithBackoff(() =>
+    const referencingEntries = await withRetry(() =>
       environment.getEntries({
         links_to_entry: entryId,
         limit: 100, // Get up to 100 referencing entries for checking
@@ -442,22 +368,22 @@ async function syncContentTypes(
     );
 
     // Get environments with retry handling
-    const source = await helpers.withRetry(
+    const source = await withRetry(
       () => helpers.getEnvironments(sourceSpaceId, sourceEnvId),
       "get_source_environments"
     );
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_environments"
     );
 
     // Fetch content types from both environments
-    const sourceContentTypes = await helpers.withRetry(
+    const sourceContentTypes = await withRetry(
       () => source.environment.getContentTypes({ limit: 1000 }),
       "fetch_source_content_types"
     );
 
-    const targetContentTypes = await helpers.withRetry(
+    const targetContentTypes = await withRetry(
       () => target.environment.getContentTypes({ limit: 1000 }),
       "fetch_target_content_types"
     );
@@ -470,7 +396,7 @@ async function syncContentTypes(
     for (const sourceCT of sourceContentTypes.items) {
       try {
         // Get target content type if it exists
-        const targetCT = await helpers.withRetry(
+        const targetCT = await withRetry(
           () =>
             target.environment
               .getContentType(sourceCT.sys.id)
@@ -532,23 +458,23 @@ async function migrateSingleContentType(
     );
 
     // Get environments
-    const source = await helpers.withRetry(
+    const source = await withRetry(
       () => helpers.getEnvironments(sourceSpaceId, sourceEnvId),
       "get_source_environments"
     );
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_environments"
     );
 
     // Fetch the content type from source
-    const sourceCT = await helpers.withRetry(
+    const sourceCT = await withRetry(
       () => source.environment.getContentType(contentTypeId),
       `fetch_source_content_type_${contentTypeId}`
     );
 
     // Try to fetch the content type from target
-    const targetCT = await helpers.withRetry(
+    const targetCT = await withRetry(
       () => target.environment.getContentType(contentTypeId).catch(() => null),
       `fetch_target_content_type_${contentTypeId}`
     );
@@ -635,7 +561,7 @@ async function updateExistingContentType(sourceCT, targetCT, targetEnv) {
 async function addNewFieldsToContentType(contentTypeId, newFields, targetEnv) {
   try {
     // Always fetch the latest version before updating
-    const latestCT = await helpers.withRetry(
+    const latestCT = await withRetry(
       () => targetEnv.getContentType(contentTypeId),
       `get_latest_ct_for_fields_${contentTypeId}`
     );
@@ -644,19 +570,19 @@ async function addNewFieldsToContentType(contentTypeId, newFields, targetEnv) {
     latestCT.fields = [...latestCT.fields, ...newFields];
 
     // Update and publish
-    const updatedCT = await helpers.withRetry(
+    const updatedCT = await withRetry(
       () => latestCT.update(),
       `update_ct_with_new_fields_${contentTypeId}`
     );
 
     await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
 
-    const freshCT = await helpers.withRetry(
+    const freshCT = await withRetry(
       () => targetEnv.getContentType(updatedCT.sys.id),
       `get_fresh_ct_${contentTypeId}`
     );
 
-    await helpers.withRetry(
+    await withRetry(
       () => freshCT.publish(),
       `publish_ct_with_new_fields_${contentTypeId}`
     );
@@ -688,7 +614,7 @@ async function omitFieldsFromContentType(
 ) {
   try {
     // Always fetch the latest version before updating
-    const latestCT = await helpers.withRetry(
+    const latestCT = await withRetry(
       () => targetEnv.getContentType(contentTypeId),
       `get_latest_ct_for_omit_${contentTypeId}`
     );
@@ -702,19 +628,19 @@ async function omitFieldsFromContentType(
     });
 
     // Update and publish
-    const updatedCT = await helpers.withRetry(
+    const updatedCT = await withRetry(
       () => latestCT.update(),
       `update_ct_with_omitted_fields_${contentTypeId}`
     );
 
     await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
 
-    const freshCT = await helpers.withRetry(
+    const freshCT = await withRetry(
       () => targetEnv.getContentType(updatedCT.sys.id),
       `get_fresh_ct_for_omit_${contentTypeId}`
     );
 
-    await helpers.withRetry(
+    await withRetry(
       () => freshCT.publish(),
       `publish_ct_with_omitted_fields_${contentTypeId}`
     );
@@ -740,7 +666,7 @@ async function omitFieldsFromContentType(
  */
 async function createNewContentType(sourceCT, targetEnv) {
   try {
-    const latestSourceCT = await helpers.withRetry(
+    const latestSourceCT = await withRetry(
       () => sourceCT,
       `get_latest_source_ct_${sourceCT.sys.id}`
     );
@@ -748,7 +674,7 @@ async function createNewContentType(sourceCT, targetEnv) {
     logger.info(`Creating new content type: ${latestSourceCT.sys.id}`);
 
     // Create content type
-    const newCT = await helpers.withRetry(
+    const newCT = await withRetry(
       () =>
         targetEnv.createContentTypeWithId(latestSourceCT.sys.id, {
           name: latestSourceCT.name,
@@ -759,7 +685,7 @@ async function createNewContentType(sourceCT, targetEnv) {
     );
 
     // Publish content type
-    await helpers.withRetry(
+    await withRetry(
       () => newCT.publish(),
       `publish_new_ct_${latestSourceCT.sys.id}`
     );
@@ -792,23 +718,23 @@ async function syncLocales(
     );
 
     // Get environments with retry handling
-    const source = await helpers.withRetry(
+    const source = await withRetry(
       () => helpers.getEnvironments(sourceSpaceId, sourceEnvId),
       "get_source_environments_for_locales"
     );
 
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_environments_for_locales"
     );
 
     // Fetch locales from both environments
-    const sourceLocales = await helpers.withRetry(
+    const sourceLocales = await withRetry(
       () => source.environment.getLocales(),
       "fetch_source_locales"
     );
 
-    const targetLocales = await helpers.withRetry(
+    const targetLocales = await withRetry(
       () => target.environment.getLocales(),
       "fetch_target_locales"
     );
@@ -820,14 +746,14 @@ async function syncLocales(
       try {
         if (locale.code === "en-US" && !locale.default) {
           locale.default = true;
-          await helpers.withRetry(
+          await withRetry(
             () => locale.update(),
             `set_${locale.code}_as_default`
           );
           logger.success(`Set "${locale.code}" as default locale`);
         } else if (locale.code !== "en-US" && locale.default) {
           locale.default = false;
-          await helpers.withRetry(
+          await withRetry(
             () => locale.update(),
             `unset_${locale.code}_as_default`
           );
@@ -845,7 +771,7 @@ async function syncLocales(
         logger.info(`Processing locale: ${locale.code}`);
 
         if (!targetLocaleCodes.includes(locale.code)) {
-          await helpers.withRetry(
+          await withRetry(
             () =>
               target.environment.createLocale({
                 code: locale.code,
@@ -886,12 +812,12 @@ async function deleteDuplicateContentTypes(
       `Finding duplicate content types in ${targetSpaceId}/${targetEnvId}`
     );
 
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_environments_for_duplicates"
     );
 
-    const targetContentTypes = await helpers.withRetry(
+    const targetContentTypes = await withRetry(
       () => target.environment.getContentTypes({ limit: 1000 }),
       "fetch_target_content_types_for_duplicates"
     );
@@ -926,14 +852,14 @@ async function deleteDuplicateContentTypes(
           const ct = dups[i];
           try {
             if (ct.sys.publishedVersion) {
-              await helpers.withRetry(
+              await withRetry(
                 () => ct.unpublish(),
                 `unpublish_duplicate_ct_${ct.sys.id}`
               );
               logger.info(`Unpublished duplicate content type: ${ct.sys.id}`);
             }
 
-            await helpers.withRetry(
+            await withRetry(
               () => ct.delete(),
               `delete_duplicate_ct_${ct.sys.id}`
             );
@@ -968,12 +894,12 @@ async function deleteOmittedFieldsFromContentTypes(
       `Finding content types with omitted fields in ${targetSpaceId}/${targetEnvId}`
     );
 
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_environments_for_omitted_fields"
     );
 
-    const targetContentTypes = await helpers.withRetry(
+    const targetContentTypes = await withRetry(
       () => target.environment.getContentTypes({ limit: 1000 }),
       "fetch_target_content_types_for_omitted_fields"
     );
@@ -993,7 +919,7 @@ async function deleteOmittedFieldsFromContentTypes(
           );
 
           // Always fetch the latest version before updating
-          const latestCT = await helpers.withRetry(
+          const latestCT = await withRetry(
             () => target.environment.getContentType(ct.sys.id),
             `get_latest_ct_for_omit_cleanup_${ct.sys.id}`
           );
@@ -1002,19 +928,19 @@ async function deleteOmittedFieldsFromContentTypes(
           latestCT.fields = latestCT.fields.filter((f) => !f.omitted);
 
           // Update and publish
-          const updatedCT = await helpers.withRetry(
+          const updatedCT = await withRetry(
             () => latestCT.update(),
             `update_ct_remove_omitted_fields_${ct.sys.id}`
           );
 
           await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
 
-          const freshCT = await helpers.withRetry(
+          const freshCT = await withRetry(
             () => target.environment.getContentType(updatedCT.sys.id),
             `get_fresh_ct_for_omit_cleanup_${ct.sys.id}`
           );
 
-          await helpers.withRetry(
+          await withRetry(
             () => freshCT.publish(),
             `publish_ct_after_omit_cleanup_${ct.sys.id}`
           );
@@ -1051,8 +977,8 @@ async function deleteOmittedFieldsFromContentTypes(
  */
 async function deleteEntriesAndContentType(
   contentTypeIds,
-  targetSpaceId = CONFIG.SPACE_ID_DE_DE,
-  targetEnvId = CONFIG.ENV_DE_DE
+  targetSpaceId = CONFIG.DELETE_SPACE,
+  targetEnvId = CONFIG.DELETE_ENV
 ) {
   try {
     // Convert single content type ID to array for consistent processing
@@ -1067,14 +993,14 @@ async function deleteEntriesAndContentType(
         ", "
       )}`
     );
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_env_for_bulk_delete"
     ); // Process each content type
     for (const contentTypeId of typeIds) {
       try {
         // Fetch all entries of the content type
-        const entries = await helpers.withRetry(
+        const entries = await withRetry(
           () =>
             target.environment.getEntries({
               content_type: contentTypeId,
@@ -1104,7 +1030,7 @@ async function deleteEntriesAndContentType(
 
                   // Process archived entry deletion directly
                   if (entry.isArchived && entry.isArchived()) {
-                    await helpers.withRetry(
+                    await withRetry(
                       () => entry.unarchive(),
                       `unarchive_entry_${entry.sys.id}`
                     );
@@ -1112,14 +1038,14 @@ async function deleteEntriesAndContentType(
                   }
 
                   if (entry.isPublished && entry.isPublished()) {
-                    await helpers.withRetry(
+                    await withRetry(
                       () => entry.unpublish(),
                       `unpublish_entry_${entry.sys.id}`
                     );
                     logger.info(`📤 Unpublished entry: ${entry.sys.id}`);
                   }
 
-                  await helpers.withRetry(
+                  await withRetry(
                     () => entry.delete(),
                     `delete_entry_${entry.sys.id}`
                   );
@@ -1176,7 +1102,7 @@ async function deleteEntriesAndContentType(
 
                 // Process each entry with retry - now safe to delete
                 if (entry.isArchived && entry.isArchived()) {
-                  await helpers.withRetry(
+                  await withRetry(
                     () => entry.unarchive(),
                     `unarchive_entry_${entry.sys.id}`
                   );
@@ -1184,14 +1110,14 @@ async function deleteEntriesAndContentType(
                 }
 
                 if (entry.isPublished && entry.isPublished()) {
-                  await helpers.withRetry(
+                  await withRetry(
                     () => entry.unpublish(),
                     `unpublish_entry_${entry.sys.id}`
                   );
                   logger.info(`📤 Unpublished entry: ${entry.sys.id}`);
                 }
 
-                await helpers.withRetry(
+                await withRetry(
                   () => entry.delete(),
                   `delete_entry_${entry.sys.id}`
                 );
@@ -1212,13 +1138,13 @@ async function deleteEntriesAndContentType(
           );
         } // Delete the content type after all entries are deleted
         try {
-          const ct = await helpers.withRetry(
+          const ct = await withRetry(
             () => target.environment.getContentType(contentTypeId),
             `get_ct_for_deletion_${contentTypeId}`
           );
 
           if (ct.sys.publishedVersion) {
-            await helpers.withRetry(
+            await withRetry(
               () => ct.unpublish(),
               `unpublish_ct_${contentTypeId}`
             );
@@ -1226,10 +1152,7 @@ async function deleteEntriesAndContentType(
             await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
           }
 
-          await helpers.withRetry(
-            () => ct.delete(),
-            `delete_ct_${contentTypeId}`
-          );
+          await withRetry(() => ct.delete(), `delete_ct_${contentTypeId}`);
 
           logger.success(`Deleted content type: ${contentTypeId}`);
         } catch (err) {
@@ -1271,12 +1194,12 @@ async function deleteAllEntriesAndContentType(
       `Starting bulk deletion process in ${targetSpaceId}/${targetEnvId}`
     );
 
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       "get_target_env_for_bulk_delete"
     );
 
-    const contentTypes = await helpers.withRetry(
+    const contentTypes = await withRetry(
       () => target.environment.getContentTypes({ limit: 1000 }),
       "fetch_content_types_for_bulk_delete"
     );
@@ -1346,13 +1269,13 @@ async function updateFieldId(
       `Updating field ID from "${oldFieldId}" to "${newFieldId}" in content type: ${contentTypeId}`
     );
 
-    const target = await helpers.withRetry(
+    const target = await withRetry(
       () => helpers.getEnvironments(targetSpaceId, targetEnvId),
       `get_target_env_for_field_update_${contentTypeId}`
     );
 
     // Fetch the content type
-    const contentType = await helpers.withRetry(
+    const contentType = await withRetry(
       () => target.environment.getContentType(contentTypeId),
       `get_ct_for_field_update_${contentTypeId}`
     );
@@ -1376,7 +1299,7 @@ async function updateFieldId(
     await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
 
     // Update the content type with retry
-    const updatedContentType = await helpers.withRetry(
+    const updatedContentType = await withRetry(
       () => contentType.update(),
       `update_ct_with_field_id_change_${contentTypeId}`
     );
@@ -1384,13 +1307,13 @@ async function updateFieldId(
     await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
 
     // Always fetch the latest version before publishing
-    const freshCT = await helpers.withRetry(
+    const freshCT = await withRetry(
       () => target.environment.getContentType(updatedContentType.sys.id),
       `get_fresh_ct_for_field_update_${contentTypeId}`
     );
 
     // Publish with retry on rate limit
-    await helpers.withRetry(
+    await withRetry(
       () => freshCT.publish(),
       `publish_ct_with_field_id_change_${contentTypeId}`
     );
@@ -1406,8 +1329,35 @@ async function updateFieldId(
   }
 }
 
+/**
+ * Point the default source/target at named profiles (--source/--target)
+ * @param {object} profiles
+ * @param {string} [profiles.source] - Profile name or alias
+ * @param {string} [profiles.target] - Profile name or alias
+ */
+function useProfiles({ source, target } = {}) {
+  if (source) {
+    const profile = getProfile(source);
+    CONFIG.SOURCE_SPACE = profile.spaceId;
+    CONFIG.SOURCE_ENV = profile.environmentId;
+  }
+  if (target) {
+    const profile = getProfile(target);
+    CONFIG.TARGET_SPACE = CONFIG.DELETE_SPACE = profile.spaceId;
+    CONFIG.TARGET_ENV = CONFIG.DELETE_ENV = profile.environmentId;
+    CONFIG.ACCESS_TOKEN = profile.token;
+  }
+}
+
 if (require.main === module) {
-  const [, , cmd, ...args] = process.argv;
+  const {
+    options,
+    positionals: [cmd, ...args],
+  } = parseArgs(process.argv.slice(2), [
+    { name: "source", value: "profile", description: "Source profile" },
+    { name: "target", value: "profile", description: "Target profile" },
+  ]);
+  useProfiles(options);
 
   // Display help information
   function showHelp() {
@@ -1423,7 +1373,11 @@ if (require.main === module) {
             update-field-id [contentTypeId] [oldFieldId] [newFieldId] - Update field ID in a content type
             help               - Show this help information
 
-            Example: node cf-contentType.js sync
+            Options:
+            --source <profile> - Source profile (default: defaults.contentTypeSource in config/profiles.json)
+            --target <profile> - Target profile (default: defaults.contentTypeTarget)
+
+            Example: node cf-contentType.js sync --source always-fr --target always-uk
         `);
   }
 
@@ -1502,3 +1456,16 @@ if (require.main === module) {
     }
   })();
 }
+
+module.exports = {
+  syncContentTypes,
+  syncLocales,
+  migrateSingleContentType,
+  deleteOmittedFieldsFromContentTypes,
+  deleteDuplicateContentTypes,
+  deleteEntriesAndContentType,
+  deleteAllEntriesAndContentType,
+  updateFieldId,
+  useProfiles,
+  CONFIG,
+};
@@ -1,17 +1,30 @@
-const contentful = require("contentful-management");
+const {
+  createClient,
+  withRetry,
+  getDefaultQueue,
+  isRateLimitError,
+  getProfile,
+  getProfileDefaults,
+  CheckpointError,
+  noCheckpoint,
+  startCheckpoint,
+} = require("../core");
 require("dotenv").config();
 
-// Unified Configuration - prioritizes env vars, then CLI args, then defaults
+const DEFAULT_CONNECTION = getProfileDefaults("linkCleanup");
+
+// Unified Configuration - prioritizes CLI args, then the profile, then defaults
 const CONFIG = {
-  // Contentful credentials from environment variables
-  ACCESS_TOKEN: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  SPACE_ID: process.env.SPACE_ID_FR_FR,
-  ENVIRONMENT_ID: process.env.ENV_FR_FR,
+  // Contentful credentials from the default profile (config/profiles.json)
+  ACCESS_TOKEN: DEFAULT_CONNECTION.token,
+  SPACE_ID: DEFAULT_CONNECTION.spaceId,
+  ENVIRONMENT_ID: DEFAULT_CONNECTION.environmentId,
   // Processing configuration - Optimized for higher throughput
   RETRY_ATTEMPTS: 7, // Increased from 5 to handle more rate limit scenarios
   RETRY_DELAY: 2000, // Reduced from 5000ms to 2000ms for faster recovery
-  RATE_LIMIT_DELAY: 2000, // Reduced from 5000ms to 1000ms for better throughput
-  BATCH_SIZE: 50, // Reduced from 100 to 50 for more manageable concurrent load
+  // Entries fetched and checkpointed per page; the request queue decides how
+  // many of them are cleaned at the same time
+  BATCH_SIZE: 50,
   MAX_ENTRIES: 4000,
 
   // Bulk operation settings
@@ -29,13 +42,15 @@ function validateConfig() {
   }
 
   if (!CONFIG.SPACE_ID) {
-    errors.push("CONTENTFUL_SPACE_ID environment variable is required");
+    errors.push(
+      "Space ID is required (set it in the profile or pass --space-id)"
+    );
   }
 
   if (errors.length > 0) {
     logger.error("Configuration validation failed:");
     errors.forEach((error) => logger.error(`  - ${error}`));
-    process.exit(1);
+    throw new Error(`Invalid configuration: ${errors.join("; ")}`);
   }
 }
 
@@ -45,7 +60,7 @@ let environment;
 
 async function initializeClient() {
   try {
-    client = contentful.createClient({
+    client = createClient({
       accessToken: CONFIG.ACCESS_TOKEN,
     });
 
@@ -123,54 +138,16 @@ const logger = {
   },
 };
 
+// Retry tuning for long bulk runs; the retry policy itself lives in src/core
+const RETRY_OPTIONS = {
+  maxRetries: CONFIG.RETRY_ATTEMPTS,
+  baseDelayMs: CONFIG.RETRY_DELAY,
+  logger,
+};
+
 // Helper functions
 const helpers = {
   sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
-
-  isRateLimitError: (err) => {
-    return (
-      err &&
-      (err.name === "RateLimitExceeded" ||
-        err.response?.status === 429 ||
-        err.status === 429)
-    );
-  },
-
-  withRetry: async (
-    operation,
-    operationName,
-    maxRetries = CONFIG.RETRY_ATTEMPTS
-  ) => {
-    let retries = 0;
-
-    while (true) {
-      try {
-        return await operation();
-      } catch (err) {
-        if (helpers.isRateLimitError(err) && retries < maxRetries) {
-          retries++;
-          // Exponential backoff with jitter: base delay * 2^retries + random jitter
-          const baseDelay = CONFIG.RETRY_DELAY;
-          const exponentialDelay = baseDelay * Math.pow(2, retries - 1);
-          const jitter = Math.floor(Math.random() * 1000);
-          const delay = Math.min(exponentialDelay + jitter, 30000); // Cap at 30s
-
-          logger.warn(
-            `Rate limit hit on ${operationName}, retry ${retries}/${maxRetries} in ${delay}ms (exponential backoff)`
-          );
-          await helpers.sleep(delay);
-        } else {
-          if (retries >= maxRetries) {
-            logger.error(
-              `Operation ${operationName} failed after ${maxRetries} retries`,
-              err
-            );
-          }
-          throw err;
-        }
-      }
-    }
-  },
 };
 
 /**
@@ -193,9 +170,14 @@ async function validateLink(link) {
     const getMethod = link.sys.linkType === "Entry" ? "getEntry" : "getAsset";
 
     try {
-      const resource = await helpers.withRetry(
+      const resource = await withRetry(
         () => environment[getMethod](link.sys.id),
-        `validate-${link.sys.linkType.toLowerCase()}-${link.sys.id}`
+        {
+          ...RETRY_OPTIONS,
+          operation: `validate-${link.sys.linkType.toLowerCase()}-${
+            link.sys.id
+          }`,
+        }
       );
 
       if (resource) {
@@ -213,7 +195,7 @@ async function validateLink(link) {
           `🔗 Invalid ${link.sys.linkType} link: ${link.sys.id} (422 Validation Error)`
         );
         return null;
-      } else if (helpers.isRateLimitError(error)) {
+      } else if (isRateLimitError(error)) {
         logger.warn(
           `Rate limit hit while validating link ${link.sys.id}, keeping link for retry`
         );
@@ -354,32 +336,32 @@ async function updateEntry(entry, shouldPublish = false) {
   try {
     const entryId = entry.sys.id; // Update the entry
     logger.info(`💾 Updating entry ${entryId}...`);
-    await helpers.withRetry(() => entry.update(), `update-entry-${entryId}`);
+    await withRetry(() => entry.update(), {
+      ...RETRY_OPTIONS,
+      operation: `update-entry-${entryId}`,
+    });
     result.updated = true;
     logger.success(`✅ Updated entry ${entryId}`);
 
-    // Add delay to prevent rate limiting after update
-    await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
-
     // Publish if requested
     if (shouldPublish) {
       try {
         // Get latest version of the entry
-        const latestEntry = await helpers.withRetry(
+        const latestEntry = await withRetry(
           () => environment.getEntry(entryId),
-          `get-entry-${entryId}`
+          {
+            ...RETRY_OPTIONS,
+            operation: `get-entry-${entryId}`,
+          }
         );
 
         logger.info(`📤 Publishing entry ${entryId}...`);
-        await helpers.withRetry(
-          () => latestEntry.publish(),
-          `publish-entry-${entryId}`
-        );
+        await withRetry(() => latestEntry.publish(), {
+          ...RETRY_OPTIONS,
+          operation: `publish-entry-${entryId}`,
+        });
         result.published = true;
         logger.success(`✅ Published entry ${entryId}`);
-
-        // Add delay after publishing
-        await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
       } catch (publishError) {
         const error = `Failed to publish entry ${entryId}: ${publishError.message}`;
         result.errors.push(error);
@@ -397,10 +379,24 @@ async function updateEntry(entry, shouldPublish = false) {
   }
 }
 
+// Result counters; each batch's share is kept in the checkpoint
+const RESULT_COUNTERS = [
+  "totalProcessed",
+  "totalWithBrokenLinks",
+  "totalLinksFound",
+  "totalBrokenLinksRemoved",
+  "totalEntriesUpdated",
+  "totalEntriesPublished",
+  "brokenEntryLinks",
+  "brokenAssetLinks",
+];
+
 /**
  * Process entries in batches to find and clean broken links
  * @param {Object} options - Processing options
- * @returns {Promise<Object>} - Processing results
+ * @param {import('../core').Checkpoint} [options.checkpoint] - Records the
+ *   cleaned entries; a resumed checkpoint continues after them
+ * @returns {Promise<Object>} - Processing results, including earlier attempts
  */
 async function bulkLinkCleanup(options = {}) {
   const {
@@ -409,21 +405,18 @@ async function bulkLinkCleanup(options = {}) {
     maxEntries = CONFIG.MAX_ENTRIES,
     dryRun = CONFIG.DRY_RUN,
     shouldPublish = CONFIG.PUBLISH_AFTER_UPDATE,
+    checkpoint = noCheckpoint(),
   } = options;
 
   const results = {
-    totalProcessed: 0,
-    totalWithBrokenLinks: 0,
-    totalLinksFound: 0,
-    totalBrokenLinksRemoved: 0,
-    totalEntriesUpdated: 0,
-    totalEntriesPublished: 0,
-    brokenEntryLinks: 0,
-    brokenAssetLinks: 0,
-    processingErrors: [],
-    updateErrors: [],
-    entriesWithBrokenLinks: [],
+    processingErrors: checkpoint.list("processingErrors"),
+    updateErrors: checkpoint.list("updateErrors"),
+    entriesWithBrokenLinks: checkpoint.list("entriesWithBrokenLinks"),
   };
+  const batches = checkpoint.list("batches");
+  RESULT_COUNTERS.forEach((counter) => {
+    results[counter] = batches.reduce((sum, batch) => sum + batch[counter], 0);
+  });
 
   const startTime = Date.now();
 
@@ -437,7 +430,13 @@ async function bulkLinkCleanup(options = {}) {
       logger.info(`🎯 Filtering by content type: ${contentTypeFilter}`);
     }
 
-    let skip = 0;
+    // Entries are ordered by creation, so earlier attempts' pages come first
+    let skip = batches.length > 0 ? batches[batches.length - 1].nextSkip : 0;
+    if (skip > 0) {
+      logger.info(
+        `📍 Resuming after ${results.totalProcessed} entries processed by earlier attempts`
+      );
+    }
     let processedInBatch = 0;
 
     while (results.totalProcessed < maxEntries) {
@@ -462,9 +461,12 @@ async function bulkLinkCleanup(options = {}) {
       }
 
       // Fetch entries batch
-      const entriesBatch = await helpers.withRetry(
+      const entriesBatch = await withRetry(
         () => environment.getEntries(queryParams),
-        `fetch-entries-batch-${Math.floor(skip / batchSize) + 1}`
+        {
+          ...RETRY_OPTIONS,
+          operation: `fetch-entries-batch-${Math.floor(skip / batchSize) + 1}`,
+        }
       );
 
       if (entriesBatch.items.length === 0) {
@@ -472,79 +474,75 @@ async function bulkLinkCleanup(options = {}) {
         break;
       }
 
-      logger.info(`🔄 Processing ${entriesBatch.items.length} entries...`); // Process all entries in the batch in parallel with staggered delays
-      const batchProcessingPromises = entriesBatch.items.map(
-        async (entry, index) => {
-          try {
-            // Add small staggered delay to prevent simultaneous API calls
-            if (index > 0) {
-              await helpers.sleep(index * 100); // 100ms delay between each parallel request
-            }
-
-            // Skip archived entries
-            if (entry.sys.archivedAt) {
-              logger.debug(`⏭️ Skipping archived entry: ${entry.sys.id}`);
-              return {
-                success: true,
-                skipped: true,
-                entryId: entry.sys.id,
-                reason: "archived",
-              };
-            }
-
-            logger.debug(
-              `🔍 Scanning entry ${entry.sys.id} for broken links...`
-            );
-
-            // Clean links from the entry
-            const cleaningResult = await cleanEntryLinks(entry);
+      const before = { ...results };
+      const pendingEntries = entriesBatch.items.filter(
+        (entry) => !checkpoint.isDone("entries", entry.sys.id)
+      );
 
-            // Prepare batch result
-            const batchResult = {
+      logger.info(`🔄 Processing ${pendingEntries.length} entries...`); // Process all entries in the batch in parallel, as far as the request queue allows
+      const batchProcessingPromises = pendingEntries.map(async (entry) => {
+        try {
+          // Skip archived entries
+          if (entry.sys.archivedAt) {
+            logger.debug(`⏭️ Skipping archived entry: ${entry.sys.id}`);
+            return {
               success: true,
-              skipped: false,
+              skipped: true,
               entryId: entry.sys.id,
-              cleaningResult,
-              updateResult: null,
+              reason: "archived",
             };
+          }
 
-            // Handle entries with broken links
-            if (cleaningResult.hasBrokenLinks) {
-              logger.info(
-                `🔗 Entry ${cleaningResult.entryId}: Found ${cleaningResult.totalBrokenLinks} broken links`
-              );
+          logger.debug(`🔍 Scanning entry ${entry.sys.id} for broken links...`);
 
-              // Update the entry if not a dry run
-              if (!dryRun && cleaningResult.wasUpdated) {
-                const updateResult = await updateEntry(entry, shouldPublish);
-                batchResult.updateResult = updateResult;
-              } else if (dryRun) {
-                logger.info(
-                  `🎯 DRY RUN: Would update entry ${cleaningResult.entryId}`
-                );
-              }
-            }
+          // Clean links from the entry
+          const cleaningResult = await cleanEntryLinks(entry);
 
-            return batchResult;
-          } catch (entryError) {
-            const entryId = entry?.sys?.id || "unknown";
-            const error = `Error processing entry ${entryId}: ${entryError.message}`;
-            logger.error(error, entryError);
+          // Prepare batch result
+          const batchResult = {
+            success: true,
+            skipped: false,
+            entryId: entry.sys.id,
+            cleaningResult,
+            updateResult: null,
+          };
 
-            return {
-              success: false,
-              skipped: false,
-              entryId,
-              error: error,
-              errorDetails: entryError,
-            };
+          // Handle entries with broken links
+          if (cleaningResult.hasBrokenLinks) {
+            logger.info(
+              `🔗 Entry ${cleaningResult.entryId}: Found ${cleaningResult.totalBrokenLinks} broken links`
+            );
+
+            // Update the entry if not a dry run
+            if (!dryRun && cleaningResult.wasUpdated) {
+              const updateResult = await updateEntry(entry, shouldPublish);
+              batchResult.updateResult = updateResult;
+            } else if (dryRun) {
+              logger.info(
+                `🎯 DRY RUN: Would update entry ${cleaningResult.entryId}`
+              );
+            }
           }
+
+          return batchResult;
+        } catch (entryError) {
+          const entryId = entry?.sys?.id || "unknown";
+          const error = `Error processing entry ${entryId}: ${entryError.message}`;
+          logger.error(error, entryError);
+
+          return {
+            success: false,
+            skipped: false,
+            entryId,
+            error: error,
+            errorDetails: entryError,
+          };
         }
-      );
+      });
 
       // Wait for all entries in the batch to complete
       logger.info(
-        `⚡ Processing ${entriesBatch.items.length} entries in parallel...`
+        `⚡ Processing ${pendingEntries.length} entries in parallel...`
       );
       const batchResults = await Promise.allSettled(batchProcessingPromises);
 
@@ -619,8 +617,15 @@ async function bulkLinkCleanup(options = {}) {
 
       skip += entriesBatch.items.length;
 
-      // Add delay between batches
-      await helpers.sleep(CONFIG.RATE_LIMIT_DELAY);
+      const batch = { nextSkip: skip };
+      RESULT_COUNTERS.forEach((counter) => {
+        batch[counter] = results[counter] - before[counter];
+      });
+      batches.push(batch);
+      checkpoint.markDone(
+        "entries",
+        pendingEntries.map((entry) => entry.sys.id)
+      );
 
       // Log progress
       logger.info(
@@ -635,6 +640,7 @@ async function bulkLinkCleanup(options = {}) {
   } catch (error) {
     logger.error("Fatal error in bulk link cleanup:", error);
     results.processingErrors.push(`Fatal error: ${error.message}`);
+    results.fatal = true;
     return results;
   }
 }
@@ -744,6 +750,9 @@ function parseCommandLineArgs() {
     const arg = args[i];
 
     switch (arg) {
+      case "--profile":
+        options.profile = args[++i];
+        break;
       case "--space-id":
         options.spaceId = args[++i];
         break;
@@ -773,6 +782,9 @@ function parseCommandLineArgs() {
       case "--max-entries":
         options.maxEntries = parseInt(args[++i]);
         break;
+      case "--resume":
+        options.resume = args[++i];
+        break;
       case "--help":
       case "-h":
         showHelp();
@@ -799,21 +811,23 @@ function showHelp() {
 Usage: node cf-link-cleanup.js [options]
 
 Options:
-  --space-id <id>           Contentful space ID (or set CONTENTFUL_SPACE_ID env var)
+  --profile <name>          Profile from config/profiles.json (default: linkCleanup profile)
+  --space-id <id>           Contentful space ID (overrides the profile)
   --environment <env>       Environment name (or set CONTENTFUL_ENVIRONMENT_ID env var, default: master)
   --management-token <token> Management API token (or set CONTENTFUL_MANAGEMENT_TOKEN env var)
   --content-type <type>     Filter by specific content type
-  --batch-size <size>       Entries per batch (default: 50)
+  --batch-size <size>       Entries fetched per page (default: 50)
   --max-entries <count>     Maximum entries to process (default: 1000)
   --dry-run                 Preview changes without applying them
+  --resume <runId>          Continue an interrupted cleanup after the entries it processed
   --publish                 Publish entries after updates (default: false)
   --log-level <level>       Logging level: debug, info, warn, error (default: info)
   --help, -h               Show this help message
 
 Environment Variables:
   CONTENTFUL_MANAGEMENT_TOKEN   Management API token
-  CONTENTFUL_SPACE_ID          Space ID
-  CONTENTFUL_ENVIRONMENT_ID    Environment ID (default: master)
+  CONTENTFUL_PROFILES_FILE     Alternative profiles file (default: config/profiles.json)
+  CONTENTFUL_MAX_CONCURRENCY   Highest number of requests in flight (default: 10)
   DRY_RUN                      Set to 'true' for dry run
   PUBLISH_AFTER_UPDATE         Set to 'true' to publish after updates
   LOG_LEVEL                    Logging level (default: info)
@@ -822,6 +836,9 @@ Examples:
   # Basic usage with env vars
   node cf-link-cleanup.js
 
+  # Use a named profile
+  node cf-link-cleanup.js --profile always-de --dry-run
+
   # Specify options explicitly
   node cf-link-cleanup.js --space-id abc123 --environment master --dry-run
 
@@ -834,68 +851,127 @@ Examples:
 }
 
 /**
- * Main execution function
+ * Run a link cleanup with options in the shape parseCommandLineArgs() returns
+ * @param {object} cliOptions - Overrides for CONFIG (spaceId, environmentId, dryRun, ...)
+ * @param {string} [cliOptions.resume] - Run ID of an interrupted cleanup to continue
+ * @returns {Promise<object>} Cleanup results
+ * @throws {CheckpointError} When the run to resume is missing, finished or
+ *   cleaned another environment
  */
-async function main() {
-  try {
-    // Parse CLI arguments
-    const cliOptions = parseCommandLineArgs();
-
-    // Merge configuration from CLI, env vars, and defaults
-    const finalConfig = {
-      ...CONFIG,
-      ...cliOptions,
-    };
-
-    // Override from CLI if provided
-    if (cliOptions.spaceId) finalConfig.SPACE_ID = cliOptions.spaceId;
-    if (cliOptions.environmentId)
-      finalConfig.ENVIRONMENT_ID = cliOptions.environmentId;
-    if (cliOptions.managementToken)
-      finalConfig.ACCESS_TOKEN = cliOptions.managementToken;
-    if (cliOptions.dryRun !== undefined)
-      finalConfig.DRY_RUN = cliOptions.dryRun;
-    if (cliOptions.publish !== undefined)
-      finalConfig.PUBLISH_AFTER_UPDATE = cliOptions.publish;
-    if (cliOptions.logLevel) finalConfig.LOG_LEVEL = cliOptions.logLevel;
-    if (cliOptions.batchSize) finalConfig.BATCH_SIZE = cliOptions.batchSize;
-    if (cliOptions.maxEntries) finalConfig.MAX_ENTRIES = cliOptions.maxEntries;
-
-    // Update global CONFIG
-    Object.assign(CONFIG, finalConfig);
-
-    // Validate configuration
-    validateConfig();
-
-    // Initialize Contentful client
-    await initializeClient();
+async function runLinkCleanup(cliOptions = {}) {
+  // Merge configuration from CLI, env vars, and defaults
+  const finalConfig = {
+    ...CONFIG,
+    ...cliOptions,
+  };
 
-    logger.info(`🔍 Starting bulk link cleanup...`);
-    logger.info(`📋 Configuration:`);
-    logger.info(`   - Space: ${CONFIG.SPACE_ID}`);
-    logger.info(`   - Environment: ${CONFIG.ENVIRONMENT_ID}`);
-    logger.info(`   - Dry run: ${CONFIG.DRY_RUN}`);
-    logger.info(`   - Publish after update: ${CONFIG.PUBLISH_AFTER_UPDATE}`);
-    logger.info(`   - Max entries: ${CONFIG.MAX_ENTRIES}`);
-    logger.info(`   - Batch size: ${CONFIG.BATCH_SIZE}`);
-    if (finalConfig.contentTypeFilter) {
-      logger.info(`   - Content type filter: ${finalConfig.contentTypeFilter}`);
+  // A named profile replaces the default connection
+  if (cliOptions.profile) {
+    const profile = getProfile(cliOptions.profile);
+    finalConfig.SPACE_ID = profile.spaceId;
+    finalConfig.ENVIRONMENT_ID = profile.environmentId;
+    finalConfig.ACCESS_TOKEN = profile.token;
+  }
+
+  // Override from CLI if provided
+  if (cliOptions.spaceId) finalConfig.SPACE_ID = cliOptions.spaceId;
+  if (cliOptions.environmentId)
+    finalConfig.ENVIRONMENT_ID = cliOptions.environmentId;
+  if (cliOptions.managementToken)
+    finalConfig.ACCESS_TOKEN = cliOptions.managementToken;
+  if (cliOptions.dryRun !== undefined) finalConfig.DRY_RUN = cliOptions.dryRun;
+  if (cliOptions.publish !== undefined)
+    finalConfig.PUBLISH_AFTER_UPDATE = cliOptions.publish;
+  if (cliOptions.logLevel) finalConfig.LOG_LEVEL = cliOptions.logLevel;
+  if (cliOptions.batchSize) finalConfig.BATCH_SIZE = cliOptions.batchSize;
+  if (cliOptions.maxEntries) finalConfig.MAX_ENTRIES = cliOptions.maxEntries;
+
+  if (cliOptions.resume && finalConfig.DRY_RUN) {
+    throw new CheckpointError(
+      "--resume continues a run that wrote changes; it cannot be combined with --dry-run"
+    );
+  }
+  const checkpoint = finalConfig.DRY_RUN
+    ? noCheckpoint()
+    : startCheckpoint(
+        "link-cleanup",
+        {
+          spaceId: finalConfig.SPACE_ID,
+          environmentId: finalConfig.ENVIRONMENT_ID,
+          contentTypeFilter: finalConfig.contentTypeFilter || null,
+          maxEntries: finalConfig.MAX_ENTRIES,
+          publish: finalConfig.PUBLISH_AFTER_UPDATE,
+        },
+        cliOptions.resume
+      );
+  if (checkpoint.resumed) {
+    const { options } = checkpoint;
+    if (
+      options.spaceId !== finalConfig.SPACE_ID ||
+      options.environmentId !== finalConfig.ENVIRONMENT_ID
+    ) {
+      throw new CheckpointError(
+        `Run ${checkpoint.runId} cleaned ${options.spaceId}/${options.environmentId}`,
+        checkpoint.file
+      );
     }
+    // The resumed run scans the same entries the same way
+    finalConfig.contentTypeFilter = options.contentTypeFilter;
+    finalConfig.MAX_ENTRIES = options.maxEntries;
+    finalConfig.PUBLISH_AFTER_UPDATE = options.publish;
+  }
 
-    // Execute bulk link cleanup
-    const results = await bulkLinkCleanup({
-      contentTypeFilter: finalConfig.contentTypeFilter,
-      batchSize: CONFIG.BATCH_SIZE,
-      maxEntries: CONFIG.MAX_ENTRIES,
-      dryRun: CONFIG.DRY_RUN,
-      shouldPublish: CONFIG.PUBLISH_AFTER_UPDATE,
-    });
+  // Update global CONFIG
+  Object.assign(CONFIG, finalConfig);
+
+  // Validate configuration
+  validateConfig();
+
+  // Initialize Contentful client
+  await initializeClient();
+
+  logger.info(`🔍 Starting bulk link cleanup...`);
+  logger.info(`📋 Configuration:`);
+  logger.info(`   - Space: ${CONFIG.SPACE_ID}`);
+  logger.info(`   - Environment: ${CONFIG.ENVIRONMENT_ID}`);
+  logger.info(`   - Dry run: ${CONFIG.DRY_RUN}`);
+  logger.info(`   - Publish after update: ${CONFIG.PUBLISH_AFTER_UPDATE}`);
+  logger.info(`   - Max entries: ${CONFIG.MAX_ENTRIES}`);
+  logger.info(`   - Batch size: ${CONFIG.BATCH_SIZE}`);
+  if (finalConfig.contentTypeFilter) {
+    logger.info(`   - Content type filter: ${finalConfig.contentTypeFilter}`);
+  }
 
-    // Display summary
-    displaySummary(results, {
-      dryRun: CONFIG.DRY_RUN,
-      shouldPublish: CONFIG.PUBLISH_AFTER_UPDATE,
-    });
+  // Execute bulk link cleanup
+  const results = await bulkLinkCleanup({
+    contentTypeFilter: finalConfig.contentTypeFilter,
+    batchSize: CONFIG.BATCH_SIZE,
+    maxEntries: CONFIG.MAX_ENTRIES,
+    dryRun: CONFIG.DRY_RUN,
+    shouldPublish: CONFIG.PUBLISH_AFTER_UPDATE,
+    checkpoint,
+  });
+  // A run that stopped on a fatal error can be resumed
+  if (!results.fatal) {
+    checkpoint.finish();
+  }
+
+  // Display summary
+  displaySummary(results, {
+    dryRun: CONFIG.DRY_RUN,
+    shouldPublish: CONFIG.PUBLISH_AFTER_UPDATE,
+  });
+
+  return results;
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  try {
+    const results = await runLinkCleanup(parseCommandLineArgs());
+    logger.info(`Requests: ${getDefaultQueue().describeStats()}`);
 
     // Exit with appropriate code
     const hasErrors =
@@ -913,6 +989,7 @@ if (require.main === module) {
 }
 
 module.exports = {
+  runLinkCleanup,
   bulkLinkCleanup,
   cleanEntryLinks,
   validateLink,
@@ -1,7 +1,7 @@
 // Removes all references/links to a given entry ID in Contentful
 // Usage: node cf-remove-links.js <configPath>
 
-const contentful = require("contentful-management");
+const { createClient, getProfileDefaults } = require("../core");
 const fs = require("fs");
 require("dotenv").config();
 
@@ -11,7 +11,7 @@ function sleep(ms) {
 
 async function removeEntryLinks(spaceId, accessToken, environmentId, entryId) {
   try {
-    const client = contentful.createClient({ accessToken });
+    const client = createClient({ accessToken });
     const space = await client.getSpace(spaceId);
     const environment = await space.getEnvironment(environmentId);
 
@@ -78,11 +78,13 @@ async function removeEntryLinks(spaceId, accessToken, environmentId, entryId) {
   }
 }
 
+const DEFAULT_CONNECTION = getProfileDefaults("removeLinks");
+
 const CONFIG = {
-  // Contentful credentials from environment variables
-  ACCESS_TOKEN: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  SPACE_ID: process.env.SPACE_ID_FR_FR,
-  ENVIRONMENT_ID: process.env.ENV_FR_FR,
+  // Contentful credentials from the default profile (config/profiles.json)
+  ACCESS_TOKEN: DEFAULT_CONNECTION.token,
+  SPACE_ID: DEFAULT_CONNECTION.spaceId,
+  ENVIRONMENT_ID: DEFAULT_CONNECTION.environmentId,
   ENTRY_ID: "5aa4mNskxpArBdKJksOcKK",
   // Processing configuration - Optimized for higher throughput
   RETRY_ATTEMPTS: 7, // Increased from 5 to handle more rate limit scenarios
@@ -96,9 +98,13 @@ const CONFIG = {
   PUBLISH_AFTER_UPDATE: true,
   LOG_LEVEL: process.env.LOG_LEVEL || "info",
 };
-removeEntryLinks(
-  CONFIG.SPACE_ID,
-  CONFIG.ACCESS_TOKEN,
-  CONFIG.ENVIRONMENT_ID,
-  CONFIG.ENTRY_ID
-);
+if (require.main === module) {
+  removeEntryLinks(
+    CONFIG.SPACE_ID,
+    CONFIG.ACCESS_TOKEN,
+    CONFIG.ENVIRONMENT_ID,
+    CONFIG.ENTRY_ID
+  );
+}
+
+module.exports = { removeEntryLinks };
@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+/**
+ * Rollback from a Journal
+ *
+ * Restores every entity in a rollback journal (see src/core/journal.js) to
+ * the state recorded before its first write in that run:
+ *
+ *   1. Entities created during the run are deleted (entries, then assets,
+ *      then content types).
+ *   2. Content types, then assets, then entries are recreated or get their
+ *      fields and metadata back, and their publish/archive state is
+ *      re-established. Linked entries are restored before their referrers.
+ *
+ * An entity that was published with pending changes ("changed") gets its
+ * recorded fields back but not its earlier published version, which the API
+ * no longer has. Those entities are listed as warnings.
+ *
+ * Usage: node src/cli/cf-rollback.js <journal.jsonl> [--dry-run]
+ */
+
+require("dotenv").config();
+
+const {
+  getEnvironment,
+  getProfileDefaults,
+  isNotFoundError,
+  readJournal,
+} = require("../core");
+const { hasFieldChanges, isEqualValue } = require("../utils/field-diff");
+const { orderByLinks } = require("../utils/link-order");
+const logger = require("../utils/logger");
+
+const TYPES = {
+  Entry: { get: "getEntry", label: "entry" },
+  Asset: { get: "getAsset", label: "asset" },
+  ContentType: { get: "getContentType", label: "content type" },
+};
+
+// Deletes go dependents-first, restores dependencies-first
+const DELETE_ORDER = ["Entry", "Asset", "ContentType"];
+const RESTORE_ORDER = ["ContentType", "Asset", "Entry"];
+
+/**
+ * @param {object} sys
+ * @returns {"archived"|"published"|"changed"|"draft"}
+ */
+function stateOf(sys) {
+  if (sys.archivedVersion) return "archived";
+  if (!sys.publishedVersion) return "draft";
+  return sys.version > sys.publishedVersion + 1 ? "changed" : "published";
+}
+
+/**
+ * The state each entity had before the run: its earliest journal record.
+ * `before` is null for entities the run created.
+ * @param {object[]} records - Journal records
+ * @returns {object[]} { spaceId, environmentId, type, id, before }
+ */
+function collectTargets(records) {
+  const targets = new Map();
+  for (const record of records) {
+    if (!TYPES[record.type]) continue;
+    const key = [
+      record.spaceId,
+      record.environmentId,
+      record.type,
+      record.id,
+    ].join("/");
+    if (!targets.has(key)) {
+      const { spaceId, environmentId, type, id, before } = record;
+      targets.set(key, { spaceId, environmentId, type, id, before });
+    }
+  }
+  return [...targets.values()];
+}
+
+async function fetchCurrent(environment, target) {
+  try {
+    return await environment[TYPES[target.type].get](target.id);
+  } catch (error) {
+    if (isNotFoundError(error)) return null;
+    throw error;
+  }
+}
+
+// Asset files are recreated from their processed URL
+function uploadableFields(fields) {
+  const copy = JSON.parse(JSON.stringify(fields || {}));
+  for (const file of Object.values(copy.file || {})) {
+    if (file && file.url && !file.upload) {
+      file.upload = file.url.startsWith("//") ? `https:${file.url}` : file.url;
+      delete file.url;
+      delete file.details;
+    }
+  }
+  return copy;
+}
+
+// Processing rewrites file details, so asset files compare by URL
+function fileUrls(fields) {
+  return Object.fromEntries(
+    Object.entries((fields && fields.file) || {}).map(([locale, file]) => [
+      locale,
+      file && file.url,
+    ])
+  );
+}
+
+function filesChanged(before, current) {
+  return !isEqualValue(fileUrls(before.fields), fileUrls(current.fields));
+}
+
+function contentChanged(target, current) {
+  const { before } = target;
+  if (target.type === "ContentType") {
+    return ["name", "description", "displayField", "fields"].some(
+      (key) => !isEqualValue(before[key], current[key])
+    );
+  }
+  if (target.type === "Asset") {
+    const { file: beforeFile, ...beforeFields } = before.fields || {};
+    const { file: currentFile, ...currentFields } = current.fields || {};
+    return (
+      hasFieldChanges(beforeFields, currentFields) ||
+      filesChanged(before, current) ||
+      !isEqualValue(before.metadata || null, current.metadata || null)
+    );
+  }
+  return (
+    hasFieldChanges(before.fields || {}, current.fields || {}) ||
+    !isEqualValue(before.metadata || null, current.metadata || null)
+  );
+}
+
+/**
+ * Restores one environment. Each step appends to the entity's `actions`
+ * before it runs, so a dry run reports exactly what would be done.
+ */
+class EnvironmentRollback {
+  constructor(environment, targets, report, dryRun) {
+    this.environment = environment;
+    this.targets = targets;
+    this.report = report;
+    this.dryRun = dryRun;
+    this.current = new Map();
+    this.results = new Map();
+  }
+
+  resultFor(target) {
+    if (!this.results.has(target)) {
+      const result = {
+        type: target.type,
+        id: target.id,
+        spaceId: target.spaceId,
+        environmentId: target.environmentId,
+        actions: [],
+      };
+      this.results.set(target, result);
+    }
+    return this.results.get(target);
+  }
+
+  async step(target, action, fn) {
+    this.resultFor(target).actions.push(action);
+    if (this.dryRun) return this.current.get(target);
+    const next = await fn(this.current.get(target));
+    this.current.set(target, next);
+    return next;
+  }
+
+  async run() {
+    for (const target of this.targets) {
+      this.current.set(target, await fetchCurrent(this.environment, target));
+    }
+
+    const created = this.targets.filter((target) => target.before === null);
+    for (const type of DELETE_ORDER) {
+      for (const target of created.filter((t) => t.type === type)) {
+        await this.attempt(target, () => this.remove(target));
+      }
+    }
+
+    // Content types must be active before entries can be created, so each type
+    // is restored and re-published before the next one
+    const restored = this.targets.filter((target) => target.before !== null);
+    for (const type of RESTORE_ORDER) {
+      const ofType = restored.filter((target) => target.type === type);
+      const ordered =
+        type === "Entry"
+          ? orderByLinks(
+              ofType,
+              (target) => target.before.fields,
+              (target) => target.id
+            )
+          : ofType;
+      for (const target of ordered) {
+        await this.attempt(target, () => this.restoreContent(target));
+      }
+      for (const target of ordered) {
+        await this.attempt(target, () => this.restoreState(target));
+      }
+    }
+
+    for (const result of this.results.values()) {
+      if (result.failed) continue;
+      if (result.actions.length > 0) this.report.restored.push(result);
+      else this.report.unchanged.push(result);
+    }
+  }
+
+  async attempt(target, fn) {
+    const result = this.resultFor(target);
+    if (result.failed) return;
+    try {
+      await fn();
+    } catch (error) {
+      result.failed = true;
+      this.report.failed.push({
+        type: target.type,
+        id: target.id,
+        spaceId: target.spaceId,
+        environmentId: target.environmentId,
+        actions: result.actions,
+        error: error.message,
+      });
+    }
+  }
+
+  async remove(target) {
+    const current = this.current.get(target);
+    if (!current) return;
+    if (current.sys.archivedVersion) {
+      await this.step(target, "unarchive", (entity) => entity.unarchive());
+    }
+    if (current.sys.publishedVersion) {
+      await this.step(target, "unpublish", (entity) => entity.unpublish());
+    }
+    await this.step(target, "delete", async (entity) => {
+      await entity.delete();
+      return null;
+    });
+  }
+
+  async restoreContent(target) {
+    const { before } = target;
+    const current = this.current.get(target);
+
+    if (!current) {
+      await this.step(target, "recreate", () => this.recreate(target));
+      if (target.type === "Asset") {
+        await this.step(target, "process", (entity) =>
+          entity.processForAllLocales()
+        );
+      }
+      return;
+    }
+    if (!contentChanged(target, current)) return;
+
+    if (current.sys.archivedVersion) {
+      await this.step(target, "unarchive", (entity) => entity.unarchive());
+    }
+    await this.step(target, "update", (entity) => {
+      if (target.type === "ContentType") {
+        entity.name = before.name;
+        entity.description = before.description;
+        entity.displayField = before.displayField;
+        entity.fields = before.fields;
+      } else if (target.type === "Asset") {
+        entity.fields = uploadableFields(before.fields);
+        entity.metadata = before.metadata;
+      } else {
+        entity.fields = before.fields;
+        entity.metadata = before.metadata;
+      }
+      return entity.update();
+    });
+    if (target.type === "Asset" && filesChanged(before, current)) {
+      await this.step(target, "process", (entity) =>
+        entity.processForAllLocales()
+      );
+    }
+  }
+
+  async recreate(target) {
+    const { before, id } = target;
+    if (target.type === "ContentType") {
+      const { name, description, displayField, fields } = before;
+      return this.environment.createContentTypeWithId(id, {
+        name,
+        description,
+        displayField,
+        fields,
+      });
+    }
+    if (target.type === "Asset") {
+      return this.environment.createAssetWithId(id, {
+        fields: uploadableFields(before.fields),
+        metadata: before.metadata,
+      });
+    }
+    return this.environment.createEntryWithId(
+      before.sys.contentType.sys.id,
+      id,
+      { fields: before.fields, metadata: before.metadata }
+    );
+  }
+
+  async restoreState(target) {
+    const wanted = stateOf(target.before.sys);
+    const current = this.current.get(target);
+    // In a dry run a recreated entity does not exist yet: it starts as a draft
+    const now = current ? stateOf(current.sys) : "draft";
+    const updated = this.resultFor(target).actions.length > 0;
+
+    if (wanted === "changed") {
+      if (now === "archived") {
+        await this.step(target, "unarchive", (entity) => entity.unarchive());
+      }
+      if (now === "changed" && !updated) return;
+      this.report.warnings.push(
+        `${TYPES[target.type].label} ${target.id} had unpublished changes; ` +
+          (now === "draft" || now === "archived"
+            ? "restored as a draft, publish it after review"
+            : "restored as pending changes on top of the current published version")
+      );
+      return;
+    }
+    if (wanted === "published") {
+      if (now !== "published" || updated) {
+        if (now === "archived") {
+          await this.step(target, "unarchive", (entity) => entity.unarchive());
+        }
+        await this.step(target, "publish", (entity) => entity.publish());
+      }
+      return;
+    }
+    if (wanted === "archived") {
+      if (now === "archived") return;
+      if (now !== "draft") {
+        await this.step(target, "unpublish", (entity) => entity.unpublish());
+      }
+      await this.step(target, "archive", (entity) => entity.archive());
+      return;
+    }
+    // Draft
+    if (now === "archived") {
+      await this.step(target, "unarchive", (entity) => entity.unarchive());
+    } else if (now !== "draft") {
+      await this.step(target, "unpublish", (entity) => entity.unpublish());
+    }
+  }
+}
+
+/**
+ * Roll back the writes recorded in a journal
+ * @param {string} file - Journal written by a previous run
+ * @param {object} [options]
+ * @param {string} [options.accessToken]
+ * @param {boolean} [options.dryRun] - Only report what would be restored
+ * @returns {Promise<object>} { journal, runId, dryRun, restored, unchanged, failed, warnings }
+ */
+async function rollbackJournal(file, options = {}) {
+  const { header, records } = readJournal(file);
+  const accessToken =
+    options.accessToken || getProfileDefaults("rollback").token;
+  const report = {
+    journal: file,
+    runId: header.runId,
+    dryRun: Boolean(options.dryRun),
+    restored: [],
+    unchanged: [],
+    failed: [],
+    warnings: [],
+  };
+
+  const byEnvironment = new Map();
+  for (const target of collectTargets(records)) {
+    const key = `${target.spaceId}/${target.environmentId}`;
+    if (!byEnvironment.has(key)) byEnvironment.set(key, []);
+    byEnvironment.get(key).push(target);
+  }
+
+  for (const targets of byEnvironment.values()) {
+    const { spaceId, environmentId } = targets[0];
+    const environment = await getEnvironment({
+      spaceId,
+      environmentId,
+      accessToken,
+    });
+    await new EnvironmentRollback(
+      environment,
+      targets,
+      report,
+      report.dryRun
+    ).run();
+  }
+  return report;
+}
+
+/**
+ * @param {object} report - Result of rollbackJournal
+ * @returns {string}
+ */
+function formatRollbackReport(report) {
+  const lines = [
+    `${report.dryRun ? "Would roll back" : "Rolled back"} run ${
+      report.runId
+    } (${report.journal})`,
+  ];
+  for (const item of report.restored) {
+    lines.push(
+      `  ${TYPES[item.type].label} ${item.id}: ${item.actions.join(", ")}`
+    );
+  }
+  for (const item of report.failed) {
+    lines.push(`  ✗ ${TYPES[item.type].label} ${item.id}: ${item.error}`);
+  }
+  for (const warning of report.warnings) {
+    lines.push(`  ! ${warning}`);
+  }
+  lines.push(
+    `${report.restored.length} restored, ${report.unchanged.length} already in their earlier state, ${report.failed.length} failed`
+  );
+  return lines.join("\n");
+}
+
+async function main(argv) {
+  const file = argv.find((arg) => !arg.startsWith("--"));
+  if (!file) {
+    logger.error(
+      "Usage: node src/cli/cf-rollback.js <journal.jsonl> [--dry-run]"
+    );
+    return 2;
+  }
+  const report = await rollbackJournal(file, {
+    dryRun: argv.includes("--dry-run"),
+  });
+  logger.info(formatRollbackReport(report));
+  return report.failed.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  collectTargets,
+  rollbackJournal,
+  formatRollbackReport,
+};
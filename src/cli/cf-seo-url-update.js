@@ -1,7 +1,11 @@
 const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
-const contentful = require("contentful-management");
+const {
+  createClient,
+  updateAndPublish,
+  getProfileDefaults,
+} = require("../core");
 
 // Load config
 const configPath = path.join(
@@ -10,20 +14,13 @@ const configPath = path.join(
 );
 const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
 
-// Environment variables
-const SPACE_ID = config.spaceId || process.env.SPACE_ID_DE_DE;
-const ACCESS_TOKEN =
-  config.accessToken || process.env.CONTENTFUL_MANAGEMENT_TOKEN;
-const ENVIRONMENT_ID = config.environmentId || process.env.ENV_DE_DE;
+// Connection defaults from the seoUrlUpdate profile (config/profiles.json)
+const DEFAULT_CONNECTION = getProfileDefaults("seoUrlUpdate");
+const SPACE_ID = config.spaceId || DEFAULT_CONNECTION.spaceId;
+const ACCESS_TOKEN = config.accessToken || DEFAULT_CONNECTION.token;
+const ENVIRONMENT_ID = config.environmentId || DEFAULT_CONNECTION.environmentId;
 const CONTENT_TYPE_ID = "seoHead";
 
-if (!SPACE_ID || !ACCESS_TOKEN || !CONTENT_TYPE_ID) {
-  console.error(
-    "Missing required configuration: spaceId, accessToken, or contentTypeId."
-  );
-  process.exit(1);
-}
-
 // Helper: Replace accented letters with English equivalents
 function replaceAccents(str) {
   if (!str) return str;
@@ -46,50 +43,28 @@ function replaceAccents(str) {
   return s;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+/**
+ * Normalize seoHead URLs and their canonical link entries
+ * @param {object} options - { spaceId, environmentId, accessToken } overrides
+ */
+async function updateEntries(options = {}) {
+  const {
+    spaceId = SPACE_ID,
+    environmentId = ENVIRONMENT_ID,
+    accessToken = ACCESS_TOKEN,
+  } = options;
 
-async function safeUpdateAndPublish(entry, env, maxRetries = 5) {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      const updatedEntry = await entry.update();
-      console.log(`Updated entry ${entry.sys.id}`);
-      await sleep(2000);
-      const latestEntry = await env.getEntry(entry.sys.id);
-      await latestEntry.publish();
-      console.log(`Published entry ${entry.sys.id}`);
-      return;
-    } catch (err) {
-      if (
-        err.name === "RateLimitExceeded" ||
-        (err.response && err.response.status === 429)
-      ) {
-        const delay = Math.min(1000 * Math.pow(2, attempt), 10000); // exponential backoff, max 10s
-        console.warn(
-          `Rate limit hit for entry ${
-            entry.sys.id
-          }, retrying in ${delay}ms (attempt ${attempt + 1})...`
-        );
-        await sleep(delay);
-        attempt++;
-      } else {
-        throw err;
-      }
-    }
+  if (!spaceId || !accessToken || !CONTENT_TYPE_ID) {
+    throw new Error(
+      "Missing required configuration: spaceId, accessToken, or contentTypeId."
+    );
   }
-  throw new Error(
-    `Failed to update/publish entry ${entry.sys.id} after ${maxRetries} retries due to rate limits.`
-  );
-}
 
-async function updateEntries() {
-  const client = contentful.createClient({
-    accessToken: ACCESS_TOKEN,
+  const client = createClient({
+    accessToken,
   });
-  const space = await client.getSpace(SPACE_ID);
-  const env = await space.getEnvironment(ENVIRONMENT_ID);
+  const space = await client.getSpace(spaceId);
+  const env = await space.getEnvironment(environmentId);
   const entries = await env.getEntries({
     content_type: CONTENT_TYPE_ID,
     limit: 600,
@@ -148,7 +123,10 @@ async function updateEntries() {
                   const replaced = replaceAccents(original);
                   if (original !== replaced) {
                     canonicalEntry.fields.canonical[locale] = replaced;
-                    await safeUpdateAndPublish(canonicalEntry, env);
+                    await updateAndPublish(canonicalEntry);
+                    console.log(
+                      `Updated and published entry ${canonicalEntry.sys.id}`
+                    );
                     console.log(
                       `Updated and published canonical entry ${canonicalEntryId} for locale ${locale}`
                     );
@@ -166,7 +144,8 @@ async function updateEntries() {
       }
       if (updated) {
         try {
-          await safeUpdateAndPublish(entry, env);
+          await updateAndPublish(entry);
+          console.log(`Updated and published entry ${entry.sys.id}`);
         } catch (err) {
           console.error(
             `Error updating/publishing entry ${entry.sys.id}:`,
@@ -180,7 +159,12 @@ async function updateEntries() {
     );
   }
 }
-updateEntries().catch((err) => {
-  console.error("Error updating entries:", err);
-  process.exit(1);
-});
+
+if (require.main === module) {
+  updateEntries().catch((err) => {
+    console.error("Error updating entries:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { updateEntries };
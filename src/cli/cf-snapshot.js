@@ -0,0 +1,649 @@
+#!/usr/bin/env node
+/**
+ * Environment Snapshots
+ *
+ * `export` writes an environment's content model and content to a local
+ * directory; `import` restores such a directory into an empty environment.
+ *
+ * Snapshot directory (format "cf-snapshot", version 1):
+ *
+ *   manifest.json            { format, version, spaceId, environmentId,
+ *                              exportedAt, defaultLocale, counts, binaries }
+ *   locales.json             Locales, including the default locale
+ *   tags.json                Tags
+ *   content-types.json       Content types
+ *   editor-interfaces.json   Editor interfaces, one per content type
+ *   assets.json              Assets
+ *   entries.json             Entries
+ *   files/<asset>/<locale>/<fileName>   Asset binaries (--download-assets)
+ *
+ * Entities are stored as the CMA returns them and sorted by ID, so two
+ * exports of the same environment give the same files (apart from the
+ * manifest's exportedAt). `manifest.binaries` maps asset ID and locale to the
+ * downloaded file.
+ *
+ * Import creates locales, tags, content types (with their editor interfaces),
+ * assets and then entries, keeping every ID. Entries are created in two
+ * passes: first without their link fields, then updated with all fields once
+ * every entry exists, so links resolve regardless of order. Published and
+ * archived entities are published or archived again at the end, linked
+ * entries first; entries that had unpublished changes are published with
+ * those changes. An entry whose links only resolve to drafts cannot be
+ * published and is reported as a warning.
+ *
+ * Usage:
+ *   node src/cli/cf-snapshot.js export [--out <dir>] [--download-assets]
+ *   node src/cli/cf-snapshot.js import <dir> [--dry-run]
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { getEnvironment, getProfileDefaults, withRetry } = require("../core");
+const { parseArgs } = require("../utils/cli-args");
+const logger = require("../utils/logger");
+const { hasLinks, orderByLinks } = require("../utils/link-order");
+
+const SNAPSHOT_FORMAT = "cf-snapshot";
+const SNAPSHOT_VERSION = 1;
+
+const FILES = {
+  locales: "locales.json",
+  tags: "tags.json",
+  contentTypes: "content-types.json",
+  editorInterfaces: "editor-interfaces.json",
+  assets: "assets.json",
+  entries: "entries.json",
+};
+
+const PAGE_SIZE = 500;
+
+// Editor interface properties that are copied on import (sys is not)
+const EDITOR_INTERFACE_KEYS = [
+  "controls",
+  "sidebar",
+  "editor",
+  "editors",
+  "editorLayout",
+  "groupControls",
+];
+
+class SnapshotError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - Individual problems
+   */
+  constructor(message, errors = []) {
+    super(
+      errors.length > 0 ? `${message}\n  - ${errors.join("\n  - ")}` : message
+    );
+    this.name = "SnapshotError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * @param {string} spaceId
+ * @param {string} environmentId
+ * @returns {string} snapshots/snapshot-<time>-<space>-<environment>
+ */
+function defaultSnapshotDir(spaceId, environmentId) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.join(
+    process.env.CONTENTFUL_SNAPSHOT_DIR || "snapshots",
+    `snapshot-${timestamp}-${spaceId}-${environmentId}`
+  );
+}
+
+async function fetchAll(env, method, label) {
+  const items = [];
+  let total = Infinity;
+  while (items.length < total) {
+    const page = await withRetry(
+      () => env[method]({ limit: PAGE_SIZE, skip: items.length }),
+      `fetching ${label}`
+    );
+    total = page.total;
+    items.push(...page.items);
+    if (page.items.length === 0) break;
+  }
+  return items;
+}
+
+const plain = (entity) =>
+  typeof entity.toPlainObject === "function" ? entity.toPlainObject() : entity;
+
+const byId = (a, b) => (a.sys.id < b.sys.id ? -1 : a.sys.id > b.sys.id ? 1 : 0);
+
+/**
+ * Download a file, e.g. an asset binary
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+async function downloadFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`GET ${url} returned ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+/**
+ * Export an environment to a snapshot directory
+ * @param {object} options
+ * @param {string} options.spaceId
+ * @param {string} options.environmentId
+ * @param {string} options.accessToken
+ * @param {string} [options.outDir] - Default: snapshots/snapshot-<time>-<space>-<environment>
+ * @param {boolean} [options.downloadAssets] - Also download asset binaries
+ * @param {Function} [options.download] - (url) => Promise<Buffer>, for tests
+ * @returns {Promise<{directory: string, manifest: object}>}
+ */
+async function exportSnapshot(options) {
+  const { spaceId, environmentId, accessToken } = options;
+  const directory =
+    options.outDir || defaultSnapshotDir(spaceId, environmentId);
+  if (fs.existsSync(directory) && fs.readdirSync(directory).length > 0) {
+    throw new SnapshotError(`Snapshot directory ${directory} is not empty`);
+  }
+  const env = await getEnvironment({ spaceId, environmentId, accessToken });
+
+  logger.info(`Exporting ${spaceId}/${environmentId} to ${directory}`);
+  const locales = (
+    await withRetry(() => env.getLocales(), "fetching locales")
+  ).items.map(plain);
+  const data = {
+    locales: locales.sort((a, b) => a.code.localeCompare(b.code)),
+    tags: (await fetchAll(env, "getTags", "tags")).map(plain).sort(byId),
+    contentTypes: (await fetchAll(env, "getContentTypes", "content types"))
+      .map(plain)
+      .sort(byId),
+    editorInterfaces: (
+      await withRetry(
+        () => env.getEditorInterfaces(),
+        "fetching editor interfaces"
+      )
+    ).items
+      .map(plain)
+      .sort((a, b) =>
+        a.sys.contentType.sys.id.localeCompare(b.sys.contentType.sys.id)
+      ),
+    assets: (await fetchAll(env, "getAssets", "assets")).map(plain).sort(byId),
+    entries: (await fetchAll(env, "getEntries", "entries"))
+      .map(plain)
+      .sort(byId),
+  };
+
+  fs.mkdirSync(directory, { recursive: true });
+  const binaries = options.downloadAssets
+    ? await downloadBinaries(data.assets, directory, options.download)
+    : null;
+
+  for (const [key, file] of Object.entries(FILES)) {
+    writeJson(path.join(directory, file), data[key]);
+  }
+  const defaultLocale = locales.find((locale) => locale.default);
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    spaceId,
+    environmentId,
+    exportedAt: new Date().toISOString(),
+    defaultLocale: defaultLocale ? defaultLocale.code : null,
+    counts: Object.fromEntries(
+      Object.keys(FILES).map((key) => [key, data[key].length])
+    ),
+    binaries,
+  };
+  writeJson(path.join(directory, "manifest.json"), manifest);
+  logger.success(
+    `Exported ${Object.entries(manifest.counts)
+      .map(([key, count]) => `${count} ${key}`)
+      .join(", ")}`
+  );
+  return { directory, manifest };
+}
+
+async function downloadBinaries(assets, directory, download = downloadFile) {
+  const binaries = {};
+  for (const asset of assets) {
+    const files = (asset.fields && asset.fields.file) || {};
+    for (const [locale, file] of Object.entries(files)) {
+      if (!file || !file.url) continue;
+      const relative = path.posix.join(
+        "files",
+        asset.sys.id,
+        locale,
+        path.basename(file.fileName || file.url)
+      );
+      const content = await withRetry(
+        () =>
+          download(file.url.startsWith("//") ? `https:${file.url}` : file.url),
+        { operation: `downloading ${asset.sys.id} (${locale})`, timeoutMs: 0 }
+      );
+      fs.mkdirSync(path.dirname(path.join(directory, relative)), {
+        recursive: true,
+      });
+      fs.writeFileSync(path.join(directory, relative), content);
+      binaries[asset.sys.id] = binaries[asset.sys.id] || {};
+      binaries[asset.sys.id][locale] = relative;
+    }
+  }
+  return binaries;
+}
+
+/**
+ * Read and check a snapshot directory
+ * @param {string} directory
+ * @returns {object} { directory, manifest, locales, tags, contentTypes, editorInterfaces, assets, entries }
+ * @throws {SnapshotError} When the directory is not a complete snapshot
+ */
+function readSnapshot(directory) {
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+    } catch (error) {
+      throw new SnapshotError(
+        `Cannot read ${path.join(directory, file)}: ${error.message}`
+      );
+    }
+  };
+  const manifest = read("manifest.json");
+  if (
+    manifest.format !== SNAPSHOT_FORMAT ||
+    manifest.version !== SNAPSHOT_VERSION
+  ) {
+    throw new SnapshotError(
+      `${directory} is not a ${SNAPSHOT_FORMAT} version ${SNAPSHOT_VERSION} snapshot`
+    );
+  }
+  const snapshot = { directory, manifest };
+  const errors = [];
+  for (const [key, file] of Object.entries(FILES)) {
+    snapshot[key] = read(file);
+    if (!Array.isArray(snapshot[key])) {
+      errors.push(`${file} must contain an array`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new SnapshotError(`Invalid snapshot ${directory}`, errors);
+  }
+  return snapshot;
+}
+
+// Validation errors name the links that do not resolve
+function describeError(error) {
+  const errors = (error.details && error.details.errors) || [];
+  const unresolved = errors
+    .filter((item) => item.name === "notResolvable" && item.link)
+    .map((item) => item.link.id);
+  return unresolved.length > 0
+    ? `${error.message} (unresolved links: ${unresolved.join(", ")})`
+    : error.message;
+}
+
+// First import pass: every field/locale that holds a link is left out
+function withoutLinks(fields = {}) {
+  const result = {};
+  for (const [field, locales] of Object.entries(fields)) {
+    for (const [locale, value] of Object.entries(locales || {})) {
+      if (hasLinks(value)) continue;
+      result[field] = result[field] || {};
+      result[field][locale] = value;
+    }
+  }
+  return result;
+}
+
+// Fallbacks must exist before the locales that use them
+function orderLocales(locales) {
+  const ordered = [];
+  const pending = [...locales];
+  while (pending.length > 0) {
+    const index = pending.findIndex(
+      (locale) =>
+        !locale.fallbackCode ||
+        ordered.some((done) => done.code === locale.fallbackCode) ||
+        !pending.some((other) => other.code === locale.fallbackCode)
+    );
+    ordered.push(...pending.splice(index === -1 ? 0 : index, 1));
+  }
+  return ordered;
+}
+
+async function assertEmpty(env, label) {
+  const problems = [];
+  for (const [method, name] of [
+    ["getContentTypes", "content types"],
+    ["getEntries", "entries"],
+    ["getAssets", "assets"],
+  ]) {
+    const { total } = await withRetry(
+      () => env[method]({ limit: 1 }),
+      `counting ${name}`
+    );
+    if (total > 0) problems.push(`${total} ${name}`);
+  }
+  if (problems.length > 0) {
+    throw new SnapshotError(
+      `Target environment ${label} is not empty (${problems.join(
+        ", "
+      )}); snapshots are only imported into empty environments`
+    );
+  }
+}
+
+/**
+ * Import a snapshot into an empty environment
+ * @param {string} directory - Snapshot directory written by exportSnapshot
+ * @param {object} options
+ * @param {string} options.spaceId
+ * @param {string} options.environmentId
+ * @param {string} options.accessToken
+ * @param {boolean} [options.dryRun] - Only check the snapshot and the target
+ * @returns {Promise<object>} { snapshot, spaceId, environmentId, dryRun, created, published, archived, failed, warnings }
+ * @throws {SnapshotError} When the snapshot is invalid or the target is not empty
+ */
+async function importSnapshot(directory, options) {
+  const { spaceId, environmentId, accessToken } = options;
+  const snapshot = readSnapshot(directory);
+  const env = await getEnvironment({ spaceId, environmentId, accessToken });
+  const label = `${spaceId}/${environmentId}`;
+
+  await assertEmpty(env, label);
+  const targetLocales = (
+    await withRetry(() => env.getLocales(), "fetching locales")
+  ).items;
+  const targetDefault = targetLocales.find((locale) => locale.default);
+  if (
+    snapshot.manifest.defaultLocale &&
+    targetDefault &&
+    targetDefault.code !== snapshot.manifest.defaultLocale
+  ) {
+    throw new SnapshotError(
+      `The snapshot's default locale is ${snapshot.manifest.defaultLocale}, ${label} uses ${targetDefault.code}`
+    );
+  }
+
+  const report = {
+    snapshot: directory,
+    spaceId,
+    environmentId,
+    dryRun: Boolean(options.dryRun),
+    created: Object.fromEntries(Object.keys(FILES).map((key) => [key, 0])),
+    published: 0,
+    archived: 0,
+    failed: [],
+    warnings: [],
+  };
+  if (report.dryRun) {
+    report.created = {
+      ...snapshot.manifest.counts,
+      locales: snapshot.locales.filter(
+        (locale) => !targetLocales.some((t) => t.code === locale.code)
+      ).length,
+    };
+    return report;
+  }
+
+  const attempt = async (type, id, fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      report.failed.push({ type, id, error: error.message });
+      return null;
+    }
+  };
+  // The entity exists either way, so a refused publish or archive is a warning
+  const restoreState = async (type, raw, entity) => {
+    const action = raw.sys.archivedVersion
+      ? "archive"
+      : raw.sys.publishedVersion
+      ? "publish"
+      : null;
+    if (!action) return;
+    try {
+      await withRetry(
+        () => entity[action](),
+        `${action === "archive" ? "archiving" : "publishing"} ${type} ${
+          raw.sys.id
+        }`
+      );
+      report[action === "archive" ? "archived" : "published"]++;
+    } catch (error) {
+      report.warnings.push(
+        `${type} ${
+          raw.sys.id
+        } was imported but could not be ${action}ed: ${describeError(error)}`
+      );
+    }
+  };
+
+  logger.info(`Importing ${directory} into ${label}`);
+  for (const locale of orderLocales(snapshot.locales)) {
+    if (targetLocales.some((target) => target.code === locale.code)) continue;
+    await attempt("Locale", locale.code, async () => {
+      const { name, code, fallbackCode, optional } = locale;
+      await withRetry(
+        () =>
+          env.createLocale({
+            name,
+            code,
+            fallbackCode: fallbackCode || null,
+            optional: Boolean(optional),
+            contentDeliveryApi: locale.contentDeliveryApi !== false,
+            contentManagementApi: locale.contentManagementApi !== false,
+          }),
+        `creating locale ${code}`
+      );
+      report.created.locales++;
+    });
+  }
+
+  for (const tag of snapshot.tags) {
+    await attempt("Tag", tag.sys.id, async () => {
+      await withRetry(
+        () => env.createTag(tag.sys.id, tag.name, tag.sys.visibility),
+        `creating tag ${tag.sys.id}`
+      );
+      report.created.tags++;
+    });
+  }
+
+  const editorInterfaces = new Map(
+    snapshot.editorInterfaces.map((ei) => [ei.sys.contentType.sys.id, ei])
+  );
+  for (const raw of snapshot.contentTypes) {
+    const id = raw.sys.id;
+    await attempt("ContentType", id, async () => {
+      const { name, description, displayField, fields } = raw;
+      const contentType = await withRetry(
+        () =>
+          env.createContentTypeWithId(id, {
+            name,
+            description,
+            displayField,
+            fields,
+          }),
+        `creating content type ${id}`
+      );
+      report.created.contentTypes++;
+      await restoreState("content type", raw, contentType);
+
+      const saved = editorInterfaces.get(id);
+      if (!saved) return;
+      const editorInterface = await withRetry(
+        () => env.getEditorInterfaceForContentType(id),
+        `fetching editor interface ${id}`
+      );
+      for (const key of EDITOR_INTERFACE_KEYS) {
+        if (saved[key] !== undefined) editorInterface[key] = saved[key];
+      }
+      await withRetry(
+        () => editorInterface.update(),
+        `updating editor interface ${id}`
+      );
+      report.created.editorInterfaces++;
+    });
+  }
+
+  const binaries = snapshot.manifest.binaries || {};
+  for (const raw of snapshot.assets) {
+    const id = raw.sys.id;
+    await attempt("Asset", id, async () => {
+      const fields = await assetFields(env, raw, binaries[id], directory);
+      const created = await withRetry(
+        () => env.createAssetWithId(id, { fields, metadata: raw.metadata }),
+        `creating asset ${id}`
+      );
+      report.created.assets++;
+      const processed = await withRetry(() => created.processForAllLocales(), {
+        operation: `processing asset ${id}`,
+        timeoutMs: 0,
+      });
+      await restoreState("asset", raw, processed);
+    });
+  }
+
+  // Pass 1: every entry exists, without links
+  const created = new Map();
+  for (const raw of snapshot.entries) {
+    const id = raw.sys.id;
+    await attempt("Entry", id, async () => {
+      const entry = await withRetry(
+        () =>
+          env.createEntryWithId(raw.sys.contentType.sys.id, id, {
+            fields: withoutLinks(raw.fields),
+            metadata: raw.metadata,
+          }),
+        `creating entry ${id}`
+      );
+      created.set(id, entry);
+      report.created.entries++;
+    });
+  }
+  // Pass 2: links, then publish/archive state with linked entries first
+  for (const raw of snapshot.entries) {
+    const id = raw.sys.id;
+    if (!created.has(id) || !hasLinks(raw.fields)) continue;
+    await attempt("Entry", id, async () => {
+      const entry = created.get(id);
+      entry.fields = raw.fields;
+      created.set(
+        id,
+        await withRetry(() => entry.update(), `linking entry ${id}`)
+      );
+    });
+  }
+  for (const raw of orderByLinks(snapshot.entries)) {
+    const entry = created.get(raw.sys.id);
+    if (!entry) continue;
+    await restoreState("entry", raw, entry);
+  }
+
+  logger.info(
+    `Imported ${Object.entries(report.created)
+      .map(([key, count]) => `${count} ${key}`)
+      .join(", ")}; ${report.failed.length} failed`
+  );
+  report.warnings.forEach((warning) => logger.warn(warning));
+  return report;
+}
+
+/**
+ * Asset fields for import: uploaded from the snapshot's binaries when it has
+ * them, otherwise fetched again from the exported URL
+ */
+async function assetFields(env, raw, binaries = {}, directory) {
+  const fields = JSON.parse(JSON.stringify(raw.fields || {}));
+  for (const [locale, file] of Object.entries(fields.file || {})) {
+    if (!file) continue;
+    const { fileName, contentType } = file;
+    if (binaries[locale]) {
+      const content = fs.readFileSync(path.join(directory, binaries[locale]));
+      const upload = await withRetry(
+        () => env.createUpload({ file: content }),
+        { operation: `uploading ${raw.sys.id} (${locale})`, timeoutMs: 0 }
+      );
+      fields.file[locale] = {
+        fileName,
+        contentType,
+        uploadFrom: {
+          sys: { type: "Link", linkType: "Upload", id: upload.sys.id },
+        },
+      };
+    } else if (file.url) {
+      fields.file[locale] = {
+        fileName,
+        contentType,
+        upload: file.url.startsWith("//") ? `https:${file.url}` : file.url,
+      };
+    }
+  }
+  return fields;
+}
+
+async function main(argv) {
+  const { options, positionals } = parseArgs(argv, [
+    { name: "out", value: "dir" },
+    { name: "download-assets" },
+    { name: "dry-run" },
+    { name: "space", value: "id" },
+    { name: "env", value: "id" },
+  ]);
+  const [command, directory] = positionals;
+  const defaults = getProfileDefaults("snapshot");
+  const connection = {
+    spaceId: options.space || defaults.spaceId,
+    environmentId: options.env || defaults.environmentId,
+    accessToken: defaults.token,
+  };
+
+  if (command === "export") {
+    await exportSnapshot({
+      ...connection,
+      outDir: options.out,
+      downloadAssets: Boolean(options.downloadAssets),
+    });
+    return 0;
+  }
+  if (command === "import" && directory) {
+    const report = await importSnapshot(directory, {
+      ...connection,
+      dryRun: Boolean(options.dryRun),
+    });
+    report.failed.forEach((failure) =>
+      logger.error(`${failure.type} ${failure.id}: ${failure.error}`)
+    );
+    return report.failed.length === 0 ? 0 : 1;
+  }
+  logger.error(
+    "Usage: node src/cli/cf-snapshot.js export [--out <dir>] [--download-assets]\n" +
+      "       node src/cli/cf-snapshot.js import <dir> [--dry-run]"
+  );
+  return 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  SnapshotError,
+  defaultSnapshotDir,
+  exportSnapshot,
+  readSnapshot,
+  importSnapshot,
+};
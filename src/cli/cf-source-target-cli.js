@@ -13,10 +13,12 @@
  *   node cf-source-target-cli.js --entry-id <entry-id> --config-file <config-file-path>
  *
  * Additional options:
- *   --source-env <env-id>          Source environment ID (default: from .env)
- *   --source-space <space-id>      Source space ID (default: from .env)
- *   --target-env <env-id>          Target environment ID (default: from .env)
- *   --target-space <space-id>      Target space ID (default: from .env)
+ *   --source-profile <name>        Source profile (default: transformSource in config/profiles.json)
+ *   --target-profile <name>        Target profile (default: transformTarget)
+ *   --source-env <env-id>          Source environment ID (overrides the profile)
+ *   --source-space <space-id>      Source space ID (overrides the profile)
+ *   --target-env <env-id>          Target environment ID (overrides the profile)
+ *   --target-space <space-id>      Target space ID (overrides the profile)
  *   --publish                      Publish entries after creation
  *   --verbose                      Enable detailed logging
  *   --config-file                  Path to config file (default: ./content-type-mappings.json)
@@ -25,7 +27,12 @@
  *   node cf-source-target-cli.js --entry-id 12345 --config-file ./my-mappings.json
  */
 
-const contentful = require("contentful-management");
+const {
+  createClient,
+  withRetry,
+  getProfile,
+  getProfileDefaults,
+} = require("../core");
 const fs = require("fs");
 const path = require("path");
 const logger = require("../utils/logger");
@@ -34,13 +41,16 @@ require("dotenv").config();
 // Create a dedicated logger for this script
 const migrationLogger = logger.createChild("content-transform");
 
+const SOURCE = getProfileDefaults("transformSource");
+const TARGET = getProfileDefaults("transformTarget");
+
 // Default configuration
 const config = {
-  sourceSpaceId: process.env.SPACE_ID_DE_DE,
-  sourceEnvironmentId: process.env.ENV_DE_DE,
-  targetSpaceId: process.env.SPACE_ID_FR_FR,
-  targetEnvironmentId: process.env.ENV_FR_FR,
-  accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
+  sourceSpaceId: SOURCE.spaceId,
+  sourceEnvironmentId: SOURCE.environmentId,
+  targetSpaceId: TARGET.spaceId,
+  targetEnvironmentId: TARGET.environmentId,
+  accessToken: TARGET.token,
   entryIds: [
     "7qwM0p7XUC4TSYg4xqKYYf",
     "2IEDSXtyMWbfMwVTpWdWyj",
@@ -55,7 +65,6 @@ const config = {
   skipExisting: true, // Skip entries/assets that already exist instead of updating them
   enableCrossSpaceMigration: true, // Enable automatic cross-space asset migration
   rateLimitDelay: 500,
-  maxRetries: 5,
   processedEntries: new Set(), // Track already processed entries to avoid duplicates
   processedAssets: new Set(), // Track already processed assets to avoid duplicates
 };
@@ -103,6 +112,19 @@ function parseArgs() {
       case "--config-file":
         config.configFile = args[++i];
         break;
+      case "--source-profile": {
+        const profile = getProfile(args[++i]);
+        config.sourceSpaceId = profile.spaceId;
+        config.sourceEnvironmentId = profile.environmentId;
+        break;
+      }
+      case "--target-profile": {
+        const profile = getProfile(args[++i]);
+        config.targetSpaceId = profile.spaceId;
+        config.targetEnvironmentId = profile.environmentId;
+        config.accessToken = profile.token;
+        break;
+      }
       case "--source-env":
         config.sourceEnvironmentId = args[++i];
         break;
@@ -143,40 +165,39 @@ function parseArgs() {
         migrationLogger.warn(`Unknown argument: ${arg}`);
     }
     i++;
-  } // Validate required parameters
+  }
+}
+
+/**
+ * Validate the merged configuration and load the content type mappings
+ * @throws {Error} When required IDs are missing or the mappings are invalid
+ */
+function validateConfig() {
+  let message = null;
+
   if (
     config.migrationType === "entry" &&
     (!config.entryIds || config.entryIds.length === 0)
   ) {
-    migrationLogger.error(
-      "Missing required entry ID parameter for entry migration"
-    );
-    printUsage();
-    process.exit(1);
-  }
-
-  if (
+    message = "Missing required entry ID parameter for entry migration";
+  } else if (
     config.migrationType === "asset" &&
     (!config.assetIds || config.assetIds.length === 0)
   ) {
-    migrationLogger.error(
-      "Missing required asset ID parameter for asset migration"
-    );
-    printUsage();
-    process.exit(1);
-  }
-
-  if (
+    message = "Missing required asset ID parameter for asset migration";
+  } else if (
     config.migrationType === "both" &&
     (!config.entryIds ||
       !config.assetIds ||
       (config.entryIds.length === 0 && config.assetIds.length === 0))
   ) {
-    migrationLogger.error(
-      "Missing required entry ID or asset ID parameters for 'both' migration type"
-    );
-    printUsage();
-    process.exit(1);
+    message =
+      "Missing required entry ID or asset ID parameters for 'both' migration type";
+  }
+
+  if (message) {
+    migrationLogger.error(message);
+    throw new Error(message);
   }
 
   // Load content type mappings
@@ -201,10 +222,12 @@ Asset Migration:
 
 Optional:
   --config-file <path>    Path to content type mappings config file
-  --source-env <env>      Source environment ID (default: from .env)
-  --source-space <space>  Source space ID (default: from .env)
-  --target-env <env>      Target environment ID (default: from .env)
-  --target-space <space>  Target space ID (default: from .env)
+  --source-profile <name> Source profile (default: transformSource in config/profiles.json)
+  --target-profile <name> Target profile (default: transformTarget)
+  --source-env <env>      Source environment ID (overrides the profile)
+  --source-space <space>  Source space ID (overrides the profile)
+  --target-env <env>      Target environment ID (overrides the profile)
+  --target-space <space>  Target space ID (overrides the profile)
   --default-locale <loc>  Default locale to use (default: en-US)
   --publish              Publish after creation
   --verbose             Enable detailed logging
@@ -278,8 +301,7 @@ function loadContentTypeMappings() {
           `Created default mapping file at ${config.configFile}`
         );
       } else {
-        migrationLogger.error(`Config file not found: ${config.configFile}`);
-        process.exit(1);
+        throw new Error(`Config file not found: ${config.configFile}`);
       }
     }
 
@@ -290,10 +312,9 @@ function loadContentTypeMappings() {
       !Array.isArray(contentTypeMappings) ||
       contentTypeMappings.length === 0
     ) {
-      migrationLogger.error(
+      throw new Error(
         "Config file must contain an array of content type mappings"
       );
-      process.exit(1);
     }
 
     migrationLogger.info(
@@ -303,43 +324,8 @@ function loadContentTypeMappings() {
     migrationLogger.error(
       `Failed to load content type mappings: ${error.message}`
     );
-    process.exit(1);
-  }
-}
-
-/**
- * Retry a function with exponential backoff for rate limiting
- * @param {Function} fn - The async function to execute
- * @param {string} operation - Name of the operation for logging
- * @returns {Promise<any>}
- */
-async function retryWithBackoff(fn, operation) {
-  let attempt = 0;
-
-  while (attempt < config.maxRetries) {
-    try {
-      return await fn();
-    } catch (error) {
-      // Check if it's a rate limit error
-      if (error.name === "RateLimitExceeded") {
-        const wait = (error.retryAfter || 2 ** attempt) * 1000;
-        migrationLogger.warn(
-          `Rate limit hit during ${operation}. Retrying in ${wait}ms... (Attempt ${
-            attempt + 1
-          }/${config.maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, wait));
-        attempt++;
-      } else {
-        // For non-rate limit errors, throw immediately
-        throw error;
-      }
-    }
+    throw error;
   }
-
-  throw new Error(
-    `Operation ${operation} failed after ${config.maxRetries} attempts due to rate limits.`
-  );
 }
 
 /**
@@ -349,7 +335,7 @@ async function retryWithBackoff(fn, operation) {
  * @returns {Promise<import('contentful-management').Environment>}
  */
 async function getEnvironment(spaceId, environmentId) {
-  const client = contentful.createClient({ accessToken: config.accessToken });
+  const client = createClient({ accessToken: config.accessToken });
   const space = await client.getSpace(spaceId);
   return space.getEnvironment(environmentId);
 }
@@ -420,7 +406,7 @@ async function migrateAssetCore(
     );
 
     // Get the asset from source environment
-    const sourceAsset = await retryWithBackoff(
+    const sourceAsset = await withRetry(
       () => sourceEnv.getAsset(assetId),
       `get source asset ${assetId}`
     );
@@ -430,7 +416,7 @@ async function migrateAssetCore(
     let assetExists = false;
 
     try {
-      targetAsset = await retryWithBackoff(
+      targetAsset = await withRetry(
         () => targetEnv.getAsset(assetId),
         `check target asset ${assetId}`
       );
@@ -486,7 +472,7 @@ async function migrateAssetCore(
       }
 
       // Create the asset with the same ID in target environment
-      targetAsset = await retryWithBackoff(
+      targetAsset = await withRetry(
         () => targetEnv.createAssetWithId(assetId, { fields: mappedFields }),
         `create asset ${assetId}`
       );
@@ -503,7 +489,7 @@ async function migrateAssetCore(
     // Publish the asset if requested
     if (config.publish) {
       try {
-        await retryWithBackoff(
+        await withRetry(
           () => targetAsset.publish(),
           `publish asset ${assetId}`
         );
@@ -584,7 +570,7 @@ async function processReferencedEntry(entryLink, sourceEnv, targetEnv) {
     config.processedEntries.add(entryId);
 
     // Get the entry from source environment
-    const sourceEntry = await retryWithBackoff(
+    const sourceEntry = await withRetry(
       () => sourceEnv.getEntry(entryId),
       `get referenced entry ${entryId}`
     );
@@ -983,7 +969,7 @@ async function migrateEntry(
 
     // Get the entry from the source environment
     migrationLogger.info(`Processing entry ${_entryId}...`);
-    const sourceEntry = await retryWithBackoff(
+    const sourceEntry = await withRetry(
       () => _sourceEnv.getEntry(_entryId),
       `fetch entry ${_entryId}`
     );
@@ -1023,7 +1009,7 @@ async function migrateEntry(
     ); // Check if entry already exists in target
     let targetEntry;
     try {
-      targetEntry = await retryWithBackoff(
+      targetEntry = await withRetry(
         () => _targetEnv.getEntry(_entryId),
         `check existing entry ${_entryId}`
       );
@@ -1051,7 +1037,7 @@ async function migrateEntry(
         );
 
         // We need to create a new entry with the correct content type
-        targetEntry = await retryWithBackoff(
+        targetEntry = await withRetry(
           () =>
             _targetEnv.createEntryWithId(
               targetContentTypeId,
@@ -1068,7 +1054,7 @@ async function migrateEntry(
         migrationLogger.info(
           `Creating new entry with ID ${_entryId} in target environment...`
         );
-        targetEntry = await retryWithBackoff(
+        targetEntry = await withRetry(
           () =>
             _targetEnv.createEntryWithId(targetContentTypeId, _entryId, {
               fields: {},
@@ -1084,7 +1070,7 @@ async function migrateEntry(
     targetEntry.fields = mappedFields;
 
     // Save the entry
-    const updatedEntry = await retryWithBackoff(
+    const updatedEntry = await withRetry(
       () => targetEntry.update(),
       `update entry ${_entryId}`
     );
@@ -1095,7 +1081,7 @@ async function migrateEntry(
 
     // Publish if requested
     if (config.publish) {
-      await retryWithBackoff(
+      await withRetry(
         () => updatedEntry.publish(),
         `publish entry ${_entryId}`
       );
@@ -1494,13 +1480,13 @@ async function processAssetWithErrorHandling(asset, assetId, targetEnv) {
       migrationLogger.info(
         `Updating asset ${assetId} with migrated file URLs...`
       );
-      await retryWithBackoff(
+      await withRetry(
         () => asset.update(),
         `update asset ${assetId} with new URLs`
       );
 
       // Get fresh asset instance after update for processing
-      asset = await retryWithBackoff(
+      asset = await withRetry(
         () => targetEnv.getAsset(assetId),
         `refresh asset ${assetId} after URL update`
       );
@@ -1521,7 +1507,7 @@ async function processAssetWithErrorHandling(asset, assetId, targetEnv) {
 
     // Process the asset for all locales in TARGET environment
     migrationLogger.info(`Processing asset ${assetId} for all locales...`);
-    await retryWithBackoff(
+    await withRetry(
       () => asset.processForAllLocales(),
       `process asset ${assetId} for all locales`
     );
@@ -1604,7 +1590,7 @@ async function waitForAssetProcessing(asset, assetId, targetEnv) {
   while (Date.now() - startTime < maxWaitTime) {
     try {
       // Refresh asset to get latest status
-      const refreshedAsset = await retryWithBackoff(
+      const refreshedAsset = await withRetry(
         () => targetEnv.getAsset(assetId),
         `refresh asset ${assetId} status`
       );
@@ -1701,13 +1687,13 @@ async function handleAssetProcessingError(error, assetId, asset, targetEnv) {
         );
 
         // Update the asset with new URLs
-        await retryWithBackoff(
+        await withRetry(
           () => asset.update(),
           `update asset ${assetId} after cross-space migration`
         );
 
         // Retry processing
-        await retryWithBackoff(
+        await withRetry(
           () => asset.processForAllLocales(),
           `retry processing asset ${assetId} after cross-space migration`
         );
@@ -1784,7 +1770,7 @@ async function getContentType(env, contentTypeId) {
   }
 
   try {
-    const contentType = await retryWithBackoff(
+    const contentType = await withRetry(
       () => env.getContentType(contentTypeId),
       `fetch content type ${contentTypeId}`
     );
@@ -1839,31 +1825,76 @@ function isMultipleField(contentType, fieldId) {
 }
 
 /**
- * Main function
+ * Run the transformation with the current configuration
+ * @param {Object} overrides - Values replacing the defaults in config
+ * @returns {Promise<{success: Array, failure: Array}>} Per-item results
  */
-async function main() {
-  try {
-    // Parse command line arguments
-    parseArgs();
+async function runTransform(overrides = {}) {
+  Object.assign(config, overrides);
+  validateConfig();
 
-    migrationLogger.info("Starting migration process...");
+  migrationLogger.info("Starting migration process...");
 
-    // Connect to source and target environments
-    migrationLogger.info("Connecting to Contentful environments...");
-    const sourceEnv = await getEnvironment(
-      config.sourceSpaceId,
-      config.sourceEnvironmentId
-    );
-    const targetEnv = await getEnvironment(
-      config.targetSpaceId,
-      config.targetEnvironmentId
-    );
+  // Connect to source and target environments
+  migrationLogger.info("Connecting to Contentful environments...");
+  const sourceEnv = await getEnvironment(
+    config.sourceSpaceId,
+    config.sourceEnvironmentId
+  );
+  const targetEnv = await getEnvironment(
+    config.targetSpaceId,
+    config.targetEnvironmentId
+  );
+
+  const results = { success: [], failure: [] };
+
+  // Process based on migration type
+  switch (config.migrationType) {
+    case "entry":
+      migrationLogger.info(
+        `Processing ${config.entryIds.length} entries: ${config.entryIds.join(
+          ", "
+        )}`
+      );
+      for (const entryId of config.entryIds) {
+        try {
+          await migrateEntry(entryId, sourceEnv, targetEnv);
+          results.success.push({ type: "entry", id: entryId });
+        } catch (error) {
+          migrationLogger.error(`Failed to migrate entry ${entryId}:`, error);
+          results.failure.push({
+            type: "entry",
+            id: entryId,
+            error: error.message,
+          });
+        }
+      }
+      break;
 
-    const results = { success: [], failure: [] };
+    case "asset":
+      migrationLogger.info(
+        `Processing ${config.assetIds.length} assets: ${config.assetIds.join(
+          ", "
+        )}`
+      );
+      for (const assetId of config.assetIds) {
+        try {
+          await migrateAsset(assetId, sourceEnv, targetEnv);
+          results.success.push({ type: "asset", id: assetId });
+        } catch (error) {
+          migrationLogger.error(`Failed to migrate asset ${assetId}:`, error);
+          results.failure.push({
+            type: "asset",
+            id: assetId,
+            error: error.message,
+          });
+        }
+      }
+      break;
 
-    // Process based on migration type
-    switch (config.migrationType) {
-      case "entry":
+    case "both":
+      // Process entries first
+      if (config.entryIds.length > 0) {
         migrationLogger.info(
           `Processing ${config.entryIds.length} entries: ${config.entryIds.join(
             ", "
@@ -1882,9 +1913,10 @@ async function main() {
             });
           }
         }
-        break;
+      }
 
-      case "asset":
+      // Then process assets
+      if (config.assetIds.length > 0) {
         migrationLogger.info(
           `Processing ${config.assetIds.length} assets: ${config.assetIds.join(
             ", "
@@ -1903,112 +1935,68 @@ async function main() {
             });
           }
         }
-        break;
-
-      case "both":
-        // Process entries first
-        if (config.entryIds.length > 0) {
-          migrationLogger.info(
-            `Processing ${
-              config.entryIds.length
-            } entries: ${config.entryIds.join(", ")}`
-          );
-          for (const entryId of config.entryIds) {
-            try {
-              await migrateEntry(entryId, sourceEnv, targetEnv);
-              results.success.push({ type: "entry", id: entryId });
-            } catch (error) {
-              migrationLogger.error(
-                `Failed to migrate entry ${entryId}:`,
-                error
-              );
-              results.failure.push({
-                type: "entry",
-                id: entryId,
-                error: error.message,
-              });
-            }
-          }
-        }
+      }
+      break;
+  }
 
-        // Then process assets
-        if (config.assetIds.length > 0) {
-          migrationLogger.info(
-            `Processing ${
-              config.assetIds.length
-            } assets: ${config.assetIds.join(", ")}`
-          );
-          for (const assetId of config.assetIds) {
-            try {
-              await migrateAsset(assetId, sourceEnv, targetEnv);
-              results.success.push({ type: "asset", id: assetId });
-            } catch (error) {
-              migrationLogger.error(
-                `Failed to migrate asset ${assetId}:`,
-                error
-              );
-              results.failure.push({
-                type: "asset",
-                id: assetId,
-                error: error.message,
-              });
-            }
-          }
-        }
-        break;
-    }
+  // Display final summary
+  migrationLogger.success("Migration completed!");
 
-    // Display final summary
-    migrationLogger.success("Migration completed!");
+  if (results.success.length > 0) {
+    migrationLogger.success("Successfully processed:");
+    const successfulEntries = results.success.filter((r) => r.type === "entry");
+    const successfulAssets = results.success.filter((r) => r.type === "asset");
 
-    if (results.success.length > 0) {
-      migrationLogger.success("Successfully processed:");
-      const successfulEntries = results.success.filter(
-        (r) => r.type === "entry"
+    if (successfulEntries.length > 0) {
+      migrationLogger.success(
+        ` - ${successfulEntries.length} entries: ${successfulEntries
+          .map((e) => e.id)
+          .join(", ")}`
       );
-      const successfulAssets = results.success.filter(
-        (r) => r.type === "asset"
+    }
+    if (successfulAssets.length > 0) {
+      migrationLogger.success(
+        ` - ${successfulAssets.length} assets: ${successfulAssets
+          .map((a) => a.id)
+          .join(", ")}`
       );
-
-      if (successfulEntries.length > 0) {
-        migrationLogger.success(
-          ` - ${successfulEntries.length} entries: ${successfulEntries
-            .map((e) => e.id)
-            .join(", ")}`
-        );
-      }
-      if (successfulAssets.length > 0) {
-        migrationLogger.success(
-          ` - ${successfulAssets.length} assets: ${successfulAssets
-            .map((a) => a.id)
-            .join(", ")}`
-        );
-      }
     }
+  }
 
-    if (results.failure.length > 0) {
-      migrationLogger.warn("Failed to process:");
-      const failedEntries = results.failure.filter((r) => r.type === "entry");
-      const failedAssets = results.failure.filter((r) => r.type === "asset");
+  if (results.failure.length > 0) {
+    migrationLogger.warn("Failed to process:");
+    const failedEntries = results.failure.filter((r) => r.type === "entry");
+    const failedAssets = results.failure.filter((r) => r.type === "asset");
 
-      if (failedEntries.length > 0) {
-        migrationLogger.warn(
-          ` - ${failedEntries.length} entries: ${failedEntries
-            .map((e) => e.id)
-            .join(", ")}`
-        );
-      }
-      if (failedAssets.length > 0) {
-        migrationLogger.warn(
-          ` - ${failedAssets.length} assets: ${failedAssets
-            .map((a) => a.id)
-            .join(", ")}`
-        );
-      }
+    if (failedEntries.length > 0) {
+      migrationLogger.warn(
+        ` - ${failedEntries.length} entries: ${failedEntries
+          .map((e) => e.id)
+          .join(", ")}`
+      );
     }
-    migrationLogger.info(
-      `Total: processed ${config.processedEntries.size} entries and ${config.processedAssets.size} assets`
-    );
+    if (failedAssets.length > 0) {
+      migrationLogger.warn(
+        ` - ${failedAssets.length} assets: ${failedAssets
+          .map((a) => a.id)
+          .join(", ")}`
+      );
+    }
+  }
+  migrationLogger.info(
+    `Total: processed ${config.processedEntries.size} entries and ${config.processedAssets.size} assets`
+  );
+  return results;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    // Parse command line arguments
+    parseArgs();
+    const results = await runTransform();
 
     // Exit with appropriate code based on results
     if (results.failure.length > 0) {
@@ -2041,6 +2029,12 @@ async function main() {
   }
 }
 
-// Run the script
-parseArgs();
-main();
+// Run the script when executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runTransform,
+  config,
+};
@@ -1,27 +1,27 @@
-const contentful = require("contentful-management");
+const { createClient, getProfileDefaults } = require("../core");
 require("dotenv").config();
 const logger = console; // Replace with your logger if needed
 
-// Set up Contentful client
-const sdkClient = contentful.createClient({
-  accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-});
+const DEFAULT_CONNECTION = getProfileDefaults("contentUpdate");
 
-const SPACE_ID = process.env.MOBILE_APP_SPACE_ID;
-const ENVIRONMENT_ID = process.env.MOBILE_APP_ENV;
+// Connect to the target environment (defaults to the contentUpdate profile)
+const connect = async ({
+  spaceId = DEFAULT_CONNECTION.spaceId,
+  environmentId = DEFAULT_CONNECTION.environmentId,
+  accessToken = DEFAULT_CONNECTION.token,
+} = {}) => {
+  logger.info(`Using SPACE_ID: ${spaceId}, ENVIRONMENT_ID: ${environmentId}`);
+  const space = await createClient({ accessToken }).getSpace(spaceId);
+  return space.getEnvironment(environmentId);
+};
 
-const getPagesByType = async (type) => {
+const getPagesByType = async (env, type) => {
   if (!type) {
     logger.error("⛔ ERROR: Missing page type parameter");
     throw new Error("Missing page type parameter");
   }
   try {
     logger.info(`ℹ️ Fetching pages of type: ${type}...`);
-    logger.info(
-      `Using SPACE_ID: ${SPACE_ID}, ENVIRONMENT_ID: ${ENVIRONMENT_ID}`
-    );
-    const space = await sdkClient.getSpace(SPACE_ID);
-    const env = await space.getEnvironment(ENVIRONMENT_ID);
     const resp = await env.getEntries({
       content_type: "page",
       include: 3,
@@ -37,10 +37,8 @@ const getPagesByType = async (type) => {
   }
 };
 
-const getOptions = async () => {
+const getOptions = async (env) => {
   try {
-    const space = await sdkClient.getSpace(SPACE_ID);
-    const env = await space.getEnvironment(ENVIRONMENT_ID);
     const resp = await env.getEntries({
       content_type: "options",
       limit: 600,
@@ -52,8 +50,9 @@ const getOptions = async () => {
   }
 };
 
-const updateOptionsData = async () => {
-  const optionsEntries = await getOptions();
+const updateOptionsData = async (options = {}) => {
+  const env = await connect(options);
+  const optionsEntries = await getOptions(env);
   let total = optionsEntries.items.length;
   let processed = 0;
   for (const entry of optionsEntries.items) {
@@ -75,8 +74,6 @@ const updateOptionsData = async () => {
       await entry.update();
       console.log(`Updated entry ID: ${entry.sys.id} (${processed}/${total})`);
       await sleep(1000); // To avoid hitting rate limits
-      const space = await sdkClient.getSpace(SPACE_ID);
-      const env = await space.getEnvironment(ENVIRONMENT_ID);
       const latestVersionEntry = await env.getEntry(entry.sys.id);
       await latestVersionEntry.publish();
       console.log(
@@ -89,8 +86,9 @@ const updateOptionsData = async () => {
   }
 };
 
-const updateProductData = async () => {
-  const pages = await getPagesByType("product");
+const updateProductData = async (options = {}) => {
+  const env = await connect(options);
+  const pages = await getPagesByType(env, "product");
   for (const entry of pages.items) {
     const navigationName = entry.fields.navigationName;
     // For each items in fields.content[0], get entry of type productDetails or not
@@ -104,8 +102,6 @@ const updateProductData = async () => {
           firstContent.sys &&
           firstContent.sys.linkType === "Entry"
         ) {
-          const space = await sdkClient.getSpace(SPACE_ID);
-          const env = await space.getEnvironment(ENVIRONMENT_ID);
           const contentEntry = await env.getEntry(firstContent.sys.id);
           logger.info(`Content entry ID: ${contentEntry.sys.id}`);
           const isProductDetails =
@@ -131,6 +127,10 @@ const sleep = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
-(async () => {
-  await updateOptionsData();
-})();
+if (require.main === module) {
+  (async () => {
+    await updateOptionsData();
+  })();
+}
+
+module.exports = { updateOptionsData, updateProductData };
@@ -1,7 +1,12 @@
 // Script to update a Contentful field by replacing non-English letters with English equivalents
 // Usage: Set env variables ENV, SPACE, ACCESSTOKEN, CONTENTTYPE, FIELD
 
-const contentful = require("contentful-management");
+const {
+  createClient,
+  getDefaultQueue,
+  updateAndPublish,
+  getProfileDefaults,
+} = require("../core");
 require("dotenv").config();
 
 // Helper: Replace accented letters with English equivalents
@@ -25,59 +30,35 @@ function replaceAccents(str) {
   if (!s.endsWith("/")) s += "/";
   return s;
 }
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const DEFAULT_CONNECTION = getProfileDefaults("urlUpdate");
+const DEFAULTS = {
+  environmentId: DEFAULT_CONNECTION.environmentId,
+  spaceId: DEFAULT_CONNECTION.spaceId,
+  accessToken: DEFAULT_CONNECTION.token,
+  contentType: "buttonLink",
+  field: "url",
+};
 
-async function safeUpdateAndPublish(entry, env, maxRetries = 5) {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      const updatedEntry = await entry.update();
-      console.log(`Updated entry ${entry.sys.id}`);
-      await sleep(2000);
-      const latestEntry = await env.getEntry(entry.sys.id);
-      await latestEntry.publish();
-      console.log(`Published entry ${entry.sys.id}`);
-      return;
-    } catch (err) {
-      if (
-        err.name === "RateLimitExceeded" ||
-        (err.response && err.response.status === 429)
-      ) {
-        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
-        console.warn(
-          `Rate limit hit for entry ${
-            entry.sys.id
-          }, retrying in ${delay}ms (attempt ${attempt + 1})...`
-        );
-        await sleep(delay);
-        attempt++;
-      } else {
-        throw err;
-      }
-    }
-  }
-  throw new Error(
-    `Failed to update/publish entry ${entry.sys.id} after ${maxRetries} retries due to rate limits.`
-  );
-}
-
-const env = process.env.ENV_DE_DE;
-const spaceId = process.env.SPACE_ID_DE_DE;
-const accessToken = process.env.CONTENTFUL_MANAGEMENT_TOKEN;
-const contentType = "buttonLink";
-const field = "url";
+/**
+ * Normalize a URL field on every entry of a content type
+ * @param {object} options - Overrides for DEFAULTS
+ */
+async function updateEntries(options = {}) {
+  const {
+    environmentId: env = DEFAULTS.environmentId,
+    spaceId = DEFAULTS.spaceId,
+    accessToken = DEFAULTS.accessToken,
+    contentType = DEFAULTS.contentType,
+    field = DEFAULTS.field,
+  } = options;
 
-if (!env || !spaceId || !accessToken || !contentType || !field) {
-  console.error(
-    "Missing required environment variables: ENV, SPACE, ACCESSTOKEN, CONTENTTYPE, FIELD"
-  );
-  process.exit(1);
-}
+  if (!env || !spaceId || !accessToken || !contentType || !field) {
+    throw new Error(
+      "Missing required environment variables: ENV, SPACE, ACCESSTOKEN, CONTENTTYPE, FIELD"
+    );
+  }
 
-async function updateEntries() {
-  const client = contentful.createClient({ accessToken });
+  const client = createClient({ accessToken });
   const space = await client.getSpace(spaceId);
   const environment = await space.getEnvironment(env);
   const entries = await environment.getEntries({
@@ -86,10 +67,10 @@ async function updateEntries() {
   });
 
   console.log(`Found ${entries.items.length} entries to process.`);
-  let count = 0;
 
-  for (const entry of entries.items) {
-    count++;
+  // Entries are independent; the request queue decides how many are in flight
+  await getDefaultQueue().map(entries.items, async (entry, index) => {
+    const count = index + 1;
     let updated = false;
     if (entry.fields[field]) {
       console.log(
@@ -116,16 +97,21 @@ async function updateEntries() {
     }
     if (updated) {
       try {
-        await safeUpdateAndPublish(entry, environment);
+        await updateAndPublish(entry);
+        console.log(`Updated and published entry ${entry.sys.id}`);
       } catch (err) {
         console.error(`Error updating/publishing entry ${entry.sys.id}:`, err);
       }
     }
-  }
+  });
   console.log(`Field '${field}' update complete for all entries.`);
 }
 
-updateEntries().catch((err) => {
-  console.error("Error updating entries:", err);
-  process.exit(1);
-});
+if (require.main === module) {
+  updateEntries().catch((err) => {
+    console.error("Error updating entries:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { updateEntries, replaceAccents };
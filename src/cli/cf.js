@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * cf - Unified Contentful Management CLI
+ *
+ * Single entry point for the scripts in src/cli. Global flags are parsed
+ * once and passed to every command; help text is generated from the command
+ * specs in ./commands.
+ *
+ * Usage: cf <command> [subcommand] [arguments] [options]
+ */
+
+const {
+  UsageError,
+  parseArgs,
+  takeLeadingWords,
+  formatOptions,
+} = require("../utils/cli-args");
+const { listCommandNames, loadCommand, findSubcommand } = require("./commands");
+const { getDefaultQueue } = require("../core/request-queue");
+
+const GLOBAL_OPTIONS = [
+  {
+    name: "profile",
+    value: "name",
+    description: "Profile from config/profiles.json (see: cf profiles list)",
+  },
+  { name: "space", value: "id", description: "Space ID (overrides --profile)" },
+  {
+    name: "env",
+    value: "id",
+    description: "Environment ID (overrides --profile)",
+  },
+  {
+    name: "token",
+    value: "token",
+    description: "Management token (default: CONTENTFUL_MANAGEMENT_TOKEN)",
+  },
+  {
+    name: "dry-run",
+    description: "Report what would change without writing",
+  },
+  { name: "json", description: "Print the result as JSON on stdout" },
+  {
+    name: "log-level",
+    value: "level",
+    choices: ["debug", "info", "warn", "error"],
+    description: "Minimum log level",
+  },
+  { name: "help", alias: "h", description: "Show help" },
+];
+
+// logger.js names the warn level WARNING
+const LOG_LEVEL_NAMES = {
+  debug: "DEBUG",
+  info: "INFO",
+  warn: "WARNING",
+  error: "ERROR",
+};
+
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function formatCommandList(entries) {
+  const width = Math.max(...entries.map(([name]) => name.length)) + 2;
+  return entries
+    .map(([name, summary]) => `  ${name.padEnd(width)}${summary}`)
+    .join("\n");
+}
+
+function generalHelp() {
+  const commands = listCommandNames().map((name) => [
+    name,
+    loadCommand(name).summary,
+  ]);
+  return [
+    "Usage: cf <command> [subcommand] [arguments] [options]",
+    "",
+    "Commands:",
+    formatCommandList(commands),
+    "",
+    "Global options:",
+    formatOptions(GLOBAL_OPTIONS),
+    "",
+    'Run "cf help <command>" for command details.',
+  ].join("\n");
+}
+
+function commandHelp(command, subcommand) {
+  const spec = subcommand || command;
+  const lines = [];
+
+  if (spec.subcommands) {
+    lines.push(`Usage: cf ${spec.name} <subcommand> [arguments] [options]`);
+    lines.push("", spec.summary, "", "Subcommands:");
+    lines.push(
+      formatCommandList(spec.subcommands.map((sub) => [sub.name, sub.summary]))
+    );
+    lines.push("", `Run "cf help ${spec.name} <subcommand>" for details.`);
+  } else {
+    lines.push(`Usage: ${spec.usage}`, "", spec.summary);
+    if (spec.description) lines.push("", spec.description);
+    if (spec.options.length > 0) {
+      lines.push("", "Options:", formatOptions(spec.options));
+    }
+    if (!spec.supportsDryRun) {
+      lines.push("", "This command does not support --dry-run.");
+    }
+  }
+
+  lines.push("", "Global options:", formatOptions(GLOBAL_OPTIONS));
+  return lines.join("\n");
+}
+
+/**
+ * Resolve argv to a command (and subcommand) spec
+ * @param {string[]} argv
+ * @returns {{ command: object|null, subcommand: object|null, spec: object|null, rest: string[], help: boolean }}
+ * @throws {UsageError} For unknown commands or subcommands
+ */
+function resolveCommand(argv) {
+  const first = takeLeadingWords(argv, GLOBAL_OPTIONS, 1);
+  let [name] = first.words;
+  let rest = first.rest;
+  let help = false;
+
+  if (name === "help") {
+    help = true;
+    ({
+      words: [name],
+      rest,
+    } = takeLeadingWords(rest, GLOBAL_OPTIONS, 1));
+  }
+  if (!name) {
+    return { command: null, subcommand: null, spec: null, rest, help: true };
+  }
+
+  const command = loadCommand(name);
+  if (!command) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+  if (!command.subcommands) {
+    return { command, subcommand: null, spec: command, rest, help };
+  }
+
+  const second = takeLeadingWords(rest, GLOBAL_OPTIONS, 1);
+  const [subName] = second.words;
+  if (!subName) {
+    return { command, subcommand: null, spec: null, rest, help: true };
+  }
+  const subcommand = findSubcommand(command, subName);
+  if (!subcommand) {
+    throw new UsageError(`Unknown subcommand: ${name} ${subName}`);
+  }
+  return { command, subcommand, spec: subcommand, rest: second.rest, help };
+}
+
+/**
+ * Apply global flags that the underlying scripts read from the environment.
+ * Must run before any script (or logger.js) is required.
+ */
+function applyEnvironment(options) {
+  if (options.token) {
+    process.env.CONTENTFUL_MANAGEMENT_TOKEN = options.token;
+  }
+  if (options.logLevel) {
+    process.env.LOG_LEVEL = LOG_LEVEL_NAMES[options.logLevel];
+  }
+}
+
+/**
+ * Build the connection from --profile, then --space/--env/--token
+ * @param {object} options - Parsed global options
+ * @returns {{ profile: string|undefined, spaceId: string|undefined, environmentId: string|undefined, accessToken: string|undefined }}
+ * @throws {import('../core').ProfileConfigError} For unknown profiles or an invalid profiles file
+ */
+function resolveConnection(options) {
+  const connection = {
+    profile: undefined,
+    spaceId: undefined,
+    environmentId: undefined,
+    accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
+  };
+  if (options.profile) {
+    const profile = require("../core").getProfile(options.profile);
+    connection.profile = profile.name;
+    connection.spaceId = profile.spaceId;
+    connection.environmentId = profile.environmentId;
+    connection.accessToken = profile.token;
+  }
+  if (options.space) connection.spaceId = options.space;
+  if (options.env) connection.environmentId = options.env;
+  if (options.token) connection.accessToken = options.token;
+  return connection;
+}
+
+function toJson(value) {
+  return JSON.stringify(
+    value === undefined ? null : value,
+    (key, item) => {
+      if (item instanceof Set) return [...item];
+      if (item instanceof Map) return Object.fromEntries(item);
+      return item;
+    },
+    2
+  );
+}
+
+/**
+ * Run the cf CLI
+ * @param {string[]} argv - Arguments without the node/script entries
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+  let resolved;
+  let parsed;
+  try {
+    resolved = resolveCommand(argv);
+    const specs = resolved.spec
+      ? [...GLOBAL_OPTIONS, ...resolved.spec.options]
+      : GLOBAL_OPTIONS;
+    parsed = parseArgs(resolved.rest, specs);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`Error: ${error.message}`);
+    console.error('Run "cf --help" for usage.');
+    return EXIT_USAGE;
+  }
+
+  const { command, subcommand, spec } = resolved;
+  const { options, positionals } = parsed;
+
+  if (resolved.help || options.help) {
+    console.log(command ? commandHelp(command, subcommand) : generalHelp());
+    return 0;
+  }
+
+  const commandName = [command.name, subcommand && subcommand.name]
+    .filter(Boolean)
+    .join(" ");
+
+  if (options.dryRun && !spec.supportsDryRun) {
+    console.error(`Error: cf ${commandName} does not support --dry-run`);
+    return EXIT_USAGE;
+  }
+
+  applyEnvironment(options);
+
+  // In JSON mode stdout carries only the result document, including output
+  // from modules loaded while resolving the connection
+  const consoleLog = console.log;
+  const consoleInfo = console.info;
+  const restoreConsole = () => {
+    console.log = consoleLog;
+    console.info = consoleInfo;
+  };
+  if (options.json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  let connection;
+  try {
+    connection = resolveConnection(options);
+  } catch (error) {
+    restoreConsole();
+    console.error(`Error: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const context = {
+    options,
+    positionals,
+    connection,
+    dryRun: Boolean(options.dryRun),
+    json: Boolean(options.json),
+    logLevel: options.logLevel,
+  };
+
+  let exitCode = 0;
+  let output;
+  try {
+    const result = await spec.run(context);
+    output = { command: commandName, success: true, result };
+  } catch (error) {
+    exitCode = error instanceof UsageError ? EXIT_USAGE : EXIT_ERROR;
+    output = {
+      command: commandName,
+      success: false,
+      error: { name: error.name, message: error.message, status: error.status },
+    };
+    if (!context.json) {
+      console.error(`Error: ${error.message}`);
+    }
+  } finally {
+    restoreConsole();
+  }
+
+  // Throttling met by this run, so slow runs can be told from rate limited ones
+  const queue = getDefaultQueue();
+  if (queue.stats.scheduled > 0) {
+    if (context.json) {
+      output.requests = { ...queue.stats, concurrency: queue.concurrency };
+    } else {
+      console.log(`Requests: ${queue.describeStats()}`);
+    }
+  }
+
+  if (context.json) {
+    process.stdout.write(`${toJson(output)}\n`);
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(error.stack || error);
+      process.exit(EXIT_ERROR);
+    });
+}
+
+module.exports = { main, resolveCommand, GLOBAL_OPTIONS };
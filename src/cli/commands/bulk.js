@@ -0,0 +1,61 @@
+/**
+ * cf bulk - bulk delete, unpublish and archive operations
+ */
+
+const OPERATIONS = [
+  ["delete-drafts", "Delete all unpublished entries"],
+  ["delete-all-entries", "Delete every entry"],
+  ["delete-all-assets", "Delete every asset"],
+  ["delete-all-content-types", "Delete every content type"],
+  ["unpublish-all-entries", "Unpublish every published entry"],
+  [
+    "archive-persona-data",
+    "Archive personaData entries (runs the archive-persona-data rule)",
+  ],
+];
+
+function createOperation([name, summary]) {
+  return {
+    name,
+    summary,
+    usage: `cf bulk ${name} --profile <name> [options]`,
+    options: [
+      {
+        name: "approve",
+        value: "file",
+        description:
+          "Apply only the rule actions listed in an approval file from cf deletion test",
+      },
+      {
+        name: "resume",
+        value: "runId",
+        description:
+          "Continue an interrupted run, skipping the work it finished",
+      },
+    ],
+    async run({ options, connection }) {
+      const {
+        getContentfulEnvironment,
+        runCommand,
+      } = require("../contentful-cli");
+      const context = connection.profile || "unknown";
+
+      const environment = await getContentfulEnvironment(connection.profile, {
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        token: connection.accessToken,
+      });
+      await runCommand(name, environment, context, {
+        approve: options.approve,
+        resume: options.resume,
+      });
+      return { context, command: name };
+    },
+  };
+}
+
+module.exports = {
+  name: "bulk",
+  summary: "Bulk delete, unpublish or archive content in an environment",
+  subcommands: OPERATIONS.map(createOperation),
+};
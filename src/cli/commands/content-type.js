@@ -0,0 +1,142 @@
+/**
+ * cf content-type - content type sync, migration and cleanup
+ *
+ * The target is the global connection (--profile/--space/--env); commands that
+ * copy from another environment take --source-profile/--source-space/
+ * --source-env. Unset values fall back to the contentType* defaults in
+ * config/profiles.json.
+ */
+
+const { UsageError } = require("../../utils/cli-args");
+const { SOURCE_OPTIONS, resolveSource } = require("./source");
+
+function requireArgs(positionals, names, usage) {
+  if (positionals.length < names.length) {
+    throw new UsageError(`Missing ${names.join(", ")}. Usage: ${usage}`);
+  }
+}
+
+const subcommands = [
+  {
+    name: "sync",
+    summary: "Create or update all content types from the source",
+    usage: "cf content-type sync [options]",
+    options: SOURCE_OPTIONS,
+    run({ options, connection }) {
+      const source = resolveSource(options);
+      return require("../cf-contentType").syncContentTypes(
+        source.spaceId,
+        connection.spaceId,
+        source.environmentId,
+        connection.environmentId
+      );
+    },
+  },
+  {
+    name: "sync-locales",
+    summary: "Create missing locales from the source",
+    usage: "cf content-type sync-locales [options]",
+    options: SOURCE_OPTIONS,
+    run({ options, connection }) {
+      const source = resolveSource(options);
+      return require("../cf-contentType").syncLocales(
+        source.spaceId,
+        connection.spaceId,
+        source.environmentId,
+        connection.environmentId
+      );
+    },
+  },
+  {
+    name: "migrate",
+    summary: "Copy a single content type from the source",
+    usage: "cf content-type migrate <contentTypeId> [options]",
+    options: SOURCE_OPTIONS,
+    run({ options, positionals, connection }) {
+      requireArgs(positionals, ["<contentTypeId>"], this.usage);
+      const source = resolveSource(options);
+      return require("../cf-contentType").migrateSingleContentType(
+        positionals[0],
+        source.spaceId,
+        connection.spaceId,
+        source.environmentId,
+        connection.environmentId
+      );
+    },
+  },
+  {
+    name: "delete-omitted",
+    summary: "Delete fields marked as omitted",
+    usage: "cf content-type delete-omitted [options]",
+    options: [],
+    run: ({ connection }) =>
+      require("../cf-contentType").deleteOmittedFieldsFromContentTypes(
+        connection.spaceId,
+        connection.environmentId
+      ),
+  },
+  {
+    name: "delete-duplicates",
+    summary: "Delete content types with duplicate names",
+    usage: "cf content-type delete-duplicates [options]",
+    options: [],
+    run: ({ connection }) =>
+      require("../cf-contentType").deleteDuplicateContentTypes(
+        connection.spaceId,
+        connection.environmentId
+      ),
+  },
+  {
+    name: "delete-entries",
+    summary: "Delete content types together with all of their entries",
+    usage: "cf content-type delete-entries <contentTypeId...> [options]",
+    options: [],
+    run({ positionals, connection }) {
+      requireArgs(positionals, ["<contentTypeId>"], this.usage);
+      return require("../cf-contentType").deleteEntriesAndContentType(
+        positionals,
+        connection.spaceId,
+        connection.environmentId
+      );
+    },
+  },
+  {
+    name: "delete-all",
+    summary: "Delete every content type and entry (optionally filtered)",
+    usage: "cf content-type delete-all [filter] [options]",
+    options: [],
+    run: ({ positionals, connection }) =>
+      require("../cf-contentType").deleteAllEntriesAndContentType(
+        connection.spaceId,
+        connection.environmentId,
+        positionals[0] || null
+      ),
+  },
+  {
+    name: "update-field-id",
+    summary: "Rename a field ID on a content type",
+    usage: "cf content-type update-field-id <contentTypeId> <oldId> <newId>",
+    options: [],
+    run({ positionals, connection }) {
+      requireArgs(
+        positionals,
+        ["<contentTypeId>", "<oldId>", "<newId>"],
+        this.usage
+      );
+      const [contentTypeId, oldFieldId, newFieldId] = positionals;
+      return require("../cf-contentType").updateFieldId(
+        contentTypeId,
+        oldFieldId,
+        newFieldId,
+        connection.spaceId,
+        connection.environmentId
+      );
+    },
+  },
+];
+
+module.exports = {
+  name: "content-type",
+  summary: "Sync, migrate and clean up content types",
+  subcommands,
+};
@@ -0,0 +1,40 @@
+/**
+ * cf content - one-off content data updates for the mobile app space
+ */
+
+const { definedOnly } = require("../../utils/cli-args");
+
+function connectionOptions(connection) {
+  return definedOnly({
+    spaceId: connection.spaceId,
+    environmentId: connection.environmentId,
+    accessToken: connection.accessToken,
+  });
+}
+
+module.exports = {
+  name: "content",
+  summary: "Update option and product page data",
+  subcommands: [
+    {
+      name: "update-options",
+      summary: "Fill option titles from their linked pages",
+      usage: "cf content update-options [options]",
+      options: [],
+      run: ({ connection }) =>
+        require("../cf-update-content").updateOptionsData(
+          connectionOptions(connection)
+        ),
+    },
+    {
+      name: "update-products",
+      summary: "Fill product card titles from their navigation names",
+      usage: "cf content update-products [options]",
+      options: [],
+      run: ({ connection }) =>
+        require("../cf-update-content").updateProductData(
+          connectionOptions(connection)
+        ),
+    },
+  ],
+};
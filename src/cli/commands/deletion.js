@@ -0,0 +1,94 @@
+/**
+ * cf deletion - inspect and test entry deletion mapping rules
+ */
+
+const { UsageError } = require("../../utils/cli-args");
+
+function createCli() {
+  const DeletionMappingCLI = require("../deletion-mapping-cli");
+  return new DeletionMappingCLI();
+}
+
+const subcommands = [
+  {
+    name: "test",
+    summary: "Evaluate deletion rules against live data (never deletes)",
+    usage: "cf deletion test --profile <name> [options]",
+    description:
+      "Saves the rule actions it finds as deletion-approval-<profile>-<timestamp>.json;\n" +
+      "pass that file to cf publish or cf bulk with --approve to apply only them.\n" +
+      "With --from, every rule (manual ones too) is evaluated offline against all\n" +
+      "entries and assets of a contentful-export file, checking links within the\n" +
+      "export, and match counts and samples are printed per rule. No credentials\n" +
+      "are needed and no approval is saved.",
+    options: [
+      {
+        name: "from",
+        value: "file",
+        description: "Test against a contentful-export file instead of the API",
+      },
+    ],
+    async run({ options, connection }) {
+      const context = connection.profile;
+      if (!context) {
+        throw new UsageError(`Missing --profile. Usage: ${this.usage}`);
+      }
+      const result = await createCli().testDeletionRules(
+        context,
+        {
+          spaceId: connection.spaceId,
+          environmentId: connection.environmentId,
+          token: connection.accessToken,
+        },
+        { from: options.from }
+      );
+      if (!result) {
+        throw new Error(`Deletion rule test for '${context}' failed`);
+      }
+      return result;
+    },
+  },
+  {
+    name: "validate",
+    summary: "Validate config/entry-deletion-mappings.json",
+    usage: "cf deletion validate [--profile <name> | --space <id> --env <id>]",
+    description:
+      "Checks the file against config/entry-deletion-mappings.schema.json,\n" +
+      "rule IDs and environment names. With a connection, also checks that\n" +
+      "every content type and locale a rule names exists in the target space.",
+    options: [],
+    async run({ connection }) {
+      const result = await createCli().validateConfig(connection);
+      if (!result.valid) {
+        throw new Error(
+          `Deletion mapping configuration is invalid (${result.problems.length} problem(s))`
+        );
+      }
+      return result;
+    },
+  },
+  {
+    name: "rules",
+    summary: "List deletion rules, optionally for one profile",
+    usage: "cf deletion rules [--profile <name>]",
+    options: [],
+    async run({ connection }) {
+      createCli().listRules(connection.profile || null);
+    },
+  },
+  {
+    name: "summary",
+    summary: "Show the deletion mapping configuration summary",
+    usage: "cf deletion summary",
+    options: [],
+    async run() {
+      createCli().showSummary();
+    },
+  },
+];
+
+module.exports = {
+  name: "deletion",
+  summary: "Validate, list and dry-run entry deletion rules",
+  subcommands,
+};
@@ -0,0 +1,55 @@
+/**
+ * cf diff - field-level differences between two profiles
+ */
+
+const { UsageError } = require("../../utils/cli-args");
+
+module.exports = {
+  name: "diff",
+  summary: "Show field-level differences between two profiles",
+  usage: "cf diff <profileA> <profileB> [options]",
+  description:
+    "Lists entries and assets added, removed or changed going from profileA to\n" +
+    "profileB, with per-field, per-locale changes. The profiles may be in\n" +
+    "different spaces. Nothing is written.",
+  options: [
+    {
+      name: "content-type",
+      value: "ids",
+      type: "list",
+      description: "Only compare entries of these content types (no assets)",
+    },
+    { name: "no-color", description: "Do not color the report" },
+  ],
+  async run({ options, positionals, json }) {
+    if (positionals.length < 2) {
+      throw new UsageError(
+        `Missing <profileA> <profileB>. Usage: ${this.usage}`
+      );
+    }
+    const { resolveProfile } = require("../../core");
+    const { diffEnvironments } = require("../contentful-merge");
+    const { formatEnvironmentDiff } = require("../../utils/field-diff");
+
+    const [from, to] = positionals.slice(0, 2).map((name) => {
+      const profile = resolveProfile(name);
+      return {
+        label: profile.name,
+        spaceId: profile.spaceId,
+        environmentId: profile.environmentId,
+        accessToken: options.token || profile.token,
+      };
+    });
+
+    const report = await diffEnvironments(from, to, {
+      contentTypes: options.contentType || [],
+    });
+    const color =
+      !json &&
+      !options.noColor &&
+      !process.env.NO_COLOR &&
+      Boolean(process.stdout.isTTY);
+    console.log(formatEnvironmentDiff(report, { color }));
+    return report;
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * cf entries - entry exports
+ */
+
+const { definedOnly } = require("../../utils/cli-args");
+
+module.exports = {
+  name: "entries",
+  summary: "Export entries to JSON",
+  subcommands: [
+    {
+      name: "export",
+      summary: "Write all entries of a content type to a JSON file",
+      usage: "cf entries export [options]",
+      options: [
+        {
+          name: "content-type",
+          value: "id",
+          default: "page",
+          description: "Content type to export",
+        },
+      ],
+      run: ({ options, connection }) =>
+        require("../../utils/get-contentful-entries").exportEntries(
+          options.contentType,
+          definedOnly({
+            spaceId: connection.spaceId,
+            environmentId: connection.environmentId,
+            accessToken: connection.accessToken,
+          })
+        ),
+    },
+  ],
+};
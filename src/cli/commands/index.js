@@ -0,0 +1,56 @@
+/**
+ * Command Registry for the `cf` dispatcher
+ *
+ * Each command module exports a spec: { name, summary, usage, options,
+ * supportsDryRun, run(context) } or, for command groups, { name, summary,
+ * subcommands: [spec, ...] }. Modules are loaded on demand and only require
+ * the underlying scripts inside run(), so `cf --help` never needs credentials.
+ */
+
+const COMMAND_MODULES = {
+  publish: "./publish",
+  bulk: "./bulk",
+  merge: "./merge",
+  diff: "./diff",
+  rollback: "./rollback",
+  snapshot: "./snapshot",
+  migrate: "./migrate",
+  transform: "./transform",
+  links: "./links",
+  "content-type": "./content-type",
+  deletion: "./deletion",
+  urls: "./urls",
+  content: "./content",
+  entries: "./entries",
+  profiles: "./profiles",
+};
+
+/**
+ * @returns {string[]} Top-level command names in help order
+ */
+function listCommandNames() {
+  return Object.keys(COMMAND_MODULES);
+}
+
+/**
+ * Load a top-level command spec by name
+ * @param {string} name
+ * @returns {object|null} The command spec, or null if unknown
+ */
+function loadCommand(name) {
+  // Names such as "toString" or "constructor" are not commands
+  if (!Object.prototype.hasOwnProperty.call(COMMAND_MODULES, name)) return null;
+  return require(COMMAND_MODULES[name]);
+}
+
+/**
+ * Find a subcommand of a command group
+ * @param {object} command - Command group spec
+ * @param {string} name - Subcommand name
+ * @returns {object|null}
+ */
+function findSubcommand(command, name) {
+  return (command.subcommands || []).find((sub) => sub.name === name) || null;
+}
+
+module.exports = { listCommandNames, loadCommand, findSubcommand };
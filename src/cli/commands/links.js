@@ -0,0 +1,84 @@
+/**
+ * cf links - broken link cleanup and link removal
+ */
+
+const { definedOnly, UsageError } = require("../../utils/cli-args");
+
+const clean = {
+  name: "clean",
+  summary: "Remove broken links from entries and republish them",
+  usage: "cf links clean [options]",
+  supportsDryRun: true,
+  options: [
+    {
+      name: "content-type",
+      value: "id",
+      description: "Only clean entries of this content type",
+    },
+    {
+      name: "batch-size",
+      value: "n",
+      type: "number",
+      description: "Entries fetched per request",
+    },
+    {
+      name: "max-entries",
+      value: "n",
+      type: "number",
+      description: "Maximum number of entries to scan",
+    },
+    { name: "no-publish", description: "Do not republish cleaned entries" },
+    {
+      name: "resume",
+      value: "runId",
+      description:
+        "Continue an interrupted cleanup after the entries it processed",
+    },
+  ],
+  async run({ options, connection, dryRun, logLevel }) {
+    const { runLinkCleanup } = require("../cf-link-cleanup");
+    return runLinkCleanup(
+      definedOnly({
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        managementToken: connection.accessToken,
+        dryRun,
+        publish: options.noPublish ? false : undefined,
+        logLevel,
+        contentTypeFilter: options.contentType,
+        batchSize: options.batchSize,
+        maxEntries: options.maxEntries,
+        resume: options.resume,
+      })
+    );
+  },
+};
+
+const remove = {
+  name: "remove",
+  summary:
+    "Remove every link to an entry and republish the referencing entries",
+  usage: "cf links remove <entryId> [options]",
+  options: [],
+  async run({ positionals, connection }) {
+    const [entryId] = positionals;
+    if (!entryId) {
+      throw new UsageError("links remove requires an <entryId>");
+    }
+    const { removeEntryLinks } = require("../cf-remove-links");
+    const defaults = require("../../core").getProfileDefaults("removeLinks");
+    await removeEntryLinks(
+      connection.spaceId || defaults.spaceId,
+      connection.accessToken || defaults.token,
+      connection.environmentId || defaults.environmentId,
+      entryId
+    );
+    return { entryId };
+  },
+};
+
+module.exports = {
+  name: "links",
+  summary: "Clean up broken links or remove links to an entry",
+  subcommands: [clean, remove],
+};
@@ -0,0 +1,106 @@
+/**
+ * cf merge - plan and apply a merge between two environments of a space
+ */
+
+const { definedOnly, UsageError } = require("../../utils/cli-args");
+
+const plan = {
+  name: "plan",
+  summary: "Write a reviewable changeset with field-level diffs (no writes)",
+  usage: "cf merge plan --target-env <id> [options]",
+  description:
+    "--env is the source environment. Review the changeset (e.g. in a PR),\n" +
+    "then replay it with cf merge apply --changeset <file>. With --three-way,\n" +
+    "fields changed only in the target are kept and conflicts are written to\n" +
+    "<changeset>.resolutions.json.",
+  options: [
+    {
+      name: "target-env",
+      value: "id",
+      description: "Environment receiving the changes",
+    },
+    {
+      name: "out",
+      value: "file",
+      description:
+        "Changeset path (default: changeset-<time>-<space>-<source>-<target>.json)",
+    },
+    {
+      name: "three-way",
+      description: "Merge against the baseline recorded by the last apply",
+    },
+    {
+      name: "baseline",
+      value: "file",
+      description:
+        "Baseline path (default: merge-baselines/<space>-<source>-<target>.json)",
+    },
+  ],
+  async run({ options, connection }) {
+    const { planMerge } = require("../contentful-merge");
+    const { changesetFile, changeset, resolutionsFile } = await planMerge(
+      definedOnly({
+        spaceId: connection.spaceId,
+        sourceEnvId: connection.environmentId,
+        targetEnvId: options.targetEnv,
+        accessToken: connection.accessToken,
+        changesetFile: options.out,
+        threeWay: options.threeWay,
+        baselineFile: options.baseline,
+      })
+    );
+    return { changesetFile, resolutionsFile, summary: changeset.summary };
+  },
+};
+
+const apply = {
+  name: "apply",
+  summary: "Replay a changeset; refuses if the target changed since planning",
+  usage: "cf merge apply --changeset <file> [options]",
+  description:
+    "The space and target environment come from the changeset. With --dry-run\n" +
+    "only the sys.version drift check runs. Conflicts from a three-way plan must\n" +
+    "all be resolved first. An interrupted apply prints its run ID; --resume\n" +
+    "continues it with the changes it did not apply yet.",
+  supportsDryRun: true,
+  options: [
+    {
+      name: "changeset",
+      value: "file",
+      description: "Changeset written by cf merge plan",
+    },
+    {
+      name: "resolutions",
+      value: "file",
+      description:
+        "Conflict resolutions (default: <changeset>.resolutions.json)",
+    },
+    {
+      name: "resume",
+      value: "runId",
+      description:
+        "Continue an interrupted apply, skipping the changes it applied",
+    },
+  ],
+  async run({ options, connection, dryRun }) {
+    if (!options.changeset) {
+      throw new UsageError(`Missing --changeset. Usage: ${this.usage}`);
+    }
+    const { applyChangeset } = require("../contentful-merge");
+    return applyChangeset(
+      options.changeset,
+      definedOnly({
+        accessToken: connection.accessToken,
+        dryRun,
+        resolutionsFile: options.resolutions,
+        resume: options.resume,
+      })
+    );
+  },
+};
+
+module.exports = {
+  name: "merge",
+  summary: "Plan and apply merges between environments of a space",
+  subcommands: [plan, apply],
+};
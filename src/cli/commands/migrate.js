@@ -0,0 +1,58 @@
+/**
+ * cf migrate - copy entries and their linked content between spaces
+ */
+
+const { definedOnly } = require("../../utils/cli-args");
+const { SOURCE_OPTIONS, resolveSource } = require("./source");
+
+module.exports = {
+  name: "migrate",
+  summary: "Migrate entries with their references into the target profile",
+  usage: "cf migrate --entry <ids> [options]",
+  options: [
+    {
+      name: "entry",
+      value: "ids",
+      type: "list",
+      description: "Comma-separated entry IDs to migrate",
+    },
+    {
+      name: "exclude",
+      value: "ids",
+      type: "list",
+      description: "Comma-separated entry IDs to skip",
+    },
+    ...SOURCE_OPTIONS,
+    {
+      name: "depth",
+      value: "n",
+      type: "number",
+      description: "Maximum depth for following linked entries",
+    },
+    { name: "publish", description: "Publish entries after migration" },
+    {
+      name: "resume",
+      value: "runId",
+      description:
+        "Continue an interrupted migration with the resources it collected",
+    },
+  ],
+  async run({ options, connection }) {
+    const { runMigration } = require("../contentful-advanced-migration");
+    const source = resolveSource(options);
+    return runMigration(
+      definedOnly({
+        sourceSpaceId: source.spaceId,
+        sourceEnvironmentId: source.environmentId,
+        targetSpaceId: connection.spaceId,
+        targetEnvironmentId: connection.environmentId,
+        accessToken: connection.accessToken,
+        entryIds: options.entry,
+        excludedEntryIds: options.exclude,
+        maxDepth: options.depth,
+        publishAfterMigration: options.publish,
+        resume: options.resume,
+      })
+    );
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * cf profiles - inspect config/profiles.json
+ */
+
+function formatProfile(profile) {
+  const status = profile.complete
+    ? "ok"
+    : `incomplete (unset: ${profile.missing.join(", ")})`;
+  const aliases =
+    profile.aliases.length > 0 ? ` [${profile.aliases.join(", ")}]` : "";
+  return [
+    `  ${profile.name}${aliases} - ${profile.description || "no description"}`,
+    `    space: ${profile.spaceId || "-"}  environment: ${
+      profile.environmentId || "-"
+    }  token: ${profile.tokenEnv}`,
+    `    status: ${status}`,
+  ].join("\n");
+}
+
+const list = {
+  name: "list",
+  summary: "List profiles and whether their values are set",
+  usage: "cf profiles list",
+  options: [],
+  async run() {
+    const { loadProfiles, listProfiles } = require("../../core");
+    const { file, defaults } = loadProfiles();
+    const profiles = listProfiles();
+
+    console.log(`Profiles (${file}):`);
+    console.log(profiles.map(formatProfile).join("\n"));
+    const roles = Object.entries(defaults);
+    if (roles.length > 0) {
+      console.log("Script defaults:");
+      for (const [role, name] of roles) console.log(`  ${role}: ${name}`);
+    }
+    return { file, profiles, defaults };
+  },
+};
+
+module.exports = {
+  name: "profiles",
+  summary: "List the named space/environment profiles",
+  subcommands: [list],
+};
@@ -0,0 +1,117 @@
+/**
+ * cf publish - publish entries and assets of an environment
+ */
+
+module.exports = {
+  name: "publish",
+  summary:
+    "Publish assets and entries, applying deletion rules and 422 cleanup",
+  usage: "cf publish --profile <name> [options]",
+  description:
+    "The profile name is also used to select deletion rules and name reports.\n" +
+    "With --dry-run nothing is written: the plan of deletions, link cleanups,\n" +
+    "publishes and predicted validation failures is printed as a table and\n" +
+    "saved as publish-plan-<profile>-<timestamp>.json.\n" +
+    "Rule actions that need confirmation are confirmed at a prompt, or with\n" +
+    "--approve in unattended runs; without either they are skipped.\n" +
+    "Filters narrow the run to the drafts and changed entries or assets they\n" +
+    "select; deletion rules only act on those too. Filters combine with\n" +
+    "AND, values of one filter with OR. Content type filters select entries;\n" +
+    "only the assets those entries link to are published with them.\n" +
+    "Progress is checkpointed next to the rollback journal; --resume <runId>\n" +
+    "continues an interrupted run with its filters and merges both reports.",
+  supportsDryRun: true,
+  options: [
+    {
+      name: "only",
+      value: "kind",
+      choices: ["entries", "assets"],
+      description: "Publish only entries or only assets",
+    },
+    {
+      name: "approve",
+      value: "file",
+      description:
+        "Apply only the rule actions listed in an approval file from cf deletion test",
+    },
+    {
+      name: "resume",
+      value: "runId",
+      description: "Continue an interrupted run, skipping the work it finished",
+    },
+    {
+      name: "content-type",
+      value: "ids",
+      type: "list",
+      description: "Only entries of these content types",
+    },
+    {
+      name: "exclude-content-type",
+      value: "ids",
+      type: "list",
+      description: "Skip entries of these content types",
+    },
+    {
+      name: "tag",
+      value: "ids",
+      type: "list",
+      description: "Only entries and assets with any of these tags",
+    },
+    {
+      name: "updated-since",
+      value: "date|age",
+      description:
+        "Only things updated since an ISO date or for an age like 7d",
+    },
+    {
+      name: "updated-by",
+      value: "userIds",
+      type: "list",
+      description: "Only things last updated by these users",
+    },
+    {
+      name: "ids-file",
+      value: "file",
+      description:
+        "Only the entry and asset IDs listed in a file, one per line",
+    },
+  ],
+  async run({ options, connection, dryRun }) {
+    const {
+      getContentfulEnvironment,
+      runCommand,
+    } = require("../contentful-cli");
+    const { buildPublishFilters } = require("../../utils/publish-filters");
+    const context = connection.profile || "unknown";
+    const command = options.only ? `publish-${options.only}-only` : "publish";
+    const filters = buildPublishFilters(options);
+
+    const environment = await getContentfulEnvironment(connection.profile, {
+      spaceId: connection.spaceId,
+      environmentId: connection.environmentId,
+      token: connection.accessToken,
+    });
+
+    if (dryRun) {
+      const {
+        formatPublishPlan,
+        savePublishPlan,
+      } = require("../../utils/publish-plan");
+      const plan = await runCommand(command, environment, context, {
+        dryRun,
+        filters,
+      });
+      console.log(formatPublishPlan(plan));
+      const planFile = savePublishPlan(plan);
+      console.log(`\nPlan saved to ${planFile}`);
+      return { context, command, planFile, plan };
+    }
+
+    await runCommand(command, environment, context, {
+      approve: options.approve,
+      filters,
+      resume: options.resume,
+    });
+    return { context, command };
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * cf rollback - undo the writes of an earlier run from its journal
+ */
+
+const { UsageError } = require("../../utils/cli-args");
+
+module.exports = {
+  name: "rollback",
+  summary: "Restore the entities changed by a run from its rollback journal",
+  usage: "cf rollback <journal> [options]",
+  description:
+    "Every run that writes to Contentful records the earlier state of each\n" +
+    "entity in journals/journal-<runId>.jsonl. This recreates deleted entries\n" +
+    "and assets, deletes entities the run created, restores field values and\n" +
+    "re-establishes publish/archive state. The space and environment come from\n" +
+    "the journal; --token (or the profile's token) must have access to them.",
+  supportsDryRun: true,
+  options: [],
+  async run({ positionals, connection, dryRun }) {
+    if (positionals.length < 1) {
+      throw new UsageError(`Missing <journal>. Usage: ${this.usage}`);
+    }
+    const { rollbackJournal, formatRollbackReport } = require("../cf-rollback");
+    const report = await rollbackJournal(positionals[0], {
+      accessToken: connection.accessToken,
+      dryRun,
+    });
+    console.log(formatRollbackReport(report));
+    if (report.failed.length > 0) {
+      throw new Error(`${report.failed.length} entities could not be restored`);
+    }
+    return report;
+  },
+};
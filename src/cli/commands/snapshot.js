@@ -0,0 +1,78 @@
+/**
+ * cf snapshot - export an environment to disk and import it elsewhere
+ */
+
+const { definedOnly, UsageError } = require("../../utils/cli-args");
+
+const exportCommand = {
+  name: "export",
+  summary: "Write the environment's content model and content to a directory",
+  usage: "cf snapshot export [options]",
+  description:
+    "Writes locales, tags, content types, editor interfaces, assets and\n" +
+    "entries (drafts and archived ones included) as JSON files with a\n" +
+    "manifest.json. Nothing in the environment is changed.",
+  options: [
+    {
+      name: "out",
+      value: "dir",
+      description:
+        "Snapshot directory (default: snapshots/snapshot-<time>-<space>-<env>)",
+    },
+    {
+      name: "download-assets",
+      description: "Also download asset binaries into files/",
+    },
+  ],
+  async run({ options, connection }) {
+    const { exportSnapshot } = require("../cf-snapshot");
+    const { directory, manifest } = await exportSnapshot(
+      definedOnly({
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        accessToken: connection.accessToken,
+        outDir: options.out,
+        downloadAssets: Boolean(options.downloadAssets),
+      })
+    );
+    return { directory, counts: manifest.counts };
+  },
+};
+
+const importCommand = {
+  name: "import",
+  summary: "Restore a snapshot into an empty environment",
+  usage: "cf snapshot import <dir> [options]",
+  description:
+    "Creates locales, tags, content types, assets and entries with their\n" +
+    "original IDs, resolves links in a second pass and restores publish and\n" +
+    "archive state. Refuses environments that already hold content types,\n" +
+    "entries or assets. --dry-run only runs those checks.",
+  supportsDryRun: true,
+  options: [],
+  async run({ positionals, connection, dryRun }) {
+    if (positionals.length < 1) {
+      throw new UsageError(`Missing <dir>. Usage: ${this.usage}`);
+    }
+    const { importSnapshot } = require("../cf-snapshot");
+    const report = await importSnapshot(positionals[0], {
+      spaceId: connection.spaceId,
+      environmentId: connection.environmentId,
+      accessToken: connection.accessToken,
+      dryRun,
+    });
+    report.failed.forEach((failure) =>
+      console.error(`  ✗ ${failure.type} ${failure.id}: ${failure.error}`)
+    );
+    if (report.failed.length > 0) {
+      throw new Error(`${report.failed.length} entities could not be imported`);
+    }
+    return report;
+  },
+};
+
+module.exports = {
+  name: "snapshot",
+  summary: "Export an environment to disk and import it into another",
+  subcommands: [exportCommand, importCommand],
+};
@@ -0,0 +1,41 @@
+/**
+ * Source connection options shared by commands that copy between environments.
+ * The target is the global connection (--profile/--space/--env).
+ */
+
+const SOURCE_OPTIONS = [
+  {
+    name: "source-profile",
+    value: "name",
+    description: "Source profile from config/profiles.json",
+  },
+  {
+    name: "source-space",
+    value: "id",
+    description: "Source space ID (overrides --source-profile)",
+  },
+  {
+    name: "source-env",
+    value: "id",
+    description: "Source environment ID (overrides --source-profile)",
+  },
+];
+
+/**
+ * Resolve the source space/environment from the parsed options
+ * @param {object} options - Parsed command options
+ * @returns {{ spaceId: string|undefined, environmentId: string|undefined }}
+ */
+function resolveSource(options) {
+  const source = { spaceId: undefined, environmentId: undefined };
+  if (options.sourceProfile) {
+    const profile = require("../../core").getProfile(options.sourceProfile);
+    source.spaceId = profile.spaceId;
+    source.environmentId = profile.environmentId;
+  }
+  if (options.sourceSpace) source.spaceId = options.sourceSpace;
+  if (options.sourceEnv) source.environmentId = options.sourceEnv;
+  return source;
+}
+
+module.exports = { SOURCE_OPTIONS, resolveSource };
@@ -0,0 +1,73 @@
+/**
+ * cf transform - copy content between content types using field mappings
+ */
+
+const { definedOnly } = require("../../utils/cli-args");
+const { SOURCE_OPTIONS, resolveSource } = require("./source");
+
+module.exports = {
+  name: "transform",
+  summary: "Transform entries/assets into the target using type mappings",
+  usage: "cf transform [options]",
+  options: [
+    {
+      name: "type",
+      value: "kind",
+      choices: ["entry", "asset", "both"],
+      description: "What to transform",
+    },
+    {
+      name: "entry",
+      value: "ids",
+      type: "list",
+      description: "Comma-separated entry IDs",
+    },
+    {
+      name: "asset",
+      value: "ids",
+      type: "list",
+      description: "Comma-separated asset IDs",
+    },
+    {
+      name: "config-file",
+      value: "path",
+      description: "Content type mapping file",
+    },
+    ...SOURCE_OPTIONS,
+    {
+      name: "default-locale",
+      value: "code",
+      description: "Locale used for untranslated fields",
+    },
+    { name: "publish", description: "Publish transformed content" },
+    {
+      name: "update-existing",
+      description: "Update content that already exists in the target",
+    },
+    {
+      name: "no-cross-space",
+      description: "Do not migrate linked assets across spaces",
+    },
+  ],
+  async run({ options, connection }) {
+    const { runTransform } = require("../cf-source-target-cli");
+    const source = resolveSource(options);
+    return runTransform(
+      definedOnly({
+        migrationType: options.type,
+        entryIds: options.entry,
+        assetIds: options.asset,
+        configFile: options.configFile,
+        sourceSpaceId: source.spaceId,
+        sourceEnvironmentId: source.environmentId,
+        targetSpaceId: connection.spaceId,
+        targetEnvironmentId: connection.environmentId,
+        accessToken: connection.accessToken,
+        defaultLocale: options.defaultLocale,
+        publish: options.publish,
+        skipExisting: options.updateExisting ? false : undefined,
+        enableCrossSpaceMigration: options.noCrossSpace ? false : undefined,
+      })
+    );
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * cf urls - URL field normalization
+ */
+
+const { definedOnly } = require("../../utils/cli-args");
+
+const normalize = {
+  name: "normalize",
+  summary: "Replace accents and special characters in a URL field",
+  usage: "cf urls normalize [options]",
+  options: [
+    {
+      name: "content-type",
+      value: "id",
+      default: "buttonLink",
+      description: "Content type to update",
+    },
+    { name: "field", value: "id", default: "url", description: "Field to fix" },
+  ],
+  run: ({ options, connection }) =>
+    require("../cf-url-update").updateEntries(
+      definedOnly({
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        accessToken: connection.accessToken,
+        contentType: options.contentType,
+        field: options.field,
+      })
+    ),
+};
+
+const seo = {
+  name: "seo",
+  summary: "Normalize seoHead URLs",
+  usage: "cf urls seo [options]",
+  options: [],
+  run: ({ connection }) =>
+    require("../cf-seo-url-update").updateEntries(
+      definedOnly({
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        accessToken: connection.accessToken,
+      })
+    ),
+};
+
+module.exports = {
+  name: "urls",
+  summary: "Normalize URL fields",
+  subcommands: [normalize, seo],
+};
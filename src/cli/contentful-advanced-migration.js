@@ -13,22 +13,33 @@
  * @date ${new Date().toISOString().split('T')[0]}
  */
 
-const contentful = require("contentful-management");
+const {
+  createClient: createContentfulClient,
+  withRetry,
+  getDefaultQueue,
+  getProfile,
+  getProfileDefaults,
+  CheckpointError,
+  noCheckpoint,
+  startCheckpoint,
+} = require("../core");
 require("dotenv").config();
 const logger = require("../utils/logger");
 
 // Create a dedicated logger for this script
 const migrationLogger = logger.createChild("migration");
 
+const SOURCE = getProfileDefaults("migrationSource");
+const TARGET = getProfileDefaults("migrationTarget");
+
 // Configuration (can be overridden via CLI arguments)
 const config = {
-  sourceSpaceId: process.env.SPACE_ID_DE_DE,
-  sourceEnvironmentId: process.env.ENV_DE_DE,
-  targetSpaceId: process.env.SPACE_ID_FR_FR,
-  targetEnvironmentId: process.env.ENV_FR_FR,
-  accessToken: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
+  sourceSpaceId: SOURCE.spaceId,
+  sourceEnvironmentId: SOURCE.environmentId,
+  targetSpaceId: TARGET.spaceId,
+  targetEnvironmentId: TARGET.environmentId,
+  accessToken: TARGET.token,
   maxDepth: 4, // Maximum depth for traversing linked entries
-  rateLimitDelay: 500, // Milliseconds between API calls to avoid rate limiting
   assetProcessingDelay: 1000, // Milliseconds to wait between asset processing attempts
   retryDelay: 2000, // Milliseconds to wait before retrying failed operations
   maxRetries: 3, // Maximum number of retries for failed operations
@@ -41,15 +52,27 @@ const config = {
   publishAfterMigration: false, // Whether to publish entries after migration
 };
 
-// Parse command line arguments to override configuration
+// Parse command line arguments to override configuration; returns the run options
 function parseCommandLineArgs() {
   const argv = process.argv.slice(2);
+  const options = {};
   let i = 0;
 
   while (i < argv.length) {
     const arg = argv[i];
 
-    if (arg === "--source-space") {
+    if (arg === "--source-profile") {
+      const profile = getProfile(argv[i + 1]);
+      config.sourceSpaceId = profile.spaceId;
+      config.sourceEnvironmentId = profile.environmentId;
+      i += 2;
+    } else if (arg === "--target-profile") {
+      const profile = getProfile(argv[i + 1]);
+      config.targetSpaceId = profile.spaceId;
+      config.targetEnvironmentId = profile.environmentId;
+      config.accessToken = profile.token;
+      i += 2;
+    } else if (arg === "--source-space") {
       config.sourceSpaceId = argv[i + 1];
       i += 2;
     } else if (arg === "--source-env") {
@@ -79,7 +102,9 @@ function parseCommandLineArgs() {
       config.publishAfterMigration = argv[i + 1].toLowerCase() === "true";
       i += 2;
     } else if (arg === "--rate-limit-delay") {
-      config.rateLimitDelay = parseInt(argv[i + 1], 10);
+      migrationLogger.warn(
+        "--rate-limit-delay is ignored: requests are paced by Contentful's rate limit headers"
+      );
       i += 2;
     } else if (arg === "--asset-processing-delay") {
       config.assetProcessingDelay = parseInt(argv[i + 1], 10);
@@ -90,6 +115,9 @@ function parseCommandLineArgs() {
     } else if (arg === "--max-retries") {
       config.maxRetries = parseInt(argv[i + 1], 10);
       i += 2;
+    } else if (arg === "--resume") {
+      options.resume = argv[i + 1];
+      i += 2;
     } else if (arg === "--help") {
       printUsage();
       process.exit(0);
@@ -97,9 +125,7 @@ function parseCommandLineArgs() {
       i++;
     }
   }
-
-  // Validate required configuration
-  validateConfig();
+  return options;
 }
 
 // Print usage information
@@ -113,17 +139,19 @@ Usage:
 Options:
   --entry <ids>                  Comma-separated list of entry IDs to migrate (required)
   --exclude <ids>                Comma-separated list of entry IDs to exclude from migration
-  --source-space <id>            Source space ID (default: from .env)
-  --source-env <id>              Source environment ID (default: from .env)
-  --target-space <id>            Target space ID (default: from .env)
-  --target-env <id>              Target environment ID (default: from .env)
-  --token <token>                Contentful management token (default: from .env)
+  --source-profile <name>        Source profile from config/profiles.json (default: migrationSource)
+  --target-profile <name>        Target profile from config/profiles.json (default: migrationTarget)
+  --source-space <id>            Source space ID (overrides the profile)
+  --source-env <id>              Source environment ID (overrides the profile)
+  --target-space <id>            Target space ID (overrides the profile)
+  --target-env <id>              Target environment ID (overrides the profile)
+  --token <token>                Contentful management token (default: the target profile's token)
   --depth <number>               Maximum depth for traversing linked entries (default: 4)
   --publish <true|false>         Whether to publish entries after migration (default: false)
-  --rate-limit-delay <ms>        Delay between API calls to avoid rate limiting (default: 500ms)
   --asset-processing-delay <ms>  Delay between asset processing attempts (default: 1000ms)
   --retry-delay <ms>             Delay before retrying failed operations (default: 2000ms)  
   --max-retries <number>         Maximum number of retries for failed operations (default: 3)
+  --resume <runId>               Continue an interrupted migration with the resources it collected
   --help                         Print this usage information and exit
 `);
 }
@@ -145,21 +173,25 @@ function validateConfig() {
     missingConfig.forEach((item) => {
       migrationLogger.critical(`- ${item.label}`);
     });
-    process.exit(1);
+    throw new Error(
+      `Missing required configuration: ${missingConfig
+        .map((item) => item.label)
+        .join(", ")}`
+    );
   }
 
   if (!config.entryIds || config.entryIds.length === 0) {
     migrationLogger.critical(
       "No entry IDs specified for migration. Use --entry option."
     );
-    process.exit(1);
+    throw new Error("No entry IDs specified for migration");
   }
 }
 
 // Create a Contentful client
 function createClient() {
   try {
-    return contentful.createClient({ accessToken: config.accessToken });
+    return createContentfulClient({ accessToken: config.accessToken });
   } catch (error) {
     migrationLogger.critical("Failed to create Contentful client:", error);
     process.exit(1);
@@ -315,6 +347,34 @@ async function getAllLinkedResources(
   }
 }
 
+// Statistics counters; the checkpoint keeps each resource's share
+const STAT_COUNTERS = [
+  "entriesProcessed",
+  "entriesCreated",
+  "entriesSkipped",
+  "entriesPublished",
+  "assetsProcessed",
+  "assetsCreated",
+  "assetsSkipped",
+  "assetsPublished",
+];
+
+/**
+ * Counters that changed since a copy of the statistics was taken
+ * @param {Object} before - Statistics before a resource was migrated
+ * @param {Object} stats - Current statistics
+ * @returns {Object} - Changed counters and their increments
+ */
+function statsDelta(before, stats) {
+  const delta = {};
+  STAT_COUNTERS.forEach((counter) => {
+    if (stats[counter] !== before[counter]) {
+      delta[counter] = stats[counter] - before[counter];
+    }
+  });
+  return delta;
+}
+
 /**
  * Migrate a set of entries and their linked assets from source to target.
  *
@@ -322,20 +382,25 @@ async function getAllLinkedResources(
  * @param {Object} targetEnv - Target Contentful environment
  * @param {Set<string>} entryIds - Set of entry IDs to migrate
  * @param {Set<string>} assetIds - Set of asset IDs to migrate
+ * @param {Object} [checkpoint] - Run checkpoint; resources an earlier attempt
+ *   finished are skipped and its statistics are included
  * @returns {Promise<Object>} - Statistics about the migration
  */
-async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
-  const stats = {
-    entriesProcessed: 0,
-    entriesCreated: 0,
-    entriesSkipped: 0,
-    entriesPublished: 0,
-    assetsProcessed: 0,
-    assetsCreated: 0,
-    assetsSkipped: 0,
-    assetsPublished: 0,
-    errors: [],
-  };
+async function migrateResources(
+  sourceEnv,
+  targetEnv,
+  entryIds,
+  assetIds,
+  checkpoint = noCheckpoint()
+) {
+  const counts = checkpoint.list("counts");
+  const stats = { errors: checkpoint.list("errors") };
+  STAT_COUNTERS.forEach((counter) => {
+    stats[counter] = counts.reduce(
+      (sum, item) => sum + (item[counter] || 0),
+      0
+    );
+  });
 
   // Keep track of created resources to avoid duplicates
   const createdEntries = {};
@@ -346,6 +411,10 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
   migrationLogger.startTimer("entries-migration");
 
   for (const entryId of entryIds) {
+    if (checkpoint.isDone("entries", entryId)) {
+      continue;
+    }
+    const before = { ...stats };
     try {
       stats.entriesProcessed++;
       migrationLogger.debug(
@@ -370,16 +439,21 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
       }
 
       // Get entry from source
-      const entry = await sourceEnv.getEntry(entryId);
+      const entry = await withRetry(
+        () => sourceEnv.getEntry(entryId),
+        `get source entry ${entryId}`
+      );
 
       // Deep copy fields to avoid modifying the original
       const fieldsCopy = JSON.parse(JSON.stringify(entry.fields));
 
       // Create entry in target
-      const createdEntry = await targetEnv.createEntryWithId(
-        entry.sys.contentType.sys.id,
-        entryId,
-        { fields: fieldsCopy }
+      const createdEntry = await withRetry(
+        () =>
+          targetEnv.createEntryWithId(entry.sys.contentType.sys.id, entryId, {
+            fields: fieldsCopy,
+          }),
+        `create entry ${entryId}`
       );
 
       createdEntries[entryId] = createdEntry;
@@ -391,7 +465,10 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
       // Publish if configured
       if (config.publishAfterMigration) {
         try {
-          await createdEntry.publish();
+          await withRetry(
+            () => createdEntry.publish(),
+            `publish entry ${entryId}`
+          );
           stats.entriesPublished++;
           migrationLogger.success(`Published entry ${entryId}`);
         } catch (publishError) {
@@ -406,69 +483,17 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
           });
         }
       }
-
-      // Rate limiting delay
-      await new Promise((resolve) =>
-        setTimeout(resolve, config.rateLimitDelay)
-      );
     } catch (error) {
-      // If the error is related to rate limiting or a temporary issue, retry once
-      if (error.status === 429 || error.status >= 500) {
-        migrationLogger.warning(
-          `Rate limited or server error for entry ${entryId}, retrying after delay...`
-        );
-        await new Promise((resolve) =>
-          setTimeout(resolve, config.rateLimitDelay * 4)
-        ); // Longer delay for retries
-
-        try {
-          // Retry entry creation
-          const entry = await sourceEnv.getEntry(entryId);
-          const fieldsCopy = JSON.parse(JSON.stringify(entry.fields));
-          const createdEntry = await targetEnv.createEntryWithId(
-            entry.sys.contentType.sys.id,
-            entryId,
-            { fields: fieldsCopy }
-          );
-
-          createdEntries[entryId] = createdEntry;
-          stats.entriesCreated++;
-          migrationLogger.success(
-            `Created entry ${entryId} on retry (content type: ${entry.sys.contentType.sys.id})`
-          );
-
-          // Publish if configured
-          if (config.publishAfterMigration) {
-            try {
-              await createdEntry.publish();
-              stats.entriesPublished++;
-              migrationLogger.success(`Published entry ${entryId} on retry`);
-            } catch (publishError) {
-              migrationLogger.warning(
-                `Failed to publish entry ${entryId} on retry:`,
-                publishError
-              );
-            }
-          }
-        } catch (retryError) {
-          migrationLogger.error(
-            `Failed to process entry ${entryId} even after retry:`,
-            retryError
-          );
-          stats.errors.push({
-            type: "entry-create-retry",
-            id: entryId,
-            error: retryError.message,
-          });
-        }
-      } else {
-        migrationLogger.error(`Failed to process entry ${entryId}:`, error);
-        stats.errors.push({
-          type: "entry-create",
-          id: entryId,
-          error: error.message,
-        });
-      }
+      // Rate limits and server errors were already retried by withRetry
+      migrationLogger.error(`Failed to process entry ${entryId}:`, error);
+      stats.errors.push({
+        type: "entry-create",
+        id: entryId,
+        error: error.message,
+      });
+    } finally {
+      counts.push(statsDelta(before, stats));
+      checkpoint.markDone("entries", entryId);
     }
   }
 
@@ -480,6 +505,10 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
   migrationLogger.startTimer("assets-migration");
 
   for (const assetId of assetIds) {
+    if (checkpoint.isDone("assets", assetId)) {
+      continue;
+    }
+    const before = { ...stats };
     try {
       stats.assetsProcessed++;
       migrationLogger.debug(
@@ -504,12 +533,19 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
       }
 
       // Get asset from source
-      const asset = await sourceEnv.getAsset(assetId);
+      const asset = await withRetry(
+        () => sourceEnv.getAsset(assetId),
+        `get source asset ${assetId}`
+      );
 
       // Create asset in target
-      const createdAsset = await targetEnv.createAssetWithId(assetId, {
-        fields: JSON.parse(JSON.stringify(asset.fields)),
-      }); // Process asset files for each locale using our helper function
+      const createdAsset = await withRetry(
+        () =>
+          targetEnv.createAssetWithId(assetId, {
+            fields: JSON.parse(JSON.stringify(asset.fields)),
+          }),
+        `create asset ${assetId}`
+      ); // Process asset files for each locale using our helper function
       for (const locale of Object.keys(asset.fields.file || {})) {
         try {
           await safelyProcessAssetFile(createdAsset, locale, migrationLogger);
@@ -534,7 +570,10 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
       // Publish if configured
       if (config.publishAfterMigration) {
         try {
-          await createdAsset.publish();
+          await withRetry(
+            () => createdAsset.publish(),
+            `publish asset ${assetId}`
+          );
           stats.assetsPublished++;
           migrationLogger.success(`Published asset ${assetId}`);
         } catch (publishError) {
@@ -549,80 +588,17 @@ async function migrateResources(sourceEnv, targetEnv, entryIds, assetIds) {
           });
         }
       }
-
-      // Rate limiting delay
-      await new Promise((resolve) =>
-        setTimeout(resolve, config.rateLimitDelay)
-      );
     } catch (error) {
-      // If the error is related to rate limiting or a temporary issue, retry once
-      if (error.status === 429 || error.status >= 500) {
-        migrationLogger.warning(
-          `Rate limited or server error for asset ${assetId}, retrying after delay...`
-        );
-        await new Promise((resolve) =>
-          setTimeout(resolve, config.rateLimitDelay * 4)
-        ); // Longer delay for retries
-
-        try {
-          // Retry asset creation
-          const asset = await sourceEnv.getAsset(assetId);
-          const createdAsset = await targetEnv.createAssetWithId(assetId, {
-            fields: JSON.parse(JSON.stringify(asset.fields)),
-          });
-          // Process asset files for each locale using our helper function
-          for (const locale of Object.keys(asset.fields.file || {})) {
-            try {
-              await safelyProcessAssetFile(
-                createdAsset,
-                locale,
-                migrationLogger
-              );
-            } catch (retryProcessError) {
-              migrationLogger.warning(
-                `Failed to process asset ${assetId} for locale ${locale} during retry:`,
-                retryProcessError
-              );
-              throw retryProcessError;
-            }
-          }
-
-          createdAssets[assetId] = createdAsset;
-          stats.assetsCreated++;
-          migrationLogger.success(`Created asset ${assetId} on retry`);
-
-          // Continue with the rest of the asset processing
-          if (config.publishAfterMigration) {
-            try {
-              await createdAsset.publish();
-              stats.assetsPublished++;
-              migrationLogger.success(`Published asset ${assetId}`);
-            } catch (publishError) {
-              migrationLogger.warning(
-                `Failed to publish asset ${assetId} on retry:`,
-                publishError
-              );
-            }
-          }
-        } catch (retryError) {
-          migrationLogger.error(
-            `Failed to process asset ${assetId} even after retry:`,
-            retryError
-          );
-          stats.errors.push({
-            type: "asset-create-retry",
-            id: assetId,
-            error: retryError.message,
-          });
-        }
-      } else {
-        migrationLogger.error(`Failed to process asset ${assetId}:`, error);
-        stats.errors.push({
-          type: "asset-create",
-          id: assetId,
-          error: error.message,
-        });
-      }
+      // Rate limits and server errors were already retried by withRetry
+      migrationLogger.error(`Failed to process asset ${assetId}:`, error);
+      stats.errors.push({
+        type: "asset-create",
+        id: assetId,
+        error: error.message,
+      });
+    } finally {
+      counts.push(statsDelta(before, stats));
+      checkpoint.markDone("assets", assetId);
     }
   }
 
@@ -679,8 +655,34 @@ async function safelyProcessAssetFile(asset, locale, logger) {
 
 /**
  * Main migration function.
+ * @param {Object} overrides - Values replacing the defaults in config
+ * @param {string} [overrides.resume] - Run ID of an interrupted migration to
+ *   continue with the resources it collected
+ * @returns {Promise<Object>} Migration statistics, including earlier attempts
+ * @throws {CheckpointError} When the run to resume is missing, finished or
+ *   migrated between other environments
  */
-async function runMigration() {
+async function runMigration(overrides = {}) {
+  const { resume, ...settings } = overrides;
+  Object.assign(config, settings);
+  validateConfig();
+
+  const environments = {
+    source: `${config.sourceSpaceId}/${config.sourceEnvironmentId}`,
+    target: `${config.targetSpaceId}/${config.targetEnvironmentId}`,
+  };
+  const checkpoint = startCheckpoint("migration", environments, resume);
+  if (
+    checkpoint.resumed &&
+    (checkpoint.options.source !== environments.source ||
+      checkpoint.options.target !== environments.target)
+  ) {
+    throw new CheckpointError(
+      `Run ${checkpoint.runId} migrated ${checkpoint.options.source} to ${checkpoint.options.target}`,
+      checkpoint.file
+    );
+  }
+
   migrationLogger.info(
     "Starting content migration with the following configuration:"
   );
@@ -717,8 +719,11 @@ async function runMigration() {
     const allEntriesToMigrate = new Set();
     const allAssetsToMigrate = new Set();
 
+    // A resumed run migrates the resources the first attempt collected
+    const collected = checkpoint.isComplete("collect");
+
     // Process each entry ID
-    for (const entryId of config.entryIds) {
+    for (const entryId of collected ? [] : config.entryIds) {
       migrationLogger.info(`Collecting linked resources for entry ${entryId}`);
 
       // Skip if entry doesn't exist in source
@@ -745,12 +750,20 @@ async function runMigration() {
     }
 
     // Log resources to migrate
-    migrationLogger.info(
-      `Found ${allEntriesToMigrate.size} entries and ${allAssetsToMigrate.size} assets to migrate`
-    );
+    if (collected) {
+      migrationLogger.info(
+        `Resuming with ${checkpoint.remaining("entries").length} entries and ${
+          checkpoint.remaining("assets").length
+        } assets left to migrate`
+      );
+    } else {
+      migrationLogger.info(
+        `Found ${allEntriesToMigrate.size} entries and ${allAssetsToMigrate.size} assets to migrate`
+      );
+    }
 
     // Remove excluded entries from migration list
-    if (config.excludedEntryIds.length > 0) {
+    if (!collected && config.excludedEntryIds.length > 0) {
       const beforeSize = allEntriesToMigrate.size;
       config.excludedEntryIds.forEach((id) => allEntriesToMigrate.delete(id));
       migrationLogger.info(
@@ -760,13 +773,19 @@ async function runMigration() {
       );
     }
 
+    const entryIds = checkpoint.plan("entries", [...allEntriesToMigrate]);
+    const assetIds = checkpoint.plan("assets", [...allAssetsToMigrate]);
+    checkpoint.complete("collect");
+
     // Migrate resources
     const stats = await migrateResources(
       sourceEnv,
       targetEnv,
-      allEntriesToMigrate,
-      allAssetsToMigrate
+      new Set(entryIds),
+      new Set(assetIds),
+      checkpoint
     );
+    checkpoint.finish();
 
     // Log statistics
     const totalDuration = migrationLogger.endTimer("total");
@@ -788,19 +807,29 @@ async function runMigration() {
       });
       migrationLogger.groupEnd();
     }
+
+    return stats;
   } catch (error) {
     migrationLogger.critical("Migration failed with an error:", error);
-    process.exit(1);
+    throw error;
   }
 }
 
-// Parse command line arguments and run migration
-parseCommandLineArgs();
-runMigration()
-  .then(() => {
-    migrationLogger.success("Migration process completed successfully");
-  })
-  .catch((error) => {
-    migrationLogger.critical("Unhandled error during migration:", error);
-    process.exit(1);
-  });
+// Parse command line arguments and run migration when executed directly
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => runMigration(parseCommandLineArgs()))
+    .then(() => {
+      migrationLogger.success("Migration process completed successfully");
+      migrationLogger.info(`Requests: ${getDefaultQueue().describeStats()}`);
+    })
+    .catch((error) => {
+      migrationLogger.critical("Unhandled error during migration:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMigration,
+  config,
+};
@@ -1,99 +1,86 @@
-const contentful = require("contentful-management");
+const {
+  createClient,
+  withRetry,
+  getDefaultQueue,
+  getProfile,
+  listProfiles,
+  CheckpointError,
+  noCheckpoint,
+  startCheckpoint,
+} = require("../core");
 const logger = require("../utils/logger");
 const EntryDeletionProcessor = require("../utils/entry-deletion-processor");
+const {
+  REMOVING_ACTIONS,
+  describeAction,
+  ruleTarget,
+} = require("../utils/deletion-config");
+const {
+  DeletionHaltedError,
+  loadApproval,
+  terminalConfirmation,
+} = require("../utils/deletion-approval");
+const { profileFor, checkMeaningfulData } = require("../utils/meaningful-data");
+const { collectLinks, publishWaves } = require("../utils/link-order");
+const {
+  EntryValidator,
+  toValidationError,
+} = require("../utils/entry-validator");
+const {
+  createPublishPlan,
+  summarizePublishPlan,
+  formatPublishPlan,
+  savePublishPlan,
+} = require("../utils/publish-plan");
+const {
+  PublishFilterError,
+  describeFilters,
+  filtersByContentType,
+  publishQueries,
+} = require("../utils/publish-filters");
 const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
 
-// Centralized configuration for all environments
-const ALL_CONFIG = {
-  "uk": {
-    spaceId: process.env.SPACE_ID_EN_GB,
-    environmentId: process.env.ENV_EN_GB,
-    token: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  },
-  "de": {
-    spaceId: process.env.SPACE_ID_DE_DE,
-    environmentId: process.env.ENV_DE_DE,
-    token: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  },
-  "fr": {
-    spaceId: process.env.SPACE_ID_FR_FR,
-    environmentId: process.env.ENV_FR_FR,
-    token: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  },
-  "mobile-app": {
-    spaceId: process.env.MOBILE_APP_SPACE_ID,
-    environmentId: process.env.MOBILE_APP_ENV,
-    token: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  },
-};
-
-/**
- * A wrapper to retry a function with exponential backoff and timeout.
- * @param {Function} fn The async function to execute.
- * @param {number} maxRetries Maximum number of retries.
- * @param {number} timeoutMs Timeout in milliseconds.
- * @returns {Promise<any>}
- */
-async function retryWithBackoff(fn, maxRetries = 5, timeoutMs = 30000) {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      // Add timeout to the function call
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error("Request timeout")), timeoutMs);
-      });
-
-      return await Promise.race([fn(), timeoutPromise]);
-    } catch (error) {
-      if (error.name === "RateLimitExceeded") {
-        const wait = (error.retryAfter || 2 ** attempt) * 1000;
-        logger.warn(
-          `Rate limit hit. Retrying in ${wait}ms... (Attempt ${
-            attempt + 1
-          }/${maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, wait));
-        attempt++;
-      } else if (error.message === "Request timeout") {
-        logger.warn(
-          `Request timed out after ${timeoutMs}ms. Retrying... (Attempt ${
-            attempt + 1
-          }/${maxRetries})`
-        );
-        attempt++;
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      } else {
-        throw error; // Rethrow non-retriable errors
-      }
-    }
-  }
-  throw new Error(
-    `Operation failed after ${maxRetries} attempts due to rate limits or timeouts.`
-  );
-}
-
 /**
  * Creates and returns a Contentful environment instance.
- * @param {string} context The key for the desired environment (e.g., 'source-gb').
+ * @param {string} profileName Profile name or alias from config/profiles.json (e.g. 'always-de').
+ *   May be omitted when the overrides provide the whole connection.
+ * @param {object} overrides Values taking precedence over the profile
+ * @param {string} overrides.spaceId
+ * @param {string} overrides.environmentId
+ * @param {string} overrides.token
  * @returns {Promise<import('contentful-management').Environment>}
  */
-async function getContentfulEnvironment(context) {
-  const config = ALL_CONFIG[context];
-  if (!config || !config.spaceId || !config.environmentId || !config.token) {
+async function getContentfulEnvironment(profileName, overrides = {}) {
+  const profile = profileName ? getProfile(profileName) : null;
+  const config = profile
+    ? {
+        spaceId: profile.spaceId,
+        environmentId: profile.environmentId,
+        token: profile.token,
+      }
+    : {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value) config[key] = value;
+  }
+  if (!config.spaceId || !config.environmentId || !config.token) {
+    const missing = profile ? ` (unset: ${profile.missing.join(", ")})` : "";
     throw new Error(
-      `Configuration for '${context}' is missing or incomplete. Check your .env file.`
+      `Configuration for '${
+        profileName || "unknown"
+      }' is missing or incomplete${missing}. Check config/profiles.json and your .env file.`
     );
   }
 
-  const client = contentful.createClient({ accessToken: config.token });
+  const client = createClient({ accessToken: config.token });
   const space = await client.getSpace(config.spaceId);
   return space.getEnvironment(config.environmentId);
 }
 
 /**
- * Fetch all entries/assets with pagination support
+ * Fetch all entries/assets with pagination support. Pages after the first
+ * are fetched as fast as the request queue allows.
  * @param {import('contentful-management').Environment} environment
  * @param {string} type - "entries" or "assets"
  * @param {object} query - Query parameters
@@ -122,11 +109,9 @@ async function fetchAllWithPagination(environment, type, query = {}) {
     );
   }
 
-  let allItems = [];
-  let skip = 0;
   const limit = query.limit || 1000;
   let total = Infinity;
-  while (skip < total) {
+  const fetchPage = async (skip) => {
     try {
       const queryWithPagination = { ...query, limit, skip };
       logger.info(
@@ -135,7 +120,7 @@ async function fetchAllWithPagination(environment, type, query = {}) {
         }`
       );
 
-      const response = await retryWithBackoff(() =>
+      const response = await withRetry(() =>
         environment[getMethod](queryWithPagination)
       );
 
@@ -160,18 +145,7 @@ async function fetchAllWithPagination(environment, type, query = {}) {
         );
       }
 
-      if (total === Infinity) {
-        total = response.total;
-        logger.info(`Total ${type} found: ${total}`);
-      }
-
-      allItems = allItems.concat(response.items);
-      skip += limit;
-
-      // Small delay between requests to avoid rate limiting
-      if (skip < total) {
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      }
+      return response;
     } catch (error) {
       logger.error(`Error fetching ${type} at skip ${skip}:`, error.message);
       logger.error(`Error details:`, {
@@ -182,12 +156,94 @@ async function fetchAllWithPagination(environment, type, query = {}) {
       });
       throw error;
     }
+  };
+
+  const firstPage = await fetchPage(0);
+  total = firstPage.total;
+  logger.info(`Total ${type} found: ${total}`);
+  const skips = [];
+  for (let skip = limit; skip < total; skip += limit) {
+    skips.push(skip);
   }
+  const pages = await getDefaultQueue().map(skips, fetchPage);
+  const allItems = [firstPage, ...pages].flatMap((page) => page.items);
 
   logger.info(`Successfully fetched ${allItems.length} ${type}`);
   return allItems;
 }
 
+/**
+ * Publish filters for a phase of a checkpointed run: a resumed phase only
+ * fetches the IDs it planned and has not finished
+ * @param {import('../core').Checkpoint} checkpoint
+ * @param {string} phase
+ * @param {import('../utils/publish-filters').PublishFilters|null} filters
+ * @returns {import('../utils/publish-filters').PublishFilters|null}
+ */
+function resumeFilters(checkpoint, phase, filters) {
+  const remaining = checkpoint.remaining(phase);
+  if (!remaining) return filters;
+  logger.info(
+    `📍 Resuming ${phase}: ${remaining.length} of ${
+      checkpoint.planned.get(phase).length
+    } left`
+  );
+  return { ids: remaining };
+}
+
+/**
+ * fetchAllWithPagination narrowed to what publish filters select
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} type - "entries" or "assets"
+ * @param {object} query - Query the filter parameters are added to
+ * @param {import('../utils/publish-filters').PublishFilters|null} filters
+ * @returns {Promise<Array>}
+ */
+async function fetchFiltered(environment, type, query, filters) {
+  let items = [];
+  for (const filterQuery of publishQueries(filters, type)) {
+    items = items.concat(
+      await fetchAllWithPagination(environment, type, {
+        ...query,
+        ...filterQuery,
+      })
+    );
+  }
+  return items;
+}
+
+/**
+ * Filters for the asset half of a full publish run. Content type filters only
+ * select entries, so with them the assets are narrowed to the ones the
+ * selected drafts and changed entries link to; other filters still apply.
+ * @param {import('contentful-management').Environment} environment
+ * @param {import('../utils/publish-filters').PublishFilters|null} filters
+ * @returns {Promise<import('../utils/publish-filters').PublishFilters|null>}
+ */
+async function assetFiltersFor(environment, filters) {
+  if (!filtersByContentType(filters)) return filters;
+  const assetFilters = { ...filters };
+  delete assetFilters.contentTypes;
+  delete assetFilters.excludeContentTypes;
+  const linked = new Set();
+  for (const { entity } of await fetchPublishCandidates(
+    environment,
+    "entries",
+    filters
+  )) {
+    for (const link of collectLinks(entity.fields)) {
+      if (link.sys.linkType === "Asset") linked.add(link.sys.id);
+    }
+  }
+  const ids = [...linked].filter(
+    (id) => !assetFilters.ids || assetFilters.ids.includes(id)
+  );
+  logger.info(
+    `🔎 Content type filters select entries; publishing only the ${ids.length} assets they link to`
+  );
+  return { ...assetFilters, ids };
+}
+
 // --- Publishing Logic (from publish-content.js) ---
 
 async function safeGetLink(environment, link) {
@@ -221,13 +277,9 @@ async function safeGetLink(environment, link) {
     // Attempt to fetch the linked resource using explicit method calls
     let resource;
     if (link.sys.linkType === "Entry") {
-      resource = await retryWithBackoff(() =>
-        environment.getEntry(link.sys.id)
-      );
+      resource = await withRetry(() => environment.getEntry(link.sys.id));
     } else if (link.sys.linkType === "Asset") {
-      resource = await retryWithBackoff(() =>
-        environment.getAsset(link.sys.id)
-      );
+      resource = await withRetry(() => environment.getAsset(link.sys.id));
     } else {
       throw new Error(`Invalid linkType: ${link.sys.linkType}`);
     }
@@ -281,18 +333,25 @@ async function safeGetLink(environment, link) {
 }
 
 /**
- * Enhanced version of cleanEntryLinks that provides detailed information about what was cleaned
+ * Enhanced version of cleanEntryLinks that provides detailed information about what was cleaned.
+ * Only the local entry object is modified; saving it is left to the caller.
  * @param {import('contentful-management').Entry} entry - The entry to clean
  * @param {import('contentful-management').Environment} environment - The Contentful environment
- * @returns {Promise<{hasMissingLinks: boolean, removedLinksCount: number, removedEntryLinks: number, removedAssetLinks: number}>}
+ * @param {object} [options]
+ * @param {Set<string>} [options.missingIds] - IDs to treat as missing (e.g. entries a dry run plans to delete)
+ * @returns {Promise<{hasMissingLinks: boolean, removedLinksCount: number, removedEntryLinks: number, removedAssetLinks: number, brokenLinks: Array<{field: string, locale: string, linkType: string, id: string}>}>}
  */
-async function cleanEntryLinksWithDetails(entry, environment) {
+async function cleanEntryLinksWithDetails(entry, environment, options = {}) {
   const result = {
     hasMissingLinks: false,
     removedLinksCount: 0,
     removedEntryLinks: 0,
     removedAssetLinks: 0,
+    brokenLinks: [],
   };
+  const missingIds = options.missingIds || new Set();
+  const resolveLink = (link) =>
+    missingIds.has(link.sys.id) ? null : safeGetLink(environment, link);
 
   try {
     // Validate entry structure
@@ -387,12 +446,18 @@ async function cleanEntryLinksWithDetails(entry, environment) {
                     item.sys &&
                     item.sys.type === "Link"
                   ) {
-                    const validLink = await safeGetLink(environment, item);
+                    const validLink = await resolveLink(item);
                     if (validLink) {
                       cleaned.push(validLink);
                     } else {
                       result.hasMissingLinks = true;
                       result.removedLinksCount++;
+                      result.brokenLinks.push({
+                        field: fieldKey,
+                        locale,
+                        linkType: item.sys.linkType,
+                        id: item.sys.id,
+                      });
 
                       if (item.sys.linkType === "Entry") {
                         result.removedEntryLinks++;
@@ -426,11 +491,17 @@ async function cleanEntryLinksWithDetails(entry, environment) {
             ) {
               // Handle single link objects
               try {
-                const validLink = await safeGetLink(environment, value);
+                const validLink = await resolveLink(value);
                 if (!validLink) {
                   fields[fieldKey][locale] = null;
                   result.hasMissingLinks = true;
                   result.removedLinksCount++;
+                  result.brokenLinks.push({
+                    field: fieldKey,
+                    locale,
+                    linkType: value.sys.linkType,
+                    id: value.sys.id,
+                  });
 
                   if (value.sys.linkType === "Entry") {
                     result.removedEntryLinks++;
@@ -450,6 +521,12 @@ async function cleanEntryLinksWithDetails(entry, environment) {
                 fields[fieldKey][locale] = null;
                 result.hasMissingLinks = true;
                 result.removedLinksCount++;
+                result.brokenLinks.push({
+                  field: fieldKey,
+                  locale,
+                  linkType: value.sys.linkType,
+                  id: value.sys.id,
+                });
               }
             }
             // For other value types (strings, numbers, objects without sys.type="Link"), leave them as is
@@ -485,14 +562,35 @@ function isChanged(entity) {
   );
 }
 
+/**
+ * @param {Object} entity - Entry or asset
+ * @returns {boolean} Whether it is published without changes since
+ */
+function isUpToDate(entity) {
+  return (
+    Boolean(entity.sys.publishedAt) &&
+    !isChanged(entity) &&
+    entity.sys.publishedVersion === entity.sys.version
+  );
+}
+
+// Why entries with data that their meaningful data profile does not count
+// are neither deleted nor published
+const PROFILE_FAILURE =
+  "Fails its meaningful data profile; reported for review, not deleted";
+
 /**
  * Check if an entry has meaningful data (non-empty fields) with detailed locale and field analysis
  * Handles locale-oriented field structure from Contentful Management API
  * @param {import('contentful-management').Entry} entry - The entry to check
  * @param {boolean} returnDetails - If true, returns detailed analysis instead of just boolean
+ * @param {object} [meaningfulData] - `meaningfulData` section of the deletion
+ *   config; its profile for the entry's content type decides which fields
+ *   count (see utils/meaningful-data.js)
  * @returns {boolean|object} - True if entry has data, false if empty, or detailed object if returnDetails=true
  */
-function hasEntryData(entry, returnDetails = false) {
+function hasEntryData(entry, returnDetails = false, meaningfulData = {}) {
+  const profile = profileFor(meaningfulData, entry?.sys?.contentType?.sys?.id);
   const details = {
     hasData: false,
     entryId: null,
@@ -500,6 +598,11 @@ function hasEntryData(entry, returnDetails = false) {
     totalFields: 0,
     fieldsWithData: 0,
     emptyFields: 0,
+    // Required fields of the profile, when none of them has a value
+    missingFields: [...profile.required],
+    // Has data, but not what its profile counts: reported, never deleted
+    failsProfile: false,
+    ignoredFields: [],
     localeAnalysis: {},
     fieldAnalysis: {},
     errors: [],
@@ -576,7 +679,6 @@ function hasEntryData(entry, returnDetails = false) {
       return false;
     }
 
-    let hasAnyMeaningfulData = false;
     const localeDataCount = {};
 
     // Check if any field has meaningful content
@@ -716,7 +818,6 @@ function hasEntryData(entry, returnDetails = false) {
               if (hasValidArrayContent) {
                 localeAnalysis.hasData = true;
                 fieldHasData = true;
-                hasAnyMeaningfulData = true;
                 localeDataCount[locale].fieldsWithData++;
               }
               fieldAnalysis.locales[locale] = localeAnalysis;
@@ -749,7 +850,6 @@ function hasEntryData(entry, returnDetails = false) {
                   localeAnalysis.isLink = true;
                   fieldAnalysis.dataTypes.add("link");
                   fieldHasData = true;
-                  hasAnyMeaningfulData = true;
                   localeDataCount[locale].fieldsWithData++;
                   fieldAnalysis.locales[locale] = localeAnalysis;
                   continue;
@@ -870,7 +970,6 @@ function hasEntryData(entry, returnDetails = false) {
                 if (hasMeaningfulContent) {
                   localeAnalysis.hasData = true;
                   fieldHasData = true;
-                  hasAnyMeaningfulData = true;
                   localeDataCount[locale].fieldsWithData++;
                   fieldAnalysis.dataTypes.add("object");
                 }
@@ -888,7 +987,6 @@ function hasEntryData(entry, returnDetails = false) {
             // If we get here, we have meaningful primitive content (string, number, boolean, etc.)
             localeAnalysis.hasData = true;
             fieldHasData = true;
-            hasAnyMeaningfulData = true;
             localeDataCount[locale].fieldsWithData++;
             fieldAnalysis.dataTypes.add(typeof value);
             fieldAnalysis.locales[locale] = localeAnalysis;
@@ -930,13 +1028,27 @@ function hasEntryData(entry, returnDetails = false) {
       };
     }
 
-    details.hasData = hasAnyMeaningfulData;
+    const { meaningful, missingFields } = checkMeaningfulData(
+      profile,
+      fieldKeys,
+      (fieldKey) => Boolean(details.fieldAnalysis[fieldKey]?.hasData)
+    );
+    details.hasData = meaningful;
+    details.missingFields = missingFields;
+    details.failsProfile = !meaningful && details.fieldsWithData > 0;
+    details.ignoredFields = fieldKeys.filter((fieldKey) =>
+      profile.ignore.includes(fieldKey)
+    );
 
-    if (!hasAnyMeaningfulData) {
-      logger.log(`Entry ${entryId} has no meaningful data in any field`);
+    if (!details.hasData) {
+      logger.log(
+        missingFields.length > 0
+          ? `Entry ${entryId} is missing ${missingFields.join(", ")}`
+          : `Entry ${entryId} has no meaningful data in any field`
+      );
     }
 
-    return returnDetails ? details : hasAnyMeaningfulData;
+    return returnDetails ? details : details.hasData;
   } catch (error) {
     const entryId = entry?.sys?.id || "unknown";
     const errorMsg = `Unexpected error processing entry ${entryId} - ${error.message}`;
@@ -952,21 +1064,111 @@ function hasEntryData(entry, returnDetails = false) {
   }
 }
 
-async function publishAssets(environment) {
+/**
+ * Run asset rules (`"target": "assets"`) against the assets about to be
+ * published, apply their actions and save the deletion report
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context - Profile name the rules are configured for
+ * @param {Object[]} assets - Assets about to be published
+ * @param {Object} [authorization] - From deletionAuthorization()
+ * @returns {Promise<Object[]>} The assets still to publish: without those
+ *   deleted, archived, unpublished or held back by the limit, and at their
+ *   new version where edited
+ */
+async function applyAssetRules(
+  environment,
+  context,
+  assets,
+  authorization = {}
+) {
+  const deletionProcessor = new EntryDeletionProcessor();
+  if (
+    !deletionProcessor
+      .getEnabledRulesForEnvironment(context)
+      .some((rule) => ruleTarget(rule) === "assets")
+  ) {
+    return assets;
+  }
+  await deletionProcessor.checkContentTypes(environment, context);
+  await deletionProcessor.loadLocales(environment, context);
+
+  logger.info("Checking assets against deletion mapping rules...");
+  const candidates = await deletionProcessor.processAssetsForDeletion(
+    assets,
+    context,
+    (assetId) => isAssetLinked(environment, assetId),
+    environment
+  );
+  if (candidates.length === 0) {
+    logger.info("✅ No assets match deletion mapping criteria");
+    return assets;
+  }
+  let authorized;
+  try {
+    authorized = await deletionProcessor.authorizeCandidates(
+      candidates,
+      context,
+      authorization
+    );
+  } catch (error) {
+    if (!(error instanceof DeletionHaltedError)) throw error;
+    logger.error(`🛑 ${error.message}`);
+    deletionProcessor.saveDeletionReport(
+      deletionProcessor.generateDeletionReport(candidates, context),
+      context
+    );
+    const heldBack = new Set(candidates.map((c) => c.asset.sys.id));
+    return assets.filter((asset) => !heldBack.has(asset.sys.id));
+  }
+  const { removed, updated } = await applyRuleActions(
+    deletionProcessor,
+    authorized
+  );
+  deletionProcessor.saveDeletionReport(
+    deletionProcessor.generateDeletionReport(candidates, context),
+    context
+  );
+  logger.info(
+    `📊 Removed ${removed.size} deleted, archived or unpublished assets from processing queue`
+  );
+  return assets
+    .filter((asset) => !removed.has(asset.sys.id))
+    .map((asset) => updated.get(asset.sys.id) || asset);
+}
+
+async function publishAssets(
+  environment,
+  context = "unknown",
+  authorization = {},
+  filters = null,
+  checkpoint = noCheckpoint()
+) {
+  authorization = withDeletionBudget(authorization, context);
   logger.info("Fetching assets to publish with pagination...");
+  const fetchFilters = resumeFilters(checkpoint, "assets", filters);
 
   try {
     // Fetch all draft assets with pagination
-    const draftAssets = await fetchAllWithPagination(environment, "assets", {
-      "sys.publishedAt[exists]": false,
-      "sys.archivedAt[exists]": false,
-    });
+    const draftAssets = await fetchFiltered(
+      environment,
+      "assets",
+      {
+        "sys.publishedAt[exists]": false,
+        "sys.archivedAt[exists]": false,
+      },
+      fetchFilters
+    );
 
     // Fetch all changed assets with pagination and filter directly
-    const changedAssets = await fetchAllWithPagination(environment, "assets", {
-      "sys.publishedAt[exists]": true,
-      "sys.archivedAt[exists]": false,
-    });
+    const changedAssets = await fetchFiltered(
+      environment,
+      "assets",
+      {
+        "sys.publishedAt[exists]": true,
+        "sys.archivedAt[exists]": false,
+      },
+      fetchFilters
+    );
 
     // Filter changed assets that actually need republishing
     const changedAssetsNeedingUpdate = changedAssets.filter((asset) => {
@@ -997,9 +1199,19 @@ async function publishAssets(environment) {
         allAssetsToProcess.push(asset);
       }
     }
+    const candidateIds = allAssetsToProcess.map((asset) => asset.sys.id);
+    checkpoint.plan("assets", candidateIds);
+
+    // Asset rules run before publishing, as entry rules do
+    const remainingAssets = await applyAssetRules(
+      environment,
+      context,
+      allAssetsToProcess,
+      authorization
+    );
 
     // Filter out assets that don't need publishing
-    const assetsToPublish = allAssetsToProcess.filter((asset) => {
+    const assetsToPublish = remainingAssets.filter((asset) => {
       if (asset.sys.archivedAt) {
         logger.log(`Skipping archived asset ${asset.sys.id}`);
         return false;
@@ -1015,6 +1227,11 @@ async function publishAssets(environment) {
       }
       return true;
     });
+    const publishing = new Set(assetsToPublish.map((asset) => asset.sys.id));
+    checkpoint.markDone(
+      "assets",
+      candidateIds.filter((id) => !publishing.has(id))
+    );
 
     if (assetsToPublish.length === 0) {
       logger.info("No assets to publish.");
@@ -1025,8 +1242,9 @@ async function publishAssets(environment) {
       `Found ${assetsToPublish.length} assets to publish using batch processing.`
     );
 
-    // Process assets in batches for better performance
-    const batchSize = 10;
+    // Batches only group progress and checkpoints; the request queue decides
+    // how many publishes are in flight
+    const { batchSize } = getDefaultQueue();
     const batches = [];
     for (let i = 0; i < assetsToPublish.length; i += batchSize) {
       batches.push(assetsToPublish.slice(i, i + batchSize));
@@ -1048,7 +1266,7 @@ async function publishAssets(environment) {
           if (!asset || !asset.sys || !asset.sys.id) {
             throw new Error("Invalid asset object");
           }
-          await retryWithBackoff(() => asset.publish());
+          await withRetry(() => asset.publish());
           logger.success(`Published asset ${asset.sys.id}`);
           return { success: true, asset };
         } catch (error) {
@@ -1136,21 +1354,21 @@ async function publishAssets(environment) {
                   logger.error(
                     `Asset ${assetId} has validation errors but cannot be deleted due to existing links. Manual intervention may be required.`
                   );
-                } else {
+                } else if (!deletionRefusal(authorization, asset)) {
                   logger.info(
                     `Asset ${assetId} is not linked. Proceeding with deletion...`
                   );
 
                   // Unpublish, unarchive, and delete
                   if (asset.isPublished && asset.isPublished()) {
-                    await retryWithBackoff(() => asset.unpublish());
+                    await withRetry(() => asset.unpublish());
                     logger.log(`Unpublished asset ${assetId}`);
                   }
                   if (asset.isArchived && asset.isArchived()) {
-                    await retryWithBackoff(() => asset.unarchive());
+                    await withRetry(() => asset.unarchive());
                     logger.log(`Unarchived asset ${assetId}`);
                   }
-                  await retryWithBackoff(() => asset.delete());
+                  await withRetry(() => asset.delete());
                   logger.success(
                     `Deleted invalid asset ${assetId} due to validation errors (was not linked)`
                   );
@@ -1174,11 +1392,10 @@ async function publishAssets(environment) {
           }
         }
       }
-
-      // Small delay between batches to avoid rate limiting
-      if (batchIndex < batches.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
+      checkpoint.markDone(
+        "assets",
+        batch.map((asset) => asset.sys.id)
+      );
     }
 
     if (successCount > 0) {
@@ -1193,16 +1410,210 @@ async function publishAssets(environment) {
   }
 }
 
-async function publishEntries(environment) {
+/**
+ * Carry out the actions of rule candidates that passed the safety checks.
+ * Failures are logged and recorded on the candidate (`outcome: "failed"`).
+ * @param {EntryDeletionProcessor} deletionProcessor
+ * @param {Object[]} candidates - Entry or asset candidates with willDelete set
+ * @returns {Promise<{removed: Set<string>, updated: Map<string, Object>}>}
+ *   IDs of entries or assets deleted, archived or unpublished, and those
+ *   that were updated in place, by ID
+ */
+async function applyRuleActions(deletionProcessor, candidates) {
+  const removed = new Set();
+  const updated = new Map();
+  for (const candidate of candidates) {
+    const kind = candidate.asset ? "asset" : "entry";
+    const entityId = (candidate.asset || candidate.entry).sys.id;
+    const action = describeAction(candidate.action);
+    try {
+      logger.info(
+        `Applying ${action} to ${kind} ${entityId} (Rule: ${candidate.ruleName})`
+      );
+      const entity = await deletionProcessor.applyAction(candidate);
+      if (REMOVING_ACTIONS.includes(candidate.action.type)) {
+        removed.add(entityId);
+      } else {
+        updated.set(entityId, entity);
+      }
+      if (candidate.outcome === "unchanged") {
+        logger.info(
+          `Nothing to do: ${kind} ${entityId} already matches ${action}`
+        );
+      } else {
+        logger.success(
+          `✅ ${action} applied to ${kind} ${entityId} via mapping rule: ${candidate.reasons.join(
+            ", "
+          )}`
+        );
+      }
+    } catch (error) {
+      candidate.outcome = "failed";
+      candidate.error = error.message;
+      logger.error(`Failed to ${action} ${kind} ${entityId}: ${error.message}`);
+    }
+  }
+  return { removed, updated };
+}
+
+/**
+ * The authorization with a maxDeletionsPerRun budget for the whole run,
+ * creating one when the caller did not pass it
+ * @param {Object} authorization - From deletionAuthorization()
+ * @param {string} context - Profile name of the run
+ * @returns {Object}
+ */
+function withDeletionBudget(authorization, context) {
+  if (authorization.budget) return authorization;
+  return {
+    ...authorization,
+    budget: new EntryDeletionProcessor().createBudget(context),
+  };
+}
+
+/**
+ * Count deletions found while publishing (empty entries, or an entry or
+ * asset Contentful rejected as invalid) against the run's maxDeletionsPerRun
+ * before they are sent, all or none of them. Approval files only list rule
+ * actions, so a run with --approve deletes none of these.
+ * @param {Object} authorization - From withDeletionBudget()
+ * @param {Object|Object[]} entities - Entry or asset to delete, or a batch
+ *   of them
+ * @returns {string|null} Why they must not be deleted; null when they may
+ */
+function deletionRefusal(authorization, entities) {
+  const { budget, approval } = authorization;
+  const batch = [].concat(entities);
+  if (batch.length === 0) return null;
+  const label = batch
+    .map((entity) => `${entity.sys.type} ${entity.sys.id}`)
+    .join(", ");
+  let refusal = approval ? "Not in the approval file" : null;
+  if (!refusal) {
+    try {
+      budget.reserve(batch.length);
+    } catch (error) {
+      if (!(error instanceof DeletionHaltedError)) throw error;
+      refusal = error.message;
+    }
+  }
+  if (refusal) logger.warn(`⚠️ Not deleting ${label}: ${refusal}`);
+  return refusal;
+}
+
+/**
+ * Run deletion mapping rules by ID against every entry of their content
+ * types, or for asset rules every asset, that is not archived, outside of
+ * publishing. Used for `manual` rules such as archive-persona-data; safety
+ * checks, the per-run limit and the deletion report work as they do while
+ * publishing.
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context - Profile name the rules are configured for
+ * @param {string[]} ruleIds
+ * @param {Object} [authorization] - From deletionAuthorization()
+ * @returns {Promise<Object[]>} The candidates, with their outcome
+ * @throws {DeletionHaltedError} When the candidates exceed maxDeletionsPerRun
+ *   or deletions were stopped
+ */
+async function runRules(environment, context, ruleIds, authorization = {}) {
+  authorization = withDeletionBudget(authorization, context);
+  const deletionProcessor = new EntryDeletionProcessor();
+  deletionProcessor.useRules(ruleIds);
+  await deletionProcessor.checkContentTypes(environment, context);
+  await deletionProcessor.loadLocales(environment, context);
+
+  const rules = deletionProcessor.getEnabledRulesForEnvironment(context);
+  if (rules.length === 0) {
+    logger.info(`No enabled rules ${ruleIds.join(", ")} for ${context}.`);
+    return [];
+  }
+  const candidates = [];
+  const entryRules = rules.filter((rule) => ruleTarget(rule) === "entries");
+  if (entryRules.length > 0) {
+    const contentTypes = entryRules.flatMap((rule) => rule.contentTypes);
+    const query = { "sys.archivedAt[exists]": false };
+    if (!contentTypes.includes("*")) {
+      query["sys.contentType.sys.id[in]"] = [...new Set(contentTypes)].join(
+        ","
+      );
+    }
+    const entries = await fetchAllWithPagination(environment, "entries", query);
+    logger.info(
+      `Evaluating ${entries.length} entries against ${ruleIds.join(", ")}`
+    );
+    candidates.push(
+      ...(await deletionProcessor.processEntriesForDeletion(
+        entries,
+        context,
+        (entryId) => isEntryLinked(environment, entryId),
+        environment
+      ))
+    );
+  }
+  if (entryRules.length < rules.length) {
+    const assets = await fetchAllWithPagination(environment, "assets", {
+      "sys.archivedAt[exists]": false,
+    });
+    logger.info(
+      `Evaluating ${assets.length} assets against ${ruleIds.join(", ")}`
+    );
+    candidates.push(
+      ...(await deletionProcessor.processAssetsForDeletion(
+        assets,
+        context,
+        (assetId) => isAssetLinked(environment, assetId),
+        environment
+      ))
+    );
+  }
+  let authorized = [];
+  let limitError = null;
+  try {
+    authorized = await deletionProcessor.authorizeCandidates(
+      candidates,
+      context,
+      authorization
+    );
+  } catch (error) {
+    if (!(error instanceof DeletionHaltedError)) throw error;
+    limitError = error;
+  }
+  await applyRuleActions(deletionProcessor, authorized);
+  if (candidates.length > 0) {
+    deletionProcessor.saveDeletionReport(
+      deletionProcessor.generateDeletionReport(candidates, context),
+      context
+    );
+  } else {
+    logger.info("✅ Nothing matches the rules");
+  }
+  if (limitError) throw limitError;
+  return candidates;
+}
+
+async function publishEntries(
+  environment,
+  context = "unknown",
+  authorization = {},
+  filters = null,
+  checkpoint = noCheckpoint()
+) {
+  authorization = withDeletionBudget(authorization, context);
   logger.info("Fetching entries to publish with pagination...");
+  const fetchFilters = resumeFilters(checkpoint, "entries", filters);
 
-  // Arrays to track validation errors and deletions for reporting
-  const validationErrors = [];
-  const deletedEntries = [];
+  // Arrays to track validation errors and deletions for reporting; a
+  // resumed run starts with those of its earlier attempts
+  const validationErrors = checkpoint.list("validationErrors");
+  const deletedEntries = checkpoint.list("deletedEntries");
+  // Entries failing their meaningful data profile, deleted or kept
+  const emptyEntries = checkpoint.list("emptyEntries");
+  // Entries not published because something they link to is not published
+  const blockedEntries = checkpoint.list("blockedEntries");
 
   // Initialize entry deletion processor for mapping-based deletions
   const deletionProcessor = new EntryDeletionProcessor();
-  const currentEnvironment = process.argv[3] || "unknown";
+  const currentEnvironment = context;
 
   try {
     // Validate environment parameter
@@ -1210,14 +1621,23 @@ async function publishEntries(environment) {
       throw new Error("publishEntries: environment parameter is required");
     }
 
+    // Rules naming content types the space does not have are typos
+    await deletionProcessor.checkContentTypes(environment, currentEnvironment);
+    await deletionProcessor.loadLocales(environment, currentEnvironment);
+
     // Fetch all draft entries with pagination
     logger.info("Step 1: Fetching draft entries...");
     let draftEntries;
     try {
-      draftEntries = await fetchAllWithPagination(environment, "entries", {
-        "sys.publishedAt[exists]": false,
-        "sys.archivedAt[exists]": false,
-      });
+      draftEntries = await fetchFiltered(
+        environment,
+        "entries",
+        {
+          "sys.publishedAt[exists]": false,
+          "sys.archivedAt[exists]": false,
+        },
+        fetchFilters
+      );
       logger.info(`Successfully fetched ${draftEntries.length} draft entries`);
     } catch (draftError) {
       logger.error("Error fetching draft entries:", draftError.message);
@@ -1228,10 +1648,15 @@ async function publishEntries(environment) {
     logger.info("Step 2: Fetching changed entries...");
     let changedEntries;
     try {
-      changedEntries = await fetchAllWithPagination(environment, "entries", {
-        "sys.publishedAt[exists]": true,
-        "sys.archivedAt[exists]": false,
-      });
+      changedEntries = await fetchFiltered(
+        environment,
+        "entries",
+        {
+          "sys.publishedAt[exists]": true,
+          "sys.archivedAt[exists]": false,
+        },
+        fetchFilters
+      );
       logger.info(
         `Successfully fetched ${changedEntries.length} changed entries`
       );
@@ -1272,6 +1697,8 @@ async function publishEntries(environment) {
         allEntriesToProcess.push(entry);
       }
     }
+    const candidateIds = allEntriesToProcess.map((entry) => entry.sys.id);
+    checkpoint.plan("entries", candidateIds);
 
     logger.info(
       `Total entries to process: ${allEntriesToProcess.length} (${
@@ -1293,83 +1720,105 @@ async function publishEntries(environment) {
       mappingBasedDeletions = await deletionProcessor.processEntriesForDeletion(
         allEntriesToProcess,
         currentEnvironment,
-        (entryId) => isEntryLinked(environment, entryId)
+        (entryId) => isEntryLinked(environment, entryId),
+        environment
       );
-
-      // Execute mapping-based deletions
-      const toDelete = mappingBasedDeletions.filter(
-        (candidate) => candidate.willDelete
+    } catch (mappingError) {
+      logger.warn(
+        `Failed to process mapping-based deletions: ${mappingError.message}`
       );
-      if (toDelete.length > 0) {
-        logger.info(
-          `🗑️ Executing ${toDelete.length} mapping-based deletions...`
-        );
-
-        for (const candidate of toDelete) {
-          try {
-            const entry = candidate.entry;
-            const entryId = entry.sys.id;
+    }
 
-            logger.info(
-              `Deleting entry ${entryId} (Rule: ${candidate.ruleName})`
-            );
+    // Over the limit, or once deletions were stopped, no rule action runs
+    // and the matched entries are held back from publishing. Other errors,
+    // such as a failing confirmation prompt, end the run.
+    let toDelete = [];
+    let heldBack = new Set();
+    try {
+      toDelete = await deletionProcessor.authorizeCandidates(
+        mappingBasedDeletions,
+        currentEnvironment,
+        authorization
+      );
+    } catch (limitError) {
+      if (!(limitError instanceof DeletionHaltedError)) throw limitError;
+      logger.error(`🛑 ${limitError.message}`);
+      heldBack = new Set(
+        mappingBasedDeletions.map((candidate) => candidate.entry.sys.id)
+      );
+    }
 
-            // Unpublish, unarchive, and delete
-            if (entry.isPublished && entry.isPublished()) {
-              await retryWithBackoff(() => entry.unpublish());
-              logger.log(`Unpublished entry ${entryId}`);
-            }
-            if (entry.isArchived && entry.isArchived()) {
-              await retryWithBackoff(() => entry.unarchive());
-              logger.log(`Unarchived entry ${entryId}`);
-            }
-            await retryWithBackoff(() => entry.delete());
+    // Execute mapping-based deletions and the other rule actions
+    let removed = new Set();
+    let updated = new Map();
+    if (toDelete.length > 0) {
+      logger.info(`🗑️ Executing ${toDelete.length} mapping rule actions...`);
+      ({ removed, updated } = await applyRuleActions(
+        deletionProcessor,
+        toDelete
+      ));
+      deletedEntries.push(
+        ...toDelete
+          .filter(
+            (candidate) =>
+              candidate.action.type === "delete" &&
+              candidate.outcome === "applied"
+          )
+          .map((candidate) => candidate.entry.sys.id)
+      );
+    } else if (mappingBasedDeletions.length === 0) {
+      logger.info("✅ No entries match deletion mapping criteria");
+    }
 
-            deletedEntries.push(entryId);
-            logger.success(
-              `🗑️ Deleted entry ${entryId} via mapping rule: ${candidate.reasons.join(
-                ", "
-              )}`
-            );
-          } catch (deleteError) {
-            logger.error(
-              `Failed to delete entry ${candidate.entry.sys.id}: ${deleteError.message}`
-            );
-          }
-        }
+    // Generate and save deletion report
+    if (mappingBasedDeletions.length > 0) {
+      const deletionReport = deletionProcessor.generateDeletionReport(
+        mappingBasedDeletions,
+        currentEnvironment
+      );
+      deletionProcessor.saveDeletionReport(deletionReport, currentEnvironment);
+    }
 
-        // Generate and save deletion report
-        if (mappingBasedDeletions.length > 0) {
-          const deletionReport = deletionProcessor.generateDeletionReport(
-            mappingBasedDeletions,
-            currentEnvironment
-          );
-          deletionProcessor.saveDeletionReport(
-            deletionReport,
-            currentEnvironment
-          );
-        }
+    // Deleted, archived and unpublished entries are not published;
+    // edited ones are published at their new version
+    const remainingEntries = allEntriesToProcess
+      .filter(
+        (entry) => !removed.has(entry.sys.id) && !heldBack.has(entry.sys.id)
+      )
+      .map((entry) => updated.get(entry.sys.id) || entry);
+    if (remainingEntries.length < allEntriesToProcess.length) {
+      logger.info(
+        `📊 Removed ${
+          allEntriesToProcess.length - remainingEntries.length
+        } deleted, archived, unpublished or held back entries from processing queue`
+      );
+    }
+    allEntriesToProcess.length = 0;
+    allEntriesToProcess.push(...remainingEntries);
 
-        // Remove deleted entries from processing list
-        const deletedIds = new Set(deletedEntries);
-        const remainingEntries = allEntriesToProcess.filter(
-          (entry) => !deletedIds.has(entry.sys.id)
-        );
-        logger.info(
-          `📊 Removed ${
-            allEntriesToProcess.length - remainingEntries.length
-          } deleted entries from processing queue`
-        );
-        allEntriesToProcess.length = 0;
-        allEntriesToProcess.push(...remainingEntries);
-      } else {
-        logger.info("✅ No entries match deletion mapping criteria");
+    // Empty entries count against maxDeletionsPerRun as one batch, all or
+    // none of them, before the first is deleted. Entries that only fail their
+    // meaningful data profile are reported and kept.
+    const emptyAnalyses = new Map();
+    for (const entry of allEntriesToProcess) {
+      if (!entry?.sys?.id || entry.sys.archivedAt || isUpToDate(entry)) {
+        continue;
       }
-    } catch (mappingError) {
-      logger.warn(
-        `Failed to process mapping-based deletions: ${mappingError.message}`
+      const analysis = hasEntryData(
+        entry,
+        true,
+        deletionProcessor.config.meaningfulData
       );
+      if (!analysis.hasData) emptyAnalyses.set(entry.sys.id, analysis);
     }
+    const emptyRefusal = deletionRefusal(
+      authorization,
+      allEntriesToProcess.filter(
+        (entry) =>
+          emptyAnalyses.has(entry?.sys?.id) &&
+          !emptyAnalyses.get(entry.sys.id).failsProfile
+      )
+    );
 
     const entriesToPublish = [];
     let processedCount = 0;
@@ -1411,23 +1860,42 @@ async function publishEntries(environment) {
           continue;
         }
 
-        if (
-          entry.sys.publishedAt &&
-          !isChanged(entry) &&
-          entry.sys.publishedVersion === entry.sys.version
-        ) {
+        if (isUpToDate(entry)) {
           logger.log(
             `Skipping already published entry ${entryId} (no changes)`
           );
           skippedNoChangeCount++;
           continue;
         } // Check if entry has meaningful data
-        const entryDataAnalysis = hasEntryData(entry, true); // Get detailed analysis
-        if (!entryDataAnalysis.hasData) {
+        const entryDataAnalysis = emptyAnalyses.get(entryId);
+        if (entryDataAnalysis) {
+          const emptyEntry = {
+            entryId,
+            contentType: entry.sys.contentType?.sys?.id || "unknown",
+            missingFields: entryDataAnalysis.missingFields,
+            outcome: "kept",
+          };
+          emptyEntries.push(emptyEntry);
+          if (entryDataAnalysis.failsProfile) {
+            logger.warn(
+              `Entry ${entryId} fails its meaningful data profile (missing ${entryDataAnalysis.missingFields.join(
+                ", "
+              )}) - not published, kept for review`
+            );
+            emptyEntry.skipReason = PROFILE_FAILURE;
+            skippedEmptyCount++;
+            continue;
+          }
           logger.warn(
             `Entry ${entryId} has no meaningful data - candidate for deletion`
           );
 
+          if (emptyRefusal) {
+            emptyEntry.skipReason = emptyRefusal;
+            skippedEmptyCount++;
+            continue;
+          }
+
           // Check if this entry should be deleted based on deletion mapping or empty data policy
           try {
             logger.info(
@@ -1471,16 +1939,17 @@ async function publishEntries(environment) {
 
                   // Unpublish, unarchive, and delete
                   if (entry.isPublished && entry.isPublished()) {
-                    await retryWithBackoff(() => entry.unpublish());
+                    await withRetry(() => entry.unpublish());
                     logger.info(`Unpublished entry ${entryId}`);
                   }
                   if (entry.isArchived && entry.isArchived()) {
-                    await retryWithBackoff(() => entry.unarchive());
+                    await withRetry(() => entry.unarchive());
                     logger.info(`Unarchived entry ${entryId}`);
                   }
-                  await retryWithBackoff(() => entry.delete());
+                  await withRetry(() => entry.delete());
 
                   deletedEntries.push(entryId);
+                  emptyEntry.outcome = "deleted";
                   logger.success(
                     `🗑️  Deleted empty entry ${entryId} after unlinking from ${unlinkResult.totalUpdated} entries`
                   );
@@ -1536,16 +2005,17 @@ async function publishEntries(environment) {
 
               // Proceed with direct deletion since no unlinking is needed
               if (entry.isPublished && entry.isPublished()) {
-                await retryWithBackoff(() => entry.unpublish());
+                await withRetry(() => entry.unpublish());
                 logger.info(`Unpublished entry ${entryId}`);
               }
               if (entry.isArchived && entry.isArchived()) {
-                await retryWithBackoff(() => entry.unarchive());
+                await withRetry(() => entry.unarchive());
                 logger.info(`Unarchived entry ${entryId}`);
               }
-              await retryWithBackoff(() => entry.delete());
+              await withRetry(() => entry.delete());
 
               deletedEntries.push(entryId);
+              emptyEntry.outcome = "deleted";
               logger.success(
                 `🗑️  Deleted empty entry ${entryId} (was not linked)`
               );
@@ -1578,6 +2048,7 @@ async function publishEntries(environment) {
           }
 
           // If we reach here, the empty entry couldn't be deleted safely
+          authorization.budget.release(1);
           logger.warn(
             `Skipping empty entry ${entryId} - could not be safely deleted`
           );
@@ -1590,6 +2061,9 @@ async function publishEntries(environment) {
             entry,
             environment
           );
+          // update() returns the entry at its new version; publishing the
+          // stale copy would fail with a 409 VersionMismatch
+          let entryToPublish = entry;
 
           if (linkCleaningResult.hasMissingLinks) {
             logger.info(
@@ -1610,13 +2084,10 @@ async function publishEntries(environment) {
             try {
               // Update the entry with cleaned links
               logger.log(`Updating entry ${entryId} to save cleaned links...`);
-              await retryWithBackoff(() => entry.update());
+              entryToPublish = await withRetry(() => entry.update());
               logger.success(
                 `Updated entry ${entryId} (removed ${linkCleaningResult.removedLinksCount} broken links)`
               );
-
-              // Add delay after update to prevent rate limiting and ensure consistency
-              await new Promise((resolve) => setTimeout(resolve, 1000));
             } catch (updateError) {
               logger.error(
                 `Failed to update entry ${entryId} after cleaning links: ${updateError.message}`
@@ -1636,7 +2107,7 @@ async function publishEntries(environment) {
             logger.log(`Entry ${entryId}: No broken links found`);
           }
 
-          entriesToPublish.push(entry);
+          entriesToPublish.push(entryToPublish);
         } catch (linkError) {
           linkCleaningErrors++;
           logger.error(
@@ -1672,24 +2143,92 @@ async function publishEntries(environment) {
     logger.info(`Already published entries skipped: ${skippedNoChangeCount}`);
     logger.info(`Link cleaning errors: ${linkCleaningErrors}`);
     logger.info(`Entries ready to publish: ${entriesToPublish.length}`);
+    const publishing = new Set(entriesToPublish.map((entry) => entry.sys.id));
+    checkpoint.markDone(
+      "entries",
+      candidateIds.filter((id) => !publishing.has(id))
+    );
 
     if (entriesToPublish.length === 0) {
       logger.info("No entries to publish.");
+      await reportValidation(
+        context,
+        validationErrors,
+        deletedEntries,
+        emptyEntries,
+        blockedEntries
+      );
       return;
     }
 
-    // Publish entries in batches
+    // Content type validations are checked here first, so entries
+    // Contentful would reject are never sent
+    let localErrors = new Map();
+    try {
+      localErrors = await new EntryValidator(environment).validateEntries(
+        entriesToPublish
+      );
+      if (localErrors.size > 0) {
+        logger.warn(
+          `🔎 ${localErrors.size} entries fail content type validations and will not be sent for publishing`
+        );
+      }
+    } catch (validatorError) {
+      logger.warn(
+        `Could not validate entries before publishing: ${validatorError.message}`
+      );
+    }
+
+    // Publish linked entries before the entries linking to them: each wave
+    // only links to earlier waves, or to entries of its own link cycle
+    const { waves, cyclic, dependencies } = publishWaves(entriesToPublish);
     logger.info(
-      `Step 4: Publishing ${entriesToPublish.length} entries using batch processing...`
+      `Step 4: Publishing ${entriesToPublish.length} entries in ${waves.length} dependency waves using batch processing...`
     );
-    const batchSize = 10;
-    const batches = [];
-    for (let i = 0; i < entriesToPublish.length; i += batchSize) {
-      batches.push(entriesToPublish.slice(i, i + batchSize));
+    if (cyclic.size > 0) {
+      logger.info(
+        `🔁 ${cyclic.size} entries link to each other in cycles and are retried until they resolve`
+      );
     }
+    const { batchSize } = getDefaultQueue();
+    const toBatches = (entries) => {
+      const chunks = [];
+      for (let i = 0; i < entries.length; i += batchSize) {
+        chunks.push(entries.slice(i, i + batchSize));
+      }
+      return chunks;
+    };
+    // A cycle's retry pass runs once its wave is done, before later waves
+    const waveEnds = new Set();
+    const batches = waves.flatMap((wave) => {
+      const chunks = toBatches(wave);
+      waveEnds.add(chunks[chunks.length - 1]);
+      return chunks;
+    });
 
     let successCount = 0;
     let errorCount = 0;
+    // Entries that did not get published, whose referrers are blocked
+    const unpublished = new Set();
+    // Cycle entries waiting for the rest of their cycle, and whether the
+    // last retry pass published any
+    let deferred = [];
+    let retryPass = 0;
+    let retryProgress = false;
+    const blockEntry = (entry, blockedBy, cycle = false) => {
+      unpublished.add(entry.sys.id);
+      blockedEntries.push({
+        entryId: entry.sys.id,
+        contentType: entry.sys.contentType?.sys?.id || "unknown",
+        blockedBy,
+        cycle,
+      });
+      logger.warn(
+        `⛔ Entry ${entry.sys.id} is blocked by unpublished ${blockedBy.join(
+          ", "
+        )}`
+      );
+    };
 
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
       const batch = batches[batchIndex];
@@ -1708,15 +2247,31 @@ async function publishEntries(environment) {
             throw new Error("Invalid entry object");
           }
 
-          // Add small delay before publishing each entry to prevent rate limiting
-          if (index > 0) {
-            await new Promise((resolve) => setTimeout(resolve, 200));
+          // Publishing would only fail on the unresolved link
+          const blockedBy = [...dependencies.get(entry.sys.id)].filter((id) =>
+            unpublished.has(id)
+          );
+          if (blockedBy.length > 0) {
+            return { success: false, entry, blockedBy };
+          }
+          if (localErrors.has(entry.sys.id)) {
+            return {
+              success: false,
+              entry,
+              error: toValidationError(localErrors.get(entry.sys.id)),
+            };
           }
 
-          await retryWithBackoff(() => entry.publish());
+          await withRetry(() => entry.publish());
           logger.success(`Published entry ${entry.sys.id}`);
           return { success: true, entry };
         } catch (error) {
+          if (cyclic.has(entry.sys.id) && unresolvedLinkIds(error)) {
+            logger.info(
+              `Entry ${entry.sys.id} waits for its link cycle: ${error.message}`
+            );
+            return { success: false, entry, error, deferred: true };
+          }
           logger.warn(
             `Failed to publish entry ${entry?.sys?.id || "unknown"}: ${
               error.message
@@ -1751,12 +2306,25 @@ async function publishEntries(environment) {
           result.value.success
         ) {
           successCount++;
+          retryProgress = true;
+        } else if (result.status === "fulfilled" && result.value?.blockedBy) {
+          blockEntry(result.value.entry, result.value.blockedBy);
+        } else if (result.status === "fulfilled" && result.value?.deferred) {
+          deferred.push(result.value);
         } else {
-          errorCount++;
           const { entry, error } =
             result.status === "fulfilled" && result.value
               ? result.value
               : { entry: null, error: result.reason || "Unknown error" };
+          if (entry) unpublished.add(entry.sys.id);
+          // Links to entries or assets that are not published are not
+          // validation failures of the entry itself
+          const blockedBy = unresolvedLinkIds(error);
+          if (entry && blockedBy) {
+            blockEntry(entry, blockedBy);
+            continue;
+          }
+          errorCount++;
           if (entry && error) {
             // Handle validation errors with enhanced tracking and deletion logic
             if (
@@ -1818,21 +2386,21 @@ async function publishEntries(environment) {
                     logger.error(
                       `Entry ${entryId} has missing required fields but cannot be deleted due to existing links. Manual intervention required.`
                     );
-                  } else {
+                  } else if (!deletionRefusal(authorization, entry)) {
                     logger.info(
                       `✅ Entry ${entryId} is not linked. Proceeding with deletion...`
                     );
 
                     // Unpublish, unarchive, and delete
                     if (entry.isPublished && entry.isPublished()) {
-                      await retryWithBackoff(() => entry.unpublish());
+                      await withRetry(() => entry.unpublish());
                       logger.info(`Unpublished entry ${entryId}`);
                     }
                     if (entry.isArchived && entry.isArchived()) {
-                      await retryWithBackoff(() => entry.unarchive());
+                      await withRetry(() => entry.unarchive());
                       logger.info(`Unarchived entry ${entryId}`);
                     }
-                    await retryWithBackoff(() => entry.delete());
+                    await withRetry(() => entry.delete());
 
                     // Track successful deletion
                     deletedEntries.push(entryId);
@@ -1881,32 +2449,38 @@ async function publishEntries(environment) {
             );
           }
         }
-      } // Smart delay between batches to avoid rate limiting
-      // Increase delay if there were errors or if many entries had link cleaning
-      if (batchIndex < batches.length - 1) {
-        let delayMs = 1000; // Base delay
-
-        // Increase delay if there were validation errors in this batch
-        const batchErrorCount = batchResults.filter(
-          (r) => r.status === "fulfilled" && r.value && !r.value.success
-        ).length;
-
-        if (batchErrorCount > 0) {
-          delayMs = Math.min(delayMs + batchErrorCount * 500, 5000);
-          logger.info(
-            `Batch had ${batchErrorCount} errors, increasing delay to ${delayMs}ms`
-          );
-        }
+      }
+
+      // Cycle entries waiting for a retry pass are not done yet
+      const waiting = new Set(deferred.map(({ entry }) => entry.sys.id));
+      checkpoint.markDone(
+        "entries",
+        batch.map((entry) => entry.sys.id).filter((id) => !waiting.has(id))
+      );
 
-        // Increase delay if we had many link cleaning operations
-        if (linkCleaningErrors > 0) {
-          delayMs = Math.min(delayMs + 500, 5000);
+      // Retry the cycle entries that failed while any of them still get
+      // published; the rest are blocked by the links that never resolved
+      if (waveEnds.has(batch)) {
+        if (deferred.length > 0 && (retryPass === 0 || retryProgress)) {
+          retryPass++;
+          retryProgress = false;
           logger.info(
-            `Link cleaning operations detected, using delay of ${delayMs}ms`
+            `🔁 Retry pass ${retryPass}: publishing ${deferred.length} entries of link cycles again...`
+          );
+          const retries = toBatches(deferred.map(({ entry }) => entry));
+          waveEnds.add(retries[retries.length - 1]);
+          batches.splice(batchIndex + 1, 0, ...retries);
+        } else {
+          deferred.forEach(({ entry, error }) =>
+            blockEntry(entry, unresolvedLinkIds(error), true)
+          );
+          checkpoint.markDone(
+            "entries",
+            deferred.map(({ entry }) => entry.sys.id)
           );
+          retryPass = 0;
         }
-
-        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        deferred = [];
       }
     } // Final summary
     if (successCount > 0) {
@@ -1915,60 +2489,611 @@ async function publishEntries(environment) {
     if (errorCount > 0) {
       logger.warn(`Failed to publish ${errorCount} entries`);
     }
-
-    // Generate validation report if there were any validation errors or deletions
-    if (validationErrors.length > 0 || deletedEntries.length > 0) {
-      logger.info("\n=== Validation Error Report ===");
-      logger.info(`📊 Total validation errors: ${validationErrors.length}`);
-      logger.info(`🗑️ Total entries deleted: ${deletedEntries.length}`);
-
-      const missingRequiredCount = validationErrors.filter((e) =>
-        e.errors.some((err) => err.isMissingRequired)
-      ).length;
-      logger.info(`🚨 Missing required field errors: ${missingRequiredCount}`);
-
-      try {
-        // Extract environment name from context or use default
-        const envContext = process.argv[3] || "unknown";
-        const reportPath = await createValidationReport(
-          validationErrors,
-          deletedEntries,
-          envContext
-        );
-        logger.success(`📄 Detailed validation report created: ${reportPath}`);
-      } catch (reportError) {
-        logger.error(
-          `Failed to create validation report: ${reportError.message}`
-        );
-      }
-    } else {
-      logger.info("✅ No validation errors or deletions to report");
+    if (blockedEntries.length > 0) {
+      logger.warn(
+        `Blocked by unpublished dependencies: ${blockedEntries.length} entries`
+      );
     }
+
+    await reportValidation(
+      context,
+      validationErrors,
+      deletedEntries,
+      emptyEntries,
+      blockedEntries
+    );
   } catch (error) {
     logger.error(`Fatal error in publishEntries: ${error.message}`);
     throw error;
   }
 }
 
-async function publishAll(environment) {
+/**
+ * Log the outcome of publishEntries and write the validation report when
+ * there is anything to report
+ * @param {string} context - Environment name used in the report file name
+ * @param {Array<object>} validationErrors
+ * @param {Array<string>} deletedEntries
+ * @param {Array<object>} emptyEntries
+ * @param {Array<object>} blockedEntries
+ */
+async function reportValidation(
+  context,
+  validationErrors,
+  deletedEntries,
+  emptyEntries,
+  blockedEntries
+) {
+  // Generate validation report if there were any validation errors or deletions
+  if (
+    validationErrors.length > 0 ||
+    deletedEntries.length > 0 ||
+    emptyEntries.length > 0 ||
+    blockedEntries.length > 0
+  ) {
+    logger.info("\n=== Validation Error Report ===");
+    logger.info(`📊 Total validation errors: ${validationErrors.length}`);
+    logger.info(`🗑️ Total entries deleted: ${deletedEntries.length}`);
+    logger.info(`📭 Entries without meaningful data: ${emptyEntries.length}`);
+    logger.info(`⛔ Entries blocked by dependencies: ${blockedEntries.length}`);
+
+    const missingRequiredCount = validationErrors.filter((e) =>
+      e.errors.some((err) => err.isMissingRequired)
+    ).length;
+    logger.info(`🚨 Missing required field errors: ${missingRequiredCount}`);
+
+    try {
+      const reportPath = await createValidationReport(
+        validationErrors,
+        deletedEntries,
+        context,
+        emptyEntries,
+        blockedEntries
+      );
+      logger.success(`📄 Detailed validation report created: ${reportPath}`);
+    } catch (reportError) {
+      logger.error(
+        `Failed to create validation report: ${reportError.message}`
+      );
+    }
+  } else {
+    logger.info("✅ No validation errors or deletions to report");
+  }
+}
+
+async function publishAll(
+  environment,
+  context,
+  authorization = {},
+  filters = null,
+  checkpoint = noCheckpoint()
+) {
   logger.info("Starting complete publishing process...");
+  // Assets and entries share one maxDeletionsPerRun
+  authorization = withDeletionBudget(authorization, context);
 
   // First, publish all assets
-  logger.info("Step 1: Publishing assets...");
-  await publishAssets(environment);
+  if (checkpoint.isComplete("assets")) {
+    logger.info("Step 1: Assets were published by an earlier attempt");
+  } else {
+    logger.info("Step 1: Publishing assets...");
+    await publishAssets(
+      environment,
+      context,
+      authorization,
+      await assetFiltersFor(environment, filters),
+      checkpoint
+    );
+    checkpoint.complete("assets");
+  }
+
+  // Then, publish all entries
+  logger.info("Step 2: Publishing entries...");
+  await publishEntries(
+    environment,
+    context,
+    authorization,
+    filters,
+    checkpoint
+  );
+  checkpoint.complete("entries");
+
+  logger.success("Complete publishing process finished!");
+}
+
+// --- Dry Run Planning ---
+
+/**
+ * Fetch drafts and entities with unpublished changes, as publishEntries and
+ * publishAssets do, tagged with why they need publishing
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} type - "entries" or "assets"
+ * @param {import('../utils/publish-filters').PublishFilters|null} [filters]
+ * @returns {Promise<Array<{entity: object, status: string}>>}
+ */
+async function fetchPublishCandidates(environment, type, filters = null) {
+  const drafts = await fetchFiltered(
+    environment,
+    type,
+    {
+      "sys.publishedAt[exists]": false,
+      "sys.archivedAt[exists]": false,
+    },
+    filters
+  );
+  const published = await fetchFiltered(
+    environment,
+    type,
+    {
+      "sys.publishedAt[exists]": true,
+      "sys.archivedAt[exists]": false,
+    },
+    filters
+  );
+
+  const draftIds = new Set(drafts.map((entity) => entity.sys.id));
+  return [
+    ...drafts.map((entity) => ({ entity, status: "draft" })),
+    ...published
+      .filter((entity) => isChanged(entity) && !draftIds.has(entity.sys.id))
+      .map((entity) => ({ entity, status: "changed" })),
+  ];
+}
+
+/**
+ * Top-level links of a field value (single link or array of links)
+ * @param {*} value
+ * @returns {Array<object>}
+ */
+function linksIn(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(
+    (item) => item && item.sys && item.sys.type === "Link" && item.sys.id
+  );
+}
+
+/**
+ * Predict the validation errors Contentful would return when publishing an
+ * entry: the content type validations it fails (see EntryValidator) and links
+ * to entries or assets that will not be published
+ * @param {object} entry - Entry with broken links already removed locally
+ * @param {Array<object>} localErrors - Errors from EntryValidator
+ * @param {function(object): boolean} isResolvable - Whether a link target will be published
+ * @returns {Array<{name: string, path: string[], details: string}>} CMA style errors
+ */
+function predictValidationErrors(entry, localErrors, isResolvable) {
+  const errors = [...localErrors];
+  const fields = entry.fields || {};
+
+  for (const [fieldId, localized] of Object.entries(fields)) {
+    for (const [locale, value] of Object.entries(localized || {})) {
+      for (const link of linksIn(value)) {
+        if (!isResolvable(link)) {
+          errors.push({
+            name: "notResolvable",
+            link: {
+              type: "Link",
+              linkType: link.sys.linkType,
+              id: link.sys.id,
+            },
+            path: ["fields", fieldId, locale],
+            details: `${link.sys.linkType} ${link.sys.id} is not published and is not part of this run`,
+          });
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Run the publish pipeline read-only and describe what it would do: fetch
+ * drafts and changed entries, evaluate deletion rules and hasEntryData, find
+ * broken links and predict validation failures. Only read calls are made;
+ * link cleaning happens on the local entry objects.
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context - Environment name used for deletion rules
+ * @param {string} command - publish, publish-entries-only or publish-assets-only
+ * @param {import('../utils/publish-filters').PublishFilters|null} [filters] - Scope of the run
+ * @returns {Promise<object>} The plan (see src/utils/publish-plan.js)
+ */
+async function planPublish(
+  environment,
+  context = "unknown",
+  command = "publish",
+  filters = null
+) {
+  if (!environment) {
+    throw new Error("planPublish: environment parameter is required");
+  }
+  const plan = createPublishPlan(context, command, filters);
+  const includeAssets = command !== "publish-entries-only";
+  const includeEntries = command !== "publish-assets-only";
+
+  logger.info(`🧪 Dry run: planning ${command} for ${context}`);
+  // Planned deletions count against one maxDeletionsPerRun, as in the run
+  const budget = new EntryDeletionProcessor().createBudget(context);
+
+  if (includeAssets) {
+    await planAssets(
+      environment,
+      context,
+      plan,
+      await assetFiltersFor(environment, filters),
+      budget
+    );
+  }
+
+  if (includeEntries) {
+    await planEntries(environment, context, plan, filters, budget);
+  }
 
-  // Wait for a delay before publishing entries
-  const delaySeconds = 5;
+  summarizePublishPlan(plan);
   logger.info(
-    `Step 2: Waiting ${delaySeconds} seconds before publishing entries...`
+    `🧪 Dry run complete: ${plan.summary.entriesToDelete} entry and ${plan.summary.assetsToDelete} asset deletions, ${plan.summary.entriesToClean} entries to clean, ${plan.summary.entriesToPublish} entries and ${plan.summary.assetsToPublish} assets to publish, ${plan.summary.predictedFailures} predicted failures`
   );
-  await new Promise((resolve) => setTimeout(resolve, delaySeconds * 1000));
+  return plan;
+}
 
-  // Then, publish all entries
-  logger.info("Step 3: Publishing entries...");
-  await publishEntries(environment);
+/**
+ * Asset half of planPublish: asset rules, then the assets left to publish
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context
+ * @param {object} plan - Plan to fill in
+ * @param {import('../utils/publish-filters').PublishFilters|null} [filters]
+ * @param {import('../utils/deletion-approval').DeletionBudget} [budget]
+ */
+async function planAssets(
+  environment,
+  context,
+  plan,
+  filters = null,
+  budget = new EntryDeletionProcessor().createBudget(context)
+) {
+  logger.info("Planning assets...");
+  const candidates = await fetchPublishCandidates(
+    environment,
+    "assets",
+    filters
+  );
+  const removed = new Set();
 
-  logger.success("Complete publishing process finished!");
+  const deletionProcessor = new EntryDeletionProcessor();
+  if (
+    deletionProcessor
+      .getEnabledRulesForEnvironment(context)
+      .some((rule) => ruleTarget(rule) === "assets")
+  ) {
+    await deletionProcessor.checkContentTypes(environment, context);
+    await deletionProcessor.loadLocales(environment, context);
+    const ruleCandidates = await deletionProcessor.processAssetsForDeletion(
+      candidates.map(({ entity }) => entity),
+      context,
+      (assetId) => isAssetLinked(environment, assetId),
+      environment
+    );
+    const overLimit = planLimitExceeded(
+      deletionProcessor,
+      ruleCandidates,
+      context,
+      budget
+    );
+    for (const candidate of ruleCandidates) {
+      plan.deletions.push({
+        type: "Asset",
+        id: candidate.asset.sys.id,
+        contentType:
+          deletionProcessor.getFieldValue(
+            candidate.asset,
+            "file.contentType"
+          ) || "",
+        reason: "deletion-rule",
+        ruleId: candidate.ruleId,
+        ruleName: candidate.ruleName,
+        action: candidate.action,
+        reasons: candidate.reasons,
+        explanation: candidate.explanation,
+        willDelete: candidate.willDelete,
+        requiresConfirmation: candidate.requiresConfirmation,
+        skipReason:
+          candidate.skipReason ||
+          (candidate.willDelete ? undefined : "Referenced by entries"),
+        linkedBy: candidate.linkedBy || [],
+      });
+      if (
+        overLimit ||
+        (candidate.willDelete &&
+          REMOVING_ACTIONS.includes(candidate.action.type))
+      ) {
+        removed.add(candidate.asset.sys.id);
+      }
+    }
+  }
+
+  for (const { entity, status } of candidates) {
+    if (!removed.has(entity.sys.id)) {
+      plan.publish.assets.push({ id: entity.sys.id, status });
+    }
+  }
+}
+
+/**
+ * Check the rule candidates of a plan against maxDeletionsPerRun. Over the
+ * limit the run would abort every rule action, so the candidates are marked
+ * with the reason and their entries or assets held back from publishing.
+ * @param {EntryDeletionProcessor} deletionProcessor
+ * @param {Object[]} candidates
+ * @param {string} context
+ * @param {import('../utils/deletion-approval').DeletionBudget} [budget] - The
+ *   plan's budget, shared with its other deletions
+ * @returns {boolean} Whether the limit is exceeded
+ */
+function planLimitExceeded(deletionProcessor, candidates, context, budget) {
+  try {
+    deletionProcessor.checkLimit(candidates, context, budget);
+    return false;
+  } catch (error) {
+    if (!(error instanceof DeletionHaltedError)) throw error;
+    logger.warn(`🛑 ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Entry half of planPublish
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context
+ * @param {object} plan - Plan to fill in
+ * @param {import('../utils/publish-filters').PublishFilters|null} [filters]
+ * @param {import('../utils/deletion-approval').DeletionBudget} [budget]
+ */
+async function planEntries(
+  environment,
+  context,
+  plan,
+  filters = null,
+  budget = new EntryDeletionProcessor().createBudget(context)
+) {
+  logger.info("Planning entries...");
+  const candidates = await fetchPublishCandidates(
+    environment,
+    "entries",
+    filters
+  );
+  const statusById = new Map(
+    candidates.map(({ entity, status }) => [entity.sys.id, status])
+  );
+  const contentTypeOf = (entry) => entry.sys.contentType?.sys?.id || "unknown";
+  const plannedDeletions = new Set();
+  // Archived or unpublished by a rule, so not published either
+  const plannedRemovals = new Set();
+
+  // Mapping rule deletions run before anything else in publishEntries
+  const deletionProcessor = new EntryDeletionProcessor();
+  await deletionProcessor.checkContentTypes(environment, context);
+  await deletionProcessor.loadLocales(environment, context);
+  const ruleCandidates = await deletionProcessor.processEntriesForDeletion(
+    candidates.map(({ entity }) => entity),
+    context,
+    (entryId) => isEntryLinked(environment, entryId),
+    environment
+  );
+  const overLimit = planLimitExceeded(
+    deletionProcessor,
+    ruleCandidates,
+    context,
+    budget
+  );
+  for (const candidate of ruleCandidates) {
+    plan.deletions.push({
+      type: "Entry",
+      id: candidate.entry.sys.id,
+      contentType: contentTypeOf(candidate.entry),
+      reason: "deletion-rule",
+      ruleId: candidate.ruleId,
+      ruleName: candidate.ruleName,
+      action: candidate.action,
+      reasons: candidate.reasons,
+      explanation: candidate.explanation,
+      willDelete: candidate.willDelete,
+      requiresConfirmation: candidate.requiresConfirmation,
+      skipReason:
+        candidate.skipReason ||
+        (candidate.willDelete ? undefined : "Referenced by other entries"),
+      linkedBy: candidate.linkedBy || [],
+    });
+    if (overLimit) {
+      // Held back from publishing, as publishEntries does
+      plannedRemovals.add(candidate.entry.sys.id);
+      continue;
+    }
+    if (!candidate.willDelete) continue;
+    if (candidate.action.type === "delete") {
+      plannedDeletions.add(candidate.entry.sys.id);
+    } else if (REMOVING_ACTIONS.includes(candidate.action.type)) {
+      plannedRemovals.add(candidate.entry.sys.id);
+    } else if (candidate.action.field) {
+      // Predict validation against the edited fields (local only)
+      deletionProcessor.writeField(candidate.entry, candidate.action);
+    }
+  }
+
+  // Empty entries are deleted, after unlinking them if they are referenced
+  const remaining = [];
+  const empty = [];
+  for (const { entity: entry } of candidates) {
+    const entryId = entry.sys.id;
+    if (plannedDeletions.has(entryId) || plannedRemovals.has(entryId)) {
+      continue;
+    }
+    if (isUpToDate(entry)) {
+      plan.skipped.push({
+        type: "Entry",
+        id: entryId,
+        contentType: contentTypeOf(entry),
+        reason: "Already published (no changes)",
+      });
+      continue;
+    }
+    const analysis = hasEntryData(
+      entry,
+      true,
+      deletionProcessor.config.meaningfulData
+    );
+    if (analysis.failsProfile) {
+      plan.deletions.push({
+        type: "Entry",
+        id: entryId,
+        contentType: contentTypeOf(entry),
+        reason: "no-meaningful-data",
+        reasons: ["Entry fails its meaningful data profile"],
+        missingFields: analysis.missingFields,
+        willDelete: false,
+        skipReason: PROFILE_FAILURE,
+        linkedBy: [],
+      });
+      continue;
+    }
+    if (!analysis.hasData) {
+      empty.push({ entry, analysis });
+      continue;
+    }
+    remaining.push(entry);
+  }
+  // All or none of them, as in publishEntries
+  const skipReason = deletionRefusal(
+    { budget },
+    empty.map(({ entry }) => entry)
+  );
+  for (const { entry, analysis } of empty) {
+    const linkResult = await isEntryLinked(environment, entry.sys.id);
+    plan.deletions.push({
+      type: "Entry",
+      id: entry.sys.id,
+      contentType: contentTypeOf(entry),
+      reason: "no-meaningful-data",
+      reasons: ["Entry has no meaningful data"],
+      missingFields: analysis.missingFields,
+      willDelete: !skipReason,
+      skipReason: skipReason || undefined,
+      unlinkFirst: linkResult.isLinked,
+      linkedBy: linkResult.linkedBy,
+    });
+    if (!skipReason) plannedDeletions.add(entry.sys.id);
+  }
+
+  // Links to missing entries, or to entries deleted above, are cleaned
+  const cleaned = [];
+  for (const entry of remaining) {
+    const result = await cleanEntryLinksWithDetails(entry, environment, {
+      missingIds: plannedDeletions,
+    });
+    if (result.hasMissingLinks) {
+      plan.linkCleanups.push({
+        id: entry.sys.id,
+        contentType: contentTypeOf(entry),
+        brokenLinks: result.brokenLinks,
+      });
+    }
+    cleaned.push(entry);
+  }
+
+  // Predict what publishing the cleaned entries would reject
+  const [localErrors, unpublishedEntries, unpublishedAssets] =
+    await Promise.all([
+      new EntryValidator(environment).validateEntries(cleaned),
+      fetchAllWithPagination(environment, "entries", {
+        "sys.publishedAt[exists]": false,
+      }),
+      fetchAllWithPagination(environment, "assets", {
+        "sys.publishedAt[exists]": false,
+      }),
+    ]);
+  const unpublished = new Set([
+    ...unpublishedEntries.map((entry) => entry.sys.id),
+    ...unpublishedAssets.map((asset) => asset.sys.id),
+  ]);
+  const published = new Set([
+    ...cleaned.map((entry) => entry.sys.id),
+    ...plan.publish.assets.map((asset) => asset.id),
+  ]);
+  // Assets that asset rules delete, archive or unpublish
+  const removedAssets = new Set(
+    plan.deletions
+      .filter(
+        (deletion) =>
+          deletion.type === "Asset" &&
+          deletion.willDelete &&
+          REMOVING_ACTIONS.includes(deletion.action.type)
+      )
+      .map((deletion) => deletion.id)
+  );
+  const isResolvable = (link) =>
+    !plannedDeletions.has(link.sys.id) &&
+    !removedAssets.has(link.sys.id) &&
+    (!unpublished.has(link.sys.id) || published.has(link.sys.id));
+
+  // Entries are published in dependency waves, so entries linking to one
+  // that fails are blocked by it
+  const { waves, cyclic } = publishWaves(cleaned);
+  const failing = new Set();
+  const ordered = waves.flatMap((entries, wave) =>
+    entries.map((entry) => ({ entry, wave: wave + 1 }))
+  );
+  for (const { entry, wave } of ordered) {
+    const entryId = entry.sys.id;
+    const errors = predictValidationErrors(
+      entry,
+      localErrors.get(entryId) || [],
+      (link) => isResolvable(link) && !failing.has(link.sys.id)
+    );
+    if (errors.length === 0) {
+      plan.publish.entries.push({
+        id: entryId,
+        contentType: contentTypeOf(entry),
+        status: statusById.get(entryId),
+        wave,
+        cycle: cyclic.has(entryId),
+      });
+      continue;
+    }
+    failing.add(entryId);
+
+    const blockedBy = unresolvedLinkIds({ status: 422, details: { errors } });
+    if (blockedBy) {
+      plan.predictedFailures.push({
+        type: "Entry",
+        id: entryId,
+        contentType: contentTypeOf(entry),
+        errors,
+        outcome: "blocked",
+        blockedBy,
+        linkedBy: [],
+      });
+      continue;
+    }
+
+    // publishEntries deletes entries whose 422 is a missing required field,
+    // unless they are still referenced
+    const missingRequired = isMissingRequiredFieldError({
+      details: { errors },
+    });
+    const linkResult = missingRequired
+      ? await isEntryLinked(environment, entryId)
+      : { isLinked: false, linkedBy: [] };
+    const deletable =
+      missingRequired &&
+      !linkResult.isLinked &&
+      !deletionRefusal({ budget }, entry);
+    plan.predictedFailures.push({
+      type: "Entry",
+      id: entryId,
+      contentType: contentTypeOf(entry),
+      errors,
+      outcome: deletable ? "delete" : "manual",
+      linkedBy: linkResult.linkedBy,
+    });
+  }
 }
 
 // --- Generic Entity Processing (from entries-script.js) ---
@@ -1979,17 +3104,29 @@ async function publishAll(environment) {
  * @param {'Entry' | 'Asset' | 'ContentType'} entityType
  * @param {'delete' | 'unpublish' | 'archive'} action
  * @param {object} query The query to fetch entities.
+ * @param {import('../core').Checkpoint} [checkpoint] Skips items an earlier attempt finished
  */
 async function processEntities(
   environment,
   entityType,
   action,
-  query = { limit: 1000 }
+  query = { limit: 1000 },
+  checkpoint = noCheckpoint()
 ) {
-  const getMethod = `get${entityType}s`;
+  const getMethod = entityType === "Entry" ? "getEntries" : `get${entityType}s`;
   logger.info(`Fetching ${entityType}s with query: ${JSON.stringify(query)}`);
-  const response = await retryWithBackoff(() => environment[getMethod](query));
-  const items = response.items;
+  const response = await withRetry(() => environment[getMethod](query));
+  const phase = `${action}-${entityType}`;
+  const items = response.items.filter(
+    (item) => !checkpoint.isDone(phase, item.sys.id)
+  );
+  if (items.length < response.items.length) {
+    logger.info(
+      `📍 Skipping ${
+        response.items.length - items.length
+      } ${entityType}s an earlier attempt finished`
+    );
+  }
 
   if (items.length === 0) {
     logger.info(`No ${entityType}s found to ${action}.`);
@@ -2003,28 +3140,28 @@ async function processEntities(
 
       if (action === "delete") {
         if (item.isPublished()) {
-          await retryWithBackoff(() => item.unpublish());
+          await withRetry(() => item.unpublish());
           logger.info(`Unpublished ${entityType} ${item.sys.id}`);
         }
         if (item.isArchived && item.isArchived()) {
-          await retryWithBackoff(() => item.unarchive());
+          await withRetry(() => item.unarchive());
           logger.info(`Unarchived ${entityType} ${item.sys.id}`);
         }
-        await retryWithBackoff(() => item.delete());
+        await withRetry(() => item.delete());
         logger.success(`Deleted ${entityType} ${item.sys.id}`);
       } else if (action === "unpublish") {
         if (item.isPublished()) {
-          await retryWithBackoff(() => item.unpublish());
+          await withRetry(() => item.unpublish());
           logger.success(`Unpublished ${entityType} ${item.sys.id}`);
         } else {
           logger.info(`${entityType} ${item.sys.id} is not published.`);
         }
       } else if (action === "archive") {
         if (item.isPublished()) {
-          await retryWithBackoff(() => item.unpublish());
+          await withRetry(() => item.unpublish());
           logger.info(`Unpublished ${entityType} ${item.sys.id}`);
         }
-        await retryWithBackoff(() => item.archive());
+        await withRetry(() => item.archive());
         logger.success(`Archived ${entityType} ${item.sys.id}`);
       }
     } catch (error) {
@@ -2033,23 +3170,236 @@ async function processEntities(
         error.message
       );
     }
+    checkpoint.markDone(phase, item.sys.id);
   }
 }
 
 // --- Main CLI Execution ---
 
+const COMMANDS = [
+  "publish",
+  "publish-assets-only",
+  "publish-entries-only",
+  "delete-drafts",
+  "delete-all-entries",
+  "delete-all-assets",
+  "delete-all-content-types",
+  "unpublish-all-entries",
+  "archive-persona-data",
+];
+
+// Commands that can be planned with --dry-run and scoped with publish filters
+const DRY_RUN_COMMANDS = [
+  "publish",
+  "publish-assets-only",
+  "publish-entries-only",
+];
+
+/**
+ * How rule actions that need confirmation are confirmed in a run: by an
+ * approval file when one is given, otherwise at the terminal if there is one
+ * @param {string} context - Profile name of the run
+ * @param {object} options - runCommand options
+ * @returns {{approval?: Object, confirm?: Function|null, budget: Object}}
+ * @throws {DeletionApprovalError} When the approval file cannot be used
+ */
+function deletionAuthorization(context, options) {
+  if (options.approve) {
+    return withDeletionBudget(
+      { approval: loadApproval(options.approve, context) },
+      context
+    );
+  }
+  return withDeletionBudget(
+    { confirm: options.confirm || terminalConfirmation() },
+    context
+  );
+}
+
+/**
+ * Run one bulk command against a connected environment.
+ * @param {string} command - One of COMMANDS
+ * @param {import('contentful-management').Environment} environment
+ * @param {string} context - Environment name used for deletion rules and reports
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Plan a publish command instead of running it
+ * @param {string} [options.approve] - Approval file from `cf deletion test`;
+ *   only the rule actions it lists are applied
+ * @param {Function} [options.confirm] - Confirms rule actions that need it;
+ *   defaults to a terminal prompt when there is a terminal
+ * @param {import('../utils/publish-filters').PublishFilters} [options.filters] -
+ *   Only publish (and apply rules to) the entries and assets they select
+ * @param {string} [options.resume] - Run ID of an interrupted run to continue;
+ *   its filters are used and finished work is skipped
+ * @returns {Promise<object|void>} The publish plan when dryRun is set
+ * @throws {PublishFilterError} When filters are given to a command they cannot scope
+ * @throws {CheckpointError} When the run to resume cannot be continued
+ */
+async function runCommand(
+  command,
+  environment,
+  context = "unknown",
+  options = {}
+) {
+  if (options.dryRun && options.resume) {
+    throw new CheckpointError("A dry run cannot resume a run");
+  }
+  const checkpoint = options.dryRun
+    ? noCheckpoint()
+    : startCheckpoint(
+        command,
+        { context, filters: options.filters || null },
+        options.resume
+      );
+  if (checkpoint.resumed && checkpoint.options.context !== context) {
+    throw new CheckpointError(
+      `Run ${checkpoint.runId} was for ${checkpoint.options.context}, not ${context}`,
+      checkpoint.file
+    );
+  }
+
+  const filters = checkpoint.resumed
+    ? checkpoint.options.filters
+    : options.filters || null;
+  if (filters) {
+    if (!DRY_RUN_COMMANDS.includes(command)) {
+      throw new PublishFilterError(`${command} does not take publish filters`);
+    }
+    if (command === "publish-assets-only" && filtersByContentType(filters)) {
+      throw new PublishFilterError(
+        "Content type filters only select entries; they cannot scope an assets-only run"
+      );
+    }
+    logger.info(`🔎 Publishing only ${describeFilters(filters)}`);
+  }
+
+  if (options.dryRun) {
+    if (!DRY_RUN_COMMANDS.includes(command)) {
+      throw new Error(`${command} does not support --dry-run`);
+    }
+    return planPublish(environment, context, command, filters);
+  }
+
+  const authorization = deletionAuthorization(context, options);
+  switch (command) {
+    case "publish":
+      await publishAll(
+        environment,
+        context,
+        authorization,
+        filters,
+        checkpoint
+      );
+      break;
+    case "publish-assets-only":
+      await publishAssets(
+        environment,
+        context,
+        authorization,
+        filters,
+        checkpoint
+      );
+      checkpoint.complete("assets");
+      break;
+    case "publish-entries-only":
+      await publishEntries(
+        environment,
+        context,
+        authorization,
+        filters,
+        checkpoint
+      );
+      checkpoint.complete("entries");
+      break;
+    case "delete-drafts":
+      await processEntities(
+        environment,
+        "Entry",
+        "delete",
+        { "sys.publishedAt[exists]": false },
+        checkpoint
+      );
+      break;
+    case "delete-all-entries":
+      await processEntities(
+        environment,
+        "Entry",
+        "delete",
+        undefined,
+        checkpoint
+      );
+      break;
+    case "delete-all-assets":
+      await processEntities(
+        environment,
+        "Asset",
+        "delete",
+        undefined,
+        checkpoint
+      );
+      break;
+    case "delete-all-content-types":
+      await processEntities(
+        environment,
+        "ContentType",
+        "delete",
+        undefined,
+        checkpoint
+      );
+      break;
+    case "unpublish-all-entries":
+      await processEntities(
+        environment,
+        "Entry",
+        "unpublish",
+        { "sys.publishedAt[exists]": true },
+        checkpoint
+      );
+      break;
+    case "archive-persona-data":
+      await runRules(
+        environment,
+        context,
+        ["archive-persona-data"],
+        authorization
+      );
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+  checkpoint.finish();
+}
+
 async function main() {
-  const [command, context] = process.argv.slice(2);
-  if (!command || !context) {
-    logger.error("Usage: node contentful-cli.js <command> <environment>");
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const resumeIndex = args.indexOf("--resume");
+  const resume = resumeIndex === -1 ? undefined : args[resumeIndex + 1];
+  const [command, profileName] = args.filter(
+    (arg, index) =>
+      arg !== "--dry-run" &&
+      (resumeIndex === -1 ||
+        (index !== resumeIndex && index !== resumeIndex + 1))
+  );
+  if (!command || !profileName || (resumeIndex !== -1 && !resume)) {
+    logger.error(
+      "Usage: node contentful-cli.js <command> <profile> [--dry-run | --resume <runId>]"
+    );
+    logger.info(`Commands: ${COMMANDS.join(", ")}`);
+    logger.info(`--dry-run: ${DRY_RUN_COMMANDS.join(", ")}`);
+    logger.info("--resume: continue an interrupted run of the same command");
     logger.info(
-      "Commands: publish, publish-assets-only, publish-entries-only, delete-drafts, delete-all-entries, delete-all-assets, unpublish-all-entries, archive-persona-data"
+      `Profiles: ${listProfiles()
+        .map((profile) => profile.name)
+        .join(", ")}`
     );
-    logger.info("Environments: always-uk, always-fr, mobile-app");
     process.exit(1);
   }
 
   try {
+    // Aliases such as "de" resolve to the profile name used by deletion rules
+    const profile = getProfile(profileName);
+    const context = profile.name;
     logger.info(`Attempting to connect to environment: ${context}`);
     const environment = await getContentfulEnvironment(context);
 
@@ -2068,51 +3418,22 @@ async function main() {
     }
 
     logger.info(
-      `Successfully connected to space '${ALL_CONFIG[context].spaceId}' and environment '${context}'.`
+      `Successfully connected to space '${profile.spaceId}' and environment '${context}'.`
     );
     logger.info(
       `Environment type: ${typeof environment}, has getEntries: ${typeof environment.getEntries}`
     );
 
-    switch (command) {
-      case "publish":
-        await publishAll(environment);
-        break;
-      case "publish-assets-only":
-        await publishAssets(environment);
-        break;
-      case "publish-entries-only":
-        await publishEntries(environment);
-        break;
-      case "delete-drafts":
-        await processEntities(environment, "Entry", "delete", {
-          "sys.publishedAt[exists]": false,
-        });
-        break;
-      case "delete-all-entries":
-        await processEntities(environment, "Entry", "delete");
-        break;
-      case "delete-all-assets":
-        await processEntities(environment, "Asset", "delete");
-        break;
-      case "delete-all-content-types":
-        await processEntities(environment, "ContentType", "delete");
-        break;
-      case "unpublish-all-entries":
-        await processEntities(environment, "Entry", "unpublish", {
-          "sys.publishedAt[exists]": true,
-        });
-        break;
-      case "archive-persona-data":
-        await processEntities(environment, "Entry", "archive", {
-          content_type: "personaData",
-        });
-        break;
-      default:
-        logger.error(`Unknown command: ${command}`);
-        process.exit(1);
+    if (dryRun) {
+      const plan = await runCommand(command, environment, context, { dryRun });
+      console.log(formatPublishPlan(plan));
+      logger.success(`📄 Publish plan saved to: ${savePublishPlan(plan)}`);
+      return;
     }
+
+    await runCommand(command, environment, context, { resume });
     logger.success("Operation completed successfully.");
+    logger.info(`Requests: ${getDefaultQueue().describeStats()}`);
   } catch (error) {
     logger.error(`A fatal error occurred: ${error.message}`);
     process.exit(1);
@@ -2135,7 +3456,7 @@ async function isAssetLinked(environment, assetId) {
     logger.info(`Checking if asset ${assetId} is linked by entries...`);
 
     // Search for entries that reference this asset
-    const entries = await retryWithBackoff(() =>
+    const entries = await withRetry(() =>
       environment.getEntries({
         links_to_asset: assetId,
         limit: 10, // Get up to 10 linking entries for reporting
@@ -2182,7 +3503,7 @@ async function isEntryLinked(environment, entryId) {
     logger.info(`Checking if entry ${entryId} is linked by other entries...`);
 
     // Search for entries that reference this entry
-    const entries = await retryWithBackoff(() =>
+    const entries = await withRetry(() =>
       environment.getEntries({
         links_to_entry: entryId,
         limit: 10, // Get up to 10 linking entries for reporting
@@ -2236,7 +3557,7 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
     logger.info(`🔗 Starting unlinking process for entry ${entryId}...`);
 
     // Find all entries that reference this entry
-    const referencingEntries = await retryWithBackoff(() =>
+    const referencingEntries = await withRetry(() =>
       environment.getEntries({
         links_to_entry: entryId,
         limit: 1000, // Get all referencing entries
@@ -2378,7 +3699,7 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
             logger.info(
               `💾 Updating entry ${referencingEntryId} to remove links...`
             );
-            await retryWithBackoff(() => referencingEntry.update());
+            await withRetry(() => referencingEntry.update());
 
             result.unlinkedFrom.push({
               entryId: referencingEntryId,
@@ -2390,9 +3711,6 @@ async function unlinkEntryFromAllReferences(environment, entryId) {
             logger.success(
               `✅ Updated entry ${referencingEntryId} (removed ${removedLinks.length} link(s))`
             );
-
-            // Small delay to prevent rate limiting
-            await new Promise((resolve) => setTimeout(resolve, 500));
           } catch (updateError) {
             const error = `Failed to update entry ${referencingEntryId}: ${updateError.message}`;
             logger.error(error);
@@ -2471,6 +3789,23 @@ function isMissingRequiredFieldError(error) {
   });
 }
 
+/**
+ * IDs of the links a publish error says do not resolve, when that is all
+ * that is wrong with the entry
+ * @param {object} error - The error object from Contentful
+ * @returns {string[]|null} Null for other errors
+ */
+function unresolvedLinkIds(error) {
+  const errors = (error && error.status === 422 && error.details?.errors) || [];
+  if (
+    errors.length === 0 ||
+    !errors.every((err) => err.name === "notResolvable" && err.link)
+  ) {
+    return null;
+  }
+  return [...new Set(errors.map((err) => err.link.id))];
+}
+
 /**
  * Extract validation error details for reporting
  * @param {object} error - The error object from Contentful
@@ -2505,11 +3840,17 @@ function extractValidationErrorDetails(error, entryId) {
  * @param {Array} validationErrors - Array of validation error details
  * @param {Array} deletedEntries - Array of deleted entry IDs
  * @param {string} environment - Environment name
+ * @param {Array} [emptyEntries] - Entries without meaningful data, with the
+ *   required fields they are missing and whether they were deleted or kept
+ * @param {Array} [blockedEntries] - Entries not published because entries or
+ *   assets they link to are not published, with those IDs
  */
 async function createValidationReport(
   validationErrors,
   deletedEntries,
-  environment
+  environment,
+  emptyEntries = [],
+  blockedEntries = []
 ) {
   const report = {
     reportGenerated: new Date().toISOString(),
@@ -2520,8 +3861,12 @@ async function createValidationReport(
       missingRequiredFieldErrors: validationErrors.filter((e) =>
         e.errors.some((err) => err.isMissingRequired)
       ).length,
+      noMeaningfulDataEntries: emptyEntries.length,
+      blockedEntries: blockedEntries.length,
     },
     validationErrors: validationErrors,
+    noMeaningfulData: emptyEntries,
+    blockedByDependencies: blockedEntries,
     deletedEntries: deletedEntries.map((id) => ({
       entryId: id,
       deletedAt: new Date().toISOString(),
@@ -2547,4 +3892,14 @@ async function createValidationReport(
 }
 
 // Export the function for use by other modules
-module.exports = { getContentfulEnvironment };
+module.exports = {
+  getContentfulEnvironment,
+  fetchAllWithPagination,
+  isEntryLinked,
+  isAssetLinked,
+  runCommand,
+  runRules,
+  planPublish,
+  COMMANDS,
+  DRY_RUN_COMMANDS,
+};
@@ -1,18 +1,52 @@
-const contentful = require('contentful-management');
+const {
+    createClient,
+    withRetry,
+    getDefaultQueue,
+    isRateLimitError,
+    isVersionMismatchError,
+    getProfileDefaults,
+    CheckpointError,
+    noCheckpoint,
+    startCheckpoint
+} = require('../core');
+const {
+    ChangesetError,
+    ChangesetDriftError,
+    createChangeset,
+    finalizeChangeset,
+    countChanges,
+    countConflicts,
+    writeChangeset,
+    readChangeset,
+    formatChangeset
+} = require('../utils/merge-changeset');
+const { canonicalize, diffFields } = require('../utils/field-diff');
+const {
+    defaultBaselineFile,
+    companionFile,
+    createSnapshot,
+    readBaseline,
+    writeBaseline,
+    recordBaseline,
+    mergeFields,
+    createResolutions,
+    readResolutions,
+    resolveConflicts
+} = require('../utils/three-way-merge');
 const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
-// Configuration
-const MANAGEMENT_TOKEN = process.env.CONTENTFUL_MANAGEMENT_TOKEN;
-const SPACE_ID = process.env.MOBILE_APP_SPACE_ID;
-const SOURCE_ENV = process.env.MOBILE_APP_ENV;
+// Configuration (space and source environment come from the merge profile in config/profiles.json)
+const DEFAULT_CONNECTION = getProfileDefaults('merge');
+const MANAGEMENT_TOKEN = DEFAULT_CONNECTION.token;
+const SPACE_ID = DEFAULT_CONNECTION.spaceId;
+const SOURCE_ENV = DEFAULT_CONNECTION.environmentId;
 const TARGET_ENV = 'test-migration-env';
-const CHANGESET_FILE = `changeset-${Date.now()}-${SPACE_ID}-${SOURCE_ENV}-${TARGET_ENV}.json`;
-const RATE_LIMIT_DELAY = parseInt(process.env.RATE_LIMIT_DELAY) || 1000; // Delay in ms between API calls
-const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 5; // Maximum number of retries for rate limit errors
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 5; // Number of entries/assets to process in a batch
+const RATE_LIMIT_DELAY = parseInt(process.env.RATE_LIMIT_DELAY) || 1000; // First backoff step in ms when a request is retried
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 5; // Maximum number of retries for rate limit and server errors
 
-const client = contentful.createClient({ accessToken: MANAGEMENT_TOKEN });
+const RETRY_OPTIONS = { maxRetries: MAX_RETRIES, baseDelayMs: RATE_LIMIT_DELAY };
 
 /**
  * Simple progress tracker to display better information during long-running operations.
@@ -97,60 +131,47 @@ function splitIntoBatches(array, batchSize) {
 }
 
 /**
- * Fetch all entries from an environment with pagination and error handling.
+ * Fetch every item of one kind from an environment, page by page.
  * @param {Object} env - Contentful environment object.
- * @returns {Promise<Object[]>} - List of entries.
+ * @param {string} method - Environment method to page through (getEntries or getAssets).
+ * @param {string} label - Item label for log messages.
+ * @param {Object} [query] - Extra query parameters (e.g. content_type).
+ * @returns {Promise<Object[]>} - List of items.
  */
-async function fetchEntries(env) {
-    const allEntries = [];
+async function fetchAll(env, method, label, query = {}) {
+    const allItems = [];
     let skip = 0;
     const limit = 500; // Smaller batch size to avoid timeouts
     let total = Infinity;
 
     while (skip < total) {
-        let retries = 0;
-        let success = false;
-        let entries;
-
-        while (!success && retries <= MAX_RETRIES) {
-            try {
-                console.log(`Fetching entries (${skip}-${skip + limit}) out of ${total !== Infinity ? total : 'unknown'}`);
-                entries = await env.getEntries({ limit, skip });
-                success = true;
-            } catch (error) {
-                if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                    retries++;
-                    if (retries <= MAX_RETRIES) {
-                        const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1);
-                        console.log(`Rate limit hit while fetching entries. Retrying in ${delayTime}ms...`);
-                        await sleep(delayTime);
-                    } else {
-                        console.error(`Failed to fetch entries after ${MAX_RETRIES} retries`, error.message);
-                        throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries while fetching entries`);
-                    }
-                } else {
-                    console.error('Error fetching entries:', error.message);
-                    throw error;
-                }
-            }
-        }
+        console.log(`Fetching ${label} (${skip}-${skip + limit}) out of ${total !== Infinity ? total : 'unknown'}`);
+        const page = await withRetry(() => env[method]({ ...query, limit, skip }), {
+            ...RETRY_OPTIONS,
+            operation: `fetching ${label}`
+        });
 
         // First time through, get the total
         if (total === Infinity) {
-            total = entries.total;
+            total = page.total;
         }
 
-        allEntries.push(...entries.items);
+        allItems.push(...page.items);
         skip += limit;
-
-        // Add a small delay between requests to avoid hitting rate limits
-        if (skip < total) {
-            await sleep(RATE_LIMIT_DELAY);
-        }
     }
 
-    console.log(`Successfully fetched ${allEntries.length} entries`);
-    return allEntries;
+    console.log(`Successfully fetched ${allItems.length} ${label}`);
+    return allItems;
+}
+
+/**
+ * Fetch all entries from an environment with pagination and error handling.
+ * @param {Object} env - Contentful environment object.
+ * @param {Object} [query] - Extra query parameters (e.g. content_type).
+ * @returns {Promise<Object[]>} - List of entries.
+ */
+function fetchEntries(env, query) {
+    return fetchAll(env, 'getEntries', 'entries', query);
 }
 
 /**
@@ -158,56 +179,8 @@ async function fetchEntries(env) {
  * @param {Object} env - Contentful environment object.
  * @returns {Promise<Object[]>} - List of assets.
  */
-async function fetchAssets(env) {
-    const allAssets = [];
-    let skip = 0;
-    const limit = 500; // Smaller batch size to avoid timeouts
-    let total = Infinity;
-
-    while (skip < total) {
-        let retries = 0;
-        let success = false;
-        let assets;
-
-        while (!success && retries <= MAX_RETRIES) {
-            try {
-                console.log(`Fetching assets (${skip}-${skip + limit}) out of ${total !== Infinity ? total : 'unknown'}`);
-                assets = await env.getAssets({ limit, skip });
-                success = true;
-            } catch (error) {
-                if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                    retries++;
-                    if (retries <= MAX_RETRIES) {
-                        const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1);
-                        console.log(`Rate limit hit while fetching assets. Retrying in ${delayTime}ms...`);
-                        await sleep(delayTime);
-                    } else {
-                        console.error(`Failed to fetch assets after ${MAX_RETRIES} retries`, error.message);
-                        throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries while fetching assets`);
-                    }
-                } else {
-                    console.error('Error fetching assets:', error.message);
-                    throw error;
-                }
-            }
-        }
-
-        // First time through, get the total
-        if (total === Infinity) {
-            total = assets.total;
-        }
-
-        allAssets.push(...assets.items);
-        skip += limit;
-
-        // Add a small delay between requests to avoid hitting rate limits
-        if (skip < total) {
-            await sleep(RATE_LIMIT_DELAY);
-        }
-    }
-
-    console.log(`Successfully fetched ${allAssets.length} assets`);
-    return allAssets;
+function fetchAssets(env) {
+    return fetchAll(env, 'getAssets', 'assets');
 }
 
 /**
@@ -225,6 +198,7 @@ function compareEntries(sourceEntries, targetEntries) {
         updatedInSource: [],
         deleteFromTarget: [], // New array for entries to delete from target
         archiveInTarget: [],  // New array for entries to archive in target
+        fieldChanges: {}      // Field-level diff (target -> source) per updated entry ID
     };
 
     // Find entries missing, updated, or archive status changed in target
@@ -232,8 +206,12 @@ function compareEntries(sourceEntries, targetEntries) {
         const targetEntry = targetMap.get(id);
         if (!targetEntry) {
             differences.missingInTarget.push(sourceEntry);
-        } else if (JSON.stringify(sourceEntry.fields) !== JSON.stringify(targetEntry.fields)) {
-            differences.updatedInSource.push(sourceEntry);
+        } else {
+            const diff = diffFields(targetEntry.fields, sourceEntry.fields);
+            if (diff.length > 0) {
+                differences.updatedInSource.push(sourceEntry);
+                differences.fieldChanges[id] = diff;
+            }
         }
 
         // Check if entry should be archived in target
@@ -267,7 +245,8 @@ function compareAssets(sourceAssets, targetAssets) {
         missingInTarget: [],
         updatedInSource: [],
         deleteFromTarget: [], // New array for assets to delete from target
-        archiveInTarget: []   // New array for assets to archive in target
+        archiveInTarget: [],  // New array for assets to archive in target
+        fieldChanges: {}      // Field-level diff (target -> source) per updated asset ID
     };
 
     // Find assets missing, updated, or archive status changed in target
@@ -275,9 +254,13 @@ function compareAssets(sourceAssets, targetAssets) {
         const targetAsset = targetMap.get(id);
         if (!targetAsset) {
             differences.missingInTarget.push(sourceAsset);
-        } else if (JSON.stringify(sourceAsset.fields) !== JSON.stringify(targetAsset.fields)) {
+        } else {
             // Check if asset content has changed (title, description, or file properties)
-            differences.updatedInSource.push(sourceAsset);
+            const diff = diffFields(targetAsset.fields, sourceAsset.fields);
+            if (diff.length > 0) {
+                differences.updatedInSource.push(sourceAsset);
+                differences.fieldChanges[id] = diff;
+            }
         }
 
         // Check if asset should be archived in target
@@ -298,1039 +281,714 @@ function compareAssets(sourceAssets, targetAssets) {
 }
 
 /**
- * Apply changes to the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object} differences - Differences to apply.
+ * Run a handler over items in batches, reporting progress as items complete.
+ * Within a batch the shared request queue decides how many items are in flight.
+ * @param {Object[]} items - Items to process.
+ * @param {string} label - Batch label for log messages (e.g. 'missing entries').
+ * @param {string} progressLabel - Progress tracker label (e.g. 'Creating entries').
+ * @param {Function} handler - Async function called per item; resolves true when the item was processed.
  */
-async function applyChanges(env, differences) {
-    console.log(`Processing ${differences.missingInTarget.length} entries missing in target...`);
-
-    // Process missing entries in batches
-    const missingBatches = splitIntoBatches(differences.missingInTarget, BATCH_SIZE);
-
-    // Create a progress tracker for missing entries
-    const missingProgress = new ProgressTracker(differences.missingInTarget.length, 'Creating entries');
-
-    // Process each batch of missing entries
-    for (let batchIndex = 0; batchIndex < missingBatches.length; batchIndex++) {
-        const batch = missingBatches[batchIndex];
-        console.log(`Processing missing entries batch ${batchIndex + 1}/${missingBatches.length} (${batch.length} entries)`);
-
-        // Process entries in the current batch sequentially to avoid rate limits
-        for (const entry of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Creating missing entry: ${entry.sys.id} (attempt ${retries + 1})`);
-
-                    // Get the content type to check valid fields
-                    const contentType = await env.getContentType(entry.sys.contentType.sys.id);
-                    const validFields = contentType.fields.map(field => field.id);
-
-                    // Filter out fields that don't exist in the target content type
-                    const filteredFields = {};
-                    for (const [fieldId, fieldData] of Object.entries(entry.fields)) {
-                        if (validFields.includes(fieldId)) {
-                            filteredFields[fieldId] = fieldData;
-                        } else {
-                            console.warn(`Skipping field "${fieldId}" for entry ${entry.sys.id} - field doesn't exist in target content type "${contentType.name}"`);
-                        }
-                    }
-
-                    await env.createEntryWithId(entry.sys.contentType.sys.id, entry.sys.id, { fields: filteredFields });
-                    success = true;
-                    console.log(`Successfully created entry: ${entry.sys.id}`);
-                    missingProgress.increment();
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to create entry after ${MAX_RETRIES} retries: ${entry.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for entry ${entry.sys.id}`);
-                        }
-                    } else if (error.status === 422 && error.message && error.message.includes("No field with id")) {
-                        // Handle unknown field errors
-                        console.warn(`Validation error for entry ${entry.sys.id}: ${error.message}`);
-
-                        // Try again with stricter field filtering
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            console.log(`Field validation error, retrying with stricter field filtering for ${entry.sys.id}...`);
-                            await sleep(RATE_LIMIT_DELAY);
-                        } else {
-                            console.error(`Failed to create entry after ${MAX_RETRIES} field validation retries: ${entry.sys.id}`);
-                            // Log the error but continue with other entries rather than failing the entire migration
-                            success = true; // Skip this entry but mark as "successful" to continue the process
-                        }
-                    } else {
-                        console.error(`Error creating entry ${entry.sys.id}:`, error.message);
-
-                        // For serious errors, determine whether to continue or fail
-                        if (error.status >= 500) {
-                            // Server errors are more serious - throw them
-                            throw error;
-                        } else {
-                            // For other client errors, log and continue after max retries
-                            retries++;
-                            if (retries > MAX_RETRIES) {
-                                console.error(`Skipping entry ${entry.sys.id} after ${MAX_RETRIES} failed attempts`);
-                                success = true; // Skip this entry
-                            }
-                        }
-                    }
-                }
-
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
+async function processInBatches(items, label, progressLabel, handler) {
+    const queue = getDefaultQueue();
+    const batches = splitIntoBatches(items, queue.batchSize);
+    const progress = new ProgressTracker(items.length, progressLabel);
+
+    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+        const batch = batches[batchIndex];
+        console.log(`Processing ${label} batch ${batchIndex + 1}/${batches.length} (${batch.length} items)`);
+
+        await queue.map(batch, async (item) => {
+            if (await handler(item)) {
+                progress.increment();
             }
-        }
+        });
+    }
+}
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < missingBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
-        }
+/**
+ * Publish the latest version of an entity, refetching on version conflicts.
+ * Publish failures are logged but never abort the merge.
+ * @param {Function} fetchLatest - Async function returning the current entity.
+ * @param {string} label - Entity label for log messages (e.g. 'entry abc').
+ */
+async function publishLatest(fetchLatest, label) {
+    try {
+        await withRetry(async () => (await fetchLatest()).publish(), {
+            ...RETRY_OPTIONS,
+            operation: `publishing ${label}`,
+            retryOn: isVersionMismatchError
+        });
+        console.log(`Published ${label}`);
+    } catch (publishError) {
+        console.warn(`Non-critical error publishing ${label}: ${publishError.message}`);
     }
-    console.log(`Processing ${differences.updatedInSource.length} entries updated in source...`);
-
-    // Process updated entries in batches
-    const updatedBatches = splitIntoBatches(differences.updatedInSource, BATCH_SIZE);
-
-    // Create a progress tracker for updated entries
-    const updatedProgress = new ProgressTracker(differences.updatedInSource.length, 'Updating entries');
-
-    // Process each batch of updated entries
-    for (let batchIndex = 0; batchIndex < updatedBatches.length; batchIndex++) {
-        const batch = updatedBatches[batchIndex];
-        console.log(`Processing updated entries batch ${batchIndex + 1}/${updatedBatches.length} (${batch.length} entries)`);
-
-        // Process entries in the current batch sequentially to avoid rate limits
-        for (const entry of batch) {
-            let retries = 0;
-            let success = false;
-            let existingEntry;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Updating entry: ${entry.sys.id} (attempt ${retries + 1})`);
-
-                    // First, get the existing entry
-                    if (!existingEntry) {
-                        existingEntry = await env.getEntry(entry.sys.id);
-                    }                    // Get the content type to check valid fields
-                    const contentType = await env.getContentType(existingEntry.sys.contentType.sys.id);
-                    const validFields = contentType.fields.map(field => field.id);
-
-                    // Filter out fields that don't exist in the target content type
-                    const filteredFields = {};
-                    for (const [fieldId, fieldData] of Object.entries(entry.fields)) {
-                        if (validFields.includes(fieldId)) {
-                            filteredFields[fieldId] = fieldData;
-                        } else {
-                            console.warn(`Skipping field "${fieldId}" for entry ${entry.sys.id} - field doesn't exist in target content type "${contentType.name}"`);
-                        }
-                    }
-
-                    // Update the fields and save
-                    existingEntry.fields = filteredFields;
-                    await existingEntry.update();
-                    success = true;                    // Publish the entry if original was published
-                    if (entry.sys.publishedAt) {
-                        try {
-                            // Refresh the entry before publishing to get the latest version
-                            existingEntry = await env.getEntry(entry.sys.id);
-                            await existingEntry.publish();
-                            console.log(`Published updated entry: ${entry.sys.id}`);
-                        } catch (publishError) {
-                            if (publishError.status === 409) {
-                                // Handle version conflict specifically for publishing
-                                console.log(`Version conflict when publishing entry ${entry.sys.id}, retrying with fresh entry...`);
-                                // Re-fetch and try one more time
-                                try {
-                                    const freshEntry = await env.getEntry(entry.sys.id);
-                                    await freshEntry.publish();
-                                    console.log(`Successfully published entry after version conflict: ${entry.sys.id}`);
-                                } catch (retryError) {
-                                    console.error(`Failed to publish entry after version conflict retry: ${entry.sys.id}`, retryError.message);
-                                    // Continue processing other entries, don't throw here
-                                }
-                            } else {
-                                console.warn(`Non-critical error publishing entry ${entry.sys.id}: ${publishError.message}`);
-                                // Log but continue with other entries
-                            }
-                        }
-                    }
-                    console.log(`Successfully updated entry: ${entry.sys.id}`);
-                    updatedProgress.increment();
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to update entry after ${MAX_RETRIES} retries: ${entry.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for entry ${entry.sys.id}`);
-                        }
-                    } else if (error.status === 409) {
-                        // Handle version conflict specifically for updating
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            console.log(`Version conflict when updating entry ${entry.sys.id}, retrying with fresh entry...`);
-                            existingEntry = null; // Reset so we get a fresh copy on retry
-                            await sleep(RATE_LIMIT_DELAY);
-                        } else {
-                            console.error(`Failed to update entry after ${MAX_RETRIES} version conflict retries: ${entry.sys.id}`);
-                            throw new Error(`Version conflicts exceeded max retries for entry ${entry.sys.id}`);
-                        }
-                    } else if (error.status === 422 && error.message && error.message.includes("No field with id")) {
-                        // Handle unknown field errors
-                        console.warn(`Validation error for entry ${entry.sys.id}: ${error.message}`);
-
-                        // Try again with just getting the entry and filtering fields more aggressively
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            console.log(`Field validation error, retrying with stricter field filtering for ${entry.sys.id}...`);
-                            existingEntry = null; // Force a refresh of the entry
-                            await sleep(RATE_LIMIT_DELAY);
-                        } else {
-                            console.error(`Failed to update entry after ${MAX_RETRIES} field validation retries: ${entry.sys.id}`);
-                            // Log the error but continue with other entries rather than failing the entire migration
-                            success = true; // Skip this entry but mark as "successful" to continue the process
-                        }
-                    } else {
-                        console.error(`Error updating entry ${entry.sys.id}:`, error.message);
-
-                        // For serious errors, determine whether to continue or fail
-                        if (error.status >= 500) {
-                            // Server errors are more serious - throw them
-                            throw error;
-                        } else {
-                            // For other client errors, log and continue after max retries
-                            retries++;
-                            if (retries > MAX_RETRIES) {
-                                console.error(`Skipping entry ${entry.sys.id} after ${MAX_RETRIES} failed attempts`);
-                                success = true; // Skip this entry
-                            }
-                        }
-                    }
-                }
+}
 
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
-            }
+/**
+ * Keep only the source fields that exist on a target content type.
+ * @param {Object} contentType - Target content type.
+ * @param {Object} entry - Source entry.
+ * @returns {Object} - Filtered fields.
+ */
+function filterFields(contentType, entry) {
+    const validFields = contentType.fields.map(field => field.id);
+
+    const filteredFields = {};
+    for (const [fieldId, fieldData] of Object.entries(entry.fields)) {
+        if (validFields.includes(fieldId)) {
+            filteredFields[fieldId] = fieldData;
+        } else {
+            console.warn(`Skipping field "${fieldId}" for entry ${entry.sys.id} - field doesn't exist in target content type "${contentType.name}"`);
         }
+    }
+    return filteredFields;
+}
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < updatedBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
+/**
+ * Keep only the standard asset fields (title, description, file).
+ * @param {Object} asset - Source asset.
+ * @returns {Object} - Filtered fields.
+ */
+function filterAssetFields(asset) {
+    const validAssetFields = ['title', 'description', 'file'];
+    const filteredAssetFields = {};
+
+    for (const [fieldId, fieldData] of Object.entries(asset.fields)) {
+        if (validAssetFields.includes(fieldId)) {
+            filteredAssetFields[fieldId] = fieldData;
+        } else {
+            console.warn(`Skipping asset field "${fieldId}" for asset ${asset.sys.id} - not a standard asset field`);
         }
     }
+    return filteredAssetFields;
 }
 
 /**
- * Apply asset changes to the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object} differences - Differences to apply.
+ * Check whether every locale of an asset's file has been processed.
+ * @param {Object} asset - Asset to check.
+ * @returns {boolean}
  */
-async function applyAssetChanges(env, differences) {
-    console.log(`Processing ${differences.missingInTarget.length} assets missing in target...`);
+function isAssetProcessed(asset) {
+    return Object.values(asset.fields.file || {}).every(file =>
+        file.url && !file.url.includes('in-progress')
+    );
+}
 
-    if (differences.missingInTarget.length === 0 &&
-        differences.updatedInSource.length === 0) {
-        console.log('No assets to process.');
-        return;
+/**
+ * Process an asset for all locales and wait until its files are ready.
+ * @param {Object} env - Target environment object.
+ * @param {Object} asset - Asset to process.
+ */
+async function processAsset(env, asset) {
+    try {
+        await withRetry(() => asset.processForAllLocales(), {
+            ...RETRY_OPTIONS,
+            operation: `processing asset ${asset.sys.id}`
+        });
+    } catch (processError) {
+        if (processError.message && processError.message.includes('File has already been processed')) {
+            console.log(`Asset ${asset.sys.id} has already been processed, continuing...`);
+            return;
+        }
+        throw processError;
     }
 
-    // Process missing assets in batches
-    const missingBatches = splitIntoBatches(differences.missingInTarget, BATCH_SIZE);
-
-    // Create a progress tracker for missing assets
-    const assetProgress = new ProgressTracker(differences.missingInTarget.length, 'Creating assets');
-
-    // Process each batch of missing assets
-    for (let batchIndex = 0; batchIndex < missingBatches.length; batchIndex++) {
-        const batch = missingBatches[batchIndex];
-        console.log(`Processing missing assets batch ${batchIndex + 1}/${missingBatches.length} (${batch.length} assets)`);
-
-        // Process assets in the current batch sequentially to avoid rate limits
-        for (const asset of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Creating missing asset: ${asset.sys.id} (attempt ${retries + 1})`);
-
-                    // Filter asset fields to only include valid ones
-                    const assetFields = {};
-                    if (asset.fields.title) assetFields.title = asset.fields.title;
-                    if (asset.fields.description) assetFields.description = asset.fields.description;
-                    if (asset.fields.file) assetFields.file = asset.fields.file;
-
-                    // Create the asset
-                    const newAsset = await env.createAssetWithId(asset.sys.id, {
-                        fields: assetFields
-                    });
-
-                    // Process the asset (prepare for publishing)
-                    let needsProcessing = true;
-
-                    try {
-                        await newAsset.processForAllLocales();
-                    } catch (processError) {
-                        if (processError.message && processError.message.includes("File has already been processed")) {
-                            console.log(`Asset ${asset.sys.id} has already been processed, continuing...`);
-                            needsProcessing = false;
-                        } else {
-                            throw processError;
-                        }
-                    }
-
-                    // Wait for processing to complete (only if we actually processed)
-                    let processingComplete = !needsProcessing; // If doesn't need processing, it's already complete
-                    let processingRetries = 0;
-                    const maxProcessingRetries = 10;                    // Only check processing status if we actually triggered processing
-                    if (needsProcessing) {
-                        while (!processingComplete && processingRetries < maxProcessingRetries) {
-                            try {
-                                // Refresh the asset
-                                const assetToCheck = await env.getAsset(asset.sys.id);
-
-                                // Check if all files are processed
-                                const allProcessed = Object.values(assetToCheck.fields.file).every(file =>
-                                    file.url && !file.url.includes('in-progress')
-                                );
-
-                                if (allProcessed) {
-                                    processingComplete = true;
-                                    console.log(`Asset ${asset.sys.id} processed successfully.`);
-                                } else {
-                                    processingRetries++;
-                                    console.log(`Asset ${asset.sys.id} still processing (attempt ${processingRetries}/${maxProcessingRetries})...`);
-                                    await sleep(2000); // Wait 2 seconds before checking again
-                                }
-                            } catch (processError) {
-                                processingRetries++;
-                                console.log(`Error checking asset processing: ${processError.message}`);
-                                await sleep(2000);
-                            }
-                        }
-
-                        if (!processingComplete) {
-                            throw new Error(`Asset processing timed out for asset ${asset.sys.id}`);
-                        }
-                    }                    // Publish the asset if original was published
-                    if (asset.sys.publishedAt) {
-                        try {
-                            // Refresh the asset before publishing to get the latest version
-                            const assetToPublish = await env.getAsset(asset.sys.id);
-                            await assetToPublish.publish();
-                            console.log(`Published asset: ${asset.sys.id}`);
-                        } catch (publishError) {
-                            if (publishError.status === 409) {
-                                // Handle version conflict specifically for publishing
-                                console.log(`Version conflict when publishing asset ${asset.sys.id}, retrying with fresh asset...`);
-                                // Re-fetch and try one more time
-                                try {
-                                    const freshAsset = await env.getAsset(asset.sys.id);
-                                    await freshAsset.publish();
-                                    console.log(`Successfully published asset after version conflict: ${asset.sys.id}`);
-                                } catch (retryError) {
-                                    console.warn(`Non-critical error publishing asset after version conflict retry: ${asset.sys.id}`, retryError.message);
-                                    // Continue processing other assets, don't throw here
-                                }
-                            } else {
-                                console.warn(`Non-critical error publishing asset ${asset.sys.id}: ${publishError.message}`);
-                                // Log but continue with other assets
-                            }
-                        }
-                    }
-
-                    success = true;
-                    console.log(`Successfully created asset: ${asset.sys.id}`);
-                    assetProgress.increment();
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to create asset after ${MAX_RETRIES} retries: ${asset.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for asset ${asset.sys.id}`);
-                        }
-                    } else if (error.status === 409) {
-                        // Handle version conflict specifically for asset creation
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            console.log(`Version conflict when creating asset ${asset.sys.id}, retrying...`);
-                            await sleep(RATE_LIMIT_DELAY);
-                        } else {
-                            console.error(`Failed to create asset after ${MAX_RETRIES} version conflict retries: ${asset.sys.id}`);
-                            throw new Error(`Version conflicts exceeded max retries for asset ${asset.sys.id}`);
-                        }
-                    } else {
-                        console.error(`Error creating asset ${asset.sys.id}:`, error.message);
-                        throw error;
-                    }
-                }
-
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
+    const maxProcessingRetries = 10;
+    for (let attempt = 1; attempt <= maxProcessingRetries; attempt++) {
+        try {
+            const assetToCheck = await withRetry(() => env.getAsset(asset.sys.id), {
+                ...RETRY_OPTIONS,
+                operation: `checking asset ${asset.sys.id}`
+            });
+            if (isAssetProcessed(assetToCheck)) {
+                console.log(`Asset ${asset.sys.id} processed successfully.`);
+                return;
             }
+            console.log(`Asset ${asset.sys.id} still processing (attempt ${attempt}/${maxProcessingRetries})...`);
+        } catch (processError) {
+            console.log(`Error checking asset processing: ${processError.message}`);
         }
-
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < missingBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
-        }
+        await sleep(2000); // Wait 2 seconds before checking again
     }
 
-    // After processing missing assets, now process updated assets
-    console.log(`Processing ${differences.updatedInSource.length} assets updated in source...`);
-
-    if (differences.updatedInSource.length > 0) {
-        // Process updated assets in batches
-        const updatedBatches = splitIntoBatches(differences.updatedInSource, BATCH_SIZE);
-
-        // Create a progress tracker for updated assets
-        const updatedProgress = new ProgressTracker(differences.updatedInSource.length, 'Updating assets');
-
-        // Process each batch of updated assets
-        for (let batchIndex = 0; batchIndex < updatedBatches.length; batchIndex++) {
-            const batch = updatedBatches[batchIndex];
-            console.log(`Processing updated assets batch ${batchIndex + 1}/${updatedBatches.length} (${batch.length} assets)`);
-
-            // Process assets in the current batch sequentially to avoid rate limits
-            for (const asset of batch) {
-                let retries = 0;
-                let success = false;
-                let existingAsset;
-
-                while (!success && retries <= MAX_RETRIES) {
-                    try {
-                        console.log(`Updating asset: ${asset.sys.id} (attempt ${retries + 1})`);
-
-                        // First, get the existing asset
-                        if (!existingAsset) {
-                            existingAsset = await env.getAsset(asset.sys.id);
-                        }                        // Update only valid asset fields (title, description, file)
-                        const validAssetFields = ['title', 'description', 'file'];
-                        const filteredAssetFields = {};
-
-                        for (const [fieldId, fieldData] of Object.entries(asset.fields)) {
-                            if (validAssetFields.includes(fieldId)) {
-                                filteredAssetFields[fieldId] = fieldData;
-                            } else {
-                                console.warn(`Skipping asset field "${fieldId}" for asset ${asset.sys.id} - not a standard asset field`);
-                            }
-                        }
-
-                        // Update the fields and save
-                        existingAsset.fields = filteredAssetFields;
-                        await existingAsset.update();// If the asset needs processing again due to file changes
-                        if (asset.fields.file) {
-                            let needsProcessing = true;
-                            // Define processingComplete in the larger scope
-                            let processingComplete = false;
-
-                            try {
-                                // Check if all files are already processed (have URLs)
-                                needsProcessing = !Object.values(existingAsset.fields.file).every(file =>
-                                    file.url && !file.url.includes('in-progress')
-                                );
-
-                                if (needsProcessing) {
-                                    console.log(`Asset ${asset.sys.id} needs processing...`);
-                                    await existingAsset.processForAllLocales();
-                                } else {
-                                    console.log(`Asset ${asset.sys.id} already processed, skipping processing step.`);
-                                    // Mark as complete if no processing needed
-                                    processingComplete = true;
-                                }
-                            } catch (processError) {
-                                if (processError.message && processError.message.includes("File has already been processed")) {
-                                    console.log(`Asset ${asset.sys.id} has already been processed, continuing...`);
-                                    needsProcessing = false;
-                                    // Mark as complete since it's already processed
-                                    processingComplete = true;
-                                } else {
-                                    throw processError;
-                                }
-                            }
-                            // Only wait for processing if we actually triggered processing
-                            if (needsProcessing) {
-                                // Wait for processing to complete
-                                let processingRetries = 0;
-                                const maxProcessingRetries = 10;
-
-                                while (!processingComplete && processingRetries < maxProcessingRetries) {
-                                    try {
-                                        // Refresh the asset
-                                        const assetToCheck = await env.getAsset(asset.sys.id);
-
-                                        // Check if all files are processed
-                                        const allProcessed = Object.values(assetToCheck.fields.file).every(file =>
-                                            file.url && !file.url.includes('in-progress')
-                                        );
-
-                                        if (allProcessed) {
-                                            processingComplete = true;
-                                            console.log(`Updated asset ${asset.sys.id} processed successfully.`);
-                                        } else {
-                                            processingRetries++;
-                                            console.log(`Updated asset ${asset.sys.id} still processing (attempt ${processingRetries}/${maxProcessingRetries})...`);
-                                            await sleep(2000); // Wait 2 seconds before checking again
-                                        }
-                                    } catch (processError) {
-                                        processingRetries++;
-                                        console.log(`Error checking asset processing: ${processError.message}`);
-                                        await sleep(2000);
-                                    }
-                                }
-                            }
-
-                            if (!processingComplete) {
-                                throw new Error(`Asset processing timed out for updated asset ${asset.sys.id}`);
-                            }
-                        }                        // Re-publish the asset if it was published before
-                        if (asset.sys.publishedAt) {
-                            try {
-                                // Refresh the asset before publishing to get the latest version
-                                existingAsset = await env.getAsset(asset.sys.id);
-                                await existingAsset.publish();
-                                console.log(`Re-published updated asset: ${asset.sys.id}`);
-                            } catch (publishError) {
-                                if (publishError.status === 409) {
-                                    // Handle version conflict specifically for publishing
-                                    console.log(`Version conflict when publishing updated asset ${asset.sys.id}, retrying with fresh asset...`);
-                                    // Re-fetch and try one more time
-                                    try {
-                                        const freshAsset = await env.getAsset(asset.sys.id);
-                                        await freshAsset.publish();
-                                        console.log(`Successfully published updated asset after version conflict: ${asset.sys.id}`);
-                                    } catch (retryError) {
-                                        console.warn(`Non-critical error publishing updated asset after version conflict retry: ${asset.sys.id}`, retryError.message);
-                                        // Continue processing other assets, don't throw here
-                                    }
-                                } else {
-                                    console.warn(`Non-critical error publishing updated asset ${asset.sys.id}: ${publishError.message}`);
-                                    // Log but continue with other assets
-                                }
-                            }
-                        }
-
-                        success = true;
-                        console.log(`Successfully updated asset: ${asset.sys.id}`);
-                        updatedProgress.increment();
-                    } catch (error) {
-                        if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                            retries++;
-                            if (retries <= MAX_RETRIES) {
-                                const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                                console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                                await sleep(delayTime);
-                            } else {
-                                console.error(`Failed to update asset after ${MAX_RETRIES} retries: ${asset.sys.id}`, error.message);
-                                throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for asset ${asset.sys.id}`);
-                            }
-                        } else if (error.status === 409) {
-                            // Handle version conflict specifically for updating assets
-                            retries++;
-                            if (retries <= MAX_RETRIES) {
-                                console.log(`Version conflict when updating asset ${asset.sys.id}, retrying with fresh asset...`);
-                                existingAsset = null; // Reset so we get a fresh copy on retry
-                                await sleep(RATE_LIMIT_DELAY);
-                            } else {
-                                console.error(`Failed to update asset after ${MAX_RETRIES} version conflict retries: ${asset.sys.id}`);
-                                throw new Error(`Version conflicts exceeded max retries for asset ${asset.sys.id}`);
-                            }
-                        } else {
-                            console.error(`Error updating asset ${asset.sys.id}:`, error.message);
-                            throw error;
-                        }
-                    }
-
-                    // Add a small delay between requests to avoid hitting rate limits
-                    await sleep(RATE_LIMIT_DELAY);
-                }
-            }
+    throw new Error(`Asset processing timed out for asset ${asset.sys.id}`);
+}
 
-            // Add a longer delay between batches to prevent rate limiting
-            if (batchIndex < updatedBatches.length - 1) {
-                const batchDelayTime = RATE_LIMIT_DELAY * 3;
-                console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-                await sleep(batchDelayTime);
-            }
+/**
+ * Unpublish an entity if needed, then delete or archive it.
+ * Runs as one retried unit: a retry refetches and skips steps already done.
+ * @param {Function} fetchLatest - Async function returning the current entity.
+ * @param {string} action - 'delete' or 'archive'.
+ * @param {string} label - Entity label for log messages (e.g. 'entry abc').
+ */
+async function removeEntity(fetchLatest, action, label) {
+    await withRetry(async () => {
+        let entity = await fetchLatest();
+
+        if (entity.isPublished()) {
+            entity = await entity.unpublish();
+            console.log(`Unpublished ${label}`);
         }
-    }
+        if (action === 'archive' && entity.isArchived()) {
+            return;
+        }
+        await entity[action]();
+    }, { ...RETRY_OPTIONS, operation: `${action === 'delete' ? 'deleting' : 'archiving'} ${label}` });
 }
 
 /**
- * Delete entries from the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object[]} entriesToDelete - Entries to delete from target.
+ * Resolve merge options against the .env/profile defaults.
+ * @param {Object} options - See planMerge.
+ * @returns {Object} - Options with defaults applied.
  */
-async function deleteEntriesFromTarget(env, entriesToDelete) {
-    console.log(`Processing ${entriesToDelete.length} entries to delete from target...`);
+function withDefaults(options) {
+    const {
+        spaceId = SPACE_ID,
+        sourceEnvId = SOURCE_ENV,
+        targetEnvId = TARGET_ENV,
+        accessToken = MANAGEMENT_TOKEN
+    } = options;
+    return { ...options, spaceId, sourceEnvId, targetEnvId, accessToken };
+}
 
-    if (entriesToDelete.length === 0) {
-        console.log('No entries to delete.');
-        return;
+/**
+ * Compare source and target and write a reviewable changeset; nothing is written to Contentful.
+ * Field lists are filtered against the target content types while planning, so
+ * the changeset holds exactly the fields apply will write. A snapshot of the
+ * source fields is written next to the changeset (<changeset>.snapshot.json);
+ * apply records it as the baseline for the next three-way merge.
+ *
+ * In three-way mode each field is compared with the baseline too: target-only
+ * changes are kept, source-only changes merged and conflicts written to
+ * <changeset>.resolutions.json for the reviewer to resolve before apply.
+ * @param {Object} options - Merge options (defaults come from .env).
+ * @param {string} options.spaceId - Space containing both environments.
+ * @param {string} options.sourceEnvId - Environment to copy changes from.
+ * @param {string} options.targetEnvId - Environment to apply changes to.
+ * @param {string} options.accessToken - Management token.
+ * @param {string} options.changesetFile - Where to write the changeset (default: changeset-<time>-<space>-<source>-<target>.json).
+ * @param {boolean} options.threeWay - Merge against the baseline of the last applied merge.
+ * @param {string} options.baselineFile - Baseline path (default: merge-baselines/<space>-<source>-<target>.json).
+ * @returns {Promise<Object>} - Changeset file, changeset and, with conflicts, the resolution file.
+ */
+async function planMerge(options = {}) {
+    const { spaceId, sourceEnvId, targetEnvId, accessToken, threeWay = false } = withDefaults(options);
+    const changesetFile = options.changesetFile || `changeset-${Date.now()}-${spaceId}-${sourceEnvId}-${targetEnvId}.json`;
+    const baselineFile = options.baselineFile || defaultBaselineFile(spaceId, sourceEnvId, targetEnvId);
+
+    const baseline = threeWay ? readBaseline(baselineFile) : null;
+    if (threeWay && !baseline) {
+        throw new ChangesetError(`No baseline at ${baselineFile}. Apply a two-way merge (merge plan without --three-way) first to record one.`);
     }
 
-    // Process entries to delete in batches
-    const deleteBatches = splitIntoBatches(entriesToDelete, BATCH_SIZE);
-
-    // Create a progress tracker for deleting entries
-    const deleteProgress = new ProgressTracker(entriesToDelete.length, 'Deleting entries');
-
-    // Process each batch of entries to delete
-    for (let batchIndex = 0; batchIndex < deleteBatches.length; batchIndex++) {
-        const batch = deleteBatches[batchIndex];
-        console.log(`Processing deletion batch ${batchIndex + 1}/${deleteBatches.length} (${batch.length} entries)`);
-
-        // Process entries in the current batch sequentially to avoid rate limits
-        for (const entry of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Deleting entry: ${entry.sys.id} (attempt ${retries + 1})`);
-
-                    // First check if the entry is published, and if so, unpublish it
-                    const entryToDelete = await env.getEntry(entry.sys.id);
-
-                    if (entryToDelete.isPublished()) {
-                        await entryToDelete.unpublish();
-                        console.log(`Unpublished entry: ${entry.sys.id}`);
-
-                        // Get a fresh instance after unpublishing
-                        const refreshedEntry = await env.getEntry(entry.sys.id);
-                        await refreshedEntry.delete();
-                    } else {
-                        await entryToDelete.delete();
-                    }
-
-                    success = true;
-                    console.log(`Successfully deleted entry: ${entry.sys.id}`);
-                    deleteProgress.increment();
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to delete entry after ${MAX_RETRIES} retries: ${entry.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for entry ${entry.sys.id}`);
-                        }
-                    } else {
-                        console.error(`Error deleting entry ${entry.sys.id}:`, error.message);
-                        throw error;
-                    }
+    const client = createClient({ accessToken });
+    const space = await client.getSpace(spaceId);
+    const sourceEnv = await space.getEnvironment(sourceEnvId);
+    const targetEnv = await space.getEnvironment(targetEnvId);
+
+    console.log(`Fetching entries from source environment: ${sourceEnvId}`);
+    const sourceEntries = await fetchEntries(sourceEnv);
+    console.log(`Fetching entries from target environment: ${targetEnvId}`);
+    const targetEntries = await fetchEntries(targetEnv);
+    console.log(`Fetching assets from source environment: ${sourceEnvId}`);
+    const sourceAssets = await fetchAssets(sourceEnv);
+    console.log(`Fetching assets from target environment: ${targetEnvId}`);
+    const targetAssets = await fetchAssets(targetEnv);
+
+    console.log('Comparing entries and assets...');
+    const entryDifferences = compareEntries(sourceEntries, targetEntries);
+    const assetDifferences = compareAssets(sourceAssets, targetAssets);
+
+    // Content types are fetched once per plan instead of once per entry
+    const contentTypes = new Map();
+    const getTargetContentType = async (contentTypeId) => {
+        if (!contentTypes.has(contentTypeId)) {
+            contentTypes.set(contentTypeId, await withRetry(() => targetEnv.getContentType(contentTypeId), {
+                ...RETRY_OPTIONS,
+                operation: `fetching content type ${contentTypeId}`
+            }));
+        }
+        return contentTypes.get(contentTypeId);
+    };
+    // Fields that will be written, keyed by entry ID; null when the content type is missing in the target
+    const entryFields = new Map();
+    const getEntryFields = async (entry) => {
+        if (!entryFields.has(entry.sys.id)) {
+            try {
+                const contentType = await getTargetContentType(entry.sys.contentType.sys.id);
+                entryFields.set(entry.sys.id, filterFields(contentType, entry));
+            } catch (error) {
+                console.error(`Skipping entry ${entry.sys.id}: ${error.message}`);
+                entryFields.set(entry.sys.id, null);
+            }
+        }
+        return entryFields.get(entry.sys.id);
+    };
+
+    const changeset = createChangeset({
+        spaceId,
+        sourceEnvironment: sourceEnvId,
+        targetEnvironment: targetEnvId,
+        mode: threeWay ? 'three-way' : 'two-way',
+        baselineFile
+    });
+    const conflicts = [];
+
+    const kinds = [
+        {
+            kind: 'entries',
+            label: 'entry',
+            differences: entryDifferences,
+            targets: new Map(targetEntries.map((entry) => [entry.sys.id, entry])),
+            base: baseline ? baseline.entries : {},
+            fieldsOf: getEntryFields
+        },
+        {
+            kind: 'assets',
+            label: 'asset',
+            differences: assetDifferences,
+            targets: new Map(targetAssets.map((asset) => [asset.sys.id, asset])),
+            base: baseline ? baseline.assets : {},
+            fieldsOf: async (asset) => filterAssetFields(asset)
+        }
+    ];
+
+    for (const { kind, differences, targets, base, fieldsOf } of kinds) {
+        const describe = (item) => ({
+            id: item.sys.id,
+            ...(kind === 'entries' ? { contentType: item.sys.contentType.sys.id } : {})
+        });
+        const skip = (item, reason) => changeset.skipped.push({ kind, ...describe(item), reason });
+
+        for (const item of differences.missingInTarget) {
+            const fields = await fieldsOf(item);
+            if (!fields) {
+                continue;
+            }
+            // Deleted in the target while the source kept it as it was: the deletion wins
+            if (threeWay && base[item.sys.id] && diffFields(base[item.sys.id].fields, fields).length === 0) {
+                skip(item, 'deleted in target since the last merge');
+                continue;
+            }
+            changeset[kind].push({
+                ...describe(item),
+                action: 'create',
+                targetVersion: null,
+                // New entries stay drafts; their links may not be published yet
+                publish: kind === 'assets' && Boolean(item.sys.publishedAt),
+                diff: diffFields({}, fields),
+                fields: canonicalize(fields)
+            });
+        }
+
+        for (const item of differences.updatedInSource) {
+            const target = targets.get(item.sys.id);
+            const fields = await fieldsOf(item);
+            if (!fields) {
+                continue;
+            }
+            const change = {
+                ...describe(target),
+                action: 'update',
+                targetVersion: target.sys.version,
+                publish: Boolean(item.sys.publishedAt)
+            };
+
+            if (threeWay) {
+                const baseItem = base[item.sys.id];
+                const merged = mergeFields(baseItem && baseItem.fields, fields, target.fields);
+                change.diff = diffFields(target.fields, merged.fields);
+                if (change.diff.length === 0 && merged.conflicts.length === 0) {
+                    continue;
                 }
+                change.keptInTarget = merged.targetChanges.map(({ field, locale }) => `${field}.${locale}`);
+                change.conflicts = merged.conflicts.map(({ field, locale }) => ({ field, locale }));
+                change.fields = merged.fields;
+                conflicts.push(...merged.conflicts.map((conflict) => ({ kind, id: item.sys.id, ...conflict })));
+            } else {
+                change.diff = diffFields(target.fields, fields);
+                if (change.diff.length === 0) {
+                    continue;
+                }
+                change.fields = canonicalize(fields);
+            }
+            changeset[kind].push(change);
+        }
 
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
+        for (const item of differences.deleteFromTarget) {
+            const baseItem = base[item.sys.id];
+            if (threeWay && !baseItem) {
+                skip(item, 'created in target since the last merge');
+                continue;
+            }
+            if (threeWay && diffFields(baseItem.fields, item.fields).length > 0) {
+                skip(item, 'deleted in source but changed in target since the last merge');
+                continue;
             }
+            changeset[kind].push({ ...describe(item), action: 'delete', targetVersion: item.sys.version });
         }
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < deleteBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
+        for (const item of differences.archiveInTarget) {
+            changeset[kind].push({ ...describe(item), action: 'archive', targetVersion: item.sys.version });
         }
     }
+
+    // The source as planned becomes the baseline once apply succeeds
+    const snapshot = createSnapshot({ spaceId, sourceEnvironment: sourceEnvId, targetEnvironment: targetEnvId });
+    for (const entry of sourceEntries) {
+        const fields = await getEntryFields(entry);
+        if (fields) {
+            snapshot.entries[entry.sys.id] = { contentType: entry.sys.contentType.sys.id, fields: canonicalize(fields) };
+        }
+    }
+    for (const asset of sourceAssets) {
+        snapshot.assets[asset.sys.id] = { fields: canonicalize(filterAssetFields(asset)) };
+    }
+
+    finalizeChangeset(changeset);
+    writeChangeset(changeset, changesetFile);
+    writeBaseline(snapshot, companionFile(changesetFile, 'snapshot'));
+    console.log(formatChangeset(changeset));
+    console.log(`Changeset saved to ${changesetFile} (${countChanges(changeset)} changes)`);
+
+    const result = { changesetFile, changeset };
+    if (conflicts.length > 0) {
+        result.resolutionsFile = companionFile(changesetFile, 'resolutions');
+        fs.writeFileSync(result.resolutionsFile, JSON.stringify(createResolutions(changesetFile, conflicts), null, 2) + '\n');
+        console.log(`${conflicts.length} conflict(s) written to ${result.resolutionsFile}; set each "resolution" before running merge apply.`);
+    }
+    return result;
 }
 
 /**
- * Delete assets from the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object[]} assetsToDelete - Assets to delete from target.
+ * Field-level differences between two environments, possibly in different spaces.
+ * Nothing is written; the report reads as "what changes going from `from` to `to`".
+ * @param {Object} from - { label, spaceId, environmentId, accessToken }.
+ * @param {Object} to - { label, spaceId, environmentId, accessToken }.
+ * @param {Object} [options]
+ * @param {string[]} [options.contentTypes] - Only compare entries of these content types (assets are skipped).
+ * @returns {Promise<Object>} - { from, to, summary, entries, assets }; each item has id, change (added, removed or changed) and, when changed, a `fields` diff.
  */
-async function deleteAssetsFromTarget(env, assetsToDelete) {
-    console.log(`Processing ${assetsToDelete.length} assets to delete from target...`);
+async function diffEnvironments(from, to, options = {}) {
+    const { contentTypes = [] } = options;
+    const fetchSide = async (side) => {
+        const env = await (await createClient({ accessToken: side.accessToken }).getSpace(side.spaceId))
+            .getEnvironment(side.environmentId);
+        const queries = contentTypes.length > 0
+            ? contentTypes.map((contentType) => ({ content_type: contentType }))
+            : [{}];
+        const entries = [];
+        for (const query of queries) {
+            entries.push(...await fetchEntries(env, query));
+        }
+        const assets = contentTypes.length > 0 ? [] : await fetchAssets(env);
+        return { entries, assets };
+    };
 
-    if (assetsToDelete.length === 0) {
-        console.log('No assets to delete.');
-        return;
+    const fromItems = await fetchSide(from);
+    const toItems = await fetchSide(to);
+
+    const describe = (side) => ({ label: side.label, spaceId: side.spaceId, environmentId: side.environmentId });
+    const report = { from: describe(from), to: describe(to), summary: {} };
+
+    // compare* treat their first argument as the source, so `to` goes first
+    const sections = [
+        ['entries', compareEntries(toItems.entries, fromItems.entries)],
+        ['assets', compareAssets(toItems.assets, fromItems.assets)]
+    ];
+    for (const [kind, differences] of sections) {
+        const item = (change, fields) => (sysItem) => ({
+            id: sysItem.sys.id,
+            ...(sysItem.sys.contentType ? { contentType: sysItem.sys.contentType.sys.id } : {}),
+            change,
+            ...(fields ? { fields: differences.fieldChanges[sysItem.sys.id] } : {})
+        });
+        report[kind] = [
+            ...differences.missingInTarget.map(item('added')),
+            ...differences.deleteFromTarget.map(item('removed')),
+            ...differences.updatedInSource.map(item('changed', true))
+        ].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        report.summary[kind] = {
+            added: differences.missingInTarget.length,
+            removed: differences.deleteFromTarget.length,
+            changed: differences.updatedInSource.length
+        };
     }
+    return report;
+}
 
-    // Process assets to delete in batches
-    const deleteBatches = splitIntoBatches(assetsToDelete, BATCH_SIZE);
-
-    // Create a progress tracker for deleting assets
-    const deleteProgress = new ProgressTracker(assetsToDelete.length, 'Deleting assets');
-
-    // Process each batch of assets to delete
-    for (let batchIndex = 0; batchIndex < deleteBatches.length; batchIndex++) {
-        const batch = deleteBatches[batchIndex];
-        console.log(`Processing asset deletion batch ${batchIndex + 1}/${deleteBatches.length} (${batch.length} assets)`);
-
-        // Process assets in the current batch sequentially to avoid rate limits
-        for (const asset of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Deleting asset: ${asset.sys.id} (attempt ${retries + 1})`);
-
-                    // First check if the asset is published, and if so, unpublish it
-                    const assetToDelete = await env.getAsset(asset.sys.id);
-
-                    if (assetToDelete.isPublished()) {
-                        await assetToDelete.unpublish();
-                        console.log(`Unpublished asset: ${asset.sys.id}`);
-
-                        // Get a fresh instance after unpublishing
-                        const refreshedAsset = await env.getAsset(asset.sys.id);
-                        await refreshedAsset.delete();
-                    } else {
-                        await assetToDelete.delete();
-                    }
-
-                    success = true;
-                    console.log(`Successfully deleted asset: ${asset.sys.id}`);
-                    deleteProgress.increment();
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to delete asset after ${MAX_RETRIES} retries: ${asset.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for asset ${asset.sys.id}`);
-                        }
-                    } else {
-                        console.error(`Error deleting asset ${asset.sys.id}:`, error.message);
-                        throw error;
-                    }
-                }
+/**
+ * Fetch the current target items a changeset touches, keyed by ID.
+ * @param {Object} env - Target environment object.
+ * @param {string} method - getEntries or getAssets.
+ * @param {string[]} ids - Item IDs.
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function fetchByIds(env, method, ids) {
+    const items = new Map();
+    for (const batch of splitIntoBatches(ids, 100)) {
+        const page = await withRetry(() => env[method]({ 'sys.id[in]': batch.join(','), limit: batch.length }), {
+            ...RETRY_OPTIONS,
+            operation: `fetching ${batch.length} items for the drift check`
+        });
+        page.items.forEach((item) => items.set(item.sys.id, item));
+    }
+    return items;
+}
 
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
+/**
+ * Compare the target's current sys.version of every changed item with the version seen while planning.
+ * @param {Object} env - Target environment object.
+ * @param {Object} changeset - Changeset to check.
+ * @returns {Promise<Object[]>} - Drifted items ({ kind, id, expectedVersion, actualVersion }).
+ */
+async function checkChangesetDrift(env, changeset) {
+    const drift = [];
+    for (const [kind, method] of [['assets', 'getAssets'], ['entries', 'getEntries']]) {
+        // An item can appear twice (e.g. update then archive); the first change holds the planned version
+        const expected = new Map();
+        for (const change of changeset[kind]) {
+            if (!expected.has(change.id)) {
+                expected.set(change.id, change.targetVersion);
             }
         }
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < deleteBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
+        const current = await fetchByIds(env, method, [...expected.keys()]);
+        for (const [id, expectedVersion] of expected) {
+            const actualVersion = current.has(id) ? current.get(id).sys.version : null;
+            if (actualVersion !== expectedVersion) {
+                drift.push({ kind, id, expectedVersion, actualVersion });
+            }
         }
     }
+    return drift;
 }
 
 /**
- * Archive entries in the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object[]} entriesToArchive - Entries to archive in target.
+ * Replay a changeset written by planMerge against its target environment.
+ * Refuses to write anything if a target item's sys.version moved since planning
+ * or a conflict has no resolution. When every change succeeds, the source
+ * snapshot planned with the changeset becomes the baseline for the next merge.
+ * @param {string|Object} changesetOrFile - Changeset file path or parsed changeset.
+ * @param {Object} options
+ * @param {string} options.accessToken - Management token.
+ * @param {boolean} options.dryRun - Only run the drift check (and check the resolutions).
+ * @param {string} options.resolutionsFile - Conflict resolutions (default: <changeset>.resolutions.json).
+ * @param {string} options.resume - Run ID of an interrupted apply of the same changeset; its applied changes are skipped.
+ * @returns {Promise<Object>} - { changesetFile, applied, failed, dryRun, baselineFile, runId }.
+ * @throws {ChangesetDriftError} When the target changed since planning.
+ * @throws {ChangesetError} When a conflict is not resolved.
+ * @throws {CheckpointError} When the run to resume is missing, finished or applied another changeset.
  */
-async function archiveEntriesInTarget(env, entriesToArchive) {
-    console.log(`Processing ${entriesToArchive.length} entries to archive in target...`);
+async function applyChangeset(changesetOrFile, options = {}) {
+    const { accessToken = MANAGEMENT_TOKEN, dryRun = false, resume } = options;
+    const changesetFile = typeof changesetOrFile === 'string' ? changesetOrFile : null;
+    let changeset = changesetFile ? readChangeset(changesetFile) : changesetOrFile;
 
-    if (entriesToArchive.length === 0) {
-        console.log('No entries to archive.');
-        return;
+    if (dryRun && resume) {
+        throw new CheckpointError('--resume continues a run that wrote changes; it cannot be combined with --dry-run');
     }
+    const changesetPath = changesetFile && path.resolve(changesetFile);
+    const checkpoint = dryRun ? noCheckpoint() : startCheckpoint('merge-apply', { changesetFile: changesetPath }, resume);
+    if (checkpoint.resumed && checkpoint.options.changesetFile !== changesetPath) {
+        throw new CheckpointError(`Run ${checkpoint.runId} applied ${checkpoint.options.changesetFile}`, checkpoint.file);
+    }
+    const changeKey = (change) => `${change.action}:${change.id}`;
 
-    // Process entries to archive in batches
-    const archiveBatches = splitIntoBatches(entriesToArchive, BATCH_SIZE);
-
-    // Create a progress tracker for archiving entries
-    const archiveProgress = new ProgressTracker(entriesToArchive.length, 'Archiving entries');
-
-    // Process each batch of entries to archive
-    for (let batchIndex = 0; batchIndex < archiveBatches.length; batchIndex++) {
-        const batch = archiveBatches[batchIndex];
-        console.log(`Processing archive batch ${batchIndex + 1}/${archiveBatches.length} (${batch.length} entries)`);
-
-        // Process entries in the current batch sequentially to avoid rate limits
-        for (const entry of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Archiving entry: ${entry.sys.id} (attempt ${retries + 1})`);
-
-                    // First check if the entry is published, and if so, unpublish it
-                    const entryToArchive = await env.getEntry(entry.sys.id);
-
-                    if (entryToArchive.isPublished()) {
-                        await entryToArchive.unpublish();
-                        console.log(`Unpublished entry before archiving: ${entry.sys.id}`);
-                    }
-
-                    // Now archive the entry
-                    await entryToArchive.archive();
-                    console.log(`Successfully archived entry: ${entry.sys.id}`);
-                    archiveProgress.increment();
-                    success = true;
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to archive entry after ${MAX_RETRIES} retries: ${entry.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for entry ${entry.sys.id}`);
-                        }
-                    } else {
-                        console.error(`Error archiving entry ${entry.sys.id}:`, error.message);
-                        throw error;
-                    }
-                }
-
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
-            }
+    const conflictCount = countConflicts(changeset);
+    if (conflictCount > 0) {
+        const resolutionsFile = options.resolutionsFile || (changesetFile && companionFile(changesetFile, 'resolutions'));
+        if (!resolutionsFile) {
+            throw new ChangesetError(`The changeset has ${conflictCount} conflict(s); pass a resolution file.`);
         }
+        changeset = resolveConflicts(changeset, readResolutions(resolutionsFile));
+        console.log(`Resolved ${conflictCount} conflict(s) from ${resolutionsFile}.`);
+    }
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < archiveBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
-        }
+    const client = createClient({ accessToken });
+    const space = await client.getSpace(changeset.spaceId);
+    const env = await space.getEnvironment(changeset.targetEnvironment);
+
+    // Items an earlier attempt changed have moved on from the planned version legitimately
+    const touchedBefore = {};
+    const pending = { ...changeset };
+    for (const kind of ['assets', 'entries']) {
+        const done = changeset[kind].filter((change) => checkpoint.isDone(kind, changeKey(change)));
+        touchedBefore[kind] = new Set(done.map((change) => change.id));
+        pending[kind] = changeset[kind].filter((change) => !checkpoint.isDone(kind, changeKey(change)));
+    }
+    if (checkpoint.resumed) {
+        console.log(`Skipping ${countChanges(changeset) - countChanges(pending)} changes applied by earlier attempts.`);
     }
-}
 
-/**
- * Archive assets in the target environment with rate limit handling.
- * @param {Object} env - Target environment object.
- * @param {Object[]} assetsToArchive - Assets to archive in target.
- */
-async function archiveAssetsInTarget(env, assetsToArchive) {
-    console.log(`Processing ${assetsToArchive.length} assets to archive in target...`);
+    console.log(`Checking ${countChanges(pending)} changes against ${changeset.targetEnvironment} for drift...`);
+    const drift = await checkChangesetDrift(env, {
+        ...pending,
+        assets: pending.assets.filter((change) => !touchedBefore.assets.has(change.id)),
+        entries: pending.entries.filter((change) => !touchedBefore.entries.has(change.id))
+    });
+    if (drift.length > 0) {
+        throw new ChangesetDriftError(drift);
+    }
+    console.log('Target matches the changeset.');
 
-    if (assetsToArchive.length === 0) {
-        console.log('No assets to archive.');
-        return;
+    const applied = checkpoint.list('applied');
+    const result = { changesetFile, applied: applied.length, failed: checkpoint.list('failed'), dryRun };
+    if (dryRun) {
+        console.log(`Dry run: ${countChanges(changeset)} changes would be applied.`);
+        return result;
     }
 
-    // Process assets to archive in batches
-    const archiveBatches = splitIntoBatches(assetsToArchive, BATCH_SIZE);
-
-    // Create a progress tracker for archiving assets
-    const archiveProgress = new ProgressTracker(assetsToArchive.length, 'Archiving assets');
-
-    // Process each batch of assets to archive
-    for (let batchIndex = 0; batchIndex < archiveBatches.length; batchIndex++) {
-        const batch = archiveBatches[batchIndex];
-        console.log(`Processing asset archive batch ${batchIndex + 1}/${archiveBatches.length} (${batch.length} assets)`);
-
-        // Process assets in the current batch sequentially to avoid rate limits
-        for (const asset of batch) {
-            let retries = 0;
-            let success = false;
-
-            while (!success && retries <= MAX_RETRIES) {
-                try {
-                    console.log(`Archiving asset: ${asset.sys.id} (attempt ${retries + 1})`);
-
-                    // First check if the asset is published, and if so, unpublish it
-                    const assetToArchive = await env.getAsset(asset.sys.id);
-
-                    if (assetToArchive.isPublished()) {
-                        await assetToArchive.unpublish();
-                        console.log(`Unpublished asset before archiving: ${asset.sys.id}`);
-                    }
-
-                    // Now archive the asset
-                    await assetToArchive.archive();
-                    console.log(`Successfully archived asset: ${asset.sys.id}`);
-                    archiveProgress.increment();
-                    success = true;
-                } catch (error) {
-                    if (error.name === 'RateLimitError' || error.statusCode === 429) {
-                        retries++;
-                        if (retries <= MAX_RETRIES) {
-                            const delayTime = RATE_LIMIT_DELAY * Math.pow(2, retries - 1); // Exponential backoff
-                            console.log(`Rate limit hit. Retrying in ${delayTime}ms...`);
-                            await sleep(delayTime);
-                        } else {
-                            console.error(`Failed to archive asset after ${MAX_RETRIES} retries: ${asset.sys.id}`, error.message);
-                            throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries for asset ${asset.sys.id}`);
-                        }
-                    } else {
-                        console.error(`Error archiving asset ${asset.sys.id}:`, error.message);
-                        throw error;
-                    }
+    const startTime = Date.now();
+    // Assets go first since entries might reference them
+    for (const [kind, label] of [['assets', 'asset'], ['entries', 'entry']]) {
+        const getItem = (id) => (kind === 'assets' ? env.getAsset(id) : env.getEntry(id));
+        const touched = touchedBefore[kind];
+
+        await processInBatches(pending[kind], `${label} changes`, `Applying ${label} changes`, async (change) => {
+            const itemLabel = `${label} ${change.id}`;
+            try {
+                await applyChange(env, kind, change, getItem, touched.has(change.id));
+                touched.add(change.id);
+            } catch (error) {
+                if (error.status >= 500 || error instanceof ChangesetDriftError) {
+                    throw error;
                 }
+                console.error(`Failed to ${change.action} ${itemLabel}: ${error.message}`);
+                result.failed.push({ kind, id: change.id, action: change.action, error: error.message });
+                checkpoint.markDone(kind, changeKey(change));
+                return false;
+            }
 
-                // Add a small delay between requests to avoid hitting rate limits
-                await sleep(RATE_LIMIT_DELAY);
+            if (change.publish) {
+                await publishLatest(() => getItem(change.id), itemLabel);
             }
-        }
+            applied.push(changeKey(change));
+            result.applied = applied.length;
+            checkpoint.markDone(kind, changeKey(change));
+            console.log(`Applied ${change.action} to ${itemLabel}`);
+            return true;
+        });
+    }
+    checkpoint.finish();
+    if (checkpoint.written) {
+        result.runId = checkpoint.runId;
+    }
 
-        // Add a longer delay between batches to prevent rate limiting
-        if (batchIndex < archiveBatches.length - 1) {
-            const batchDelayTime = RATE_LIMIT_DELAY * 3;
-            console.log(`Batch ${batchIndex + 1} completed. Waiting ${batchDelayTime}ms before next batch...`);
-            await sleep(batchDelayTime);
-        }
+    console.log('---------------------------------------------------');
+    console.log(`Applied ${result.applied} of ${countChanges(changeset)} changes in ${formatTime((Date.now() - startTime) / 1000)}.`);
+    if (result.failed.length > 0) {
+        console.warn(`${result.failed.length} changes failed; see the log above.`);
     }
+    console.log('---------------------------------------------------');
+
+    // A partly applied changeset must not become the baseline: the next three-way plan would miss the failed changes
+    const snapshotFile = changesetFile && companionFile(changesetFile, 'snapshot');
+    if (result.failed.length > 0 || !changeset.baselineFile) {
+        console.warn('Baseline not recorded.');
+    } else if (!fs.existsSync(snapshotFile)) {
+        console.warn(`Baseline not recorded: ${snapshotFile} is missing.`);
+    } else {
+        result.baselineFile = recordBaseline(snapshotFile, changeset.baselineFile);
+        console.log(`Baseline recorded in ${result.baselineFile}.`);
+    }
+    return result;
 }
 
 /**
- * Main function to perform the merge with error handling.
+ * Apply one changeset change.
+ * @param {Object} env - Target environment object.
+ * @param {string} kind - 'assets' or 'entries'.
+ * @param {Object} change - Changeset change.
+ * @param {Function} getItem - Fetches the current target item by ID.
+ * @param {boolean} touched - Whether this run already changed the item (so its version moved legitimately).
  */
-async function mergeEnvironments() {
-    try {
-        const space = await client.getSpace(SPACE_ID);
-        const sourceEnv = await space.getEnvironment(SOURCE_ENV);
-        const targetEnv = await space.getEnvironment(TARGET_ENV);
-
-        // PART 1: Process entries
-        console.log(`Fetching entries from source environment: ${SOURCE_ENV}`);
-        const sourceEntries = await fetchEntries(sourceEnv);
-
-        console.log(`Fetching entries from target environment: ${TARGET_ENV}`);
-        const targetEntries = await fetchEntries(targetEnv);
-
-        console.log('Comparing entries...');
-        const entryDifferences = compareEntries(sourceEntries, targetEntries);
-        console.log(`Found ${entryDifferences.missingInTarget.length} entries missing in target.`);
-        console.log(`Found ${entryDifferences.updatedInSource.length} entries updated in source.`);
-        console.log(`Found ${entryDifferences.deleteFromTarget.length} entries to delete from target.`);
-
-        // PART 2: Process assets
-        console.log(`Fetching assets from source environment: ${SOURCE_ENV}`);
-        const sourceAssets = await fetchAssets(sourceEnv);
-
-        console.log(`Fetching assets from target environment: ${TARGET_ENV}`);
-        const targetAssets = await fetchAssets(targetEnv); console.log('Comparing assets...');
-        const assetDifferences = compareAssets(sourceAssets, targetAssets);
-
-        console.log(`Found ${assetDifferences.missingInTarget.length} assets missing in target.`);
-        console.log(`Found ${assetDifferences.updatedInSource?.length || 0} assets updated in source.`);
-        console.log(`Found ${assetDifferences.deleteFromTarget.length} assets to delete from target.`);
-        console.log(`Found ${assetDifferences.archiveInTarget?.length || 0} assets to archive in target.`);
-
-        // Combine differences for the changeset file
-        const allDifferences = {
-            entries: entryDifferences,
-            assets: assetDifferences
-        };
-
-        // Save differences to a file
-        fs.writeFileSync(CHANGESET_FILE, JSON.stringify(allDifferences, null, 2));
-        console.log(`Changeset saved to ${CHANGESET_FILE}`);
-        const hasEntryChanges = entryDifferences.missingInTarget.length > 0 ||
-            entryDifferences.updatedInSource.length > 0 ||
-            entryDifferences.deleteFromTarget.length > 0 ||
-            entryDifferences.archiveInTarget?.length > 0;
-        const hasAssetChanges = assetDifferences.missingInTarget.length > 0 ||
-            assetDifferences.updatedInSource?.length > 0 ||
-            assetDifferences.deleteFromTarget.length > 0 ||
-            assetDifferences.archiveInTarget?.length > 0;
-
-        if (!hasEntryChanges && !hasAssetChanges) {
-            console.log('No differences found. No changes to apply.');
+async function applyChange(env, kind, change, getItem, touched) {
+    switch (change.action) {
+        case 'create':
+            if (kind === 'assets') {
+                const asset = await withRetry(() => env.createAssetWithId(change.id, { fields: change.fields }), {
+                    ...RETRY_OPTIONS,
+                    operation: `creating asset ${change.id}`
+                });
+                await processAsset(env, asset);
+            } else {
+                await withRetry(() => env.createEntryWithId(change.contentType, change.id, { fields: change.fields }), {
+                    ...RETRY_OPTIONS,
+                    operation: `creating entry ${change.id}`
+                });
+            }
+            return;
+        case 'update': {
+            // No refetch on 409 here: a conflict means someone else changed the item
+            const item = await withRetry(() => getItem(change.id), { ...RETRY_OPTIONS, operation: `fetching ${change.id}` });
+            if (!touched && item.sys.version !== change.targetVersion) {
+                throw new ChangesetDriftError([{ kind, id: change.id, expectedVersion: change.targetVersion, actualVersion: item.sys.version }]);
+            }
+            item.fields = change.fields;
+            const updated = await withRetry(() => item.update(), { ...RETRY_OPTIONS, operation: `updating ${change.id}` });
+            if (kind === 'assets' && change.fields.file && !isAssetProcessed(updated)) {
+                await processAsset(env, updated);
+            }
             return;
         }
+        case 'delete':
+        case 'archive':
+            await removeEntity(() => getItem(change.id), change.action, `${kind === 'assets' ? 'asset' : 'entry'} ${change.id}`);
+            return;
+        default:
+            throw new Error(`Unknown changeset action: ${change.action}`);
+    }
+}
 
-        console.log('Applying changes to target environment...');
-        const startTime = Date.now();        // First migrate assets (since entries might reference them)
-        if (hasAssetChanges) {
-            console.log('Starting asset migration...');
-
-            // First delete assets that exist in target but not in source
-            if (assetDifferences.deleteFromTarget.length > 0) {
-                console.log('Starting to delete assets that exist in target but not in source...');
-                await deleteAssetsFromTarget(targetEnv, assetDifferences.deleteFromTarget);
-            }
+/**
+ * Plan and apply in one run (the pre plan/apply behaviour).
+ * @param {Object} options - See planMerge.
+ * @param {boolean} options.dryRun - Write the changeset but apply nothing.
+ * @returns {Promise<Object>} - Changeset file, changeset and apply result.
+ */
+async function mergeEnvironments(options = {}) {
+    const { dryRun = false } = options;
 
-            // Archive assets in target that are archived in source
-            if (assetDifferences.archiveInTarget && assetDifferences.archiveInTarget.length > 0) {
-                console.log('Starting to archive assets in target that are archived in source...');
-                await archiveAssetsInTarget(targetEnv, assetDifferences.archiveInTarget);
-            }
+    try {
+        const { changesetFile, changeset } = await planMerge(options);
+        const result = { changesetFile, changeset, applied: false };
 
-            // Create missing assets and update changed ones
-            await applyAssetChanges(targetEnv, assetDifferences);
+        if (countChanges(changeset) === 0) {
+            console.log('No differences found. No changes to apply.');
+            return result;
+        }
+        if (dryRun) {
+            console.log(`Dry run: no changes applied. Review ${changesetFile} for the pending changes.`);
+            return result;
         }
 
-        // Then migrate entries
-        if (hasEntryChanges) {
-            console.log('Starting entry migration...');
+        if (countConflicts(changeset) > 0) {
+            console.log(`Conflicts need a resolution; review ${changesetFile} and run merge apply.`);
+            return result;
+        }
 
-            // First delete entries that exist in target but not in source
-            if (entryDifferences.deleteFromTarget.length > 0) {
-                console.log('Starting to delete entries that exist in target but not in source...');
-                await deleteEntriesFromTarget(targetEnv, entryDifferences.deleteFromTarget);
-            }
+        const applyResult = await applyChangeset(changesetFile, withDefaults(options));
+        console.log('Merge completed successfully.');
 
-            // Archive entries in target that are archived in source
-            if (entryDifferences.archiveInTarget && entryDifferences.archiveInTarget.length > 0) {
-                console.log('Starting to archive entries in target that are archived in source...');
-                await archiveEntriesInTarget(targetEnv, entryDifferences.archiveInTarget);
+        // The changeset only needs to outlive the run when it is reviewed separately
+        for (const file of [changesetFile, companionFile(changesetFile, 'snapshot')]) {
+            try {
+                fs.unlinkSync(file);
+                console.log(`Deleted temporary changeset file: ${file}`);
+            } catch (deleteError) {
+                console.warn(`Warning: Failed to delete changeset file: ${deleteError.message}`);
             }
-
-            // Then create missing entries and update changed ones
-            await applyChanges(targetEnv, entryDifferences);
         }
 
-        const endTime = Date.now(); const totalTime = (endTime - startTime) / 1000; // Convert to seconds
-        console.log('---------------------------------------------------');
-        console.log(`Merge completed successfully in ${formatTime(totalTime)}.`);
-        console.log(`Created ${entryDifferences.missingInTarget.length} entries.`);
-        console.log(`Updated ${entryDifferences.updatedInSource.length} entries.`);
-        console.log(`Deleted ${entryDifferences.deleteFromTarget.length} entries from target.`);
-        console.log(`Archived ${entryDifferences.archiveInTarget?.length || 0} entries in target.`);
-        console.log(`Created ${assetDifferences.missingInTarget.length} assets.`);
-        console.log(`Updated ${assetDifferences.updatedInSource?.length || 0} assets.`);
-        console.log(`Deleted ${assetDifferences.deleteFromTarget.length} assets from target.`);
-        console.log(`Archived ${assetDifferences.archiveInTarget?.length || 0} assets in target.`);
-        console.log(`Total items processed: ${entryDifferences.missingInTarget.length +
-            entryDifferences.updatedInSource.length +
-            entryDifferences.deleteFromTarget.length +
-            (entryDifferences.archiveInTarget?.length || 0) +
-            assetDifferences.missingInTarget.length +
-            (assetDifferences.updatedInSource?.length || 0) +
-            assetDifferences.deleteFromTarget.length +
-            (assetDifferences.archiveInTarget?.length || 0)
-            }`);
-        console.log('---------------------------------------------------');
-
-        // Delete the changeset file after successful merge
-        try {
-            fs.unlinkSync(CHANGESET_FILE);
-            console.log(`Deleted temporary changeset file: ${CHANGESET_FILE}`);
-        } catch (deleteError) {
-            console.warn(`Warning: Failed to delete changeset file: ${deleteError.message}`);
-        }
+        return { ...result, ...applyResult, applied: true };
     } catch (error) {
         let errorMessage = `Error during merge: ${error.message}`;
 
-        if (error.name === 'RateLimitError' || error.statusCode === 429) {
+        if (isRateLimitError(error)) {
             errorMessage = `Rate limit exceeded: ${error.message}. Try again later or increase the delay between requests.`;
-        } else if (error.statusCode) {
-            errorMessage = `API error (${error.statusCode}): ${error.message}`;
+        } else if (error.status) {
+            errorMessage = `API error (${error.status}): ${error.message}`;
         }
 
         console.error(errorMessage);
@@ -1338,29 +996,112 @@ async function mergeEnvironments() {
     }
 }
 
-// Run the script with better error reporting
-mergeEnvironments().then(() => {
-    console.log('Merge process completed successfully.');
-
-    // Double-check that the changeset file is deleted
-    if (fs.existsSync(CHANGESET_FILE)) {
-        try {
-            fs.unlinkSync(CHANGESET_FILE);
-            console.log(`Deleted temporary changeset file: ${CHANGESET_FILE}`);
-        } catch (error) {
-            console.warn(`Note: Could not delete changeset file: ${error.message}`);
+/**
+ * Parse `--name value` pairs from the command line.
+ * @param {string[]} args - Arguments after the subcommand.
+ * @returns {Object} - Values keyed by flag name.
+ */
+function parseFlags(args) {
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const next = args[i + 1];
+            flags[args[i].slice(2)] = next && !next.startsWith('--') ? args[++i] : true;
         }
     }
+    return flags;
+}
 
-    process.exit(0);
-}).catch((err) => {
-    console.error('Merge process failed:');
-    console.error('------------------------------');
-    if (err.stack) {
-        console.error(err.stack);
-    } else {
-        console.error(err);
+function printUsage() {
+    console.log(`
+Usage:
+  node contentful-merge.js plan [--source-env <id>] [--target-env <id>] [--out <file>] [--three-way] [--baseline <file>]
+      Compare the environments and write a changeset with field-level diffs. Nothing is changed.
+      --three-way keeps target-only changes and writes conflicts to <changeset>.resolutions.json.
+  node contentful-merge.js apply --changeset <file> [--resolutions <file>] [--dry-run | --resume <runId>]
+      Replay a reviewed changeset. Refuses to run if any target item changed since planning
+      or a conflict is unresolved. Records the baseline for the next three-way merge.
+      --resume continues an interrupted apply, skipping the changes it already applied.
+  node contentful-merge.js
+      Plan and apply in one run.
+
+The space and source environment default to the "merge" profile in config/profiles.json;
+the target defaults to ${TARGET_ENV}.
+`);
+}
+
+/**
+ * Run one subcommand from the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const flags = parseFlags(rest);
+
+    switch (command) {
+        case 'plan':
+            await planMerge({
+                sourceEnvId: flags['source-env'] || undefined,
+                targetEnvId: flags['target-env'] || undefined,
+                changesetFile: flags.out || undefined,
+                threeWay: flags['three-way'] === true,
+                baselineFile: flags.baseline || undefined
+            });
+            return;
+        case 'apply':
+            if (!flags.changeset || flags.changeset === true) {
+                printUsage();
+                throw new Error('apply requires --changeset <file>');
+            }
+            await applyChangeset(flags.changeset, {
+                dryRun: flags['dry-run'] === true,
+                resolutionsFile: flags.resolutions || undefined,
+                resume: typeof flags.resume === 'string' ? flags.resume : undefined
+            });
+            return;
+        case undefined:
+            await mergeEnvironments();
+            return;
+        case 'help':
+        case '--help':
+            printUsage();
+            return false;
+        default:
+            printUsage();
+            throw new Error(`Unknown command: ${command}`);
     }
-    console.error('------------------------------');
-    process.exit(1);
-});
\ No newline at end of file
+}
+
+// Run the script with better error reporting
+if (require.main === module) {
+    main(process.argv.slice(2)).then((ran) => {
+        if (ran !== false) {
+            console.log('Merge process completed successfully.');
+            console.log(`Requests: ${getDefaultQueue().describeStats()}`);
+        }
+        process.exit(0);
+    }).catch((err) => {
+        console.error('Merge process failed:');
+        console.error('------------------------------');
+        if (err instanceof ChangesetError || err instanceof CheckpointError) {
+            console.error(err.message);
+        } else if (err.stack) {
+            console.error(err.stack);
+        } else {
+            console.error(err);
+        }
+        console.error('------------------------------');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    mergeEnvironments,
+    planMerge,
+    applyChangeset,
+    checkChangesetDrift,
+    diffEnvironments,
+    compareEntries,
+    compareAssets
+};
@@ -6,12 +6,48 @@
  */
 
 const EntryDeletionProcessor = require("../utils/entry-deletion-processor");
-const { getContentfulEnvironment } = require("./contentful-cli");
+const {
+  configFile,
+  DeletionConfigError,
+  loadDeletionConfig,
+  findMissingContentTypes,
+  findUnknownLocales,
+  describeAction,
+  ruleTarget,
+} = require("../utils/deletion-config");
+const {
+  DeletionHaltedError,
+  createApproval,
+  saveApproval,
+} = require("../utils/deletion-approval");
+const { openExport } = require("../utils/export-file");
+const {
+  fetchAllWithPagination,
+  getContentfulEnvironment,
+  isAssetLinked,
+  isEntryLinked,
+} = require("./contentful-cli");
+const { getProfile, listProfiles, withRetry } = require("../core");
 const logger = require("../utils/logger");
 
+// Matching entries or assets shown per rule when testing against an export
+const SAMPLE_SIZE = 5;
+
 class DeletionMappingCLI {
   constructor() {
-    this.processor = new EntryDeletionProcessor();
+    this.cachedProcessor = null;
+  }
+
+  /**
+   * Loaded on first use so that validate can report an invalid config
+   * instead of failing to start
+   * @returns {EntryDeletionProcessor}
+   */
+  get processor() {
+    if (!this.cachedProcessor) {
+      this.cachedProcessor = new EntryDeletionProcessor();
+    }
+    return this.cachedProcessor;
   }
 
   /**
@@ -26,16 +62,20 @@ USAGE:
 
 COMMANDS:
   test <environment>              - Test deletion rules against live data (no actual deletion)
+  test <environment> --from <file> - Test every rule offline against a contentful-export file
   validate                        - Validate deletion mapping configuration file
   rules [environment]             - List all deletion rules for environment
   summary                         - Show configuration summary
   help                           - Show this help message
 
 ENVIRONMENTS:
-  always-de, always-uk, always-fr, mobile-app
+  ${listProfiles()
+    .map((profile) => profile.name)
+    .join(", ")} (from config/profiles.json)
 
 EXAMPLES:
   node src/cli/deletion-mapping-cli.js test always-de
+  node src/cli/deletion-mapping-cli.js test always-de --from exports/export.json
   node src/cli/deletion-mapping-cli.js validate
   node src/cli/deletion-mapping-cli.js rules always-uk
   node src/cli/deletion-mapping-cli.js summary
@@ -43,34 +83,83 @@ EXAMPLES:
   }
 
   /**
-   * Validate the deletion mapping configuration
+   * Validate the deletion mapping configuration against its schema and,
+   * given a connection, against the content types of the target space
+   * @param {object} [connection] - { profile, spaceId, environmentId, accessToken }
+   * @returns {Promise<{ valid: boolean, problems: object[] }>}
    */
-  validateConfig() {
+  async validateConfig(connection = null) {
+    console.log("🔍 Validating deletion mapping configuration...\n");
+
+    let loaded;
     try {
-      const summary = this.processor.getRulesSummary();
+      loaded = loadDeletionConfig(configFile());
+    } catch (error) {
+      if (!(error instanceof DeletionConfigError)) throw error;
+      console.error("❌ Configuration validation failed:");
+      error.errors.forEach((line) => console.error(`   ${line}`));
+      return { valid: false, problems: error.problems };
+    }
 
-      console.log("🔍 Validating deletion mapping configuration...\n");
+    const summary = this.processor.getRulesSummary();
+    console.log("✅ Configuration matches the schema");
+    console.log(`📋 Total rules: ${summary.totalRules}`);
+    console.log(`🟢 Enabled rules: ${summary.enabledRules}`);
+    console.log(`📦 Content types covered: ${summary.contentTypes.join(", ")}`);
+    console.log(
+      `🌍 Environments configured: ${summary.environments.join(", ")}`
+    );
+
+    if (summary.enabledRules === 0) {
+      console.log("⚠️  Warning: No deletion rules are currently enabled");
+    }
 
-      console.log("✅ Configuration file loaded successfully");
-      console.log(`📋 Total rules: ${summary.totalRules}`);
-      console.log(`🟢 Enabled rules: ${summary.enabledRules}`);
-      console.log(
-        `📦 Content types covered: ${summary.contentTypes.join(", ")}`
-      );
+    let problems = [];
+    if (connection && (connection.profile || connection.spaceId)) {
+      const environment = connection.profile
+        ? getProfile(connection.profile).name
+        : null;
+      const env = await getContentfulEnvironment(environment, {
+        spaceId: connection.spaceId,
+        environmentId: connection.environmentId,
+        token: connection.accessToken,
+      });
+      const [contentTypes, locales] = await Promise.all([
+        withRetry(
+          () => env.getContentTypes({ limit: 1000 }),
+          "getContentTypes"
+        ),
+        withRetry(() => env.getLocales(), "getLocales"),
+      ]);
+      problems = [
+        ...findMissingContentTypes(
+          loaded,
+          contentTypes.items.map((contentType) => contentType.sys.id),
+          environment
+        ),
+        ...findUnknownLocales(
+          loaded,
+          locales.items.map((locale) => locale.code),
+          environment
+        ),
+      ];
+      if (problems.length > 0) {
+        const error = new DeletionConfigError(
+          "Rules do not match the target space",
+          problems,
+          loaded.file
+        );
+        console.error(`❌ ${error.message}:`);
+        error.errors.forEach((line) => console.error(`   ${line}`));
+        return { valid: false, problems };
+      }
       console.log(
-        `🌍 Environments configured: ${summary.environments.join(", ")}`
+        "✅ All rule content types and locales exist in the target space"
       );
-
-      if (summary.enabledRules === 0) {
-        console.log("⚠️  Warning: No deletion rules are currently enabled");
-      }
-
-      console.log("\n✅ Configuration validation complete");
-      return true;
-    } catch (error) {
-      console.error("❌ Configuration validation failed:", error.message);
-      return false;
     }
+
+    console.log("\n✅ Configuration validation complete");
+    return { valid: true, problems };
   }
 
   /**
@@ -104,9 +193,16 @@ EXAMPLES:
         console.log(`${index + 1}. ${rule.name}`);
         console.log(`   ID: ${rule.id}`);
         console.log(
-          `   Status: ${rule.enabled ? "🟢 Enabled" : "🔴 Disabled"}`
+          `   Status: ${rule.enabled ? "🟢 Enabled" : "🔴 Disabled"}${
+            rule.manual ? " (manual: only runs when asked for by ID)" : ""
+          }`
+        );
+        console.log(`   Action: ${describeAction(rule.action)}`);
+        console.log(
+          ruleTarget(rule) === "assets"
+            ? "   Target: Assets"
+            : `   Content Types: ${rule.contentTypes.join(", ")}`
         );
-        console.log(`   Content Types: ${rule.contentTypes.join(", ")}`);
         console.log(
           `   Environments: ${rule.environments?.join(", ") || "All"}`
         );
@@ -117,10 +213,7 @@ EXAMPLES:
         if (rule.conditions?.rules) {
           rule.conditions.rules.forEach((condition, i) => {
             console.log(
-              `     ${i + 1}. ${
-                condition.description ||
-                condition.field + " " + condition.operator
-              }`
+              `     ${i + 1}. ${this.processor.describeCondition(condition)}`
             );
           });
         }
@@ -135,22 +228,46 @@ EXAMPLES:
         console.log("");
       });
     } catch (error) {
+      if (error instanceof DeletionConfigError) throw error;
       console.error("❌ Failed to list rules:", error.message);
     }
   }
 
   /**
-   * Test deletion rules against live environment data
+   * Test deletion rules against live environment data, or offline against a
+   * contentful-export file
+   * @param {string} profileName - Profile name or alias the rules are configured for
+   * @param {object} overrides - Connection overrides ({ spaceId, environmentId, token })
+   * @param {object} [options]
+   * @param {string} [options.from] - Export file to evaluate every entry and
+   *   asset of, including `manual` rules, with link checks answered from
+   *   the export; needs no connection
+   * @returns {Promise<object|undefined>} Test summary, undefined when the test failed
    */
-  async testDeletionRules(environment) {
+  async testDeletionRules(profileName, overrides = {}, { from = null } = {}) {
     try {
+      // Deletion rules are keyed by profile name, so resolve aliases first
+      const environment = getProfile(profileName).name;
       console.log(
-        `🧪 Testing deletion rules against ${environment} environment...\n`
+        from
+          ? `🧪 Testing ${environment} deletion rules against ${from} (offline)...\n`
+          : `🧪 Testing deletion rules against ${environment} environment...\n`
       );
 
       // Get Contentful environment
-      const env = await getContentfulEnvironment(environment);
-      console.log("✅ Connected to Contentful environment");
+      let env;
+      if (from) {
+        env = await openExport(from);
+        this.processor.useRules(
+          this.processor.config.deletionRules.map((rule) => rule.id)
+        );
+        console.log("✅ Loaded export file");
+      } else {
+        env = await getContentfulEnvironment(environment, overrides);
+        console.log("✅ Connected to Contentful environment");
+      }
+      await this.processor.checkContentTypes(env, environment);
+      await this.processor.loadLocales(env, environment);
 
       // Get enabled rules for this environment
       const enabledRules =
@@ -163,22 +280,62 @@ EXAMPLES:
         console.log(
           "ℹ️  No enabled rules for this environment. Test complete."
         );
-        return;
+        return {
+          environment,
+          approvalFile: null,
+          testedEntries: 0,
+          candidates: [],
+          testedAssets: 0,
+          assets: [],
+        };
       }
 
-      // Get a sample of entries to test against
-      console.log("📥 Fetching sample entries for testing...");
-      const sampleEntries = await env.getEntries({ limit: 100 });
-      console.log(`📊 Testing against ${sampleEntries.items.length} entries`);
+      // Get a sample of entries (and assets, for asset rules) to test
+      // against; an export is tested in full
+      const assetRules = enabledRules.some(
+        (rule) => ruleTarget(rule) === "assets"
+      );
+      let sampleEntries;
+      let sampleAssets = { items: [] };
+      if (from) {
+        sampleEntries = { items: await fetchAllWithPagination(env, "entries") };
+        if (assetRules) {
+          sampleAssets = { items: await fetchAllWithPagination(env, "assets") };
+        }
+      } else {
+        console.log("📥 Fetching sample entries for testing...");
+        sampleEntries = await env.getEntries({ limit: 100 });
+        if (assetRules) sampleAssets = await env.getAssets({ limit: 100 });
+      }
+      console.log(
+        `📊 Testing against ${sampleEntries.items.length} entries and ${sampleAssets.items.length} assets`
+      );
 
-      // Process entries with deletion processor (dry run)
+      // Links in an export are checked for real, since that costs no API
+      // calls; live samples use a mock that finds no links
+      const mockLinkChecker = async () => ({ isLinked: false, linkedBy: [] });
+      const entryLinkChecker = from
+        ? (entryId) => isEntryLinked(env, entryId)
+        : mockLinkChecker;
+      const assetLinkChecker = from
+        ? (assetId) => isAssetLinked(env, assetId)
+        : mockLinkChecker;
+
+      // Process entries and assets with deletion processor (dry run)
       const deletionCandidates = await this.processor.processEntriesForDeletion(
         sampleEntries.items,
         environment,
-        async (entryId) => {
-          // Mock link checker for testing - in real scenario this would check actual links
-          return { isLinked: false, linkedBy: [] };
-        }
+        entryLinkChecker,
+        env
+      );
+      const assetCandidates = await this.processor.processAssetsForDeletion(
+        sampleAssets.items,
+        environment,
+        assetLinkChecker,
+        env
+      );
+      const rules = enabledRules.map((rule) =>
+        this.ruleMatches(rule, [...deletionCandidates, ...assetCandidates])
       );
 
       // Display results
@@ -188,7 +345,7 @@ EXAMPLES:
         `   Entries matching deletion criteria: ${deletionCandidates.length}`
       );
       console.log(
-        `   Entries that would be deleted: ${
+        `   Entries the rule actions would apply to: ${
           deletionCandidates.filter((c) => c.willDelete).length
         }`
       );
@@ -198,7 +355,9 @@ EXAMPLES:
         }`
       );
 
-      if (deletionCandidates.length > 0) {
+      if (from) {
+        this.printRuleMatches(rules);
+      } else if (deletionCandidates.length > 0) {
         console.log("\n🎯 Detailed Results:");
         deletionCandidates.forEach((candidate, index) => {
           console.log(
@@ -207,9 +366,15 @@ EXAMPLES:
             })`
           );
           console.log(`   Rule: ${candidate.ruleName}`);
+          console.log(`   Action: ${describeAction(candidate.action)}`);
           console.log(`   Reasons: ${candidate.reasons.join(", ")}`);
+          this.processor
+            .formatExplanation(candidate.explanation, "     ")
+            .forEach((line) => console.log(line));
           console.log(
-            `   Would delete: ${candidate.willDelete ? "✅ Yes" : "❌ No"}`
+            `   Would ${candidate.action.type}: ${
+              candidate.willDelete ? "✅ Yes" : "❌ No"
+            }`
           );
           if (!candidate.willDelete && candidate.isLinked) {
             console.log(`   Skip reason: Referenced by other entries`);
@@ -218,12 +383,149 @@ EXAMPLES:
         });
       }
 
-      console.log("🧪 Test complete - No entries were actually deleted");
+      if (!from && sampleAssets.items.length > 0) {
+        console.log(`   Total assets tested: ${sampleAssets.items.length}`);
+        console.log(
+          `   Assets matching deletion criteria: ${assetCandidates.length}`
+        );
+        assetCandidates.forEach((candidate, index) => {
+          console.log(
+            `${index + 1}. Asset ${candidate.asset.sys.id} (${
+              this.processor.getFieldValue(
+                candidate.asset,
+                "file.contentType"
+              ) || "no file"
+            })`
+          );
+          console.log(`   Rule: ${candidate.ruleName}`);
+          console.log(`   Action: ${describeAction(candidate.action)}`);
+          this.processor
+            .formatExplanation(candidate.explanation, "     ")
+            .forEach((line) => console.log(line));
+          console.log(
+            `   Would ${candidate.action.type}: ${
+              candidate.willDelete ? "✅ Yes" : "❌ No"
+            }`
+          );
+          console.log("");
+        });
+      }
+
+      // The approval lists every action found here; publishing with
+      // --approve applies those and nothing else. An export may be out of
+      // date, so testing one never saves an approval.
+      let approvalFile = null;
+      const planned = [...deletionCandidates, ...assetCandidates];
+      try {
+        // Entry and asset actions share the run's limit
+        this.processor.checkLimit(planned, environment);
+        if (!from && planned.some((c) => c.willDelete)) {
+          approvalFile = saveApproval(createApproval(planned, environment));
+          console.log(`📝 Approval saved to ${approvalFile}`);
+          console.log(
+            "   Review it, then pass it to cf publish with --approve to apply only these actions"
+          );
+        }
+      } catch (error) {
+        if (!(error instanceof DeletionHaltedError)) throw error;
+        console.log(`🛑 ${error.message}`);
+        if (!from) console.log("   No approval was saved");
+      }
+
+      console.log("🧪 Test complete - Nothing was changed");
+
+      return {
+        environment,
+        from,
+        approvalFile,
+        rules,
+        testedEntries: sampleEntries.items.length,
+        candidates: deletionCandidates.map((candidate) => ({
+          entryId: candidate.entry.sys.id,
+          contentType: candidate.entry.sys.contentType.sys.id,
+          ruleName: candidate.ruleName,
+          reasons: candidate.reasons,
+          explanation: candidate.explanation,
+          action: candidate.action,
+          willDelete: candidate.willDelete,
+          isLinked: candidate.isLinked,
+        })),
+        testedAssets: sampleAssets.items.length,
+        assets: assetCandidates.map((candidate) => ({
+          assetId: candidate.asset.sys.id,
+          ruleName: candidate.ruleName,
+          reasons: candidate.reasons,
+          explanation: candidate.explanation,
+          action: candidate.action,
+          willDelete: candidate.willDelete,
+        })),
+      };
     } catch (error) {
       console.error("❌ Test failed:", error.message);
     }
   }
 
+  /**
+   * How many of the tested entries or assets a rule matched
+   * @param {Object} rule
+   * @param {Object[]} candidates - Entry and asset candidates of the test
+   * @returns {{ruleId: string, ruleName: string, target: string, action: string, matches: number, willApply: number, samples: Object[]}}
+   */
+  ruleMatches(rule, candidates) {
+    const matched = candidates.filter((c) => c.ruleId === rule.id);
+    return {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      target: ruleTarget(rule),
+      action: describeAction(rule.action),
+      matches: matched.length,
+      willApply: matched.filter((c) => c.willDelete).length,
+      samples: matched.slice(0, SAMPLE_SIZE).map((candidate) => {
+        const entity = candidate.entry || candidate.asset;
+        return {
+          id: entity.sys.id,
+          type: entity.sys.type,
+          contentType: candidate.entry
+            ? entity.sys.contentType.sys.id
+            : this.processor.getFieldValue(entity, "file.contentType"),
+          willApply: candidate.willDelete,
+          linkedBy: (candidate.linkedBy || []).map((link) => link.id),
+          reasons: candidate.reasons,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Print the match count and sample entries or assets of each rule
+   * @param {Object[]} rules - From ruleMatches()
+   */
+  printRuleMatches(rules) {
+    console.log("\n📋 Matches per rule:");
+    rules.forEach((rule) => {
+      console.log(
+        `\n${rule.ruleName} (${rule.ruleId}) - ${rule.action} ${rule.target}: ${rule.matches} matched, ${rule.willApply} would apply`
+      );
+      rule.samples.forEach((sample) => {
+        const kept =
+          sample.linkedBy.length > 0
+            ? `kept, linked by ${sample.linkedBy.join(", ")}`
+            : "kept";
+        console.log(
+          `   - ${sample.type} ${sample.id} (${
+            sample.contentType || "no file"
+          }) ${sample.willApply ? "✅" : `❌ ${kept}`}: ${sample.reasons.join(
+            ", "
+          )}`
+        );
+      });
+      if (rule.matches > rule.samples.length) {
+        console.log(`   ... and ${rule.matches - rule.samples.length} more`);
+      }
+    });
+    console.log("");
+  }
+
   /**
    * Show configuration summary
    */
@@ -256,6 +558,7 @@ EXAMPLES:
       console.log("📁 Configuration file: config/entry-deletion-mappings.json");
       console.log('🔧 Use "npm run deletion-config" for quick status check');
     } catch (error) {
+      if (error instanceof DeletionConfigError) throw error;
       console.error("❌ Failed to show summary:", error.message);
     }
   }
@@ -266,20 +569,24 @@ EXAMPLES:
     const args = process.argv.slice(2);
     const command = args[0];
     const environment = args[1];
+    const fromIndex = args.indexOf("--from");
+    const from = fromIndex === -1 ? null : args[fromIndex + 1];
     switch (command) {
       case "test":
         if (!environment) {
           console.error("❌ Environment required for test command");
           console.log(
-            "Usage: node src/cli/deletion-mapping-cli.js test <environment>"
+            "Usage: node src/cli/deletion-mapping-cli.js test <environment> [--from <export-file>]"
           );
           process.exit(1);
         }
-        await this.testDeletionRules(environment);
+        if (!(await this.testDeletionRules(environment, {}, { from }))) {
+          process.exitCode = 1;
+        }
         break;
 
       case "validate":
-        this.validateConfig();
+        if (!(await this.validateConfig()).valid) process.exitCode = 1;
         break;
 
       case "rules":
@@ -0,0 +1,361 @@
+/**
+ * Run Checkpoints
+ *
+ * Long commands (publish, merge apply, link cleanup, bulk operations and
+ * migration) record their progress as they go: the IDs each phase will
+ * handle, the IDs it has finished, finished phases and the report items
+ * collected so far. When a run dies, `--resume <runId>` opens its checkpoint
+ * again: finished phases and IDs are skipped, the rest is fetched by ID
+ * instead of paging through the environment again, and report items of the
+ * earlier attempts are merged into the final report. Writes of every attempt
+ * go to the same rollback journal.
+ *
+ * The checkpoint is JSON Lines next to the journal, checkpoint-<runId>.jsonl:
+ *
+ *   {"checkpoint":1,"runId":"...","command":"publish","journalRunId":"...",
+ *    "options":{...},"startedAt":"..."}
+ *   {"phase":"entries","planned":["id",...]}
+ *   {"list":"validationErrors","items":[...]}
+ *   {"phase":"entries","done":["id",...]}
+ *   {"phase":"entries","complete":true}
+ *   {"attempt":2,"at":"..."}
+ *   {"finished":true,"at":"..."}
+ *
+ * Report items are only written together with the IDs they belong to, so a
+ * resumed attempt never reports an entry twice.
+ *
+ * Environment variables:
+ * - CONTENTFUL_JOURNAL_DIR  Directory for checkpoint files, as for journals (default: journals)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { getRunJournal } = require("./journal");
+
+const CHECKPOINT_VERSION = 1;
+
+class CheckpointError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [file]
+   */
+  constructor(message, file = null) {
+    super(file ? `${message} (${file})` : message);
+    this.name = "CheckpointError";
+    this.file = file;
+  }
+}
+
+const checkpointDirectory = (directory) =>
+  directory || process.env.CONTENTFUL_JOURNAL_DIR || "journals";
+
+// Run IDs become file names; anything else could point outside the directory
+const RUN_ID = /^[\w-]+$/;
+
+/**
+ * @param {string} [directory]
+ * @param {string} runId
+ * @returns {string}
+ * @throws {CheckpointError} When the run ID is not a plain name
+ */
+function checkpointFile(directory, runId) {
+  if (!RUN_ID.test(runId)) {
+    throw new CheckpointError(`Invalid run ID: ${runId}`);
+  }
+  return path.join(checkpointDirectory(directory), `checkpoint-${runId}.jsonl`);
+}
+
+class Checkpoint {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.runId] - Default: the run journal's ID
+   * @param {string} [options.command] - Command the checkpoint belongs to
+   * @param {object} [options.options] - Command options a resumed run reuses
+   * @param {string} [options.directory] - Default: CONTENTFUL_JOURNAL_DIR or "journals"
+   * @param {boolean} [options.enabled] - false for a checkpoint that records nothing
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.runId = options.runId || null;
+    this.command = options.command || null;
+    this.options = options.options || {};
+    this.file = this.enabled
+      ? checkpointFile(options.directory, this.runId)
+      : null;
+    this.attempt = 1;
+    this.journalRunId = options.journalRunId || null;
+    this.planned = new Map();
+    this.done = new Map();
+    this.completed = new Set();
+    this.previousItems = new Map();
+    this.lists = new Map();
+    this.written = false;
+  }
+
+  /** Whether this is a resumed attempt */
+  get resumed() {
+    return this.attempt > 1;
+  }
+
+  append(record) {
+    if (!this.enabled) return;
+    if (!this.written) {
+      this.written = true;
+      if (!fs.existsSync(this.file)) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(
+          this.file,
+          JSON.stringify({
+            checkpoint: CHECKPOINT_VERSION,
+            runId: this.runId,
+            command: this.command,
+            journalRunId: this.journalRunId,
+            options: this.options,
+            startedAt: new Date().toISOString(),
+          }) + "\n"
+        );
+        logger.info(
+          `Checkpoint: ${this.file} (continue with --resume ${this.runId})`
+        );
+      }
+    }
+    fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+  }
+
+  /**
+   * Record the IDs a phase will handle. A resumed phase keeps the IDs of
+   * the attempt that planned it.
+   * @param {string} phase
+   * @param {string[]} ids
+   * @returns {string[]} The phase's planned IDs
+   */
+  plan(phase, ids) {
+    if (this.planned.has(phase)) return this.planned.get(phase);
+    this.planned.set(phase, ids);
+    this.append({ phase, planned: ids });
+    return ids;
+  }
+
+  /**
+   * Planned IDs of a phase that are not done yet
+   * @param {string} phase
+   * @returns {string[]|null} null when no earlier attempt planned the phase
+   */
+  remaining(phase) {
+    if (!this.planned.has(phase)) return null;
+    return this.planned.get(phase).filter((id) => !this.isDone(phase, id));
+  }
+
+  /**
+   * @param {string} phase
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isDone(phase, id) {
+    return this.done.has(phase) && this.done.get(phase).has(id);
+  }
+
+  /**
+   * Mark IDs of a phase as finished, writing the report items collected so
+   * far with them
+   * @param {string} phase
+   * @param {string|string[]} ids
+   */
+  markDone(phase, ids) {
+    const list = [].concat(ids).filter((id) => !this.isDone(phase, id));
+    this.saveLists();
+    if (list.length === 0 || !this.enabled) return;
+    if (!this.done.has(phase)) this.done.set(phase, new Set());
+    list.forEach((id) => this.done.get(phase).add(id));
+    this.append({ phase, done: list });
+  }
+
+  /**
+   * @param {string} phase
+   * @returns {boolean}
+   */
+  isComplete(phase) {
+    return this.completed.has(phase);
+  }
+
+  /**
+   * Mark a phase as finished; a resumed run skips it
+   * @param {string} phase
+   */
+  complete(phase) {
+    this.saveLists();
+    if (this.isComplete(phase) || !this.enabled) return;
+    this.completed.add(phase);
+    this.append({ phase, complete: true });
+  }
+
+  /**
+   * A report list holding the items of earlier attempts. Items pushed to it
+   * are written with the next markDone() or complete().
+   * @param {string} name
+   * @returns {Array}
+   */
+  list(name) {
+    const items = [...(this.previousItems.get(name) || [])];
+    this.lists.set(name, { items, saved: items.length });
+    return items;
+  }
+
+  saveLists() {
+    for (const [name, list] of this.lists) {
+      if (list.items.length > list.saved) {
+        this.append({ list: name, items: list.items.slice(list.saved) });
+        list.saved = list.items.length;
+      }
+    }
+  }
+
+  /**
+   * Mark the run as finished; it can no longer be resumed. Runs that
+   * recorded nothing leave no checkpoint behind.
+   */
+  finish() {
+    this.saveLists();
+    if (!this.written) return;
+    this.append({ finished: true, at: new Date().toISOString() });
+  }
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} file
+ * @returns {{ header: object, records: object[] }}
+ * @throws {CheckpointError} When the file is missing or not a checkpoint
+ */
+function readCheckpoint(file) {
+  let lines;
+  try {
+    lines = fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() !== "");
+  } catch (error) {
+    throw new CheckpointError(`Cannot read checkpoint: ${error.message}`);
+  }
+  const parsed = [];
+  for (const line of lines) {
+    try {
+      parsed.push(JSON.parse(line));
+    } catch (error) {
+      // The last line is cut short when the process died while writing it
+      if (parsed.length === lines.length - 1) break;
+      throw new CheckpointError(`Invalid checkpoint: ${error.message}`, file);
+    }
+  }
+  const [header, ...records] = parsed;
+  if (!header || header.checkpoint !== CHECKPOINT_VERSION) {
+    throw new CheckpointError(
+      `Invalid checkpoint: expected a version ${CHECKPOINT_VERSION} header`,
+      file
+    );
+  }
+  return { header, records };
+}
+
+/**
+ * Open the checkpoint of an earlier run to continue it. The run journal
+ * continues that run's journal as well.
+ * @param {string} runId
+ * @param {string} command - Must be the command of the earlier run
+ * @param {object} [options]
+ * @param {string} [options.directory]
+ * @returns {Checkpoint}
+ * @throws {CheckpointError} When the run ID is invalid, there is no such run,
+ *   it was another command or it already finished
+ */
+function resumeCheckpoint(runId, command, options = {}) {
+  const file = checkpointFile(options.directory, runId);
+  if (!fs.existsSync(file)) {
+    throw new CheckpointError(`No checkpoint for run ${runId}`, file);
+  }
+  const { header, records } = readCheckpoint(file);
+  if (header.command !== command) {
+    throw new CheckpointError(
+      `Run ${runId} was ${header.command}, not ${command}`,
+      file
+    );
+  }
+
+  const checkpoint = new Checkpoint({
+    runId,
+    command,
+    options: header.options,
+    directory: options.directory,
+    journalRunId: header.journalRunId,
+  });
+  for (const record of records) {
+    if (record.finished) {
+      throw new CheckpointError(`Run ${runId} already finished`, file);
+    }
+    if (record.attempt) checkpoint.attempt = record.attempt;
+    if (record.planned) checkpoint.planned.set(record.phase, record.planned);
+    if (record.done) {
+      if (!checkpoint.done.has(record.phase)) {
+        checkpoint.done.set(record.phase, new Set());
+      }
+      record.done.forEach((id) => checkpoint.done.get(record.phase).add(id));
+    }
+    if (record.complete) checkpoint.completed.add(record.phase);
+    if (record.list) {
+      const items = checkpoint.previousItems.get(record.list) || [];
+      checkpoint.previousItems.set(record.list, items.concat(record.items));
+    }
+  }
+
+  checkpoint.attempt++;
+  checkpoint.written = true;
+  checkpoint.append({
+    attempt: checkpoint.attempt,
+    at: new Date().toISOString(),
+  });
+  if (header.journalRunId) getRunJournal().continueRun(header.journalRunId);
+  logger.info(
+    `Resuming run ${runId} (attempt ${checkpoint.attempt}) from ${file}`
+  );
+  return checkpoint;
+}
+
+/**
+ * Checkpoint for a long command: a new one named after the run journal, or
+ * the checkpoint of the run being resumed
+ * @param {string} command
+ * @param {object} [options] - Command options a resumed run reuses
+ * @param {string} [resume] - Run ID from --resume
+ * @param {string} [directory]
+ * @returns {Checkpoint}
+ */
+function startCheckpoint(command, options = {}, resume = null, directory) {
+  if (resume) return resumeCheckpoint(resume, command, { directory });
+
+  // Several commands in one process share the journal but not a checkpoint
+  const journalRunId = getRunJournal().runId;
+  let runId = journalRunId;
+  for (let n = 2; fs.existsSync(checkpointFile(directory, runId)); n++) {
+    runId = `${journalRunId}-${n}`;
+  }
+  return new Checkpoint({ runId, command, options, directory, journalRunId });
+}
+
+/**
+ * A checkpoint that records nothing, for callers that do not resume
+ * @returns {Checkpoint}
+ */
+function noCheckpoint() {
+  return new Checkpoint({ enabled: false });
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  Checkpoint,
+  CheckpointError,
+  noCheckpoint,
+  readCheckpoint,
+  resumeCheckpoint,
+  startCheckpoint,
+};
@@ -0,0 +1,119 @@
+/**
+ * Contentful Client Factory
+ *
+ * Single place where CLIs obtain a Contentful Management client. By default it
+ * returns the real contentful-management client; when CONTENTFUL_FAKE_SPACE
+ * points at a fixture file (or a store is passed explicitly) it returns the
+ * offline fake from utils/fake-contentful.js instead.
+ *
+ * Every client reports its responses to the shared request queue so rate limit
+ * headers pause all queued requests, whichever client made the call. Writes
+ * are recorded in the run's rollback journal first (see ./journal.js).
+ *
+ * Environment variables:
+ * - CONTENTFUL_FAKE_SPACE   Path to a fake space fixture JSON
+ * - CONTENTFUL_FAKE_PERSIST "true" to write changes back to the fixture file
+ */
+
+const contentful = require("contentful-management");
+const path = require("path");
+const {
+  FakeContentfulStore,
+  createFakeClient,
+} = require("../utils/fake-contentful");
+const { getDefaultQueue } = require("./request-queue");
+const { getRunJournal, instrumentClient } = require("./journal");
+
+// Stores are shared per fixture so every client in a process sees the same state
+const fakeStores = new Map();
+
+/**
+ * Get (or lazily load) the fake store for a fixture file
+ * @param {string} fixturePath - Path to the fixture JSON
+ * @returns {FakeContentfulStore}
+ */
+function getFakeStore(fixturePath) {
+  const resolved = path.resolve(fixturePath);
+  if (!fakeStores.has(resolved)) {
+    fakeStores.set(
+      resolved,
+      FakeContentfulStore.fromFile(resolved, {
+        persist: process.env.CONTENTFUL_FAKE_PERSIST === "true",
+      })
+    );
+  }
+  return fakeStores.get(resolved);
+}
+
+/**
+ * Whether clients created by this factory are backed by the fake CMA
+ * @returns {boolean}
+ */
+function isFakeMode() {
+  return Boolean(process.env.CONTENTFUL_FAKE_SPACE);
+}
+
+/**
+ * Create a Contentful Management client
+ * @param {object} options - contentful-management createClient options
+ * @param {string} options.accessToken - CMA token (ignored by the fake)
+ * @param {FakeContentfulStore|string} options.fake - Store or fixture path to use instead of the API
+ * @param {import('./request-queue').RequestQueue} options.queue - Queue fed with response headers
+ * @param {import('./journal').Journal|false} options.journal - Rollback journal for writes (default: the run's journal; false to disable)
+ * @returns {import('contentful-management').ClientAPI}
+ */
+function createClient(options = {}) {
+  const {
+    fake,
+    queue = getDefaultQueue(),
+    journal = getRunJournal(),
+    ...clientOptions
+  } = options;
+  const fakeSource = fake || process.env.CONTENTFUL_FAKE_SPACE;
+  const userResponseLogger = clientOptions.responseLogger;
+
+  clientOptions.responseLogger = (response) => {
+    queue.handleResponse(response);
+    if (userResponseLogger) userResponseLogger(response);
+  };
+
+  if (fakeSource) {
+    const store =
+      fakeSource instanceof FakeContentfulStore
+        ? fakeSource
+        : getFakeStore(fakeSource);
+    return journaled(createFakeClient(store, clientOptions), journal);
+  }
+
+  return journaled(contentful.createClient(clientOptions), journal);
+}
+
+function journaled(client, journal) {
+  return journal ? instrumentClient(client, journal) : client;
+}
+
+/**
+ * Shortcut for the common client -> space -> environment chain
+ * @param {object} params
+ * @param {string} params.spaceId
+ * @param {string} params.environmentId
+ * @param {string} params.accessToken
+ * @returns {Promise<import('contentful-management').Environment>}
+ */
+async function getEnvironment({
+  spaceId,
+  environmentId,
+  accessToken,
+  ...options
+}) {
+  const client = createClient({ accessToken, ...options });
+  const space = await client.getSpace(spaceId);
+  return space.getEnvironment(environmentId);
+}
+
+module.exports = {
+  createClient,
+  getEnvironment,
+  getFakeStore,
+  isFakeMode,
+};
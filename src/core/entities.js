@@ -0,0 +1,32 @@
+/**
+ * Entity Operations
+ *
+ * Small building blocks for common write sequences, routed through withRetry
+ * so each step gets the shared rate limit handling.
+ */
+
+const { withRetry } = require("./retry");
+
+/**
+ * Update an entry/asset and publish the version the update produced.
+ * Publishing the returned entity (instead of the stale copy) avoids the
+ * 409 VersionMismatch a second publish call would otherwise hit.
+ * @param {object} entity - Entry or asset with pending field changes
+ * @param {object} options - withRetry options
+ * @returns {Promise<object>} The published entity
+ */
+async function updateAndPublish(entity, options = {}) {
+  const id = entity.sys.id;
+  const updated = await withRetry(() => entity.update(), {
+    operation: `update ${id}`,
+    ...options,
+  });
+  return withRetry(() => updated.publish(), {
+    operation: `publish ${id}`,
+    ...options,
+  });
+}
+
+module.exports = {
+  updateAndPublish,
+};
@@ -0,0 +1,196 @@
+/**
+ * Typed Contentful Errors
+ *
+ * contentful-management throws plain Error objects whose `name` is the CMA
+ * error id (NotFound, VersionMismatch, ...) and whose `message` is a JSON blob.
+ * Other code paths (axios, timeouts, our fake CMA) surface status codes in
+ * different places. toContentfulError() normalizes all of them into the
+ * classes below so callers can rely on `instanceof` and `error.status`.
+ *
+ * The CMA error id is kept as `name` so existing `error.name === "NotFound"`
+ * checks keep working.
+ */
+
+class ContentfulError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {object} info
+   * @param {string} info.name - CMA error id (e.g. "NotFound")
+   * @param {number} info.status - HTTP status code
+   * @param {object} info.details - CMA error details
+   * @param {object} info.headers - Response headers, when known
+   * @param {string} info.requestId - CMA request id
+   * @param {Error} info.cause - Original error
+   */
+  constructor(message, info = {}) {
+    super(message);
+    this.name = info.name || "ContentfulError";
+    this.status = info.status;
+    this.details = info.details || {};
+    this.headers = info.headers || {};
+    this.requestId = info.requestId;
+    this.cause = info.cause;
+  }
+}
+
+class BadRequestError extends ContentfulError {}
+
+class NotFoundError extends ContentfulError {}
+
+class VersionMismatchError extends ContentfulError {}
+
+class ValidationError extends ContentfulError {
+  /**
+   * CMA validation errors ({ name, path, details })
+   * @returns {Array<object>}
+   */
+  get errors() {
+    return this.details.errors || [];
+  }
+}
+
+class RateLimitError extends ContentfulError {
+  /**
+   * Seconds until the rate limit window resets, from X-Contentful-RateLimit-Reset
+   * @returns {number|null}
+   */
+  get resetSeconds() {
+    const reset = this.headers["x-contentful-ratelimit-reset"];
+    return reset === undefined ? null : Number(reset);
+  }
+}
+
+class ServerError extends ContentfulError {}
+
+class TimeoutError extends ContentfulError {
+  constructor(timeoutMs, operation = "request") {
+    super(`${operation} timed out after ${timeoutMs}ms`, {
+      name: "TimeoutError",
+    });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+const NAME_TO_STATUS = {
+  BadRequest: 400,
+  NotFound: 404,
+  VersionMismatch: 409,
+  ValidationFailed: 422,
+  UnprocessableEntity: 422,
+  RateLimitExceeded: 429,
+  RateLimitError: 429,
+};
+
+/**
+ * Parse the JSON payload contentful-management puts in error.message
+ * @param {Error} error
+ * @returns {object|null}
+ */
+function parseErrorPayload(error) {
+  if (!error || typeof error.message !== "string") return null;
+  try {
+    const payload = JSON.parse(error.message);
+    return payload && typeof payload === "object" ? payload : null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Work out the HTTP status of any error thrown while talking to Contentful
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getErrorStatus(error) {
+  if (!error) return undefined;
+  const payload = parseErrorPayload(error);
+  return (
+    error.status ||
+    error.statusCode ||
+    (error.response && error.response.status) ||
+    (payload && payload.status) ||
+    NAME_TO_STATUS[error.name]
+  );
+}
+
+/**
+ * Convert any error into a typed ContentfulError (idempotent)
+ * @param {Error} error
+ * @returns {ContentfulError}
+ */
+function toContentfulError(error) {
+  if (error instanceof ContentfulError) return error;
+  if (!(error instanceof Error)) {
+    return new ContentfulError(String(error), { cause: error });
+  }
+
+  const payload = parseErrorPayload(error) || {};
+  const status = getErrorStatus(error);
+  const info = {
+    name: error.name,
+    status,
+    details: error.details || payload.details,
+    headers: error.headers || (error.response && error.response.headers),
+    requestId: error.requestId || payload.requestId,
+    cause: error,
+  };
+  const message = payload.message || error.message;
+
+  if (error.message === "Request timeout" || error.name === "TimeoutError") {
+    return Object.assign(new TimeoutError(error.timeoutMs || 0), {
+      cause: error,
+    });
+  }
+
+  switch (status) {
+    case 400:
+      return new BadRequestError(message, info);
+    case 404:
+      return new NotFoundError(message, info);
+    case 409:
+      return new VersionMismatchError(message, info);
+    case 422:
+      return new ValidationError(message, info);
+    case 429:
+      return new RateLimitError(message, {
+        ...info,
+        name: "RateLimitExceeded",
+      });
+    default:
+      if (status >= 500) return new ServerError(message, info);
+      return new ContentfulError(message, info);
+  }
+}
+
+function isRateLimitError(error) {
+  return getErrorStatus(error) === 429;
+}
+
+function isNotFoundError(error) {
+  return getErrorStatus(error) === 404;
+}
+
+function isVersionMismatchError(error) {
+  return getErrorStatus(error) === 409;
+}
+
+function isValidationError(error) {
+  return getErrorStatus(error) === 422;
+}
+
+module.exports = {
+  ContentfulError,
+  BadRequestError,
+  NotFoundError,
+  VersionMismatchError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  toContentfulError,
+  getErrorStatus,
+  isRateLimitError,
+  isNotFoundError,
+  isVersionMismatchError,
+  isValidationError,
+};
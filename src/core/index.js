@@ -0,0 +1,26 @@
+/**
+ * Core Library
+ *
+ * Shared client factory, environment profiles, retry policy, request queue,
+ * rollback journal, run checkpoints and typed errors used by every CLI. Import from here rather than from the individual modules.
+ */
+
+const client = require("./client");
+const errors = require("./errors");
+const retry = require("./retry");
+const requestQueue = require("./request-queue");
+const entities = require("./entities");
+const profiles = require("./profiles");
+const journal = require("./journal");
+const checkpoint = require("./checkpoint");
+
+module.exports = {
+  ...client,
+  ...errors,
+  ...retry,
+  ...requestQueue,
+  ...entities,
+  ...profiles,
+  ...journal,
+  ...checkpoint,
+};
@@ -0,0 +1,339 @@
+/**
+ * Rollback Journal
+ *
+ * Every client from createClient() records each write before it is sent: the
+ * entity's full JSON before the write (fields, metadata and sys, which holds
+ * the version and publish/archive state) is appended to a per-run journal file.
+ * `cf rollback <journal>` replays the oldest state of every entity in it.
+ *
+ * The journal is JSON Lines: a header followed by one record per write.
+ *
+ *   {"journal":1,"runId":"...","startedAt":"...","argv":[...]}
+ *   {"seq":1,"at":"...","operation":"unpublish","type":"Entry","id":"...",
+ *    "spaceId":"...","environmentId":"...","before":{ "sys": ..., "fields": ... }}
+ *
+ * `before` is null for "create" records, which are written once the new ID is
+ * known. The file is only created on the first write, so read-only runs leave
+ * nothing behind.
+ *
+ * Environment variables:
+ * - CONTENTFUL_JOURNAL_DIR  Directory for journal files (default: journals)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+const JOURNAL_VERSION = 1;
+
+// Entity methods that change state in Contentful and are journaled first
+const WRITE_METHODS = [
+  "update",
+  "publish",
+  "unpublish",
+  "archive",
+  "unarchive",
+  "delete",
+];
+
+// Entity methods that return a fresh entity without changing content
+const REFRESH_METHODS = ["processForAllLocales", "processForLocale"];
+
+const READ_METHODS = [
+  "getEntry",
+  "getEntries",
+  "getPublishedEntries",
+  "getAsset",
+  "getAssets",
+  "getPublishedAssets",
+  "getContentType",
+  "getContentTypes",
+];
+
+const CREATE_METHODS = [
+  "createEntry",
+  "createEntryWithId",
+  "createAsset",
+  "createAssetWithId",
+  "createAssetFromFiles",
+  "createContentType",
+  "createContentTypeWithId",
+];
+
+const INSTRUMENTED = Symbol("journaled");
+
+class Journal {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - Default: CONTENTFUL_JOURNAL_DIR or "journals"
+   * @param {string} [options.runId] - Default: a timestamp
+   */
+  constructor(options = {}) {
+    this.directory =
+      options.directory || process.env.CONTENTFUL_JOURNAL_DIR || "journals";
+    this.runId =
+      options.runId || new Date().toISOString().replace(/[:.]/g, "-");
+    this.file = path.join(this.directory, `journal-${this.runId}.jsonl`);
+    this.seq = 0;
+  }
+
+  /**
+   * Append to the journal of an earlier run from now on, so one rollback
+   * covers every attempt of a resumed run
+   * @param {string} runId
+   * @throws {Error} When this process already journaled writes elsewhere
+   */
+  continueRun(runId) {
+    if (runId === this.runId) return;
+    if (this.seq > 0) {
+      throw new Error(
+        `Cannot continue journal ${runId}: writes were already journaled in ${this.file}`
+      );
+    }
+    this.runId = runId;
+    this.file = path.join(this.directory, `journal-${runId}.jsonl`);
+    if (fs.existsSync(this.file)) {
+      const { records } = readJournal(this.file);
+      this.seq = records.length > 0 ? records[records.length - 1].seq : 0;
+    }
+  }
+
+  /**
+   * Append one record, synchronously so it is on disk before the write is sent
+   * @param {object} record - { operation, type, id, spaceId, environmentId, before }
+   */
+  record(record) {
+    if (this.seq === 0) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(
+        this.file,
+        JSON.stringify({
+          journal: JOURNAL_VERSION,
+          runId: this.runId,
+          startedAt: new Date().toISOString(),
+          argv: process.argv.slice(2),
+        }) + "\n"
+      );
+      logger.info(`Rollback journal: ${this.file}`);
+    }
+    this.seq++;
+    fs.appendFileSync(
+      this.file,
+      JSON.stringify({
+        seq: this.seq,
+        at: new Date().toISOString(),
+        ...record,
+      }) + "\n"
+    );
+  }
+}
+
+let runJournal = null;
+
+/**
+ * Journal shared by every client created in this process
+ * @returns {Journal}
+ */
+function getRunJournal() {
+  if (!runJournal) {
+    runJournal = new Journal();
+  }
+  return runJournal;
+}
+
+/**
+ * Read a journal file
+ * @param {string} file
+ * @returns {{ header: object, records: object[] }}
+ * @throws {Error} When the file is not a journal
+ */
+function readJournal(file) {
+  const lines = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+  let parsed;
+  try {
+    parsed = lines.map((line) => JSON.parse(line));
+  } catch (error) {
+    throw new Error(`Invalid journal ${file}: ${error.message}`);
+  }
+  const [header, ...records] = parsed;
+  if (!header || header.journal !== JOURNAL_VERSION) {
+    throw new Error(
+      `Invalid journal ${file}: expected a version ${JOURNAL_VERSION} header`
+    );
+  }
+  return { header, records };
+}
+
+function define(object, name, value) {
+  Object.defineProperty(object, name, {
+    value,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+}
+
+function toPlain(entity) {
+  return typeof entity.toPlainObject === "function"
+    ? entity.toPlainObject()
+    : entity;
+}
+
+/**
+ * Journal the write methods of an entry, asset or content type. The state is
+ * only copied on the first write, so entities that are just read cost
+ * nothing. update() reloads it: the caller has edited fields in place by then.
+ * @param {object} entity
+ * @param {object} context - { spaceId, environmentId }
+ * @param {Journal} journal
+ * @param {Function} reload - (sys) => the entity as stored
+ */
+function instrumentEntity(entity, context, journal, reload) {
+  if (!entity || !entity.sys || entity[INSTRUMENTED]) return entity;
+  let before = null;
+
+  for (const method of WRITE_METHODS) {
+    const original = entity[method];
+    if (typeof original !== "function") continue;
+    define(entity, method, async function journaled(...args) {
+      if (before === null) {
+        const state = method === "update" ? await reload(entity.sys) : entity;
+        before = JSON.stringify(toPlain(state));
+      }
+      journal.record({
+        operation: method,
+        type: entity.sys.type,
+        id: entity.sys.id,
+        ...context,
+        before: JSON.parse(before),
+      });
+      const result = await original.apply(this, args);
+      return instrumentEntity(result, context, journal, reload);
+    });
+  }
+  for (const method of REFRESH_METHODS) {
+    const original = entity[method];
+    if (typeof original !== "function") continue;
+    define(entity, method, async function refreshed(...args) {
+      return instrumentEntity(
+        await original.apply(this, args),
+        context,
+        journal,
+        reload
+      );
+    });
+  }
+  define(entity, INSTRUMENTED, true);
+  return entity;
+}
+
+function instrumentResult(result, context, journal, reload) {
+  if (result && Array.isArray(result.items)) {
+    result.items.forEach((item) =>
+      instrumentEntity(item, context, journal, reload)
+    );
+    return result;
+  }
+  return instrumentEntity(result, context, journal, reload);
+}
+
+function instrumentEnvironment(environment, spaceId, journal) {
+  if (!environment || environment[INSTRUMENTED]) return environment;
+  const context = { spaceId, environmentId: environment.sys.id };
+  const getters = {
+    Entry: environment.getEntry,
+    Asset: environment.getAsset,
+    ContentType: environment.getContentType,
+  };
+  const reload = (sys) => getters[sys.type].call(environment, sys.id);
+
+  for (const method of READ_METHODS) {
+    const original = environment[method];
+    if (typeof original !== "function") continue;
+    define(environment, method, async function read(...args) {
+      return instrumentResult(
+        await original.apply(this, args),
+        context,
+        journal,
+        reload
+      );
+    });
+  }
+  // A new entity's ID is only known once it exists; a failed create leaves nothing to undo
+  for (const method of CREATE_METHODS) {
+    const original = environment[method];
+    if (typeof original !== "function") continue;
+    define(environment, method, async function create(...args) {
+      const entity = await original.apply(this, args);
+      journal.record({
+        operation: "create",
+        type: entity.sys.type,
+        id: entity.sys.id,
+        ...context,
+        before: null,
+      });
+      return instrumentEntity(entity, context, journal, reload);
+    });
+  }
+  define(environment, INSTRUMENTED, true);
+  return environment;
+}
+
+function instrumentSpace(space, journal) {
+  if (!space || space[INSTRUMENTED]) return space;
+  const spaceId = space.sys.id;
+  const getEnvironment = space.getEnvironment;
+  const getEnvironments = space.getEnvironments;
+
+  if (typeof getEnvironment === "function") {
+    define(space, "getEnvironment", async function environment(...args) {
+      const result = await getEnvironment.apply(this, args);
+      return instrumentEnvironment(result, spaceId, journal);
+    });
+  }
+  if (typeof getEnvironments === "function") {
+    define(space, "getEnvironments", async function environments(...args) {
+      const result = await getEnvironments.apply(this, args);
+      result.items.forEach((item) =>
+        instrumentEnvironment(item, spaceId, journal)
+      );
+      return result;
+    });
+  }
+  define(space, INSTRUMENTED, true);
+  return space;
+}
+
+/**
+ * Journal every write made through a client's spaces and environments
+ * @param {object} client - contentful-management or fake client
+ * @param {Journal} journal
+ * @returns {object} The same client
+ */
+function instrumentClient(client, journal) {
+  const getSpace = client.getSpace;
+  const getSpaces = client.getSpaces;
+
+  define(client, "getSpace", async function space(...args) {
+    return instrumentSpace(await getSpace.apply(this, args), journal);
+  });
+  if (typeof getSpaces === "function") {
+    define(client, "getSpaces", async function spaces(...args) {
+      const result = await getSpaces.apply(this, args);
+      result.items.forEach((item) => instrumentSpace(item, journal));
+      return result;
+    });
+  }
+  return client;
+}
+
+module.exports = {
+  JOURNAL_VERSION,
+  Journal,
+  getRunJournal,
+  readJournal,
+  instrumentClient,
+};
@@ -0,0 +1,308 @@
+/**
+ * Environment Profiles
+ *
+ * Named space/environment profiles loaded from config/profiles.json. Every CLI
+ * resolves its connection through this module instead of reading SPACE_ID_*
+ * variables directly.
+ *
+ * Profile values may reference environment variables as "${NAME}", so the
+ * shipped profiles keep working with an existing .env. Tokens are always read
+ * from the environment: `tokenEnv` names the variable (default
+ * CONTENTFUL_MANAGEMENT_TOKEN).
+ *
+ * The file is validated as a whole when first loaded; unresolved variables are
+ * only reported when a profile is actually used.
+ *
+ * Environment variables:
+ * - CONTENTFUL_PROFILES_FILE  Path to an alternative profiles file
+ */
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ quiet: true });
+
+const DEFAULT_PROFILES_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "config",
+  "profiles.json"
+);
+const DEFAULT_TOKEN_ENV = "CONTENTFUL_MANAGEMENT_TOKEN";
+
+const PROFILE_KEYS = [
+  "description",
+  "aliases",
+  "spaceId",
+  "environmentId",
+  "tokenEnv",
+];
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const VARIABLE_PATTERN = /\$\{([^}]*)\}/g;
+
+class ProfileConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - Individual problems found in the file
+   */
+  constructor(message, errors = []) {
+    super(
+      errors.length > 0 ? `${message}\n  - ${errors.join("\n  - ")}` : message
+    );
+    this.name = "ProfileConfigError";
+    this.errors = errors;
+  }
+}
+
+// Parsed and validated files, keyed by absolute path
+const loaded = new Map();
+
+function getProfilesFile() {
+  return path.resolve(
+    process.env.CONTENTFUL_PROFILES_FILE || DEFAULT_PROFILES_FILE
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateValue(value, where, errors) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${where} must be a non-empty string`);
+    return;
+  }
+  for (const [, name] of value.matchAll(VARIABLE_PATTERN)) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      errors.push(`${where} references an invalid variable name "${name}"`);
+    }
+  }
+}
+
+function validateProfiles(data) {
+  const errors = [];
+  if (!isPlainObject(data) || !isPlainObject(data.profiles)) {
+    return ['top level must be an object with a "profiles" object'];
+  }
+
+  const names = Object.keys(data.profiles);
+  if (names.length === 0) {
+    errors.push("no profiles defined");
+  }
+
+  const owners = new Map(names.map((name) => [name, name]));
+  for (const name of names) {
+    const profile = data.profiles[name];
+    const where = `profiles.${name}`;
+    if (!isPlainObject(profile)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(profile)) {
+      if (!PROFILE_KEYS.includes(key)) {
+        errors.push(`${where}.${key} is not a known profile setting`);
+      }
+    }
+    validateValue(profile.spaceId, `${where}.spaceId`, errors);
+    validateValue(profile.environmentId, `${where}.environmentId`, errors);
+
+    if (
+      profile.tokenEnv !== undefined &&
+      !ENV_NAME_PATTERN.test(String(profile.tokenEnv))
+    ) {
+      errors.push(`${where}.tokenEnv must be an environment variable name`);
+    }
+    if (profile.description !== undefined) {
+      validateValue(profile.description, `${where}.description`, errors);
+    }
+
+    if (profile.aliases === undefined) continue;
+    if (!Array.isArray(profile.aliases)) {
+      errors.push(`${where}.aliases must be an array`);
+      continue;
+    }
+    for (const alias of profile.aliases) {
+      if (typeof alias !== "string" || alias.trim() === "") {
+        errors.push(`${where}.aliases must only contain non-empty strings`);
+      } else if (owners.has(alias)) {
+        errors.push(
+          `${where}.aliases: "${alias}" is already used by profile "${owners.get(
+            alias
+          )}"`
+        );
+      } else {
+        owners.set(alias, name);
+      }
+    }
+  }
+
+  if (data.defaults !== undefined) {
+    if (!isPlainObject(data.defaults)) {
+      errors.push("defaults must be an object");
+    } else {
+      for (const [role, name] of Object.entries(data.defaults)) {
+        if (!owners.has(name)) {
+          errors.push(`defaults.${role} refers to unknown profile "${name}"`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate the profiles file (cached per file)
+ * @param {string} [file] - Defaults to CONTENTFUL_PROFILES_FILE or config/profiles.json
+ * @returns {{ file: string, profiles: object, defaults: object, names: Map<string, string> }}
+ * @throws {ProfileConfigError} When the file is missing, unparsable or invalid
+ */
+function loadProfiles(file = getProfilesFile()) {
+  const resolved = path.resolve(file);
+  if (loaded.has(resolved)) {
+    return loaded.get(resolved);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new ProfileConfigError(
+      `Cannot read profiles file ${resolved}: ${error.message}`
+    );
+  }
+
+  const errors = validateProfiles(data);
+  if (errors.length > 0) {
+    throw new ProfileConfigError(`Invalid profiles file ${resolved}`, errors);
+  }
+
+  // Profile names and aliases, both mapped to the profile name
+  const names = new Map();
+  for (const [name, profile] of Object.entries(data.profiles)) {
+    names.set(name, name);
+    for (const alias of profile.aliases || []) names.set(alias, name);
+  }
+
+  const result = {
+    file: resolved,
+    profiles: data.profiles,
+    defaults: data.defaults || {},
+    names,
+  };
+  loaded.set(resolved, result);
+  return result;
+}
+
+function interpolate(value, missing) {
+  let unresolved = false;
+  const result = value.replace(VARIABLE_PATTERN, (match, name) => {
+    const envValue = process.env[name];
+    if (!envValue) {
+      missing.push(name);
+      unresolved = true;
+      return "";
+    }
+    return envValue;
+  });
+  return unresolved ? undefined : result;
+}
+
+function buildProfile(name, profile) {
+  const missing = [];
+  const tokenEnv = profile.tokenEnv || DEFAULT_TOKEN_ENV;
+  const resolved = {
+    name,
+    description: profile.description || "",
+    aliases: profile.aliases || [],
+    spaceId: interpolate(profile.spaceId, missing),
+    environmentId: interpolate(profile.environmentId, missing),
+    tokenEnv,
+    token: process.env[tokenEnv],
+  };
+  if (!resolved.token) missing.push(tokenEnv);
+  return { ...resolved, missing };
+}
+
+/**
+ * Look up a profile by name or alias without requiring it to be complete
+ * @param {string} nameOrAlias
+ * @returns {{ name: string, description: string, aliases: string[], spaceId: string|undefined, environmentId: string|undefined, tokenEnv: string, token: string|undefined, missing: string[] }}
+ * @throws {ProfileConfigError} When the profile does not exist
+ */
+function getProfile(nameOrAlias) {
+  const { file, profiles, names } = loadProfiles();
+  const name = names.get(nameOrAlias);
+  if (!name) {
+    throw new ProfileConfigError(
+      `Unknown profile "${nameOrAlias}" (available: ${Object.keys(
+        profiles
+      ).join(", ")}; see ${path.relative(process.cwd(), file)})`
+    );
+  }
+  return buildProfile(name, profiles[name]);
+}
+
+/**
+ * Resolve a profile into connection settings, failing if any value is unset
+ * @param {string} nameOrAlias - Profile name or alias (e.g. "always-de" or "de")
+ * @returns {{ name: string, spaceId: string, environmentId: string, token: string, tokenEnv: string }}
+ * @throws {ProfileConfigError} When the profile is unknown or incomplete
+ */
+function resolveProfile(nameOrAlias) {
+  const profile = getProfile(nameOrAlias);
+  if (profile.missing.length > 0) {
+    throw new ProfileConfigError(
+      `Profile "${profile.name}" is incomplete: set ${profile.missing.join(
+        ", "
+      )} in your environment or .env file`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Connection defaults for a script, from the profile named in the file's
+ * "defaults" section. Unresolved values are left undefined so the script's
+ * own configuration checks can report them.
+ * @param {string} role - Key in "defaults" (e.g. "linkCleanup")
+ * @returns {{ profile: string|undefined, spaceId: string|undefined, environmentId: string|undefined, token: string|undefined }}
+ */
+function getProfileDefaults(role) {
+  const name = loadProfiles().defaults[role];
+  if (!name) {
+    return { profile: undefined, token: process.env[DEFAULT_TOKEN_ENV] };
+  }
+  const profile = getProfile(name);
+  return {
+    profile: profile.name,
+    spaceId: profile.spaceId,
+    environmentId: profile.environmentId,
+    token: profile.token,
+  };
+}
+
+/**
+ * All profiles with their resolution status, for `cf profiles list`.
+ * Tokens are never included, only whether they are set.
+ * @returns {Array<object>} Profiles as returned by getProfile() without
+ *   `token`, plus `complete`
+ */
+function listProfiles() {
+  const { profiles } = loadProfiles();
+  return Object.keys(profiles).map((name) => {
+    const { token, ...profile } = buildProfile(name, profiles[name]);
+    return { ...profile, complete: profile.missing.length === 0 };
+  });
+}
+
+module.exports = {
+  ProfileConfigError,
+  DEFAULT_PROFILES_FILE,
+  loadProfiles,
+  getProfile,
+  resolveProfile,
+  getProfileDefaults,
+  listProfiles,
+};
@@ -0,0 +1,268 @@
+/**
+ * Rate-limit-aware Request Queue
+ *
+ * Every CMA call made through withRetry() is scheduled here. The queue caps the
+ * number of in-flight requests and, when Contentful reports that the rate limit
+ * is exhausted (a 429 or X-Contentful-RateLimit-Second-Remaining: 0), holds all
+ * pending requests until X-Contentful-RateLimit-Reset has elapsed instead of
+ * letting each caller hammer the API on its own schedule.
+ *
+ * The cap adapts to the same headers: it grows by one while a response reports
+ * more of the second's budget remaining than requests in flight, shrinks by one
+ * when the budget runs out and halves on a 429. Callers hand their work to
+ * map() or size their batches with batchSize instead of sleeping between
+ * requests.
+ *
+ * Environment variables:
+ * - CONTENTFUL_MAX_CONCURRENCY  Upper bound for in-flight requests (default: 10)
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const RESET_HEADER = "x-contentful-ratelimit-reset";
+const REMAINING_HEADER = "x-contentful-ratelimit-second-remaining";
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_CONCURRENCY = 10;
+
+// Batches hold this many times the concurrency limit, so the queue stays busy
+// until the end of each batch
+const BATCH_FACTOR = 2;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class RequestQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - In-flight requests to start with
+   *   (default 5, never above maxConcurrency)
+   * @param {number} options.minConcurrency - Lower bound when adapting (default 1)
+   * @param {number} options.maxConcurrency - Upper bound when adapting
+   *   (default: CONTENTFUL_MAX_CONCURRENCY or 10)
+   */
+  constructor(options = {}) {
+    this.maxConcurrency =
+      options.maxConcurrency ||
+      parseInt(process.env.CONTENTFUL_MAX_CONCURRENCY, 10) ||
+      DEFAULT_MAX_CONCURRENCY;
+    // A lower ceiling is how operators keep a run under a shared rate limit
+    this.concurrency = Math.min(
+      options.concurrency || DEFAULT_CONCURRENCY,
+      this.maxConcurrency
+    );
+    this.minConcurrency = Math.min(
+      options.minConcurrency || 1,
+      this.maxConcurrency
+    );
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.stats = {
+      scheduled: 0,
+      completed: 0,
+      rateLimited: 0,
+      exhausted: 0,
+      pausedMs: 0,
+      raised: 0,
+      lowered: 0,
+      peakConcurrency: this.concurrency,
+    };
+    // Tracks whether we are already running inside a queued task, so nested
+    // withRetry() calls run directly instead of deadlocking on a free slot
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Schedule an async function
+   * @param {Function} fn - Async function performing the request(s)
+   * @returns {Promise<any>}
+   */
+  async run(fn) {
+    if (this.context.getStore()) {
+      return fn();
+    }
+
+    this.stats.scheduled++;
+    await this.acquire();
+    try {
+      await this.waitForReset();
+      return await this.context.run(true, fn);
+    } finally {
+      this.stats.completed++;
+      this.release();
+    }
+  }
+
+  /**
+   * Run fn for every item, keeping as many items in flight as the queue
+   * allows. fn should handle its own errors; the first one it throws rejects
+   * the whole map and no further items are started.
+   * @param {Array} items
+   * @param {Function} fn - Async (item, index) => result
+   * @returns {Promise<Array>} Results in the order of items
+   */
+  async map(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+      while (next < items.length && !failed) {
+        const index = next++;
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    // Workers above the current limit wait for a slot in run()
+    const workers = Math.min(this.maxConcurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+  }
+
+  /**
+   * Items per batch for callers that report progress or record checkpoints
+   * batch by batch: enough to use the highest concurrency the queue may reach
+   * @returns {number}
+   */
+  get batchSize() {
+    return this.maxConcurrency * BATCH_FACTOR;
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release() {
+    this.active--;
+    this.drain();
+  }
+
+  // Start waiting requests while there is room under the current limit
+  drain() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Change the in-flight limit within minConcurrency and maxConcurrency
+   * @param {number} concurrency
+   */
+  setConcurrency(concurrency) {
+    const bounded = Math.min(
+      this.maxConcurrency,
+      Math.max(this.minConcurrency, concurrency)
+    );
+    if (bounded > this.concurrency) this.stats.raised++;
+    if (bounded < this.concurrency) this.stats.lowered++;
+    this.concurrency = bounded;
+    this.stats.peakConcurrency = Math.max(this.stats.peakConcurrency, bounded);
+    this.drain();
+  }
+
+  async waitForReset() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      this.stats.pausedMs += wait;
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Hold every queued request for the given number of milliseconds
+   * @param {number} ms
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Milliseconds until requests may resume (0 when not paused)
+   * @returns {number}
+   */
+  get remainingPauseMs() {
+    return Math.max(0, this.pausedUntil - Date.now());
+  }
+
+  /**
+   * Feed a CMA response (or axios error) into the queue. Used as the client's
+   * `responseLogger` so rate limit headers are seen for every request.
+   * @param {object} response - Response-like object with status and headers
+   */
+  handleResponse(response) {
+    const res = (response && response.response) || response;
+    if (!res || !res.headers) return;
+
+    const reset = Number(res.headers[RESET_HEADER]);
+    const remaining = res.headers[REMAINING_HEADER];
+    const exhausted =
+      res.status === 429 || (remaining !== undefined && Number(remaining) <= 0);
+
+    if (res.status === 429) {
+      this.stats.rateLimited++;
+      this.setConcurrency(Math.floor(this.concurrency / 2));
+    } else if (exhausted) {
+      this.stats.exhausted++;
+      this.setConcurrency(this.concurrency - 1);
+    } else if (
+      remaining !== undefined &&
+      Number(remaining) > this.active &&
+      this.waiting.length > 0
+    ) {
+      // Only grow while requests are actually waiting for a slot
+      this.setConcurrency(this.concurrency + 1);
+    }
+
+    if (exhausted && reset > 0) {
+      this.pauseFor(reset * 1000);
+    }
+  }
+
+  /**
+   * One line on the requests made and the throttling they met
+   * @returns {string}
+   */
+  describeStats() {
+    const { stats } = this;
+    const parts = [`${stats.completed} requests`];
+    if (stats.rateLimited > 0) parts.push(`${stats.rateLimited} rate limited`);
+    if (stats.exhausted > 0) {
+      parts.push(`${stats.exhausted} times out of budget`);
+    }
+    if (stats.pausedMs > 0) {
+      parts.push(`paused ${(stats.pausedMs / 1000).toFixed(1)}s`);
+    }
+    parts.push(
+      `concurrency ${this.concurrency} (peak ${stats.peakConcurrency}, ${stats.raised} raised, ${stats.lowered} lowered)`
+    );
+    return parts.join(", ");
+  }
+}
+
+let defaultQueue = null;
+
+/**
+ * Process-wide queue shared by every CLI and client
+ * @returns {RequestQueue}
+ */
+function getDefaultQueue() {
+  if (!defaultQueue) {
+    defaultQueue = new RequestQueue();
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  RequestQueue,
+  getDefaultQueue,
+  RESET_HEADER,
+  REMAINING_HEADER,
+};
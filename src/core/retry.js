@@ -0,0 +1,147 @@
+/**
+ * Retry with Jittered Backoff
+ *
+ * The one retry policy shared by every CLI:
+ * - 429s wait for X-Contentful-RateLimit-Reset (falling back to backoff) and
+ *   pause the shared request queue so concurrent callers back off too
+ * - timeouts and 5xx responses are retried with exponential backoff + jitter
+ * - everything else is rethrown immediately as a typed ContentfulError
+ */
+
+const logger = require("../utils/logger");
+const { getDefaultQueue } = require("./request-queue");
+const {
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  toContentfulError,
+} = require("./errors");
+
+const DEFAULT_RETRY_OPTIONS = {
+  operation: "request",
+  maxRetries: 5,
+  timeoutMs: 30000,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with jitter: a random delay between half and the full
+ * exponential step, capped at maxDelayMs
+ * @param {number} attempt - Zero-based attempt number
+ * @param {object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, options = DEFAULT_RETRY_OPTIONS) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const exponential = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Run a promise-returning function with a timeout, clearing the timer afterwards
+ * so pending timers never keep the process alive
+ */
+async function withTimeout(fn, timeoutMs, operation) {
+  if (!timeoutMs) return fn();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new TimeoutError(timeoutMs, operation)),
+      timeoutMs
+    );
+  });
+  try {
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Default retry decision: rate limits, timeouts and server errors
+ * @param {ContentfulError} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return (
+    error instanceof RateLimitError ||
+    error instanceof TimeoutError ||
+    error instanceof ServerError
+  );
+}
+
+/**
+ * Execute an async Contentful operation with retries
+ * @param {Function} fn - Async function to execute
+ * @param {object|string} options - Options, or just the operation name for logging
+ * @param {string} options.operation - Name used in log messages
+ * @param {number} options.maxRetries - Retries after the first attempt (default 5)
+ * @param {number} options.timeoutMs - Per-attempt timeout, 0 to disable (default 30000)
+ * @param {number} options.baseDelayMs - First backoff step (default 1000)
+ * @param {number} options.maxDelayMs - Backoff cap (default 30000)
+ * @param {Function} options.retryOn - Extra predicate for errors worth retrying
+ * @param {import('./request-queue').RequestQueue} options.queue - Queue to schedule through
+ * @param {object} options.logger - Logger with warn/error methods
+ * @returns {Promise<any>}
+ */
+async function withRetry(fn, options = {}) {
+  const settings = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...(typeof options === "string" ? { operation: options } : options),
+  };
+  const queue = settings.queue || getDefaultQueue();
+  const log = settings.logger || logger;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await queue.run(() =>
+        withTimeout(fn, settings.timeoutMs, settings.operation)
+      );
+    } catch (rawError) {
+      const error = toContentfulError(rawError);
+      const retryable =
+        isRetryable(error) || (settings.retryOn && settings.retryOn(error));
+
+      if (!retryable) throw error;
+      if (attempt >= settings.maxRetries) {
+        log.error(
+          `${settings.operation} failed after ${attempt + 1} attempts: ${
+            error.message
+          }`
+        );
+        throw error;
+      }
+
+      let wait = computeBackoff(attempt, settings);
+      if (error instanceof RateLimitError) {
+        const resetMs =
+          error.resetSeconds !== null
+            ? error.resetSeconds * 1000
+            : queue.remainingPauseMs;
+        // Never wait less than Contentful asked for; jitter spreads the herd
+        if (resetMs > 0) wait = resetMs + Math.round(Math.random() * 500);
+        queue.pauseFor(wait);
+      }
+
+      log.warn(
+        `${error.name} during ${
+          settings.operation
+        }. Retrying in ${wait}ms... (Attempt ${attempt + 1}/${
+          settings.maxRetries
+        })`
+      );
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  computeBackoff,
+  withTimeout,
+  isRetryable,
+  DEFAULT_RETRY_OPTIONS,
+};
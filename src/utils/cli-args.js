@@ -0,0 +1,209 @@
+/**
+ * Command Line Argument Parsing
+ *
+ * Declarative option parsing for the `cf` dispatcher. Options are described
+ * once as specs, and the same specs drive parsing, validation and the
+ * generated help text.
+ */
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * @typedef {object} OptionSpec
+ * @property {string} name - Long flag without the leading dashes (e.g. "dry-run")
+ * @property {string} [alias] - Single letter alias (e.g. "h" for -h)
+ * @property {string} [value] - Value placeholder; options without one are boolean flags
+ * @property {"string"|"number"|"list"} [type] - Value conversion (default: string)
+ * @property {string[]} [choices] - Allowed values
+ * @property {*} [default] - Value used when the option is not given
+ * @property {string} description - One line shown in help
+ */
+
+/**
+ * Convert a flag name to the camelCase key used in parsed options
+ * @param {string} name - e.g. "content-type"
+ * @returns {string} e.g. "contentType"
+ */
+function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function convertValue(spec, raw, flag) {
+  let value = raw;
+  if (spec.type === "number") {
+    value = Number(raw);
+    if (raw === "" || Number.isNaN(value)) {
+      throw new UsageError(`${flag} expects a number, got "${raw}"`);
+    }
+  } else if (spec.type === "list") {
+    value = raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  if (spec.choices && values.some((item) => !spec.choices.includes(item))) {
+    throw new UsageError(
+      `${flag} must be one of: ${spec.choices.join(", ")} (got "${raw}")`
+    );
+  }
+  return value;
+}
+
+function indexSpecs(specs) {
+  const byFlag = new Map();
+  for (const spec of specs) {
+    byFlag.set(`--${spec.name}`, spec);
+    if (spec.alias) byFlag.set(`-${spec.alias}`, spec);
+  }
+  return byFlag;
+}
+
+/**
+ * Parse argv against option specs. Options may appear anywhere; everything
+ * else (and everything after "--") is returned as positionals.
+ * @param {string[]} argv - Arguments without the node/script entries
+ * @param {OptionSpec[]} specs - Accepted options
+ * @returns {{ options: object, positionals: string[] }}
+ * @throws {UsageError} On unknown options, missing values or invalid values
+ */
+function parseArgs(argv, specs) {
+  const byFlag = indexSpecs(specs);
+  const options = {};
+  const positionals = [];
+
+  for (const spec of specs) {
+    if (spec.default !== undefined) {
+      options[toOptionKey(spec.name)] = spec.default;
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf("=");
+    const flag = separator === -1 ? arg : arg.slice(0, separator);
+    const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+    const spec = byFlag.get(flag);
+
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+
+    const key = toOptionKey(spec.name);
+    if (!spec.value) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`${flag} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    const raw = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (raw === undefined) {
+      throw new UsageError(`${flag} requires a value <${spec.value}>`);
+    }
+    options[key] = convertValue(spec, raw, flag);
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Find the leading positional words (command, subcommand) without consuming
+ * option values, so global options can come before the command name.
+ * @param {string[]} argv
+ * @param {OptionSpec[]} specs - Options whose values must be skipped
+ * @param {number} count - Maximum number of words to take
+ * @returns {{ words: string[], rest: string[] }}
+ */
+function takeLeadingWords(argv, specs, count) {
+  const byFlag = indexSpecs(specs);
+  const words = [];
+  const rest = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      rest.push(...argv.slice(i));
+      break;
+    }
+    if (arg.startsWith("-") && arg !== "-") {
+      rest.push(arg);
+      const spec = byFlag.get(arg);
+      if (spec && spec.value && !arg.includes("=") && i + 1 < argv.length) {
+        rest.push(argv[++i]);
+      }
+      continue;
+    }
+    if (words.length < count) {
+      words.push(arg);
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  return { words, rest };
+}
+
+/**
+ * Render option specs as aligned help lines
+ * @param {OptionSpec[]} specs
+ * @param {number} [width] - Column width for the flag part
+ * @returns {string}
+ */
+function formatOptions(specs, width) {
+  const flags = specs.map((spec) => {
+    const alias = spec.alias ? `-${spec.alias}, ` : "";
+    const value = spec.value ? ` <${spec.value}>` : "";
+    return `${alias}--${spec.name}${value}`;
+  });
+  const column = width || Math.max(0, ...flags.map((flag) => flag.length)) + 2;
+
+  return specs
+    .map((spec, index) => {
+      const extras = [];
+      if (spec.choices) extras.push(`one of: ${spec.choices.join(", ")}`);
+      if (spec.default !== undefined && spec.default !== false) {
+        extras.push(`default: ${spec.default}`);
+      }
+      const suffix = extras.length > 0 ? ` (${extras.join("; ")})` : "";
+      return `  ${flags[index].padEnd(column)}${spec.description}${suffix}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Drop undefined values so unset flags fall back to a script's own defaults
+ * @param {object} object
+ * @returns {object}
+ */
+function definedOnly(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  takeLeadingWords,
+  formatOptions,
+  toOptionKey,
+  definedOnly,
+};
@@ -0,0 +1,264 @@
+/**
+ * Deletion Approval
+ *
+ * Rule actions that need confirmation (safetyChecks.requireConfirmation, or
+ * requireConfirmationForAll for the environment) are confirmed either at a
+ * terminal prompt or by an approval file. `cf deletion test` writes the
+ * approval file listing every action it would take; `--approve <file>`
+ * passes it back so an unattended run only acts on those entries and
+ * assets, at the versions that were reviewed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { describeAction, normalizeAction } = require("./deletion-config");
+
+const APPROVAL_TYPE = "deletion-approval";
+
+/**
+ * The deletions of a phase (rule actions, empty entries) were stopped; none
+ * of them is deleted, archived or unpublished
+ */
+class DeletionHaltedError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "DeletionHaltedError";
+  }
+}
+
+class DeletionLimitError extends DeletionHaltedError {
+  /**
+   * @param {number} count - Deletions and rule actions of the run so far
+   * @param {number} limit - maxDeletionsPerRun for the environment
+   * @param {string} environment
+   */
+  constructor(count, limit, environment) {
+    super(
+      `${count} deletions and rule actions exceed maxDeletionsPerRun (${limit}) for ${environment}; none of them are applied`
+    );
+    this.name = "DeletionLimitError";
+    this.count = count;
+    this.limit = limit;
+    this.environment = environment;
+  }
+}
+
+class DeletionApprovalError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [file]
+   */
+  constructor(message, file = null) {
+    super(file ? `${message} (${file})` : message);
+    this.name = "DeletionApprovalError";
+    this.file = file;
+  }
+}
+
+/**
+ * Every deletion of a run counted against maxDeletionsPerRun before it is
+ * sent: asset and entry rule actions, empty entries and entries Contentful
+ * rejects for missing required fields. A phase that would go over the limit
+ * is refused as a whole; later phases may still use what is left.
+ */
+class DeletionBudget {
+  /**
+   * @param {number} limit - maxDeletionsPerRun for the environment
+   * @param {string} environment
+   */
+  constructor(limit, environment) {
+    this.limit = limit;
+    this.environment = environment;
+    this.used = 0;
+  }
+
+  /**
+   * Count actions against the limit, all or nothing
+   * @param {number} count
+   * @throws {DeletionLimitError} When the actions go over the limit
+   */
+  reserve(count) {
+    if (count === 0) return;
+    if (this.used + count > this.limit) {
+      throw new DeletionLimitError(
+        this.used + count,
+        this.limit,
+        this.environment
+      );
+    }
+    this.used += count;
+  }
+
+  /**
+   * Give back reserved actions that were skipped or did not happen
+   * @param {number} count
+   */
+  release(count) {
+    this.used = Math.max(0, this.used - count);
+  }
+}
+
+/** The entry or asset a rule candidate is for */
+const entityOf = (candidate) => candidate.entry || candidate.asset;
+
+/**
+ * How an approval file identifies a candidate's action
+ * @param {Object} candidate - From processEntriesForDeletion or processAssetsForDeletion
+ * @returns {{type: string, id: string, version: number, ruleId: string, action: string}}
+ */
+function approvalItem(candidate) {
+  const { sys } = entityOf(candidate);
+  return {
+    type: sys.type,
+    id: sys.id,
+    version: sys.version,
+    ruleId: candidate.ruleId,
+    action: describeAction(candidate.action),
+  };
+}
+
+/**
+ * Approval for the candidates whose actions would run
+ * @param {Object[]} candidates
+ * @param {string} environment - Profile name the rules were evaluated for
+ * @returns {Object}
+ */
+function createApproval(candidates, environment) {
+  return {
+    type: APPROVAL_TYPE,
+    environment,
+    generatedAt: new Date().toISOString(),
+    approved: candidates
+      .filter((candidate) => candidate.willDelete)
+      .map(approvalItem),
+  };
+}
+
+/**
+ * Save an approval as deletion-approval-<environment>-<timestamp>.json
+ * @param {Object} approval - From createApproval()
+ * @param {string} [directory] - Defaults to the working directory
+ * @returns {string} Path to the saved file
+ */
+function saveApproval(approval, directory = process.cwd()) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const filepath = path.join(
+    directory,
+    `deletion-approval-${approval.environment}-${timestamp}.json`
+  );
+  fs.writeFileSync(filepath, JSON.stringify(approval, null, 2));
+  return filepath;
+}
+
+/**
+ * Read an approval file for a run
+ * @param {string} file
+ * @param {string} environment - Profile name of the run
+ * @returns {Object}
+ * @throws {DeletionApprovalError} When the file is unreadable, not an
+ *   approval or for another environment
+ */
+function loadApproval(file, environment) {
+  let approval;
+  try {
+    approval = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new DeletionApprovalError(
+      `Cannot read approval file: ${error.message}`,
+      file
+    );
+  }
+  if (
+    !approval ||
+    approval.type !== APPROVAL_TYPE ||
+    !Array.isArray(approval.approved)
+  ) {
+    throw new DeletionApprovalError(
+      "Not an approval file (create one with cf deletion test)",
+      file
+    );
+  }
+  if (approval.environment !== environment) {
+    throw new DeletionApprovalError(
+      `Approval is for ${approval.environment}, not ${environment}`,
+      file
+    );
+  }
+  return approval;
+}
+
+/**
+ * @param {Object} approval - From loadApproval()
+ * @param {Object} candidate
+ * @returns {boolean} Whether the approval lists the candidate's action for
+ *   the entry or asset at its current version
+ */
+function isApproved(approval, candidate) {
+  const item = approvalItem(candidate);
+  return approval.approved.some(
+    (approved) =>
+      approved.type === item.type &&
+      approved.id === item.id &&
+      approved.version === item.version &&
+      approved.ruleId === item.ruleId &&
+      approved.action === item.action
+  );
+}
+
+/**
+ * Ask at the terminal whether to apply rule actions
+ * @param {Object[]} candidates - Candidates that need confirmation
+ * @returns {Promise<boolean>}
+ */
+async function promptConfirmation(candidates) {
+  const lines = candidates.map((candidate) => {
+    const { sys } = entityOf(candidate);
+    return `  - ${normalizeAction(candidate.action).type} ${sys.type} ${
+      sys.id
+    } (${candidate.ruleName})`;
+  });
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    const answer = await new Promise((resolve) =>
+      rl.question(
+        `\n${candidates.length} rule actions need confirmation:\n${lines.join(
+          "\n"
+        )}\nApply them? [y/N] `,
+        resolve
+      )
+    );
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * @returns {Function|null} promptConfirmation when stdin and stdout are a
+ *   terminal, otherwise null (nothing can confirm)
+ */
+function terminalConfirmation() {
+  return process.stdin.isTTY && process.stdout.isTTY
+    ? promptConfirmation
+    : null;
+}
+
+module.exports = {
+  DeletionBudget,
+  DeletionHaltedError,
+  DeletionLimitError,
+  DeletionApprovalError,
+  createApproval,
+  saveApproval,
+  loadApproval,
+  isApproved,
+  promptConfirmation,
+  terminalConfirmation,
+};
@@ -0,0 +1,719 @@
+/**
+ * Deletion Config
+ *
+ * Loads and validates config/entry-deletion-mappings.json against
+ * config/entry-deletion-mappings.schema.json, then checks what the schema
+ * cannot: unique rule IDs, environments that are profile names, conditions
+ * asset rules can evaluate, and (given an environment) content types,
+ * fields, locales and tags that exist in the target space. Problems carry a
+ * JSON pointer and the line they are on.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadProfiles } = require("../core");
+const {
+  escapePointer,
+  locateJson,
+  syntaxErrorPosition,
+  validateSchema,
+} = require("./json-schema");
+
+const DEFAULT_CONFIG_FILE = path.join(
+  __dirname,
+  "../../config/entry-deletion-mappings.json"
+);
+const SCHEMA_FILE = path.join(
+  __dirname,
+  "../../config/entry-deletion-mappings.schema.json"
+);
+
+/**
+ * @returns {string} CONTENTFUL_DELETION_CONFIG, or the default config file
+ */
+function configFile() {
+  return process.env.CONTENTFUL_DELETION_CONFIG || DEFAULT_CONFIG_FILE;
+}
+
+/** `locale` values that select locales rather than name one */
+const LOCALE_SELECTORS = ["any", "all", "default"];
+
+/** What a rule does to the entries it matches */
+const ACTIONS = [
+  "delete",
+  "archive",
+  "unpublish",
+  "addTag",
+  "setField",
+  "clearField",
+];
+
+/** Actions that take the entry out of the publish run */
+const REMOVING_ACTIONS = ["delete", "archive", "unpublish"];
+
+/** Fields every asset has; file properties are read as "file.<property>" */
+const ASSET_FIELDS = ["title", "description", "file"];
+
+/** Operators that only make sense for entries */
+const ENTRY_ONLY_OPERATORS = ["hasNoData", "outboundBrokenLinks"];
+
+/** Operators that compare the condition field against a date */
+const DATE_OPERATORS = ["before", "after", "olderThan", "newerThan"];
+
+/**
+ * Operators that take "field": "*". Most look at the entry or asset as a
+ * whole; isEmpty and isNotEmpty then read every field at once.
+ */
+const WHOLE_ENTITY_OPERATORS = [
+  "isEmpty",
+  "isNotEmpty",
+  "hasNoData",
+  "hasTag",
+  "isPublished",
+  "isArchived",
+  "isChanged",
+  "unlinkedFor",
+  "inboundLinks",
+  "outboundBrokenLinks",
+];
+
+/** Links a reference path may follow unless globalSettings says otherwise */
+const DEFAULT_REFERENCE_DEPTH = 2;
+
+/**
+ * Split a field path that follows links, e.g. "seoHead.fields.url" or
+ * "image.asset.file", into the link fields to follow and the field to read.
+ * "fields" segments are optional; "sys.<property>" reads the linked
+ * entity's sys.
+ * @param {string} field
+ * @returns {{links: string[], target: string}}
+ */
+function parseReferencePath(field) {
+  const segments = field.split(".");
+  const names = [segments[0]];
+  for (let i = 1; i < segments.length; i++) {
+    if (segments[i] === "fields") continue;
+    if (segments[i] === "sys") {
+      names.push(segments.slice(i).join("."));
+      break;
+    }
+    names.push(segments[i]);
+  }
+  return { links: names.slice(0, -1), target: names[names.length - 1] };
+}
+
+/**
+ * @param {string} field
+ * @returns {boolean} Whether a condition field follows links
+ */
+function isReferencePath(field) {
+  return (
+    typeof field === "string" &&
+    !field.startsWith("sys.") &&
+    parseReferencePath(field).links.length > 0
+  );
+}
+
+/**
+ * Regular expression for a `matches` condition value
+ * @param {string|{pattern: string, flags?: string}} value
+ * @returns {RegExp}
+ * @throws {SyntaxError} When the pattern does not compile
+ */
+function toRegExp(value) {
+  return typeof value === "string"
+    ? new RegExp(value)
+    : new RegExp(value.pattern, value.flags || "");
+}
+
+/**
+ * @typedef {object} ConfigProblem
+ * @property {string} pointer - JSON pointer ("" for the document)
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {string} message
+ */
+
+class DeletionConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {ConfigProblem[]} [problems]
+   * @param {string} [file]
+   */
+  constructor(message, problems = [], file = null) {
+    const lines = problems.map((problem) => formatProblem(problem, file));
+    super(
+      lines.length > 0 ? `${message}\n  - ${lines.join("\n  - ")}` : message
+    );
+    this.name = "DeletionConfigError";
+    this.errors = lines;
+    this.problems = problems;
+    this.file = file;
+  }
+}
+
+let schema = null;
+function getSchema() {
+  if (!schema) schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, "utf8"));
+  return schema;
+}
+
+/**
+ * @param {ConfigProblem} problem
+ * @param {string} [file]
+ * @returns {string} "file:line:column /pointer message"
+ */
+function formatProblem(problem, file = null) {
+  const where = [
+    file && path.relative(process.cwd(), file),
+    problem.line,
+    problem.column,
+  ]
+    .filter((part) => part !== null && part !== undefined && part !== "")
+    .join(":");
+  const pointer = problem.pointer || "/";
+  return `${where ? `${where} ` : ""}${pointer} ${problem.message}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {object} rule
+ * @returns {"entries"|"assets"} What the rule matches (default entries)
+ */
+function ruleTarget(rule) {
+  return rule.target === "assets" ? "assets" : "entries";
+}
+
+/**
+ * Problems with an asset rule: content types, entry-only operators and
+ * fields assets do not have
+ * @param {object} rule
+ * @param {number} index
+ * @returns {{pointer: string, message: string}[]}
+ */
+function checkAssetRule(rule, index) {
+  const problems = [];
+  const base = `/deletionRules/${index}`;
+  const isAssetField = (field) =>
+    field === "*" ||
+    field.startsWith("sys.") ||
+    ASSET_FIELDS.includes(field.split(".")[0]);
+  if (rule.contentTypes !== undefined) {
+    problems.push({
+      pointer: `${base}/contentTypes`,
+      message: "asset rules match every asset; remove contentTypes",
+    });
+  }
+  forEachCondition(
+    rule.conditions,
+    `${base}/conditions`,
+    (condition, pointer) => {
+      if (ENTRY_ONLY_OPERATORS.includes(condition.operator)) {
+        problems.push({
+          pointer: `${pointer}/operator`,
+          message: `${condition.operator} only applies to entries`,
+        });
+      } else if (
+        typeof condition.field === "string" &&
+        !isAssetField(condition.field)
+      ) {
+        problems.push({
+          pointer: `${pointer}/field`,
+          message: `assets have no field "${
+            condition.field
+          }" (fields: ${ASSET_FIELDS.join(
+            ", "
+          )}, file.<property>, sys.<property>)`,
+        });
+      }
+    }
+  );
+  const { field } = isPlainObject(rule.action) ? rule.action : {};
+  if (typeof field === "string" && !ASSET_FIELDS.includes(field)) {
+    problems.push({
+      pointer: `${base}/action/field`,
+      message: `assets have no field "${field}" (fields: ${ASSET_FIELDS.join(
+        ", "
+      )})`,
+    });
+  }
+  return problems;
+}
+
+/**
+ * Problems with rule IDs, asset rules, regular expressions, reference depth
+ * and environment names
+ * @param {object} config
+ * @returns {{pointer: string, message: string}[]}
+ */
+function checkReferences(config) {
+  const problems = [];
+  if (!isPlainObject(config)) return problems;
+  const rules = (
+    Array.isArray(config.deletionRules) ? config.deletionRules : []
+  ).map((rule) => (isPlainObject(rule) ? rule : {}));
+  const seen = new Map();
+  rules.forEach((rule, index) => {
+    if (typeof rule.id !== "string") return;
+    if (seen.has(rule.id)) {
+      problems.push({
+        pointer: `/deletionRules/${index}/id`,
+        message: `duplicate rule ID "${
+          rule.id
+        }" (first used at /deletionRules/${seen.get(rule.id)}/id)`,
+      });
+    } else {
+      seen.set(rule.id, index);
+    }
+  });
+
+  const depth =
+    (isPlainObject(config.globalSettings) &&
+      config.globalSettings.maxReferenceDepth) ||
+    DEFAULT_REFERENCE_DEPTH;
+  rules.forEach((rule, index) => {
+    if (ruleTarget(rule) === "assets") {
+      problems.push(...checkAssetRule(rule, index));
+    }
+  });
+
+  rules.forEach((rule, index) =>
+    forEachCondition(
+      rule.conditions,
+      `/deletionRules/${index}/conditions`,
+      (condition, pointer) => {
+        if (condition.operator === "matches" && condition.value) {
+          try {
+            toRegExp(condition.value);
+          } catch (error) {
+            problems.push({
+              pointer: `${pointer}/value`,
+              message: `invalid regular expression: ${error.message}`,
+            });
+          }
+        }
+        if (
+          DATE_OPERATORS.includes(condition.operator) &&
+          condition.field === "*"
+        ) {
+          problems.push({
+            pointer: `${pointer}/field`,
+            message: `${condition.operator} compares a date; name the field, e.g. "sys.createdAt" or "sys.updatedAt"`,
+          });
+        } else if (
+          condition.field === "*" &&
+          !WHOLE_ENTITY_OPERATORS.includes(condition.operator)
+        ) {
+          problems.push({
+            pointer: `${pointer}/field`,
+            message: `${condition.operator} compares a field value; name the field instead of "*"`,
+          });
+        }
+        // Dotted asset fields read file properties rather than follow links
+        if (
+          ruleTarget(rule) === "assets" ||
+          !isReferencePath(condition.field)
+        ) {
+          return;
+        }
+        const hops = parseReferencePath(condition.field).links.length;
+        if (hops > depth) {
+          problems.push({
+            pointer: `${pointer}/field`,
+            message: `"${condition.field}" follows ${hops} links; the limit is ${depth} (globalSettings.maxReferenceDepth)`,
+          });
+        }
+      }
+    )
+  );
+
+  // Rules and settings are matched against canonical profile names
+  const { names } = loadProfiles();
+  const checkEnvironment = (name, pointer) => {
+    const canonical = names.get(name);
+    if (!canonical) {
+      problems.push({
+        pointer,
+        message: `unknown environment "${name}" (profiles: ${[
+          ...new Set(names.values()),
+        ].join(", ")})`,
+      });
+    } else if (canonical !== name) {
+      problems.push({
+        pointer,
+        message: `"${name}" is an alias; use the profile name "${canonical}"`,
+      });
+    }
+  };
+  rules.forEach((rule, index) => {
+    (Array.isArray(rule.environments) ? rule.environments : []).forEach(
+      (name, position) =>
+        typeof name === "string" &&
+        checkEnvironment(
+          name,
+          `/deletionRules/${index}/environments/${position}`
+        )
+    );
+  });
+  const settings = isPlainObject(config.environmentConfig)
+    ? config.environmentConfig
+    : {};
+  Object.keys(settings).forEach((name) =>
+    checkEnvironment(name, `/environmentConfig/${escapePointer(name)}`)
+  );
+  return problems;
+}
+
+/**
+ * Add positions to problems, falling back to the nearest located parent
+ * @param {{pointer: string, message: string}[]} problems
+ * @param {Map} locations - From locateJson()
+ * @returns {ConfigProblem[]}
+ */
+function locate(problems, locations) {
+  return problems.map((problem) => {
+    let pointer = problem.pointer;
+    while (!locations.has(pointer) && pointer !== "") {
+      pointer = pointer.slice(0, pointer.lastIndexOf("/"));
+    }
+    const position = locations.get(pointer) || {};
+    return {
+      pointer: problem.pointer,
+      line: position.line || null,
+      column: position.column || null,
+      message: problem.message,
+    };
+  });
+}
+
+/**
+ * Validate deletion mappings
+ * @param {string} text - Contents of the config file
+ * @returns {{config: object|null, locations: Map, problems: ConfigProblem[]}}
+ */
+function validateDeletionConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    const position = syntaxErrorPosition(text, error) || {};
+    return {
+      config: null,
+      locations: new Map(),
+      problems: [
+        {
+          pointer: "",
+          line: position.line || null,
+          column: position.column || null,
+          message: `is not valid JSON: ${error.message}`,
+        },
+      ],
+    };
+  }
+
+  const locations = locateJson(text);
+  const problems = validateSchema(getSchema(), config);
+  problems.push(...checkReferences(config));
+  return { config, locations, problems: locate(problems, locations) };
+}
+
+/**
+ * Read and validate a deletion mappings file
+ * @param {string} [file]
+ * @returns {{file: string, config: object, locations: Map}}
+ * @throws {DeletionConfigError} When the file is unreadable or invalid
+ */
+function loadDeletionConfig(file = configFile()) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new DeletionConfigError(
+      `Cannot read deletion config ${file}: ${error.message}`
+    );
+  }
+  const { config, locations, problems } = validateDeletionConfig(text);
+  if (problems.length > 0) {
+    throw new DeletionConfigError(
+      `Invalid deletion config ${path.relative(process.cwd(), file)}`,
+      problems,
+      file
+    );
+  }
+  return { file, config, locations };
+}
+
+/**
+ * A rule's action in object form; rules without one delete
+ * @param {string|object} [action] - e.g. "archive" or { type: "addTag", tag: "stale" }
+ * @returns {{type: string, tag?: string, field?: string, value?: any, locale?: string}}
+ */
+function normalizeAction(action = "delete") {
+  return typeof action === "string" ? { type: action } : action;
+}
+
+/**
+ * @param {string|object} [action]
+ * @returns {string} - e.g. "archive", "addTag stale", "setField status = \"expired\""
+ */
+function describeAction(action) {
+  const { type, tag, field, value, locale } = normalizeAction(action);
+  const where = locale ? ` in ${locale}` : "";
+  switch (type) {
+    case "addTag":
+      return `addTag ${tag}`;
+    case "setField":
+      return `setField ${field}${where} = ${JSON.stringify(value)}`;
+    case "clearField":
+      return `clearField ${field}${where}`;
+    default:
+      return type;
+  }
+}
+
+/**
+ * Content types named by rules that do not exist in an environment, and
+ * fields that setField and clearField actions or meaningfulData profiles
+ * name but the content types do not have
+ * @param {{config: object, locations: Map}} loaded - From loadDeletionConfig()
+ * @param {string[]|Object[]} contentTypes - Content type IDs in the
+ *   environment, or the content types themselves to also check fields
+ * @param {string} [environment] - Only check rules enabled for this profile
+ * @param {string[]} [ruleIds] - Only check these rules (see rulesFor)
+ * @returns {ConfigProblem[]}
+ */
+function findMissingContentTypes(
+  loaded,
+  contentTypes,
+  environment = null,
+  ruleIds = null
+) {
+  const fieldsById = new Map(
+    contentTypes
+      .filter((contentType) => typeof contentType === "object")
+      .map((contentType) => [
+        contentType.sys.id,
+        new Set(contentType.fields.map((field) => field.id)),
+      ])
+  );
+  const known = new Set(
+    contentTypes.map((contentType) =>
+      typeof contentType === "object" ? contentType.sys.id : contentType
+    )
+  );
+  const problems = [];
+  rulesFor(loaded.config, environment, ruleIds).forEach(({ rule, index }) => {
+    const action = normalizeAction(rule.action);
+    const ruleContentTypes = rule.contentTypes || [];
+    if (action.field) {
+      ruleContentTypes
+        .filter(
+          (id) => fieldsById.has(id) && !fieldsById.get(id).has(action.field)
+        )
+        .forEach((id) =>
+          problems.push({
+            pointer: `/deletionRules/${index}/action/field`,
+            message: `content type "${id}" has no field "${action.field}"`,
+          })
+        );
+    }
+    ruleContentTypes.forEach((id, position) => {
+      if (id !== "*" && !known.has(id)) {
+        problems.push({
+          pointer: `/deletionRules/${index}/contentTypes/${position}`,
+          message: `content type "${id}" does not exist in the target space`,
+        });
+      }
+    });
+  });
+  // Profiles may cover content types of other spaces; only fields of the
+  // ones here are checked, since a misspelt required field empties them all
+  const profiles = loaded.config.meaningfulData?.contentTypes || {};
+  Object.entries(profiles)
+    .filter(([id]) => fieldsById.has(id))
+    .forEach(([id, profile]) =>
+      ["required", "ignore"].forEach((key) =>
+        (profile[key] || []).forEach((field, position) => {
+          if (!fieldsById.get(id).has(field)) {
+            problems.push({
+              pointer: `/meaningfulData/contentTypes/${escapePointer(
+                id
+              )}/${key}/${position}`,
+              message: `content type "${id}" has no field "${field}"`,
+            });
+          }
+        })
+      )
+    );
+  return locate(problems, loaded.locations);
+}
+
+/**
+ * Locale codes named by conditions and actions that do not exist in an
+ * environment
+ * @param {{config: object, locations: Map}} loaded - From loadDeletionConfig()
+ * @param {string[]} localeCodes - Locales in the environment
+ * @param {string} [environment] - Only check rules enabled for this profile
+ * @param {string[]} [ruleIds] - Only check these rules (see rulesFor)
+ * @returns {ConfigProblem[]}
+ */
+function findUnknownLocales(
+  loaded,
+  localeCodes,
+  environment = null,
+  ruleIds = null
+) {
+  const known = new Set([...LOCALE_SELECTORS, ...localeCodes]);
+  const problems = [];
+  rulesFor(loaded.config, environment, ruleIds).forEach(({ rule, index }) => {
+    const { locale } = normalizeAction(rule.action);
+    if (locale && !localeCodes.includes(locale)) {
+      problems.push({
+        pointer: `/deletionRules/${index}/action/locale`,
+        message: `locale "${locale}" does not exist in the target space (locales: ${localeCodes.join(
+          ", "
+        )})`,
+      });
+    }
+    forEachCondition(
+      rule.conditions,
+      `/deletionRules/${index}/conditions`,
+      (condition, pointer) => {
+        if (condition.locale && !known.has(condition.locale)) {
+          problems.push({
+            pointer: `${pointer}/locale`,
+            message: `locale "${
+              condition.locale
+            }" does not exist in the target space (locales: ${localeCodes.join(
+              ", "
+            )})`,
+          });
+        }
+      }
+    );
+  });
+  return locate(problems, loaded.locations);
+}
+
+/**
+ * Tags that addTag actions name but an environment does not have
+ * @param {{config: object, locations: Map}} loaded - From loadDeletionConfig()
+ * @param {string[]} tagIds - Tags in the environment
+ * @param {string} [environment] - Only check rules enabled for this profile
+ * @param {string[]} [ruleIds] - Only check these rules (see rulesFor)
+ * @returns {ConfigProblem[]}
+ */
+function findUnknownTags(loaded, tagIds, environment = null, ruleIds = null) {
+  const problems = [];
+  rulesFor(loaded.config, environment, ruleIds).forEach(({ rule, index }) => {
+    const { type, tag } = normalizeAction(rule.action);
+    if (type === "addTag" && !tagIds.includes(tag)) {
+      problems.push({
+        pointer: `/deletionRules/${index}/action/tag`,
+        message: `tag "${tag}" does not exist in the target space`,
+      });
+    }
+  });
+  return locate(problems, loaded.locations);
+}
+
+/**
+ * @param {object} config
+ * @param {string} type - Action type
+ * @returns {boolean} Whether any rule has an action of this type
+ */
+function usesAction(config, type) {
+  return (config.deletionRules || []).some(
+    (rule) => normalizeAction(rule.action).type === type
+  );
+}
+
+/**
+ * @param {object} config
+ * @returns {boolean} Whether rules need the environment's locales: a
+ *   condition has a `locale` selector or an action writes a field
+ */
+function usesLocaleSelectors(config) {
+  let found =
+    usesAction(config, "setField") || usesAction(config, "clearField");
+  (config.deletionRules || []).forEach((rule, index) =>
+    forEachCondition(
+      rule.conditions,
+      `/deletionRules/${index}/conditions`,
+      (condition) => {
+        if (condition.locale) found = true;
+      }
+    )
+  );
+  return found;
+}
+
+/**
+ * Rules with their index, optionally only those that run for a profile:
+ * enabled rules for the profile that are not `manual`, or with ruleIds,
+ * the named rules whether manual or not
+ * @param {object} config
+ * @param {string} [environment]
+ * @param {string[]} [ruleIds]
+ * @returns {{rule: object, index: number}[]}
+ */
+function rulesFor(config, environment = null, ruleIds = null) {
+  return (config.deletionRules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(
+      ({ rule }) =>
+        !environment ||
+        (rule.enabled &&
+          (!rule.environments || rule.environments.includes(environment)) &&
+          (ruleIds ? ruleIds.includes(rule.id) : !rule.manual))
+    );
+}
+
+/**
+ * Call fn for every leaf condition in a condition group, with its pointer
+ * @param {object} group
+ * @param {string} pointer
+ * @param {Function} fn - (condition, pointer) => void
+ */
+function forEachCondition(group, pointer, fn) {
+  if (!isPlainObject(group) || !Array.isArray(group.rules)) return;
+  group.rules.forEach((rule, index) => {
+    const child = `${pointer}/rules/${index}`;
+    if (!isPlainObject(rule)) return;
+    if (Array.isArray(rule.rules)) {
+      forEachCondition(rule, child, fn);
+    } else {
+      fn(rule, child);
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  SCHEMA_FILE,
+  configFile,
+  DeletionConfigError,
+  formatProblem,
+  validateDeletionConfig,
+  loadDeletionConfig,
+  findMissingContentTypes,
+  findUnknownLocales,
+  findUnknownTags,
+  usesLocaleSelectors,
+  usesAction,
+  rulesFor,
+  ruleTarget,
+  normalizeAction,
+  describeAction,
+  ACTIONS,
+  REMOVING_ACTIONS,
+  ASSET_FIELDS,
+  forEachCondition,
+  parseReferencePath,
+  isReferencePath,
+  toRegExp,
+  DEFAULT_REFERENCE_DEPTH,
+};
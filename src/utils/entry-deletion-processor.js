@@ -1,47 +1,220 @@
 /**
  * Entry Deletion Mapping Processor
  *
- * This module handles the evaluation of entries against deletion criteria
- * defined in the entry-deletion-mappings.json configuration file.
+ * This module handles the evaluation of entries and assets against deletion
+ * criteria defined in the entry-deletion-mappings.json configuration file.
  */
 
 const fs = require("fs");
-const path = require("path");
 const logger = require("./logger");
+const { withRetry } = require("../core");
+const {
+  configFile,
+  DeletionConfigError,
+  loadDeletionConfig,
+  findMissingContentTypes,
+  findUnknownLocales,
+  findUnknownTags,
+  usesLocaleSelectors,
+  usesAction,
+  rulesFor,
+  ruleTarget,
+  normalizeAction,
+  describeAction,
+  forEachCondition,
+  parseReferencePath,
+  isReferencePath,
+  toRegExp,
+} = require("./deletion-config");
+const { DeletionBudget, isApproved } = require("./deletion-approval");
+const { collectLinks } = require("./link-order");
+const { profileFor, checkMeaningfulData } = require("./meaningful-data");
+const { isRichText, isEqualValue } = require("./field-diff");
+
+/** Operators that compare a link count rather than a field value */
+const COUNT_OPERATORS = ["inboundLinks", "outboundBrokenLinks"];
+
+/** Operators that look at the entry as a whole, so locales do not apply */
+const ENTRY_OPERATORS = [
+  "hasNoData",
+  "hasTag",
+  "isPublished",
+  "isArchived",
+  "isChanged",
+  "unlinkedFor",
+];
+
+/** IDs per `sys.id[in]` query when resolving references */
+const REFERENCE_BATCH_SIZE = 100;
+
+/** Rich Text nodes whose text runs on without a separator */
+const INLINE_CONTAINER = /^(paragraph|heading-\d|(entry-|asset-)?hyperlink)$/;
+
+const linkKey = (link) => `${link.sys.linkType}:${link.sys.id}`;
+const entityKey = (entity) => `${entity.sys.type}:${entity.sys.id}`;
+const isAsset = (entity) => entity.sys.type === "Asset";
+/** The entry or asset a candidate is for */
+const entityOf = (candidate) => candidate.entry || candidate.asset;
 
 class EntryDeletionProcessor {
   constructor(configPath = null) {
-    this.configPath =
-      configPath ||
-      path.join(__dirname, "../../config/entry-deletion-mappings.json");
+    this.configPath = configPath || configFile();
     this.config = null;
+    this.loaded = null;
+    this.locales = null;
+    // Rules picked by useRules(); null runs every rule that is not manual
+    this.ruleIds = null;
+    // Whether each content type's fields are localized, once known
+    this.localizedFields = new Map();
+    // Linked entities by "Entry:<id>"/"Asset:<id>"; null when missing
+    this.references = new Map();
+    // Entries linking to an entry or asset, by "Entry:<id>"/"Asset:<id>"
+    this.inboundLinks = new Map();
     this.loadConfig();
   }
 
   /**
-   * Load deletion mapping configuration
+   * Load deletion mapping configuration. A missing file means no rules; an
+   * invalid one is refused so a typo can never change what gets deleted.
+   * @throws {DeletionConfigError} When the file fails validation
    */
   loadConfig() {
-    try {
-      if (fs.existsSync(this.configPath)) {
-        const configData = fs.readFileSync(this.configPath, "utf8");
-        this.config = JSON.parse(configData);
-        logger.info(`✅ Loaded entry deletion config from ${this.configPath}`);
-      } else {
-        logger.warn(`⚠️ Entry deletion config not found at ${this.configPath}`);
-        this.config = { deletionRules: [], globalSettings: {} };
-      }
-    } catch (error) {
-      logger.error(`❌ Failed to load entry deletion config: ${error.message}`);
+    if (!fs.existsSync(this.configPath)) {
+      logger.warn(`⚠️ Entry deletion config not found at ${this.configPath}`);
       this.config = { deletionRules: [], globalSettings: {} };
+      return;
+    }
+    this.loaded = loadDeletionConfig(this.configPath);
+    this.config = this.loaded.config;
+    logger.info(`✅ Loaded entry deletion config from ${this.configPath}`);
+  }
+
+  /**
+   * Run only the given rules, including `manual` ones, instead of every
+   * rule that is not manual
+   * @param {string[]} ruleIds
+   * @throws {DeletionConfigError} When a rule ID is not configured
+   */
+  useRules(ruleIds) {
+    const known = (this.config.deletionRules || []).map((rule) => rule.id);
+    const unknown = ruleIds.filter((id) => !known.includes(id));
+    if (unknown.length > 0) {
+      throw new DeletionConfigError(
+        `Unknown deletion rule ${unknown.join(", ")} (rules: ${
+          known.join(", ") || "none"
+        })`,
+        [],
+        this.configPath
+      );
+    }
+    this.ruleIds = ruleIds;
+  }
+
+  /**
+   * Refuse rules for an environment whose content types, action fields or
+   * tags do not exist in the target space, and meaningfulData profiles
+   * naming fields their content types do not have
+   * @param {Object} contentfulEnvironment - Contentful environment
+   * @param {string} environment - Profile name the rules are configured for
+   * @throws {DeletionConfigError} When a rule names something missing
+   */
+  async checkContentTypes(contentfulEnvironment, environment) {
+    if (
+      !this.loaded ||
+      (this.getEnabledRulesForEnvironment(environment).length === 0 &&
+        !this.config.meaningfulData)
+    ) {
+      return;
+    }
+    const { items } = await withRetry(
+      () => contentfulEnvironment.getContentTypes({ limit: 1000 }),
+      "getContentTypes"
+    );
+    for (const contentType of items) {
+      this.localizedFields.set(
+        contentType.sys.id,
+        new Map(
+          contentType.fields.map((field) => [field.id, !!field.localized])
+        )
+      );
+    }
+    const problems = findMissingContentTypes(
+      this.loaded,
+      items,
+      environment,
+      this.ruleIds
+    );
+    if (usesAction(this.config, "addTag")) {
+      const tags = await withRetry(
+        () => contentfulEnvironment.getTags({ limit: 1000 }),
+        "getTags"
+      );
+      problems.push(
+        ...findUnknownTags(
+          this.loaded,
+          tags.items.map((tag) => tag.sys.id),
+          environment,
+          this.ruleIds
+        )
+      );
+    }
+    if (problems.length > 0) {
+      throw new DeletionConfigError(
+        `Deletion rules for ${environment} do not match the target space`,
+        problems,
+        this.configPath
+      );
     }
   }
 
   /**
-   * Check if an entry should be deleted based on configured rules
-   * @param {Object} entry - Contentful entry object
+   * Load the environment's locales for conditions with a `locale` selector,
+   * refusing rules for an environment that name locales it does not have
+   * @param {Object} contentfulEnvironment - Contentful environment
+   * @param {string} environment - Profile name the rules are configured for
+   * @throws {DeletionConfigError} When a rule names a missing locale
+   */
+  async loadLocales(contentfulEnvironment, environment) {
+    if (!this.loaded || !usesLocaleSelectors(this.config)) {
+      return;
+    }
+    const { items } = await withRetry(
+      () => contentfulEnvironment.getLocales(),
+      "getLocales"
+    );
+    this.setLocales(items);
+    const problems = findUnknownLocales(
+      this.loaded,
+      this.locales.codes,
+      environment,
+      this.ruleIds
+    );
+    if (problems.length > 0) {
+      throw new DeletionConfigError(
+        `Deletion rules for ${environment} do not match the target space`,
+        problems,
+        this.configPath
+      );
+    }
+  }
+
+  /**
+   * @param {Object[]} locales - Locales of the environment ({ code, default })
+   */
+  setLocales(locales) {
+    const defaultLocale = locales.find((locale) => locale.default);
+    this.locales = {
+      codes: locales.map((locale) => locale.code),
+      defaultLocale: defaultLocale ? defaultLocale.code : null,
+    };
+  }
+
+  /**
+   * Check if an entry or asset should be deleted based on configured rules;
+   * assets are only matched by asset rules (`"target": "assets"`)
+   * @param {Object} entry - Contentful entry or asset
    * @param {string} environment - Current environment (e.g., 'always-de')
-   * @returns {Object} - { shouldDelete: boolean, reasons: string[], ruleId: string }
+   * @returns {Object} - { shouldDelete: boolean, reasons: string[], explanation: Object, ruleId: string, action: Object }
    */
   shouldDeleteEntry(entry, environment) {
     const result = {
@@ -55,21 +228,19 @@ class EntryDeletionProcessor {
       return result;
     }
 
-    const contentType = entry.sys.contentType.sys.id;
-
-    // Check each deletion rule
-    for (const rule of this.config.deletionRules) {
-      if (!rule.enabled) {
-        continue;
-      }
-
-      // Check if rule applies to this environment
-      if (rule.environments && !rule.environments.includes(environment)) {
-        continue;
-      }
-
-      // Check if rule applies to this content type
-      if (!this.isContentTypeMatch(contentType, rule.contentTypes)) {
+    const target = isAsset(entry) ? "assets" : "entries";
+
+    // Check each rule that runs for this environment
+    for (const { rule } of rulesFor(this.config, environment, this.ruleIds)) {
+      // Check if rule applies to assets, or to this content type
+      if (
+        ruleTarget(rule) !== target ||
+        (target === "entries" &&
+          !this.isContentTypeMatch(
+            entry.sys.contentType.sys.id,
+            rule.contentTypes
+          ))
+      ) {
         continue;
       }
 
@@ -79,8 +250,10 @@ class EntryDeletionProcessor {
       if (conditionResult.matches) {
         result.shouldDelete = true;
         result.reasons = conditionResult.reasons;
+        result.explanation = conditionResult.explanation;
         result.ruleId = rule.id;
         result.ruleName = rule.name;
+        result.action = normalizeAction(rule.action);
         result.safetyChecks = rule.safetyChecks || {};
         break; // First matching rule wins
       }
@@ -108,95 +281,591 @@ class EntryDeletionProcessor {
   /**
    * Evaluate deletion conditions for an entry
    * @param {Object} entry - Contentful entry
-   * @param {Object} conditions - Rule conditions
-   * @returns {Object} - { matches: boolean, reasons: string[] }
+   * @param {Object} conditions - Rule conditions (a condition group)
+   * @returns {Object} - { matches: boolean, reasons: string[], explanation: Object|null }
    */
   evaluateConditions(entry, conditions) {
-    const result = { matches: false, reasons: [] };
-
     if (!conditions || !conditions.rules) {
-      return result;
+      return { matches: false, reasons: [], explanation: null };
     }
 
-    const operator = conditions.operator || "AND";
-    const evaluatedRules = conditions.rules.map((rule) =>
-      this.evaluateRule(entry, rule)
-    );
+    const explanation = this.evaluateGroup(entry, conditions);
+    return {
+      matches: explanation.matches,
+      reasons: explanation.matches ? this.collectReasons(explanation) : [],
+      explanation,
+    };
+  }
 
-    if (operator === "AND") {
-      result.matches = evaluatedRules.every((r) => r.matches);
-      if (result.matches) {
-        result.reasons = evaluatedRules.map((r) => r.reason).filter(Boolean);
-      }
-    } else if (operator === "OR") {
-      result.matches = evaluatedRules.some((r) => r.matches);
-      if (result.matches) {
-        result.reasons = evaluatedRules
-          .filter((r) => r.matches)
-          .map((r) => r.reason);
+  /**
+   * Evaluate a condition group, stopping as soon as the result is known:
+   * AND at the first condition that fails, OR at the first that matches,
+   * NOT (none of its rules match) at the first that matches
+   * @param {Object} entry - Contentful entry
+   * @param {Object} group - { operator: "AND"|"OR"|"NOT", rules: Object[] }
+   * @returns {Object} - Explanation node with the evaluated children; the
+   *   ones after the deciding child are marked skipped
+   */
+  evaluateGroup(entry, group) {
+    const operator = group.operator || "AND";
+    const node = { operator, matches: false, children: [] };
+    if (group.description) node.description = group.description;
+
+    let decided = false;
+    for (const rule of group.rules) {
+      if (decided) {
+        node.children.push(this.describeSkipped(rule));
+        continue;
       }
+      const child = this.evaluateRule(entry, rule);
+      node.children.push(child);
+      decided = operator === "AND" ? !child.matches : child.matches;
     }
 
-    return result;
+    node.matches = operator === "OR" ? decided : !decided;
+    return node;
   }
 
   /**
-   * Evaluate a single rule condition
+   * Evaluate a single rule condition, or a nested group
    * @param {Object} entry - Contentful entry
-   * @param {Object} rule - Single rule condition
-   * @returns {Object} - { matches: boolean, reason: string }
+   * @param {Object} rule - Single rule condition or condition group
+   * @returns {Object} - Explanation node ({ field, operator, value, matches })
    */
   evaluateRule(entry, rule) {
-    const result = { matches: false, reason: "" };
-
-    // Handle nested AND/OR rules
-    if (rule.operator === "AND" || rule.operator === "OR") {
-      const nestedResult = this.evaluateConditions(entry, rule);
-      return {
-        matches: nestedResult.matches,
-        reason: nestedResult.reasons.join(", "),
-      };
+    if (Array.isArray(rule.rules)) {
+      return this.evaluateGroup(entry, rule);
     }
 
-    const { field, operator, value, description } = rule;
+    const { field, operator, value, locale, description } = rule;
+    const counts = COUNT_OPERATORS.includes(operator);
+    const node = { field, operator, matches: false };
+    if (value !== undefined) node.value = value;
+    if (
+      locale &&
+      !field.startsWith("sys.") &&
+      !counts &&
+      !ENTRY_OPERATORS.includes(operator)
+    ) {
+      node.locale = locale;
+    }
+    if (description) node.description = description;
 
     try {
-      const fieldValue = this.getFieldValue(entry, field);
-      result.matches = this.evaluateOperator(
-        fieldValue,
-        operator,
-        value,
-        entry
-      );
-
-      if (result.matches) {
-        result.reason = description || `${field} ${operator} ${value || ""}`;
+      if (counts) {
+        node.actual = this.countLinks(entry, field, operator);
+        node.matches = this.evaluateOperator(
+          node.actual,
+          operator,
+          value,
+          entry
+        );
+      } else if (node.locale) {
+        // One result per locale; "all" needs every one, the rest any one
+        node.locales = {};
+        for (const code of this.resolveLocales(entry, field, locale)) {
+          node.locales[code] = this.matchesAt(
+            entry,
+            field,
+            code,
+            operator,
+            value
+          );
+        }
+        const results = Object.values(node.locales);
+        node.matches =
+          locale === "all"
+            ? results.length > 0 && results.every(Boolean)
+            : results.some(Boolean);
+      } else {
+        node.matches = this.matchesAt(entry, field, null, operator, value);
       }
     } catch (error) {
       logger.warn(`Error evaluating rule for field ${field}: ${error.message}`);
-      result.matches = false;
+      node.error = error.message;
     }
 
-    return result;
+    return node;
   }
 
   /**
-   * Get field value from entry, supporting nested paths and locales
+   * Whether a condition holds for a field in one locale. A reference path
+   * through a link array reaches several entities; the condition holds if it
+   * holds for any of them.
+   * @param {Object} entry - Contentful entry
+   * @param {string} field - Field ID, sys path or reference path
+   * @param {string|null} locale - Locale code, or null for the first present
+   * @param {string} operator
+   * @param {any} value - Expected value
+   * @returns {boolean}
+   */
+  matchesAt(entry, field, locale, operator, value) {
+    if (
+      field === "*" &&
+      (operator === "isEmpty" || operator === "isNotEmpty")
+    ) {
+      const empty = this.allFieldsEmpty(entry, locale);
+      return operator === "isEmpty" ? empty : !empty;
+    }
+    const values =
+      isReferencePath(field) && !isAsset(entry)
+        ? this.resolvePath(entry, field, locale)
+        : [this.getFieldValue(entry, field, locale)];
+    return values.some((fieldValue) =>
+      this.evaluateOperator(fieldValue, operator, value, entry)
+    );
+  }
+
+  /**
+   * Whether every field is empty, for "field": "*" with isEmpty and
+   * isNotEmpty
+   * @param {Object} entry - Contentful entry or asset
+   * @param {string|null} locale - Locale code, or null for every locale
+   * @returns {boolean}
+   */
+  allFieldsEmpty(entry, locale) {
+    return Object.keys(entry.fields || {}).every((fieldId) =>
+      locale
+        ? this.isEmpty(this.getFieldValue(entry, fieldId, locale))
+        : Object.values(entry.fields[fieldId] || {}).every((value) =>
+            this.isEmpty(value)
+          )
+    );
+  }
+
+  /**
+   * Follow a reference path (e.g. "seoHead.fields.url") from an entry
+   * through entities fetched by resolveReferences
+   * @param {Object} entry - Contentful entry
+   * @param {string} field - Reference path
+   * @param {string|null} locale - Locale code, or null for the first present
+   * @returns {any[]} - One value per entity reached; null where a link is
+   *   unset or broken
+   */
+  resolvePath(entry, field, locale) {
+    const { links, target } = parseReferencePath(field);
+    let entities = [entry];
+    for (const linkField of links) {
+      entities = entities.flatMap((entity) => {
+        if (!entity) return [null];
+        const linked = collectLinks(
+          this.getFieldValue(entity, linkField, locale)
+        );
+        return linked.length > 0
+          ? linked.map((link) => this.lookupLink(link))
+          : [null];
+      });
+    }
+    return entities.map((entity) =>
+      entity ? this.getFieldValue(entity, target, locale) : null
+    );
+  }
+
+  /**
+   * @param {Object} link - Link object ({ sys: { linkType, id } })
+   * @returns {Object|null} - The linked entity, null when it does not exist
+   * @throws {Error} When resolveReferences did not fetch the link
+   */
+  lookupLink(link) {
+    const key = linkKey(link);
+    if (!this.references.has(key)) {
+      throw new Error(
+        `${link.sys.linkType} ${link.sys.id} was not resolved (pass the environment to processEntriesForDeletion)`
+      );
+    }
+    return this.references.get(key);
+  }
+
+  /**
+   * Value compared by a count operator
+   * @param {Object} entry - Contentful entry or asset
+   * @param {string} field - Field ID or "*" (outboundBrokenLinks only)
+   * @param {string} operator - "inboundLinks" or "outboundBrokenLinks"
+   * @returns {number}
+   */
+  countLinks(entry, field, operator) {
+    if (operator === "inboundLinks") {
+      if (!this.inboundLinks.has(entityKey(entry))) {
+        throw new Error(
+          `inbound links of ${entry.sys.id} were not counted (pass the environment to processEntriesForDeletion)`
+        );
+      }
+      return this.inboundLinks.get(entityKey(entry));
+    }
+    const value =
+      field === "*" ? entry.fields : entry.fields && entry.fields[field];
+    return collectLinks(value).filter((link) => this.lookupLink(link) === null)
+      .length;
+  }
+
+  /**
+   * @param {number} count
+   * @param {number|string} expected - A count, or e.g. "== 0", "> 0"
+   * @returns {boolean}
+   */
+  compareCount(count, expected) {
+    const match =
+      typeof expected === "number"
+        ? [null, "==", expected]
+        : /^(==|!=|>=|<=|>|<)\s*(\d+)$/.exec(String(expected).trim());
+    if (!match) {
+      throw new Error(`Invalid count comparison "${expected}"`);
+    }
+    const limit = Number(match[2]);
+    switch (match[1]) {
+      case "==":
+        return count === limit;
+      case "!=":
+        return count !== limit;
+      case ">=":
+        return count >= limit;
+      case "<=":
+        return count <= limit;
+      case ">":
+        return count > limit;
+      default:
+        return count < limit;
+    }
+  }
+
+  /**
+   * Fetch what reference conditions need before entries are evaluated:
+   * entities along reference paths, depth by depth in batched `sys.id[in]`
+   * queries, the link targets outboundBrokenLinks checks, and inbound link
+   * counts for inboundLinks and unlinkedFor
+   * @param {Object} contentfulEnvironment - Contentful environment
+   * @param {Object[]} entries - Entries or assets about to be evaluated
+   * @param {string} environment - Profile name the rules are configured for
+   */
+  async resolveReferences(contentfulEnvironment, entries, environment) {
+    const paths = [];
+    const brokenLinkEntries = new Set();
+    const inboundEntries = new Set();
+    for (const rule of this.getEnabledRulesForEnvironment(environment)) {
+      const assetRule = ruleTarget(rule) === "assets";
+      const ruleEntries = entries.filter((entry) =>
+        assetRule
+          ? isAsset(entry)
+          : !isAsset(entry) &&
+            this.isContentTypeMatch(
+              entry.sys.contentType.sys.id,
+              rule.contentTypes
+            )
+      );
+      if (ruleEntries.length === 0) continue;
+      forEachCondition(rule.conditions, "", (condition) => {
+        if (
+          condition.operator === "inboundLinks" ||
+          condition.operator === "unlinkedFor"
+        ) {
+          ruleEntries.forEach((entry) => inboundEntries.add(entry));
+        } else if (condition.operator === "outboundBrokenLinks") {
+          ruleEntries.forEach((entry) => brokenLinkEntries.add(entry));
+        } else if (!assetRule && isReferencePath(condition.field)) {
+          paths.push({
+            links: parseReferencePath(condition.field).links,
+            entities: ruleEntries,
+          });
+        }
+      });
+    }
+    if (
+      paths.length === 0 &&
+      brokenLinkEntries.size === 0 &&
+      inboundEntries.size === 0
+    ) {
+      return;
+    }
+
+    logger.info(
+      `🔗 Resolving references for ${paths.length} reference path(s)...`
+    );
+    for (const entry of entries) {
+      this.references.set(entityKey(entry), entry);
+    }
+    await this.fetchLinks(
+      contentfulEnvironment,
+      [...brokenLinkEntries].flatMap((entry) => collectLinks(entry.fields))
+    );
+    for (
+      let depth = 0;
+      paths.some((path) => depth < path.links.length);
+      depth++
+    ) {
+      const active = paths.filter((path) => depth < path.links.length);
+      const linksOf = (path) =>
+        path.entities.flatMap((entity) =>
+          collectLinks(entity.fields && entity.fields[path.links[depth]])
+        );
+      await this.fetchLinks(contentfulEnvironment, active.flatMap(linksOf));
+      for (const path of active) {
+        path.entities = linksOf(path)
+          .map((link) => this.references.get(linkKey(link)))
+          .filter(Boolean);
+      }
+    }
+    await this.countInboundLinks(contentfulEnvironment, [...inboundEntries]);
+  }
+
+  /**
+   * Fetch linked entries and assets not fetched yet, in batches
+   * @param {Object} contentfulEnvironment - Contentful environment
+   * @param {Object[]} links - Link objects
+   */
+  async fetchLinks(contentfulEnvironment, links) {
+    const missing = { Entry: new Set(), Asset: new Set() };
+    for (const link of links) {
+      if (!this.references.has(linkKey(link)) && missing[link.sys.linkType]) {
+        missing[link.sys.linkType].add(link.sys.id);
+      }
+    }
+    for (const [linkType, idSet] of Object.entries(missing)) {
+      const ids = [...idSet];
+      for (let i = 0; i < ids.length; i += REFERENCE_BATCH_SIZE) {
+        const batch = ids.slice(i, i + REFERENCE_BATCH_SIZE);
+        const query = { "sys.id[in]": batch.join(","), limit: batch.length };
+        const { items } = await withRetry(
+          () =>
+            linkType === "Entry"
+              ? contentfulEnvironment.getEntries(query)
+              : contentfulEnvironment.getAssets(query),
+          `resolve ${linkType} links`
+        );
+        batch.forEach((id) => this.references.set(`${linkType}:${id}`, null));
+        items.forEach((item) =>
+          this.references.set(`${linkType}:${item.sys.id}`, item)
+        );
+      }
+    }
+  }
+
+  /**
+   * Count the entries linking to each entry or asset (through the request
+   * queue)
+   * @param {Object} contentfulEnvironment - Contentful environment
+   * @param {Object[]} entries - Entries or assets
+   */
+  async countInboundLinks(contentfulEnvironment, entries) {
+    const pending = entries.filter(
+      (entry) => !this.inboundLinks.has(entityKey(entry))
+    );
+    const totals = await Promise.all(
+      pending.map((entry) =>
+        withRetry(
+          () =>
+            contentfulEnvironment.getEntries({
+              [isAsset(entry) ? "links_to_asset" : "links_to_entry"]:
+                entry.sys.id,
+              limit: 1,
+            }),
+          "countInboundLinks"
+        ).then((response) => response.total)
+      )
+    );
+    pending.forEach((entry, index) =>
+      this.inboundLinks.set(entityKey(entry), totals[index])
+    );
+  }
+
+  /**
+   * Explanation node for a rule that short-circuiting never evaluated
+   * @param {Object} rule - Single rule condition or condition group
+   * @returns {Object}
+   */
+  describeSkipped(rule) {
+    const node = Array.isArray(rule.rules)
+      ? {
+          operator: rule.operator || "AND",
+          children: rule.rules.map((child) => this.describeSkipped(child)),
+        }
+      : { field: rule.field, operator: rule.operator };
+    if (rule.value !== undefined) node.value = rule.value;
+    if (rule.locale) node.locale = rule.locale;
+    if (rule.description) node.description = rule.description;
+    node.matches = null;
+    node.skipped = true;
+    return node;
+  }
+
+  /**
+   * Human readable label of a condition or explanation node
+   * @param {Object} node
+   * @returns {string}
+   */
+  describeCondition(node) {
+    if (node.description) return node.description;
+    const children = node.children || node.rules;
+    if (children) {
+      const operator = node.operator || "AND";
+      const labels = children.map((child) => this.describeCondition(child));
+      return operator === "NOT"
+        ? `NOT (${labels.join(" OR ")})`
+        : `(${labels.join(` ${operator} `)})`;
+    }
+    const subject = node.field === "*" ? "" : `${node.field} `;
+    const condition =
+      node.value !== undefined
+        ? `${subject}${node.operator} ${this.describeValue(node.value)}`
+        : `${subject}${node.operator}`;
+    return `${condition}${this.describeLocale(node)}`;
+  }
+
+  /**
+   * @param {any} value - Condition value
+   * @returns {string} - e.g. "30d", "/^draft-/i", ["news","blog"]
+   */
+  describeValue(value) {
+    if (typeof value === "string" || typeof value === "number") {
+      return String(value);
+    }
+    if (value && typeof value.pattern === "string") {
+      return `/${value.pattern}/${value.flags || ""}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @param {Object} node - Condition or explanation node
+   * @returns {string} - e.g. " in fr-FR", " in all locales", "" without a selector
+   */
+  describeLocale(node) {
+    switch (node.locale) {
+      case undefined:
+        return "";
+      case "all":
+        return " in all locales";
+      case "default":
+        return " in the default locale";
+      case "any": {
+        const matched = Object.keys(node.locales || {}).filter(
+          (code) => node.locales[code]
+        );
+        return matched.length > 0 && node.matches
+          ? ` in ${matched.join(", ")}`
+          : " in any locale";
+      }
+      default:
+        return ` in ${node.locale}`;
+    }
+  }
+
+  /**
+   * Locales a condition's `locale` selector reads
    * @param {Object} entry - Contentful entry
-   * @param {string} fieldPath - Field path (e.g., 'title', 'sys.createdAt')
+   * @param {string} field - Field ID
+   * @param {string} locale - Locale code, "any", "all" or "default"
+   * @returns {string[]}
+   * @throws {Error} For "default" when the environment locales are unknown
+   */
+  resolveLocales(entry, field, locale) {
+    if (locale === "default") {
+      if (!this.locales || !this.locales.defaultLocale) {
+        throw new Error(
+          "the default locale is unknown (locales were not loaded)"
+        );
+      }
+      return [this.locales.defaultLocale];
+    }
+    if (locale !== "any" && locale !== "all") {
+      return [locale];
+    }
+    // Without the environment's locales, fall back to those the field has
+    if (this.locales) {
+      return this.locales.codes;
+    }
+    const fieldData = entry.fields && entry.fields[field.split(".")[0]];
+    return fieldData && typeof fieldData === "object"
+      ? Object.keys(fieldData)
+      : [];
+  }
+
+  /**
+   * Reasons a matched explanation tree matched: the conditions that decided it
+   * @param {Object} node - Explanation node that matched
+   * @returns {string[]}
+   */
+  collectReasons(node) {
+    if (!node.children) return [this.describeCondition(node)];
+    if (node.operator === "NOT") return [this.describeCondition(node)];
+    if (node.description) return [node.description];
+    return node.children
+      .filter((child) => child.matches)
+      .flatMap((child) => this.collectReasons(child));
+  }
+
+  /**
+   * Render an explanation tree for logs and reports
+   * @param {Object} node - Explanation node
+   * @param {string} indent
+   * @returns {string[]} - One line per node
+   */
+  formatExplanation(node, indent = "") {
+    if (!node) return [];
+    const mark = node.skipped ? "➖" : node.matches ? "✅" : "❌";
+    const failedLocales =
+      node.locale === "all" && node.locales && !node.matches
+        ? Object.keys(node.locales).filter((code) => !node.locales[code])
+        : [];
+    const suffix = node.skipped
+      ? " (not evaluated)"
+      : node.error
+      ? ` (error: ${node.error})`
+      : failedLocales.length > 0
+      ? ` (not in ${failedLocales.join(", ")})`
+      : node.actual !== undefined
+      ? ` (found ${node.actual})`
+      : "";
+    if (!node.children) {
+      return [`${indent}${mark} ${this.describeCondition(node)}${suffix}`];
+    }
+    const head = `${indent}${mark} ${node.operator}${
+      node.description ? `: ${node.description}` : ""
+    }${suffix}`;
+    if (node.skipped) return [head];
+    return [
+      head,
+      ...node.children.flatMap((child) =>
+        this.formatExplanation(child, `${indent}   `)
+      ),
+    ];
+  }
+
+  /**
+   * Get field value from entry, supporting nested paths and locales
+   * @param {Object} entry - Contentful entry or asset
+   * @param {string} fieldPath - Field path (e.g., 'title', 'sys.createdAt',
+   *   or 'file.details.size' for an asset)
+   * @param {string} [locale] - Locale code; the first locale present when omitted
    * @returns {any} - Field value
    */
-  getFieldValue(entry, fieldPath) {
+  getFieldValue(entry, fieldPath, locale = null) {
     if (fieldPath.startsWith("sys.")) {
       // Handle system fields
       const sysField = fieldPath.replace("sys.", "");
       return entry.sys[sysField];
     }
 
+    // Asset file properties, e.g. file.contentType
+    const [fieldId, ...properties] = fieldPath.split(".");
+    if (properties.length > 0 && isAsset(entry)) {
+      return properties.reduce(
+        (value, property) =>
+          value && value[property] !== undefined ? value[property] : null,
+        this.getFieldValue(entry, fieldId, locale)
+      );
+    }
+
     // Handle regular fields with locale support
     if (entry.fields && entry.fields[fieldPath]) {
       const fieldData = entry.fields[fieldPath];
 
+      // Values are read as stored, without locale fallback, except that
+      // fields that are not localized only have a value in the default locale
+      if (locale) {
+        if (fieldData[locale] !== undefined) return fieldData[locale];
+        if (this.isLocalized(entry, fieldPath)) return null;
+      }
+
       // If it's a localized field, get the first available locale value
       if (typeof fieldData === "object" && !Array.isArray(fieldData)) {
         const locales = Object.keys(fieldData);
@@ -211,12 +880,25 @@ class EntryDeletionProcessor {
     return null;
   }
 
+  /**
+   * Whether a field can hold a value per locale. Assume so unless the
+   * content type was seen by checkContentTypes and says otherwise.
+   * @param {Object} entity - Entry or asset
+   * @param {string} field - Field ID
+   * @returns {boolean}
+   */
+  isLocalized(entity, field) {
+    const contentType = entity.sys.contentType && entity.sys.contentType.sys.id;
+    const fields = contentType && this.localizedFields.get(contentType);
+    return !fields || !fields.has(field) || fields.get(field);
+  }
+
   /**
    * Evaluate field value against operator and expected value
    * @param {any} fieldValue - Actual field value
    * @param {string} operator - Comparison operator
    * @param {any} expectedValue - Expected value for comparison
-   * @param {Object} entry - Full entry for context (for date calculations)
+   * @param {Object} entry - Full entry for context (tags and publish state)
    * @returns {boolean} - Whether condition is met
    */
   evaluateOperator(fieldValue, operator, expectedValue, entry) {
@@ -249,18 +931,10 @@ class EntryDeletionProcessor {
         return this.evaluateDateComparison(fieldValue, expectedValue, "after");
 
       case "olderThan":
-        return this.evaluateRelativeDate(
-          entry.sys.createdAt,
-          expectedValue,
-          "older"
-        );
+        return this.evaluateRelativeDate(fieldValue, expectedValue, "older");
 
       case "newerThan":
-        return this.evaluateRelativeDate(
-          entry.sys.createdAt,
-          expectedValue,
-          "newer"
-        );
+        return this.evaluateRelativeDate(fieldValue, expectedValue, "newer");
 
       case "greaterThan":
         return parseFloat(fieldValue) > parseFloat(expectedValue);
@@ -270,11 +944,105 @@ class EntryDeletionProcessor {
       case "hasNoData":
         return this.hasNoData(entry);
 
+      case "inboundLinks":
+      case "outboundBrokenLinks":
+        return this.compareCount(fieldValue, expectedValue);
+
+      case "matches": {
+        const pattern = toRegExp(expectedValue);
+        return this.textValues(fieldValue).some((text) => pattern.test(text));
+      }
+
+      case "in":
+        return this.isOneOf(fieldValue, expectedValue);
+      case "notIn":
+        return !this.isOneOf(fieldValue, expectedValue);
+
+      case "length":
+        return this.compareCount(this.lengthOf(fieldValue), expectedValue);
+
+      case "hasTag": {
+        const wanted = [].concat(expectedValue);
+        const tags = (entry.metadata && entry.metadata.tags) || [];
+        return tags.some((tag) => wanted.includes(tag.sys.id));
+      }
+
+      case "isPublished":
+        return !!entry.sys.publishedVersion && !entry.sys.archivedVersion;
+      case "isArchived":
+        return !!entry.sys.archivedVersion;
+      case "isChanged":
+        return (
+          !!entry.sys.publishedVersion &&
+          !entry.sys.archivedVersion &&
+          entry.sys.version >= entry.sys.publishedVersion + 2
+        );
+
+      // Contentful does not record when the last link went, so this is
+      // "nothing links to it and it has not been updated since"
+      case "unlinkedFor":
+        return (
+          this.countLinks(entry, "*", "inboundLinks") === 0 &&
+          this.evaluateRelativeDate(entry.sys.updatedAt, expectedValue, "older")
+        );
+
       default:
         logger.warn(`Unknown operator: ${operator}`);
         return false;
     }
   }
+  /**
+   * Strings a `matches` condition is tested against: the value itself, each
+   * element of an array, or the text of a Rich Text document
+   * @param {any} value
+   * @returns {string[]}
+   */
+  textValues(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) {
+      return value.flatMap((item) => this.textValues(item));
+    }
+    if (isRichText(value)) return [this.richTextToString(value)];
+    if (typeof value === "object") return [];
+    return [String(value)];
+  }
+
+  /**
+   * @param {any} value - Field value; any element of an array may match
+   * @param {any[]} list - Values listed in the condition
+   * @returns {boolean}
+   */
+  isOneOf(value, list) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.some((item) => list.includes(item));
+  }
+
+  /**
+   * Length compared by the `length` operator: characters of a string or
+   * Rich Text document, items of an array, 0 when unset
+   * @param {any} value
+   * @returns {number}
+   */
+  lengthOf(value) {
+    if (value === null || value === undefined) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (isRichText(value)) return this.richTextToString(value).length;
+    if (typeof value === "object") return Object.keys(value).length;
+    return String(value).length;
+  }
+
+  /**
+   * @param {Object} node - Rich Text node
+   * @returns {string} - Text of all text nodes, blocks separated by a space
+   */
+  richTextToString(node) {
+    if (node.nodeType === "text") return node.value || "";
+    return (node.content || [])
+      .map((child) => this.richTextToString(child))
+      .filter((text) => text !== "")
+      .join(INLINE_CONTAINER.test(node.nodeType) ? "" : " ");
+  }
+
   /**
    * Check if a value is empty
    * @param {any} value - Value to check
@@ -290,7 +1058,8 @@ class EntryDeletionProcessor {
 
   /**
    * Check if an entry has no meaningful data across all fields and locales
-   * Uses the same logic as hasEntryData function but returns true if NO data found
+   * Uses the same logic as hasEntryData function but returns true if NO data found,
+   * including its meaningfulData profile for the entry's content type
    * @param {Object} entry - Contentful entry
    * @returns {boolean} - True if entry has no meaningful data
    */
@@ -321,224 +1090,232 @@ class EntryDeletionProcessor {
         return true; // No fields
       }
 
-      // Check each field for meaningful content
-      for (const fieldKey of fieldKeys) {
-        try {
-          const fieldData = entry.fields[fieldKey];
+      // The content type's profile decides which fields count
+      const { meaningful } = checkMeaningfulData(
+        profileFor(this.config.meaningfulData, entry.sys.contentType?.sys?.id),
+        fieldKeys,
+        (fieldKey) => this.fieldHasData(entry.fields[fieldKey])
+      );
+      return !meaningful;
+    } catch (error) {
+      logger.warn(
+        `Error checking hasNoData for entry ${entry?.sys?.id || "unknown"}: ${
+          error.message
+        }`
+      );
+      return true; // Consider entries with errors as having no data
+    }
+  }
 
-          if (fieldData === null || fieldData === undefined) {
-            continue; // Skip null/undefined fields
-          }
+  /**
+   * Whether a field has a meaningful value in any locale
+   * @param {Object} fieldData - Field values by locale
+   * @returns {boolean}
+   */
+  fieldHasData(fieldData) {
+    try {
+      if (fieldData === null || fieldData === undefined) {
+        return false; // Skip null/undefined fields
+      }
+
+      if (typeof fieldData !== "object") {
+        return false; // Skip non-object field data
+      }
+
+      // Get locale keys
+      let localeKeys;
+      try {
+        localeKeys = Object.keys(fieldData);
+      } catch (error) {
+        return false; // Skip if can't access locales
+      }
 
-          if (typeof fieldData !== "object") {
-            continue; // Skip non-object field data
+      if (localeKeys.length === 0) {
+        return false; // Skip fields with no locales
+      }
+
+      // Check each locale for this field
+      for (const locale of localeKeys) {
+        try {
+          if (!Object.prototype.hasOwnProperty.call(fieldData, locale)) {
+            continue; // Skip inaccessible locales
           }
 
-          // Get locale keys
-          let localeKeys;
-          try {
-            localeKeys = Object.keys(fieldData);
-          } catch (error) {
-            continue; // Skip if can't access locales
+          const value = fieldData[locale];
+
+          // Skip null, undefined, empty strings
+          if (value === null || value === undefined || value === "") {
+            continue;
           }
 
-          if (localeKeys.length === 0) {
-            continue; // Skip fields with no locales
+          // Skip empty arrays
+          if (Array.isArray(value) && value.length === 0) {
+            continue;
           }
 
-          // Check each locale for this field
-          for (const locale of localeKeys) {
-            try {
-              if (!Object.prototype.hasOwnProperty.call(fieldData, locale)) {
-                continue; // Skip inaccessible locales
+          // Check arrays with content
+          if (Array.isArray(value) && value.length > 0) {
+            const hasValidArrayContent = value.some((item) => {
+              if (item === null || item === undefined || item === "") {
+                return false;
               }
-
-              const value = fieldData[locale];
-
-              // Skip null, undefined, empty strings
-              if (value === null || value === undefined || value === "") {
-                continue;
+              // Check for valid link objects
+              if (
+                typeof item === "object" &&
+                item.sys &&
+                item.sys.type === "Link" &&
+                item.sys.id
+              ) {
+                return true;
               }
+              // Any other non-empty value
+              return item !== null && item !== undefined && item !== "";
+            });
 
-              // Skip empty arrays
-              if (Array.isArray(value) && value.length === 0) {
-                continue;
-              }
+            if (hasValidArrayContent) {
+              return true; // Found meaningful data
+            }
+            continue;
+          }
 
-              // Check arrays with content
-              if (Array.isArray(value) && value.length > 0) {
-                const hasValidArrayContent = value.some((item) => {
-                  if (item === null || item === undefined || item === "") {
-                    return false;
-                  }
-                  // Check for valid link objects
-                  if (
-                    typeof item === "object" &&
-                    item.sys &&
-                    item.sys.type === "Link" &&
-                    item.sys.id
-                  ) {
-                    return true;
-                  }
-                  // Any other non-empty value
-                  return item !== null && item !== undefined && item !== "";
-                });
+          // Check objects (including Link objects)
+          if (
+            typeof value === "object" &&
+            value !== null &&
+            !Array.isArray(value)
+          ) {
+            try {
+              const objectKeys = Object.keys(value);
 
-                if (hasValidArrayContent) {
-                  return false; // Found meaningful data
-                }
-                continue;
+              if (objectKeys.length === 0) {
+                continue; // Skip empty objects
               }
 
-              // Check objects (including Link objects)
+              // Check for valid Link objects
               if (
-                typeof value === "object" &&
-                value !== null &&
-                !Array.isArray(value)
+                value.sys &&
+                value.sys.type === "Link" &&
+                value.sys.id &&
+                value.sys.linkType
               ) {
-                try {
-                  const objectKeys = Object.keys(value);
+                return true; // Found meaningful link data
+              }
 
-                  if (objectKeys.length === 0) {
-                    continue; // Skip empty objects
-                  }
+              // Check for other meaningful object content
+              const hasMeaningfulContent = objectKeys.some((objKey) => {
+                try {
+                  const objValue = value[objKey];
 
-                  // Check for valid Link objects
                   if (
-                    value.sys &&
-                    value.sys.type === "Link" &&
-                    value.sys.id &&
-                    value.sys.linkType
+                    objValue === null ||
+                    objValue === undefined ||
+                    objValue === ""
                   ) {
-                    return false; // Found meaningful link data
+                    return false;
                   }
 
-                  // Check for other meaningful object content
-                  const hasMeaningfulContent = objectKeys.some((objKey) => {
+                  // Handle nested objects
+                  if (typeof objValue === "object" && objValue !== null) {
+                    // Check for nested Link objects
+                    if (
+                      objValue.sys &&
+                      objValue.sys.type === "Link" &&
+                      objValue.sys.id
+                    ) {
+                      return true;
+                    }
+
+                    // Check if nested object has content
                     try {
-                      const objValue = value[objKey];
-
-                      if (
-                        objValue === null ||
-                        objValue === undefined ||
-                        objValue === ""
-                      ) {
-                        return false;
-                      }
-
-                      // Handle nested objects
-                      if (typeof objValue === "object" && objValue !== null) {
-                        // Check for nested Link objects
-                        if (
-                          objValue.sys &&
-                          objValue.sys.type === "Link" &&
-                          objValue.sys.id
-                        ) {
-                          return true;
-                        }
-
-                        // Check if nested object has content
-                        try {
-                          const nestedKeys = Object.keys(objValue);
-                          return (
-                            nestedKeys.length > 0 &&
-                            nestedKeys.some((nestedKey) => {
+                      const nestedKeys = Object.keys(objValue);
+                      return (
+                        nestedKeys.length > 0 &&
+                        nestedKeys.some((nestedKey) => {
+                          try {
+                            if (
+                              !Object.prototype.hasOwnProperty.call(
+                                objValue,
+                                nestedKey
+                              )
+                            ) {
+                              return false;
+                            }
+
+                            const nestedValue = objValue[nestedKey];
+                            if (
+                              nestedValue === null ||
+                              nestedValue === undefined
+                            ) {
+                              return false;
+                            }
+
+                            if (
+                              typeof nestedValue === "object" &&
+                              nestedValue !== null
+                            ) {
                               try {
-                                if (
-                                  !Object.prototype.hasOwnProperty.call(
-                                    objValue,
-                                    nestedKey
-                                  )
-                                ) {
-                                  return false;
-                                }
-
-                                const nestedValue = objValue[nestedKey];
-                                if (
-                                  nestedValue === null ||
-                                  nestedValue === undefined
-                                ) {
-                                  return false;
-                                }
-
-                                if (
-                                  typeof nestedValue === "object" &&
-                                  nestedValue !== null
-                                ) {
-                                  try {
-                                    const nestedValueKeys =
-                                      Object.keys(nestedValue);
-                                    return (
-                                      nestedValueKeys.length > 0 &&
-                                      nestedValueKeys.some((key) => {
-                                        try {
-                                          const prop = nestedValue[key];
-                                          return (
-                                            prop !== null &&
-                                            prop !== undefined &&
-                                            prop !== ""
-                                          );
-                                        } catch (propError) {
-                                          return false;
-                                        }
-                                      })
-                                    );
-                                  } catch (nestedValueError) {
-                                    return false;
-                                  }
-                                }
-
+                                const nestedValueKeys =
+                                  Object.keys(nestedValue);
                                 return (
-                                  nestedValue !== null &&
-                                  nestedValue !== undefined &&
-                                  nestedValue !== ""
+                                  nestedValueKeys.length > 0 &&
+                                  nestedValueKeys.some((key) => {
+                                    try {
+                                      const prop = nestedValue[key];
+                                      return (
+                                        prop !== null &&
+                                        prop !== undefined &&
+                                        prop !== ""
+                                      );
+                                    } catch (propError) {
+                                      return false;
+                                    }
+                                  })
                                 );
-                              } catch (nestedKeyError) {
+                              } catch (nestedValueError) {
                                 return false;
                               }
-                            })
-                          );
-                        } catch (nestedError) {
-                          return false;
-                        }
-                      }
-
-                      // Any other non-empty value
-                      return true;
-                    } catch (objPropertyError) {
+                            }
+
+                            return (
+                              nestedValue !== null &&
+                              nestedValue !== undefined &&
+                              nestedValue !== ""
+                            );
+                          } catch (nestedKeyError) {
+                            return false;
+                          }
+                        })
+                      );
+                    } catch (nestedError) {
                       return false;
                     }
-                  });
-
-                  if (hasMeaningfulContent) {
-                    return false; // Found meaningful data
                   }
-                } catch (objectError) {
-                  continue; // Skip objects with errors
+
+                  // Any other non-empty value
+                  return true;
+                } catch (objPropertyError) {
+                  return false;
                 }
-                continue;
-              }
+              });
 
-              // If we get here, we have meaningful primitive content
-              return false; // Found meaningful data
-            } catch (valueError) {
-              continue; // Skip values with errors
+              if (hasMeaningfulContent) {
+                return true; // Found meaningful data
+              }
+            } catch (objectError) {
+              continue; // Skip objects with errors
             }
+            continue;
           }
-        } catch (fieldError) {
-          continue; // Skip fields with errors
+
+          // If we get here, we have meaningful primitive content
+          return true; // Found meaningful data
+        } catch (valueError) {
+          continue; // Skip values with errors
         }
       }
-
-      // If we've checked all fields and found no meaningful data
-      return true;
-    } catch (error) {
-      logger.warn(
-        `Error checking hasNoData for entry ${entry?.sys?.id || "unknown"}: ${
-          error.message
-        }`
-      );
-      return true; // Consider entries with errors as having no data
+      return false;
+    } catch (fieldError) {
+      return false; // Skip fields with errors
     }
   }
 
@@ -638,26 +1415,41 @@ class EntryDeletionProcessor {
   }
 
   /**
-   * Generate a deletion report
-   * @param {Object[]} deletionCandidates - Entries marked for deletion
+   * Generate a deletion report. Entry candidates are reported at the top
+   * level, asset candidates in the `assets` section.
+   * @param {Object[]} deletionCandidates - Entries and assets marked by rules
    * @param {string} environment - Current environment
    * @returns {Object} - Deletion report
    */
   generateDeletionReport(deletionCandidates, environment) {
+    const entryCandidates = deletionCandidates.filter((c) => c.entry);
+    const assetCandidates = deletionCandidates.filter((c) => c.asset);
     const report = {
       timestamp: new Date().toISOString(),
       environment,
-      totalCandidates: deletionCandidates.length,
+      totalCandidates: entryCandidates.length,
       ruleBreakdown: {},
       contentTypeBreakdown: {},
+      actionBreakdown: {},
       summary: {
         willDelete: 0,
         willSkipDueToLinks: 0,
         willSkipDueToSafety: 0,
       },
+      assets: {
+        totalCandidates: assetCandidates.length,
+        ruleBreakdown: {},
+        mimeTypeBreakdown: {},
+        actionBreakdown: {},
+        summary: {
+          willDelete: 0,
+          willSkipDueToLinks: 0,
+          willSkipDueToSafety: 0,
+        },
+      },
     };
 
-    deletionCandidates.forEach((candidate) => {
+    entryCandidates.forEach((candidate) => {
       // Rule breakdown
       const ruleId = candidate.ruleId || "unknown";
       if (!report.ruleBreakdown[ruleId]) {
@@ -671,7 +1463,15 @@ class EntryDeletionProcessor {
       report.ruleBreakdown[ruleId].entries.push({
         id: candidate.entry.sys.id,
         contentType: candidate.entry.sys.contentType.sys.id,
+        action: describeAction(candidate.action),
+        willApply: candidate.willDelete,
+        requiresConfirmation: candidate.requiresConfirmation,
+        skipReason: candidate.skipReason,
+        outcome: candidate.outcome,
+        error: candidate.error,
         reasons: candidate.reasons,
+        explanation: candidate.explanation,
+        explanationText: this.formatExplanation(candidate.explanation),
       });
 
       // Content type breakdown
@@ -681,48 +1481,166 @@ class EntryDeletionProcessor {
       }
       report.contentTypeBreakdown[contentType]++;
 
-      // Summary counts
-      if (candidate.willDelete) {
-        report.summary.willDelete++;
-      } else if (candidate.isLinked) {
-        report.summary.willSkipDueToLinks++;
-      } else {
-        report.summary.willSkipDueToSafety++;
+      this.countOutcome(report, candidate);
+    });
+
+    assetCandidates.forEach((candidate) => {
+      const ruleId = candidate.ruleId || "unknown";
+      const section = report.assets;
+      if (!section.ruleBreakdown[ruleId]) {
+        section.ruleBreakdown[ruleId] = {
+          ruleName: candidate.ruleName || "Unknown Rule",
+          count: 0,
+          assets: [],
+        };
       }
+      const mimeType =
+        this.getFieldValue(candidate.asset, "file.contentType") || "none";
+      section.ruleBreakdown[ruleId].count++;
+      section.ruleBreakdown[ruleId].assets.push({
+        id: candidate.asset.sys.id,
+        title: this.getFieldValue(candidate.asset, "title"),
+        fileName: this.getFieldValue(candidate.asset, "file.fileName"),
+        mimeType,
+        size: this.getFieldValue(candidate.asset, "file.details.size"),
+        action: describeAction(candidate.action),
+        willApply: candidate.willDelete,
+        requiresConfirmation: candidate.requiresConfirmation,
+        skipReason: candidate.skipReason,
+        outcome: candidate.outcome,
+        error: candidate.error,
+        reasons: candidate.reasons,
+        explanation: candidate.explanation,
+        explanationText: this.formatExplanation(candidate.explanation),
+      });
+      section.mimeTypeBreakdown[mimeType] =
+        (section.mimeTypeBreakdown[mimeType] || 0) + 1;
+      this.countOutcome(section, candidate);
     });
 
     return report;
   }
 
+  /**
+   * Add a candidate to a report section's action breakdown and summary
+   * @param {Object} section - The report, or its `assets` section
+   * @param {Object} candidate
+   */
+  countOutcome(section, candidate) {
+    if (candidate.willDelete) {
+      const type = normalizeAction(candidate.action).type;
+      section.actionBreakdown[type] = (section.actionBreakdown[type] || 0) + 1;
+      section.summary.willDelete += type === "delete" ? 1 : 0;
+    } else if (candidate.isLinked) {
+      section.summary.willSkipDueToLinks++;
+    } else {
+      section.summary.willSkipDueToSafety++;
+    }
+  }
+
   /**
    * Process entries and return those marked for deletion
    * @param {Object[]} entries - Array of Contentful entries
    * @param {string} environment - Current environment
    * @param {Function} linkChecker - Function to check if entry is linked
-   * @returns {Promise<Object[]>} - Array of entries marked for deletion with metadata
+   * @param {Object} [contentfulEnvironment] - Contentful environment, needed
+   *   by reference paths and link count operators
+   * @returns {Promise<Object[]>} - Array of entries marked for deletion with
+   *   metadata; `willDelete` says whether the rule's `action` (which need not
+   *   be delete) passed the safety checks. Pass them to authorizeCandidates
+   *   before applying any.
+   */
+  async processEntriesForDeletion(
+    entries,
+    environment,
+    linkChecker = null,
+    contentfulEnvironment = null
+  ) {
+    return this.processForDeletion(
+      entries,
+      "entry",
+      environment,
+      linkChecker,
+      contentfulEnvironment
+    );
+  }
+
+  /**
+   * Process assets against asset rules (`"target": "assets"`), with the same
+   * safety checks and per-run limit as entries
+   * @param {Object[]} assets - Array of Contentful assets
+   * @param {string} environment - Current environment
+   * @param {Function} linkChecker - Function to check if an asset is linked
+   * @param {Object} [contentfulEnvironment] - Contentful environment, needed
+   *   by inboundLinks and unlinkedFor
+   * @returns {Promise<Object[]>} - Candidates like processEntriesForDeletion,
+   *   with `asset` instead of `entry`
+   */
+  async processAssetsForDeletion(
+    assets,
+    environment,
+    linkChecker = null,
+    contentfulEnvironment = null
+  ) {
+    return this.processForDeletion(
+      assets,
+      "asset",
+      environment,
+      linkChecker,
+      contentfulEnvironment
+    );
+  }
+
+  /**
+   * @param {Object[]} entities - Entries or assets
+   * @param {"entry"|"asset"} kind - Candidate property holding the entity
+   * @param {string} environment
+   * @param {Function} [linkChecker]
+   * @param {Object} [contentfulEnvironment]
+   * @returns {Promise<Object[]>}
    */
-  async processEntriesForDeletion(entries, environment, linkChecker = null) {
+  async processForDeletion(
+    entities,
+    kind,
+    environment,
+    linkChecker,
+    contentfulEnvironment
+  ) {
+    const noun = kind === "asset" ? "assets" : "entries";
     const deletionCandidates = [];
     const envSettings = this.getEnvironmentSettings(environment);
 
     logger.info(
-      `🔍 Processing ${entries.length} entries for deletion using mapping rules...`
+      `🔍 Processing ${entities.length} ${noun} for deletion using mapping rules...`
     );
     logger.info(
       `Environment settings - Safe mode: ${envSettings.safeMode}, Max deletions: ${envSettings.maxDeletionsPerRun}`
     );
 
-    for (const entry of entries) {
+    if (contentfulEnvironment) {
+      await this.resolveReferences(
+        contentfulEnvironment,
+        entities,
+        environment
+      );
+    }
+
+    for (const entity of entities) {
       try {
-        const deletionCheck = this.shouldDeleteEntry(entry, environment);
+        const deletionCheck = this.shouldDeleteEntry(entity, environment);
 
         if (deletionCheck.shouldDelete) {
           const candidate = {
-            entry,
+            [kind]: entity,
             reasons: deletionCheck.reasons,
+            explanation: deletionCheck.explanation,
             ruleId: deletionCheck.ruleId,
             ruleName: deletionCheck.ruleName,
+            action: deletionCheck.action,
             safetyChecks: deletionCheck.safetyChecks,
+            requiresConfirmation:
+              envSettings.requireConfirmationForAll ||
+              Boolean(deletionCheck.safetyChecks?.requireConfirmation),
             isLinked: false,
             willDelete: false,
           };
@@ -734,7 +1652,7 @@ class EntryDeletionProcessor {
             linkChecker
           ) {
             try {
-              const linkResult = await linkChecker(entry.sys.id);
+              const linkResult = await linkChecker(entity.sys.id);
               candidate.isLinked = linkResult.isLinked;
               candidate.linkedBy = linkResult.linkedBy;
 
@@ -743,7 +1661,7 @@ class EntryDeletionProcessor {
                 deletionCheck.safetyChecks?.skipIfReferenced
               ) {
                 logger.warn(
-                  `⚠️ Entry ${entry.sys.id} marked for deletion but is referenced by other entries. Skipping.`
+                  `⚠️ ${entity.sys.type} ${entity.sys.id} marked for deletion but is referenced by other entries. Skipping.`
                 );
                 candidate.willDelete = false;
               } else {
@@ -751,7 +1669,7 @@ class EntryDeletionProcessor {
               }
             } catch (linkError) {
               logger.warn(
-                `Failed to check links for entry ${entry.sys.id}: ${linkError.message}`
+                `Failed to check links for ${kind} ${entity.sys.id}: ${linkError.message}`
               );
               candidate.willDelete =
                 !deletionCheck.safetyChecks?.skipIfReferenced; // Conservative approach
@@ -763,43 +1681,236 @@ class EntryDeletionProcessor {
           deletionCandidates.push(candidate);
 
           logger.info(
-            `📝 Entry ${entry.sys.id} (${entry.sys.contentType.sys.id}) marked for deletion:`
+            `📝 ${entity.sys.type} ${entity.sys.id} (${
+              kind === "asset"
+                ? this.getFieldValue(entity, "file.contentType") || "no file"
+                : entity.sys.contentType.sys.id
+            }) marked for ${describeAction(deletionCheck.action)}:`
           );
           logger.info(`   Rule: ${deletionCheck.ruleName}`);
           logger.info(`   Reasons: ${deletionCheck.reasons.join(", ")}`);
-          logger.info(`   Will delete: ${candidate.willDelete ? "✅" : "❌"}`);
+          this.formatExplanation(deletionCheck.explanation, "   ").forEach(
+            (line) => logger.info(line)
+          );
+          logger.info(
+            `   Will ${deletionCheck.action.type}: ${
+              candidate.willDelete ? "✅" : "❌"
+            }`
+          );
         }
       } catch (error) {
         logger.warn(
-          `Error processing entry ${entry.sys.id} for deletion: ${error.message}`
+          `Error processing ${kind} ${entity.sys.id} for deletion: ${error.message}`
         );
       }
     }
 
-    // Apply max deletions limit
+    // The limit is enforced by authorizeCandidates, before anything runs
     const toDelete = deletionCandidates.filter((c) => c.willDelete);
     if (toDelete.length > envSettings.maxDeletionsPerRun) {
       logger.warn(
-        `⚠️ ${toDelete.length} entries marked for deletion exceeds limit of ${envSettings.maxDeletionsPerRun}`
+        `⚠️ ${toDelete.length} ${noun} marked by rules exceeds limit of ${envSettings.maxDeletionsPerRun}`
       );
+    }
+
+    logger.info(
+      `📊 Deletion summary: ${deletionCandidates.length} candidates, ${toDelete.length} pass the safety checks`
+    );
+
+    return deletionCandidates;
+  }
+
+  /**
+   * A budget of maxDeletionsPerRun for one run
+   * @param {string} environment
+   * @returns {DeletionBudget}
+   */
+  createBudget(environment) {
+    const { maxDeletionsPerRun } = this.getEnvironmentSettings(environment);
+    return new DeletionBudget(maxDeletionsPerRun, environment);
+  }
+
+  /**
+   * Refuse rule actions that would take the run over maxDeletionsPerRun.
+   * The limit is all or nothing: archiving, unpublishing and edits count
+   * too, and going over it aborts every action rather than applying the
+   * first ones.
+   * @param {Object[]} candidates - From processEntriesForDeletion or
+   *   processAssetsForDeletion; when refused, all are marked not to run
+   * @param {string} environment
+   * @param {DeletionBudget} [budget] - The run's budget; by default the
+   *   candidates are the whole run
+   * @throws {DeletionHaltedError} A DeletionLimitError over the limit
+   */
+  checkLimit(candidates, environment, budget = this.createBudget(environment)) {
+    try {
+      budget.reserve(candidates.filter((c) => c.willDelete).length);
+    } catch (error) {
+      for (const candidate of candidates) {
+        candidate.willDelete = false;
+        candidate.skipReason = error.message;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Decide which candidates may run, before any of them does: check the
+   * limit, then confirm the actions that need it. With an approval file
+   * every action must be listed in it; otherwise candidates that
+   * requireConfirmation are put to `confirm`, and skipped when nothing can
+   * confirm (unattended runs). Skipped candidates give their share of the
+   * limit back; the others still run.
+   * @param {Object[]} candidates
+   * @param {string} environment
+   * @param {Object} [options]
+   * @param {Object} [options.approval] - From loadApproval()
+   * @param {Function} [options.confirm] - (candidates) => Promise<boolean>
+   * @param {DeletionBudget} [options.budget] - Shared by the run's phases
+   * @returns {Promise<Object[]>} - The candidates that may run
+   * @throws {DeletionHaltedError} A DeletionLimitError when the limit is
+   *   exceeded
+   */
+  async authorizeCandidates(
+    candidates,
+    environment,
+    {
+      approval = null,
+      confirm = null,
+      budget = this.createBudget(environment),
+    } = {}
+  ) {
+    this.checkLimit(candidates, environment, budget);
+    const planned = candidates.filter((c) => c.willDelete);
+    const skip = (candidate, reason) => {
+      candidate.willDelete = false;
+      candidate.skipReason = reason;
+      budget.release(1);
       logger.warn(
-        `Only first ${envSettings.maxDeletionsPerRun} will be processed`
+        `⚠️ Skipping ${entityOf(candidate).sys.type} ${
+          entityOf(candidate).sys.id
+        }: ${reason}`
       );
+    };
+
+    if (approval) {
+      planned
+        .filter((candidate) => !isApproved(approval, candidate))
+        .forEach((candidate) =>
+          skip(candidate, "Not in the approval file (or changed since)")
+        );
+      return candidates.filter((c) => c.willDelete);
+    }
 
-      // Mark excess entries as not-to-delete
-      for (let i = envSettings.maxDeletionsPerRun; i < toDelete.length; i++) {
-        toDelete[i].willDelete = false;
-        toDelete[i].skipReason = "Exceeded max deletions per run limit";
+    const unconfirmed = planned.filter((c) => c.requiresConfirmation);
+    if (unconfirmed.length > 0) {
+      if (!confirm) {
+        unconfirmed.forEach((candidate) =>
+          skip(
+            candidate,
+            "Needs confirmation (run in a terminal or pass --approve)"
+          )
+        );
+      } else if (!(await confirm(unconfirmed))) {
+        unconfirmed.forEach((candidate) => skip(candidate, "Not confirmed"));
       }
     }
+    return candidates.filter((c) => c.willDelete);
+  }
 
-    logger.info(
-      `📊 Deletion summary: ${deletionCandidates.length} candidates, ${
-        toDelete.filter((c) => c.willDelete).length
-      } will be deleted`
-    );
+  /**
+   * Carry out a candidate's rule action. Sets `candidate.outcome` to
+   * "applied", or "unchanged" when the entity is already in that state.
+   * @param {Object} candidate - From processEntriesForDeletion or
+   *   processAssetsForDeletion
+   * @returns {Promise<Object|null>} - The entry or asset as it is now; null
+   *   once deleted
+   */
+  async applyAction(candidate) {
+    const action = normalizeAction(candidate.action);
+    let entry = entityOf(candidate);
+    const id = entry.sys.id;
+    const run = (operation) =>
+      withRetry(() => entry[operation](), `${operation} ${id}`);
+    const published = Boolean(entry.sys.publishedVersion);
+    const archived = Boolean(entry.sys.archivedVersion);
+    candidate.outcome = "applied";
+
+    switch (action.type) {
+      case "delete":
+        if (published) entry = await run("unpublish");
+        if (archived) entry = await run("unarchive");
+        await run("delete");
+        return null;
+
+      case "archive":
+        if (archived) break;
+        if (published) entry = await run("unpublish");
+        return run("archive");
+
+      case "unpublish":
+        if (!published) break;
+        return run("unpublish");
+
+      case "addTag": {
+        const tags = (entry.metadata && entry.metadata.tags) || [];
+        if (tags.some((tag) => tag.sys.id === action.tag)) break;
+        entry.metadata = {
+          ...entry.metadata,
+          tags: [
+            ...tags,
+            { sys: { type: "Link", linkType: "Tag", id: action.tag } },
+          ],
+        };
+        return run("update");
+      }
 
-    return deletionCandidates;
+      case "setField":
+      case "clearField":
+        if (!this.writeField(entry, action)) break;
+        return run("update");
+
+      default:
+        throw new Error(`Unknown action: ${action.type}`);
+    }
+
+    candidate.outcome = "unchanged";
+    return entry;
+  }
+
+  /**
+   * Apply a setField or clearField action to an entry's local fields
+   * @param {Object} entry - Contentful entry
+   * @param {Object} action - { type, field, value?, locale? }
+   * @returns {boolean} - Whether the fields changed
+   */
+  writeField(entry, action) {
+    const { field } = action;
+    const stored = entry.fields && entry.fields[field];
+
+    if (action.type === "clearField") {
+      if (!stored) return false;
+      if (!action.locale) {
+        delete entry.fields[field];
+        return true;
+      }
+      if (stored[action.locale] === undefined) return false;
+      delete stored[action.locale];
+      if (Object.keys(stored).length === 0) delete entry.fields[field];
+      return true;
+    }
+
+    const locale =
+      action.locale || (this.locales && this.locales.defaultLocale);
+    if (!locale) {
+      throw new Error(
+        "setField without a locale needs the default locale (call loadLocales first)"
+      );
+    }
+    if (stored && isEqualValue(stored[locale], action.value)) return false;
+    entry.fields = entry.fields || {};
+    entry.fields[field] = { ...stored, [locale]: action.value };
+    return true;
   }
 
   /**
@@ -823,7 +1934,8 @@ class EntryDeletionProcessor {
   }
 
   /**
-   * Get enabled rules for an environment
+   * Get enabled rules for an environment: those that are not manual, or the
+   * ones picked by useRules()
    * @param {string} environment - Environment name
    * @returns {Object[]} - Array of enabled rules for the environment
    */
@@ -832,10 +1944,8 @@ class EntryDeletionProcessor {
       return [];
     }
 
-    return this.config.deletionRules.filter(
-      (rule) =>
-        rule.enabled &&
-        (!rule.environments || rule.environments.includes(environment))
+    return rulesFor(this.config, environment, this.ruleIds).map(
+      ({ rule }) => rule
     );
   }
 
@@ -850,12 +1960,17 @@ class EntryDeletionProcessor {
 
     const enabledRules = this.config.deletionRules.filter((r) => r.enabled);
     const contentTypes = [
-      ...new Set(this.config.deletionRules.flatMap((r) => r.contentTypes)),
+      ...new Set(
+        this.config.deletionRules.flatMap((r) => r.contentTypes || [])
+      ),
     ];
 
     return {
       totalRules: this.config.deletionRules.length,
       enabledRules: enabledRules.length,
+      assetRules: this.config.deletionRules.filter(
+        (r) => ruleTarget(r) === "assets"
+      ).length,
       contentTypes,
       environments: Object.keys(this.config.environmentConfig || {}),
     };
@@ -0,0 +1,644 @@
+/**
+ * Entry Validator
+ *
+ * Checks entries against their content type's validations before they are
+ * published, so entries Contentful would reject with a 422 are never sent.
+ * Content types and locales are loaded once; entries and assets that link
+ * validations need are fetched in batched `sys.id[in]` queries, and unique
+ * values are looked up among published entries once per content type.
+ *
+ * Covered: required (in every locale that is not optional), size, range,
+ * regexp, in, linkContentType, linkMimetypeGroup, unique and the Rich Text
+ * validations enabledNodeTypes, enabledMarks and nodes. Errors have the
+ * shape of CMA validation errors (`{name, path, details}`), so the validation
+ * report treats them like the ones Contentful returns. Links that do not
+ * resolve are left to publishing.
+ */
+
+const { withRetry } = require("../core");
+const { isRichText } = require("./field-diff");
+
+/** IDs (or values) per `[in]` query */
+const QUERY_BATCH_SIZE = 100;
+
+/** Rich Text nodes every field allows, whatever enabledNodeTypes says */
+const ALWAYS_ENABLED_NODES = [
+  "document",
+  "paragraph",
+  "text",
+  "list-item",
+  "table-row",
+  "table-cell",
+  "table-header-cell",
+];
+
+/** Rich Text nodes whose data.target is a link */
+const LINK_NODES = [
+  "embedded-entry-block",
+  "embedded-entry-inline",
+  "embedded-asset-block",
+  "entry-hyperlink",
+  "asset-hyperlink",
+];
+
+/**
+ * MIME types of each linkMimetypeGroup besides the `image/`, `audio/` and
+ * `video/` prefixes; anything else is an attachment
+ */
+const MIMETYPE_GROUPS = {
+  pdfdocument: ["application/pdf"],
+  plaintext: ["text/plain"],
+  markup: ["text/html", "application/xml", "text/xml", "application/xhtml+xml"],
+  code: [
+    "application/json",
+    "application/javascript",
+    "text/javascript",
+    "text/css",
+    "application/x-sh",
+  ],
+  richtext: [
+    "application/msword",
+    "application/rtf",
+    "text/rtf",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.oasis.opendocument.text",
+  ],
+  spreadsheet: [
+    "text/csv",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.oasis.opendocument.spreadsheet",
+  ],
+  presentation: [
+    "application/vnd.ms-powerpoint",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    "application/vnd.oasis.opendocument.presentation",
+  ],
+  archive: [
+    "application/zip",
+    "application/gzip",
+    "application/x-tar",
+    "application/x-7z-compressed",
+    "application/vnd.rar",
+  ],
+};
+
+/**
+ * @param {string} contentType - MIME type of an asset file
+ * @returns {string} Its linkMimetypeGroup
+ */
+function mimetypeGroup(contentType = "") {
+  const type = contentType.toLowerCase();
+  const prefix = ["image", "audio", "video"].find((group) =>
+    type.startsWith(`${group}/`)
+  );
+  if (prefix) return prefix;
+  const group = Object.keys(MIMETYPE_GROUPS).find((name) =>
+    MIMETYPE_GROUPS[name].includes(type)
+  );
+  return group || "attachment";
+}
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const isLink = (value) =>
+  Boolean(value && value.sys && value.sys.type === "Link" && value.sys.id);
+
+const linkKey = (link) => `${link.sys.linkType}:${link.sys.id}`;
+
+/**
+ * @param {object} field - Content type field
+ * @returns {boolean} Whether its validations look at linked entries or assets
+ */
+function checksLinks(field) {
+  const validations = [
+    ...(field.validations || []),
+    ...((field.items && field.items.validations) || []),
+  ];
+  return validations.some(
+    (v) => v.linkContentType || v.linkMimetypeGroup || v.nodes
+  );
+}
+
+/**
+ * Wrap local validation errors like the error the SDK throws for a 422, for
+ * code that handles failed publishes
+ * @param {Array<{name: string, path: string[], details: string}>} errors
+ * @returns {Error}
+ */
+function toValidationError(errors) {
+  const error = new Error("Validation error (checked before publishing)");
+  error.status = 422;
+  error.details = { errors };
+  return error;
+}
+
+class EntryValidator {
+  /**
+   * @param {import('contentful-management').Environment} environment
+   */
+  constructor(environment) {
+    this.environment = environment;
+    this.contentTypes = null;
+    this.defaultLocale = null;
+    // Locales required fields need a value in: the default locale and the
+    // ones that are not optional
+    this.requiredLocales = [];
+    // Linked entries and assets by "Entry:<id>"/"Asset:<id>"; null when missing
+    this.references = new Map();
+    // Entry IDs whose unique field values are taken, by "<entryId>:<fieldId>"
+    this.uniqueClashes = new Map();
+  }
+
+  /**
+   * Load content types and locales, once
+   */
+  async load() {
+    if (this.contentTypes) return;
+    const [contentTypes, locales] = await Promise.all([
+      withRetry(
+        () => this.environment.getContentTypes({ limit: 1000 }),
+        "load content types"
+      ),
+      withRetry(() => this.environment.getLocales(), "load locales"),
+    ]);
+    this.contentTypes = new Map(
+      contentTypes.items.map((contentType) => [contentType.sys.id, contentType])
+    );
+    this.defaultLocale = (
+      locales.items.find((locale) => locale.default) || { code: "en-US" }
+    ).code;
+    this.requiredLocales = [
+      this.defaultLocale,
+      ...locales.items
+        .filter((locale) => !locale.default && locale.optional === false)
+        .map((locale) => locale.code),
+    ];
+  }
+
+  /**
+   * @param {object} entry
+   * @returns {object|undefined} The entry's content type
+   */
+  contentTypeOf(entry) {
+    return this.contentTypes.get(entry.sys.contentType?.sys?.id);
+  }
+
+  /**
+   * Validate entries about to be published together
+   * @param {object[]} entries
+   * @returns {Promise<Map<string, Array<{name: string, path: Array, details: string}>>>}
+   *   Errors by entry ID, for the entries that fail
+   */
+  async validateEntries(entries) {
+    await this.load();
+    await this.fetchLinks(entries);
+    await this.findUniqueClashes(entries);
+    const failures = new Map();
+    for (const entry of entries) {
+      const errors = this.validateEntry(entry);
+      if (errors.length > 0) failures.set(entry.sys.id, errors);
+    }
+    return failures;
+  }
+
+  /**
+   * Fetch the entries and assets that linkContentType, linkMimetypeGroup
+   * and Rich Text node validations look at, in batches
+   * @param {object[]} entries
+   */
+  async fetchLinks(entries) {
+    const missing = { Entry: new Set(), Asset: new Set() };
+    entries.forEach((entry) =>
+      this.references.set(`Entry:${entry.sys.id}`, entry)
+    );
+    for (const entry of entries) {
+      const contentType = this.contentTypeOf(entry);
+      for (const field of contentType ? contentType.fields : []) {
+        if (!checksLinks(field)) continue;
+        const values = Object.values((entry.fields || {})[field.id] || {});
+        for (const link of values.flatMap((value) => this.linksOf(value))) {
+          if (
+            !this.references.has(linkKey(link)) &&
+            missing[link.sys.linkType]
+          ) {
+            missing[link.sys.linkType].add(link.sys.id);
+          }
+        }
+      }
+    }
+    for (const [linkType, idSet] of Object.entries(missing)) {
+      const ids = [...idSet];
+      for (let i = 0; i < ids.length; i += QUERY_BATCH_SIZE) {
+        const batch = ids.slice(i, i + QUERY_BATCH_SIZE);
+        const query = { "sys.id[in]": batch.join(","), limit: batch.length };
+        const { items } = await withRetry(
+          () =>
+            linkType === "Entry"
+              ? this.environment.getEntries(query)
+              : this.environment.getAssets(query),
+          `resolve ${linkType} links`
+        );
+        batch.forEach((id) => this.references.set(`${linkType}:${id}`, null));
+        items.forEach((item) =>
+          this.references.set(`${linkType}:${item.sys.id}`, item)
+        );
+      }
+    }
+  }
+
+  /**
+   * Links in a field value: single links, link arrays and Rich Text targets
+   * @param {*} value
+   * @returns {object[]}
+   */
+  linksOf(value) {
+    if (isRichText(value)) {
+      const links = [];
+      const visit = (node) => {
+        if (isLink(node.data?.target)) links.push(node.data.target);
+        (node.content || []).forEach(visit);
+      };
+      visit(value);
+      return links;
+    }
+    return (Array.isArray(value) ? value : [value]).filter(isLink);
+  }
+
+  /**
+   * Find unique field values (default locale) that another published entry,
+   * or an entry earlier in the list, already has
+   * @param {object[]} entries
+   */
+  async findUniqueClashes(entries) {
+    const byField = new Map();
+    for (const entry of entries) {
+      const contentType = this.contentTypeOf(entry);
+      for (const field of contentType ? contentType.fields : []) {
+        if (!(field.validations || []).some((v) => v.unique)) continue;
+        const value = ((entry.fields || {})[field.id] || {})[
+          this.defaultLocale
+        ];
+        if (isEmpty(value)) continue;
+        const key = `${contentType.sys.id}:${field.id}`;
+        if (!byField.has(key)) byField.set(key, []);
+        byField.get(key).push({ entry, value });
+      }
+    }
+
+    for (const [key, values] of byField) {
+      const [contentTypeId, fieldId] = key.split(":");
+      const owners = new Map();
+      const clash = (entry, ownerId) =>
+        this.uniqueClashes.set(`${entry.sys.id}:${fieldId}`, ownerId);
+
+      // Values containing commas cannot be queried with [in]
+      const queryable = [
+        ...new Set(
+          values.map(({ value }) => String(value)).filter((v) => !/,/.test(v))
+        ),
+      ];
+      for (let i = 0; i < queryable.length; i += QUERY_BATCH_SIZE) {
+        const batch = queryable.slice(i, i + QUERY_BATCH_SIZE);
+        const { items } = await withRetry(
+          () =>
+            this.environment.getEntries({
+              content_type: contentTypeId,
+              [`fields.${fieldId}[in]`]: batch.join(","),
+              "sys.publishedAt[exists]": true,
+              limit: 1000,
+            }),
+          `check unique ${fieldId} values`
+        );
+        for (const item of items) {
+          const published = ((item.fields || {})[fieldId] || {})[
+            this.defaultLocale
+          ];
+          if (!isEmpty(published)) {
+            owners.set(String(published), [
+              ...(owners.get(String(published)) || []),
+              item.sys.id,
+            ]);
+          }
+        }
+      }
+
+      // Entries of this run claim values in order
+      const claimed = new Map();
+      for (const { entry, value } of values) {
+        const text = String(value);
+        const other = (owners.get(text) || []).find(
+          (id) => id !== entry.sys.id
+        );
+        if (other) {
+          clash(entry, other);
+        } else if (claimed.has(text)) {
+          clash(entry, claimed.get(text));
+        } else {
+          claimed.set(text, entry.sys.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate one entry; links and unique values must have been looked up
+   * by validateEntries
+   * @param {object} entry
+   * @returns {Array<{name: string, path: Array, details: string}>}
+   */
+  validateEntry(entry) {
+    const contentType = this.contentTypeOf(entry);
+    if (!contentType) return [];
+    const errors = [];
+    const fields = entry.fields || {};
+
+    for (const field of contentType.fields) {
+      const locales = fields[field.id] || {};
+      if (field.required && !field.disabled && !field.omitted) {
+        // Fields that are not localized only have a default locale value
+        const required = field.localized
+          ? this.requiredLocales
+          : [this.defaultLocale];
+        for (const locale of required.filter((code) =>
+          isEmpty(locales[code])
+        )) {
+          errors.push({
+            name: "required",
+            path:
+              locale === this.defaultLocale
+                ? ["fields", field.id]
+                : ["fields", field.id, locale],
+            details:
+              locale === this.defaultLocale
+                ? `The property "${field.id}" is required here`
+                : `The property "${field.id}" is required in ${locale}`,
+          });
+        }
+      }
+      for (const [locale, value] of Object.entries(locales)) {
+        if (isEmpty(value)) continue;
+        const path = ["fields", field.id, locale];
+        errors.push(
+          ...this.checkValue(field, field.validations, value, path, locale)
+        );
+        if (field.type === "Array" && field.items) {
+          value.forEach((item, index) =>
+            errors.push(
+              ...this.checkValue(
+                field.items,
+                field.items.validations,
+                item,
+                [...path, index],
+                locale
+              )
+            )
+          );
+        }
+        if (locale === this.defaultLocale) {
+          const owner = this.uniqueClashes.get(`${entry.sys.id}:${field.id}`);
+          const unique = (field.validations || []).find((v) => v.unique);
+          if (owner && unique) {
+            errors.push({
+              name: "unique",
+              path,
+              details:
+                unique.message ||
+                `Same field value present in other entry ${owner}`,
+              conflicting: [owner],
+            });
+          }
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Check a value (a field value or an array item) against validations
+   * @param {object} field - Field or items definition (for its type)
+   * @param {object[]} [validations]
+   * @param {*} value
+   * @param {Array} path
+   * @param {string} locale
+   * @returns {object[]} Errors
+   */
+  checkValue(field, validations = [], value, path, locale) {
+    const errors = [];
+    const fail = (validation, name, details) =>
+      errors.push({ name, path, details: validation.message || details });
+
+    for (const validation of validations) {
+      if (validation.size && field.type !== "RichText") {
+        const { min, max } = validation.size;
+        const length =
+          typeof value === "string" || Array.isArray(value)
+            ? value.length
+            : null;
+        if (
+          length !== null &&
+          ((min !== undefined && length < min) ||
+            (max !== undefined && length > max))
+        ) {
+          fail(validation, "size", `Size must be ${bounds(min, max)}`);
+        }
+      }
+      if (validation.range && typeof value === "number") {
+        const { min, max } = validation.range;
+        if (
+          (min !== undefined && value < min) ||
+          (max !== undefined && value > max)
+        ) {
+          fail(validation, "range", `Value must be ${bounds(min, max)}`);
+        }
+      }
+      if (validation.regexp && typeof value === "string") {
+        const { pattern, flags } = validation.regexp;
+        let matches = true;
+        try {
+          matches = new RegExp(pattern, flags || "").test(value);
+        } catch (error) {
+          // Contentful refuses invalid patterns when the model is saved
+        }
+        if (!matches) {
+          fail(validation, "regexp", `Does not match /${pattern}/`);
+        }
+      }
+      if (
+        Array.isArray(validation.in) &&
+        ["string", "number"].includes(typeof value) &&
+        !validation.in.includes(value)
+      ) {
+        fail(
+          validation,
+          "in",
+          `Value must be one of ${validation.in.join(", ")}`
+        );
+      }
+      if (validation.linkContentType && isLink(value)) {
+        const target = this.references.get(linkKey(value));
+        const targetType = target && target.sys.contentType?.sys?.id;
+        if (targetType && !validation.linkContentType.includes(targetType)) {
+          fail(
+            validation,
+            "linkContentType",
+            `Linked entry ${
+              value.sys.id
+            } is a ${targetType}, not ${validation.linkContentType.join(
+              " or "
+            )}`
+          );
+        }
+      }
+      if (validation.linkMimetypeGroup && isLink(value)) {
+        const group = this.assetGroup(value, locale);
+        if (group && !validation.linkMimetypeGroup.includes(group)) {
+          fail(
+            validation,
+            "linkMimetypeGroup",
+            `Linked asset ${
+              value.sys.id
+            } is a ${group}, not ${validation.linkMimetypeGroup.join(" or ")}`
+          );
+        }
+      }
+    }
+    if (isRichText(value)) {
+      errors.push(...this.checkRichText(validations, value, path, locale));
+    }
+    return errors;
+  }
+
+  /**
+   * @param {object} link - Asset link
+   * @param {string} locale
+   * @returns {string|null} The linked asset's MIME type group, when known
+   */
+  assetGroup(link, locale) {
+    const asset = this.references.get(linkKey(link));
+    const files = (asset && asset.fields && asset.fields.file) || {};
+    const file = files[locale] || files[this.defaultLocale];
+    return file && file.contentType ? mimetypeGroup(file.contentType) : null;
+  }
+
+  /**
+   * Rich Text validations: enabledNodeTypes, enabledMarks, and per node type
+   * size, linkContentType and linkMimetypeGroup (`nodes`)
+   * @param {object[]} validations
+   * @param {object} document
+   * @param {Array} path
+   * @param {string} locale
+   * @returns {object[]} Errors
+   */
+  checkRichText(validations, document, path, locale) {
+    const errors = [];
+    const nodes = [];
+    const marks = new Set();
+    const visit = (node) => {
+      nodes.push(node);
+      (node.marks || []).forEach((mark) => marks.add(mark.type));
+      (node.content || []).forEach(visit);
+    };
+    visit(document);
+
+    for (const validation of validations) {
+      if (validation.enabledNodeTypes) {
+        const disabled = [
+          ...new Set(
+            nodes
+              .map((node) => node.nodeType)
+              .filter(
+                (type) =>
+                  !ALWAYS_ENABLED_NODES.includes(type) &&
+                  !validation.enabledNodeTypes.includes(type)
+              )
+          ),
+        ];
+        if (disabled.length > 0) {
+          errors.push({
+            name: "enabledNodeTypes",
+            path,
+            details:
+              validation.message ||
+              `Node types not allowed: ${disabled.join(", ")}`,
+          });
+        }
+      }
+      if (validation.enabledMarks) {
+        const disabled = [...marks].filter(
+          (mark) => !validation.enabledMarks.includes(mark)
+        );
+        if (disabled.length > 0) {
+          errors.push({
+            name: "enabledMarks",
+            path,
+            details:
+              validation.message || `Marks not allowed: ${disabled.join(", ")}`,
+          });
+        }
+      }
+      if (validation.nodes) {
+        for (const [nodeType, nodeValidations] of Object.entries(
+          validation.nodes
+        )) {
+          const matching = nodes.filter((node) => node.nodeType === nodeType);
+          for (const nodeValidation of nodeValidations || []) {
+            if (nodeValidation.size) {
+              const { min, max } = nodeValidation.size;
+              if (
+                (min !== undefined && matching.length < min) ||
+                (max !== undefined && matching.length > max)
+              ) {
+                errors.push({
+                  name: "size",
+                  path,
+                  details:
+                    nodeValidation.message ||
+                    `Number of ${nodeType} nodes must be ${bounds(min, max)}`,
+                });
+              }
+            }
+          }
+          if (!LINK_NODES.includes(nodeType)) continue;
+          const linkValidations = (nodeValidations || []).filter(
+            (v) => v.linkContentType || v.linkMimetypeGroup
+          );
+          for (const node of matching) {
+            errors.push(
+              ...this.checkValue(
+                { type: "Link" },
+                linkValidations,
+                node.data?.target,
+                path,
+                locale
+              )
+            );
+          }
+        }
+      }
+    }
+    return errors;
+  }
+}
+
+/**
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {string} e.g. "between 1 and 5", "at least 1", "at most 5"
+ */
+function bounds(min, max) {
+  if (min !== undefined && max !== undefined) {
+    return `between ${min} and ${max}`;
+  }
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+module.exports = {
+  EntryValidator,
+  mimetypeGroup,
+  toValidationError,
+};
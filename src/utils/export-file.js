@@ -0,0 +1,89 @@
+/**
+ * Contentful Export Files
+ *
+ * Opens a file written by contentful-export (the `contentFile` of export.json)
+ * as an offline environment backed by the fake CMA, so rules can be evaluated
+ * without credentials or API calls. Nothing is written back to the file, and
+ * link queries (links_to_entry, links_to_asset) are answered from the
+ * export's own entries.
+ */
+
+const fs = require("fs");
+const { createClient } = require("../core");
+const { FakeContentfulStore } = require("./fake-contentful");
+
+// IDs the export is served under when its entities do not name them
+const EXPORT_SPACE = "export";
+const EXPORT_ENVIRONMENT = "master";
+
+class ExportFileError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} file
+   */
+  constructor(message, file) {
+    super(`${message} (${file})`);
+    this.name = "ExportFileError";
+    this.file = file;
+  }
+}
+
+/**
+ * Read and check a contentful-export file
+ * @param {string} file
+ * @returns {{contentTypes: Object[], entries: Object[], assets: Object[], locales: Object[], tags: Object[], editorInterfaces: Object[]}}
+ * @throws {ExportFileError} When the file is unreadable or not an export
+ */
+function loadExportFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ExportFileError(
+      `Cannot read export file: ${error.message}`,
+      file
+    );
+  }
+  if (!data || !Array.isArray(data.entries)) {
+    throw new ExportFileError(
+      'Not a contentful-export file: it has no "entries" array',
+      file
+    );
+  }
+  const list = (key) => (Array.isArray(data[key]) ? data[key] : []);
+  return {
+    contentTypes: list("contentTypes"),
+    entries: data.entries,
+    assets: list("assets"),
+    locales: list("locales"),
+    tags: list("tags"),
+    editorInterfaces: list("editorInterfaces"),
+  };
+}
+
+/**
+ * Open an export file as a read-only environment
+ * @param {string} file
+ * @returns {Promise<import('contentful-management').Environment>}
+ * @throws {ExportFileError}
+ */
+async function openExport(file) {
+  const data = loadExportFile(file);
+  const sys = data.entries[0]?.sys || {};
+  const spaceId = sys.space?.sys?.id || EXPORT_SPACE;
+  const environmentId = sys.environment?.sys?.id || EXPORT_ENVIRONMENT;
+  const store = new FakeContentfulStore({
+    data: {
+      spaces: { [spaceId]: { environments: { [environmentId]: data } } },
+    },
+  });
+  const client = createClient({ fake: store, journal: false });
+  const space = await client.getSpace(spaceId);
+  return space.getEnvironment(environmentId);
+}
+
+module.exports = {
+  ExportFileError,
+  loadExportFile,
+  openExport,
+};
@@ -0,0 +1,1336 @@
+/**
+ * Fake Contentful Management API
+ *
+ * An in-memory (optionally file-backed) stand-in for the contentful-management
+ * client. It implements the subset of the CMA surface the CLIs rely on so that
+ * publish, merge and migration flows can run end to end without a real space:
+ *
+ * - client.getSpace / space.getEnvironment(s)
+ * - entries, assets, content types, locales, tags and editor interfaces
+ * - uploads (createUpload) that assets reference through `uploadFrom`
+ * - collection queries: content_type, links_to_entry, links_to_asset,
+ *   `<path>[exists|in|nin|ne|all|match|gt|gte|lt|lte]`, order, skip and limit
+ * - publish / unpublish / archive / unarchive / delete with CMA versioning
+ * - 400, 404, 409, 422 and 429 errors shaped like the real SDK errors
+ *
+ * Fixture format (JSON):
+ * {
+ *   "spaces": {
+ *     "<spaceId>": {
+ *       "name": "Optional name",
+ *       "environments": {
+ *         "<environmentId>": {
+ *           "locales": [], "contentTypes": [], "editorInterfaces": [],
+ *           "entries": [], "assets": [], "tags": []
+ *         }
+ *       }
+ *     }
+ *   },
+ *   "faults": [{ "operation": "publish", "status": 429, "times": 1 }],
+ *   "rateLimit": { "perSecond": 7 }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STATUS_TEXT = {
+  400: "Bad Request",
+  404: "Not Found",
+  409: "Conflict",
+  422: "Unprocessable Entity",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+};
+
+const ERROR_IDS = {
+  400: "BadRequest",
+  404: "NotFound",
+  409: "VersionMismatch",
+  422: "ValidationFailed",
+  429: "RateLimitExceeded",
+  500: "ServerError",
+};
+
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_LOCALE = {
+  code: "en-US",
+  name: "English (United States)",
+  default: true,
+};
+
+let requestCounter = 0;
+
+/**
+ * Build an error shaped like the ones thrown by contentful-management.
+ * The real SDK only exposes status and details inside the JSON message; they are
+ * mirrored as properties here because the CLIs branch on error.status/details.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human readable message
+ * @param {object} details - Error details (e.g. { errors: [...] })
+ * @param {object} headers - Response headers
+ * @returns {Error}
+ */
+function createApiError(status, message, details = {}, headers = {}) {
+  const statusText = STATUS_TEXT[status] || "Error";
+  const requestId = `fake-${++requestCounter}`;
+  const error = new Error(
+    JSON.stringify(
+      { status, statusText, message, details, requestId },
+      null,
+      "  "
+    )
+  );
+  error.name = ERROR_IDS[status] || `${status} ${statusText}`;
+  error.status = status;
+  error.statusText = statusText;
+  error.details = details;
+  error.headers = headers;
+  error.requestId = requestId;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function isLink(value) {
+  return Boolean(value && value.sys && value.sys.type === "Link");
+}
+
+/**
+ * Collect every Link object found anywhere inside a value (fields, rich text...)
+ * @param {any} value
+ * @param {Array} links - Accumulator
+ * @returns {Array<{sys: object}>}
+ */
+function collectLinks(value, links = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLinks(item, links));
+  } else if (value && typeof value === "object") {
+    if (isLink(value)) {
+      links.push(value);
+    } else {
+      Object.values(value).forEach((item) => collectLinks(item, links));
+    }
+  }
+  return links;
+}
+
+/**
+ * In-memory store holding the state of every fake space/environment
+ */
+class FakeContentfulStore {
+  /**
+   * @param {object} options
+   * @param {object} options.data - Fixture data (see module header)
+   * @param {string} options.filePath - Fixture file backing this store
+   * @param {boolean} options.persist - Write changes back to filePath
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.persist = Boolean(options.persist && this.filePath);
+    this.faults = [];
+    this.rateLimit = null;
+    this.requestLog = [];
+    this.responseListeners = [];
+    this.windowStart = 0;
+    this.windowCount = 0;
+    this.spaces = {};
+    this.uploads = {};
+    this.load(options.data || { spaces: {} });
+  }
+
+  /**
+   * Create a store from a fixture file
+   * @param {string} filePath - Path to the fixture JSON
+   * @param {object} options - { persist }
+   * @returns {FakeContentfulStore}
+   */
+  static fromFile(filePath, options = {}) {
+    const resolved = path.resolve(filePath);
+    const data = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    return new FakeContentfulStore({ ...options, data, filePath: resolved });
+  }
+
+  load(data) {
+    this.spaces = {};
+    for (const [spaceId, space] of Object.entries(data.spaces || {})) {
+      this.addSpace(spaceId, space);
+    }
+    (data.faults || []).forEach((fault) => this.injectFault(fault));
+    if (data.rateLimit) {
+      this.setRateLimit(data.rateLimit.perSecond);
+    }
+  }
+
+  /**
+   * Add (or replace) a space in the store
+   * @param {string} spaceId
+   * @param {object} space - { name, environments: { id: {...} } }
+   */
+  addSpace(spaceId, space = {}) {
+    const state = {
+      sys: { type: "Space", id: spaceId },
+      name: space.name || spaceId,
+      environments: {},
+    };
+    this.spaces[spaceId] = state;
+    for (const [envId, env] of Object.entries(space.environments || {})) {
+      this.addEnvironment(spaceId, envId, env);
+    }
+    return state;
+  }
+
+  /**
+   * Add (or replace) an environment inside an existing space
+   * @param {string} spaceId
+   * @param {string} environmentId
+   * @param {object} env - Arrays of locales, contentTypes, entries, ...
+   */
+  addEnvironment(spaceId, environmentId, env = {}) {
+    const space = this.spaces[spaceId] || this.addSpace(spaceId);
+    const locales = (
+      env.locales && env.locales.length ? env.locales : [DEFAULT_LOCALE]
+    ).map((locale) => ({
+      ...clone(locale),
+      sys: {
+        type: "Locale",
+        id: locale.code,
+        version: 1,
+        ...(locale.sys || {}),
+      },
+    }));
+
+    const state = {
+      sys: {
+        type: "Environment",
+        id: environmentId,
+        space: { sys: { id: spaceId } },
+      },
+      name: environmentId,
+      locales,
+      contentTypes: {},
+      editorInterfaces: {},
+      entries: {},
+      assets: {},
+      tags: {},
+    };
+    space.environments[environmentId] = state;
+
+    const context = { spaceId, environmentId };
+    (env.contentTypes || []).forEach((ct) => {
+      state.contentTypes[ct.sys.id] = this.normalizeEntity(
+        ct,
+        "ContentType",
+        context
+      );
+    });
+    (env.editorInterfaces || []).forEach((ei) => {
+      const ctId = ei.sys.contentType.sys.id;
+      state.editorInterfaces[ctId] = clone(ei);
+    });
+    (env.entries || []).forEach((entry) => {
+      state.entries[entry.sys.id] = this.normalizeEntity(
+        entry,
+        "Entry",
+        context
+      );
+    });
+    (env.assets || []).forEach((asset) => {
+      state.assets[asset.sys.id] = this.normalizeEntity(
+        asset,
+        "Asset",
+        context
+      );
+    });
+    (env.tags || []).forEach((tag) => {
+      state.tags[tag.sys.id] = {
+        ...clone(tag),
+        sys: { type: "Tag", version: 1, ...tag.sys },
+      };
+    });
+    return state;
+  }
+
+  /**
+   * Fill in the sys properties a fixture may omit
+   */
+  normalizeEntity(raw, type, { spaceId, environmentId }) {
+    const entity = clone(raw);
+    const sys = { ...entity.sys, type };
+    const timestamp = sys.createdAt || now();
+    sys.createdAt = timestamp;
+    sys.updatedAt = sys.updatedAt || timestamp;
+    sys.space = { sys: { type: "Link", linkType: "Space", id: spaceId } };
+    sys.environment = {
+      sys: { type: "Link", linkType: "Environment", id: environmentId },
+    };
+
+    if (sys.publishedVersion && !sys.version) {
+      sys.version = sys.publishedVersion + 1;
+    }
+    sys.version = sys.version || 1;
+    if (sys.publishedVersion) {
+      sys.publishedAt = sys.publishedAt || sys.updatedAt;
+      sys.firstPublishedAt = sys.firstPublishedAt || sys.publishedAt;
+      sys.publishedCounter = sys.publishedCounter || 1;
+    }
+    if (sys.archivedVersion) {
+      sys.archivedAt = sys.archivedAt || sys.updatedAt;
+    }
+
+    entity.sys = sys;
+    if (type !== "ContentType") {
+      entity.fields = entity.fields || {};
+      entity.metadata = entity.metadata || { tags: [] };
+    } else {
+      entity.fields = entity.fields || [];
+      entity.displayField = entity.displayField || null;
+    }
+    return entity;
+  }
+
+  /**
+   * Serialize the store back into the fixture format
+   * @returns {object}
+   */
+  toJSON() {
+    const spaces = {};
+    for (const [spaceId, space] of Object.entries(this.spaces)) {
+      const environments = {};
+      for (const [envId, env] of Object.entries(space.environments)) {
+        environments[envId] = {
+          locales: env.locales,
+          contentTypes: Object.values(env.contentTypes),
+          editorInterfaces: Object.values(env.editorInterfaces),
+          entries: Object.values(env.entries),
+          assets: Object.values(env.assets),
+          tags: Object.values(env.tags),
+        };
+      }
+      spaces[spaceId] = { name: space.name, environments };
+    }
+    return { spaces };
+  }
+
+  save() {
+    if (this.persist) {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+  }
+
+  /**
+   * Queue an error for the next matching request(s).
+   * @param {object} fault
+   * @param {string} fault.operation - e.g. "publish", "getEntries", "*"
+   * @param {number} fault.status - HTTP status to fail with
+   * @param {number} fault.times - How many requests to fail (default 1)
+   * @param {string} fault.entityId - Only fail requests for this entity
+   * @param {number} fault.reset - Seconds reported in x-contentful-ratelimit-reset
+   */
+  injectFault(fault) {
+    this.faults.push({ times: 1, operation: "*", ...fault });
+  }
+
+  /**
+   * Enforce a per-second request budget; excess requests fail with 429
+   * @param {number|null} perSecond
+   */
+  setRateLimit(perSecond) {
+    this.rateLimit = perSecond ? { perSecond } : null;
+  }
+
+  /**
+   * Register a listener called with a response-like object for every request,
+   * mirroring the `responseLogger` option of contentful-management.
+   * @param {Function} listener
+   */
+  onResponse(listener) {
+    this.responseListeners.push(listener);
+  }
+
+  rateLimitHeaders() {
+    const headers = {};
+    if (this.rateLimit) {
+      const elapsed = Date.now() - this.windowStart;
+      headers["x-contentful-ratelimit-second-limit"] = String(
+        this.rateLimit.perSecond
+      );
+      headers["x-contentful-ratelimit-second-remaining"] = String(
+        Math.max(0, this.rateLimit.perSecond - this.windowCount)
+      );
+      headers["x-contentful-ratelimit-reset"] = String(
+        Math.max(1, Math.ceil((1000 - elapsed) / 1000))
+      );
+    }
+    return headers;
+  }
+
+  emitResponse(context, operation, status, headers) {
+    const response = { status, headers, config: { method: operation } };
+    this.responseListeners.forEach((listener) => listener(response));
+    if (context && context.responseLogger) {
+      context.responseLogger(response);
+    }
+  }
+
+  /**
+   * Account for a request: apply rate limiting and injected faults
+   * @param {object} context - Calling client context ({ responseLogger, ... })
+   * @param {string} operation
+   * @param {string} entityId
+   */
+  request(context, operation, entityId) {
+    this.requestLog.push({ operation, entityId, at: Date.now() });
+
+    if (this.rateLimit) {
+      if (Date.now() - this.windowStart >= 1000) {
+        this.windowStart = Date.now();
+        this.windowCount = 0;
+      }
+      this.windowCount++;
+      if (this.windowCount > this.rateLimit.perSecond) {
+        const headers = this.rateLimitHeaders();
+        this.emitResponse(context, operation, 429, headers);
+        throw createApiError(
+          429,
+          "You have exceeded the rate limit of the Organization this Space belongs to.",
+          {},
+          headers
+        );
+      }
+    }
+
+    const faultIndex = this.faults.findIndex(
+      (fault) =>
+        (fault.operation === "*" || fault.operation === operation) &&
+        (!fault.entityId || fault.entityId === entityId)
+    );
+    if (faultIndex !== -1) {
+      const fault = this.faults[faultIndex];
+      fault.times--;
+      if (fault.times <= 0) {
+        this.faults.splice(faultIndex, 1);
+      }
+      const headers = { ...this.rateLimitHeaders() };
+      if (fault.status === 429) {
+        headers["x-contentful-ratelimit-reset"] = String(fault.reset || 1);
+      }
+      this.emitResponse(context, operation, fault.status, headers);
+      throw createApiError(
+        fault.status,
+        fault.message || `Injected ${fault.status} for ${operation}`,
+        fault.details || {},
+        headers
+      );
+    }
+
+    this.emitResponse(context, operation, 200, this.rateLimitHeaders());
+  }
+
+  getSpaceState(spaceId) {
+    const space = this.spaces[spaceId];
+    if (!space) {
+      throw createApiError(404, "The resource could not be found.", {
+        type: "Space",
+        id: spaceId,
+      });
+    }
+    return space;
+  }
+
+  getEnvironmentState(spaceId, environmentId) {
+    const env = this.getSpaceState(spaceId).environments[environmentId];
+    if (!env) {
+      throw createApiError(404, "The resource could not be found.", {
+        type: "Environment",
+        id: environmentId,
+      });
+    }
+    return env;
+  }
+
+  defaultLocale(env) {
+    const locale = env.locales.find((l) => l.default) || env.locales[0];
+    return locale.code;
+  }
+
+  /**
+   * Resolve every value reachable through a dotted path. Arrays and localized
+   * field maps fan out, and a `fields` segment after a Link follows the link.
+   * @returns {Array<any>}
+   */
+  resolvePath(env, entity, pathSegments) {
+    let values = [{ value: entity, kind: "entity" }];
+    for (const segment of pathSegments) {
+      const next = [];
+      for (let { value, kind } of values) {
+        if (kind === "value" && isLink(value) && segment === "fields") {
+          const linked =
+            value.sys.linkType === "Asset" ? env.assets : env.entries;
+          value = linked[value.sys.id];
+          kind = "entity";
+        }
+        if (value === undefined || value === null || typeof value !== "object")
+          continue;
+        const child = value[segment];
+        if (child === undefined) continue;
+
+        if (
+          kind === "entity" &&
+          segment === "fields" &&
+          value.sys.type !== "ContentType"
+        ) {
+          next.push({ value: child, kind: "fields" });
+          continue;
+        }
+        // fields.<id> is a locale map: fan out over every locale
+        const expanded =
+          kind === "fields" && child && typeof child === "object"
+            ? Object.values(child)
+            : [child];
+        expanded.forEach((item) => {
+          (Array.isArray(item) ? item : [item]).forEach((v) =>
+            next.push({ value: v, kind: "value" })
+          );
+        });
+      }
+      values = next;
+    }
+    return values.map((entry) => entry.value);
+  }
+
+  /**
+   * Apply CMA query parameters to a collection
+   * @returns {{items: Array, total: number, skip: number, limit: number}}
+   */
+  query(env, collection, query = {}) {
+    const skip = Number(query.skip || 0);
+    const limit =
+      query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (limit > MAX_PAGE_SIZE) {
+      throw createApiError(400, `Limit must be at most ${MAX_PAGE_SIZE}`, {
+        errors: [
+          { name: "max", value: limit, max: MAX_PAGE_SIZE, path: ["limit"] },
+        ],
+      });
+    }
+
+    let items = Object.values(collection);
+    for (const [key, rawValue] of Object.entries(query)) {
+      if (
+        ["skip", "limit", "order", "include", "select", "locale"].includes(key)
+      ) {
+        continue;
+      }
+      items = items.filter((item) =>
+        this.matchesCondition(env, item, key, rawValue)
+      );
+    }
+
+    if (query.order) {
+      const orders = String(query.order).split(",");
+      items = [...items].sort((a, b) => {
+        for (const order of orders) {
+          const descending = order.startsWith("-");
+          const segments = order.replace(/^-/, "").split(".");
+          const [av] = this.resolvePath(env, a, segments);
+          const [bv] = this.resolvePath(env, b, segments);
+          if (av === bv) continue;
+          const result =
+            av === undefined ? 1 : bv === undefined ? -1 : av < bv ? -1 : 1;
+          return descending ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    return {
+      sys: { type: "Array" },
+      total: items.length,
+      skip,
+      limit,
+      items: items.slice(skip, skip + limit),
+    };
+  }
+
+  matchesCondition(env, item, key, rawValue) {
+    if (key === "content_type") {
+      return item.sys.contentType && item.sys.contentType.sys.id === rawValue;
+    }
+    if (key === "links_to_entry" || key === "links_to_asset") {
+      const linkType = key === "links_to_entry" ? "Entry" : "Asset";
+      return collectLinks(item.fields).some(
+        (link) => link.sys.linkType === linkType && link.sys.id === rawValue
+      );
+    }
+    if (key === "query") {
+      return JSON.stringify(item.fields)
+        .toLowerCase()
+        .includes(String(rawValue).toLowerCase());
+    }
+
+    const match = key.match(
+      /^(.+?)(?:\[(exists|in|nin|ne|all|match|gt|gte|lt|lte)\])?$/
+    );
+    const [, fieldPath, operator] = match;
+    const values = this.resolvePath(env, item, fieldPath.split("."));
+    const list = () =>
+      (Array.isArray(rawValue) ? rawValue : String(rawValue).split(",")).map(
+        String
+      );
+    const compare = (fn) => values.some((value) => value !== null && fn(value));
+
+    switch (operator) {
+      case "exists": {
+        const wanted = rawValue === true || rawValue === "true";
+        const exists = values.some(
+          (value) => value !== null && value !== undefined
+        );
+        return exists === wanted;
+      }
+      case "in":
+        return values.some((value) => list().includes(String(value)));
+      case "nin":
+        return !values.some((value) => list().includes(String(value)));
+      case "all":
+        return list().every((wanted) => values.map(String).includes(wanted));
+      case "ne":
+        return !values.some((value) => String(value) === String(rawValue));
+      case "match":
+        return compare((value) =>
+          String(value).toLowerCase().includes(String(rawValue).toLowerCase())
+        );
+      case "gt":
+        return compare((value) => value > rawValue);
+      case "gte":
+        return compare((value) => value >= rawValue);
+      case "lt":
+        return compare((value) => value < rawValue);
+      case "lte":
+        return compare((value) => value <= rawValue);
+      default:
+        return values.some((value) => String(value) === String(rawValue));
+    }
+  }
+
+  /**
+   * Publish-time validation: required fields and resolvable links
+   * @returns {Array} CMA style validation errors
+   */
+  validateForPublish(env, raw) {
+    const errors = [];
+    const defaultLocale = this.defaultLocale(env);
+
+    if (raw.sys.type === "Entry") {
+      const contentType = env.contentTypes[raw.sys.contentType.sys.id];
+      if (contentType) {
+        for (const field of contentType.fields) {
+          if (field.disabled || field.omitted) continue;
+          const value =
+            raw.fields[field.id] && raw.fields[field.id][defaultLocale];
+          const missing =
+            field.required &&
+            (value === undefined ||
+              value === null ||
+              value === "" ||
+              (Array.isArray(value) && value.length === 0));
+          if (missing) {
+            errors.push({
+              name: "required",
+              path: ["fields", field.id],
+              details: `The property "${field.id}" is required here`,
+            });
+          }
+        }
+      }
+    }
+
+    for (const [fieldId, localized] of Object.entries(raw.fields || {})) {
+      for (const [locale, value] of Object.entries(localized || {})) {
+        collectLinks(value).forEach((link) => {
+          const collection =
+            link.sys.linkType === "Asset"
+              ? env.assets
+              : link.sys.linkType === "Entry"
+              ? env.entries
+              : null;
+          if (!collection) return;
+          const target = collection[link.sys.id];
+          if (!target || !target.sys.publishedVersion) {
+            errors.push({
+              name: "notResolvable",
+              link: {
+                type: "Link",
+                linkType: link.sys.linkType,
+                id: link.sys.id,
+              },
+              path: ["fields", fieldId, locale],
+            });
+          }
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Update-time validation: unknown fields and locales
+   */
+  validateForUpdate(env, raw) {
+    const errors = [];
+    const localeCodes = env.locales.map((l) => l.code);
+    const contentType =
+      raw.sys.type === "Entry"
+        ? env.contentTypes[raw.sys.contentType.sys.id]
+        : null;
+
+    for (const [fieldId, localized] of Object.entries(raw.fields || {})) {
+      if (contentType && !contentType.fields.some((f) => f.id === fieldId)) {
+        errors.push({
+          name: "unknown",
+          path: ["fields", fieldId],
+          details: `The property "${fieldId}" is not expected`,
+        });
+        continue;
+      }
+      for (const locale of Object.keys(localized || {})) {
+        if (!localeCodes.includes(locale)) {
+          errors.push({
+            name: "unknown",
+            path: ["fields", fieldId, locale],
+            details: `The locale "${locale}" is not defined in this environment`,
+          });
+        }
+      }
+    }
+    return errors;
+  }
+}
+
+/**
+ * Generic per-entity operations shared by entries, assets and content types
+ */
+function collectionFor(env, type) {
+  switch (type) {
+    case "Entry":
+      return env.entries;
+    case "Asset":
+      return env.assets;
+    case "ContentType":
+      return env.contentTypes;
+    default:
+      throw new Error(`Unsupported entity type: ${type}`);
+  }
+}
+
+function getStored(env, type, id) {
+  const stored = collectionFor(env, type)[id];
+  if (!stored) {
+    throw createApiError(404, "The resource could not be found.", { type, id });
+  }
+  return stored;
+}
+
+function assertVersion(stored, version) {
+  if (version !== undefined && version !== stored.sys.version) {
+    throw createApiError(409, "Version mismatch", {
+      expected: stored.sys.version,
+      received: version,
+    });
+  }
+}
+
+function touch(stored) {
+  stored.sys.version++;
+  stored.sys.updatedAt = now();
+}
+
+/**
+ * Wrap a raw entity with SDK-like methods. Methods are non-enumerable so the
+ * wrapper serializes exactly like the raw entity.
+ */
+function wrapEntity(store, context, raw) {
+  const { spaceId, environmentId } = context;
+  const type = raw.sys.type;
+  const entity = clone(raw);
+  const env = () => store.getEnvironmentState(spaceId, environmentId);
+
+  const methods = {
+    toPlainObject() {
+      return clone(raw);
+    },
+    isPublished() {
+      return Boolean(entity.sys.publishedVersion);
+    },
+    isDraft() {
+      return !entity.sys.publishedVersion && !entity.sys.archivedVersion;
+    },
+    isUpdated() {
+      return Boolean(
+        entity.sys.publishedVersion &&
+          entity.sys.version > entity.sys.publishedVersion + 1
+      );
+    },
+    isArchived() {
+      return Boolean(entity.sys.archivedVersion);
+    },
+    async update() {
+      store.request(context, "update", entity.sys.id);
+      const state = env();
+      const stored = getStored(state, type, entity.sys.id);
+      assertVersion(stored, entity.sys.version);
+      if (stored.sys.archivedVersion) {
+        throw createApiError(400, "Cannot update an archived entity", {
+          id: entity.sys.id,
+        });
+      }
+      const candidate = { ...stored, fields: clone(entity.fields) };
+      const errors =
+        type === "ContentType" ? [] : store.validateForUpdate(state, candidate);
+      if (errors.length) {
+        throw createApiError(422, "Validation error", { errors });
+      }
+      stored.fields = clone(entity.fields);
+      if (type === "ContentType") {
+        stored.name = entity.name;
+        stored.description = entity.description;
+        stored.displayField = entity.displayField;
+      } else {
+        stored.metadata = clone(entity.metadata) || { tags: [] };
+      }
+      touch(stored);
+      store.save();
+      return wrapEntity(store, context, stored);
+    },
+    async publish() {
+      store.request(context, "publish", entity.sys.id);
+      const state = env();
+      const stored = getStored(state, type, entity.sys.id);
+      assertVersion(stored, entity.sys.version);
+      if (stored.sys.archivedVersion) {
+        throw createApiError(400, "Cannot publish an archived entity", {
+          id: entity.sys.id,
+        });
+      }
+      const errors =
+        type === "ContentType" ? [] : store.validateForPublish(state, stored);
+      if (errors.length) {
+        throw createApiError(422, "Validation error", { errors });
+      }
+      const timestamp = now();
+      stored.sys.publishedVersion = stored.sys.version;
+      stored.sys.publishedAt = timestamp;
+      stored.sys.firstPublishedAt = stored.sys.firstPublishedAt || timestamp;
+      stored.sys.publishedCounter = (stored.sys.publishedCounter || 0) + 1;
+      touch(stored);
+      store.save();
+      return wrapEntity(store, context, stored);
+    },
+    async unpublish() {
+      store.request(context, "unpublish", entity.sys.id);
+      const state = env();
+      const stored = getStored(state, type, entity.sys.id);
+      if (!stored.sys.publishedVersion) {
+        throw createApiError(400, "Not published", { id: entity.sys.id });
+      }
+      if (type === "ContentType") {
+        const hasEntries = Object.values(state.entries).some(
+          (entry) => entry.sys.contentType.sys.id === entity.sys.id
+        );
+        if (hasEntries) {
+          throw createApiError(
+            400,
+            "Cannot deactivate a content type that still has entries",
+            {
+              id: entity.sys.id,
+            }
+          );
+        }
+      }
+      delete stored.sys.publishedVersion;
+      delete stored.sys.publishedAt;
+      touch(stored);
+      store.save();
+      return wrapEntity(store, context, stored);
+    },
+    async archive() {
+      store.request(context, "archive", entity.sys.id);
+      const stored = getStored(env(), type, entity.sys.id);
+      if (stored.sys.publishedVersion) {
+        throw createApiError(400, "Cannot archive a published entity", {
+          id: entity.sys.id,
+        });
+      }
+      if (stored.sys.archivedVersion) {
+        throw createApiError(400, "Already archived", { id: entity.sys.id });
+      }
+      stored.sys.archivedVersion = stored.sys.version;
+      stored.sys.archivedAt = now();
+      touch(stored);
+      store.save();
+      return wrapEntity(store, context, stored);
+    },
+    async unarchive() {
+      store.request(context, "unarchive", entity.sys.id);
+      const stored = getStored(env(), type, entity.sys.id);
+      if (!stored.sys.archivedVersion) {
+        throw createApiError(400, "Not archived", { id: entity.sys.id });
+      }
+      delete stored.sys.archivedVersion;
+      delete stored.sys.archivedAt;
+      touch(stored);
+      store.save();
+      return wrapEntity(store, context, stored);
+    },
+    async delete() {
+      store.request(context, "delete", entity.sys.id);
+      const state = env();
+      const stored = getStored(state, type, entity.sys.id);
+      if (stored.sys.publishedVersion) {
+        throw createApiError(400, "Cannot delete a published entity", {
+          id: entity.sys.id,
+        });
+      }
+      delete collectionFor(state, type)[entity.sys.id];
+      if (type === "ContentType") {
+        delete state.editorInterfaces[entity.sys.id];
+      }
+      store.save();
+    },
+  };
+
+  if (type === "Asset") {
+    methods.processForLocale = async function processForLocale(locale) {
+      store.request(context, "process", entity.sys.id);
+      const stored = getStored(env(), type, entity.sys.id);
+      assertVersion(stored, entity.sys.version);
+      const file = stored.fields.file && stored.fields.file[locale];
+      if (file && file.uploadFrom && !file.url) {
+        const upload = store.uploads[file.uploadFrom.sys.id];
+        if (!upload) {
+          throw createApiError(422, "Validation error", {
+            errors: [{ name: "notResolvable", path: ["fields", "file"] }],
+          });
+        }
+        file.url = `//assets.fake.contentful/${spaceId}/${upload.sys.id}/${file.fileName}`;
+        file.details = { size: upload.size };
+        delete file.uploadFrom;
+        touch(stored);
+        store.save();
+      } else if (file && file.upload && !file.url) {
+        file.url = file.upload.replace(/^https?:/, "");
+        file.details = file.details || { size: 0 };
+        delete file.upload;
+        touch(stored);
+        store.save();
+      }
+      return wrapEntity(store, context, stored);
+    };
+    methods.processForAllLocales = async function processForAllLocales() {
+      let current = entity;
+      for (const locale of Object.keys(
+        (entity.fields && entity.fields.file) || {}
+      )) {
+        current = await current.processForLocale(locale);
+      }
+      return current === entity
+        ? wrapEntity(store, context, getStored(env(), type, entity.sys.id))
+        : current;
+    };
+  }
+
+  if (type === "ContentType") {
+    methods.getEditorInterface = async function getEditorInterface() {
+      store.request(context, "getEditorInterface", entity.sys.id);
+      return wrapEditorInterface(store, context, entity.sys.id);
+    };
+  }
+
+  for (const [name, fn] of Object.entries(methods)) {
+    // Configurable like the SDK's methods, so wrappers can replace them
+    Object.defineProperty(entity, name, {
+      value: fn,
+      enumerable: false,
+      configurable: true,
+    });
+  }
+  return entity;
+}
+
+function wrapEditorInterface(store, context, contentTypeId) {
+  const state = store.getEnvironmentState(
+    context.spaceId,
+    context.environmentId
+  );
+  if (!state.contentTypes[contentTypeId]) {
+    throw createApiError(404, "The resource could not be found.", {
+      type: "EditorInterface",
+      id: contentTypeId,
+    });
+  }
+  const raw = state.editorInterfaces[contentTypeId] || {
+    sys: {
+      type: "EditorInterface",
+      id: "default",
+      version: 1,
+      contentType: {
+        sys: { type: "Link", linkType: "ContentType", id: contentTypeId },
+      },
+    },
+    controls: [],
+  };
+  const editorInterface = clone(raw);
+  Object.defineProperty(editorInterface, "update", {
+    enumerable: false,
+    value: async function update() {
+      store.request(context, "updateEditorInterface", contentTypeId);
+      const stored = state.editorInterfaces[contentTypeId] || raw;
+      assertVersion(stored, editorInterface.sys.version);
+      const next = clone({ ...editorInterface, sys: { ...stored.sys } });
+      next.sys.version++;
+      state.editorInterfaces[contentTypeId] = next;
+      store.save();
+      return wrapEditorInterface(store, context, contentTypeId);
+    },
+  });
+  Object.defineProperty(editorInterface, "toPlainObject", {
+    enumerable: false,
+    value: () => clone(raw),
+  });
+  return editorInterface;
+}
+
+function wrapSimple(store, context, listName, raw, idKey) {
+  const entity = clone(raw);
+  const state = () =>
+    store.getEnvironmentState(context.spaceId, context.environmentId);
+  Object.defineProperty(entity, "update", {
+    enumerable: false,
+    value: async function update() {
+      store.request(context, "update", raw.sys.id);
+      const list = state()[listName];
+      const stored = Array.isArray(list)
+        ? list.find((item) => item[idKey] === raw[idKey])
+        : list[raw.sys.id];
+      if (!stored)
+        throw createApiError(404, "The resource could not be found.", {
+          id: raw.sys.id,
+        });
+      assertVersion(stored, entity.sys.version);
+      Object.assign(stored, clone({ ...entity, sys: stored.sys }));
+      stored.sys.version++;
+      store.save();
+      return wrapSimple(store, context, listName, stored, idKey);
+    },
+  });
+  Object.defineProperty(entity, "delete", {
+    enumerable: false,
+    value: async function remove() {
+      store.request(context, "delete", raw.sys.id);
+      const env = state();
+      if (Array.isArray(env[listName])) {
+        env[listName] = env[listName].filter(
+          (item) => item[idKey] !== raw[idKey]
+        );
+      } else {
+        delete env[listName][raw.sys.id];
+      }
+      store.save();
+    },
+  });
+  Object.defineProperty(entity, "toPlainObject", {
+    enumerable: false,
+    value: () => clone(raw),
+  });
+  return entity;
+}
+
+function collection(response, wrap) {
+  return { ...response, items: response.items.map(wrap) };
+}
+
+/**
+ * Create an SDK-like environment object backed by the store
+ */
+function createEnvironmentApi(store, spaceId, environmentId, responseLogger) {
+  const context = { spaceId, environmentId, responseLogger };
+  const state = () => store.getEnvironmentState(spaceId, environmentId);
+  const wrap = (raw) => wrapEntity(store, context, raw);
+  const envState = state();
+
+  function createEntity(type, id, data, contentTypeId) {
+    const env = state();
+    const target = collectionFor(env, type);
+    const entityId =
+      id ||
+      `${type.toLowerCase()}-${Date.now().toString(36)}${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+    if (target[entityId]) {
+      throw createApiError(409, "Entity already exists", {
+        type,
+        id: entityId,
+      });
+    }
+    const raw = store.normalizeEntity(
+      {
+        ...clone(data || {}),
+        sys: {
+          id: entityId,
+          version: 1,
+          ...(contentTypeId && {
+            contentType: {
+              sys: { type: "Link", linkType: "ContentType", id: contentTypeId },
+            },
+          }),
+        },
+      },
+      type,
+      context
+    );
+    if (type === "Entry" && !env.contentTypes[contentTypeId]) {
+      if (Object.keys(env.contentTypes).length > 0) {
+        throw createApiError(422, "Validation error", {
+          errors: [
+            {
+              name: "unknownContentType",
+              value: contentTypeId,
+              path: ["sys", "contentType"],
+            },
+          ],
+        });
+      }
+    }
+    const errors =
+      type === "ContentType" ? [] : store.validateForUpdate(env, raw);
+    if (errors.length) {
+      throw createApiError(422, "Validation error", { errors });
+    }
+    target[entityId] = raw;
+    store.save();
+    return wrap(raw);
+  }
+
+  return {
+    sys: clone(envState.sys),
+    name: envState.name,
+
+    async getEntries(query = {}) {
+      store.request(context, "getEntries");
+      return collection(store.query(state(), state().entries, query), wrap);
+    },
+    async getEntry(id) {
+      store.request(context, "getEntry", id);
+      return wrap(getStored(state(), "Entry", id));
+    },
+    async createEntry(contentTypeId, data) {
+      store.request(context, "createEntry");
+      return createEntity("Entry", null, data, contentTypeId);
+    },
+    async createEntryWithId(contentTypeId, id, data) {
+      store.request(context, "createEntry", id);
+      return createEntity("Entry", id, data, contentTypeId);
+    },
+
+    async getAssets(query = {}) {
+      store.request(context, "getAssets");
+      return collection(store.query(state(), state().assets, query), wrap);
+    },
+    async getAsset(id) {
+      store.request(context, "getAsset", id);
+      return wrap(getStored(state(), "Asset", id));
+    },
+    async createAsset(data) {
+      store.request(context, "createAsset");
+      return createEntity("Asset", null, data);
+    },
+    async createAssetWithId(id, data) {
+      store.request(context, "createAsset", id);
+      return createEntity("Asset", id, data);
+    },
+
+    async getContentTypes(query = {}) {
+      store.request(context, "getContentTypes");
+      return collection(
+        store.query(state(), state().contentTypes, query),
+        wrap
+      );
+    },
+    async getContentType(id) {
+      store.request(context, "getContentType", id);
+      return wrap(getStored(state(), "ContentType", id));
+    },
+    async createContentType(data) {
+      store.request(context, "createContentType");
+      return createEntity("ContentType", null, data);
+    },
+    async createContentTypeWithId(id, data) {
+      store.request(context, "createContentType", id);
+      return createEntity("ContentType", id, data);
+    },
+
+    async getEditorInterfaces() {
+      store.request(context, "getEditorInterfaces");
+      const items = Object.keys(state().contentTypes).map((id) =>
+        wrapEditorInterface(store, context, id)
+      );
+      return {
+        sys: { type: "Array" },
+        total: items.length,
+        skip: 0,
+        limit: items.length,
+        items,
+      };
+    },
+    async getEditorInterfaceForContentType(contentTypeId) {
+      store.request(context, "getEditorInterface", contentTypeId);
+      return wrapEditorInterface(store, context, contentTypeId);
+    },
+
+    async getLocales() {
+      store.request(context, "getLocales");
+      const items = state().locales.map((locale) =>
+        wrapSimple(store, context, "locales", locale, "code")
+      );
+      return {
+        sys: { type: "Array" },
+        total: items.length,
+        skip: 0,
+        limit: items.length,
+        items,
+      };
+    },
+    async createLocale(data) {
+      store.request(context, "createLocale", data.code);
+      const env = state();
+      if (env.locales.some((locale) => locale.code === data.code)) {
+        throw createApiError(422, "Validation error", {
+          errors: [{ name: "taken", path: ["code"], value: data.code }],
+        });
+      }
+      const raw = {
+        ...clone(data),
+        default: false,
+        sys: { type: "Locale", id: data.code, version: 1 },
+      };
+      env.locales.push(raw);
+      store.save();
+      return wrapSimple(store, context, "locales", raw, "code");
+    },
+
+    async createUpload({ file }) {
+      store.request(context, "createUpload");
+      const id = `upload-${Object.keys(store.uploads).length + 1}`;
+      const size = Buffer.isBuffer(file)
+        ? file.length
+        : Buffer.byteLength(file);
+      store.uploads[id] = { sys: { type: "Upload", id }, size };
+      return clone(store.uploads[id]);
+    },
+
+    async getTags(query = {}) {
+      store.request(context, "getTags");
+      const response = store.query(state(), state().tags, query);
+      return collection(response, (raw) =>
+        wrapSimple(store, context, "tags", raw, "sys")
+      );
+    },
+    async getTag(id) {
+      store.request(context, "getTag", id);
+      const raw = state().tags[id];
+      if (!raw)
+        throw createApiError(404, "The resource could not be found.", {
+          type: "Tag",
+          id,
+        });
+      return wrapSimple(store, context, "tags", raw, "sys");
+    },
+    async createTag(id, name, visibility = "private") {
+      store.request(context, "createTag", id);
+      const env = state();
+      if (env.tags[id])
+        throw createApiError(409, "Tag already exists", { type: "Tag", id });
+      env.tags[id] = { name, sys: { type: "Tag", id, version: 1, visibility } };
+      store.save();
+      return wrapSimple(store, context, "tags", env.tags[id], "sys");
+    },
+  };
+}
+
+/**
+ * Create a client exposing the contentful-management entry points
+ * @param {FakeContentfulStore} store
+ * @param {object} options - { responseLogger }
+ * @returns {object} client with getSpace/getSpaces
+ */
+function createFakeClient(store, options = {}) {
+  const responseLogger =
+    typeof options.responseLogger === "function"
+      ? options.responseLogger
+      : null;
+  const context = { responseLogger };
+
+  function createSpaceApi(spaceId) {
+    const space = store.getSpaceState(spaceId);
+    return {
+      sys: clone(space.sys),
+      name: space.name,
+      async getEnvironment(environmentId) {
+        store.request(context, "getEnvironment", environmentId);
+        store.getEnvironmentState(spaceId, environmentId);
+        return createEnvironmentApi(
+          store,
+          spaceId,
+          environmentId,
+          responseLogger
+        );
+      },
+      async getEnvironments() {
+        store.request(context, "getEnvironments");
+        const items = Object.keys(
+          store.getSpaceState(spaceId).environments
+        ).map((id) => createEnvironmentApi(store, spaceId, id, responseLogger));
+        return {
+          sys: { type: "Array" },
+          total: items.length,
+          skip: 0,
+          limit: items.length,
+          items,
+        };
+      },
+    };
+  }
+
+  return {
+    store,
+    async getSpace(spaceId) {
+      store.request(context, "getSpace", spaceId);
+      return createSpaceApi(spaceId);
+    },
+    async getSpaces() {
+      store.request(context, "getSpaces");
+      const items = Object.keys(store.spaces).map(createSpaceApi);
+      return {
+        sys: { type: "Array" },
+        total: items.length,
+        skip: 0,
+        limit: items.length,
+        items,
+      };
+    },
+  };
+}
+
+module.exports = {
+  FakeContentfulStore,
+  createFakeClient,
+  createApiError,
+  collectLinks,
+};
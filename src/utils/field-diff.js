@@ -0,0 +1,425 @@
+/**
+ * Field Diff
+ *
+ * Structural comparison of entry and asset `fields` objects, producing one
+ * operation per field and locale:
+ *
+ *   { field: "title", locale: "en-US", change: "changed", type: "value", from, to }
+ *
+ * `change` is added, removed or changed. Values are compared semantically
+ * rather than by JSON.stringify:
+ * - object key order never matters
+ * - links compare by link type and ID only, so extra sys properties are ignored;
+ *   link arrays also report which links were added or removed and whether the
+ *   order changed (`type: "links"`)
+ * - Rich Text documents ignore empty `data` objects, mark order and text split
+ *   across adjacent nodes with the same marks, and report the paths of the
+ *   nodes that differ (`type: "richText"`)
+ *
+ * Used by merge plans and by `cf diff`.
+ */
+
+// Rich Text node paths listed per changed field before the rest is summarised
+const MAX_NODE_CHANGES = 10;
+
+/**
+ * Copy a JSON value with object keys sorted, so equal values serialize equally
+ * @param {*} value
+ * @returns {*}
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === "object") {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) sorted[key] = canonicalize(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for { sys: { type: "Link", ... } }
+ */
+function isLink(value) {
+  return Boolean(
+    value && value.sys && value.sys.type === "Link" && value.sys.id
+  );
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a Rich Text document
+ */
+function isRichText(value) {
+  return Boolean(
+    value && typeof value === "object" && value.nodeType === "document"
+  );
+}
+
+function linkKey(link) {
+  return `${link.sys.linkType}:${link.sys.id}`;
+}
+
+function normalizeLink(link) {
+  return {
+    sys: { type: "Link", linkType: link.sys.linkType, id: link.sys.id },
+  };
+}
+
+function sameMarks(a, b) {
+  return JSON.stringify(a.marks || []) === JSON.stringify(b.marks || []);
+}
+
+/**
+ * Normalise a Rich Text node: sorted marks, no empty data, links reduced to
+ * type and ID, and adjacent text nodes with the same marks joined
+ */
+function normalizeRichTextNode(node) {
+  if (!node || typeof node !== "object") return node;
+
+  const normalized = { nodeType: node.nodeType };
+  const data = normalizeValue(node.data || {});
+  if (Object.keys(data).length > 0) normalized.data = data;
+
+  if (node.nodeType === "text") {
+    normalized.value = node.value || "";
+    normalized.marks = (node.marks || [])
+      .map((mark) => mark.type)
+      .sort()
+      .map((type) => ({ type }));
+    return normalized;
+  }
+
+  const content = [];
+  for (const child of (node.content || []).map(normalizeRichTextNode)) {
+    const previous = content[content.length - 1];
+    if (
+      previous &&
+      previous.nodeType === "text" &&
+      child.nodeType === "text" &&
+      sameMarks(previous, child) &&
+      !previous.data &&
+      !child.data
+    ) {
+      previous.value += child.value;
+    } else {
+      content.push(child);
+    }
+  }
+  normalized.content = content.filter(
+    (child) => child.nodeType !== "text" || child.value !== "" || child.data
+  );
+  return normalized;
+}
+
+/**
+ * Reduce a field value to the form that is compared: links keep only type and
+ * ID, Rich Text is normalised and object keys are sorted
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeValue(value) {
+  if (isLink(value)) return normalizeLink(value);
+  if (isRichText(value)) return canonicalize(normalizeRichTextNode(value));
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === "object") {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined)
+        normalized[key] = normalizeValue(value[key]);
+    }
+    return normalized;
+  }
+  return value;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} Whether two field values are semantically equal
+ */
+function isEqualValue(a, b) {
+  return (
+    JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b))
+  );
+}
+
+/**
+ * Added/removed links and order changes between two link arrays
+ */
+function diffLinkArrays(from, to) {
+  const fromKeys = from.map(linkKey);
+  const toKeys = to.map(linkKey);
+  const added = toKeys.filter((key) => !fromKeys.includes(key));
+  const removed = fromKeys.filter((key) => !toKeys.includes(key));
+  const kept = toKeys.filter((key) => fromKeys.includes(key));
+  const keptBefore = fromKeys.filter((key) => toKeys.includes(key));
+  return {
+    added: added.map((key) => key.split(":")[1]),
+    removed: removed.map((key) => key.split(":")[1]),
+    reordered: kept.join() !== keptBefore.join(),
+  };
+}
+
+// Text nodes are shown by their text, other nodes by their type
+function nodeLabel(node) {
+  if (node && node.nodeType === "text") return node.value;
+  return node && node.nodeType ? node.nodeType : String(node);
+}
+
+/**
+ * Paths of the Rich Text nodes that differ between two normalised documents
+ */
+function diffRichTextNodes(from, to, path = "", changes = []) {
+  if (!from || !to || from.nodeType !== to.nodeType) {
+    changes.push({
+      path: path || "document",
+      change: !from ? "added" : !to ? "removed" : "changed",
+      from: from ? nodeLabel(from) : null,
+      to: to ? nodeLabel(to) : null,
+    });
+    return changes;
+  }
+  if (
+    from.value !== to.value ||
+    JSON.stringify(from.marks) !== JSON.stringify(to.marks) ||
+    JSON.stringify(from.data) !== JSON.stringify(to.data)
+  ) {
+    changes.push({
+      path: path || "document",
+      change: "changed",
+      from: nodeLabel(from),
+      to: nodeLabel(to),
+    });
+    if (from.nodeType === "text") return changes;
+  }
+
+  const fromContent = from.content || [];
+  const toContent = to.content || [];
+  for (let i = 0; i < Math.max(fromContent.length, toContent.length); i++) {
+    diffRichTextNodes(
+      fromContent[i],
+      toContent[i],
+      `${path ? `${path}.` : ""}content[${i}]`,
+      changes
+    );
+  }
+  return changes;
+}
+
+/**
+ * Describe how two values of one locale differ
+ * @returns {object} Type-specific details merged into the operation
+ */
+function describeChange(from, to) {
+  const isLinkArray = (value) => Array.isArray(value) && value.every(isLink);
+  if (
+    (isLinkArray(from) || from === undefined) &&
+    (isLinkArray(to) || to === undefined) &&
+    [...(from || []), ...(to || [])].length > 0
+  ) {
+    return { type: "links", links: diffLinkArrays(from || [], to || []) };
+  }
+  if (
+    (isLink(from) || from === undefined) &&
+    (isLink(to) || to === undefined)
+  ) {
+    return { type: "link" };
+  }
+  if (
+    (isRichText(from) || from === undefined) &&
+    (isRichText(to) || to === undefined)
+  ) {
+    const nodes = diffRichTextNodes(
+      from && normalizeValue(from),
+      to && normalizeValue(to)
+    );
+    return {
+      type: "richText",
+      nodes: nodes.slice(0, MAX_NODE_CHANGES),
+      ...(nodes.length > MAX_NODE_CHANGES
+        ? { moreNodes: nodes.length - MAX_NODE_CHANGES }
+        : {}),
+    };
+  }
+  return { type: "value" };
+}
+
+/**
+ * Per-field, per-locale differences between two `fields` objects
+ * @param {object} fromFields - Current fields (e.g. the merge target)
+ * @param {object} toFields - Fields compared against (e.g. what will be written)
+ * @returns {Array<{field: string, locale: string, change: string, type: string, from: *, to: *}>}
+ *   Sorted by field and locale; `from`/`to` are null when the locale is absent
+ */
+function diffFields(fromFields = {}, toFields = {}) {
+  const diff = [];
+  const fieldIds = new Set([
+    ...Object.keys(fromFields || {}),
+    ...Object.keys(toFields || {}),
+  ]);
+
+  for (const field of [...fieldIds].sort()) {
+    const from = (fromFields && fromFields[field]) || {};
+    const to = (toFields && toFields[field]) || {};
+    const locales = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+    for (const locale of [...locales].sort()) {
+      const hasFrom = from[locale] !== undefined;
+      const hasTo = to[locale] !== undefined;
+      if (hasFrom && hasTo && isEqualValue(from[locale], to[locale])) continue;
+
+      diff.push({
+        field,
+        locale,
+        change: !hasFrom ? "added" : !hasTo ? "removed" : "changed",
+        ...describeChange(from[locale], to[locale]),
+        from: hasFrom ? canonicalize(from[locale]) : null,
+        to: hasTo ? canonicalize(to[locale]) : null,
+      });
+    }
+  }
+  return diff;
+}
+
+/**
+ * @param {object} fromFields
+ * @param {object} toFields
+ * @returns {boolean} Whether any field differs in any locale
+ */
+function hasFieldChanges(fromFields, toFields) {
+  return diffFields(fromFields, toFields).length > 0;
+}
+
+const COLORS = {
+  added: "\x1b[32m", // Green
+  removed: "\x1b[31m", // Red
+  changed: "\x1b[33m", // Yellow
+  dim: "\x1b[90m", // Gray
+  reset: "\x1b[0m",
+};
+
+/**
+ * @param {boolean} enabled
+ * @returns {Function} paint(kind, text)
+ */
+function painter(enabled) {
+  return (kind, text) =>
+    enabled ? `${COLORS[kind]}${text}${COLORS.reset}` : text;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "∅";
+  if (isLink(value)) return `→${value.sys.id}`;
+  if (isRichText(value)) return "<Rich Text>";
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Render one field operation as indented lines
+ * @param {object} operation - Item returned by diffFields
+ * @param {object} [options]
+ * @param {boolean} [options.color=false] - Use ANSI colors
+ * @param {string} [options.indent="    "]
+ * @returns {string[]}
+ */
+function formatFieldChange(operation, { color = false, indent = "    " } = {}) {
+  const paint = painter(color);
+  const name = `${operation.field}.${operation.locale}`;
+  const lines = [];
+
+  if (operation.type === "links" && operation.change === "changed") {
+    const { added, removed, reordered } = operation.links;
+    const parts = [
+      ...added.map((id) => paint("added", `+${id}`)),
+      ...removed.map((id) => paint("removed", `-${id}`)),
+      ...(reordered ? [paint("changed", "reordered")] : []),
+    ];
+    lines.push(`${indent}${paint("changed", "~")} ${name}: ${parts.join(" ")}`);
+  } else if (operation.type === "richText" && operation.change === "changed") {
+    lines.push(`${indent}${paint("changed", "~")} ${name}: Rich Text`);
+    for (const node of operation.nodes) {
+      lines.push(
+        `${indent}    ${paint(node.change, node.path)}: ${formatValue(
+          node.from
+        )} -> ${formatValue(node.to)}`
+      );
+    }
+    if (operation.moreNodes) {
+      lines.push(
+        `${indent}    ${paint("dim", `... ${operation.moreNodes} more`)}`
+      );
+    }
+  } else {
+    const symbol = { added: "+", removed: "-", changed: "~" }[operation.change];
+    const values =
+      operation.change === "added"
+        ? formatValue(operation.to)
+        : operation.change === "removed"
+        ? formatValue(operation.from)
+        : `${formatValue(operation.from)} -> ${formatValue(operation.to)}`;
+    lines.push(
+      `${indent}${paint(operation.change, symbol)} ${name}: ${values}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Render a report from diffEnvironments (contentful-merge.js)
+ * @param {object} report
+ * @param {object} [options]
+ * @param {boolean} [options.color=false] - Use ANSI colors
+ * @returns {string}
+ */
+function formatEnvironmentDiff(report, { color = false } = {}) {
+  const paint = painter(color);
+  const describe = (side) =>
+    `${side.label ? `${side.label} ` : ""}(${side.spaceId}/${
+      side.environmentId
+    })`;
+  const lines = [`Diff ${describe(report.from)} -> ${describe(report.to)}`];
+  const symbols = { added: "+", removed: "-", changed: "~" };
+
+  for (const [kind, type] of [
+    ["entries", "entry"],
+    ["assets", "asset"],
+  ]) {
+    for (const item of report[kind]) {
+      const contentType = item.contentType ? ` (${item.contentType})` : "";
+      lines.push(
+        paint(
+          item.change,
+          `${symbols[item.change]} ${type} ${item.id}${contentType}`
+        )
+      );
+      for (const operation of item.fields || []) {
+        lines.push(...formatFieldChange(operation, { color }));
+      }
+    }
+  }
+
+  const total = (kind) =>
+    ["added", "removed", "changed"]
+      .map((change) => `${report.summary[kind][change]} ${change}`)
+      .join(", ");
+  lines.push("", `Entries: ${total("entries")}  Assets: ${total("assets")}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  canonicalize,
+  normalizeValue,
+  isLink,
+  isRichText,
+  isEqualValue,
+  diffFields,
+  hasFieldChanges,
+  formatFieldChange,
+  formatEnvironmentDiff,
+  painter,
+};
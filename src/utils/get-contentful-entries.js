@@ -5,34 +5,39 @@
  * and exports them as a complete JSON file.
  */
 
-const contentful = require("contentful-management");
+const { createClient, getProfileDefaults } = require("../core");
 const fs = require("fs");
 require("dotenv").config();
 
+const DEFAULT_CONNECTION = getProfileDefaults("entryExport");
+
 // Simplified configuration
 const CONFIG = {
-  ACCESS_TOKEN: process.env.CONTENTFUL_MANAGEMENT_TOKEN,
-  SPACE_ID: process.env.SPACE_ID_FR_FR,
+  ACCESS_TOKEN: DEFAULT_CONNECTION.token,
+  SPACE_ID: DEFAULT_CONNECTION.spaceId,
   ENVIRONMENT: "main-website-redesign", // Can be changed to any environment
   CONTENT_TYPE_ID: "seoHead", // Set your content type ID here
 };
 
-// Initialize the Contentful client
-const client = contentful.createClient({
-  accessToken: CONFIG.ACCESS_TOKEN,
-});
-
 /**
  * Simple function to get all entries of a specific content type
  * @param {string} contentTypeId - The ID of the content type to fetch
+ * @param {object} options - { spaceId, environmentId, accessToken } overrides for CONFIG
  * @returns {Promise<Array>} - Array of entries
  */
-async function getEntriesByContentType(contentTypeId) {
+async function getEntriesByContentType(contentTypeId, options = {}) {
+  const {
+    spaceId = CONFIG.SPACE_ID,
+    environmentId = CONFIG.ENVIRONMENT,
+    accessToken = CONFIG.ACCESS_TOKEN,
+  } = options;
+
   try {
     // Connect to Contentful
     console.log("Connecting to Contentful...");
-    const space = await client.getSpace(CONFIG.SPACE_ID);
-    const environment = await space.getEnvironment(CONFIG.ENVIRONMENT);
+    const client = createClient({ accessToken });
+    const space = await client.getSpace(spaceId);
+    const environment = await space.getEnvironment(environmentId);
 
     console.log(`Fetching entries of content type: ${contentTypeId}...`); // Use pagination to get all entries
     let allEntries = [];
@@ -69,6 +74,41 @@ async function getEntriesByContentType(contentTypeId) {
   }
 }
 
+/**
+ * Export all entries of a content type to a timestamped JSON file
+ * @param {string} contentTypeId - The ID of the content type to export
+ * @param {object} options - Connection overrides passed to getEntriesByContentType
+ * @returns {Promise<{file: string, total: number}>} - Output file and entry count
+ */
+async function exportEntries(contentTypeId, options = {}) {
+  const entries = await getEntriesByContentType(contentTypeId, options);
+
+  // Generate filename with content type and timestamp
+  const timestamp = new Date().toISOString().replace(/:/g, "-");
+  const outputFilename = `${contentTypeId}-entries-${timestamp}.json`;
+
+  console.log(`=== Exporting Entries to JSON ===`);
+  console.log(`Content Type: ${contentTypeId}`);
+  console.log(`Total Entries: ${entries.length}`);
+
+  // Save all entries to JSON file
+  fs.writeFileSync(outputFilename, JSON.stringify(entries, null, 2));
+  console.log(`\nEntries successfully exported to: ${outputFilename}`);
+
+  // Optional: Display titles of first 3 entries as examples
+  if (entries.length > 0) {
+    console.log("\nSample entries (first 3):");
+    entries.slice(0, 3).forEach((entry, index) => {
+      const title = entry.fields.title
+        ? Object.values(entry.fields.title)[0]
+        : "Untitled";
+      console.log(`${index + 1}. ${title} (ID: ${entry.sys.id})`);
+    });
+  }
+
+  return { file: outputFilename, total: entries.length };
+}
+
 /**
  * Main function
  */
@@ -80,34 +120,13 @@ async function main() {
     console.error(
       "Missing required environment variables. Check your .env file."
     );
-    console.log("Required: CONTENTFUL_MANAGEMENT_TOKEN, SPACE_ID_FR_FR");
+    console.log(
+      "Required: the entryExport profile in config/profiles.json and its token"
+    );
     process.exit(1);
   }
   try {
-    const entries = await getEntriesByContentType(contentTypeId);
-
-    // Generate filename with content type and timestamp
-    const timestamp = new Date().toISOString().replace(/:/g, "-");
-    const outputFilename = `${contentTypeId}-entries-${timestamp}.json`;
-
-    console.log(`=== Exporting Entries to JSON ===`);
-    console.log(`Content Type: ${contentTypeId}`);
-    console.log(`Total Entries: ${entries.length}`);
-
-    // Save all entries to JSON file
-    fs.writeFileSync(outputFilename, JSON.stringify(entries, null, 2));
-    console.log(`\nEntries successfully exported to: ${outputFilename}`);
-
-    // Optional: Display titles of first 3 entries as examples
-    if (entries.length > 0) {
-      console.log("\nSample entries (first 3):");
-      entries.slice(0, 3).forEach((entry, index) => {
-        const title = entry.fields.title
-          ? Object.values(entry.fields.title)[0]
-          : "Untitled";
-        console.log(`${index + 1}. ${title} (ID: ${entry.sys.id})`);
-      });
-    }
+    await exportEntries(contentTypeId);
   } catch (error) {
     console.error("An error occurred:", error);
     process.exit(1);
@@ -122,4 +141,5 @@ if (require.main === module) {
 // Export the function for use in other scripts
 module.exports = {
   getEntriesByContentType,
+  exportEntries,
 };
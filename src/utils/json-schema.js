@@ -0,0 +1,346 @@
+/**
+ * JSON Schema
+ *
+ * A small validator for the draft-07 keywords our config schemas use, plus
+ * a scanner that maps JSON pointers to line/column positions in the source
+ * text so problems can be reported where they are.
+ *
+ * Supported keywords: $ref (local), type, enum, const, pattern, minLength,
+ * minimum, maximum, minItems, uniqueItems, items, properties, required,
+ * additionalProperties, allOf, anyOf, if/then/else.
+ */
+
+/**
+ * @param {string} token
+ * @returns {string} The token escaped for a JSON pointer
+ */
+function escapePointer(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}} 1-based position of an offset
+ */
+function positionAt(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Position of every value in a JSON document, keyed by JSON pointer. Object
+ * members point at their key, which is where editors show the problem.
+ * Expects text that JSON.parse accepts.
+ * @param {string} text
+ * @returns {Map<string, {line: number, column: number}>}
+ */
+function locateJson(text) {
+  const offsets = new Map();
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const readString = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') {
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = (pointer) => {
+    skipWhitespace();
+    if (!offsets.has(pointer)) offsets.set(pointer, i);
+    const char = text[i];
+    if (char === "{") {
+      i++;
+      skipWhitespace();
+      while (text[i] !== "}") {
+        skipWhitespace();
+        const keyOffset = i;
+        const child = `${pointer}/${escapePointer(readString())}`;
+        offsets.set(child, keyOffset);
+        skipWhitespace();
+        i++; // :
+        readValue(child);
+        skipWhitespace();
+        if (text[i] === ",") i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (char === "[") {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (text[i] !== "]") {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (text[i] === ",") i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+  };
+
+  readValue("");
+  const locations = new Map();
+  for (const [pointer, offset] of offsets) {
+    locations.set(pointer, positionAt(text, offset));
+  }
+  return locations;
+}
+
+/**
+ * Position of a JSON.parse failure, from the offset in its message
+ * @param {string} text
+ * @param {SyntaxError} error
+ * @returns {{line: number, column: number}|null}
+ */
+function syntaxErrorPosition(text, error) {
+  const match = /position (\d+)/.exec(error.message);
+  return match ? positionAt(text, Number(match[1])) : null;
+}
+
+/**
+ * Closest candidate by edit distance, when it is close enough to be a typo
+ * @param {string} value
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+function suggest(value, candidates) {
+  if (typeof value !== "string") return null;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(value.length / 3))
+    ? best
+    : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+const ARTICLES = { array: "an", integer: "an", object: "an" };
+const describeType = (type) => `${ARTICLES[type] || "a"} ${type}`;
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema
+ * @param {*} data
+ * @returns {{pointer: string, message: string}[]} Problems, in document order
+ */
+function validateSchema(schema, data) {
+  return collect(schema, data, "", schema);
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, token) => {
+      const key = token.replace(/~1/g, "/").replace(/~0/g, "~");
+      if (!node || !(key in node)) throw new Error(`Unresolvable $ref ${ref}`);
+      return node[key];
+    }, root);
+}
+
+function visit(schema, data, pointer, root, problems) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    problems.push({ pointer, message: "is not allowed" });
+    return;
+  }
+  if (schema.$ref) {
+    visit(resolveRef(root, schema.$ref), data, pointer, root, problems);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(data, type))) {
+      problems.push({
+        pointer,
+        message: `must be ${types.map(describeType).join(" or ")}`,
+      });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((item) => deepEqual(item, data))) {
+    const hint = suggest(data, schema.enum);
+    problems.push({
+      pointer,
+      message:
+        `${JSON.stringify(data)} must be one of: ${schema.enum.join(", ")}` +
+        (hint ? ` (did you mean "${hint}"?)` : ""),
+    });
+  }
+  if ("const" in schema && !deepEqual(schema.const, data)) {
+    problems.push({
+      pointer,
+      message: `must be ${JSON.stringify(schema.const)}`,
+    });
+  }
+
+  if (typeof data === "string") {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      problems.push({
+        pointer,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+      problems.push({
+        pointer,
+        message:
+          `${JSON.stringify(data)} does not match ${schema.pattern}` +
+          (schema.description ? ` (${schema.description})` : ""),
+      });
+    }
+  }
+  if (typeof data === "number") {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      problems.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      problems.push({ pointer, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      problems.push({
+        pointer,
+        message: `must have at least ${schema.minItems} item${
+          schema.minItems === 1 ? "" : "s"
+        }`,
+      });
+    }
+    if (schema.uniqueItems) {
+      data.forEach((item, index) => {
+        const first = data.findIndex((other) => deepEqual(other, item));
+        if (first < index) {
+          problems.push({
+            pointer: `${pointer}/${index}`,
+            message: `duplicates ${pointer}/${first}`,
+          });
+        }
+      });
+    }
+    if (schema.items) {
+      data.forEach((item, index) =>
+        visit(schema.items, item, `${pointer}/${index}`, root, problems)
+      );
+    }
+  }
+
+  if (typeOf(data) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in data)) {
+        problems.push({
+          pointer,
+          message: `is missing required property "${key}"`,
+        });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, value] of Object.entries(data)) {
+      const child = `${pointer}/${escapePointer(key)}`;
+      if (key in properties) {
+        visit(properties[key], value, child, root, problems);
+      } else if (schema.additionalProperties === false) {
+        const hint = suggest(key, Object.keys(properties));
+        problems.push({
+          pointer: child,
+          message:
+            `unknown property "${key}"` +
+            (hint ? ` (did you mean "${hint}"?)` : ""),
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        visit(schema.additionalProperties, value, child, root, problems);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    visit(sub, data, pointer, root, problems);
+  }
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((sub) =>
+      collect(sub, data, pointer, root)
+    );
+    if (!attempts.some((attempt) => attempt.length === 0)) {
+      // Report the branch that got furthest
+      attempts.sort((a, b) => a.length - b.length);
+      problems.push(...attempts[0]);
+    }
+  }
+  if (schema.if !== undefined) {
+    const branch =
+      collect(schema.if, data, pointer, root).length === 0
+        ? schema.then
+        : schema.else;
+    if (branch !== undefined) visit(branch, data, pointer, root, problems);
+  }
+}
+
+function collect(schema, data, pointer, root) {
+  const problems = [];
+  visit(schema, data, pointer, root, problems);
+  return problems;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  escapePointer,
+  locateJson,
+  suggest,
+  syntaxErrorPosition,
+  validateSchema,
+};
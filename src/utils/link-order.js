@@ -0,0 +1,179 @@
+/**
+ * Link Order
+ *
+ * Contentful refuses to publish an entry whose links do not resolve to
+ * published entities, so writes that recreate content must handle linked
+ * entries before the entries linking to them.
+ */
+
+/**
+ * IDs of every link in a field value (single links, link arrays, Rich Text)
+ * @param {*} value
+ * @param {Set<string>} [ids]
+ * @returns {Set<string>}
+ */
+function collectLinkIds(value, ids = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLinkIds(item, ids));
+  } else if (value && typeof value === "object") {
+    if (value.sys && value.sys.type === "Link") {
+      ids.add(value.sys.id);
+    } else {
+      Object.values(value).forEach((item) => collectLinkIds(item, ids));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Every link in a field value, once per link type and ID
+ * @param {*} value
+ * @returns {Array<{sys: {type: "Link", linkType: string, id: string}}>}
+ */
+function collectLinks(value) {
+  const links = new Map();
+  const visit = (item) => {
+    if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && typeof item === "object") {
+      if (item.sys && item.sys.type === "Link") {
+        links.set(`${item.sys.linkType}:${item.sys.id}`, item);
+      } else {
+        Object.values(item).forEach(visit);
+      }
+    }
+  };
+  visit(value);
+  return [...links.values()];
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether a field value contains a link
+ */
+function hasLinks(value) {
+  return collectLinkIds(value).size > 0;
+}
+
+/**
+ * Order entities so that linked entities come before the ones linking to
+ * them. Links outside the list are ignored; cycles keep their input order.
+ * @param {object[]} items
+ * @param {Function} [fieldsOf] - item => fields (default: item.fields)
+ * @param {Function} [idOf] - item => ID (default: item.sys.id)
+ * @returns {object[]} A new array
+ */
+function orderByLinks(
+  items,
+  fieldsOf = (item) => item.fields,
+  idOf = (item) => item.sys.id
+) {
+  const byId = new Map(items.map((item) => [idOf(item), item]));
+  const ordered = [];
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (item) => {
+    const id = idOf(item);
+    if (done.has(id) || visiting.has(id)) return;
+    visiting.add(id);
+    for (const linkId of collectLinkIds(fieldsOf(item))) {
+      if (byId.has(linkId)) visit(byId.get(linkId));
+    }
+    visiting.delete(id);
+    done.add(id);
+    ordered.push(item);
+  };
+  items.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Group entities into publish waves. Each wave only links to entities of
+ * earlier waves, so a wave can be published once the ones before it are.
+ * Entities linking to each other in a cycle share a wave; none of them can
+ * go first, so they are published together and retried.
+ * @param {object[]} items
+ * @param {Function} [fieldsOf] - item => fields (default: item.fields)
+ * @param {Function} [idOf] - item => ID (default: item.sys.id)
+ * @returns {{waves: object[][], cyclic: Set<string>, dependencies: Map<string, Set<string>>}}
+ *   Waves keep the input order; dependencies are the links to other items
+ */
+function publishWaves(
+  items,
+  fieldsOf = (item) => item.fields,
+  idOf = (item) => item.sys.id
+) {
+  const byId = new Map(items.map((item) => [idOf(item), item]));
+  const dependencies = new Map(
+    items.map((item) => [
+      idOf(item),
+      new Set(
+        [...collectLinkIds(fieldsOf(item))].filter(
+          (linkId) => byId.has(linkId) && linkId !== idOf(item)
+        )
+      ),
+    ])
+  );
+
+  // Tarjan's algorithm finds each cycle (strongly connected component)
+  // after every component it links to, so waves can be assigned in order
+  const waveOf = new Map();
+  const cyclic = new Set();
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const visit = (id) => {
+    index.set(id, index.size);
+    lowLink.set(id, index.get(id));
+    stack.push(id);
+    onStack.add(id);
+    for (const linkId of dependencies.get(id)) {
+      if (!index.has(linkId)) {
+        visit(linkId);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(linkId)));
+      } else if (onStack.has(linkId)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(linkId)));
+      }
+    }
+    if (lowLink.get(id) !== index.get(id)) return;
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== id);
+    const wave = Math.max(
+      -1,
+      ...component.flatMap((componentId) =>
+        [...dependencies.get(componentId)]
+          .filter((linkId) => waveOf.has(linkId))
+          .map((linkId) => waveOf.get(linkId))
+      )
+    );
+    component.forEach((componentId) => {
+      waveOf.set(componentId, wave + 1);
+      if (component.length > 1) cyclic.add(componentId);
+    });
+  };
+  byId.forEach((item, id) => {
+    if (!index.has(id)) visit(id);
+  });
+
+  const waves = [];
+  byId.forEach((item, id) => {
+    const wave = waveOf.get(id);
+    waves[wave] = waves[wave] || [];
+    waves[wave].push(item);
+  });
+  return { waves, cyclic, dependencies };
+}
+
+module.exports = {
+  collectLinkIds,
+  collectLinks,
+  hasLinks,
+  orderByLinks,
+  publishWaves,
+};
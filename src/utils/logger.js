@@ -111,6 +111,13 @@ class ContentfulLogger {
         return message;
     }    // Core logging function
     log(level, message, ...args) {
+        // Support console-style logger.log(message) calls by logging at INFO
+        if (!LOG_LEVELS[level]) {
+            return message === undefined
+                ? this.log('INFO', level)
+                : this.log('INFO', level, message, ...args);
+        }
+
         const logLevel = LOG_LEVELS[level];
 
         // Skip if log level is below minimum
@@ -0,0 +1,66 @@
+/**
+ * Meaningful Data Profiles
+ *
+ * Decides per content type whether an entry holds meaningful data, for
+ * hasEntryData while publishing and the hasNoData rule operator. Profiles
+ * come from the `meaningfulData` section of the deletion mapping config:
+ *
+ *   "meaningfulData": {
+ *     "ignore": ["internalName"],
+ *     "contentTypes": {
+ *       "productVariant": { "required": ["gtin"] },
+ *       "page": { "required": ["title", "slug"] }
+ *     }
+ *   }
+ *
+ * With `required`, an entry is meaningful when at least one of the listed
+ * fields has a value, whatever else is filled in. Without it, any field with
+ * a value counts except ignored ones. The top-level `ignore` applies to every content
+ * type; content types without a profile only use that.
+ */
+
+/**
+ * @typedef {Object} MeaningfulDataProfile
+ * @property {string[]} required - Fields of which at least one must have a
+ *   value
+ * @property {string[]} ignore - Fields whose values do not count
+ */
+
+/**
+ * The profile for a content type
+ * @param {Object} [meaningfulData] - The config's `meaningfulData` section
+ * @param {string} [contentType]
+ * @returns {MeaningfulDataProfile}
+ */
+function profileFor(meaningfulData = {}, contentType = null) {
+  const own = (meaningfulData.contentTypes || {})[contentType] || {};
+  return {
+    required: own.required || [],
+    ignore: [...(meaningfulData.ignore || []), ...(own.ignore || [])],
+  };
+}
+
+/**
+ * @param {MeaningfulDataProfile} profile
+ * @param {string[]} fieldIds - Fields present on the entry
+ * @param {Function} fieldHasData - (fieldId) => boolean; called lazily
+ * @returns {{meaningful: boolean, missingFields: string[]}} missingFields
+ *   lists the required fields when none of them has a value
+ */
+function checkMeaningfulData(profile, fieldIds, fieldHasData) {
+  if (profile.required.length > 0) {
+    const meaningful = profile.required.some(
+      (fieldId) => fieldIds.includes(fieldId) && fieldHasData(fieldId)
+    );
+    return { meaningful, missingFields: meaningful ? [] : profile.required };
+  }
+  const meaningful = fieldIds.some(
+    (fieldId) => !profile.ignore.includes(fieldId) && fieldHasData(fieldId)
+  );
+  return { meaningful, missingFields: [] };
+}
+
+module.exports = {
+  profileFor,
+  checkMeaningfulData,
+};
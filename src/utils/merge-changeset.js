@@ -0,0 +1,342 @@
+/**
+ * Merge Changesets
+ *
+ * `merge plan` writes everything a merge would change into a changeset file;
+ * `merge apply` replays exactly that file. The file is meant to be reviewed
+ * (and approved in a PR) in between, so it is deterministic: changes are
+ * ordered by kind, action and ID, field values have sorted keys and each
+ * create/update carries a per-field, per-locale diff (see field-diff.js) next
+ * to the fields that will be written. Each change records the target
+ * `sys.version` seen while planning so apply can refuse to run against a
+ * target that has moved on.
+ *
+ * {
+ *   "version": 1,
+ *   "createdAt": "...", "spaceId": "...",
+ *   "sourceEnvironment": "...", "targetEnvironment": "...",
+ *   "mode": "two-way", "baselineFile": "merge-baselines/...json",
+ *   "summary": { "assets": { "create": 0, ... }, "entries": { ... }, "conflicts": 0, "skipped": 0 },
+ *   "assets": [change, ...],
+ *   "entries": [{
+ *     "id": "...", "contentType": "...", "action": "update",
+ *     "targetVersion": 5, "publish": true,
+ *     "diff": [{ "field": "title", "locale": "en-US", "change": "changed", "type": "value", "from": "...", "to": "..." }],
+ *     "fields": { ... }
+ *   }],
+ *   "skipped": [{ "kind": "entries", "id": "...", "reason": "..." }]
+ * }
+ *
+ * Three-way plans (see three-way-merge.js) add `keptInTarget` and `conflicts`
+ * ([{ "field", "locale" }]) to updates and list items they leave alone in
+ * `skipped`.
+ */
+
+const fs = require("fs");
+const { formatFieldChange } = require("./field-diff");
+
+const CHANGESET_VERSION = 1;
+
+// Order in which changes are listed and applied within assets and entries
+const ACTIONS = ["delete", "create", "update", "archive"];
+
+const KINDS = ["assets", "entries"];
+
+const MODES = ["two-way", "three-way"];
+
+class ChangesetError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - Individual problems
+   */
+  constructor(message, errors = []) {
+    super(
+      errors.length > 0 ? `${message}\n  - ${errors.join("\n  - ")}` : message
+    );
+    this.name = "ChangesetError";
+    this.errors = errors;
+  }
+}
+
+class ChangesetDriftError extends ChangesetError {
+  /**
+   * @param {Array<{kind: string, id: string, expectedVersion: number|null, actualVersion: number|null}>} drift
+   */
+  constructor(drift) {
+    super(
+      `${drift.length} target item(s) changed since the changeset was planned; run merge plan again`,
+      drift.map(
+        (item) =>
+          `${item.kind} ${item.id}: planned against ${describeVersion(
+            item.expectedVersion
+          )}, target now ${describeVersion(item.actualVersion)}`
+      )
+    );
+    this.name = "ChangesetDriftError";
+    this.drift = drift;
+  }
+}
+
+function describeVersion(version) {
+  return version === null ? "no item" : `version ${version}`;
+}
+
+/**
+ * Create an empty changeset
+ * @param {object} info
+ * @param {string} info.spaceId
+ * @param {string} info.sourceEnvironment
+ * @param {string} info.targetEnvironment
+ * @param {string} [info.mode="two-way"] - two-way or three-way
+ * @param {string} [info.baselineFile] - Where apply records the next baseline
+ * @returns {object}
+ */
+function createChangeset({
+  spaceId,
+  sourceEnvironment,
+  targetEnvironment,
+  mode = "two-way",
+  baselineFile = null,
+}) {
+  return {
+    version: CHANGESET_VERSION,
+    createdAt: new Date().toISOString(),
+    spaceId,
+    sourceEnvironment,
+    targetEnvironment,
+    mode,
+    baselineFile,
+    summary: {},
+    assets: [],
+    entries: [],
+    skipped: [],
+  };
+}
+
+/**
+ * Sort changes into apply order and fill in the summary
+ * @param {object} changeset
+ * @returns {object} The changeset
+ */
+function finalizeChangeset(changeset) {
+  const rank = (change) => ACTIONS.indexOf(change.action);
+  const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  for (const kind of KINDS) {
+    changeset[kind].sort((a, b) => rank(a) - rank(b) || byId(a, b));
+    changeset.summary[kind] = Object.fromEntries(
+      ACTIONS.map((action) => [
+        action,
+        changeset[kind].filter((change) => change.action === action).length,
+      ])
+    );
+  }
+  changeset.skipped = changeset.skipped || [];
+  changeset.skipped.sort(
+    (a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || byId(a, b)
+  );
+  changeset.summary.conflicts = countConflicts(changeset);
+  changeset.summary.skipped = changeset.skipped.length;
+  return changeset;
+}
+
+/**
+ * @param {object} changeset
+ * @returns {number} Total number of changes
+ */
+function countChanges(changeset) {
+  return KINDS.reduce((total, kind) => total + changeset[kind].length, 0);
+}
+
+/**
+ * @param {object} changeset
+ * @returns {number} Conflicting field locales across all changes
+ */
+function countConflicts(changeset) {
+  return KINDS.reduce(
+    (total, kind) =>
+      total +
+      changeset[kind].reduce(
+        (sum, change) => sum + (change.conflicts ? change.conflicts.length : 0),
+        0
+      ),
+    0
+  );
+}
+
+/**
+ * Write a changeset as indented JSON
+ * @param {object} changeset
+ * @param {string} file
+ * @returns {string} The file path
+ */
+function writeChangeset(changeset, file) {
+  fs.writeFileSync(file, JSON.stringify(changeset, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Check the structure of a parsed changeset
+ * @param {object} changeset
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateChangeset(changeset) {
+  const errors = [];
+  if (!changeset || typeof changeset !== "object") {
+    return ["changeset must be a JSON object"];
+  }
+  if (changeset.version !== CHANGESET_VERSION) {
+    errors.push(
+      `version must be ${CHANGESET_VERSION} (got ${JSON.stringify(
+        changeset.version
+      )})`
+    );
+  }
+  for (const key of ["spaceId", "targetEnvironment"]) {
+    if (typeof changeset[key] !== "string" || changeset[key] === "") {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+  if (changeset.mode !== undefined && !MODES.includes(changeset.mode)) {
+    errors.push(
+      `mode must be one of ${MODES.join(", ")} (got ${JSON.stringify(
+        changeset.mode
+      )})`
+    );
+  }
+
+  for (const kind of KINDS) {
+    if (!Array.isArray(changeset[kind])) {
+      errors.push(`${kind} must be an array`);
+      continue;
+    }
+    changeset[kind].forEach((change, index) => {
+      const where = `${kind}[${index}]`;
+      if (!change || typeof change.id !== "string") {
+        errors.push(`${where}.id must be a string`);
+        return;
+      }
+      if (!ACTIONS.includes(change.action)) {
+        errors.push(
+          `${where}.action must be one of ${ACTIONS.join(
+            ", "
+          )} (got ${JSON.stringify(change.action)})`
+        );
+      }
+      if (
+        change.action !== "create" &&
+        !Number.isInteger(change.targetVersion)
+      ) {
+        errors.push(`${where}.targetVersion must be an integer`);
+      }
+      if (
+        (change.action === "create" || change.action === "update") &&
+        (!change.fields || typeof change.fields !== "object")
+      ) {
+        errors.push(`${where}.fields must be an object`);
+      }
+      if (
+        kind === "entries" &&
+        change.action === "create" &&
+        typeof change.contentType !== "string"
+      ) {
+        errors.push(`${where}.contentType must be a string`);
+      }
+      if (
+        change.conflicts !== undefined &&
+        (change.action !== "update" ||
+          !Array.isArray(change.conflicts) ||
+          change.conflicts.some(
+            (conflict) =>
+              !conflict ||
+              typeof conflict.field !== "string" ||
+              typeof conflict.locale !== "string"
+          ))
+      ) {
+        errors.push(
+          `${where}.conflicts must be a list of { field, locale } on an update`
+        );
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Read and validate a changeset file
+ * @param {string} file
+ * @returns {object}
+ * @throws {ChangesetError}
+ */
+function readChangeset(file) {
+  let changeset;
+  try {
+    changeset = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ChangesetError(`Cannot read changeset ${file}: ${error.message}`);
+  }
+  const errors = validateChangeset(changeset);
+  if (errors.length > 0) {
+    throw new ChangesetError(`Invalid changeset ${file}`, errors);
+  }
+  return changeset;
+}
+
+/**
+ * Render a changeset for review: one line per change, one per field diff
+ * @param {object} changeset
+ * @returns {string}
+ */
+function formatChangeset(changeset) {
+  const symbols = { create: "+", update: "~", delete: "-", archive: "a" };
+  const mode = changeset.mode === "three-way" ? ", three-way" : "";
+  const lines = [
+    `Changeset ${changeset.sourceEnvironment || "?"} -> ${
+      changeset.targetEnvironment
+    } (space ${changeset.spaceId}${mode})`,
+  ];
+
+  for (const kind of KINDS) {
+    for (const change of changeset[kind]) {
+      const type = kind === "assets" ? "asset" : "entry";
+      const contentType = change.contentType ? ` (${change.contentType})` : "";
+      const version =
+        change.action === "create" ? "" : ` @ v${change.targetVersion}`;
+      const publish = change.publish ? " +publish" : "";
+      lines.push(
+        `${symbols[change.action]} ${change.action} ${type} ${
+          change.id
+        }${contentType}${version}${publish}`
+      );
+      for (const operation of change.diff || []) {
+        lines.push(...formatFieldChange(operation));
+      }
+      for (const { field, locale } of change.conflicts || []) {
+        lines.push(`    ! ${field}.${locale}: conflict, needs a resolution`);
+      }
+      if (change.keptInTarget && change.keptInTarget.length > 0) {
+        lines.push(`    = kept in target: ${change.keptInTarget.join(", ")}`);
+      }
+    }
+  }
+  for (const item of changeset.skipped || []) {
+    const type = item.kind === "assets" ? "asset" : "entry";
+    lines.push(`  skip ${type} ${item.id}: ${item.reason}`);
+  }
+
+  if (countChanges(changeset) === 0) lines.push("No changes.");
+  return lines.join("\n");
+}
+
+module.exports = {
+  CHANGESET_VERSION,
+  ACTIONS,
+  ChangesetError,
+  ChangesetDriftError,
+  createChangeset,
+  finalizeChangeset,
+  countChanges,
+  countConflicts,
+  writeChangeset,
+  validateChangeset,
+  readChangeset,
+  formatChangeset,
+};
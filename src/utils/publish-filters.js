@@ -0,0 +1,222 @@
+/**
+ * Publish Filters
+ *
+ * Scope a publish run to part of an environment: some content types, tagged
+ * entries, recent edits, one editor's edits or a list of IDs. Filters are
+ * turned into CMA query parameters, so only matching drafts and changed
+ * entries are fetched; everything else in the environment is left alone.
+ */
+
+const fs = require("fs");
+
+// Keeps `sys.id[in]` query strings well below Contentful's URL length limit
+const IDS_PER_QUERY = 100;
+
+const RELATIVE_UNITS = {
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000,
+};
+
+class PublishFilterError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [file]
+   */
+  constructor(message, file = null) {
+    super(file ? `${message} (${file})` : message);
+    this.name = "PublishFilterError";
+    this.file = file;
+  }
+}
+
+/**
+ * @typedef {object} PublishFilters
+ * @property {string[]} [contentTypes] - Only entries of these content types
+ * @property {string[]} [excludeContentTypes] - No entries of these content types
+ * @property {string[]} [tags] - Only entries and assets with any of these tags
+ * @property {string} [updatedSince] - ISO date; only things updated since then
+ * @property {string[]} [updatedBy] - Only things last updated by these users
+ * @property {string[]} [ids] - Only these entry and asset IDs
+ */
+
+/**
+ * Resolve an --updated-since value to an ISO date
+ * @param {string} value - ISO date ("2024-05-01", "2024-05-01T12:00:00Z") or
+ *   an age such as "7d", "12h" or "30m"
+ * @param {Date} [now]
+ * @returns {string}
+ * @throws {PublishFilterError} When the value is neither
+ */
+function parseUpdatedSince(value, now = new Date()) {
+  const relative = String(value).match(/^(\d+)([dhm])$/);
+  if (relative) {
+    const [, amount, unit] = relative;
+    return new Date(
+      now.getTime() - Number(amount) * RELATIVE_UNITS[unit]
+    ).toISOString();
+  }
+
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+    throw new PublishFilterError(
+      `--updated-since expects an ISO date or an age like 7d, 12h or 30m, got "${value}"`
+    );
+  }
+  return date.toISOString();
+}
+
+/**
+ * Read the IDs listed in a file: one per line, blank lines and lines
+ * starting with # ignored. A JSON array of IDs is read as well.
+ * @param {string} file
+ * @returns {string[]}
+ * @throws {PublishFilterError} When the file is missing or lists no IDs
+ */
+function loadIdsFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new PublishFilterError(
+      `Cannot read IDs file: ${error.message}`,
+      file
+    );
+  }
+
+  let ids;
+  if (text.trim().startsWith("[")) {
+    try {
+      ids = JSON.parse(text);
+    } catch (error) {
+      throw new PublishFilterError(`Invalid JSON: ${error.message}`, file);
+    }
+    if (!ids.every((id) => typeof id === "string")) {
+      throw new PublishFilterError("Expected an array of ID strings", file);
+    }
+  } else {
+    ids = text.split(/\r?\n/).map((line) => line.trim());
+  }
+
+  ids = [...new Set(ids.filter((id) => id && !id.startsWith("#")))];
+  if (ids.length === 0) {
+    throw new PublishFilterError("The IDs file lists no IDs", file);
+  }
+  return ids;
+}
+
+/**
+ * Build publish filters from `cf publish` options
+ * @param {object} options - Parsed options (contentType, excludeContentType,
+ *   tag, updatedSince, updatedBy, idsFile)
+ * @returns {PublishFilters|null} null when no filter is given
+ * @throws {PublishFilterError} On invalid values or conflicting filters
+ */
+function buildPublishFilters(options = {}) {
+  const filters = {};
+  if (options.contentType) filters.contentTypes = options.contentType;
+  if (options.excludeContentType) {
+    filters.excludeContentTypes = options.excludeContentType;
+  }
+  if (options.tag) filters.tags = options.tag;
+  if (options.updatedSince) {
+    filters.updatedSince = parseUpdatedSince(options.updatedSince);
+  }
+  if (options.updatedBy) filters.updatedBy = options.updatedBy;
+  if (options.idsFile) filters.ids = loadIdsFile(options.idsFile);
+
+  const both = (filters.contentTypes || []).filter((id) =>
+    (filters.excludeContentTypes || []).includes(id)
+  );
+  if (both.length > 0) {
+    throw new PublishFilterError(
+      `Content types both included and excluded: ${both.join(", ")}`
+    );
+  }
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Whether filters name content types, which only entries have
+ * @param {PublishFilters|null} filters
+ * @returns {boolean}
+ */
+function filtersByContentType(filters) {
+  return Boolean(
+    filters && (filters.contentTypes || filters.excludeContentTypes)
+  );
+}
+
+/**
+ * CMA query parameters selecting what the filters match. IDs are split over
+ * several queries when there are many; the results are meant to be
+ * concatenated.
+ * @param {PublishFilters|null} filters
+ * @param {string} type - "entries" or "assets"
+ * @returns {object[]} One query per ID chunk ([{}] without filters)
+ * @throws {PublishFilterError} For content type filters on assets
+ */
+function publishQueries(filters, type) {
+  if (!filters) return [{}];
+  if (type === "assets" && filtersByContentType(filters)) {
+    throw new PublishFilterError(
+      "--content-type and --exclude-content-type only select entries"
+    );
+  }
+
+  const query = {};
+  const { contentTypes = [], excludeContentTypes = [] } = filters;
+  if (contentTypes.length === 1) {
+    query.content_type = contentTypes[0];
+  } else if (contentTypes.length > 1) {
+    query["sys.contentType.sys.id[in]"] = contentTypes.join(",");
+  }
+  if (excludeContentTypes.length > 0) {
+    query["sys.contentType.sys.id[nin]"] = excludeContentTypes.join(",");
+  }
+  if (filters.tags) query["metadata.tags.sys.id[in]"] = filters.tags.join(",");
+  if (filters.updatedSince) query["sys.updatedAt[gte]"] = filters.updatedSince;
+  if (filters.updatedBy) {
+    query["sys.updatedBy.sys.id[in]"] = filters.updatedBy.join(",");
+  }
+  if (!filters.ids) return [query];
+
+  const queries = [];
+  for (let i = 0; i < filters.ids.length; i += IDS_PER_QUERY) {
+    queries.push({
+      ...query,
+      "sys.id[in]": filters.ids.slice(i, i + IDS_PER_QUERY).join(","),
+    });
+  }
+  return queries;
+}
+
+/**
+ * One line describing the filters, for logs and plans
+ * @param {PublishFilters|null} filters
+ * @returns {string}
+ */
+function describeFilters(filters) {
+  if (!filters) return "everything";
+  return [
+    filters.contentTypes && `content types ${filters.contentTypes.join(", ")}`,
+    filters.excludeContentTypes &&
+      `except content types ${filters.excludeContentTypes.join(", ")}`,
+    filters.tags && `tagged ${filters.tags.join(" or ")}`,
+    filters.updatedSince && `updated since ${filters.updatedSince}`,
+    filters.updatedBy && `updated by ${filters.updatedBy.join(" or ")}`,
+    filters.ids && `${filters.ids.length} listed IDs`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+module.exports = {
+  PublishFilterError,
+  buildPublishFilters,
+  describeFilters,
+  filtersByContentType,
+  loadIdsFile,
+  parseUpdatedSince,
+  publishQueries,
+};
@@ -0,0 +1,241 @@
+/**
+ * Publish Plan
+ *
+ * The result of `publish --dry-run`: everything the publish pipeline would do
+ * (entry and asset rule actions, empty-data deletions, broken link cleanup,
+ * publishing and the validation failures it expects) collected without
+ * writing to Contentful.
+ * This module builds, summarises, prints and saves plans; contentful-cli.js
+ * fills them in.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { describeAction, normalizeAction } = require("./deletion-config");
+const { describeFilters } = require("./publish-filters");
+
+/** Rule action of a planned deletion; empty-data deletions have none */
+const actionOf = (deletion) => normalizeAction(deletion.action).type;
+const isAssetDeletion = (deletion) => deletion.type === "Asset";
+
+/**
+ * Create an empty plan
+ * @param {string} context - Profile name used for deletion rules
+ * @param {string} command - publish, publish-entries-only or publish-assets-only
+ * @param {object|null} [filters] - Publish filters scoping the run
+ * @returns {object}
+ */
+function createPublishPlan(context, command, filters = null) {
+  return {
+    dryRun: true,
+    command,
+    environment: context,
+    filters,
+    generatedAt: new Date().toISOString(),
+    summary: {},
+    deletions: [],
+    linkCleanups: [],
+    publish: { entries: [], assets: [] },
+    predictedFailures: [],
+    skipped: [],
+  };
+}
+
+/**
+ * Fill in plan.summary from the plan sections
+ * @param {object} plan
+ * @returns {object} The plan
+ */
+function summarizePublishPlan(plan) {
+  plan.summary = {
+    entriesToDelete: plan.deletions.filter(
+      (d) => d.willDelete && actionOf(d) === "delete" && !isAssetDeletion(d)
+    ).length,
+    assetsToDelete: plan.deletions.filter(
+      (d) => d.willDelete && actionOf(d) === "delete" && isAssetDeletion(d)
+    ).length,
+    otherRuleActions: plan.deletions.filter(
+      (d) => d.willDelete && actionOf(d) !== "delete"
+    ).length,
+    deletionsSkipped: plan.deletions.filter((d) => !d.willDelete).length,
+    entriesToClean: plan.linkCleanups.length,
+    brokenLinks: plan.linkCleanups.reduce(
+      (total, cleanup) => total + cleanup.brokenLinks.length,
+      0
+    ),
+    entriesToPublish: plan.publish.entries.length,
+    assetsToPublish: plan.publish.assets.length,
+    predictedFailures: plan.predictedFailures.length,
+    skipped: plan.skipped.length,
+  };
+  return plan;
+}
+
+/**
+ * Flatten a plan into one row per planned action
+ * @param {object} plan
+ * @returns {Array<{action: string, type: string, id: string, contentType: string, detail: string}>}
+ */
+function planRows(plan) {
+  const rows = [];
+  for (const deletion of plan.deletions) {
+    rows.push({
+      action: deletion.willDelete ? actionOf(deletion) : "keep",
+      type: deletion.type || "Entry",
+      id: deletion.id,
+      contentType: deletion.contentType,
+      detail: [
+        deletion.ruleName || deletion.reason,
+        deletion.action && actionOf(deletion) !== "delete"
+          ? describeAction(deletion.action)
+          : null,
+        deletion.willDelete && deletion.requiresConfirmation
+          ? "needs confirmation"
+          : null,
+        deletion.missingFields && deletion.missingFields.length > 0
+          ? `missing ${deletion.missingFields.join(", ")}`
+          : null,
+        deletion.skipReason,
+        deletion.linkedBy && deletion.linkedBy.length > 0
+          ? `linked by ${deletion.linkedBy.map((e) => e.id).join(", ")}`
+          : null,
+      ]
+        .filter(Boolean)
+        .join("; "),
+    });
+  }
+  for (const cleanup of plan.linkCleanups) {
+    rows.push({
+      action: "clean",
+      type: "Entry",
+      id: cleanup.id,
+      contentType: cleanup.contentType,
+      detail: cleanup.brokenLinks
+        .map((link) => `${link.field}.${link.locale} -> ${link.id}`)
+        .join(", "),
+    });
+  }
+  for (const asset of plan.publish.assets) {
+    rows.push({
+      action: "publish",
+      type: "Asset",
+      id: asset.id,
+      contentType: "",
+      detail: asset.status,
+    });
+  }
+  for (const entry of plan.publish.entries) {
+    rows.push({
+      action: "publish",
+      type: "Entry",
+      id: entry.id,
+      contentType: entry.contentType,
+      detail: [
+        entry.status,
+        entry.wave && `wave ${entry.wave}`,
+        entry.cycle && "link cycle",
+      ]
+        .filter(Boolean)
+        .join(", "),
+    });
+  }
+  for (const failure of plan.predictedFailures) {
+    rows.push({
+      action: "fail",
+      type: failure.type,
+      id: failure.id,
+      contentType: failure.contentType || "",
+      detail:
+        failure.outcome === "blocked"
+          ? `blocked by ${failure.blockedBy.join(", ")}`
+          : failure.errors
+              .map((error) => `${error.path.join(".")}: ${error.details}`)
+              .join(", "),
+    });
+  }
+  for (const skipped of plan.skipped) {
+    rows.push({
+      action: "skip",
+      type: skipped.type,
+      id: skipped.id,
+      contentType: skipped.contentType || "",
+      detail: skipped.reason,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Render a plan as a human readable table followed by the summary
+ * @param {object} plan
+ * @returns {string}
+ */
+function formatPublishPlan(plan) {
+  const columns = [
+    ["action", "ACTION"],
+    ["type", "TYPE"],
+    ["id", "ID"],
+    ["contentType", "CONTENT TYPE"],
+    ["detail", "DETAIL"],
+  ];
+  const rows = planRows(plan);
+  const widths = columns.map(([key, title]) =>
+    Math.max(title.length, ...rows.map((row) => String(row[key]).length))
+  );
+  const line = (values) =>
+    values
+      .map((value, index) =>
+        index === values.length - 1
+          ? value
+          : String(value).padEnd(widths[index])
+      )
+      .join("  ");
+
+  const lines = [
+    `Publish plan for ${plan.environment} (${plan.command}, dry run - nothing was written)`,
+  ];
+  if (plan.filters) lines.push(`Only ${describeFilters(plan.filters)}`);
+  lines.push("");
+  if (rows.length === 0) {
+    lines.push("Nothing to do.");
+  } else {
+    lines.push(line(columns.map(([, title]) => title)));
+    lines.push(line(widths.map((width) => "-".repeat(width))));
+    rows.forEach((row) => lines.push(line(columns.map(([key]) => row[key]))));
+  }
+
+  const { summary } = plan;
+  lines.push(
+    "",
+    `Delete: ${summary.entriesToDelete} entries, ${summary.assetsToDelete} assets (${summary.deletionsSkipped} kept by safety checks)  ` +
+      `Other rule actions: ${summary.otherRuleActions}  ` +
+      `Clean: ${summary.entriesToClean} entries / ${summary.brokenLinks} links  ` +
+      `Publish: ${summary.entriesToPublish} entries, ${summary.assetsToPublish} assets  ` +
+      `Predicted failures: ${summary.predictedFailures}  Skipped: ${summary.skipped}`
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Save a plan as publish-plan-<environment>-<timestamp>.json
+ * @param {object} plan
+ * @param {string} [directory] - Defaults to the working directory
+ * @returns {string} Path to the saved plan
+ */
+function savePublishPlan(plan, directory = process.cwd()) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const filepath = path.join(
+    directory,
+    `publish-plan-${plan.environment}-${timestamp}.json`
+  );
+  fs.writeFileSync(filepath, JSON.stringify(plan, null, 2));
+  return filepath;
+}
+
+module.exports = {
+  createPublishPlan,
+  summarizePublishPlan,
+  planRows,
+  formatPublishPlan,
+  savePublishPlan,
+};
@@ -0,0 +1,352 @@
+/**
+ * Three-Way Merge
+ *
+ * A two-way merge cannot tell an editor's hotfix in the target from a stale
+ * field, so it overwrites both. A three-way merge also looks at the baseline:
+ * the source fields as they were at the last applied merge. Per field and
+ * locale:
+ *
+ *   source == target             in sync, nothing to do
+ *   target changed, source not   target-only change, kept
+ *   source changed, target not   source-only change, merged into the target
+ *   both changed differently     conflict, written to a resolution file
+ *
+ * Every applied changeset records a new baseline (merge-baselines/ by
+ * default), so the first merge between two environments can be two-way and
+ * later ones three-way.
+ *
+ * Resolution file, edited by the reviewer before `merge apply`:
+ *
+ * {
+ *   "version": 1,
+ *   "changeset": "changeset-....json",
+ *   "conflicts": [{
+ *     "kind": "entries", "id": "...", "field": "title", "locale": "en-US",
+ *     "base": "...", "source": "...", "target": "...",
+ *     "resolution": null            // "source", "target" or { "value": ... }
+ *   }]
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { canonicalize, isEqualValue } = require("./field-diff");
+const { ChangesetError } = require("./merge-changeset");
+
+const BASELINE_VERSION = 1;
+const RESOLUTIONS_VERSION = 1;
+
+const BASELINE_DIR = process.env.MERGE_BASELINE_DIR || "merge-baselines";
+
+/**
+ * @param {string} spaceId
+ * @param {string} sourceEnvironment
+ * @param {string} targetEnvironment
+ * @returns {string} Default baseline path for a source/target pair
+ */
+function defaultBaselineFile(spaceId, sourceEnvironment, targetEnvironment) {
+  return path.join(
+    BASELINE_DIR,
+    `${spaceId}-${sourceEnvironment}-${targetEnvironment}.json`
+  );
+}
+
+/**
+ * Path of a file that belongs to a changeset, e.g. changeset-1.snapshot.json
+ * @param {string} changesetFile
+ * @param {string} suffix - snapshot or resolutions
+ * @returns {string}
+ */
+function companionFile(changesetFile, suffix) {
+  return `${changesetFile.replace(/\.json$/i, "")}.${suffix}.json`;
+}
+
+/**
+ * Create an empty snapshot of source fields; a recorded snapshot is a baseline
+ * @param {object} info
+ * @param {string} info.spaceId
+ * @param {string} info.sourceEnvironment
+ * @param {string} info.targetEnvironment
+ * @returns {object}
+ */
+function createSnapshot({ spaceId, sourceEnvironment, targetEnvironment }) {
+  return {
+    version: BASELINE_VERSION,
+    spaceId,
+    sourceEnvironment,
+    targetEnvironment,
+    recordedAt: null,
+    entries: {},
+    assets: {},
+  };
+}
+
+/**
+ * Read a baseline
+ * @param {string} file
+ * @returns {object|null} The baseline, or null when the file does not exist
+ * @throws {ChangesetError} When the file is unreadable or not a baseline
+ */
+function readBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ChangesetError(`Cannot read baseline ${file}: ${error.message}`);
+  }
+  if (
+    !baseline ||
+    baseline.version !== BASELINE_VERSION ||
+    typeof baseline.entries !== "object" ||
+    typeof baseline.assets !== "object"
+  ) {
+    throw new ChangesetError(
+      `Invalid baseline ${file}: expected version ${BASELINE_VERSION} with entries and assets`
+    );
+  }
+  return baseline;
+}
+
+/**
+ * Write a snapshot or baseline, creating its directory
+ * @param {object} snapshot
+ * @param {string} file
+ * @returns {string} The file path
+ */
+function writeBaseline(snapshot, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Record a planned snapshot as the baseline for the next merge
+ * @param {string} snapshotFile - Snapshot written by merge plan
+ * @param {string} baselineFile
+ * @returns {string} The baseline path
+ */
+function recordBaseline(snapshotFile, baselineFile) {
+  const snapshot = readBaseline(snapshotFile);
+  if (!snapshot) {
+    throw new ChangesetError(`Snapshot ${snapshotFile} does not exist`);
+  }
+  return writeBaseline(
+    { ...snapshot, recordedAt: new Date().toISOString() },
+    baselineFile
+  );
+}
+
+function localesOf(...fieldValues) {
+  const locales = new Set();
+  for (const value of fieldValues) {
+    Object.keys(value || {}).forEach((locale) => locales.add(locale));
+  }
+  return [...locales].sort();
+}
+
+function setLocale(fields, field, locale, value) {
+  if (value === undefined) {
+    if (fields[field]) {
+      delete fields[field][locale];
+      if (Object.keys(fields[field]).length === 0) delete fields[field];
+    }
+    return;
+  }
+  fields[field] = fields[field] || {};
+  fields[field][locale] = canonicalize(value);
+}
+
+// Missing locales are undefined; JSON null stands for them in files
+const orNull = (value) => (value === undefined ? null : canonicalize(value));
+
+/**
+ * Three-way merge of one item's fields
+ * @param {object|undefined} base - Baseline fields (undefined when the item is not in the baseline)
+ * @param {object} source - Source fields (already filtered for the target)
+ * @param {object} target - Current target fields
+ * @returns {{fields: object, sourceChanges: object[], targetChanges: object[], conflicts: object[]}}
+ *   `fields` is the target with source-only changes applied; conflicting
+ *   locales keep the target value until resolved
+ */
+function mergeFields(base, source = {}, target = {}) {
+  const fields = canonicalize(target || {});
+  const sourceChanges = [];
+  const targetChanges = [];
+  const conflicts = [];
+  const baseFields = base || {};
+
+  const fieldIds = new Set([
+    ...Object.keys(baseFields),
+    ...Object.keys(source || {}),
+    ...Object.keys(target || {}),
+  ]);
+  for (const field of [...fieldIds].sort()) {
+    const b = baseFields[field] || {};
+    const s = (source && source[field]) || {};
+    const t = (target && target[field]) || {};
+
+    for (const locale of localesOf(b, s, t)) {
+      const same = (x, y) =>
+        x === undefined || y === undefined ? x === y : isEqualValue(x, y);
+      if (same(s[locale], t[locale])) continue;
+
+      const sourceChanged = !same(s[locale], b[locale]);
+      const targetChanged = !same(t[locale], b[locale]);
+      if (sourceChanged && !targetChanged) {
+        sourceChanges.push({ field, locale });
+        setLocale(fields, field, locale, s[locale]);
+      } else if (targetChanged && !sourceChanged) {
+        targetChanges.push({ field, locale });
+      } else {
+        conflicts.push({
+          field,
+          locale,
+          base: orNull(b[locale]),
+          source: orNull(s[locale]),
+          target: orNull(t[locale]),
+        });
+      }
+    }
+  }
+  return { fields, sourceChanges, targetChanges, conflicts };
+}
+
+/**
+ * Build a resolution file for the conflicts of a changeset
+ * @param {string} changesetFile
+ * @param {object[]} conflicts - { kind, id, field, locale, base, source, target }
+ * @returns {object}
+ */
+function createResolutions(changesetFile, conflicts) {
+  return {
+    version: RESOLUTIONS_VERSION,
+    changeset: path.basename(changesetFile),
+    conflicts: conflicts.map((conflict) => ({ ...conflict, resolution: null })),
+  };
+}
+
+/**
+ * @param {*} resolution
+ * @returns {boolean} Whether a conflict's resolution is filled in correctly
+ */
+function isValidResolution(resolution) {
+  return (
+    resolution === "source" ||
+    resolution === "target" ||
+    Boolean(
+      resolution &&
+        typeof resolution === "object" &&
+        !Array.isArray(resolution) &&
+        "value" in resolution
+    )
+  );
+}
+
+const conflictKey = (conflict) =>
+  [conflict.kind, conflict.id, conflict.field, conflict.locale].join("/");
+
+/**
+ * Read a resolution file
+ * @param {string} file
+ * @returns {object}
+ * @throws {ChangesetError}
+ */
+function readResolutions(file) {
+  let resolutions;
+  try {
+    resolutions = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ChangesetError(
+      `Cannot read resolution file ${file}: ${error.message}`
+    );
+  }
+  if (
+    !resolutions ||
+    resolutions.version !== RESOLUTIONS_VERSION ||
+    !Array.isArray(resolutions.conflicts)
+  ) {
+    throw new ChangesetError(
+      `Invalid resolution file ${file}: expected version ${RESOLUTIONS_VERSION} with a conflicts array`
+    );
+  }
+  return resolutions;
+}
+
+/**
+ * Apply resolutions to the conflicting changes of a changeset
+ * @param {object} changeset
+ * @param {object} resolutions - Parsed resolution file
+ * @returns {object} A copy of the changeset with resolved fields; each
+ *   resolved change gets `resolved: [{ field, locale, resolution }]`
+ * @throws {ChangesetError} Listing every conflict without a valid resolution
+ */
+function resolveConflicts(changeset, resolutions) {
+  const byKey = new Map(
+    resolutions.conflicts.map((conflict) => [conflictKey(conflict), conflict])
+  );
+  const errors = [];
+  const resolved = JSON.parse(JSON.stringify(changeset));
+
+  for (const kind of ["assets", "entries"]) {
+    for (const change of resolved[kind]) {
+      if (!change.conflicts || change.conflicts.length === 0) continue;
+      change.resolved = [];
+
+      for (const { field, locale } of change.conflicts) {
+        const key = conflictKey({ kind, id: change.id, field, locale });
+        const conflict = byKey.get(key);
+        if (!conflict || !isValidResolution(conflict.resolution)) {
+          errors.push(
+            `${kind} ${change.id} ${field}.${locale}: resolution must be "source", "target" or { "value": ... }`
+          );
+          continue;
+        }
+
+        const { resolution } = conflict;
+        if (resolution === "source") {
+          setLocale(change.fields, field, locale, orUndefined(conflict.source));
+        } else if (resolution !== "target") {
+          setLocale(
+            change.fields,
+            field,
+            locale,
+            orUndefined(resolution.value)
+          );
+        }
+        change.resolved.push({
+          field,
+          locale,
+          resolution: typeof resolution === "string" ? resolution : "value",
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ChangesetError(
+      `${errors.length} conflict(s) are not resolved`,
+      errors
+    );
+  }
+  return resolved;
+}
+
+function orUndefined(value) {
+  return value === null ? undefined : value;
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  RESOLUTIONS_VERSION,
+  defaultBaselineFile,
+  companionFile,
+  createSnapshot,
+  readBaseline,
+  writeBaseline,
+  recordBaseline,
+  mergeFields,
+  createResolutions,
+  readResolutions,
+  resolveConflicts,
+};
@@ -0,0 +1,245 @@
+/**
+ * Shared harness for the script-style tests: checks with a result count, and
+ * a temporary directory set up for runs against the offline fake CMA
+ *
+ * Call setupTmpDir() before requiring anything from src/: some modules read
+ * their environment variables when they are loaded.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const FIXTURE = path.join(__dirname, "fixtures", "fake-space.json");
+
+const results = { passed: 0, failed: 0 };
+const tmpDirs = [];
+let configs = 0;
+
+/**
+ * Print the title of a test script
+ * @param {string} title - e.g. "Deletion Rule Actions"
+ */
+function suite(title) {
+  console.log(`🧪 Testing ${title}`);
+  console.log("=".repeat(60));
+}
+
+/**
+ * @param {string} description
+ * @param {*} condition - Truthy when the check passes
+ */
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+    results.passed++;
+  } else {
+    console.log(`❌ ${description}`);
+    results.failed++;
+  }
+}
+
+/**
+ * Count an error thrown outside of any check as a failure
+ * @param {Error} error
+ */
+function unexpected(error) {
+  console.log(`❌ Unexpected error: ${error.stack}`);
+  results.failed++;
+}
+
+/**
+ * Remove the temporary directories, print the results and exit, with 1 when
+ * a check failed
+ */
+function finish() {
+  tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  console.log("\n" + "=".repeat(60));
+  console.log(`📊 Results: ${results.passed} passed, ${results.failed} failed`);
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+/**
+ * Create the temporary directory of a test script, removed by finish(), and
+ * keep journals there. Progress logging is reduced to errors unless
+ * LOG_LEVEL is set.
+ * @param {string} prefix - e.g. "rule-actions"
+ * @param {object} [options]
+ * @param {boolean} [options.profiles] - Write a profiles file with "fake-de",
+ *   the master environment of the fake space
+ * @param {boolean} [options.noRules] - Use a deletion config without rules
+ * @returns {string} The directory
+ */
+function setupTmpDir(prefix, { profiles = false, noRules = false } = {}) {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || "ERROR";
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  tmpDirs.push(tmpDir);
+  process.env.CONTENTFUL_JOURNAL_DIR = path.join(tmpDir, "journals");
+
+  if (profiles) {
+    process.env.CONTENTFUL_PROFILES_FILE = path.join(tmpDir, "profiles.json");
+    process.env.FAKE_CMA_TOKEN = "fake-token";
+    fs.writeFileSync(
+      process.env.CONTENTFUL_PROFILES_FILE,
+      JSON.stringify({
+        profiles: {
+          "fake-de": {
+            spaceId: "fake-space",
+            environmentId: "master",
+            tokenEnv: "FAKE_CMA_TOKEN",
+          },
+        },
+      })
+    );
+  }
+  if (noRules) {
+    process.env.CONTENTFUL_DELETION_CONFIG = path.join(tmpDir, "no-rules.json");
+    fs.writeFileSync(
+      process.env.CONTENTFUL_DELETION_CONFIG,
+      JSON.stringify({ deletionRules: [] })
+    );
+  }
+  return tmpDir;
+}
+
+/**
+ * Point the fake CMA at a fresh copy of the fixture
+ * @param {string} tmpDir
+ * @param {string} name - File name of the copy, without .json
+ * @param {Function} [edit] - Changes the parsed fixture before it is written
+ * @returns {string} The copy
+ */
+function useFakeSpace(tmpDir, name, edit = null) {
+  const file = path.join(tmpDir, `${name}.json`);
+  if (edit) {
+    const data = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+    edit(data);
+    fs.writeFileSync(file, JSON.stringify(data));
+  } else {
+    fs.copyFileSync(FIXTURE, file);
+  }
+  process.env.CONTENTFUL_FAKE_SPACE = file;
+  return file;
+}
+
+/**
+ * Write a deletion mapping config, after checking it against the schema
+ * @param {string} tmpDir
+ * @param {object} config - Without deletionRules, there are none
+ * @returns {string} The file
+ * @throws {Error} When the config is invalid, so a typo in a test does not
+ *   pass as a refused rule
+ */
+function writeDeletionConfig(tmpDir, config) {
+  const { validateDeletionConfig } = require("../src/utils/deletion-config");
+  const text = JSON.stringify({ deletionRules: [], ...config });
+  const { problems } = validateDeletionConfig(text);
+  if (problems.length > 0) {
+    throw new Error(`Invalid test config: ${JSON.stringify(problems)}`);
+  }
+  const file = path.join(tmpDir, `deletion-config-${++configs}.json`);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+/**
+ * @returns {Promise<import('contentful-management').Environment>} The master
+ *   environment of the fake space
+ */
+function fakeMaster() {
+  return require("../src/core").getEnvironment({
+    spaceId: "fake-space",
+    environmentId: "master",
+    accessToken: "fake",
+  });
+}
+
+/**
+ * @returns {import('../src/utils/fake-contentful').FakeContentfulStore} The
+ *   store behind the current fake space
+ */
+function fakeStore() {
+  return require("../src/core").getFakeStore(process.env.CONTENTFUL_FAKE_SPACE);
+}
+
+/**
+ * Run fn with console output muted; the output of the commands under test
+ * is progress noise here
+ * @param {Function} fn
+ * @returns {Promise<*>} What fn returns
+ */
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+}
+
+/**
+ * Run fn quietly in a directory, where commands write their reports
+ * @param {string} dir
+ * @param {Function} fn
+ * @returns {Promise<*>} What fn returns
+ */
+async function inDir(dir, fn) {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return await quietly(fn);
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+/**
+ * @param {Function} fn
+ * @param {Function} errorClass
+ * @returns {boolean} Whether fn throws an instance of errorClass
+ */
+function throws(fn, errorClass) {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof errorClass;
+  }
+  return false;
+}
+
+/**
+ * @param {Function} fn - Async function, run quietly
+ * @param {Function} errorClass
+ * @returns {Promise<boolean>} Whether fn rejects with an instance of errorClass
+ */
+async function rejects(fn, errorClass) {
+  try {
+    await quietly(fn);
+  } catch (error) {
+    return error instanceof errorClass;
+  }
+  return false;
+}
+
+module.exports = {
+  FIXTURE,
+  results,
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+  throws,
+  rejects,
+};
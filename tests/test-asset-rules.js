@@ -0,0 +1,310 @@
+/**
+ * Test script for asset rules in the deletion mapping system
+ * Validates `"target": "assets"` rules, evaluates unlinkedFor, file
+ * properties and titles against fake CMA assets, and checks safety checks,
+ * the per-run limit, the `assets` report section, publish plans and
+ * publish-assets-only
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("asset-rules");
+
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+const { validateDeletionConfig } = require("../src/utils/deletion-config");
+const { DeletionLimitError } = require("../src/utils/deletion-approval");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+const { planRows } = require("../src/utils/publish-plan");
+
+suite("Asset Rules");
+
+const assetRule = (conditions, overrides = {}) => ({
+  id: "asset-rule",
+  name: "Asset rule",
+  enabled: true,
+  target: "assets",
+  conditions: { rules: conditions },
+  ...overrides,
+});
+
+/** Problems validateDeletionConfig reports for a config */
+const problemsFor = (rules) =>
+  validateDeletionConfig(JSON.stringify({ deletionRules: rules })).problems;
+
+/** Write rules to a config file */
+const writeRules = (deletionRules, globalSettings) =>
+  writeDeletionConfig(tmpDir, { deletionRules, globalSettings });
+
+const processorFor = (rules, globalSettings) =>
+  new EntryDeletionProcessor(writeRules(rules, globalSettings));
+
+/**
+ * Point the fake CMA at a copy of the fixture in which both assets were
+ * created in 2024 and asset-draft has an empty title
+ */
+const freshSpace = (name) =>
+  useFakeSpace(tmpDir, name, (fixture) => {
+    const { assets } = fixture.spaces["fake-space"].environments.master;
+    for (const asset of assets) {
+      asset.sys.createdAt = "2024-01-01T00:00:00.000Z";
+    }
+    assets.find((asset) => asset.sys.id === "asset-draft").fields.title = {
+      "en-US": "",
+    };
+  });
+
+const stateOf = () => fakeStore().getEnvironmentState("fake-space", "master");
+
+/** Evaluate rules against every asset of the fake master environment */
+async function assetCandidates(processor, context = "always-de") {
+  const environment = await fakeMaster();
+  await processor.checkContentTypes(environment, context);
+  await processor.loadLocales(environment, context);
+  const { items } = await environment.getAssets();
+  return processor.processAssetsForDeletion(
+    items,
+    context,
+    async (assetId) => ({
+      isLinked: assetId === "asset-logo",
+      linkedBy: assetId === "asset-logo" ? [{ id: "page-home" }] : [],
+    }),
+    environment
+  );
+}
+
+/** IDs of the assets a single condition matches */
+async function matching(condition) {
+  const candidates = await assetCandidates(
+    processorFor([assetRule([condition])])
+  );
+  return candidates
+    .map((candidate) => candidate.asset.sys.id)
+    .sort()
+    .join();
+}
+
+function testValidation() {
+  console.log("\n🛂 Validation");
+  check(
+    "asset rules need no content types",
+    problemsFor([assetRule([{ field: "file.url", operator: "isEmpty" }])])
+      .length === 0
+  );
+  const entryRule = problemsFor([
+    assetRule([{ field: "title", operator: "isEmpty" }], {
+      target: undefined,
+    }),
+  ]);
+  check(
+    "entry rules still need them",
+    entryRule.length === 1 && entryRule[0].message.includes("contentTypes")
+  );
+  const problems = problemsFor([
+    assetRule(
+      [
+        { field: "*", operator: "hasNoData" },
+        { field: "seoHead.fields.url", operator: "isEmpty" },
+      ],
+      {
+        contentTypes: ["page"],
+        action: { type: "setField", field: "altText", value: "" },
+      }
+    ),
+  ]).map((problem) => problem.pointer);
+  check(
+    "content types, entry operators and unknown fields are refused",
+    problems.join() ===
+      [
+        "/deletionRules/0/contentTypes",
+        "/deletionRules/0/conditions/rules/0/operator",
+        "/deletionRules/0/conditions/rules/1/field",
+        "/deletionRules/0/action/field",
+      ].join()
+  );
+}
+
+async function testConditions() {
+  console.log("\n🔍 Conditions");
+  check(
+    "unlinkedFor matches assets nothing links to",
+    (await matching({ field: "*", operator: "unlinkedFor", value: "30d" })) ===
+      "asset-draft"
+  );
+  check(
+    "unlinkedFor needs the asset to be older than the period",
+    (await matching({
+      field: "*",
+      operator: "unlinkedFor",
+      value: "3650d",
+    })) === ""
+  );
+  check(
+    "a missing file is an empty file.url",
+    (await matching({ field: "file.url", operator: "isEmpty" })) ===
+      "asset-draft"
+  );
+  check(
+    "MIME types are read from file.contentType",
+    (await matching({
+      field: "file.contentType",
+      operator: "notIn",
+      value: ["image/png", "image/svg+xml"],
+    })) === "asset-draft"
+  );
+  check(
+    "file sizes are read from file.details.size",
+    (await matching({
+      field: "file.details.size",
+      operator: "greaterThan",
+      value: 1024,
+    })) === "asset-logo"
+  );
+  check(
+    "empty titles match isEmpty",
+    (await matching({ field: "title", operator: "isEmpty" })) === "asset-draft"
+  );
+  const entryRules = processorFor([
+    {
+      id: "everything",
+      name: "Every entry",
+      enabled: true,
+      contentTypes: ["*"],
+      conditions: { rules: [{ field: "sys.id", operator: "isNotEmpty" }] },
+    },
+  ]);
+  check(
+    "entry rules never match assets",
+    (await assetCandidates(entryRules)).length === 0
+  );
+}
+
+async function testSafetyAndReports() {
+  console.log("\n🛡️  Safety checks, limits and reports");
+  const everyAsset = [{ field: "sys.id", operator: "isNotEmpty" }];
+  const referenced = await assetCandidates(
+    processorFor([
+      assetRule(everyAsset, {
+        safetyChecks: { checkLinks: true, skipIfReferenced: true },
+      }),
+    ])
+  );
+  const logo = referenced.find((c) => c.asset.sys.id === "asset-logo");
+  check(
+    "skipIfReferenced keeps linked assets",
+    logo.isLinked && !logo.willDelete && referenced.length === 2
+  );
+
+  const processor = processorFor([assetRule(everyAsset)], {
+    defaultBehavior: { maxDeletionsPerRun: 1 },
+  });
+  const limited = await assetCandidates(processor);
+  let limitError = null;
+  try {
+    await processor.authorizeCandidates(limited, "always-de");
+  } catch (caught) {
+    limitError = caught;
+  }
+  check(
+    "maxDeletionsPerRun aborts every asset action",
+    limitError instanceof DeletionLimitError &&
+      limited.every((candidate) => !candidate.willDelete)
+  );
+
+  const report = processor.generateDeletionReport(limited, "always-de");
+  const assets = report.assets.ruleBreakdown["asset-rule"].assets;
+  const logoRow = assets.find((asset) => asset.id === "asset-logo");
+  check(
+    "the report lists assets in their own section",
+    report.totalCandidates === 0 &&
+      report.assets.totalCandidates === 2 &&
+      report.assets.summary.willDelete === 0 &&
+      logoRow.skipReason === limitError.message &&
+      report.assets.mimeTypeBreakdown["image/jpeg"] === 1 &&
+      logoRow.mimeType === "image/png" &&
+      logoRow.size === 2048
+  );
+
+  const [draft] = limited.filter((c) => c.asset.sys.id === "asset-draft");
+  const [logoCandidate] = limited.filter(
+    (c) => c.asset.sys.id === "asset-logo"
+  );
+  logoCandidate.action = { type: "archive" };
+  await processor.applyAction(logoCandidate);
+  const deleted = await processor.applyAction(draft);
+  check(
+    "rule actions apply to assets",
+    deleted === null &&
+      stateOf().assets["asset-draft"] === undefined &&
+      stateOf().assets["asset-logo"].sys.archivedVersion
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  const missingFile = assetRule([{ field: "file.url", operator: "isEmpty" }]);
+  process.env.CONTENTFUL_DELETION_CONFIG = writeRules([missingFile]);
+  try {
+    freshSpace("plan");
+    const plan = await quietly(async () =>
+      planPublish(await fakeMaster(), "always-de", "publish-assets-only")
+    );
+    const row = planRows(plan).find((r) => r.id === "asset-draft");
+    check(
+      "publish plans show asset rule actions instead of publishing",
+      row.type === "Asset" &&
+        row.action === "delete" &&
+        plan.publish.assets.length === 0 &&
+        plan.summary.assetsToDelete === 1 &&
+        plan.summary.entriesToDelete === 0
+    );
+
+    freshSpace("publish");
+    await inDir(tmpDir, async () =>
+      runCommand("publish-assets-only", await fakeMaster(), "always-de")
+    );
+    const reports = fs
+      .readdirSync(tmpDir)
+      .filter((file) => file.startsWith("deletion-report-"));
+    const report =
+      reports.length === 1 &&
+      JSON.parse(fs.readFileSync(path.join(tmpDir, reports[0]), "utf8"));
+    check(
+      "publish-assets-only runs asset rules first and reports them",
+      stateOf().assets["asset-draft"] === undefined &&
+        report &&
+        report.assets.ruleBreakdown["asset-rule"].assets[0].outcome ===
+          "applied"
+    );
+  } finally {
+    delete process.env.CONTENTFUL_DELETION_CONFIG;
+  }
+}
+
+async function runTests() {
+  try {
+    testValidation();
+    freshSpace("conditions");
+    await testConditions();
+    await testSafetyAndReports();
+    await testPublishing();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
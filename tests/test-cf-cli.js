@@ -0,0 +1,286 @@
+/**
+ * Test script for the unified `cf` dispatcher
+ * Covers argument parsing, command resolution, generated help, usage errors
+ * and JSON output from a run against the fake CMA
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  throws,
+} = require("./helpers");
+
+// Keeps rollback journals written by the tests out of the working tree
+const tmpDir = setupTmpDir("cf-cli");
+
+const {
+  UsageError,
+  parseArgs,
+  takeLeadingWords,
+} = require("../src/utils/cli-args");
+const { resolveCommand, GLOBAL_OPTIONS } = require("../src/cli/cf");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+
+suite("cf Command Dispatcher");
+
+const throwsUsageError = (fn) => throws(fn, UsageError);
+
+function runCf(args, env = {}, cwd = undefined) {
+  return spawnSync("node", [CF, ...args], {
+    cwd,
+    env: { ...process.env, LOG_LEVEL: "ERROR", ...env },
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+function testParsing() {
+  console.log("\n🔤 Argument parsing");
+  const specs = [
+    ...GLOBAL_OPTIONS,
+    { name: "batch-size", value: "n", type: "number", description: "" },
+    { name: "entry", value: "ids", type: "list", description: "" },
+  ];
+
+  const { options, positionals } = parseArgs(
+    ["de", "--space", "abc", "--dry-run", "--batch-size=20", "--entry", "a, b"],
+    specs
+  );
+  check(
+    "values, flags, numbers and lists are parsed",
+    options.space === "abc" &&
+      options.dryRun === true &&
+      options.batchSize === 20 &&
+      options.entry.join() === "a,b" &&
+      positionals.join() === "de"
+  );
+
+  check(
+    "unknown options are usage errors",
+    throwsUsageError(() => parseArgs(["--nope"], specs))
+  );
+  check(
+    "missing values are usage errors",
+    throwsUsageError(() => parseArgs(["--space"], specs))
+  );
+  check(
+    "invalid choices are usage errors",
+    throwsUsageError(() => parseArgs(["--log-level", "loud"], specs))
+  );
+  check(
+    "non-numeric numbers are usage errors",
+    throwsUsageError(() => parseArgs(["--batch-size", "many"], specs))
+  );
+
+  const { words, rest } = takeLeadingWords(
+    ["--env", "master", "links", "clean", "--json"],
+    GLOBAL_OPTIONS,
+    2
+  );
+  check(
+    "global option values are not mistaken for commands",
+    words.join() === "links,clean" && rest.join() === "--env,master,--json"
+  );
+}
+
+function testResolution() {
+  console.log("\n🧭 Command resolution");
+  const links = resolveCommand(["--space", "s", "links", "clean", "--dry-run"]);
+  check(
+    "subcommands resolve after global options",
+    links.spec.name === "clean" && links.rest.includes("--dry-run")
+  );
+
+  check(
+    "a group without a subcommand shows help",
+    resolveCommand(["content-type"]).help === true
+  );
+  check(
+    "unknown subcommands are usage errors",
+    throwsUsageError(() => resolveCommand(["links", "nope"]))
+  );
+}
+
+function testHelp() {
+  console.log("\n📖 Generated help");
+  const general = runCf(["--help"]);
+  check(
+    "cf --help lists commands and global options",
+    general.status === 0 &&
+      [
+        "publish",
+        "merge",
+        "migrate",
+        "links",
+        "content-type",
+        "deletion",
+      ].every((name) => general.stdout.includes(`  ${name}`)) &&
+      general.stdout.includes("--log-level <level>")
+  );
+
+  const sub = runCf(["help", "links", "clean"]);
+  check(
+    "cf help links clean shows command options",
+    sub.status === 0 && sub.stdout.includes("--content-type <id>")
+  );
+
+  const flag = runCf(["merge", "plan", "-h"]);
+  check(
+    "-h after a command shows its help",
+    flag.status === 0 && flag.stdout.includes("--target-env <id>")
+  );
+}
+
+function testUsageErrors() {
+  console.log("\n🚫 Usage errors");
+  const unknown = runCf(["nope"]);
+  check(
+    "unknown command exits with 2",
+    unknown.status === 2 && unknown.stderr.includes("Unknown command: nope")
+  );
+
+  const inherited = ["toString", "constructor"].map((name) => runCf([name]));
+  check(
+    "names of Object.prototype properties are unknown commands",
+    inherited.every(
+      (result) =>
+        result.status === 2 && result.stderr.includes("Unknown command")
+    )
+  );
+
+  const dryRun = runCf(["bulk", "delete-drafts", "--dry-run"]);
+  check(
+    "--dry-run is refused by commands that would write",
+    dryRun.status === 2 && dryRun.stderr.includes("does not support --dry-run")
+  );
+
+  const missing = runCf(["links", "remove"]);
+  check(
+    "missing positional exits with 2",
+    missing.status === 2 && missing.stderr.includes("<entryId>")
+  );
+}
+
+function testFakeRun(tmpFixture) {
+  console.log("\n🖥️  cf against the fake space");
+  const profilesFile = path.join(tmpDir, "profiles.json");
+  fs.writeFileSync(
+    profilesFile,
+    JSON.stringify({
+      profiles: {
+        "fake-de": {
+          aliases: ["fake"],
+          spaceId: "fake-space",
+          environmentId: "master",
+          tokenEnv: "FAKE_CMA_TOKEN",
+        },
+      },
+    })
+  );
+  // The shipped rules name the real profiles; keep only the persona rule
+  const deletionConfig = path.join(tmpDir, "deletion-mappings.json");
+  const shipped = JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, "..", "config", "entry-deletion-mappings.json"),
+      "utf8"
+    )
+  );
+  fs.writeFileSync(
+    deletionConfig,
+    JSON.stringify({
+      deletionRules: shipped.deletionRules.filter(
+        (rule) => rule.id === "archive-persona-data"
+      ),
+    })
+  );
+  const env = {
+    CONTENTFUL_FAKE_SPACE: tmpFixture,
+    CONTENTFUL_FAKE_PERSIST: "true",
+    CONTENTFUL_PROFILES_FILE: profilesFile,
+    CONTENTFUL_DELETION_CONFIG: deletionConfig,
+    FAKE_CMA_TOKEN: "fake-token",
+  };
+  const connection = ["--space", "fake-space", "--env", "master"];
+
+  const archive = runCf(
+    ["bulk", "archive-persona-data", "--profile", "fake", "--json"],
+    env,
+    tmpDir
+  );
+  const output = JSON.parse(archive.stdout);
+  check(
+    "--json prints only the result document on stdout",
+    archive.status === 0 &&
+      output.success === true &&
+      output.command === "bulk archive-persona-data"
+  );
+  check(
+    "--profile aliases resolve to the profile name",
+    output.result.context === "fake-de"
+  );
+
+  const stored = JSON.parse(fs.readFileSync(tmpFixture, "utf8"));
+  const persona = stored.spaces["fake-space"].environments.master.entries.find(
+    (entry) => entry.sys.id === "persona-1"
+  );
+  check(
+    "the profile's space, environment and tokenEnv select the target",
+    Boolean(persona.sys.archivedVersion)
+  );
+
+  const profiles = runCf(["profiles", "list", "--json"], env);
+  check(
+    "cf profiles list reports profile status",
+    profiles.status === 0 &&
+      JSON.parse(profiles.stdout).result.profiles[0].complete === true
+  );
+
+  const unknown = runCf(["publish", "--profile", "nope"], env);
+  check(
+    "unknown profiles are usage errors",
+    unknown.status === 2 && unknown.stderr.includes("available: fake-de")
+  );
+
+  const before = fs.readFileSync(tmpFixture, "utf8");
+  const clean = runCf(
+    ["links", "clean", ...connection, "--token", "t", "--dry-run", "--json"],
+    env
+  );
+  const cleanOutput = JSON.parse(clean.stdout);
+  check(
+    "links clean --dry-run reports broken links without writing",
+    clean.status === 0 &&
+      cleanOutput.result.totalWithBrokenLinks === 1 &&
+      fs.readFileSync(tmpFixture, "utf8") === before
+  );
+
+  const failure = runCf(
+    ["bulk", "delete-drafts", "--space", "missing", "--env", "master"],
+    { ...env, CONTENTFUL_MANAGEMENT_TOKEN: "t" }
+  );
+  check("command failures exit with 1", failure.status === 1);
+}
+
+function runTests() {
+  try {
+    testParsing();
+    testResolution();
+    testHelp();
+    testUsageErrors();
+
+    testFakeRun(useFakeSpace(tmpDir, "space"));
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
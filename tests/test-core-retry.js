@@ -0,0 +1,339 @@
+/**
+ * Test script for the shared core: typed errors, jittered backoff, withRetry
+ * and the rate-limit-aware request queue with its adaptive concurrency,
+ * driven by the offline fake CMA
+ */
+
+const { FIXTURE, suite, check, unexpected, finish } = require("./helpers");
+
+const { FakeContentfulStore } = require("../src/utils/fake-contentful");
+const {
+  createClient,
+  withRetry,
+  computeBackoff,
+  toContentfulError,
+  RequestQueue,
+  RateLimitError,
+  NotFoundError,
+  ValidationError,
+  TimeoutError,
+} = require("../src/core");
+
+// Keep retry warnings out of the test output
+const quietLogger = { warn() {}, error() {} };
+
+suite("Core Retry and Request Queue");
+
+async function getMaster(queue) {
+  const store = FakeContentfulStore.fromFile(FIXTURE);
+  const client = createClient({ fake: store, queue });
+  const space = await client.getSpace("fake-space");
+  return { store, environment: await space.getEnvironment("master") };
+}
+
+function testErrors() {
+  console.log("\n🏷️  Typed errors");
+
+  const sdkError = new Error(
+    JSON.stringify({
+      status: 404,
+      statusText: "Not Found",
+      message: "The resource could not be found.",
+      details: { type: "Entry", id: "missing" },
+      requestId: "abc",
+    })
+  );
+  sdkError.name = "NotFound";
+  const notFound = toContentfulError(sdkError);
+  check(
+    "SDK JSON errors map to NotFoundError with status and details",
+    notFound instanceof NotFoundError &&
+      notFound.status === 404 &&
+      notFound.name === "NotFound" &&
+      notFound.details.id === "missing"
+  );
+
+  const validation = toContentfulError(
+    Object.assign(new Error("Validation error"), {
+      name: "ValidationFailed",
+      status: 422,
+      details: { errors: [{ name: "required" }] },
+    })
+  );
+  check(
+    "422 maps to ValidationError exposing errors",
+    validation instanceof ValidationError &&
+      validation.errors[0].name === "required"
+  );
+
+  const limited = toContentfulError(
+    Object.assign(new Error("Rate limit exceeded"), {
+      response: {
+        status: 429,
+        headers: { "x-contentful-ratelimit-reset": "3" },
+      },
+    })
+  );
+  check(
+    "429 maps to RateLimitError with resetSeconds",
+    limited instanceof RateLimitError && limited.resetSeconds === 3
+  );
+
+  check(
+    "already typed errors pass through unchanged",
+    toContentfulError(notFound) === notFound
+  );
+}
+
+function testBackoff() {
+  console.log("\n⏱️  Jittered backoff");
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  const delays = Array.from({ length: 50 }, () => computeBackoff(2, options));
+  check(
+    "backoff stays between half and the full exponential step",
+    delays.every((delay) => delay >= 200 && delay <= 400)
+  );
+  check("backoff is jittered", new Set(delays).size > 1);
+  check("backoff is capped at maxDelayMs", computeBackoff(20, options) <= 1000);
+}
+
+async function testRetries() {
+  console.log("\n🔁 withRetry against injected faults");
+  const queue = new RequestQueue();
+  const { store, environment } = await getMaster(queue);
+  const options = { queue, logger: quietLogger, baseDelayMs: 10 };
+
+  store.injectFault({ operation: "getEntry", status: 500, times: 2 });
+  const entry = await withRetry(() => environment.getEntry("page-home"), {
+    ...options,
+    operation: "getEntry",
+  });
+  check(
+    "server errors are retried until success",
+    entry.sys.id === "page-home"
+  );
+
+  store.injectFault({ operation: "getEntry", status: 429, times: 1, reset: 1 });
+  const started = Date.now();
+  await withRetry(() => environment.getEntry("page-home"), options);
+  check(
+    "429 waits for X-Contentful-RateLimit-Reset",
+    Date.now() - started >= 1000
+  );
+  check(
+    "queue records the rate limited response",
+    queue.stats.rateLimited === 1
+  );
+
+  let attempts = 0;
+  try {
+    await withRetry(() => {
+      attempts++;
+      return environment.getEntry("does-not-exist");
+    }, options);
+    check("404 is thrown", false);
+  } catch (error) {
+    check(
+      "404 is not retried and surfaces as NotFoundError",
+      attempts === 1 && error instanceof NotFoundError
+    );
+  }
+
+  store.injectFault({ operation: "getEntry", status: 503, times: 10 });
+  try {
+    await withRetry(() => environment.getEntry("page-home"), {
+      ...options,
+      maxRetries: 2,
+    });
+    check("exhausted retries throw", false);
+  } catch (error) {
+    check(
+      "exhausted retries rethrow the last typed error",
+      error.status === 503
+    );
+  }
+
+  try {
+    await withRetry(() => new Promise(() => {}), {
+      ...options,
+      maxRetries: 0,
+      timeoutMs: 50,
+      operation: "hang",
+    });
+    check("hanging request times out", false);
+  } catch (error) {
+    check("hanging requests raise TimeoutError", error instanceof TimeoutError);
+  }
+}
+
+async function testQueue() {
+  console.log("\n🚦 Request queue");
+  const queue = new RequestQueue({ concurrency: 2 });
+  let active = 0;
+  let maxActive = 0;
+  const task = () =>
+    queue.run(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      active--;
+    });
+  await Promise.all([task(), task(), task(), task(), task()]);
+  check("concurrency limit is respected", maxActive === 2);
+
+  const nested = await queue.run(() => queue.run(async () => "inner"));
+  check("nested runs do not deadlock", nested === "inner");
+
+  queue.handleResponse({
+    status: 200,
+    headers: {
+      "x-contentful-ratelimit-second-remaining": "0",
+      "x-contentful-ratelimit-reset": "1",
+    },
+  });
+  check("exhausted second budget pauses the queue", queue.remainingPauseMs > 0);
+  const started = Date.now();
+  await queue.run(async () => {});
+  check(
+    "queued requests wait for the reset",
+    Date.now() - started >= 900 && queue.stats.pausedMs > 0
+  );
+}
+
+const budget = (remaining) => ({
+  status: 200,
+  headers: { "x-contentful-ratelimit-second-remaining": String(remaining) },
+});
+
+async function testAdaptiveConcurrency() {
+  console.log("\n📈 Adaptive concurrency");
+  const queue = new RequestQueue({ concurrency: 2, maxConcurrency: 4 });
+  let active = 0;
+  let maxActive = 0;
+  const task = () =>
+    queue.run(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      queue.handleResponse(budget(9));
+      active--;
+    });
+  await Promise.all(Array.from({ length: 12 }, task));
+  check(
+    "concurrency rises while the budget has room and requests wait",
+    queue.stats.raised > 0 && maxActive > 2
+  );
+  check(
+    "concurrency never exceeds maxConcurrency",
+    maxActive <= 4 && queue.concurrency === 4
+  );
+
+  queue.handleResponse({ status: 429, headers: {} });
+  const halved = queue.concurrency;
+  queue.handleResponse(budget(0));
+  const lowered = queue.concurrency;
+  queue.handleResponse(budget(0));
+  check(
+    "a 429 halves concurrency and an exhausted budget lowers it by one",
+    halved === 2 && lowered === 1 && queue.concurrency === 1
+  );
+  check(
+    "throttles are counted",
+    queue.stats.rateLimited === 1 &&
+      queue.stats.exhausted === 2 &&
+      /1 rate limited, 2 times out of budget/.test(queue.describeStats())
+  );
+
+  const previousMax = process.env.CONTENTFUL_MAX_CONCURRENCY;
+  process.env.CONTENTFUL_MAX_CONCURRENCY = "2";
+  const capped = new RequestQueue();
+  if (previousMax === undefined) {
+    delete process.env.CONTENTFUL_MAX_CONCURRENCY;
+  } else {
+    process.env.CONTENTFUL_MAX_CONCURRENCY = previousMax;
+  }
+  active = 0;
+  maxActive = 0;
+  await capped.map(Array.from({ length: 6 }), () =>
+    capped.run(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      capped.handleResponse(budget(9));
+      active--;
+    })
+  );
+  check(
+    "CONTENTFUL_MAX_CONCURRENCY below the starting concurrency limits in-flight requests",
+    capped.concurrency === 2 && maxActive === 2
+  );
+
+  const mapQueue = new RequestQueue({ concurrency: 3, maxConcurrency: 3 });
+  active = 0;
+  maxActive = 0;
+  const doubled = await mapQueue.map([5, 1, 4, 2, 3, 6, 7], (n) =>
+    mapQueue.run(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, n * 5));
+      active--;
+      return n * 2;
+    })
+  );
+  check(
+    "map keeps the order of items and the in-flight limit",
+    doubled.join() === "10,2,8,4,6,12,14" && maxActive === 3
+  );
+
+  const started = [];
+  let mapError = null;
+  try {
+    await new RequestQueue({ concurrency: 1, maxConcurrency: 1 }).map(
+      [1, 2, 3, 4],
+      async (n) => {
+        started.push(n);
+        if (n === 2) throw new Error("boom");
+      }
+    );
+  } catch (error) {
+    mapError = error;
+  }
+  check(
+    "map stops starting items after one fails",
+    mapError && mapError.message === "boom" && started.join() === "1,2"
+  );
+
+  // The fake CMA allows 4 requests per second; the queue backs off and waits
+  const rateQueue = new RequestQueue({ concurrency: 4, maxConcurrency: 8 });
+  const { store, environment } = await getMaster(rateQueue);
+  store.setRateLimit(4);
+  const entries = await rateQueue.map(Array.from({ length: 10 }), () =>
+    withRetry(() => environment.getEntry("page-home"), {
+      queue: rateQueue,
+      logger: quietLogger,
+      baseDelayMs: 10,
+    })
+  );
+  check(
+    "a run over the rate limit completes with fewer requests in flight",
+    entries.every((entry) => entry.sys.id === "page-home") &&
+      rateQueue.stats.lowered > 0 &&
+      rateQueue.concurrency < 4 &&
+      rateQueue.stats.pausedMs > 0
+  );
+}
+
+async function runTests() {
+  try {
+    testErrors();
+    testBackoff();
+    await testRetries();
+    await testQueue();
+    await testAdaptiveConcurrency();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
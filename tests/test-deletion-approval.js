@@ -0,0 +1,413 @@
+/**
+ * Test script for the deletion limit and the approval workflow
+ * Checks that maxDeletionsPerRun aborts every rule action, that actions
+ * needing confirmation are prompted for or skipped when unattended, that
+ * approval files from cf deletion test restrict a run to the reviewed
+ * actions, that publishing holds entries back when over the limit, and that
+ * empty entries and entries missing required fields count against the same
+ * limit as the rule actions without a skipped action stopping them
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("deletion-approval", { profiles: true });
+
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+const DeletionMappingCLI = require("../src/cli/deletion-mapping-cli");
+const {
+  DeletionApprovalError,
+  DeletionLimitError,
+  createApproval,
+  loadApproval,
+  saveApproval,
+} = require("../src/utils/deletion-approval");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+
+suite("Deletion Limits and Approvals");
+
+const rule = (overrides) => ({
+  id: "test-rule",
+  name: "Test rule",
+  enabled: true,
+  contentTypes: ["page"],
+  conditions: { rules: [{ field: "sys.id", operator: "isNotEmpty" }] },
+  action: "archive",
+  ...overrides,
+});
+
+// Archives page-about only, after confirmation
+const aboutRule = rule({
+  conditions: {
+    rules: [{ field: "title", operator: "equals", value: "About us" }],
+  },
+  safetyChecks: { requireConfirmation: true },
+});
+
+/** Write rules to a config file */
+const writeRules = (deletionRules, globalSettings) =>
+  writeDeletionConfig(tmpDir, { deletionRules, globalSettings });
+
+const freshSpace = (name) => useFakeSpace(tmpDir, name);
+const stored = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").entries[id];
+
+/** Add a draft page with sections but without its required title */
+async function addUntitledPage() {
+  const environment = await fakeMaster();
+  await environment.createEntryWithId("page", "page-untitled", {
+    fields: {
+      sections: {
+        "en-US": [
+          { sys: { type: "Link", linkType: "Entry", id: "page-home" } },
+        ],
+      },
+    },
+  });
+}
+
+/** Evaluate rules against the page entries of the fake master environment */
+async function pageCandidates(processor, context = "fake-de") {
+  const environment = await fakeMaster();
+  await processor.checkContentTypes(environment, context);
+  await processor.loadLocales(environment, context);
+  const { items } = await environment.getEntries({ content_type: "page" });
+  return processor.processEntriesForDeletion(
+    items,
+    context,
+    async () => ({ isLinked: false, linkedBy: [] }),
+    environment
+  );
+}
+
+/** authorizeCandidates, returning the error instead of throwing it */
+async function authorize(processor, candidates, options) {
+  try {
+    return await processor.authorizeCandidates(candidates, "fake-de", options);
+  } catch (error) {
+    return error;
+  }
+}
+
+const ids = (candidates) =>
+  candidates
+    .map((candidate) => candidate.entry.sys.id)
+    .sort()
+    .join();
+
+/** Run fn in the temporary directory, where reports and approvals go */
+const inTmpDir = (fn) => inDir(tmpDir, fn);
+
+/** The files in the temporary directory starting with prefix, oldest first */
+const savedFiles = (prefix) =>
+  fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith(prefix))
+    .sort()
+    .map((file) => path.join(tmpDir, file));
+
+async function testLimit() {
+  console.log("\n🛑 maxDeletionsPerRun");
+  const processor = new EntryDeletionProcessor(
+    writeRules([rule()], { defaultBehavior: { maxDeletionsPerRun: 2 } })
+  );
+  const candidates = await pageCandidates(processor);
+  const error = await authorize(processor, candidates, {
+    confirm: async () => true,
+  });
+  check(
+    "going over the limit aborts every action instead of the excess",
+    error instanceof DeletionLimitError &&
+      error.count === 3 &&
+      error.limit === 2 &&
+      candidates.every((c) => !c.willDelete && c.skipReason === error.message)
+  );
+
+  const within = new EntryDeletionProcessor(
+    writeRules([rule()], { defaultBehavior: { maxDeletionsPerRun: 3 } })
+  );
+  const allowed = await authorize(within, await pageCandidates(within));
+  check(
+    "runs within the limit go ahead",
+    Array.isArray(allowed) && allowed.length === 3
+  );
+}
+
+async function testConfirmation() {
+  console.log("\n🙋 Confirmation");
+  const processor = new EntryDeletionProcessor(writeRules([aboutRule]));
+  const unattended = await pageCandidates(processor);
+  const skipped = await authorize(processor, unattended, {});
+  check(
+    "unattended runs skip actions that need confirmation",
+    skipped.length === 0 &&
+      unattended[0].skipReason.startsWith("Needs confirmation")
+  );
+
+  let asked = [];
+  const confirmed = await pageCandidates(processor);
+  const allowed = await authorize(processor, confirmed, {
+    confirm: async (candidates) => {
+      asked = candidates;
+      return true;
+    },
+  });
+  check(
+    "a confirmed prompt lets them run",
+    ids(asked) === "page-about" && ids(allowed) === "page-about"
+  );
+
+  const declined = await pageCandidates(processor);
+  await authorize(processor, declined, { confirm: async () => false });
+  check(
+    "a declined prompt skips them",
+    !declined[0].willDelete && declined[0].skipReason === "Not confirmed"
+  );
+
+  const confirmAll = path.join(tmpDir, "confirm-all.json");
+  fs.writeFileSync(
+    confirmAll,
+    JSON.stringify({
+      deletionRules: [rule()],
+      environmentConfig: { "fake-de": { requireConfirmationForAll: true } },
+    })
+  );
+  const everything = new EntryDeletionProcessor(confirmAll);
+  const all = await pageCandidates(everything);
+  await authorize(everything, all, {});
+  check(
+    "requireConfirmationForAll covers rules without requireConfirmation",
+    all.length === 3 &&
+      all.every((c) => c.requiresConfirmation && !c.willDelete)
+  );
+}
+
+async function testApprovalFiles() {
+  console.log("\n📝 Approval files");
+  const processor = new EntryDeletionProcessor(writeRules([rule()]));
+  const reviewed = await pageCandidates(processor);
+  reviewed.find((c) => c.entry.sys.id === "page-empty").willDelete = false;
+  const file = saveApproval(createApproval(reviewed, "fake-de"), tmpDir);
+  const approval = loadApproval(file, "fake-de");
+  check(
+    "approvals list each planned action with the version reviewed",
+    approval.approved.length === 2 &&
+      approval.approved.every(
+        (item) =>
+          item.type === "Entry" && item.action === "archive" && item.version
+      )
+  );
+
+  const run = await pageCandidates(processor);
+  const allowed = await authorize(processor, run, { approval });
+  check(
+    "an approval restricts the run to the actions it lists",
+    ids(allowed) === "page-about,page-home" &&
+      run.find((c) => c.entry.sys.id === "page-empty").skipReason ===
+        "Not in the approval file (or changed since)"
+  );
+
+  const changed = await pageCandidates(processor);
+  changed.find((c) => c.entry.sys.id === "page-home").entry.sys.version++;
+  check(
+    "entries edited since the review are not approved",
+    ids(await authorize(processor, changed, { approval })) === "page-about"
+  );
+
+  const failures = [
+    () => loadApproval(file, "always-de"),
+    () => loadApproval(path.join(tmpDir, "confirm-all.json"), "fake-de"),
+    () => loadApproval(path.join(tmpDir, "missing.json"), "fake-de"),
+  ].map((load) => {
+    try {
+      load();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  });
+  check(
+    "approvals for another environment, or that are not approvals, are refused",
+    failures.every((error) => error instanceof DeletionApprovalError) &&
+      failures[0].message.includes("not always-de")
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  freshSpace("limit");
+  process.env.CONTENTFUL_DELETION_CONFIG = writeRules([rule()], {
+    defaultBehavior: { maxDeletionsPerRun: 1 },
+  });
+  const plan = await quietly(async () =>
+    planPublish(await fakeMaster(), "fake-de", "publish-entries-only")
+  );
+  check(
+    "plans show the abort and publish none of the matched entries",
+    plan.deletions.every(
+      (d) => !d.willDelete && d.skipReason.includes("maxDeletionsPerRun")
+    ) && !plan.publish.entries.some((e) => e.id === "page-about")
+  );
+
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {
+      confirm: async () => true,
+    })
+  );
+  const [reportFile] = savedFiles("deletion-report-");
+  const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+  check(
+    "over the limit nothing is archived or published and the report says why",
+    !stored("page-about").sys.archivedVersion &&
+      stored("page-about").sys.publishedVersion === 2 &&
+      report.ruleBreakdown["test-rule"].entries.every((entry) =>
+        entry.skipReason.includes("maxDeletionsPerRun")
+      )
+  );
+
+  freshSpace("approve");
+  process.env.CONTENTFUL_DELETION_CONFIG = writeRules([aboutRule]);
+  const result = await inTmpDir(() =>
+    new DeletionMappingCLI().testDeletionRules("fake-de")
+  );
+  check(
+    "cf deletion test saves an approval of what it found",
+    result.approvalFile &&
+      loadApproval(result.approvalFile, "fake-de")
+        .approved.map((item) => item.id)
+        .join() === "page-about"
+  );
+
+  // asset-draft fails publishing (422) in the asset phase, before the
+  // approved entry action runs
+  fakeStore().injectFault({
+    operation: "publish",
+    status: 422,
+    entityId: "asset-draft",
+  });
+  await inTmpDir(async () =>
+    runCommand("publish", await fakeMaster(), "fake-de", {
+      approve: result.approvalFile,
+    })
+  );
+  check(
+    "--approve applies approved actions without a prompt",
+    Boolean(stored("page-about").sys.archivedVersion)
+  );
+  check(
+    "--approve deletes no empty entry or invalid asset the approval does not list",
+    Boolean(stored("page-empty")) &&
+      Boolean(
+        fakeStore().getEnvironmentState("fake-space", "master").assets[
+          "asset-draft"
+        ]
+      )
+  );
+}
+
+async function testOtherDeletions() {
+  console.log("\n🧮 Empty entries and missing required fields");
+  // Archiving page-about uses the first deletion, deleting page-empty the
+  // second, and page-untitled fails publishing (422) over the limit
+  const limited = () => {
+    process.env.CONTENTFUL_DELETION_CONFIG = writeRules(
+      [rule({ conditions: aboutRule.conditions })],
+      { defaultBehavior: { maxDeletionsPerRun: 2 } }
+    );
+  };
+
+  freshSpace("shared-plan");
+  await addUntitledPage();
+  limited();
+  const plan = await quietly(async () =>
+    planPublish(await fakeMaster(), "fake-de", "publish-entries-only")
+  );
+  const planned = (id) => plan.deletions.find((d) => d.id === id);
+  const untitled = plan.predictedFailures.find((f) => f.id === "page-untitled");
+  check(
+    "plans count empty entries and missing required fields against the limit",
+    planned("page-about").willDelete &&
+      planned("page-empty").willDelete &&
+      untitled.outcome === "manual"
+  );
+
+  freshSpace("shared");
+  await addUntitledPage();
+  limited();
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {})
+  );
+  check(
+    "rule actions, empty entries and 422 deletions share maxDeletionsPerRun",
+    Boolean(stored("page-about").sys.archivedVersion) &&
+      !stored("page-empty") &&
+      Boolean(stored("page-untitled")) &&
+      !stored("page-untitled").sys.publishedVersion
+  );
+
+  freshSpace("shared-skipped");
+  await addUntitledPage();
+  process.env.CONTENTFUL_DELETION_CONFIG = writeRules([aboutRule]);
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {})
+  );
+  check(
+    "a skipped rule action does not stop the other deletions of the run",
+    !stored("page-about").sys.archivedVersion &&
+      !stored("page-empty") &&
+      !stored("page-untitled")
+  );
+
+  // Two empty entries, but room for one deletion only
+  freshSpace("empty-batch");
+  const environment = await fakeMaster();
+  await environment.createEntryWithId("page", "page-blank", { fields: {} });
+  process.env.CONTENTFUL_DELETION_CONFIG = writeRules([], {
+    defaultBehavior: { maxDeletionsPerRun: 1 },
+  });
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {})
+  );
+  check(
+    "empty entries over the limit are all kept, not the first deleted",
+    Boolean(stored("page-empty")) && Boolean(stored("page-blank"))
+  );
+
+  const processor = new EntryDeletionProcessor(writeRules([aboutRule]));
+  const budget = processor.createBudget("fake-de");
+  budget.reserve(budget.limit - 1);
+  await authorize(processor, await pageCandidates(processor), { budget });
+  check(
+    "skipped rule actions give their share of the limit back",
+    budget.used === budget.limit - 1
+  );
+}
+
+async function runTests() {
+  try {
+    freshSpace("rules");
+    await testLimit();
+    await testConfirmation();
+    await testApprovalFiles();
+    await testPublishing();
+    await testOtherDeletions();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
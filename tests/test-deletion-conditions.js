@@ -0,0 +1,814 @@
+/**
+ * Test script for deletion rule conditions
+ * Evaluates nested AND/OR/NOT condition groups against plain entries and
+ * checks short-circuiting, the reasons, the explanation tree that ends up
+ * in deletion reports, `locale` selectors, reference paths and link
+ * counts resolved through the fake environment, and each operator against
+ * fixture entries
+ */
+
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("deletion-conditions");
+useFakeSpace(tmpDir, "space");
+
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+const {
+  DeletionConfigError,
+  validateDeletionConfig,
+} = require("../src/utils/deletion-config");
+
+suite("Deletion Rule Conditions");
+
+/** "page with no seoHead AND (title empty OR slug starts with /test)" */
+const NESTED = {
+  operator: "AND",
+  rules: [
+    { field: "seoHead", operator: "isEmpty" },
+    {
+      operator: "OR",
+      rules: [
+        { field: "title", operator: "isEmpty" },
+        { field: "slug", operator: "startsWith", value: "/test" },
+      ],
+    },
+  ],
+};
+
+/** A processor loaded from a one-rule config file */
+const processorFor = (conditions, contentTypes = ["page"]) =>
+  new EntryDeletionProcessor(
+    writeDeletionConfig(tmpDir, {
+      deletionRules: [
+        {
+          id: "test-rule",
+          name: "Test rule",
+          enabled: true,
+          contentTypes,
+          conditions,
+        },
+      ],
+    })
+  );
+
+function page(id, fields) {
+  const localized = {};
+  for (const [name, value] of Object.entries(fields)) {
+    localized[name] = { "en-US": value };
+  }
+  return {
+    sys: { id, contentType: { sys: { id: "page" } } },
+    fields: localized,
+  };
+}
+
+const SEO_LINK = { sys: { type: "Link", linkType: "Entry", id: "seo-home" } };
+
+function testNestedGroups() {
+  console.log("\n🌳 Nested groups");
+  const processor = processorFor(NESTED);
+  const emptyTitle = processor.shouldDeleteEntry(
+    page("empty-title", { title: "", slug: "/about" }),
+    "always-de"
+  );
+  const testSlug = processor.shouldDeleteEntry(
+    page("test-slug", { title: "Test", slug: "/test/landing" }),
+    "always-de"
+  );
+  const withSeo = processor.shouldDeleteEntry(
+    page("with-seo", { seoHead: SEO_LINK, title: "", slug: "/test" }),
+    "always-de"
+  );
+  const kept = processor.shouldDeleteEntry(
+    page("kept", { title: "About", slug: "/about" }),
+    "always-de"
+  );
+  check(
+    "a nested OR matches through either branch",
+    emptyTitle.shouldDelete && testSlug.shouldDelete
+  );
+  check(
+    "the outer AND still applies",
+    !withSeo.shouldDelete && !kept.shouldDelete
+  );
+  check(
+    "reasons name the conditions that decided the match",
+    emptyTitle.reasons.join() === "seoHead isEmpty,title isEmpty" &&
+      testSlug.reasons.join() === "seoHead isEmpty,slug startsWith /test"
+  );
+}
+
+function testShortCircuit() {
+  console.log("\n⚡ Short-circuiting");
+  const processor = processorFor(NESTED);
+  const evaluated = [];
+  const evaluateOperator = processor.evaluateOperator.bind(processor);
+  processor.evaluateOperator = (value, operator, expected, entry) => {
+    evaluated.push(operator);
+    return evaluateOperator(value, operator, expected, entry);
+  };
+
+  const { explanation } = processor.evaluateConditions(
+    page("with-seo", { seoHead: SEO_LINK, title: "" }),
+    NESTED
+  );
+  check(
+    "AND stops at the first condition that fails",
+    evaluated.join() === "isEmpty" &&
+      explanation.children[1].skipped === true &&
+      explanation.children[1].matches === null
+  );
+
+  evaluated.length = 0;
+  const orMatch = processor.evaluateConditions(
+    page("empty-title", { title: "" }),
+    NESTED
+  ).explanation.children[1];
+  check(
+    "OR stops at the first condition that matches",
+    evaluated.join() === "isEmpty,isEmpty" &&
+      orMatch.matches === true &&
+      orMatch.children[1].skipped === true
+  );
+}
+
+function testNot() {
+  console.log("\n🚫 NOT");
+  const conditions = {
+    operator: "AND",
+    rules: [
+      { field: "title", operator: "isNotEmpty" },
+      {
+        operator: "NOT",
+        rules: [
+          { field: "slug", operator: "startsWith", value: "/keep" },
+          { field: "slug", operator: "equals", value: "/" },
+        ],
+      },
+    ],
+  };
+  const processor = processorFor(conditions);
+  const deleted = processor.shouldDeleteEntry(
+    page("old", { title: "Old", slug: "/old" }),
+    "always-de"
+  );
+  const keptByPrefix = processor.shouldDeleteEntry(
+    page("keep", { title: "Keep", slug: "/keep/this" }),
+    "always-de"
+  );
+  const keptRoot = processor.shouldDeleteEntry(
+    page("root", { title: "Home", slug: "/" }),
+    "always-de"
+  );
+  check(
+    "NOT matches when none of its rules match",
+    deleted.shouldDelete && !keptByPrefix.shouldDelete && !keptRoot.shouldDelete
+  );
+  check(
+    "NOT stops at the first rule that matches",
+    processor.evaluateConditions(
+      page("keep", { title: "Keep", slug: "/keep/this" }),
+      conditions
+    ).explanation.children[1].children[1].skipped === true
+  );
+  check(
+    "NOT groups are described as a whole in the reasons",
+    deleted.reasons.join(" | ") ===
+      "title isNotEmpty | NOT (slug startsWith /keep OR slug equals /)"
+  );
+  check(
+    "a NOT of a single rule negates it",
+    processorFor({
+      operator: "NOT",
+      rules: [{ field: "title", operator: "isEmpty" }],
+    }).shouldDeleteEntry(page("titled", { title: "Titled" }), "always-de")
+      .shouldDelete
+  );
+}
+
+function testExplanation() {
+  console.log("\n📝 Explanation tree");
+  const processor = processorFor(NESTED);
+  const entry = page("empty-title", { title: "", slug: "/about" });
+  const { explanation } = processor.shouldDeleteEntry(entry, "always-de");
+  const lines = processor.formatExplanation(explanation);
+  check(
+    "the tree shows matched, failed and skipped conditions",
+    lines.join("\n") ===
+      [
+        "✅ AND",
+        "   ✅ seoHead isEmpty",
+        "   ✅ OR",
+        "      ✅ title isEmpty",
+        "      ➖ slug startsWith /test (not evaluated)",
+      ].join("\n")
+  );
+
+  const report = processor.generateDeletionReport(
+    [
+      {
+        entry,
+        reasons: ["seoHead isEmpty", "title isEmpty"],
+        explanation,
+        ruleId: "test-rule",
+        ruleName: "Test rule",
+        willDelete: true,
+      },
+    ],
+    "always-de"
+  );
+  const [reported] = report.ruleBreakdown["test-rule"].entries;
+  check(
+    "deletion reports carry the tree and its text",
+    reported.explanation === explanation &&
+      reported.explanationText.join("\n") === lines.join("\n")
+  );
+}
+
+function testFlatRules() {
+  console.log("\n📋 Existing flat rules");
+  const processor = new EntryDeletionProcessor();
+  const seo = {
+    sys: { id: "seo", contentType: { sys: { id: "seoHead" } } },
+    fields: {},
+  };
+  const result = processor.shouldDeleteEntry(seo, "always-de");
+  check(
+    "the shipped single-level rules behave as before",
+    result.shouldDelete &&
+      result.ruleId === "remove-empty-seo-entries" &&
+      result.reasons.join() === "No url" &&
+      result.explanation.operator === "AND" &&
+      result.explanation.children[0].matches === true
+  );
+}
+
+const LOCALES = [
+  { code: "en-US", default: true },
+  { code: "de-DE", default: false },
+];
+
+function testLocales() {
+  console.log("\n🌍 Locale selectors");
+  const condition = (locale, operator = "isEmpty") => ({
+    rules: [{ field: "title", operator, locale }],
+  });
+  const blankInGerman = page("blank-de", { title: "Home" });
+  blankInGerman.fields.title["de-DE"] = "";
+
+  check(
+    "a locale code reads that locale only",
+    processorFor(condition("de-DE")).shouldDeleteEntry(
+      blankInGerman,
+      "always-de"
+    ).shouldDelete &&
+      !processorFor(condition("en-US")).shouldDeleteEntry(
+        blankInGerman,
+        "always-de"
+      ).shouldDelete
+  );
+
+  const any = processorFor(condition("any"));
+  any.setLocales(LOCALES);
+  const anyResult = any.shouldDeleteEntry(blankInGerman, "always-de");
+  check(
+    "any matches when one locale matches and names it",
+    anyResult.shouldDelete &&
+      anyResult.reasons.join() === "title isEmpty in de-DE"
+  );
+
+  const all = processorFor(condition("all"));
+  all.setLocales(LOCALES);
+  const allResult = all.evaluateConditions(blankInGerman, condition("all"));
+  check(
+    "all needs every locale and shows the ones that failed",
+    !allResult.matches &&
+      all
+        .formatExplanation(allResult.explanation)[1]
+        .endsWith("title isEmpty in all locales (not in en-US)")
+  );
+  check(
+    "locales missing from an entry count as empty",
+    all.shouldDeleteEntry(page("untitled", { slug: "/x" }), "always-de")
+      .shouldDelete
+  );
+
+  const byDefault = processorFor(condition("default", "isNotEmpty"));
+  const unloaded = byDefault.shouldDeleteEntry(blankInGerman, "always-de");
+  byDefault.setLocales(LOCALES);
+  check(
+    "default reads the environment default locale once locales are loaded",
+    !unloaded.shouldDelete &&
+      byDefault.shouldDeleteEntry(blankInGerman, "always-de").reasons.join() ===
+        "title isNotEmpty in the default locale"
+  );
+}
+
+async function testLoadLocales() {
+  console.log("\n📥 Locales from the environment");
+  const environment = await fakeMaster();
+  const processor = processorFor({
+    rules: [{ field: "title", operator: "isEmpty", locale: "default" }],
+  });
+  await processor.loadLocales(environment, "always-de");
+  check(
+    "loadLocales reads the codes and the default locale",
+    processor.locales.defaultLocale === "en-US" &&
+      processor.locales.codes.join() === "en-US,de-DE"
+  );
+
+  const unknown = processorFor({
+    operator: "OR",
+    rules: [
+      { field: "title", operator: "isEmpty", locale: "de-DE" },
+      {
+        operator: "AND",
+        rules: [{ field: "title", operator: "isEmpty", locale: "fr-FR" }],
+      },
+    ],
+  });
+  let error = null;
+  try {
+    await unknown.loadLocales(environment, "always-de");
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "locales missing in the target space are refused",
+    error instanceof DeletionConfigError &&
+      error.problems.length === 1 &&
+      error.problems[0].pointer ===
+        "/deletionRules/0/conditions/rules/1/rules/0/locale"
+  );
+}
+
+/** The fake master environment, recording the queries it receives */
+async function recordingEnvironment() {
+  const environment = await fakeMaster();
+  const queries = [];
+  const getEntries = environment.getEntries.bind(environment);
+  const getAssets = environment.getAssets.bind(environment);
+  environment.getEntries = (query) => {
+    queries.push({ type: "entries", ...query });
+    return getEntries(query);
+  };
+  environment.getAssets = (query) => {
+    queries.push({ type: "assets", ...query });
+    return getAssets(query);
+  };
+  const { items } = await getEntries({ content_type: "page" });
+  return { environment, queries, pages: items };
+}
+
+async function candidateIds(conditions) {
+  const { environment, queries, pages } = await recordingEnvironment();
+  const processor = processorFor(conditions);
+  const candidates = await processor.processEntriesForDeletion(
+    pages,
+    "always-de",
+    null,
+    environment
+  );
+  return {
+    ids: candidates.map((candidate) => candidate.entry.sys.id).sort(),
+    queries,
+    candidates,
+    processor,
+  };
+}
+
+async function testReferences() {
+  console.log("\n🔗 Reference paths");
+  const seo = await candidateIds({
+    rules: [
+      { field: "seoHead.fields.url", operator: "equals", value: "/about" },
+    ],
+  });
+  check(
+    "a path reads a field of the linked entry",
+    seo.ids.join() === "page-about"
+  );
+
+  const asset = await candidateIds({
+    rules: [{ field: "image.file", operator: "isNotEmpty" }],
+  });
+  check(
+    "paths follow asset links without the fields segment",
+    asset.ids.join() === "page-home" &&
+      asset.queries.filter((q) => q.type === "assets").length === 1
+  );
+
+  const unset = await candidateIds({
+    rules: [{ field: "seoHead.fields.url", operator: "isEmpty" }],
+  });
+  check("an unset link reads as empty", unset.ids.join() === "page-empty");
+
+  const deep = await candidateIds({
+    rules: [
+      { field: "sections.seoHead.url", operator: "equals", value: "/home" },
+    ],
+  });
+  const idQueries = deep.queries.filter((q) => q["sys.id[in]"]);
+  check(
+    "two-link paths through link arrays resolve with one query per depth, reusing entries already fetched",
+    deep.ids.join() === "page-about" &&
+      idQueries.length === 2 &&
+      idQueries[0]["sys.id[in]"] === "missing-entry" &&
+      idQueries[1]["sys.id[in]"] === "seo-home"
+  );
+
+  const status = await candidateIds({
+    rules: [
+      { field: "seoHead.sys.publishedVersion", operator: "isEmpty" },
+      { field: "seoHead", operator: "isNotEmpty" },
+    ],
+  });
+  check(
+    "sys properties of linked entries can be read",
+    status.ids.join() === "page-about"
+  );
+
+  const localized = processorFor({
+    rules: [{ field: "seoHead", operator: "isNotEmpty", locale: "de-DE" }],
+  });
+  const home = seo.processor.references.get("Entry:page-home");
+  const before = localized.shouldDeleteEntry(home, "always-de").shouldDelete;
+  await localized.checkContentTypes(
+    (
+      await recordingEnvironment()
+    ).environment,
+    "always-de"
+  );
+  check(
+    "fields that are not localized are read from the default locale",
+    !before && localized.shouldDeleteEntry(home, "always-de").shouldDelete
+  );
+
+  const processor = processorFor({
+    rules: [{ field: "seoHead.fields.url", operator: "isEmpty" }],
+  });
+  const unresolved = processor.shouldDeleteEntry(
+    page("p", { seoHead: SEO_LINK }),
+    "always-de"
+  );
+  check(
+    "links that were not resolved never match",
+    !unresolved.shouldDelete &&
+      processor
+        .evaluateConditions(page("p", { seoHead: SEO_LINK }), {
+          rules: [{ field: "seoHead.fields.url", operator: "isEmpty" }],
+        })
+        .explanation.children[0].error.includes("was not resolved")
+  );
+}
+
+async function testLinkCounts() {
+  console.log("\n🔢 Link counts");
+  const orphans = await candidateIds({
+    rules: [{ field: "*", operator: "inboundLinks", value: "== 0" }],
+  });
+  check(
+    "inboundLinks == 0 finds entries nothing links to",
+    orphans.ids.join() === "page-about,page-empty"
+  );
+
+  const broken = await candidateIds({
+    rules: [{ field: "*", operator: "outboundBrokenLinks", value: "> 0" }],
+  });
+  check(
+    "outboundBrokenLinks > 0 finds entries with links to missing entities",
+    broken.ids.join() === "page-about" &&
+      broken.processor
+        .formatExplanation(broken.candidates[0].explanation)[1]
+        .endsWith("outboundBrokenLinks > 0 (found 1)")
+  );
+
+  const scoped = await candidateIds({
+    rules: [{ field: "seoHead", operator: "outboundBrokenLinks", value: 1 }],
+  });
+  check("a field scopes the broken link count", scoped.ids.length === 0);
+}
+
+/** IDs of the entries a single condition selects */
+function selected(condition, entries) {
+  const processor = processorFor({ rules: [condition] }, ["*"]);
+  return entries
+    .filter(
+      (entry) => processor.shouldDeleteEntry(entry, "always-de").shouldDelete
+    )
+    .map((entry) => entry.sys.id)
+    .join();
+}
+
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function withSys(entry, sys, tags = []) {
+  return {
+    ...entry,
+    sys: { ...entry.sys, ...sys },
+    metadata: {
+      tags: tags.map((id) => ({ sys: { type: "Link", linkType: "Tag", id } })),
+    },
+  };
+}
+
+/** Rich Text document with one paragraph per argument */
+const richText = (...paragraphs) => ({
+  nodeType: "document",
+  data: {},
+  content: paragraphs.map((text) => ({
+    nodeType: "paragraph",
+    data: {},
+    content: [{ nodeType: "text", value: text, marks: [], data: {} }],
+  })),
+});
+
+const FIXTURES = [
+  withSys(
+    page("draft-test", {
+      title: "TEST: landing",
+      slug: "draft-test",
+      keywords: ["test", "qa"],
+      body: richText("Lorem", "ipsum"),
+      expiryDate: daysAgo(1),
+    }),
+    { version: 3, createdAt: daysAgo(400), updatedAt: daysAgo(200) },
+    ["test"]
+  ),
+  withSys(
+    page("live-news", {
+      title: "Release notes",
+      slug: "news/release",
+      keywords: ["news"],
+      body: richText("Short"),
+      expiryDate: daysAgo(-30),
+    }),
+    {
+      version: 4,
+      publishedVersion: 3,
+      createdAt: daysAgo(100),
+      updatedAt: daysAgo(2),
+      publishedAt: daysAgo(2),
+    },
+    ["campaign"]
+  ),
+  withSys(
+    page("changed-about", { title: "About", slug: "about", keywords: [] }),
+    {
+      version: 9,
+      publishedVersion: 4,
+      createdAt: daysAgo(50),
+      updatedAt: daysAgo(1),
+      publishedAt: daysAgo(40),
+    }
+  ),
+  withSys(
+    page("archived-promo", { title: "Promo 2020", slug: "promo-2020" }),
+    {
+      version: 6,
+      publishedVersion: 4,
+      archivedVersion: 5,
+      createdAt: daysAgo(1500),
+      updatedAt: daysAgo(1000),
+    },
+    ["campaign", "test"]
+  ),
+];
+
+function testOperators() {
+  console.log("\n🧰 Operators");
+  check(
+    "matches tests a regular expression, with flags",
+    selected(
+      { field: "title", operator: "matches", value: "^TEST:" },
+      FIXTURES
+    ) === "draft-test" &&
+      selected(
+        {
+          field: "title",
+          operator: "matches",
+          value: { pattern: "^(test|promo)", flags: "i" },
+        },
+        FIXTURES
+      ) === "draft-test,archived-promo"
+  );
+  check(
+    "matches holds for any element of a list and the text of Rich Text",
+    selected(
+      { field: "keywords", operator: "matches", value: "^q" },
+      FIXTURES
+    ) === "draft-test" &&
+      selected(
+        { field: "body", operator: "matches", value: "Lorem ipsum" },
+        FIXTURES
+      ) === "draft-test"
+  );
+  check(
+    "in and notIn compare against a list, list fields by any element",
+    selected(
+      { field: "slug", operator: "in", value: ["about", "promo-2020"] },
+      FIXTURES
+    ) === "changed-about,archived-promo" &&
+      selected(
+        { field: "keywords", operator: "in", value: ["news", "qa"] },
+        FIXTURES
+      ) === "draft-test,live-news" &&
+      selected(
+        { field: "keywords", operator: "notIn", value: ["news", "qa"] },
+        FIXTURES
+      ) === "changed-about,archived-promo"
+  );
+  check(
+    "length compares characters, list items and Rich Text, 0 when unset",
+    selected({ field: "slug", operator: "length", value: "<= 5" }, FIXTURES) ===
+      "changed-about" &&
+      selected(
+        { field: "keywords", operator: "length", value: 0 },
+        FIXTURES
+      ) === "changed-about,archived-promo" &&
+      selected(
+        { field: "body", operator: "length", value: "> 5" },
+        FIXTURES
+      ) === "draft-test"
+  );
+  check(
+    "hasTag takes a tag ID or a list of them",
+    selected({ field: "*", operator: "hasTag", value: "test" }, FIXTURES) ===
+      "draft-test,archived-promo" &&
+      selected(
+        { field: "*", operator: "hasTag", value: ["campaign", "missing"] },
+        FIXTURES
+      ) === "live-news,archived-promo"
+  );
+  check(
+    "isPublished, isArchived and isChanged follow the entry's sys",
+    selected({ field: "*", operator: "isPublished" }, FIXTURES) ===
+      "live-news,changed-about" &&
+      selected({ field: "*", operator: "isArchived" }, FIXTURES) ===
+        "archived-promo" &&
+      selected({ field: "*", operator: "isChanged" }, FIXTURES) ===
+        "changed-about"
+  );
+  check(
+    "entry operators ignore locale selectors",
+    selected(
+      { field: "*", operator: "isArchived", locale: "de-DE" },
+      FIXTURES
+    ) === "archived-promo"
+  );
+}
+
+function testRelativeDates() {
+  console.log("\n📅 Relative dates");
+  check(
+    "olderThan reads the named sys date",
+    selected(
+      { field: "sys.createdAt", operator: "olderThan", value: "365d" },
+      FIXTURES
+    ) === "draft-test,archived-promo" &&
+      selected(
+        { field: "sys.updatedAt", operator: "olderThan", value: "30d" },
+        FIXTURES
+      ) === "draft-test,archived-promo"
+  );
+  check(
+    "entries without the date do not match",
+    selected(
+      { field: "sys.publishedAt", operator: "olderThan", value: "7d" },
+      FIXTURES
+    ) === "changed-about" &&
+      selected(
+        { field: "sys.publishedAt", operator: "newerThan", value: "7d" },
+        FIXTURES
+      ) === "live-news"
+  );
+  check(
+    "date fields work too",
+    selected(
+      { field: "expiryDate", operator: "olderThan", value: "12h" },
+      FIXTURES
+    ) === "draft-test" &&
+      selected(
+        { field: "expiryDate", operator: "newerThan", value: "0d" },
+        FIXTURES
+      ) === "live-news"
+  );
+}
+
+function testOperatorValidation() {
+  console.log("\n🛂 Operator values");
+  const problemsFor = (condition) =>
+    validateDeletionConfig(
+      JSON.stringify({
+        deletionRules: [
+          {
+            id: "r",
+            name: "R",
+            enabled: true,
+            contentTypes: ["*"],
+            conditions: { rules: [condition] },
+          },
+        ],
+      })
+    ).problems;
+  const regex = problemsFor({
+    field: "title",
+    operator: "matches",
+    value: "(unclosed",
+  });
+  check(
+    "regular expressions that do not compile are reported",
+    regex.length === 1 &&
+      regex[0].pointer === "/deletionRules/0/conditions/rules/0/value" &&
+      regex[0].message.startsWith("invalid regular expression")
+  );
+  check(
+    "in needs a list and hasTag a tag ID",
+    problemsFor({ field: "slug", operator: "in", value: "about" }).length ===
+      1 &&
+      problemsFor({ field: "*", operator: "hasTag", value: "" }).length === 1 &&
+      problemsFor({ field: "*", operator: "isChanged" }).length === 0
+  );
+  const star = problemsFor({ field: "*", operator: "olderThan", value: "30d" });
+  check(
+    "date operators need a date field",
+    star.length === 1 && star[0].message.includes("sys.createdAt")
+  );
+  check(
+    '"*" is refused for operators that compare a field value',
+    problemsFor({ field: "*", operator: "equals", value: "" }).length === 1 &&
+      problemsFor({ field: "*", operator: "isEmpty" }).length === 0
+  );
+}
+
+async function testEntryState() {
+  console.log("\n📌 Entry state in the fake environment");
+  const published = await candidateIds({
+    rules: [{ field: "*", operator: "isPublished" }],
+  });
+  const changed = await candidateIds({
+    rules: [{ field: "*", operator: "isChanged" }],
+  });
+  check(
+    "published and changed pages are told apart",
+    published.ids.join() === "page-about,page-home" &&
+      changed.ids.join() === "page-about"
+  );
+  const empty = await candidateIds({
+    rules: [{ field: "*", operator: "isEmpty" }],
+  });
+  const notEmpty = await candidateIds({
+    rules: [{ field: "*", operator: "isNotEmpty" }],
+  });
+  check(
+    '"*" with isEmpty matches entries whose fields are all empty',
+    empty.ids.join() === "page-empty" &&
+      notEmpty.ids.join() === "page-about,page-home"
+  );
+  check(
+    "the explanation names the operator and value",
+    changed.processor.describeCondition({
+      field: "title",
+      operator: "matches",
+      value: { pattern: "^draft", flags: "i" },
+    }) === "title matches /^draft/i" &&
+      changed.processor.describeCondition({
+        field: "slug",
+        operator: "in",
+        value: ["a", "b"],
+      }) === 'slug in ["a","b"]'
+  );
+}
+
+async function runTests() {
+  try {
+    testNestedGroups();
+    testShortCircuit();
+    testNot();
+    testExplanation();
+    testFlatRules();
+    testLocales();
+    await testLoadLocales();
+    await testReferences();
+    await testLinkCounts();
+    testOperators();
+    testRelativeDates();
+    testOperatorValidation();
+    await testEntryState();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
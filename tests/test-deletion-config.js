@@ -0,0 +1,347 @@
+/**
+ * Test script for deletion mapping validation
+ * Checks config/entry-deletion-mappings.json against its schema, that
+ * problems are reported with a JSON pointer and line number, the checks the
+ * schema cannot express (duplicate IDs, environments, content types) and
+ * that an invalid config is refused
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("deletion-config");
+useFakeSpace(tmpDir, "space");
+
+const {
+  DEFAULT_CONFIG_FILE,
+  SCHEMA_FILE,
+  DeletionConfigError,
+  formatProblem,
+  validateDeletionConfig,
+} = require("../src/utils/deletion-config");
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+const CONFIG_TEXT = fs.readFileSync(DEFAULT_CONFIG_FILE, "utf8");
+
+suite("Deletion Mapping Validation");
+
+/** A one-rule config, pretty-printed so line numbers are predictable */
+function configWith(rule, extra = {}) {
+  return JSON.stringify(
+    {
+      deletionRules: [
+        {
+          id: "rule-1",
+          name: "Rule 1",
+          enabled: true,
+          contentTypes: ["seoHead"],
+          conditions: {
+            operator: "AND",
+            rules: [{ field: "url", operator: "isEmpty" }],
+          },
+          ...rule,
+        },
+      ],
+      ...extra,
+    },
+    null,
+    2
+  );
+}
+
+const lineOf = (text, needle) =>
+  text.slice(0, text.indexOf(needle)).split("\n").length;
+
+function testSchema() {
+  console.log("\n📐 Schema");
+  check(
+    "the shipped config is valid",
+    validateDeletionConfig(CONFIG_TEXT).problems.length === 0
+  );
+
+  const typo = CONFIG_TEXT.replace('"isEmpty"', '"isEmty"');
+  const [problem] = validateDeletionConfig(typo).problems;
+  check(
+    "an unknown operator is reported at its line with a suggestion",
+    problem.pointer === "/deletionRules/0/conditions/rules/0/operator" &&
+      problem.line === lineOf(typo, '"isEmty"') &&
+      problem.message.includes('did you mean "isEmpty"')
+  );
+  check(
+    "problems format as file:line:column /pointer message",
+    formatProblem(
+      problem,
+      path.join(process.cwd(), "mappings.json")
+    ).startsWith(`mappings.json:${problem.line}:`)
+  );
+
+  const syntax = validateDeletionConfig('{\n  "deletionRules": [],\n}');
+  check(
+    "JSON syntax errors carry a line",
+    syntax.config === null &&
+      syntax.problems[0].line === 3 &&
+      /not valid JSON/.test(syntax.problems[0].message)
+  );
+
+  const misspelled = configWith({ enviroments: ["always-de"] });
+  check(
+    "unknown properties are reported with the closest known one",
+    validateDeletionConfig(misspelled).problems.some(
+      (p) =>
+        p.pointer === "/deletionRules/0/enviroments" &&
+        p.message.includes('did you mean "environments"') &&
+        p.line === lineOf(misspelled, '"enviroments"')
+    )
+  );
+
+  const noValue = validateDeletionConfig(
+    configWith({
+      conditions: {
+        rules: [{ field: "sys.updatedAt", operator: "olderThan" }],
+      },
+    })
+  ).problems;
+  check(
+    "value operators require a value",
+    noValue.length === 1 &&
+      noValue[0].pointer === "/deletionRules/0/conditions/rules/0" &&
+      noValue[0].message.includes('"value"')
+  );
+  const badAge = validateDeletionConfig(
+    configWith({
+      conditions: {
+        rules: [{ field: "sys.updatedAt", operator: "olderThan", value: "3w" }],
+      },
+    })
+  ).problems;
+  check(
+    "relative times must be <n>d, <n>h or <n>m",
+    badAge.length === 1 &&
+      badAge[0].pointer === "/deletionRules/0/conditions/rules/0/value"
+  );
+
+  const badLocale = validateDeletionConfig(
+    configWith({
+      conditions: {
+        rules: [{ field: "title", operator: "isEmpty", locale: "fr_FR" }],
+      },
+    })
+  ).problems;
+  check(
+    "locale selectors must be a code, any, all or default",
+    badLocale.length === 1 &&
+      badLocale[0].pointer === "/deletionRules/0/conditions/rules/0/locale"
+  );
+
+  const deep = validateDeletionConfig(
+    configWith({
+      conditions: {
+        rules: [
+          { field: "sections.seoHead.fields.url", operator: "isEmpty" },
+          { field: "a.b.c.d", operator: "isEmpty" },
+        ],
+      },
+    })
+  ).problems;
+  const deeper = validateDeletionConfig(
+    configWith(
+      { conditions: { rules: [{ field: "a.b.c.d", operator: "isEmpty" }] } },
+      { globalSettings: { maxReferenceDepth: 3 } }
+    )
+  ).problems;
+  check(
+    "reference paths are limited to maxReferenceDepth links",
+    deep.length === 1 &&
+      deep[0].pointer === "/deletionRules/0/conditions/rules/1/field" &&
+      deep[0].message.includes("follows 3 links; the limit is 2") &&
+      deeper.length === 0
+  );
+
+  const counts = validateDeletionConfig(
+    configWith({
+      conditions: {
+        rules: [
+          { field: "*", operator: "inboundLinks", value: "== 0" },
+          { field: "*", operator: "outboundBrokenLinks", value: 2 },
+          { field: "*", operator: "inboundLinks", value: "none" },
+          { field: "*", operator: "outboundBrokenLinks" },
+        ],
+      },
+    })
+  ).problems.map((p) => p.pointer);
+  check(
+    "link count operators need a count or a comparison",
+    counts.join() ===
+      [
+        "/deletionRules/0/conditions/rules/2/value",
+        "/deletionRules/0/conditions/rules/3",
+      ].join()
+  );
+
+  const nested = validateDeletionConfig(
+    configWith({
+      conditions: {
+        operator: "OR",
+        rules: [
+          { field: "url", operator: "isEmpty" },
+          { operator: "XOR", rules: [{ field: "title", operator: "isEmpty" }] },
+        ],
+      },
+    })
+  ).problems;
+  check(
+    "nested condition groups are validated",
+    nested.length === 1 &&
+      nested[0].pointer === "/deletionRules/0/conditions/rules/1/operator"
+  );
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, "utf8"));
+  const source = fs.readFileSync(
+    path.join(__dirname, "..", "src", "utils", "entry-deletion-processor.js"),
+    "utf8"
+  );
+  const switchBody = source.slice(
+    source.indexOf("  evaluateOperator(fieldValue"),
+    source.indexOf("default:", source.indexOf("  evaluateOperator(fieldValue"))
+  );
+  const implemented = [...switchBody.matchAll(/case "(\w+)":/g)].map(
+    (match) => match[1]
+  );
+  check(
+    "the schema lists exactly the operators the processor implements",
+    [...schema.definitions.operator.enum].sort().join() ===
+      implemented.sort().join()
+  );
+}
+
+function testReferences() {
+  console.log("\n🔗 Rule IDs and environments");
+  const duplicate = JSON.parse(CONFIG_TEXT);
+  duplicate.deletionRules[2].id = duplicate.deletionRules[0].id;
+  const text = JSON.stringify(duplicate, null, 4);
+  const problems = validateDeletionConfig(text).problems;
+  check(
+    "duplicate rule IDs point at the second use",
+    problems.length === 1 &&
+      problems[0].pointer === "/deletionRules/2/id" &&
+      problems[0].message.includes("/deletionRules/0/id")
+  );
+
+  const environments = validateDeletionConfig(
+    configWith(
+      { environments: ["always-de", "always-xx", "de"] },
+      { environmentConfig: { staging: { safeMode: true } } }
+    )
+  ).problems.map((p) => p.pointer);
+  check(
+    "unknown environments and aliases are reported",
+    environments.join() ===
+      [
+        "/deletionRules/0/environments/1",
+        "/deletionRules/0/environments/2",
+        "/environmentConfig/staging",
+      ].join()
+  );
+}
+
+async function testProcessor() {
+  console.log("\n🗑️  EntryDeletionProcessor");
+  const invalid = path.join(tmpDir, "invalid.json");
+  fs.writeFileSync(invalid, configWith({ contentTypes: [] }));
+  let error = null;
+  try {
+    new EntryDeletionProcessor(invalid);
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "an invalid config is refused instead of loading no rules",
+    error instanceof DeletionConfigError &&
+      error.problems[0].pointer === "/deletionRules/0/contentTypes" &&
+      error.message.includes("invalid.json:")
+  );
+  check(
+    "a missing config still means no rules",
+    new EntryDeletionProcessor(path.join(tmpDir, "missing.json")).config
+      .deletionRules.length === 0
+  );
+
+  const file = path.join(tmpDir, "missing-type.json");
+  fs.writeFileSync(
+    file,
+    configWith({
+      contentTypes: ["seoHead", "landingPage"],
+      environments: ["always-de"],
+    })
+  );
+  const processor = new EntryDeletionProcessor(file);
+  const environment = await fakeMaster();
+  error = null;
+  try {
+    await processor.checkContentTypes(environment, "always-de");
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "content types missing in the target space are refused",
+    error instanceof DeletionConfigError &&
+      error.problems.length === 1 &&
+      error.problems[0].pointer === "/deletionRules/0/contentTypes/1" &&
+      error.problems[0].line ===
+        lineOf(fs.readFileSync(file, "utf8"), '"landingPage"')
+  );
+  let other = null;
+  try {
+    await processor.checkContentTypes(environment, "always-uk");
+  } catch (caught) {
+    other = caught;
+  }
+  check("rules for other environments are not checked", other === null);
+}
+
+function testCli() {
+  console.log("\n🖥️  cf deletion validate");
+  const run = (args) =>
+    spawnSync("node", [CF, "deletion", "validate", ...args], {
+      cwd: tmpDir,
+      env: { ...process.env, CONTENTFUL_MANAGEMENT_TOKEN: "fake-token" },
+      encoding: "utf8",
+      timeout: 60000,
+    });
+
+  const result = run(["--space", "fake-space", "--env", "master", "--json"]);
+  check(
+    "the shipped config matches the fake space",
+    result.status === 0 && JSON.parse(result.stdout).result.valid === true
+  );
+  const empty = run(["--space", "fake-space", "--env", "staging", "--json"]);
+  check(
+    "missing content types fail validation",
+    empty.status === 1 && /seoHead/.test(empty.stderr)
+  );
+}
+
+async function runTests() {
+  try {
+    testSchema();
+    testReferences();
+    await testProcessor();
+    testCli();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,349 @@
+/**
+ * Test script for local pre-publish validation
+ * Checks that EntryValidator applies content type validations (required,
+ * size, range, regexp, in, linkContentType, linkMimetypeGroup, unique and
+ * Rich Text nodes and marks) with one content type load, that required
+ * fields need a value in every locale that is not optional, and that
+ * publishing reports entries failing them without sending a publish request
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("entry-validator", {
+  profiles: true,
+  noRules: true,
+});
+
+const {
+  EntryValidator,
+  mimetypeGroup,
+} = require("../src/utils/entry-validator");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+
+suite("Local Pre-Publish Validation");
+
+const link = (id, linkType = "Entry") => ({
+  sys: { type: "Link", linkType, id },
+});
+const text = (value, marks = []) => ({
+  nodeType: "text",
+  value,
+  marks: marks.map((type) => ({ type })),
+  data: {},
+});
+const embedded = (id) => ({
+  nodeType: "embedded-entry-block",
+  data: { target: link(id) },
+  content: [],
+});
+const document = (...content) => ({ nodeType: "document", data: {}, content });
+const paragraph = (...content) => ({
+  nodeType: "paragraph",
+  data: {},
+  content,
+});
+
+const ARTICLE = {
+  sys: { id: "article" },
+  name: "Article",
+  fields: [
+    {
+      id: "slug",
+      type: "Symbol",
+      required: true,
+      validations: [
+        { unique: true },
+        { regexp: { pattern: "^[a-z0-9-]+$" } },
+        { size: { max: 20 } },
+      ],
+    },
+    {
+      id: "category",
+      type: "Symbol",
+      validations: [{ in: ["news", "blog"], message: "Pick news or blog" }],
+    },
+    {
+      id: "rating",
+      type: "Integer",
+      validations: [{ range: { min: 1, max: 5 } }],
+    },
+    {
+      id: "author",
+      type: "Link",
+      linkType: "Entry",
+      validations: [{ linkContentType: ["seoHead"] }],
+    },
+    {
+      id: "hero",
+      type: "Link",
+      linkType: "Asset",
+      validations: [{ linkMimetypeGroup: ["image"] }],
+    },
+    {
+      id: "keywords",
+      type: "Array",
+      items: { type: "Symbol", validations: [{ in: ["a", "b", "c"] }] },
+      validations: [{ size: { max: 2 } }],
+    },
+    {
+      id: "body",
+      type: "RichText",
+      validations: [
+        { enabledNodeTypes: ["heading-1", "embedded-entry-block"] },
+        { enabledMarks: ["bold"] },
+        {
+          nodes: {
+            "embedded-entry-block": [
+              { linkContentType: ["seoHead"] },
+              { size: { max: 1 } },
+            ],
+          },
+        },
+      ],
+    },
+  ],
+};
+
+const article = (id, fields, sys = {}) => ({
+  sys: { id, contentType: { sys: { id: "article" } }, ...sys },
+  fields,
+});
+const en = (value) => ({ "en-US": value });
+
+const VALID = {
+  slug: en("valid-article"),
+  category: en("news"),
+  rating: en(4),
+  author: en(link("seo-home")),
+  hero: en(link("asset-logo", "Asset")),
+  keywords: en(["a", "b"]),
+  body: en(document(paragraph(text("Hello", ["bold"])), embedded("seo-home"))),
+};
+
+/**
+ * The shared fixture plus an article content type, a PDF asset and
+ * articles that pass or fail its validations
+ */
+function freshSpace(name) {
+  useFakeSpace(tmpDir, name, (data) => {
+    const master = data.spaces["fake-space"].environments.master;
+    master.contentTypes.push(ARTICLE);
+    master.assets.push({
+      sys: { id: "asset-pdf", publishedVersion: 1 },
+      fields: {
+        title: en("Terms"),
+        file: en({
+          url: "//assets.example.com/terms.pdf",
+          fileName: "terms.pdf",
+          contentType: "application/pdf",
+        }),
+      },
+    });
+    master.entries.push(
+      article("article-ok", VALID),
+      article("article-bad", {
+        slug: en("Not A Valid Slug At All!"),
+        category: en("sports"),
+        rating: en(9),
+        author: en(link("page-home")),
+        hero: en(link("asset-pdf", "Asset")),
+        keywords: en(["a", "x", "c"]),
+        body: en(
+          document(
+            paragraph(text("Hi", ["italic"])),
+            { nodeType: "blockquote", data: {}, content: [] },
+            embedded("seo-home"),
+            embedded("page-home")
+          )
+        ),
+      }),
+      article(
+        "article-published",
+        { slug: en("taken") },
+        { publishedVersion: 1 }
+      ),
+      article("article-taken", { slug: en("taken") }),
+      article("article-twin", { slug: en("valid-article") }),
+      article("article-no-slug", { category: en("blog") })
+    );
+  });
+}
+
+function testMimetypeGroups() {
+  console.log("\n📎 MIME type groups");
+  check(
+    "MIME types map to Contentful's linkMimetypeGroup names",
+    mimetypeGroup("image/svg+xml") === "image" &&
+      mimetypeGroup("application/pdf") === "pdfdocument" &&
+      mimetypeGroup("text/csv") === "spreadsheet" &&
+      mimetypeGroup("application/x-unknown") === "attachment"
+  );
+}
+
+async function testValidator() {
+  console.log("\n🔎 Validations");
+  freshSpace("validator");
+  const environment = await fakeMaster();
+  const { items } = await environment.getEntries({ content_type: "article" });
+  const drafts = items.filter((entry) => !entry.sys.publishedVersion);
+  const validator = new EntryValidator(environment);
+  fakeStore().requestLog.length = 0;
+  const failures = await validator.validateEntries(drafts);
+  await validator.validateEntries(drafts);
+
+  check(
+    "content types and locales are loaded once per validator",
+    fakeStore().requestLog.filter((r) => r.operation === "getContentTypes")
+      .length === 1
+  );
+  check("valid entries pass", !failures.has("article-ok"));
+
+  const errors = failures.get("article-bad") || [];
+  const named = (name) => errors.filter((error) => error.name === name);
+  check(
+    "size, range, regexp and in are checked on fields and array items",
+    named("size").some((e) => e.path.join(".") === "fields.slug.en-US") &&
+      named("size").some((e) => e.path.join(".") === "fields.keywords.en-US") &&
+      named("range").length === 1 &&
+      named("regexp").length === 1 &&
+      named("in").some((e) => e.path.join(".") === "fields.keywords.en-US.1")
+  );
+  check(
+    "custom validation messages are used",
+    named("in").some((e) => e.details === "Pick news or blog")
+  );
+  check(
+    "linked entries and assets are checked with linkContentType and linkMimetypeGroup",
+    named("linkContentType").some((e) => e.path[1] === "author") &&
+      named("linkMimetypeGroup")[0]?.details.includes("pdfdocument")
+  );
+  check(
+    "Rich Text node types, marks and node validations are checked",
+    named("enabledNodeTypes")[0]?.details.includes("blockquote") &&
+      named("enabledMarks")[0]?.details.includes("italic") &&
+      named("linkContentType").some((e) => e.path[1] === "body") &&
+      named("size").some((e) => e.path[1] === "body")
+  );
+  check(
+    "unique values clash with published entries and earlier entries of the run",
+    failures.get("article-taken")?.[0].name === "unique" &&
+      failures.get("article-taken")[0].details.includes("article-published") &&
+      failures.get("article-twin")?.[0].details.includes("article-ok")
+  );
+  check(
+    "empty required fields are reported like Contentful does",
+    failures.get("article-no-slug")?.[0].name === "required" &&
+      failures.get("article-no-slug")[0].path.join(".") === "fields.slug"
+  );
+}
+
+async function testRequiredLocales() {
+  console.log("\n🌐 Required fields per locale");
+  freshSpace("locales");
+  const { locales } = fakeStore().getEnvironmentState("fake-space", "master");
+  locales.find((locale) => locale.code === "de-DE").optional = false;
+  locales.push({
+    code: "fr-FR",
+    name: "French",
+    default: false,
+    optional: true,
+  });
+  const environment = await fakeMaster();
+  const entries = [
+    ...(await environment.getEntries({ content_type: "page" })).items,
+    ...(await environment.getEntries({ content_type: "seoHead" })).items,
+  ];
+  const failures = await new EntryValidator(environment).validateEntries(
+    entries
+  );
+  const about = failures.get("page-about") || [];
+  check(
+    "localized required fields need a value in every locale that is not optional",
+    about.length === 1 &&
+      about[0].name === "required" &&
+      about[0].path.join(".") === "fields.title.de-DE" &&
+      !failures.has("page-home")
+  );
+  check(
+    "fields that are not localized only need the default locale",
+    !failures.has("seo-about") && !failures.has("seo-home")
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  freshSpace("plan");
+  const plan = await quietly(async () =>
+    planPublish(await fakeMaster(), "fake-de", "publish-entries-only")
+  );
+  const predicted = (id) => plan.predictedFailures.find((f) => f.id === id);
+  check(
+    "dry runs predict the failures",
+    predicted("article-bad")?.errors.some((e) => e.name === "regexp") &&
+      plan.publish.entries.some((e) => e.id === "article-ok")
+  );
+
+  freshSpace("publish");
+  await inDir(tmpDir, async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de")
+  );
+  const published = fakeStore()
+    .requestLog.filter((r) => r.operation === "publish")
+    .map((r) => r.entityId);
+  check(
+    "entries failing validations are never sent for publishing",
+    published.includes("article-ok") &&
+      !["article-bad", "article-taken", "article-twin"].some((id) =>
+        published.includes(id)
+      )
+  );
+
+  const [reportFile] = fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith("validation-report-"));
+  const report = JSON.parse(
+    fs.readFileSync(path.join(tmpDir, reportFile), "utf8")
+  );
+  const bad = report.validationErrors.find((e) => e.entryId === "article-bad");
+  check(
+    "the validation report lists them like errors Contentful returned",
+    bad &&
+      bad.errorType === "validation" &&
+      bad.status === 422 &&
+      bad.errors.some(
+        (e) => e.field === "fields.rating.en-US" && e.name === "range"
+      ) &&
+      report.validationErrors.some(
+        (e) =>
+          e.entryId === "article-no-slug" &&
+          e.errors[0].isMissingRequired === true
+      )
+  );
+}
+
+async function runTests() {
+  try {
+    testMimetypeGroups();
+    await testValidator();
+    await testRequiredLocales();
+    await testPublishing();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
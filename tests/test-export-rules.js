@@ -0,0 +1,204 @@
+/**
+ * Test script for testing deletion rules offline against an export file
+ * Checks that `cf deletion test --from` reads contentful-export files,
+ * evaluates every rule (manual and asset rules too) against all entries and
+ * assets, answers link checks from the export's own links and reports match
+ * counts and samples per rule, without credentials
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  FIXTURE,
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  writeDeletionConfig,
+  quietly,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("export-rules");
+// The profile has no token: nothing may need one
+process.env.CONTENTFUL_PROFILES_FILE = path.join(tmpDir, "profiles.json");
+fs.writeFileSync(
+  process.env.CONTENTFUL_PROFILES_FILE,
+  JSON.stringify({
+    profiles: {
+      "fake-de": {
+        spaceId: "no-such-space",
+        environmentId: "master",
+        tokenEnv: "UNSET_CMA_TOKEN",
+      },
+    },
+  })
+);
+delete process.env.CONTENTFUL_FAKE_SPACE;
+
+const DeletionMappingCLI = require("../src/cli/deletion-mapping-cli");
+const {
+  ExportFileError,
+  loadExportFile,
+  openExport,
+} = require("../src/utils/export-file");
+
+suite("Deletion Rules Against Export Files");
+
+const rule = (overrides) => ({
+  id: "test-rule",
+  name: "Test rule",
+  enabled: true,
+  contentTypes: ["page"],
+  conditions: { rules: [{ field: "sys.id", operator: "isNotEmpty" }] },
+  safetyChecks: { checkLinks: true, skipIfReferenced: true },
+  ...overrides,
+});
+
+/** Write rules to a config file and use it */
+function useRules(deletionRules) {
+  process.env.CONTENTFUL_DELETION_CONFIG = writeDeletionConfig(tmpDir, {
+    deletionRules,
+  });
+}
+
+/** Write the fixture's master environment as a contentful-export file */
+function writeExport(name, omit = []) {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const master = fixture.spaces["fake-space"].environments.master;
+  const data = {
+    contentTypes: master.contentTypes,
+    tags: master.tags || [],
+    entries: master.entries,
+    assets: master.assets,
+    locales: master.locales,
+  };
+  omit.forEach((key) => delete data[key]);
+  const file = path.join(tmpDir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+const testFrom = (file) =>
+  quietly(() =>
+    new DeletionMappingCLI().testDeletionRules("fake-de", {}, { from: file })
+  );
+const ruleResult = (result, ruleId) =>
+  result.rules.find((r) => r.ruleId === ruleId);
+
+async function testExportFiles() {
+  console.log("\n📦 Export files");
+  let error = null;
+  try {
+    loadExportFile(path.join(__dirname, "..", "export.json"));
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "export settings are not mistaken for an export",
+    error instanceof ExportFileError && error.message.includes('"entries"')
+  );
+
+  const file = writeExport("export");
+  const environment = await openExport(file);
+  const { items } = await environment.getEntries({
+    links_to_entry: "seo-home",
+  });
+  check(
+    "links are resolved within the export",
+    items.map((entry) => entry.sys.id).join() === "page-home"
+  );
+  check(
+    "the export file is never written",
+    fs.readFileSync(file, "utf8") ===
+      fs.readFileSync(writeExport("again"), "utf8")
+  );
+}
+
+async function testRules() {
+  console.log("\n🔍 Rules");
+  const file = writeExport("rules");
+  useRules([
+    rule({
+      id: "empty-pages",
+      name: "Empty pages",
+      conditions: { rules: [{ field: "title", operator: "isEmpty" }] },
+    }),
+    rule({
+      id: "seo-heads",
+      name: "SEO heads",
+      contentTypes: ["seoHead"],
+    }),
+    rule({
+      id: "personas",
+      name: "Personas",
+      manual: true,
+      contentTypes: ["personaData"],
+      action: "archive",
+    }),
+    {
+      id: "assets",
+      name: "Assets",
+      enabled: true,
+      target: "assets",
+      conditions: { rules: [{ field: "sys.id", operator: "isNotEmpty" }] },
+      safetyChecks: { checkLinks: true, skipIfReferenced: true },
+    },
+  ]);
+  const result = await testFrom(file);
+  check(
+    "every entry of the export is evaluated, without credentials",
+    result && result.from === file && result.testedEntries === 6
+  );
+  const seo = ruleResult(result, "seo-heads");
+  check(
+    "link checks use the export's references",
+    seo.matches === 2 &&
+      seo.willApply === 0 &&
+      seo.samples.find((s) => s.id === "seo-home").linkedBy.join() ===
+        "page-home"
+  );
+  check(
+    "match counts and samples are reported per rule",
+    ruleResult(result, "empty-pages").matches === 1 &&
+      ruleResult(result, "empty-pages").samples[0].id === "page-empty" &&
+      ruleResult(result, "empty-pages").willApply === 1
+  );
+  check(
+    "manual rules are evaluated too",
+    ruleResult(result, "personas").matches === 1 &&
+      ruleResult(result, "personas").action === "archive"
+  );
+  const assets = ruleResult(result, "assets");
+  check(
+    "asset rules are evaluated against the export's assets",
+    result.testedAssets === 2 &&
+      assets.matches === 2 &&
+      assets.samples.find((s) => s.id === "asset-logo").willApply === false
+  );
+  check(
+    "no approval is saved for an export",
+    result.approvalFile === null &&
+      !fs
+        .readdirSync(process.cwd())
+        .some((f) => f.startsWith("deletion-approval-"))
+  );
+
+  const noModel = await testFrom(writeExport("no-model", ["contentTypes"]));
+  check(
+    "exports without the content model cannot check content types",
+    noModel === undefined
+  );
+}
+
+async function runTests() {
+  try {
+    await testExportFiles();
+    await testRules();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,324 @@
+/**
+ * Test script for the offline fake CMA and the client factory
+ * Exercises queries, versioning, error shapes and an end-to-end CLI run
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const {
+  FIXTURE,
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+} = require("./helpers");
+
+// Keeps rollback journals written by the tests out of the working tree
+const tmpDir = setupTmpDir("fake-cma");
+
+const { FakeContentfulStore } = require("../src/utils/fake-contentful");
+const { createClient } = require("../src/core");
+
+suite("Fake Contentful Client");
+
+async function expectError(description, fn, expectedName, expectedStatus) {
+  try {
+    await fn();
+    check(`${description} (no error thrown)`, false);
+  } catch (error) {
+    check(
+      `${description} -> ${error.name}`,
+      error.name === expectedName && error.status === expectedStatus
+    );
+  }
+}
+
+async function getMaster() {
+  const store = FakeContentfulStore.fromFile(FIXTURE);
+  const client = createClient({ accessToken: "fake", fake: store });
+  const space = await client.getSpace("fake-space");
+  return { store, environment: await space.getEnvironment("master") };
+}
+
+async function testQueries() {
+  console.log("\n📋 Query parameters");
+  const { environment } = await getMaster();
+
+  const pages = await environment.getEntries({ content_type: "page" });
+  check("content_type filters entries", pages.total === 3);
+
+  const linking = await environment.getEntries({ links_to_entry: "seo-home" });
+  check(
+    "links_to_entry finds referencing entries",
+    linking.items.map((e) => e.sys.id).join() === "page-home"
+  );
+
+  const assetLinks = await environment.getEntries({
+    links_to_asset: "asset-logo",
+  });
+  check("links_to_asset finds referencing entries", assetLinks.total === 1);
+
+  const drafts = await environment.getEntries({
+    "sys.publishedAt[exists]": false,
+  });
+  check("sys.publishedAt[exists]=false returns drafts", drafts.total === 2);
+
+  const published = await environment.getEntries({
+    "sys.publishedAt[exists]": true,
+  });
+  check(
+    "sys.publishedAt[exists]=true returns published entries",
+    published.total === 4
+  );
+
+  const page = await environment.getEntries({
+    order: "sys.createdAt",
+    skip: 1,
+    limit: 2,
+  });
+  check(
+    "skip/limit paginate with a stable total",
+    page.total === 6 &&
+      page.items.length === 2 &&
+      page.items[0].sys.id === "page-home"
+  );
+
+  const byIds = await environment.getEntries({
+    "sys.id[in]": "page-home,persona-1",
+  });
+  check("sys.id[in] filters by ids", byIds.total === 2);
+
+  const byField = await environment.getEntries({
+    content_type: "seoHead",
+    "fields.url": "/about",
+  });
+  check(
+    "field equality queries match any locale",
+    byField.items[0].sys.id === "seo-about"
+  );
+
+  await expectError(
+    "limit above 1000 is rejected",
+    () => environment.getEntries({ limit: 1001 }),
+    "BadRequest",
+    400
+  );
+}
+
+async function testVersioning() {
+  console.log("\n🔢 Versioning");
+  const { environment } = await getMaster();
+
+  const entry = await environment.getEntry("seo-about");
+  entry.fields.description = { "en-US": "About the company" };
+  const updated = await entry.update();
+  check(
+    "update bumps sys.version",
+    updated.sys.version === entry.sys.version + 1
+  );
+
+  await expectError(
+    "stale update -> 409",
+    () => entry.update(),
+    "VersionMismatch",
+    409
+  );
+
+  const publishedEntry = await updated.publish();
+  check(
+    "publish records publishedVersion",
+    publishedEntry.isPublished() &&
+      publishedEntry.sys.publishedVersion === updated.sys.version &&
+      publishedEntry.sys.version === updated.sys.version + 1
+  );
+
+  const changed = await environment.getEntry("page-about");
+  check("isUpdated detects changed entries", changed.isUpdated());
+
+  const archived = await (await publishedEntry.unpublish()).archive();
+  check(
+    "unpublish then archive",
+    archived.isArchived() && !archived.isPublished()
+  );
+
+  const restored = await archived.unarchive();
+  check("unarchive clears archived state", !restored.isArchived());
+
+  await restored.delete();
+  await expectError(
+    "deleted entry -> 404",
+    () => environment.getEntry("seo-about"),
+    "NotFound",
+    404
+  );
+}
+
+async function testErrors() {
+  console.log("\n🚨 Error responses");
+  const { store, environment } = await getMaster();
+
+  await expectError(
+    "unknown space -> 404",
+    () => createClient({ fake: store }).getSpace("nope"),
+    "NotFound",
+    404
+  );
+
+  const published = await environment.getEntry("page-home");
+  await expectError(
+    "delete published entry -> 400",
+    () => published.delete(),
+    "BadRequest",
+    400
+  );
+
+  const empty = await environment.getEntry("page-empty");
+  try {
+    await empty.publish();
+    check("publish with missing required field fails", false);
+  } catch (error) {
+    check(
+      "publish with missing required field -> 422 required",
+      error.status === 422 && error.details.errors[0].name === "required"
+    );
+  }
+
+  const about = await environment.getEntry("page-about");
+  try {
+    await about.publish();
+    check("publish with unresolvable links fails", false);
+  } catch (error) {
+    const names = error.details.errors.map((e) => e.name);
+    check(
+      "publish with unresolvable links -> 422 notResolvable",
+      names.includes("notResolvable")
+    );
+  }
+
+  const unknownField = await environment.getEntry("persona-1");
+  unknownField.fields.nickname = { "en-US": "nope" };
+  await expectError(
+    "update with unknown field -> 422",
+    () => unknownField.update(),
+    "ValidationFailed",
+    422
+  );
+
+  store.injectFault({ operation: "getEntry", status: 429, reset: 2 });
+  try {
+    await environment.getEntry("page-home");
+    check("injected 429", false);
+  } catch (error) {
+    check(
+      "injected 429 carries rate limit headers",
+      error.name === "RateLimitExceeded" &&
+        error.headers["x-contentful-ratelimit-reset"] === "2"
+    );
+  }
+
+  const responses = [];
+  const limitedStore = FakeContentfulStore.fromFile(FIXTURE);
+  limitedStore.setRateLimit(2);
+  const limitedClient = createClient({
+    fake: limitedStore,
+    responseLogger: (response) => responses.push(response),
+  });
+  await limitedClient.getSpace("fake-space");
+  await limitedClient.getSpace("fake-space");
+  await expectError(
+    "per-second rate limit -> 429",
+    () => limitedClient.getSpace("fake-space"),
+    "RateLimitExceeded",
+    429
+  );
+  check(
+    "responseLogger receives rate limit headers",
+    responses.length === 3 &&
+      responses[1].headers["x-contentful-ratelimit-second-remaining"] === "0"
+  );
+}
+
+async function testPersistence(tmpFixture) {
+  console.log("\n💾 File-backed store");
+  const store = FakeContentfulStore.fromFile(tmpFixture, { persist: true });
+  const space = await createClient({ fake: store }).getSpace("fake-space");
+  const environment = await space.getEnvironment("staging");
+  const created = await environment.createEntryWithId("anything", "new-entry", {
+    fields: { title: { "en-US": "Created offline" } },
+  });
+  check("createEntryWithId starts at version 1", created.sys.version === 1);
+
+  const reloaded = FakeContentfulStore.fromFile(tmpFixture);
+  const reloadedEnv = await (
+    await createClient({ fake: reloaded }).getSpace("fake-space")
+  ).getEnvironment("staging");
+  const entry = await reloadedEnv.getEntry("new-entry");
+  check(
+    "changes are written back to the fixture",
+    entry.fields.title["en-US"] === "Created offline"
+  );
+}
+
+function testCliEndToEnd(tmpFixture) {
+  console.log("\n🖥️  contentful-cli.js against the fake space");
+  const env = {
+    ...process.env,
+    CONTENTFUL_FAKE_SPACE: tmpFixture,
+    CONTENTFUL_FAKE_PERSIST: "true",
+    CONTENTFUL_MANAGEMENT_TOKEN: "fake-token",
+    SPACE_ID_DE_DE: "fake-space",
+    ENV_DE_DE: "master",
+    LOG_LEVEL: "ERROR",
+  };
+  const cli = path.join(__dirname, "..", "src", "cli", "contentful-cli.js");
+  // Deletion reports are written to the working directory
+  const cwd = path.dirname(tmpFixture);
+
+  execFileSync("node", [cli, "archive-persona-data", "de"], {
+    cwd,
+    env,
+    timeout: 60000,
+  });
+  const afterArchive = JSON.parse(fs.readFileSync(tmpFixture, "utf8"));
+  const entries = afterArchive.spaces["fake-space"].environments.master.entries;
+  const persona = entries.find((e) => e.sys.id === "persona-1");
+  check(
+    "archive-persona-data archives personaData entries",
+    Boolean(persona.sys.archivedVersion)
+  );
+
+  execFileSync("node", [cli, "delete-drafts", "de"], {
+    cwd,
+    env,
+    timeout: 60000,
+  });
+  const afterDelete = JSON.parse(fs.readFileSync(tmpFixture, "utf8"));
+  const remaining = afterDelete.spaces[
+    "fake-space"
+  ].environments.master.entries.map((e) => e.sys.id);
+  check(
+    "delete-drafts removes unpublished entries only",
+    !remaining.includes("page-empty") &&
+      !remaining.includes("seo-about") &&
+      remaining.includes("page-home")
+  );
+}
+
+async function runTests() {
+  try {
+    await testQueries();
+    await testVersioning();
+    await testErrors();
+
+    await testPersistence(useFakeSpace(tmpDir, "persisted"));
+    testCliEndToEnd(useFakeSpace(tmpDir, "cli"));
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,286 @@
+/**
+ * Test script for the field diff engine and cf diff
+ * Covers key-order independence, semantic link and Rich Text comparison,
+ * compareEntries/compareAssets and a cf diff run between two fake profiles
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+} = require("./helpers");
+
+// Keeps rollback journals written by the tests out of the working tree
+const tmpDir = setupTmpDir("field-diff");
+
+const {
+  diffFields,
+  isEqualValue,
+  formatFieldChange,
+} = require("../src/utils/field-diff");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+
+suite("Field Diff");
+
+const link = (id, extra = {}) => ({
+  sys: { type: "Link", linkType: "Entry", id, ...extra },
+});
+const text = (value, marks = []) => ({
+  nodeType: "text",
+  value,
+  marks: marks.map((type) => ({ type })),
+  data: {},
+});
+const doc = (...content) => ({
+  nodeType: "document",
+  data: {},
+  content: [{ nodeType: "paragraph", data: {}, content }],
+});
+
+function testValues() {
+  console.log("\n🔤 Plain values");
+  check(
+    "key order does not matter",
+    diffFields(
+      { seo: { "en-US": { title: "a", noindex: true } } },
+      { seo: { "en-US": { noindex: true, title: "a" } } }
+    ).length === 0
+  );
+
+  const diff = diffFields(
+    { title: { "en-US": "Home", "de-DE": "Start" }, old: { "en-US": 1 } },
+    { title: { "en-US": "Home!", "de-DE": "Start" }, body: { "de-DE": "x" } }
+  );
+  check(
+    "one operation per changed field and locale",
+    diff.map((op) => `${op.field}.${op.locale}:${op.change}`).join() ===
+      "body.de-DE:added,old.en-US:removed,title.en-US:changed"
+  );
+  check(
+    "operations carry from and to",
+    diff[2].from === "Home" &&
+      diff[2].to === "Home!" &&
+      diff[2].type === "value"
+  );
+}
+
+function testLinks() {
+  console.log("\n🔗 Links");
+  check(
+    "extra sys properties on links are ignored",
+    isEqualValue(link("a"), link("a", { version: 3 }))
+  );
+
+  const [op] = diffFields(
+    { sections: { "en-US": [link("a"), link("b"), link("c")] } },
+    { sections: { "en-US": [link("c"), link("a"), link("d")] } }
+  );
+  check(
+    "link arrays report added and removed links",
+    op.type === "links" &&
+      op.links.added.join() === "d" &&
+      op.links.removed.join() === "b"
+  );
+  check("link arrays report order changes", op.links.reordered === true);
+  check(
+    "a new first link is still a link diff",
+    diffFields({ s: { "en-US": [] } }, { s: { "en-US": [link("a")] } })[0]
+      .type === "links"
+  );
+  check(
+    "link changes are formatted by ID",
+    formatFieldChange(op).join().includes("+d -b reordered")
+  );
+}
+
+function testRichText() {
+  console.log("\n📝 Rich Text");
+  check(
+    "empty data, mark order and split text nodes are ignored",
+    isEqualValue(
+      doc(text("Hel", ["bold", "italic"]), text("lo", ["italic", "bold"])),
+      {
+        nodeType: "document",
+        content: [
+          {
+            nodeType: "paragraph",
+            content: [text("Hello", ["italic", "bold"])],
+          },
+        ],
+      }
+    )
+  );
+  check(
+    "different marks are a change",
+    !isEqualValue(doc(text("Hello")), doc(text("Hello", ["bold"])))
+  );
+  check(
+    "embedded links compare by ID",
+    isEqualValue(
+      {
+        nodeType: "document",
+        content: [
+          { nodeType: "embedded-entry-block", data: { target: link("a") } },
+        ],
+      },
+      {
+        nodeType: "document",
+        content: [
+          {
+            nodeType: "embedded-entry-block",
+            data: { target: link("a", { version: 1 }) },
+            content: [],
+          },
+        ],
+      }
+    )
+  );
+
+  const [op] = diffFields(
+    { body: { "en-US": doc(text("Hello")) } },
+    { body: { "en-US": doc(text("Hallo"), text("!", ["bold"])) } }
+  );
+  check(
+    "changed nodes are listed by path",
+    op.type === "richText" &&
+      op.nodes.length === 2 &&
+      op.nodes[0].path === "content[0].content[0]" &&
+      op.nodes[0].to === "Hallo" &&
+      op.nodes[1].change === "added"
+  );
+}
+
+function testCompare() {
+  console.log("\n⚖️  compareEntries / compareAssets");
+  const {
+    compareEntries,
+    compareAssets,
+  } = require("../src/cli/contentful-merge");
+  const entry = (id, fields) => ({
+    sys: { id, contentType: { sys: { id: "page" } } },
+    fields,
+  });
+
+  const entries = compareEntries(
+    [
+      entry("same", { a: { "en-US": { x: 1, y: 2 } } }),
+      entry("edit", { a: { "en-US": 1 } }),
+    ],
+    [
+      entry("same", { a: { "en-US": { y: 2, x: 1 } } }),
+      entry("edit", { a: { "en-US": 2 } }),
+    ]
+  );
+  check(
+    "key order no longer flags updates",
+    entries.updatedInSource.map((e) => e.sys.id).join() === "edit"
+  );
+  check(
+    "updates come with their field changes",
+    entries.fieldChanges.edit.length === 1 &&
+      entries.fieldChanges.edit[0].from === 2 &&
+      entries.fieldChanges.edit[0].to === 1
+  );
+
+  const assets = compareAssets(
+    [
+      {
+        sys: { id: "img" },
+        fields: { file: { "en-US": { url: "a", fileName: "f" } } },
+      },
+    ],
+    [
+      {
+        sys: { id: "img" },
+        fields: { file: { "en-US": { fileName: "f", url: "a" } } },
+      },
+    ]
+  );
+  check("assets compare structurally", assets.updatedInSource.length === 0);
+}
+
+function testCli() {
+  console.log("\n🖥️  cf diff");
+  const space = useFakeSpace(tmpDir, "space", (data) => {
+    const { environments } = data.spaces["fake-space"];
+    const staging = JSON.parse(JSON.stringify(environments.master));
+    staging.entries = staging.entries.filter((e) => e.sys.id !== "seo-about");
+    staging.entries.find((e) => e.sys.id === "page-home").fields.title[
+      "en-US"
+    ] = "Home (staging)";
+    environments.staging = staging;
+  });
+
+  const profiles = path.join(tmpDir, "profiles.json");
+  fs.writeFileSync(
+    profiles,
+    JSON.stringify({
+      profiles: {
+        live: { spaceId: "fake-space", environmentId: "master" },
+        staging: { spaceId: "fake-space", environmentId: "staging" },
+      },
+    })
+  );
+
+  const run = (args) =>
+    spawnSync("node", [CF, "diff", ...args], {
+      cwd: tmpDir,
+      env: {
+        ...process.env,
+        CONTENTFUL_FAKE_SPACE: space,
+        CONTENTFUL_PROFILES_FILE: profiles,
+        CONTENTFUL_MANAGEMENT_TOKEN: "fake-token",
+      },
+      encoding: "utf8",
+      timeout: 60000,
+    });
+
+  const result = run(["live", "staging", "--json"]);
+  const { result: report } = JSON.parse(result.stdout);
+  check(
+    "--json returns added, removed and changed items",
+    result.status === 0 &&
+      report.summary.entries.removed === 1 &&
+      report.summary.entries.changed === 1 &&
+      report.summary.assets.changed === 0
+  );
+  check(
+    "changed entries carry their field diff",
+    report.entries.find((e) => e.id === "page-home").fields[0].to ===
+      "Home (staging)"
+  );
+
+  const plain = run(["live", "staging", "--content-type", "seoHead"]);
+  check(
+    "the report lists each change and --content-type narrows it",
+    plain.status === 0 &&
+      plain.stdout.includes("- entry seo-about (seoHead)") &&
+      !plain.stdout.includes("page-home")
+  );
+  check("output is not colored when piped", !plain.stdout.includes("\x1b["));
+
+  const missing = run(["live"]);
+  check("two profiles are required", missing.status === 2);
+}
+
+function runTests() {
+  try {
+    testValues();
+    testLinks();
+    testRichText();
+    testCompare();
+    testCli();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,226 @@
+/**
+ * Test script for per-content-type meaningful data profiles
+ * Checks that the `meaningfulData` config section decides what hasEntryData
+ * and the hasNoData operator count as meaningful, that profiles naming
+ * unknown fields are refused, and that entries failing their profile are
+ * listed with the missing fields in dry-run plans and validation reports
+ * and kept, while entries without any data are still deleted
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("meaningful-data", { profiles: true });
+
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+const {
+  DeletionConfigError,
+  validateDeletionConfig,
+} = require("../src/utils/deletion-config");
+const {
+  checkMeaningfulData,
+  profileFor,
+} = require("../src/utils/meaningful-data");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+
+suite("Meaningful Data Profiles");
+
+// Pages need an image; SEO descriptions alone do not count
+const meaningfulData = {
+  ignore: ["internalName"],
+  contentTypes: {
+    page: { required: ["image"] },
+    seoHead: { ignore: ["description"] },
+    productVariant: { required: ["gtin"] },
+  },
+};
+
+const writeConfig = (config) => writeDeletionConfig(tmpDir, config);
+const freshSpace = (name) => useFakeSpace(tmpDir, name);
+const stored = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").entries[id];
+
+function testProfiles() {
+  console.log("\n📋 Profiles");
+  const page = profileFor(meaningfulData, "page");
+  const other = profileFor(meaningfulData, "personaData");
+  check(
+    "content types get their own profile plus the global ignore list",
+    page.required.join() === "image" &&
+      page.ignore.join() === "internalName" &&
+      profileFor(meaningfulData, "seoHead").ignore.join() ===
+        "internalName,description" &&
+      other.required.length === 0
+  );
+
+  const filled = (ids) => (fieldId) => ids.includes(fieldId);
+  const variant = profileFor(
+    { contentTypes: { productVariant: { required: ["gtin", "sku"] } } },
+    "productVariant"
+  );
+  const fields = ["title", "gtin", "sku"];
+  const titleOnly = checkMeaningfulData(variant, fields, filled(["title"]));
+  check(
+    "one required field with a value is enough, whatever else is filled in",
+    checkMeaningfulData(variant, fields, filled(["gtin"])).meaningful &&
+      !titleOnly.meaningful &&
+      titleOnly.missingFields.join() === "gtin,sku"
+  );
+  check(
+    "without required fields any field that is not ignored counts",
+    !checkMeaningfulData(other, ["internalName"], filled(["internalName"]))
+      .meaningful &&
+      checkMeaningfulData(other, ["internalName", "name"], filled(["name"]))
+        .meaningful
+  );
+}
+
+async function testHasNoData() {
+  console.log("\n🔍 hasNoData");
+  const processor = new EntryDeletionProcessor(
+    writeConfig({
+      meaningfulData,
+      deletionRules: [
+        {
+          id: "empty-pages",
+          name: "Empty pages",
+          enabled: true,
+          contentTypes: ["page"],
+          conditions: { rules: [{ field: "*", operator: "hasNoData" }] },
+        },
+      ],
+    })
+  );
+  const environment = await fakeMaster();
+  await processor.checkContentTypes(environment, "fake-de");
+  const { items } = await environment.getEntries({ content_type: "page" });
+  const candidates = await processor.processEntriesForDeletion(
+    items,
+    "fake-de",
+    async () => ({ isLinked: false, linkedBy: [] }),
+    environment
+  );
+  check(
+    "the operator uses the content type's profile",
+    candidates
+      .map((candidate) => candidate.entry.sys.id)
+      .sort()
+      .join() === "page-about,page-empty"
+  );
+}
+
+async function testValidation() {
+  console.log("\n🛡️  Validation");
+  const { problems } = validateDeletionConfig(
+    JSON.stringify({
+      deletionRules: [],
+      meaningfulData: { contentTypes: { page: { required: [] } } },
+    })
+  );
+  check(
+    "empty required lists are refused",
+    problems.length === 1 &&
+      problems[0].pointer === "/meaningfulData/contentTypes/page/required"
+  );
+
+  const processor = new EntryDeletionProcessor(
+    writeConfig({
+      meaningfulData: {
+        contentTypes: {
+          page: { required: ["title", "heading"] },
+          productVariant: { required: ["gtin"] },
+        },
+      },
+    })
+  );
+  let error = null;
+  try {
+    await processor.checkContentTypes(await fakeMaster(), "fake-de");
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "profiles naming fields the content type lacks are refused, other spaces' content types are not",
+    error instanceof DeletionConfigError &&
+      error.problems.length === 1 &&
+      error.problems[0].pointer ===
+        "/meaningfulData/contentTypes/page/required/1"
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  freshSpace("publish");
+  process.env.CONTENTFUL_DELETION_CONFIG = writeConfig({ meaningfulData });
+  const plan = await quietly(async () =>
+    planPublish(await fakeMaster(), "fake-de", "publish-entries-only")
+  );
+  const about = plan.deletions.find((d) => d.id === "page-about");
+  check(
+    "dry runs list entries failing their profile with the missing fields, not to be deleted",
+    about &&
+      about.reason === "no-meaningful-data" &&
+      about.missingFields.join() === "image" &&
+      !about.willDelete &&
+      !plan.publish.entries.some((entry) => entry.id === "page-about")
+  );
+
+  await inDir(tmpDir, async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de")
+  );
+  const [reportFile] = fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith("validation-report-"));
+  const report = reportFile
+    ? JSON.parse(fs.readFileSync(path.join(tmpDir, reportFile), "utf8"))
+    : { noMeaningfulData: [], summary: {} };
+  const listed = (id) =>
+    report.noMeaningfulData.find((entry) => entry.entryId === id) || {};
+  check(
+    "the publish report lists them with the missing fields",
+    listed("page-about").contentType === "page" &&
+      listed("page-about").missingFields.join() === "image" &&
+      report.summary.noMeaningfulDataEntries === report.noMeaningfulData.length
+  );
+  check(
+    "entries failing their profile are kept, unpublished, for review",
+    listed("page-about").outcome === "kept" &&
+      Boolean(stored("page-about")) &&
+      !fakeStore().requestLog.some(
+        (request) =>
+          request.operation === "publish" && request.entityId === "page-about"
+      )
+  );
+  check(
+    "entries without any data are still deleted",
+    listed("page-empty").outcome === "deleted" && !stored("page-empty")
+  );
+}
+
+async function runTests() {
+  try {
+    freshSpace("rules");
+    testProfiles();
+    await testHasNoData();
+    await testValidation();
+    await testPublishing();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,382 @@
+/**
+ * Test script for the merge plan/apply workflow
+ * Plans a changeset between two fake environments, checks its field-level
+ * diffs and determinism, replays it with and without target drift, and runs
+ * a three-way merge against the recorded baseline
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeStore,
+  quietly,
+} = require("./helpers");
+
+// Keeps rollback journals written by the tests out of the working tree
+const tmpDir = setupTmpDir("merge-changeset");
+// three-way-merge reads the baseline directory when it is loaded
+process.env.MERGE_BASELINE_DIR = path.join(tmpDir, "baselines");
+
+const { getEnvironment } = require("../src/core");
+
+suite("Merge Changesets");
+
+/**
+ * Staging starts as a copy of master with one edited, one missing and one
+ * extra entry
+ */
+function freshSpace() {
+  useFakeSpace(tmpDir, "space", (data) => {
+    const { environments } = data.spaces["fake-space"];
+    const staging = JSON.parse(JSON.stringify(environments.master));
+    staging.entries = staging.entries.filter((e) => e.sys.id !== "seo-about");
+    staging.entries.find((e) => e.sys.id === "page-home").fields.title[
+      "en-US"
+    ] = "Home (staging)";
+    staging.entries.push({
+      sys: { id: "staging-only", contentType: { sys: { id: "personaData" } } },
+      fields: { name: { "en-US": "Only in staging" } },
+    });
+    environments.staging = staging;
+  });
+}
+
+async function testPlan(merge, tmpDir) {
+  console.log("\n📝 merge plan");
+  const options = {
+    spaceId: "fake-space",
+    sourceEnvId: "master",
+    targetEnvId: "staging",
+    accessToken: "fake",
+  };
+  const first = await quietly(() =>
+    merge.planMerge({
+      ...options,
+      changesetFile: path.join(tmpDir, "first.json"),
+    })
+  );
+  const { changeset } = first;
+
+  const byId = (id) => changeset.entries.find((change) => change.id === id);
+  check(
+    "missing entries are created",
+    byId("seo-about") && byId("seo-about").action === "create"
+  );
+  check(
+    "target-only entries are deleted",
+    byId("staging-only") && byId("staging-only").action === "delete"
+  );
+  const update = byId("page-home");
+  check(
+    "changed entries are updated with the planned target version",
+    update &&
+      update.action === "update" &&
+      Number.isInteger(update.targetVersion)
+  );
+  check(
+    "updates carry a per-field, per-locale diff",
+    update &&
+      update.diff.length === 1 &&
+      update.diff[0].field === "title" &&
+      update.diff[0].locale === "en-US" &&
+      update.diff[0].from === "Home (staging)" &&
+      update.diff[0].to === "Home"
+  );
+  check(
+    "identical entries are left out",
+    !byId("page-about") && !byId("persona-1")
+  );
+  check(
+    "changes are ordered delete, create, update",
+    changeset.entries.map((change) => change.action).join() ===
+      "delete,create,update"
+  );
+
+  const second = await quietly(() =>
+    merge.planMerge({
+      ...options,
+      changesetFile: path.join(tmpDir, "second.json"),
+    })
+  );
+  const withoutTimestamp = (file) =>
+    fs.readFileSync(file, "utf8").replace(/"createdAt": "[^"]*"/, "");
+  check(
+    "planning twice writes the same changeset",
+    withoutTimestamp(first.changesetFile) ===
+      withoutTimestamp(second.changesetFile)
+  );
+  return first.changesetFile;
+}
+
+async function testApply(merge, store, changesetFile) {
+  console.log("\n🚀 merge apply");
+  const stagingEntries = () =>
+    store.getEnvironmentState("fake-space", "staging").entries;
+  const requestsBefore = store.requestLog.length;
+
+  const dryRun = await quietly(() =>
+    merge.applyChangeset(changesetFile, { dryRun: true })
+  );
+  check(
+    "--dry-run only checks for drift",
+    dryRun.dryRun === true &&
+      store.requestLog
+        .slice(requestsBefore)
+        .every((request) => request.operation.startsWith("get"))
+  );
+
+  // Someone edits the target after the changeset was planned
+  const environment = await getEnvironment({
+    spaceId: "fake-space",
+    environmentId: "staging",
+  });
+  const edited = await environment.getEntry("page-home");
+  edited.fields.title["de-DE"] = "Startseite (neu)";
+  await edited.update();
+
+  try {
+    await quietly(() => merge.applyChangeset(changesetFile));
+    check("apply refuses a drifted target", false);
+  } catch (error) {
+    check(
+      "apply refuses a drifted target",
+      error.name === "ChangesetDriftError" &&
+        error.drift.length === 1 &&
+        error.drift[0].id === "page-home" &&
+        error.message.includes("page-home")
+    );
+  }
+  check(
+    "nothing is written when the target drifted",
+    !stagingEntries()["seo-about"] && Boolean(stagingEntries()["staging-only"])
+  );
+}
+
+async function testReplay(merge, store, tmpDir) {
+  console.log("\n🔁 plan + apply");
+  const { changesetFile } = await quietly(() =>
+    merge.planMerge({
+      spaceId: "fake-space",
+      sourceEnvId: "master",
+      targetEnvId: "staging",
+      accessToken: "fake",
+      changesetFile: path.join(tmpDir, "fresh.json"),
+    })
+  );
+  const result = await quietly(() => merge.applyChangeset(changesetFile));
+  const entries = store.getEnvironmentState("fake-space", "staging").entries;
+
+  check(
+    "every change is applied",
+    result.applied === 3 && result.failed.length === 0
+  );
+  check(
+    "applied changes match the source",
+    entries["seo-about"] &&
+      entries["page-home"].fields.title["en-US"] === "Home" &&
+      !entries["staging-only"]
+  );
+}
+
+async function editEntry(environmentId, id, edit) {
+  const environment = await getEnvironment({
+    spaceId: "fake-space",
+    environmentId,
+  });
+  const entry = await environment.getEntry(id);
+  edit(entry.fields);
+  await entry.update();
+}
+
+async function testThreeWay(merge, store, tmpDir) {
+  console.log("\n🔀 Three-way merge");
+  const baselineFile = path.join(tmpDir, "baselines", "master-staging.json");
+  const options = {
+    spaceId: "fake-space",
+    sourceEnvId: "master",
+    targetEnvId: "staging",
+    accessToken: "fake",
+    threeWay: true,
+  };
+
+  try {
+    await quietly(() =>
+      merge.planMerge({
+        ...options,
+        baselineFile: path.join(tmpDir, "none.json"),
+        changesetFile: path.join(tmpDir, "no-baseline.json"),
+      })
+    );
+    check("three-way plans need a baseline", false);
+  } catch (error) {
+    check(
+      "three-way plans need a baseline",
+      error.name === "ChangesetError" && error.message.includes("No baseline")
+    );
+  }
+
+  // Record a baseline with a plain merge (master and staging are in sync here)
+  const initial = await quietly(() =>
+    merge.planMerge({
+      ...options,
+      threeWay: false,
+      baselineFile,
+      changesetFile: path.join(tmpDir, "initial.json"),
+    })
+  );
+  await quietly(() => merge.applyChangeset(initial.changesetFile));
+  check("apply records the baseline", fs.existsSync(baselineFile));
+
+  await editEntry("master", "page-home", (fields) => {
+    fields.title["en-US"] = "Home v2";
+    fields.title["de-DE"] = "Start (master)";
+  });
+  await editEntry("staging", "page-home", (fields) => {
+    fields.title["de-DE"] = "Start (staging)";
+  });
+  await editEntry("staging", "persona-1", (fields) => {
+    fields.name["en-US"] = "Hotfix";
+  });
+  const staging = await getEnvironment({
+    spaceId: "fake-space",
+    environmentId: "staging",
+  });
+  await staging.createEntryWithId("personaData", "staging-new", {
+    fields: { name: { "en-US": "Added in staging" } },
+  });
+
+  const planned = await quietly(() =>
+    merge.planMerge({
+      ...options,
+      baselineFile,
+      changesetFile: path.join(tmpDir, "three-way.json"),
+    })
+  );
+  const { changeset } = planned;
+  const update = changeset.entries.find((change) => change.id === "page-home");
+  check(
+    "source-only changes are merged",
+    update &&
+      update.diff.length === 1 &&
+      update.diff[0].locale === "en-US" &&
+      update.fields.title["en-US"] === "Home v2"
+  );
+  check(
+    "fields changed on both sides are conflicts",
+    update &&
+      update.conflicts.length === 1 &&
+      update.conflicts[0].locale === "de-DE" &&
+      changeset.summary.conflicts === 1
+  );
+  check(
+    "target-only changes are kept",
+    !changeset.entries.some((change) => change.id === "persona-1")
+  );
+  check(
+    "entries created in the target are not deleted",
+    !changeset.entries.some((change) => change.id === "staging-new") &&
+      changeset.skipped.some((item) => item.id === "staging-new")
+  );
+
+  const resolutions = JSON.parse(
+    fs.readFileSync(planned.resolutionsFile, "utf8")
+  );
+  check(
+    "conflicts are written to a resolution file",
+    resolutions.conflicts.length === 1 &&
+      resolutions.conflicts[0].source === "Start (master)" &&
+      resolutions.conflicts[0].target === "Start (staging)" &&
+      resolutions.conflicts[0].base === "Startseite" &&
+      resolutions.conflicts[0].resolution === null
+  );
+
+  const entries = () =>
+    store.getEnvironmentState("fake-space", "staging").entries;
+  try {
+    await quietly(() => merge.applyChangeset(planned.changesetFile));
+    check("apply refuses unresolved conflicts", false);
+  } catch (error) {
+    check(
+      "apply refuses unresolved conflicts",
+      error.name === "ChangesetError" &&
+        error.message.includes("page-home title.de-DE") &&
+        entries()["page-home"].fields.title["en-US"] === "Home"
+    );
+  }
+
+  resolutions.conflicts[0].resolution = { value: "Start (merged)" };
+  fs.writeFileSync(planned.resolutionsFile, JSON.stringify(resolutions));
+  const result = await quietly(() =>
+    merge.applyChangeset(planned.changesetFile)
+  );
+  const title = entries()["page-home"].fields.title;
+  check(
+    "apply honours the resolutions",
+    result.failed.length === 0 &&
+      title["en-US"] === "Home v2" &&
+      title["de-DE"] === "Start (merged)" &&
+      entries()["persona-1"].fields.name["en-US"] === "Hotfix" &&
+      Boolean(entries()["staging-new"])
+  );
+  const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+  check(
+    "the applied source becomes the next baseline",
+    baseline.entries["page-home"].fields.title["de-DE"] === "Start (master)"
+  );
+}
+
+function testValidation(tmpDir) {
+  console.log("\n🔍 Changeset validation");
+  const { readChangeset } = require("../src/utils/merge-changeset");
+  const file = path.join(tmpDir, "broken.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      version: 1,
+      spaceId: "fake-space",
+      targetEnvironment: "staging",
+      assets: [],
+      entries: [
+        { id: "a", action: "rename" },
+        { id: "b", action: "update", fields: {} },
+      ],
+    })
+  );
+  try {
+    readChangeset(file);
+    check("invalid changesets are rejected", false);
+  } catch (error) {
+    check(
+      "invalid changesets list every problem",
+      error.name === "ChangesetError" &&
+        error.errors.length === 3 &&
+        error.message.includes("entries[0].action")
+    );
+  }
+}
+
+async function runTests() {
+  freshSpace();
+
+  try {
+    const merge = require("../src/cli/contentful-merge");
+    const store = fakeStore();
+
+    const changesetFile = await testPlan(merge, tmpDir);
+    await testApply(merge, store, changesetFile);
+    await testReplay(merge, store, tmpDir);
+    await testThreeWay(merge, store, tmpDir);
+    testValidation(tmpDir);
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,195 @@
+/**
+ * Test script for config/profiles.json loading
+ * Covers validation, alias resolution, ${VAR} interpolation, per-profile
+ * tokens and the shipped profiles file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { suite, check, unexpected, finish, setupTmpDir } = require("./helpers");
+
+const tmpDir = setupTmpDir("profiles");
+
+const {
+  ProfileConfigError,
+  DEFAULT_PROFILES_FILE,
+  loadProfiles,
+  getProfile,
+  resolveProfile,
+  getProfileDefaults,
+  listProfiles,
+} = require("../src/core");
+
+suite("Environment Profiles");
+
+let fileCounter = 0;
+
+function writeProfiles(tmpDir, data) {
+  const file = path.join(tmpDir, `profiles-${++fileCounter}.json`);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+function loadErrors(file) {
+  try {
+    loadProfiles(file);
+    return [];
+  } catch (error) {
+    if (!(error instanceof ProfileConfigError)) throw error;
+    return error.errors.length > 0 ? error.errors : [error.message];
+  }
+}
+
+function testShippedProfiles() {
+  console.log("\n📦 Shipped config/profiles.json");
+  const { profiles, defaults, names } = loadProfiles(DEFAULT_PROFILES_FILE);
+  check(
+    "the npm script names are profiles",
+    ["always-de", "always-uk", "always-fr", "mobile-app"].every(
+      (name) => profiles[name]
+    )
+  );
+  check(
+    "short names are aliases of the always-* profiles",
+    names.get("de") === "always-de" && names.get("uk") === "always-uk"
+  );
+  check(
+    "content type sync defaults are configurable, not hard-wired",
+    defaults.contentTypeSource === "always-fr" &&
+      defaults.contentTypeTarget === "always-uk"
+  );
+
+  const rules = require("../config/entry-deletion-mappings.json");
+  const ruleEnvironments = Object.keys(rules.environmentConfig || {});
+  check(
+    "deletion rule environments are profile names",
+    ruleEnvironments.every((name) => names.get(name) === name)
+  );
+}
+
+function testValidation(tmpDir) {
+  console.log("\n🔍 Validation");
+  const errors = loadErrors(
+    writeProfiles(tmpDir, {
+      profiles: {
+        a: { spaceId: "s", environmentId: "e", aliases: ["x"], colour: "red" },
+        b: { spaceId: "", environmentId: "e", aliases: ["x"] },
+        c: { spaceId: "${1BAD}", environmentId: "e", tokenEnv: "not valid" },
+      },
+      defaults: { merge: "missing" },
+    })
+  );
+  const has = (text) => errors.some((error) => error.includes(text));
+
+  check("unknown profile settings are rejected", has("profiles.a.colour"));
+  check("empty values are rejected", has("profiles.b.spaceId"));
+  check("duplicate aliases are rejected", has('"x" is already used'));
+  check("invalid variable names are rejected", has('"1BAD"'));
+  check("invalid tokenEnv is rejected", has("profiles.c.tokenEnv"));
+  check("defaults must name a profile", has("defaults.merge"));
+  check("all problems are reported at once", errors.length === 6);
+
+  check(
+    "missing profiles object is rejected",
+    loadErrors(writeProfiles(tmpDir, { spaces: {} })).length === 1
+  );
+  check(
+    "unreadable file is a ProfileConfigError",
+    loadErrors(path.join(tmpDir, "does-not-exist.json")).length === 1
+  );
+}
+
+function testResolution(tmpDir) {
+  console.log("\n🧭 Resolution");
+  process.env.CONTENTFUL_PROFILES_FILE = writeProfiles(tmpDir, {
+    profiles: {
+      "always-de": {
+        aliases: ["de"],
+        spaceId: "${TEST_PROFILE_SPACE}",
+        environmentId: "master",
+      },
+      staging: {
+        spaceId: "literal-space",
+        environmentId: "staging-${TEST_PROFILE_SUFFIX}",
+        tokenEnv: "TEST_PROFILE_TOKEN",
+      },
+    },
+    defaults: { linkCleanup: "de" },
+  });
+  process.env.TEST_PROFILE_SPACE = "space-de";
+  process.env.TEST_PROFILE_SUFFIX = "2";
+  process.env.TEST_PROFILE_TOKEN = "staging-token";
+  process.env.CONTENTFUL_MANAGEMENT_TOKEN = "default-token";
+
+  const de = resolveProfile("de");
+  check(
+    "aliases resolve to the profile name",
+    de.name === "always-de" && de.spaceId === "space-de"
+  );
+  check(
+    "default token variable is CONTENTFUL_MANAGEMENT_TOKEN",
+    de.token === "default-token"
+  );
+
+  const staging = resolveProfile("staging");
+  check(
+    "variables interpolate inside values",
+    staging.environmentId === "staging-2"
+  );
+  check(
+    "tokenEnv selects a per-profile token",
+    staging.token === "staging-token"
+  );
+
+  delete process.env.TEST_PROFILE_SPACE;
+  try {
+    resolveProfile("always-de");
+    check("incomplete profile is rejected", false);
+  } catch (error) {
+    check(
+      "incomplete profile names the unset variable",
+      error.message.includes("TEST_PROFILE_SPACE")
+    );
+  }
+  check(
+    "getProfile reports missing values without throwing",
+    getProfile("de").missing.join() === "TEST_PROFILE_SPACE"
+  );
+  check(
+    "script defaults leave unresolved values undefined",
+    getProfileDefaults("linkCleanup").spaceId === undefined &&
+      getProfileDefaults("linkCleanup").profile === "always-de"
+  );
+
+  try {
+    getProfile("nope");
+    check("unknown profile is rejected", false);
+  } catch (error) {
+    check(
+      "unknown profile lists the available ones",
+      error.message.includes("always-de, staging")
+    );
+  }
+
+  const listed = listProfiles();
+  check(
+    "listProfiles reports completeness and never includes tokens",
+    listed.length === 2 &&
+      listed[0].complete === false &&
+      listed[1].complete === true &&
+      listed.every((profile) => !("token" in profile))
+  );
+}
+
+function runTests() {
+  try {
+    testShippedProfiles();
+    testValidation(tmpDir);
+    testResolution(tmpDir);
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
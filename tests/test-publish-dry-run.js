@@ -0,0 +1,233 @@
+/**
+ * Test script for publish --dry-run
+ * Plans a publish against the fake CMA and checks that the plan covers
+ * deletions, link cleanup, publishing and predicted validation failures
+ * without a single write request
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  FIXTURE,
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+} = require("./helpers");
+
+// Keeps rollback journals written by the tests out of the working tree
+const tmpDir = setupTmpDir("publish-plan");
+
+const { FakeContentfulStore } = require("../src/utils/fake-contentful");
+const { createClient } = require("../src/core");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+const { formatPublishPlan, planRows } = require("../src/utils/publish-plan");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+
+suite("Publish Dry Run");
+
+/**
+ * The shared fixture plus a draft page whose only required field is empty
+ */
+function createStore() {
+  const data = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  data.spaces["fake-space"].environments.master.entries.push({
+    sys: { id: "page-untitled", contentType: { sys: { id: "page" } } },
+    fields: {
+      title: { "de-DE": "Ohne Titel" },
+      seoHead: {
+        "en-US": { sys: { type: "Link", linkType: "Entry", id: "seo-home" } },
+      },
+    },
+  });
+  return new FakeContentfulStore({ data });
+}
+
+async function getMaster(store) {
+  const space = await createClient({ fake: store }).getSpace("fake-space");
+  return space.getEnvironment("master");
+}
+
+const isRead = (request) => request.operation.startsWith("get");
+
+async function testPlan() {
+  console.log("\n📝 Plan contents");
+  const store = createStore();
+  const environment = await getMaster(store);
+  store.requestLog.length = 0;
+
+  // No deletion rules are configured for this context
+  const plan = await planPublish(environment, "dry-run-test", "publish");
+
+  check(
+    "only read requests are made",
+    store.requestLog.length > 0 && store.requestLog.every(isRead)
+  );
+
+  const deletion = plan.deletions.find((d) => d.id === "page-empty");
+  check(
+    "entries without meaningful data are planned for deletion",
+    deletion && deletion.willDelete && deletion.reason === "no-meaningful-data"
+  );
+
+  const cleanup = plan.linkCleanups.find((c) => c.id === "page-about");
+  check(
+    "broken links are listed with field, locale and target",
+    cleanup &&
+      cleanup.brokenLinks.length === 1 &&
+      cleanup.brokenLinks[0].field === "sections" &&
+      cleanup.brokenLinks[0].locale === "en-US" &&
+      cleanup.brokenLinks[0].id === "missing-entry"
+  );
+
+  const publishedIds = plan.publish.entries.map((e) => e.id);
+  check(
+    "drafts and changed entries are planned for publishing",
+    publishedIds.includes("seo-about") && publishedIds.includes("page-about")
+  );
+  check(
+    "entries are tagged draft or changed",
+    plan.publish.entries.find((e) => e.id === "page-about").status ===
+      "changed" &&
+      plan.publish.entries.find((e) => e.id === "seo-about").status === "draft"
+  );
+  check(
+    "draft assets are planned for publishing",
+    plan.publish.assets.some((a) => a.id === "asset-draft")
+  );
+
+  const failure = plan.predictedFailures.find((f) => f.id === "page-untitled");
+  check(
+    "empty required fields in the default locale are predicted failures",
+    failure &&
+      failure.errors[0].name === "required" &&
+      failure.errors[0].path.join(".") === "fields.title" &&
+      failure.outcome === "delete" &&
+      !publishedIds.includes("page-untitled")
+  );
+
+  check(
+    "summary counts match the sections",
+    plan.summary.entriesToDelete === 1 &&
+      plan.summary.entriesToClean === 1 &&
+      plan.summary.brokenLinks === 1 &&
+      plan.summary.predictedFailures === 1
+  );
+
+  const table = formatPublishPlan(plan);
+  check(
+    "the table has one row per planned action",
+    planRows(plan).length ===
+      plan.deletions.length +
+        plan.linkCleanups.length +
+        plan.publish.entries.length +
+        plan.publish.assets.length +
+        plan.predictedFailures.length +
+        plan.skipped.length && table.includes("missing-entry")
+  );
+}
+
+async function testPlannedDeletions() {
+  console.log("\n🗑️  Deletion rules");
+  const store = createStore();
+  const environment = await getMaster(store);
+  store.requestLog.length = 0;
+
+  const plan = await planPublish(environment, "always-de", "publish");
+  check(
+    "mapping rule deletions carry the rule that matched",
+    plan.deletions.some((d) => d.reason === "deletion-rule" && d.ruleId)
+  );
+  check(
+    "entries planned for deletion are not published",
+    plan.deletions
+      .filter((d) => d.willDelete)
+      .every((d) => !plan.publish.entries.some((e) => e.id === d.id))
+  );
+  check("rule evaluation makes no writes", store.requestLog.every(isRead));
+}
+
+async function testRunCommand() {
+  console.log("\n⚙️  runCommand");
+  const store = createStore();
+  const environment = await getMaster(store);
+
+  const plan = await runCommand("publish-assets-only", environment, "x", {
+    dryRun: true,
+  });
+  check(
+    "publish-assets-only plans assets only",
+    plan.publish.assets.length > 0 && plan.publish.entries.length === 0
+  );
+
+  try {
+    await runCommand("delete-drafts", environment, "x", { dryRun: true });
+    check("non-publish commands refuse --dry-run", false);
+  } catch (error) {
+    check(
+      "non-publish commands refuse --dry-run",
+      error.message.includes("does not support --dry-run")
+    );
+  }
+}
+
+function testCli() {
+  console.log("\n🖥️  cf publish --dry-run");
+  const tmpFixture = useFakeSpace(tmpDir, "space");
+  const before = fs.readFileSync(tmpFixture, "utf8");
+
+  const result = spawnSync(
+    "node",
+    [CF, "publish", "--profile", "de", "--dry-run", "--json"],
+    {
+      cwd: tmpDir,
+      env: {
+        ...process.env,
+        CONTENTFUL_FAKE_SPACE: tmpFixture,
+        CONTENTFUL_FAKE_PERSIST: "true",
+        CONTENTFUL_MANAGEMENT_TOKEN: "fake-token",
+        SPACE_ID_DE_DE: "fake-space",
+        ENV_DE_DE: "master",
+        LOG_LEVEL: "ERROR",
+      },
+      encoding: "utf8",
+      timeout: 60000,
+    }
+  );
+  const output = JSON.parse(result.stdout);
+  check(
+    "--json returns the plan",
+    result.status === 0 && output.result.plan.dryRun === true
+  );
+  check(
+    "the plan is saved next to the other reports",
+    fs.existsSync(output.result.planFile) &&
+      path.dirname(output.result.planFile) === fs.realpathSync(tmpDir)
+  );
+  check(
+    "the table is printed to stderr in --json mode",
+    result.stderr.includes("ACTION")
+  );
+  check(
+    "the space is left untouched",
+    fs.readFileSync(tmpFixture, "utf8") === before
+  );
+}
+
+async function runTests() {
+  try {
+    await testPlan();
+    await testPlannedDeletions();
+    await testRunCommand();
+    testCli();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,289 @@
+/**
+ * Test script for publish filters
+ * Checks that --content-type, --exclude-content-type, --tag,
+ * --updated-since, --updated-by and --ids-file become CMA query parameters,
+ * and that publish runs and dry runs only touch the entries and assets they
+ * select; content type filters limit assets to those the entries link to
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+  fakeStore,
+  inDir,
+  throws,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("publish-filters", {
+  profiles: true,
+  noRules: true,
+});
+
+const { parseArgs } = require("../src/utils/cli-args");
+const {
+  PublishFilterError,
+  buildPublishFilters,
+  loadIdsFile,
+  parseUpdatedSince,
+  publishQueries,
+} = require("../src/utils/publish-filters");
+const { runCommand } = require("../src/cli/contentful-cli");
+const publishCommand = require("../src/cli/commands/publish");
+
+suite("Publish Filters");
+
+const RECENT = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const OLD = "2020-01-01T00:00:00.000Z";
+const user = (id) => ({ sys: { type: "Link", linkType: "User", id } });
+const tag = (id) => ({ sys: { type: "Link", linkType: "Tag", id } });
+
+const page = (id, { tags = [], updatedAt = OLD, updatedBy = "editor-b" }) => ({
+  sys: {
+    id,
+    contentType: { sys: { id: "page" } },
+    updatedAt,
+    updatedBy: user(updatedBy),
+  },
+  metadata: { tags: tags.map(tag) },
+  fields: { title: { "en-US": id } },
+});
+
+/**
+ * The shared fixture plus campaign drafts: tagged, recently updated by
+ * editor-a, or both, next to someone else's old untagged draft
+ */
+function freshSpace(name) {
+  useFakeSpace(tmpDir, name, (data) => {
+    const master = data.spaces["fake-space"].environments.master;
+    master.entries.push(
+      page("campaign-1", { tags: ["summer"], updatedAt: RECENT }),
+      page("campaign-2", {
+        tags: ["summer"],
+        updatedAt: RECENT,
+        updatedBy: "editor-a",
+      }),
+      page("recent-draft", { updatedAt: RECENT, updatedBy: "editor-a" }),
+      page("someone-elses", {})
+    );
+    master.assets.push({
+      sys: { id: "campaign-asset", updatedAt: RECENT },
+      metadata: { tags: [tag("summer")] },
+      fields: {
+        title: { "en-US": "Banner" },
+        file: {
+          "en-US": {
+            url: "//assets.example.com/banner.png",
+            fileName: "banner.png",
+            contentType: "image/png",
+          },
+        },
+      },
+    });
+  });
+}
+
+const publishedIds = () =>
+  fakeStore()
+    .requestLog.filter((request) => request.operation === "publish")
+    .map((request) => request.entityId)
+    .sort()
+    .join();
+
+const inTmpDir = (fn) => inDir(tmpDir, fn);
+
+function testQueries() {
+  console.log("\n🔎 Queries");
+  const [query] = publishQueries(
+    {
+      contentTypes: ["page", "seoHead"],
+      excludeContentTypes: ["personaData"],
+      tags: ["summer", "sale"],
+      updatedSince: OLD,
+      updatedBy: ["editor-a"],
+    },
+    "entries"
+  );
+  check(
+    "filters map to content type, tag, sys.updatedAt and sys.updatedBy parameters",
+    query["sys.contentType.sys.id[in]"] === "page,seoHead" &&
+      query["sys.contentType.sys.id[nin]"] === "personaData" &&
+      query["metadata.tags.sys.id[in]"] === "summer,sale" &&
+      query["sys.updatedAt[gte]"] === OLD &&
+      query["sys.updatedBy.sys.id[in]"] === "editor-a" &&
+      publishQueries({ contentTypes: ["page"] }, "entries")[0].content_type ===
+        "page"
+  );
+
+  const ids = Array.from({ length: 250 }, (_, i) => `entry-${i}`);
+  const chunks = publishQueries({ ids, tags: ["summer"] }, "entries");
+  check(
+    "long ID lists are split over several queries",
+    chunks.length === 3 &&
+      chunks.every((chunk) => chunk["metadata.tags.sys.id[in]"] === "summer") &&
+      chunks[2]["sys.id[in]"].split(",").length === 50
+  );
+  check(
+    "content type filters are refused for assets",
+    throws(
+      () => publishQueries({ contentTypes: ["page"] }, "assets"),
+      PublishFilterError
+    )
+  );
+}
+
+function testOptions() {
+  console.log("\n⚙️  Options");
+  const now = new Date("2024-06-08T12:00:00.000Z");
+  check(
+    "--updated-since takes ages and ISO dates",
+    parseUpdatedSince("7d", now) === "2024-06-01T12:00:00.000Z" &&
+      parseUpdatedSince("2024-05-01", now) === "2024-05-01T00:00:00.000Z" &&
+      throws(() => parseUpdatedSince("last week", now), PublishFilterError)
+  );
+
+  const lines = path.join(tmpDir, "ids.txt");
+  fs.writeFileSync(lines, "# campaign\ncampaign-1\n\ncampaign-2\ncampaign-1\n");
+  const json = path.join(tmpDir, "ids.json");
+  fs.writeFileSync(json, JSON.stringify(["campaign-asset"]));
+  fs.writeFileSync(path.join(tmpDir, "empty.txt"), "# nothing\n");
+  check(
+    "IDs files list one ID per line or a JSON array",
+    loadIdsFile(lines).join() === "campaign-1,campaign-2" &&
+      loadIdsFile(json).join() === "campaign-asset" &&
+      throws(
+        () => loadIdsFile(path.join(tmpDir, "empty.txt")),
+        PublishFilterError
+      )
+  );
+
+  const { options } = parseArgs(
+    ["--content-type", "page,seoHead", "--exclude-content-type", "page"],
+    publishCommand.options
+  );
+  check(
+    "cf publish options build the filters, refusing contradictions",
+    buildPublishFilters({}) === null &&
+      throws(() => buildPublishFilters(options), PublishFilterError)
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  freshSpace("publish");
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {
+      filters: { tags: ["summer"], updatedBy: ["editor-a"] },
+    })
+  );
+  check(
+    "only entries matching every filter are published",
+    publishedIds() === "campaign-2"
+  );
+
+  freshSpace("publish-all");
+  await inTmpDir(async () =>
+    runCommand("publish", await fakeMaster(), "fake-de", {
+      filters: { tags: ["summer"] },
+    })
+  );
+  check(
+    "tags scope assets as well as entries",
+    publishedIds() === "campaign-1,campaign-2,campaign-asset"
+  );
+
+  freshSpace("publish-types");
+  const campaign = await (await fakeMaster()).getEntry("campaign-1");
+  campaign.fields.image = {
+    "en-US": { sys: { type: "Link", linkType: "Asset", id: "campaign-asset" } },
+  };
+  await campaign.update();
+  const filters = { contentTypes: ["page"] };
+  const plan = await inTmpDir(async () =>
+    runCommand("publish", await fakeMaster(), "fake-de", {
+      filters,
+      dryRun: true,
+    })
+  );
+  fakeStore().requestLog.length = 0;
+  await inTmpDir(async () =>
+    runCommand("publish", await fakeMaster(), "fake-de", { filters })
+  );
+  const published = publishedIds().split(",");
+  check(
+    "content type filters publish the assets the selected entries link to",
+    plan.publish.assets.map((asset) => asset.id).join() === "campaign-asset" &&
+      published.includes("campaign-1") &&
+      published.includes("campaign-asset") &&
+      !published.includes("asset-draft") &&
+      !published.includes("seo-about")
+  );
+
+  let error = null;
+  try {
+    await runCommand("publish-assets-only", await fakeMaster(), "fake-de", {
+      filters,
+    });
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "content type filters cannot scope an assets-only run",
+    error instanceof PublishFilterError
+  );
+}
+
+async function testDryRun() {
+  console.log("\n📋 Dry run");
+  freshSpace("plan");
+  fs.writeFileSync(
+    path.join(tmpDir, "campaign.txt"),
+    "campaign-1\nrecent-draft\nsomeone-elses\n"
+  );
+  const { options } = parseArgs(
+    [
+      "--only",
+      "entries",
+      "--ids-file",
+      "campaign.txt",
+      "--updated-since",
+      "1d",
+    ],
+    publishCommand.options
+  );
+  const result = await inTmpDir(() =>
+    publishCommand.run({
+      options,
+      connection: { profile: "fake-de" },
+      dryRun: true,
+    })
+  );
+  const planned = result.plan.publish.entries.map((entry) => entry.id).sort();
+  check(
+    "dry runs plan only the selected entries and record the filters",
+    planned.join() === "campaign-1,recent-draft" &&
+      result.plan.filters.ids.length === 3 &&
+      JSON.parse(fs.readFileSync(result.planFile, "utf8")).filters
+        .updatedSince === result.plan.filters.updatedSince
+  );
+}
+
+async function runTests() {
+  try {
+    testQueries();
+    testOptions();
+    await testPublishing();
+    await testDryRun();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,174 @@
+/**
+ * Test script for dependency-ordered publishing
+ * Checks that publishEntries publishes linked entries before the entries
+ * linking to them, retries link cycles until they resolve, and reports
+ * entries blocked by unpublishable dependencies apart from validation
+ * errors, in the run and in publish --dry-run
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("publish-order", { profiles: true, noRules: true });
+
+const { publishWaves } = require("../src/utils/link-order");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+
+suite("Dependency-Ordered Publishing");
+
+const link = (id, linkType = "Entry") => ({
+  sys: { type: "Link", linkType, id },
+});
+const page = (id, fields, sys = {}) => ({
+  sys: { id, contentType: { sys: { id: "page" } }, ...sys },
+  fields: { title: { "en-US": id }, ...fields },
+});
+const seoHead = (id, fields) => ({
+  sys: { id, contentType: { sys: { id: "seoHead" } } },
+  fields,
+});
+
+/**
+ * The shared fixture plus entries that only publish in the right order:
+ * pages listed before their SEO heads, a cycle that resolves once the draft
+ * half is published, a cycle of drafts that never does, and pages linking
+ * to an SEO head without its required url and to a draft asset
+ */
+function freshSpace(name) {
+  useFakeSpace(tmpDir, name, (data) =>
+    data.spaces["fake-space"].environments.master.entries.push(
+      page("page-a", { seoHead: { "en-US": link("seo-a") } }),
+      seoHead("seo-a", { url: { "en-US": "/a" } }),
+      page(
+        "page-x",
+        { sections: { "en-US": [link("page-y")] } },
+        { version: 4, publishedVersion: 2 }
+      ),
+      page("page-y", { sections: { "en-US": [link("page-x")] } }),
+      page("page-p", { sections: { "en-US": [link("page-q")] } }),
+      page("page-q", { sections: { "en-US": [link("page-p")] } }),
+      page("page-b", { seoHead: { "en-US": link("seo-bad") } }),
+      seoHead("seo-bad", { description: { "en-US": "No url" } }),
+      page("page-c", { image: { "en-US": link("asset-draft", "Asset") } })
+    )
+  );
+}
+
+const stored = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").entries[id];
+// Publishing bumps the version past the published one, as in Contentful
+const isPublished = (id) =>
+  stored(id).sys.publishedVersion === stored(id).sys.version - 1;
+
+function testWaves() {
+  console.log("\n🌊 Publish waves");
+  const { waves, cyclic, dependencies } = publishWaves([
+    page("top", { sections: { "en-US": [link("page")] } }),
+    page("page", { seoHead: { "en-US": link("seo") } }),
+    page("a", { sections: { "en-US": [link("b"), link("outside")] } }),
+    page("b", { sections: { "en-US": [link("a"), link("b")] } }),
+    seoHead("seo", {}),
+  ]);
+  const ids = waves.map((wave) => wave.map((entry) => entry.sys.id).join());
+  check(
+    "linked entries come in earlier waves than the entries linking to them",
+    ids.join(" | ") === "a,b,seo | page | top"
+  );
+  check(
+    "link cycles share a wave and are flagged",
+    [...cyclic].sort().join() === "a,b" &&
+      [...dependencies.get("b")].join() === "a"
+  );
+}
+
+async function testPlan() {
+  console.log("\n📋 Dry run");
+  freshSpace("plan");
+  const plan = await quietly(async () =>
+    planPublish(await fakeMaster(), "fake-de", "publish-entries-only")
+  );
+  const wave = (id) => plan.publish.entries.find((e) => e.id === id)?.wave;
+  const failure = (id) => plan.predictedFailures.find((f) => f.id === id);
+  check(
+    "planned entries carry their publish wave",
+    wave("seo-a") < wave("page-a") &&
+      plan.publish.entries.find((e) => e.id === "page-x").cycle === true
+  );
+  check(
+    "entries linking to a failing entry or a draft asset are predicted as blocked",
+    failure("page-b")?.outcome === "blocked" &&
+      failure("page-b").blockedBy.join() === "seo-bad" &&
+      failure("page-c")?.blockedBy.join() === "asset-draft" &&
+      failure("seo-bad")?.outcome !== "blocked"
+  );
+}
+
+async function testPublishing() {
+  console.log("\n🚀 Publishing");
+  freshSpace("publish");
+  await inDir(tmpDir, async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de")
+  );
+  check(
+    "entries listed before the entries they link to are published",
+    isPublished("page-a") && isPublished("seo-a")
+  );
+  check(
+    "a cycle is published once its draft half is",
+    isPublished("page-x") && isPublished("page-y")
+  );
+
+  const [reportFile] = fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith("validation-report-"));
+  const report = JSON.parse(
+    fs.readFileSync(path.join(tmpDir, reportFile), "utf8")
+  );
+  const blocked = (id) =>
+    report.blockedByDependencies.find((entry) => entry.entryId === id);
+  check(
+    "entries linking to unpublishable entries or assets are reported as blocked",
+    blocked("page-b")?.blockedBy.join() === "seo-bad" &&
+      blocked("page-c")?.blockedBy.join() === "asset-draft" &&
+      report.summary.blockedEntries === report.blockedByDependencies.length
+  );
+  check(
+    "cycles that never resolve are reported as blocked cycles",
+    blocked("page-p")?.cycle === true &&
+      blocked("page-q")?.cycle === true &&
+      !isPublished("page-p")
+  );
+  const failedIds = report.validationErrors.map((error) => error.entryId);
+  check(
+    "only the unpublishable entry itself is a validation error",
+    failedIds.includes("seo-bad") &&
+      !["page-b", "page-c", "page-p", "page-q"].some((id) =>
+        failedIds.includes(id)
+      )
+  );
+}
+
+async function runTests() {
+  try {
+    testWaves();
+    await testPlan();
+    await testPublishing();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,285 @@
+/**
+ * Test script for the rollback journal and cf rollback
+ * Runs destructive operations through a journaled fake client, then checks
+ * that the journal records the earlier state and that rolling it back
+ * restores fields and publish/archive state
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+  fakeStore,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("rollback-journal");
+useFakeSpace(tmpDir, "space");
+
+const {
+  Journal,
+  getEnvironment,
+  instrumentClient,
+  readJournal,
+} = require("../src/core");
+const { rollbackJournal } = require("../src/cli/cf-rollback");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+
+suite("Rollback Journal");
+
+const stored = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").entries[id];
+const storedAsset = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").assets[id];
+
+/**
+ * What delete-drafts, archive-persona-data, an update script and a merge
+ * would do, all in one run
+ */
+async function destructiveRun(journal) {
+  const env = await getEnvironment({
+    spaceId: "fake-space",
+    environmentId: "master",
+    accessToken: "fake",
+    journal,
+  });
+
+  const persona = await env.getEntry("persona-1");
+  await (await persona.unpublish()).archive();
+
+  const { items } = await env.getEntries({ "sys.id[in]": "seo-about" });
+  await items[0].delete();
+
+  const home = await env.getEntry("page-home");
+  home.fields.title["en-US"] = "Home (edited)";
+  await (await home.update()).publish();
+
+  const about = await env.getEntry("page-about");
+  about.fields.title["en-US"] = "About (edited)";
+  await about.update();
+
+  const logo = await env.getAsset("asset-logo");
+  await (await logo.unpublish()).delete();
+
+  const created = await env.createEntryWithId("personaData", "persona-new", {
+    fields: { name: { "en-US": "New" } },
+  });
+  await created.publish();
+}
+
+function testJournal(journal) {
+  console.log("\n📓 Journal");
+  const { header, records } = readJournal(journal.file);
+  check(
+    "the journal has a header with the run ID",
+    header.runId === "test-run" && header.journal === 1
+  );
+  const ops = records.map((r) => `${r.operation}:${r.id}`);
+  check(
+    "every write is recorded in order",
+    ops.join() ===
+      [
+        "unpublish:persona-1",
+        "archive:persona-1",
+        "delete:seo-about",
+        "update:page-home",
+        "publish:page-home",
+        "update:page-about",
+        "unpublish:asset-logo",
+        "delete:asset-logo",
+        "create:persona-new",
+        "publish:persona-new",
+      ].join()
+  );
+  const update = records.find((r) => r.operation === "update");
+  check(
+    "records hold the state before in-place edits",
+    update.before.fields.title["en-US"] === "Home" &&
+      update.before.sys.publishedVersion > 0 &&
+      update.spaceId === "fake-space" &&
+      update.environmentId === "master"
+  );
+  check(
+    "creates are recorded without an earlier state",
+    records.find((r) => r.operation === "create").before === null
+  );
+  check(
+    "read-only clients write no journal",
+    !fs.existsSync(path.join(tmpDir, "journals"))
+  );
+}
+
+/**
+ * A client with one entry that counts the copies made of it. Like the
+ * contentful-management SDK, toPlainObject() copies in-place edits too.
+ */
+function countingClient() {
+  const copies = { count: 0 };
+  const stored = { sys: { type: "Entry", id: "a" }, fields: { title: "A" } };
+  const entry = () => {
+    const entity = JSON.parse(JSON.stringify(stored));
+    entity.toPlainObject = function toPlainObject() {
+      copies.count++;
+      return JSON.parse(JSON.stringify(this));
+    };
+    entity.update = async () => entity;
+    return entity;
+  };
+  const environment = {
+    sys: { id: "master" },
+    getEntry: async () => entry(),
+    getEntries: async () => ({ items: [entry(), entry()] }),
+  };
+  const client = {
+    getSpace: async () => ({
+      sys: { id: "stub-space" },
+      getEnvironment: async () => environment,
+    }),
+  };
+  return { client, copies };
+}
+
+async function testSnapshots() {
+  console.log("\n📸 Earlier states");
+  const { client, copies } = countingClient();
+  const journal = new Journal({
+    directory: path.join(tmpDir, "snapshots"),
+    runId: "snapshots",
+  });
+  const space = await instrumentClient(client, journal).getSpace("stub-space");
+  const env = await space.getEnvironment("master");
+  const { items } = await env.getEntries();
+  check("entities that are only read are not copied", copies.count === 0);
+
+  items[0].fields.title = "A (edited)";
+  await items[0].update();
+  const [record] = readJournal(journal.file).records;
+  check(
+    "updates record the stored state, not the edited entity",
+    record.before.fields.title === "A" && copies.count === 1
+  );
+}
+
+async function testDryRun(journal) {
+  console.log("\n🔍 Dry run");
+  const report = await rollbackJournal(journal.file, { dryRun: true });
+  const actions = (id) =>
+    (report.restored.find((r) => r.id === id) || { actions: [] }).actions;
+  check(
+    "deleted entries would be recreated",
+    actions("seo-about").join() === "recreate"
+  );
+  check(
+    "archived entries would be unarchived and republished",
+    actions("persona-1").join() === "unarchive,publish"
+  );
+  check(
+    "created entries would be unpublished and deleted",
+    actions("persona-new").join() === "unpublish,delete"
+  );
+  check(
+    "deleted assets would be recreated, processed and published",
+    actions("asset-logo").join() === "recreate,process,publish"
+  );
+  check(
+    "nothing is written",
+    !stored("seo-about") && stored("persona-new") && !storedAsset("asset-logo")
+  );
+}
+
+async function testRollback(journal) {
+  console.log("\n⏪ Rollback");
+  const report = await rollbackJournal(journal.file);
+  check("no entity fails", report.failed.length === 0);
+
+  const persona = stored("persona-1");
+  check(
+    "archived entries are published again",
+    persona.sys.publishedVersion && !persona.sys.archivedVersion
+  );
+  const seo = stored("seo-about");
+  check(
+    "deleted drafts are recreated as drafts",
+    seo &&
+      seo.fields.url["en-US"] === "/about" &&
+      !seo.sys.publishedVersion &&
+      seo.sys.contentType.sys.id === "seoHead"
+  );
+  const home = stored("page-home");
+  check(
+    "edited fields are restored and republished",
+    home.fields.title["en-US"] === "Home" &&
+      home.sys.publishedVersion === home.sys.version - 1
+  );
+  const logo = storedAsset("asset-logo");
+  check(
+    "deleted assets are recreated from their URL and published",
+    logo &&
+      logo.fields.file["en-US"].url === "//images.example.com/logo.png" &&
+      logo.sys.publishedVersion
+  );
+  check("entries created by the run are deleted", !stored("persona-new"));
+  check(
+    "entries that had pending changes get their fields back with a warning",
+    stored("page-about").fields.title["en-US"] === "About us" &&
+      report.warnings.some((warning) => warning.includes("page-about"))
+  );
+
+  const again = await rollbackJournal(journal.file);
+  check(
+    "a second rollback finds nothing to do",
+    again.restored.length === 0 && again.failed.length === 0
+  );
+}
+
+function testCli(journal) {
+  console.log("\n🖥️  cf rollback");
+  const run = (args) =>
+    spawnSync("node", [CF, "rollback", ...args], {
+      cwd: tmpDir,
+      env: { ...process.env, CONTENTFUL_MANAGEMENT_TOKEN: "fake-token" },
+      encoding: "utf8",
+      timeout: 60000,
+    });
+
+  const result = run([journal.file, "--dry-run", "--json"]);
+  const output = JSON.parse(result.stdout);
+  check(
+    "--dry-run --json reports the run",
+    result.status === 0 &&
+      output.result.dryRun === true &&
+      output.result.runId === "test-run"
+  );
+
+  const notJournal = path.join(tmpDir, "space.json");
+  check("other files are rejected", run([notJournal]).status !== 0);
+  check("the journal is required", run([]).status === 2);
+}
+
+async function runTests() {
+  const journal = new Journal({
+    directory: path.join(tmpDir, "run"),
+    runId: "test-run",
+  });
+  try {
+    await fakeMaster().then((env) => env.getEntries());
+    await destructiveRun(journal);
+    testJournal(journal);
+    await testSnapshots();
+    await testDryRun(journal);
+    await testRollback(journal);
+    testCli(journal);
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
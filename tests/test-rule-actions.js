@@ -0,0 +1,339 @@
+/**
+ * Test script for deletion rule actions
+ * Validates `action` in rules, carries out delete, archive, unpublish,
+ * addTag, setField and clearField against the fake CMA, and checks that
+ * safety checks, the per-run limit, reports and publish plans cover every
+ * action, and that archive-persona-data runs as a manual rule
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  writeDeletionConfig,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("rule-actions");
+
+const EntryDeletionProcessor = require("../src/utils/entry-deletion-processor");
+const {
+  ACTIONS,
+  SCHEMA_FILE,
+  DeletionConfigError,
+  describeAction,
+  validateDeletionConfig,
+} = require("../src/utils/deletion-config");
+const { DeletionLimitError } = require("../src/utils/deletion-approval");
+const { planPublish, runCommand } = require("../src/cli/contentful-cli");
+const { planRows } = require("../src/utils/publish-plan");
+
+suite("Deletion Rule Actions");
+
+const rule = (overrides) => ({
+  id: "test-rule",
+  name: "Test rule",
+  enabled: true,
+  contentTypes: ["page"],
+  conditions: { rules: [{ field: "sys.id", operator: "isNotEmpty" }] },
+  ...overrides,
+});
+
+/** Problems validateDeletionConfig reports for a config */
+const problemsFor = (rules) =>
+  validateDeletionConfig(JSON.stringify({ deletionRules: rules })).problems;
+
+/** A processor loaded from a config file with the given rules */
+const processorFor = (deletionRules, globalSettings) =>
+  new EntryDeletionProcessor(
+    writeDeletionConfig(tmpDir, { deletionRules, globalSettings })
+  );
+
+const freshSpace = (name) => useFakeSpace(tmpDir, name);
+const stored = (id) =>
+  fakeStore().getEnvironmentState("fake-space", "master").entries[id];
+
+/** Evaluate rules against entries of the fake master environment */
+async function candidatesFor(processor, ids, context = "always-de") {
+  const environment = await fakeMaster();
+  await processor.checkContentTypes(environment, context);
+  await processor.loadLocales(environment, context);
+  const { items } = await environment.getEntries({ "sys.id[in]": ids.join() });
+  return processor.processEntriesForDeletion(
+    items,
+    context,
+    async (entryId) => ({
+      isLinked: entryId === "seo-home",
+      linkedBy: entryId === "seo-home" ? [{ id: "page-home" }] : [],
+    }),
+    environment
+  );
+}
+
+function testValidation() {
+  console.log("\n🛂 Validation");
+  check(
+    "actions are a name or an object with the settings the type needs",
+    problemsFor([rule({ action: "archive" })]).length === 0 &&
+      problemsFor([rule({ action: { type: "addTag", tag: "stale" } })])
+        .length === 0 &&
+      problemsFor([
+        rule({
+          action: { type: "clearField", field: "title", locale: "de-DE" },
+        }),
+      ]).length === 0
+  );
+  const unknown = problemsFor([rule({ action: "explode" })]);
+  check(
+    "unknown actions are reported at the action",
+    unknown.length === 1 && unknown[0].pointer === "/deletionRules/0/action"
+  );
+  const incomplete = problemsFor([
+    rule({ action: { type: "setField", field: "title" } }),
+    rule({ id: "other", action: { type: "addTag" } }),
+  ]);
+  check(
+    "setField needs a value and addTag a tag",
+    incomplete.length === 2 &&
+      incomplete.every((problem) => problem.message.includes("required"))
+  );
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, "utf8"));
+  check(
+    "the schema lists every action the processor carries out",
+    schema.definitions.action.else.properties.type.enum.join() ===
+      ACTIONS.join()
+  );
+}
+
+async function testActions() {
+  console.log("\n⚙️  Actions");
+  const archive = processorFor([
+    rule({ contentTypes: ["personaData"], action: "archive" }),
+  ]);
+  const [persona] = await candidatesFor(archive, ["persona-1"]);
+  await archive.applyAction(persona);
+  check(
+    "archive unpublishes and archives",
+    persona.outcome === "applied" &&
+      stored("persona-1").sys.archivedVersion &&
+      !stored("persona-1").sys.publishedVersion
+  );
+
+  const unpublish = processorFor([rule({ action: "unpublish" })]);
+  const pages = await candidatesFor(unpublish, ["page-home", "page-empty"]);
+  for (const candidate of pages) await unpublish.applyAction(candidate);
+  const byId = (candidates, id) =>
+    candidates.find((candidate) => candidate.entry.sys.id === id);
+  check(
+    "unpublish leaves drafts unchanged",
+    byId(pages, "page-home").outcome === "applied" &&
+      !stored("page-home").sys.publishedVersion &&
+      byId(pages, "page-empty").outcome === "unchanged"
+  );
+
+  const tag = processorFor([
+    rule({ action: { type: "addTag", tag: "campaign" } }),
+  ]);
+  const [tagged] = await candidatesFor(tag, ["page-about"]);
+  await tag.applyAction(tagged);
+  const [again] = await candidatesFor(tag, ["page-about"]);
+  await tag.applyAction(again);
+  check(
+    "addTag adds the tag once",
+    tagged.outcome === "applied" &&
+      again.outcome === "unchanged" &&
+      stored("page-about")
+        .metadata.tags.map((t) => t.sys.id)
+        .join() === "campaign"
+  );
+
+  const set = processorFor([
+    rule({
+      contentTypes: ["seoHead"],
+      action: { type: "setField", field: "url", value: "/expired" },
+    }),
+  ]);
+  const [seo] = await candidatesFor(set, ["seo-about"]);
+  const updated = await set.applyAction(seo);
+  check(
+    "setField writes the default locale and returns the updated entry",
+    stored("seo-about").fields.url["en-US"] === "/expired" &&
+      updated.sys.version === stored("seo-about").sys.version
+  );
+
+  const clear = processorFor([
+    rule({ action: { type: "clearField", field: "title", locale: "de-DE" } }),
+  ]);
+  const [home] = await candidatesFor(clear, ["page-home"]);
+  await clear.applyAction(home);
+  check(
+    "clearField removes one locale",
+    stored("page-home").fields.title["de-DE"] === undefined &&
+      stored("page-home").fields.title["en-US"] !== undefined
+  );
+
+  const remove = processorFor([rule({ action: "delete" })]);
+  const [empty] = await candidatesFor(remove, ["page-empty"]);
+  const deleted = await remove.applyAction(empty);
+  check(
+    "delete removes the entry",
+    deleted === null && stored("page-empty") === undefined
+  );
+}
+
+async function testSafety() {
+  console.log("\n🛡️  Safety checks, limits and reports");
+  const referenced = processorFor([
+    rule({
+      contentTypes: ["seoHead"],
+      action: "unpublish",
+      safetyChecks: { checkLinks: true, skipIfReferenced: true },
+    }),
+  ]);
+  const [seo] = await candidatesFor(referenced, ["seo-home"]);
+  check(
+    "skipIfReferenced keeps referenced entries whatever the action",
+    seo.isLinked && !seo.willDelete
+  );
+
+  const limited = processorFor(
+    [rule({ contentTypes: ["*"], action: "archive" })],
+    { defaultBehavior: { maxDeletionsPerRun: 1 } }
+  );
+  const candidates = await candidatesFor(limited, ["page-about", "seo-home"]);
+  let limitError = null;
+  try {
+    await limited.authorizeCandidates(candidates, "always-de");
+  } catch (caught) {
+    limitError = caught;
+  }
+  check(
+    "maxDeletionsPerRun counts every action and aborts them all",
+    limitError instanceof DeletionLimitError &&
+      candidates.length === 2 &&
+      candidates.every((candidate) => !candidate.willDelete)
+  );
+
+  // As if the first had been applied by a run within the limit
+  Object.assign(candidates[0], { willDelete: true, outcome: "applied" });
+  const report = limited.generateDeletionReport(candidates, "always-de");
+  const entries = report.ruleBreakdown["test-rule"].entries;
+  check(
+    "reports record the action and its outcome",
+    report.actionBreakdown.archive === 1 &&
+      report.summary.willDelete === 0 &&
+      entries[0].action === "archive" &&
+      entries[0].outcome === "applied"
+  );
+  check(
+    "actions are described with their settings",
+    describeAction({ type: "setField", field: "status", value: "x" }) ===
+      'setField status = "x"' && describeAction(undefined) === "delete"
+  );
+
+  const missingTag = processorFor([
+    rule({ action: { type: "addTag", tag: "no-such-tag" } }),
+  ]);
+  let error = null;
+  try {
+    await missingTag.checkContentTypes(await fakeMaster(), "always-de");
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "tags and fields that do not exist are refused",
+    error instanceof DeletionConfigError &&
+      error.problems[0].pointer === "/deletionRules/0/action/tag"
+  );
+}
+
+async function testManualRule() {
+  console.log("\n🗄️  archive-persona-data");
+  freshSpace("manual");
+  const environment = await fakeMaster();
+  const plan = await quietly(() =>
+    planPublish(environment, "always-de", "publish")
+  );
+  check(
+    "manual rules do not run while publishing",
+    !plan.deletions.some((d) => d.ruleId === "archive-persona-data")
+  );
+
+  await inDir(tmpDir, () =>
+    runCommand("archive-persona-data", environment, "always-de")
+  );
+  const reports = fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith("deletion-report-"));
+  const report =
+    reports.length === 1 &&
+    JSON.parse(fs.readFileSync(path.join(tmpDir, reports[0]), "utf8"));
+  check(
+    "cf bulk archive-persona-data archives through the rule and reports it",
+    stored("persona-1").sys.archivedVersion &&
+      report &&
+      report.ruleBreakdown["archive-persona-data"].entries[0].outcome ===
+        "applied"
+  );
+}
+
+async function testPlan() {
+  console.log("\n📝 Publish plans");
+  freshSpace("plan");
+  const file = path.join(tmpDir, "plan-rules.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      deletionRules: [
+        rule({
+          conditions: {
+            rules: [{ field: "title", operator: "equals", value: "About us" }],
+          },
+          action: "archive",
+        }),
+      ],
+    })
+  );
+  process.env.CONTENTFUL_DELETION_CONFIG = file;
+  try {
+    const plan = await quietly(async () =>
+      planPublish(await fakeMaster(), "always-de", "publish")
+    );
+    const row = planRows(plan).find((r) => r.id === "page-about");
+    check(
+      "planned archives are not published and show their action",
+      row.action === "archive" &&
+        !plan.publish.entries.some((e) => e.id === "page-about") &&
+        plan.summary.otherRuleActions === 1 &&
+        plan.deletions.filter((d) => d.willDelete).length ===
+          plan.summary.entriesToDelete + plan.summary.otherRuleActions
+    );
+  } finally {
+    delete process.env.CONTENTFUL_DELETION_CONFIG;
+  }
+}
+
+async function runTests() {
+  try {
+    testValidation();
+    freshSpace("actions");
+    await testActions();
+    freshSpace("safety");
+    await testSafety();
+    await testManualRule();
+    await testPlan();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,432 @@
+/**
+ * Test script for run checkpoints and --resume
+ * Checks that interrupted publish, merge apply, link cleanup and migration
+ * runs continue from their checkpoint: finished IDs are skipped, reports
+ * include the earlier attempts, the rollback journal continues and finished
+ * or foreign runs are refused
+ */
+
+// The interrupted merge apply retries a server error; keep the backoff short
+process.env.RATE_LIMIT_DELAY = "1";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeMaster,
+  fakeStore,
+  quietly,
+  inDir,
+  rejects,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("run-checkpoints", {
+  profiles: true,
+  noRules: true,
+});
+const journalDir = process.env.CONTENTFUL_JOURNAL_DIR;
+// three-way-merge reads the baseline directory when it is loaded
+process.env.MERGE_BASELINE_DIR = path.join(tmpDir, "baselines");
+
+const {
+  CheckpointError,
+  getEnvironment,
+  readCheckpoint,
+  readJournal,
+} = require("../src/core");
+const { runCommand } = require("../src/cli/contentful-cli");
+const merge = require("../src/cli/contentful-merge");
+const { runLinkCleanup } = require("../src/cli/cf-link-cleanup");
+const { runMigration } = require("../src/cli/contentful-advanced-migration");
+
+suite("Run Checkpoints");
+
+// Every crashed run below journaled its writes here
+const JOURNAL_RUN_ID = "crashed-run";
+
+const draft = (id, publishedVersion) => ({
+  sys: {
+    id,
+    contentType: { sys: { id: "page" } },
+    ...(publishedVersion ? { publishedVersion } : {}),
+  },
+  fields: { title: { "en-US": id } },
+});
+
+/**
+ * The shared fixture plus five drafts, the first two published by the
+ * crashed attempt, a staging copy of master for merges and an empty target
+ * environment for migrations
+ */
+function freshSpace(name) {
+  useFakeSpace(tmpDir, name, (data) => {
+    const { environments } = data.spaces["fake-space"];
+    const staging = JSON.parse(JSON.stringify(environments.master));
+    staging.entries = staging.entries.filter((e) => e.sys.id !== "seo-about");
+    staging.entries.find((e) => e.sys.id === "page-home").fields.title[
+      "en-US"
+    ] = "Home (staging)";
+    staging.entries.push({
+      sys: { id: "staging-only", contentType: { sys: { id: "personaData" } } },
+      fields: { name: { "en-US": "Only in staging" } },
+    });
+    environments.staging = staging;
+    environments.target = {
+      ...JSON.parse(JSON.stringify(environments.master)),
+      entries: [],
+      assets: [],
+    };
+    environments.master.entries.push(
+      draft("draft-1", 1),
+      draft("draft-2", 1),
+      draft("draft-3"),
+      draft("draft-4"),
+      draft("draft-5")
+    );
+  });
+}
+
+const requestedIds = (operation) =>
+  fakeStore()
+    .requestLog.filter((request) => request.operation === operation)
+    .map((request) => request.entityId)
+    .sort()
+    .join();
+
+/**
+ * Write the checkpoint a run leaves behind when it dies
+ * @param {string} runId
+ * @param {string} command
+ * @param {object} options
+ * @param {object[]} records
+ */
+function crashedRun(runId, command, options, records) {
+  fs.mkdirSync(journalDir, { recursive: true });
+  const header = {
+    checkpoint: 1,
+    runId,
+    command,
+    journalRunId: JOURNAL_RUN_ID,
+    options,
+    startedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(
+    path.join(journalDir, `checkpoint-${runId}.jsonl`),
+    [header, ...records].map((record) => JSON.stringify(record)).join("\n") +
+      "\n"
+  );
+}
+
+const lastRecord = (runId) => {
+  const { records } = readCheckpoint(
+    path.join(journalDir, `checkpoint-${runId}.jsonl`)
+  );
+  return records[records.length - 1];
+};
+
+const inTmpDir = (fn) => inDir(tmpDir, fn);
+
+async function testPublish() {
+  console.log("\n🚀 Publish");
+  freshSpace("publish");
+  const earlierFailure = {
+    entryId: "draft-0",
+    contentType: "page",
+    errorType: "validation",
+    status: 422,
+    errors: [{ name: "required", field: "fields.title" }],
+  };
+  crashedRun(
+    "crashed-publish",
+    "publish-entries-only",
+    { context: "fake-de", filters: null },
+    [
+      {
+        phase: "entries",
+        planned: ["draft-1", "draft-2", "draft-3", "draft-4", "draft-5"],
+      },
+      { list: "validationErrors", items: [earlierFailure] },
+      { phase: "entries", done: ["draft-1", "draft-2"] },
+    ]
+  );
+  const journalFile = path.join(journalDir, `journal-${JOURNAL_RUN_ID}.jsonl`);
+  fs.writeFileSync(
+    journalFile,
+    [
+      { journal: 1, runId: JOURNAL_RUN_ID, startedAt: "", argv: [] },
+      { seq: 1, operation: "publish", type: "Entry", id: "draft-1" },
+      { seq: 2, operation: "publish", type: "Entry", id: "draft-2" },
+    ]
+      .map((record) => JSON.stringify(record))
+      .join("\n") + "\n"
+  );
+
+  check(
+    "resuming needs the command of the interrupted run and no --dry-run",
+    (await rejects(
+      async () =>
+        runCommand("publish", await fakeMaster(), "fake-de", {
+          resume: "crashed-publish",
+        }),
+      CheckpointError
+    )) &&
+      (await rejects(
+        async () =>
+          runCommand("publish-entries-only", await fakeMaster(), "fake-de", {
+            resume: "crashed-publish",
+            dryRun: true,
+          }),
+        CheckpointError
+      ))
+  );
+
+  await inTmpDir(async () =>
+    runCommand("publish-entries-only", await fakeMaster(), "fake-de", {
+      resume: "crashed-publish",
+    })
+  );
+  check(
+    "a resumed publish only publishes the entries the crashed run did not",
+    requestedIds("publish") === "draft-3,draft-4,draft-5" &&
+      !fakeStore().requestLog.some((request) => request.entityId === "draft-1")
+  );
+
+  const [reportFile] = fs
+    .readdirSync(tmpDir)
+    .filter((file) => file.startsWith("validation-report-"));
+  const report =
+    reportFile &&
+    JSON.parse(fs.readFileSync(path.join(tmpDir, reportFile), "utf8"));
+  check(
+    "the final report includes the failures of the earlier attempt",
+    report && report.validationErrors.some((e) => e.entryId === "draft-0")
+  );
+
+  const { records } = readJournal(journalFile);
+  check(
+    "the resumed attempt continues the rollback journal of the run",
+    records.map((record) => record.seq).join() === "1,2,3,4,5" &&
+      records.slice(2).every((record) => record.id.startsWith("draft-"))
+  );
+
+  check(
+    "finished runs cannot be resumed",
+    lastRecord("crashed-publish").finished === true &&
+      (await rejects(
+        async () =>
+          runCommand("publish-entries-only", await fakeMaster(), "fake-de", {
+            resume: "crashed-publish",
+          }),
+        CheckpointError
+      ))
+  );
+
+  // Would resolve to checkpoint files outside the journal directory
+  const outside = await runCommand(
+    "publish-entries-only",
+    await fakeMaster(),
+    "fake-de",
+    { resume: "/../../crashed-publish" }
+  ).catch((error) => error);
+  check(
+    "run IDs that are not plain names are refused",
+    outside instanceof CheckpointError &&
+      outside.message.startsWith("Invalid run ID")
+  );
+}
+
+async function testMergeApply() {
+  console.log("\n🔀 Merge apply");
+  const changesetFile = path.join(tmpDir, "changeset.json");
+  const { changeset } = await quietly(() =>
+    merge.planMerge({
+      spaceId: "fake-space",
+      sourceEnvId: "master",
+      targetEnvId: "staging",
+      accessToken: "fake",
+      changesetFile,
+    })
+  );
+
+  // The create after the delete keeps failing, which ends the run
+  fakeStore().injectFault({
+    operation: "createEntry",
+    entityId: "seo-about",
+    status: 500,
+    times: 10,
+  });
+  const before = new Set(fs.readdirSync(journalDir));
+  await quietly(() => merge.applyChangeset(changesetFile)).catch(() => {});
+  const [checkpointFile] = fs
+    .readdirSync(journalDir)
+    .filter((file) => file.startsWith("checkpoint-") && !before.has(file));
+  const runId = checkpointFile
+    .replace(/^checkpoint-/, "")
+    .replace(/\.jsonl$/, "");
+  fakeStore().faults.length = 0;
+
+  const otherFile = path.join(tmpDir, "other-changeset.json");
+  fs.copyFileSync(changesetFile, otherFile);
+  check(
+    "a resumed apply refuses another changeset",
+    await rejects(
+      () => merge.applyChangeset(otherFile, { resume: runId }),
+      CheckpointError
+    )
+  );
+
+  fakeStore().requestLog.length = 0;
+  const result = await quietly(() =>
+    merge.applyChangeset(changesetFile, { resume: runId })
+  );
+  const staging = await getEnvironment({
+    spaceId: "fake-space",
+    environmentId: "staging",
+    accessToken: "fake",
+  });
+  const { items } = await staging.getEntries({ "sys.id[in]": "seo-about" });
+  check(
+    "applied changes are neither drift-checked nor applied again",
+    requestedIds("delete") === "" &&
+      items.length === 1 &&
+      result.failed.length === 0
+  );
+  check(
+    "the result counts the changes of both attempts",
+    result.applied === changeset.entries.length && result.runId === runId
+  );
+}
+
+async function testLinkCleanup() {
+  console.log("\n🔗 Link cleanup");
+  freshSpace("links");
+  const counters = {
+    totalProcessed: 2,
+    totalWithBrokenLinks: 1,
+    totalLinksFound: 3,
+    totalBrokenLinksRemoved: 1,
+    totalEntriesUpdated: 1,
+    totalEntriesPublished: 0,
+    brokenEntryLinks: 1,
+    brokenAssetLinks: 0,
+  };
+  crashedRun(
+    "crashed-cleanup",
+    "link-cleanup",
+    {
+      spaceId: "fake-space",
+      environmentId: "master",
+      contentTypeFilter: null,
+      maxEntries: 100,
+      publish: false,
+    },
+    [
+      {
+        list: "entriesWithBrokenLinks",
+        items: [{ entryId: "page-home", brokenLinks: 1 }],
+      },
+      { list: "batches", items: [{ nextSkip: 2, ...counters }] },
+      { phase: "entries", done: ["seo-home", "page-home"] },
+    ]
+  );
+
+  const results = await quietly(() =>
+    runLinkCleanup({
+      spaceId: "fake-space",
+      environmentId: "master",
+      managementToken: "fake",
+      batchSize: 20,
+      resume: "crashed-cleanup",
+    })
+  );
+  const entries =
+    fakeStore().toJSON().spaces["fake-space"].environments.master.entries
+      .length;
+  check(
+    "a resumed cleanup continues after the entries it processed",
+    results.totalProcessed === entries &&
+      results.totalLinksFound >= counters.totalLinksFound
+  );
+  check(
+    "the summary includes the entries cleaned by the earlier attempt",
+    results.entriesWithBrokenLinks.some((e) => e.entryId === "page-home") &&
+      results.totalWithBrokenLinks === results.entriesWithBrokenLinks.length &&
+      lastRecord("crashed-cleanup").finished === true
+  );
+}
+
+async function testMigration() {
+  console.log("\n📦 Migration");
+  freshSpace("migration");
+  crashedRun(
+    "crashed-migration",
+    "migration",
+    { source: "fake-space/master", target: "fake-space/target" },
+    [
+      { phase: "entries", planned: ["seo-home", "page-home"] },
+      { phase: "assets", planned: ["asset-logo"] },
+      { phase: "collect", complete: true },
+      { list: "counts", items: [{ entriesProcessed: 1, entriesCreated: 1 }] },
+      { phase: "entries", done: ["seo-home"] },
+    ]
+  );
+  const options = {
+    sourceSpaceId: "fake-space",
+    sourceEnvironmentId: "master",
+    targetSpaceId: "fake-space",
+    targetEnvironmentId: "target",
+    accessToken: "fake",
+    entryIds: ["page-home"],
+  };
+
+  check(
+    "a resumed migration refuses other environments",
+    await rejects(
+      () =>
+        runMigration({
+          ...options,
+          targetEnvironmentId: "staging",
+          resume: "crashed-migration",
+        }),
+      CheckpointError
+    )
+  );
+
+  const stats = await quietly(() =>
+    runMigration({ ...options, resume: "crashed-migration" })
+  );
+  check(
+    "resources collected by the crashed run are migrated without following links again",
+    requestedIds("createEntry") === "page-home" &&
+      requestedIds("createAsset") === "asset-logo" &&
+      !fakeStore().requestLog.some(
+        (request) =>
+          request.operation === "getEntry" && request.entityId === "seo-home"
+      )
+  );
+  check(
+    "the statistics include the earlier attempt",
+    stats.entriesProcessed === 2 &&
+      stats.entriesCreated === 2 &&
+      stats.assetsCreated === 1
+  );
+}
+
+async function runTests() {
+  try {
+    await testPublish();
+    await testMergeApply();
+    await testLinkCleanup();
+    await testMigration();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();
@@ -0,0 +1,274 @@
+/**
+ * Test script for environment snapshots
+ * Exports the fake master environment (with asset binaries), checks the
+ * directory format, imports it into the empty staging environment and
+ * compares the result, and runs cf snapshot end to end
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  suite,
+  check,
+  unexpected,
+  finish,
+  setupTmpDir,
+  useFakeSpace,
+  fakeStore,
+  quietly,
+} = require("./helpers");
+
+const tmpDir = setupTmpDir("snapshot");
+useFakeSpace(tmpDir, "space");
+
+const {
+  SnapshotError,
+  exportSnapshot,
+  importSnapshot,
+  readSnapshot,
+} = require("../src/cli/cf-snapshot");
+
+const CF = path.join(__dirname, "..", "src", "cli", "cf.js");
+
+suite("Environment Snapshots");
+
+const state = (environmentId) =>
+  fakeStore().getEnvironmentState("fake-space", environmentId);
+const connection = (environmentId) => ({
+  spaceId: "fake-space",
+  environmentId,
+  accessToken: "fake",
+});
+
+async function testExport() {
+  console.log("\n📤 Export");
+  const downloads = [];
+  const directory = path.join(tmpDir, "master");
+  const { manifest } = await quietly(() =>
+    exportSnapshot({
+      ...connection("master"),
+      outDir: directory,
+      downloadAssets: true,
+      download: async (url) => {
+        downloads.push(url);
+        return Buffer.from("PNG");
+      },
+    })
+  );
+
+  check(
+    "the manifest records the format and counts",
+    manifest.format === "cf-snapshot" &&
+      manifest.version === 1 &&
+      manifest.defaultLocale === "en-US" &&
+      manifest.counts.entries === 6 &&
+      manifest.counts.assets === 2 &&
+      manifest.counts.contentTypes === 3 &&
+      manifest.counts.editorInterfaces === 3 &&
+      manifest.counts.locales === 2 &&
+      manifest.counts.tags === 1
+  );
+  const entries = JSON.parse(
+    fs.readFileSync(path.join(directory, "entries.json"), "utf8")
+  );
+  check(
+    "entities are sorted by ID and keep their sys",
+    entries.map((e) => e.sys.id).join() ===
+      [...entries.map((e) => e.sys.id)].sort().join() &&
+      entries.find((e) => e.sys.id === "page-home").sys.publishedVersion > 0
+  );
+  check(
+    "processed asset files are downloaded",
+    downloads.join() === "https://images.example.com/logo.png" &&
+      manifest.binaries["asset-logo"]["en-US"] ===
+        "files/asset-logo/en-US/logo.png" &&
+      fs.readFileSync(
+        path.join(directory, "files/asset-logo/en-US/logo.png"),
+        "utf8"
+      ) === "PNG"
+  );
+
+  const again = path.join(tmpDir, "master-again");
+  await quietly(() =>
+    exportSnapshot({ ...connection("master"), outDir: again })
+  );
+  check(
+    "exporting twice gives the same files",
+    ["entries.json", "assets.json", "content-types.json"].every(
+      (file) =>
+        fs.readFileSync(path.join(directory, file), "utf8") ===
+        fs.readFileSync(path.join(again, file), "utf8")
+    )
+  );
+  let refused = null;
+  try {
+    await exportSnapshot({ ...connection("master"), outDir: directory });
+  } catch (error) {
+    refused = error;
+  }
+  check(
+    "an existing snapshot is not overwritten",
+    refused instanceof SnapshotError
+  );
+  return directory;
+}
+
+async function testImport(directory) {
+  console.log("\n📥 Import");
+  const dry = await importSnapshot(directory, {
+    ...connection("staging"),
+    dryRun: true,
+  });
+  check(
+    "--dry-run reports what would be created and writes nothing",
+    dry.created.entries === 6 &&
+      dry.created.locales === 1 &&
+      Object.keys(state("staging").entries).length === 0
+  );
+
+  const report = await quietly(() =>
+    importSnapshot(directory, connection("staging"))
+  );
+  const staging = state("staging");
+  const master = state("master");
+  check(
+    "everything is imported without failures",
+    report.failed.length === 0 &&
+      report.created.entries === 6 &&
+      report.created.assets === 2 &&
+      report.created.contentTypes === 3
+  );
+  check(
+    "missing locales and tags are created",
+    staging.locales.some((l) => l.code === "de-DE") && staging.tags.campaign
+  );
+  check(
+    "links are restored in the second pass",
+    staging.entries["page-home"].fields.seoHead["en-US"].sys.id ===
+      "seo-home" &&
+      staging.entries["page-home"].fields.image["en-US"].sys.id === "asset-logo"
+  );
+  const published = (env) =>
+    Object.values(env.entries)
+      .filter((e) => e.sys.publishedVersion)
+      .map((e) => e.sys.id)
+      .sort()
+      .join();
+  check(
+    "publish state matches the source, linked entries first",
+    published(staging) ===
+      published(master)
+        .split(",")
+        .filter((id) => id !== "page-about")
+        .join() &&
+      !staging.assets["asset-draft"].sys.publishedVersion &&
+      staging.assets["asset-logo"].sys.publishedVersion
+  );
+  check(
+    "entries linking to drafts stay drafts with a warning",
+    !staging.entries["page-about"].sys.publishedVersion &&
+      report.warnings.length === 1 &&
+      report.warnings[0].includes("unresolved links: seo-about")
+  );
+  check(
+    "assets are uploaded from the downloaded binaries",
+    staging.assets["asset-logo"].fields.file["en-US"].url.includes(
+      "/logo.png"
+    ) && staging.assets["asset-logo"].fields.file["en-US"].details.size === 3
+  );
+  check(
+    "content types are published",
+    Object.values(staging.contentTypes).every((ct) => ct.sys.publishedVersion)
+  );
+
+  let refused = null;
+  try {
+    await importSnapshot(directory, connection("staging"));
+  } catch (error) {
+    refused = error;
+  }
+  check(
+    "environments with content are refused",
+    refused instanceof SnapshotError && /not empty/.test(refused.message)
+  );
+}
+
+function testReadSnapshot() {
+  console.log("\n🔍 Snapshot format");
+  const broken = path.join(tmpDir, "broken");
+  fs.mkdirSync(broken);
+  fs.writeFileSync(
+    path.join(broken, "manifest.json"),
+    JSON.stringify({ format: "something-else", version: 1 })
+  );
+  let error = null;
+  try {
+    readSnapshot(broken);
+  } catch (caught) {
+    error = caught;
+  }
+  check(
+    "directories that are not snapshots are rejected",
+    error instanceof SnapshotError
+  );
+}
+
+function testCli() {
+  console.log("\n🖥️  cf snapshot");
+  const run = (args) =>
+    spawnSync("node", [CF, "snapshot", ...args], {
+      cwd: tmpDir,
+      env: { ...process.env, CONTENTFUL_MANAGEMENT_TOKEN: "fake-token" },
+      encoding: "utf8",
+      timeout: 60000,
+    });
+
+  const out = path.join(tmpDir, "cli");
+  const exported = run([
+    "export",
+    "--space",
+    "fake-space",
+    "--env",
+    "master",
+    "--out",
+    out,
+    "--json",
+  ]);
+  check(
+    "cf snapshot export writes a snapshot",
+    exported.status === 0 &&
+      JSON.parse(exported.stdout).result.counts.entries === 6 &&
+      fs.existsSync(path.join(out, "manifest.json"))
+  );
+  const imported = run([
+    "import",
+    out,
+    "--space",
+    "fake-space",
+    "--env",
+    "staging",
+    "--dry-run",
+    "--json",
+  ]);
+  check(
+    "cf snapshot import --dry-run checks the target",
+    imported.status === 0 &&
+      JSON.parse(imported.stdout).result.created.assets === 2
+  );
+  check("the directory is required", run(["import"]).status === 2);
+}
+
+async function runTests() {
+  try {
+    const directory = await testExport();
+    await testImport(directory);
+    testReadSnapshot();
+    testCli();
+  } catch (error) {
+    unexpected(error);
+  }
+  finish();
+}
+
+runTests();